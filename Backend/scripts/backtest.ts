@@ -0,0 +1,69 @@
+/*
+  Decision-engine backtest runner.
+
+  Replays makeInvestmentDecision (src/modules/investment-decision/decision.logic.ts)
+  over a JSON file of historical pool snapshots and prints the resulting report.
+
+  Input file shape (same body as POST /api/investmentDecisions/backtest):
+    {
+      "prefs": { "minApyPct": 8, "allowedTokenSymbols": ["USDC", "WETH"], ... },
+      "initialCapitalUsd": 10000,
+      "series": [
+        { "timestamp": "2025-01-01T00:00:00Z", "candidates": [ <CandidatePoolSnapshot>, ... ] },
+        ...
+      ]
+    }
+
+  Usage (run from Backend/):
+    npm run backtest -- path/to/input.json [--out report.json]
+*/
+
+import * as fs from 'fs';
+import { runBacktest } from '../src/modules/investment-decision/backtest.logic';
+import { BacktestParams } from '../src/modules/investment-decision/backtest.types';
+
+function parseArgs(argv: string[]): { input: string; out?: string } {
+  const args = [...argv];
+  let out: string | undefined;
+  const outIdx = args.indexOf('--out');
+  if (outIdx >= 0) {
+    out = args[outIdx + 1];
+    args.splice(outIdx, 2);
+  }
+  const input = args[0];
+  if (!input) throw new Error('Usage: npm run backtest -- <input.json> [--out report.json]');
+  return { input, out };
+}
+
+function main() {
+  const { input, out } = parseArgs(process.argv.slice(2));
+  const params = JSON.parse(fs.readFileSync(input, 'utf8')) as BacktestParams;
+
+  const report = runBacktest(params);
+
+  console.log(`Window:          ${report.startedAt} → ${report.endedAt} (${report.days.toFixed(2)} days)`);
+  console.log(`Equity:          $${report.initialCapitalUsd.toFixed(2)} → $${report.finalEquityUsd.toFixed(2)}`);
+  console.log(`Total return:    ${report.totalReturnPct.toFixed(2)}%`);
+  console.log(`Realized APY:    ${report.realizedApyPct.toFixed(2)}%`);
+  console.log(`Rebalances:      ${report.rebalanceCount} (gas $${report.totalGasUsd.toFixed(2)})`);
+
+  const reasons = Object.entries(report.blockedReasons).sort((a, b) => b[1] - a[1]);
+  if (reasons.length > 0) {
+    console.log('Blocked by:');
+    for (const [reason, count] of reasons) {
+      console.log(`  ${String(count).padStart(5)}  ${reason}`);
+    }
+  }
+
+  if (out) {
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${out}`);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e instanceof Error ? e.message : e);
+  process.exit(1);
+}
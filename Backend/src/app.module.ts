@@ -9,11 +9,17 @@ import { PoolsModule } from './modules/pools/pools.module';
 import { PositionsModule } from './modules/positions/positions.module';
 import { InvestmentDecisionModule } from './modules/investment-decision/investment-decision.module';
 import { StopLossWorkerModule } from './modules/stop-loss-worker/stop-loss-worker.module';
+import { FeeCompoundingModule } from './modules/fee-compounding/fee-compounding.module';
 import { UsersModule } from './modules/users/users.module';
 import { PreferencesModule } from './modules/preferences/preferences.module';
 import { AuthModule } from './modules/auth/auth.module';
 import { ActivityLogsModule } from './modules/activity-logs/activity-logs.module';
 import { DashboardModule } from './modules/dashboard/dashboard.module';
+import { AlertsModule } from './modules/alerts/alerts.module';
+import { WebhooksModule } from './modules/webhooks/webhooks.module';
+import { ReconciliationModule } from './modules/reconciliation/reconciliation.module';
+import { TrappedAssetsModule } from './modules/trapped-assets/trapped-assets.module';
+import { AdminModule } from './modules/admin/admin.module';
 import { HealthController } from './health.controller';
 
 @Module({
@@ -39,11 +45,17 @@ import { HealthController } from './health.controller';
     PositionsModule,
     InvestmentDecisionModule,
     StopLossWorkerModule,
+    FeeCompoundingModule,
     UsersModule,
     PreferencesModule,
     AuthModule,
     ActivityLogsModule,
     DashboardModule,
+    AlertsModule,
+    WebhooksModule,
+    ReconciliationModule,
+    TrappedAssetsModule,
+    AdminModule,
   ],
   controllers: [HealthController],
 })
@@ -0,0 +1,35 @@
+import { CanActivate, ExecutionContext, ForbiddenException, Injectable, SetMetadata } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { ConfigService } from '@nestjs/config';
+import { AdminRole, roleAssignmentsFrom, rolesOf } from '../../modules/admin/admin-operations.logic';
+
+export const ADMIN_ROLES_KEY = 'adminRoles';
+
+/** Roles allowed through AdminGuard, any one of which is enough (default: admin) */
+export const AdminRoles = (...roles: AdminRole[]) => SetMetadata(ADMIN_ROLES_KEY, roles);
+
+/**
+ * Restricts a route to wallets holding one of its @AdminRoles, as listed in
+ * ADMIN_ / OPERATOR_ / EMERGENCY_WALLET_ADDRESSES. Runs after JwtAuthGuard,
+ * which puts the signed-in user on the request.
+ */
+@Injectable()
+export class AdminGuard implements CanActivate {
+  constructor(
+    private readonly reflector: Reflector,
+    private readonly configService: ConfigService,
+  ) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const allowed = this.reflector.getAllAndOverride<AdminRole[]>(ADMIN_ROLES_KEY, [
+      context.getHandler(),
+      context.getClass(),
+    ]) ?? ['admin'];
+    const assignments = roleAssignmentsFrom(key => this.configService.get(key, ''));
+    const held = rolesOf(context.switchToHttp().getRequest().user?.walletAddress, assignments);
+    if (!held.some(role => allowed.includes(role))) {
+      throw new ForbiddenException();
+    }
+    return true;
+  }
+}
@@ -0,0 +1,46 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds the pool_snapshots time-series table written by PoolScannerService on
+ * every sync and compacted (5m → hourly → daily) by PoolHistoryService.
+ */
+export class AddPoolSnapshots1740400000000 implements MigrationInterface {
+  name = 'AddPoolSnapshots1740400000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TYPE "pool_snapshot_granularity_enum" AS ENUM('5m', '1h', '1d')
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE "pool_snapshots" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "poolId" uuid NOT NULL,
+        "granularity" "pool_snapshot_granularity_enum" NOT NULL DEFAULT '5m',
+        "timestamp" TIMESTAMP NOT NULL,
+        "tvl" decimal(30,2) NOT NULL,
+        "volume24h" decimal(30,2) NOT NULL,
+        "fees24h" decimal(30,2) NOT NULL DEFAULT 0,
+        "apr" decimal(10,4) NOT NULL,
+        "liquidity" decimal(78,0) NOT NULL,
+        "sqrtPriceX96" decimal(78,0) NOT NULL,
+        "tick" int NOT NULL,
+        "sampleCount" int NOT NULL DEFAULT 1,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_pool_snapshots" PRIMARY KEY ("id"),
+        CONSTRAINT "FK_pool_snapshots_poolId" FOREIGN KEY ("poolId")
+          REFERENCES "pools"("id") ON DELETE CASCADE ON UPDATE NO ACTION
+      )
+    `);
+
+    await queryRunner.query(
+      `CREATE INDEX "IDX_pool_snapshots_pool_granularity_timestamp" ON "pool_snapshots" ("poolId", "granularity", "timestamp")`,
+    );
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_pool_snapshots_pool_granularity_timestamp"`);
+    await queryRunner.query(`DROP TABLE "pool_snapshots"`);
+    await queryRunner.query(`DROP TYPE "pool_snapshot_granularity_enum"`);
+  }
+}
@@ -0,0 +1,49 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds the per-chain block cursor and the processed-log dedupe table used by
+ * EventIndexerService to backfill AssetHubVault / XCMProxy events.
+ */
+export class AddChainEventIndexer1740500000000 implements MigrationInterface {
+  name = 'AddChainEventIndexer1740500000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "chain_cursors" (
+        "chain" varchar(32) NOT NULL,
+        "lastProcessedBlock" int NOT NULL,
+        "lastProcessedBlockHash" varchar(66),
+        "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_chain_cursors" PRIMARY KEY ("chain")
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE "processed_chain_events" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "chain" varchar(32) NOT NULL,
+        "txHash" varchar(66) NOT NULL,
+        "logIndex" int NOT NULL,
+        "blockNumber" int NOT NULL,
+        "blockHash" varchar(66) NOT NULL,
+        "eventName" varchar(64),
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_processed_chain_events" PRIMARY KEY ("id")
+      )
+    `);
+
+    await queryRunner.query(
+      `CREATE UNIQUE INDEX "UQ_processed_chain_events_chain_tx_log" ON "processed_chain_events" ("chain", "txHash", "logIndex")`,
+    );
+    await queryRunner.query(
+      `CREATE INDEX "IDX_processed_chain_events_chain_block" ON "processed_chain_events" ("chain", "blockNumber")`,
+    );
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_processed_chain_events_chain_block"`);
+    await queryRunner.query(`DROP INDEX "UQ_processed_chain_events_chain_tx_log"`);
+    await queryRunner.query(`DROP TABLE "processed_chain_events"`);
+    await queryRunner.query(`DROP TABLE "chain_cursors"`);
+  }
+}
@@ -0,0 +1,30 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds price_history, the aggregated USD prices persisted by PriceOracleService.
+ */
+export class AddPriceHistory1740600000000 implements MigrationInterface {
+  name = 'AddPriceHistory1740600000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "price_history" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "asset" varchar(16) NOT NULL,
+        "priceUsd" decimal(30,12) NOT NULL,
+        "sources" jsonb NOT NULL DEFAULT '[]',
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_price_history" PRIMARY KEY ("id")
+      )
+    `);
+
+    await queryRunner.query(
+      `CREATE INDEX "IDX_price_history_asset_created" ON "price_history" ("asset", "createdAt")`,
+    );
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_price_history_asset_created"`);
+    await queryRunner.query(`DROP TABLE "price_history"`);
+  }
+}
@@ -0,0 +1,56 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds decision_jobs (one schedulable row per auto-invest user) and
+ * decision_job_runs (run history) for DecisionSchedulerService.
+ */
+export class AddDecisionJobs1740700000000 implements MigrationInterface {
+  name = 'AddDecisionJobs1740700000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "decision_jobs" (
+        "userId" uuid NOT NULL,
+        "nextRunAt" TIMESTAMP NOT NULL,
+        "lastRunAt" TIMESTAMP,
+        "lockedBy" varchar(128),
+        "lockedUntil" TIMESTAMP,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_decision_jobs" PRIMARY KEY ("userId")
+      )
+    `);
+    await queryRunner.query(`CREATE INDEX "IDX_decision_jobs_next_run" ON "decision_jobs" ("nextRunAt")`);
+
+    await queryRunner.query(`CREATE TYPE "decision_run_trigger_enum" AS ENUM('scheduled', 'manual')`);
+    await queryRunner.query(
+      `CREATE TYPE "decision_run_outcome_enum" AS ENUM('running', 'executed', 'no_action', 'skipped', 'failed')`,
+    );
+    await queryRunner.query(`
+      CREATE TABLE "decision_job_runs" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "userId" uuid NOT NULL,
+        "trigger" "decision_run_trigger_enum" NOT NULL,
+        "outcome" "decision_run_outcome_enum" NOT NULL DEFAULT 'running',
+        "startedAt" TIMESTAMP NOT NULL,
+        "finishedAt" TIMESTAMP,
+        "decisionId" varchar(64),
+        "reason" text,
+        "workerId" varchar(128) NOT NULL,
+        CONSTRAINT "PK_decision_job_runs" PRIMARY KEY ("id")
+      )
+    `);
+    await queryRunner.query(
+      `CREATE INDEX "IDX_decision_job_runs_user_started" ON "decision_job_runs" ("userId", "startedAt")`,
+    );
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_decision_job_runs_user_started"`);
+    await queryRunner.query(`DROP TABLE "decision_job_runs"`);
+    await queryRunner.query(`DROP TYPE "decision_run_outcome_enum"`);
+    await queryRunner.query(`DROP TYPE "decision_run_trigger_enum"`);
+    await queryRunner.query(`DROP INDEX "IDX_decision_jobs_next_run"`);
+    await queryRunner.query(`DROP TABLE "decision_jobs"`);
+  }
+}
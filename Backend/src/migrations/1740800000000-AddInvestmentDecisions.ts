@@ -0,0 +1,41 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds investment_decisions, the audit record of every decision computed by
+ * InvestmentDecisionService.
+ */
+export class AddInvestmentDecisions1740800000000 implements MigrationInterface {
+  name = 'AddInvestmentDecisions1740800000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "investment_decisions" (
+        "id" uuid NOT NULL,
+        "userId" uuid NOT NULL,
+        "shouldRebalance" boolean NOT NULL,
+        "reason" text NOT NULL,
+        "availableCapitalUsd" decimal(20,2) NOT NULL,
+        "totalCapitalUsd" decimal(20,2),
+        "config" jsonb,
+        "candidates" jsonb NOT NULL DEFAULT '[]',
+        "currentPositions" jsonb NOT NULL DEFAULT '[]',
+        "idealPortfolio" jsonb NOT NULL DEFAULT '[]',
+        "actions" jsonb NOT NULL DEFAULT '{"toWithdraw":[],"toAdd":[]}',
+        "metrics" jsonb NOT NULL,
+        "executedAt" TIMESTAMP,
+        "dispatchedPositionIds" jsonb NOT NULL DEFAULT '[]',
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_investment_decisions" PRIMARY KEY ("id")
+      )
+    `);
+
+    await queryRunner.query(
+      `CREATE INDEX "IDX_investment_decisions_user_created" ON "investment_decisions" ("userId", "createdAt")`,
+    );
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_investment_decisions_user_created"`);
+    await queryRunner.query(`DROP TABLE "investment_decisions"`);
+  }
+}
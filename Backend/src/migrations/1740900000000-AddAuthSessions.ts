@@ -0,0 +1,49 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds auth_nonces (single-use SIWE/SIWS nonces) and refresh_tokens
+ * (hashed, rotating refresh tokens grouped into session families).
+ */
+export class AddAuthSessions1740900000000 implements MigrationInterface {
+  name = 'AddAuthSessions1740900000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "auth_nonces" (
+        "nonce" varchar(64) NOT NULL,
+        "expiresAt" TIMESTAMP NOT NULL,
+        "consumedAt" TIMESTAMP,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_auth_nonces" PRIMARY KEY ("nonce")
+      )
+    `);
+    await queryRunner.query(`CREATE INDEX "IDX_auth_nonces_expires" ON "auth_nonces" ("expiresAt")`);
+
+    await queryRunner.query(`
+      CREATE TABLE "refresh_tokens" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "userId" uuid NOT NULL,
+        "tokenHash" varchar(64) NOT NULL,
+        "familyId" uuid NOT NULL,
+        "expiresAt" TIMESTAMP NOT NULL,
+        "revokedAt" TIMESTAMP,
+        "replacedById" uuid,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "UQ_refresh_tokens_tokenHash" UNIQUE ("tokenHash"),
+        CONSTRAINT "PK_refresh_tokens" PRIMARY KEY ("id"),
+        CONSTRAINT "FK_refresh_tokens_userId" FOREIGN KEY ("userId")
+          REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE NO ACTION
+      )
+    `);
+    await queryRunner.query(`CREATE INDEX "IDX_refresh_tokens_family" ON "refresh_tokens" ("familyId")`);
+    await queryRunner.query(`CREATE INDEX "IDX_refresh_tokens_user" ON "refresh_tokens" ("userId")`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_refresh_tokens_user"`);
+    await queryRunner.query(`DROP INDEX "IDX_refresh_tokens_family"`);
+    await queryRunner.query(`DROP TABLE "refresh_tokens"`);
+    await queryRunner.query(`DROP INDEX "IDX_auth_nonces_expires"`);
+    await queryRunner.query(`DROP TABLE "auth_nonces"`);
+  }
+}
@@ -0,0 +1,37 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Indexes behind GET /pools filtering and sorting: btree indexes for the sort
+ * keys and chain/dex filters, pg_trgm indexes for token-symbol substring
+ * search and lower() indexes for token-address lookups.
+ */
+export class AddPoolQueryIndexes1741000000000 implements MigrationInterface {
+  name = 'AddPoolQueryIndexes1741000000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm`);
+
+    await queryRunner.query(`CREATE INDEX "IDX_pools_active_tvl" ON "pools" ("isActive", "tvl")`);
+    await queryRunner.query(`CREATE INDEX "IDX_pools_active_apr" ON "pools" ("isActive", "apr")`);
+    await queryRunner.query(`CREATE INDEX "IDX_pools_active_volume" ON "pools" ("isActive", "volume24h")`);
+    await queryRunner.query(`CREATE INDEX "IDX_pools_chain" ON "pools" ("chainId")`);
+    await queryRunner.query(`CREATE INDEX "IDX_pools_dex" ON "pools" ("dexId")`);
+
+    await queryRunner.query(`CREATE INDEX "IDX_pools_token0_symbol_trgm" ON "pools" USING gin ("token0Symbol" gin_trgm_ops)`);
+    await queryRunner.query(`CREATE INDEX "IDX_pools_token1_symbol_trgm" ON "pools" USING gin ("token1Symbol" gin_trgm_ops)`);
+    await queryRunner.query(`CREATE INDEX "IDX_pools_token0_address_lower" ON "pools" (LOWER("token0Address"))`);
+    await queryRunner.query(`CREATE INDEX "IDX_pools_token1_address_lower" ON "pools" (LOWER("token1Address"))`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_pools_token1_address_lower"`);
+    await queryRunner.query(`DROP INDEX "IDX_pools_token0_address_lower"`);
+    await queryRunner.query(`DROP INDEX "IDX_pools_token1_symbol_trgm"`);
+    await queryRunner.query(`DROP INDEX "IDX_pools_token0_symbol_trgm"`);
+    await queryRunner.query(`DROP INDEX "IDX_pools_dex"`);
+    await queryRunner.query(`DROP INDEX "IDX_pools_chain"`);
+    await queryRunner.query(`DROP INDEX "IDX_pools_active_volume"`);
+    await queryRunner.query(`DROP INDEX "IDX_pools_active_apr"`);
+    await queryRunner.query(`DROP INDEX "IDX_pools_active_tvl"`);
+  }
+}
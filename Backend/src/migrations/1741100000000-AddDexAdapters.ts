@@ -0,0 +1,45 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds per-dex sync configuration and health columns to dexes, so
+ * PoolScannerService can run a DexAdapter per DEX on its own schedule.
+ */
+export class AddDexAdapters1741100000000 implements MigrationInterface {
+  name = 'AddDexAdapters1741100000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`CREATE TYPE "dex_adapter_enum" AS ENUM('algebra-subgraph', 'algebra-rpc')`);
+    await queryRunner.query(`
+      ALTER TABLE "dexes"
+        ADD "adapter" "dex_adapter_enum" NOT NULL DEFAULT 'algebra-subgraph',
+        ADD "subgraphUrl" varchar(255),
+        ADD "rpcUrl" varchar(255),
+        ADD "startBlock" int,
+        ADD "syncCursor" varchar(128),
+        ADD "maxPools" int,
+        ADD "syncIntervalSeconds" int,
+        ADD "lastSyncAttemptAt" TIMESTAMP,
+        ADD "lastSyncedAt" TIMESTAMP,
+        ADD "lastSyncError" text,
+        ADD "consecutiveFailures" int NOT NULL DEFAULT 0
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      ALTER TABLE "dexes"
+        DROP COLUMN "consecutiveFailures",
+        DROP COLUMN "lastSyncError",
+        DROP COLUMN "lastSyncedAt",
+        DROP COLUMN "lastSyncAttemptAt",
+        DROP COLUMN "syncIntervalSeconds",
+        DROP COLUMN "maxPools",
+        DROP COLUMN "syncCursor",
+        DROP COLUMN "startBlock",
+        DROP COLUMN "rpcUrl",
+        DROP COLUMN "subgraphUrl",
+        DROP COLUMN "adapter"
+    `);
+    await queryRunner.query(`DROP TYPE "dex_adapter_enum"`);
+  }
+}
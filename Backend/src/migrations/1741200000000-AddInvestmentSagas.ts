@@ -0,0 +1,58 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds investment_sagas, the persisted state of each two-phase investment
+ * driven by InvestmentSagaService.
+ */
+export class AddInvestmentSagas1741200000000 implements MigrationInterface {
+  name = 'AddInvestmentSagas1741200000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TYPE "investment_saga_step_enum" AS ENUM(
+        'dispatched', 'xcm_arrived', 'received', 'executed', 'confirmed', 'compensating', 'compensated', 'failed'
+      )
+    `);
+    await queryRunner.query(`
+      CREATE TABLE "investment_sagas" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "userId" uuid NOT NULL,
+        "decisionId" uuid,
+        "poolId" uuid,
+        "poolAddress" varchar(42) NOT NULL,
+        "assetHubPositionId" varchar(66) NOT NULL,
+        "amount" decimal(78,0) NOT NULL,
+        "moonbeamCalldata" text NOT NULL,
+        "step" "investment_saga_step_enum" NOT NULL,
+        "stepStartedAt" TIMESTAMP NOT NULL,
+        "stepAttempts" int NOT NULL DEFAULT 0,
+        "nextAttemptAt" TIMESTAMP NOT NULL,
+        "failedStep" "investment_saga_step_enum",
+        "lastError" text,
+        "moonbeamPositionId" int,
+        "compensationTxHash" varchar(66),
+        "lockedBy" varchar(128),
+        "lockedUntil" TIMESTAMP,
+        "completedAt" TIMESTAMP,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_investment_sagas" PRIMARY KEY ("id"),
+        CONSTRAINT "UQ_investment_sagas_asset_hub_position" UNIQUE ("assetHubPositionId")
+      )
+    `);
+
+    await queryRunner.query(
+      `CREATE INDEX "IDX_investment_sagas_step_next_attempt" ON "investment_sagas" ("step", "nextAttemptAt")`,
+    );
+    await queryRunner.query(
+      `CREATE INDEX "IDX_investment_sagas_user_created" ON "investment_sagas" ("userId", "createdAt")`,
+    );
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_investment_sagas_user_created"`);
+    await queryRunner.query(`DROP INDEX "IDX_investment_sagas_step_next_attempt"`);
+    await queryRunner.query(`DROP TABLE "investment_sagas"`);
+    await queryRunner.query(`DROP TYPE "investment_saga_step_enum"`);
+  }
+}
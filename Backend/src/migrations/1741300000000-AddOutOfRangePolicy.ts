@@ -0,0 +1,45 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds the per-user out-of-range policy (liquidate / re-range / hold) and the
+ * per-position re-range counters StopLossService enforces it with.
+ */
+export class AddOutOfRangePolicy1741300000000 implements MigrationInterface {
+  name = 'AddOutOfRangePolicy1741300000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`CREATE TYPE "out_of_range_policy_enum" AS ENUM('liquidate', 'rerange', 'hold')`);
+    await queryRunner.query(`
+      ALTER TABLE "user_preferences"
+        ADD "outOfRangePolicy" "out_of_range_policy_enum" NOT NULL DEFAULT 'liquidate',
+        ADD "rerangeCooldownSeconds" int NOT NULL DEFAULT 3600,
+        ADD "maxRerangesPerDay" int NOT NULL DEFAULT 3
+    `);
+    await queryRunner.query(`
+      ALTER TABLE "positions"
+        ADD "rerangeCount" int NOT NULL DEFAULT 0,
+        ADD "lastRerangedAt" TIMESTAMP,
+        ADD "lastRerangeDate" date,
+        ADD "rerangeCountToday" int NOT NULL DEFAULT 0
+    `);
+    await queryRunner.query(`ALTER TYPE "activity_type_enum" ADD VALUE IF NOT EXISTS 'RERANGE'`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    // Postgres cannot drop an enum value; 'RERANGE' stays in activity_type_enum
+    await queryRunner.query(`
+      ALTER TABLE "positions"
+        DROP COLUMN "rerangeCountToday",
+        DROP COLUMN "lastRerangeDate",
+        DROP COLUMN "lastRerangedAt",
+        DROP COLUMN "rerangeCount"
+    `);
+    await queryRunner.query(`
+      ALTER TABLE "user_preferences"
+        DROP COLUMN "maxRerangesPerDay",
+        DROP COLUMN "rerangeCooldownSeconds",
+        DROP COLUMN "outOfRangePolicy"
+    `);
+    await queryRunner.query(`DROP TYPE "out_of_range_policy_enum"`);
+  }
+}
@@ -0,0 +1,41 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds per-position value-based stop-loss / take-profit / trailing-stop
+ * triggers and records which trigger closed a position.
+ */
+export class AddPositionValueTriggers1741400000000 implements MigrationInterface {
+  name = 'AddPositionValueTriggers1741400000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TYPE "position_exit_trigger_enum" AS ENUM(
+        'range_stop_loss', 'range_take_profit', 'stop_loss', 'take_profit', 'trailing_stop'
+      )
+    `);
+    await queryRunner.query(`
+      ALTER TABLE "positions"
+        ADD "stopLossPercent" decimal(5,2),
+        ADD "takeProfitPercent" decimal(7,2),
+        ADD "trailingStopPercent" decimal(5,2),
+        ADD "entryValueUsd" decimal(30,2),
+        ADD "highWaterMarkUsd" decimal(30,2),
+        ADD "exitTrigger" "position_exit_trigger_enum",
+        ADD "exitReason" text
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      ALTER TABLE "positions"
+        DROP COLUMN "exitReason",
+        DROP COLUMN "exitTrigger",
+        DROP COLUMN "highWaterMarkUsd",
+        DROP COLUMN "entryValueUsd",
+        DROP COLUMN "trailingStopPercent",
+        DROP COLUMN "takeProfitPercent",
+        DROP COLUMN "stopLossPercent"
+    `);
+    await queryRunner.query(`DROP TYPE "position_exit_trigger_enum"`);
+  }
+}
@@ -0,0 +1,50 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds the per-user fee compounding opt-in and the per-position totals of
+ * fees compounded back into liquidity or realized to Asset Hub.
+ */
+export class AddFeeCompounding1741500000000 implements MigrationInterface {
+  name = 'AddFeeCompounding1741500000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`CREATE TYPE "fee_compounding_mode_enum" AS ENUM('off', 'compound', 'return')`);
+    await queryRunner.query(`
+      ALTER TABLE "user_preferences"
+        ADD "feeCompoundingMode" "fee_compounding_mode_enum" NOT NULL DEFAULT 'off',
+        ADD "minCompoundFeesUsd" decimal(10,2) NOT NULL DEFAULT '5.00'
+    `);
+    await queryRunner.query(`
+      ALTER TABLE "positions"
+        ADD "compoundedFees0" decimal(78,0) NOT NULL DEFAULT '0',
+        ADD "compoundedFees1" decimal(78,0) NOT NULL DEFAULT '0',
+        ADD "compoundedFeesUsd" decimal(30,2) NOT NULL DEFAULT '0',
+        ADD "realizedFeesAmount" decimal(78,0) NOT NULL DEFAULT '0',
+        ADD "realizedFeesUsd" decimal(30,2) NOT NULL DEFAULT '0',
+        ADD "feeHarvestCount" int NOT NULL DEFAULT 0,
+        ADD "lastFeesHarvestedAt" TIMESTAMP
+    `);
+    await queryRunner.query(`ALTER TYPE "activity_type_enum" ADD VALUE IF NOT EXISTS 'FEE_COMPOUND'`);
+    await queryRunner.query(`ALTER TYPE "activity_type_enum" ADD VALUE IF NOT EXISTS 'FEE_RETURN'`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    // Postgres cannot drop an enum value; 'FEE_COMPOUND' / 'FEE_RETURN' stay in activity_type_enum
+    await queryRunner.query(`
+      ALTER TABLE "positions"
+        DROP COLUMN "lastFeesHarvestedAt",
+        DROP COLUMN "feeHarvestCount",
+        DROP COLUMN "realizedFeesUsd",
+        DROP COLUMN "realizedFeesAmount",
+        DROP COLUMN "compoundedFeesUsd",
+        DROP COLUMN "compoundedFees1",
+        DROP COLUMN "compoundedFees0"
+    `);
+    await queryRunner.query(`
+      ALTER TABLE "user_preferences"
+        DROP COLUMN "minCompoundFeesUsd",
+        DROP COLUMN "feeCompoundingMode"
+    `);
+    await queryRunner.query(`DROP TYPE "fee_compounding_mode_enum"`);
+  }
+}
@@ -0,0 +1,70 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds webhook_subscriptions (per-user signed event endpoints) and
+ * webhook_deliveries, their delivery log and retry queue.
+ */
+export class AddWebhooks1741600000000 implements MigrationInterface {
+  name = 'AddWebhooks1741600000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "webhook_subscriptions" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "userId" uuid NOT NULL,
+        "url" varchar(2048) NOT NULL,
+        "description" varchar(255),
+        "eventTypes" jsonb NOT NULL DEFAULT '[]',
+        "secret" varchar(128) NOT NULL,
+        "enabled" boolean NOT NULL DEFAULT true,
+        "consecutiveFailures" int NOT NULL DEFAULT 0,
+        "disabledAt" TIMESTAMP,
+        "disabledReason" text,
+        "lastDeliveredAt" TIMESTAMP,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_webhook_subscriptions" PRIMARY KEY ("id")
+      )
+    `);
+    await queryRunner.query(`CREATE INDEX "IDX_webhook_subscriptions_user" ON "webhook_subscriptions" ("userId")`);
+
+    await queryRunner.query(`CREATE TYPE "webhook_delivery_status_enum" AS ENUM('pending', 'delivered', 'failed')`);
+    await queryRunner.query(`
+      CREATE TABLE "webhook_deliveries" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "subscriptionId" uuid NOT NULL,
+        "userId" uuid NOT NULL,
+        "eventId" uuid NOT NULL,
+        "eventType" varchar(32) NOT NULL,
+        "payload" jsonb NOT NULL,
+        "status" "webhook_delivery_status_enum" NOT NULL DEFAULT 'pending',
+        "attempts" int NOT NULL DEFAULT 0,
+        "nextAttemptAt" TIMESTAMP NOT NULL,
+        "lockedUntil" TIMESTAMP,
+        "lastAttemptAt" TIMESTAMP,
+        "responseStatus" int,
+        "lastError" text,
+        "deliveredAt" TIMESTAMP,
+        "replayOf" uuid,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_webhook_deliveries" PRIMARY KEY ("id")
+      )
+    `);
+    await queryRunner.query(
+      `CREATE INDEX "IDX_webhook_deliveries_status_next_attempt" ON "webhook_deliveries" ("status", "nextAttemptAt")`,
+    );
+    await queryRunner.query(
+      `CREATE INDEX "IDX_webhook_deliveries_subscription_created" ON "webhook_deliveries" ("subscriptionId", "createdAt")`,
+    );
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_webhook_deliveries_subscription_created"`);
+    await queryRunner.query(`DROP INDEX "IDX_webhook_deliveries_status_next_attempt"`);
+    await queryRunner.query(`DROP TABLE "webhook_deliveries"`);
+    await queryRunner.query(`DROP TYPE "webhook_delivery_status_enum"`);
+    await queryRunner.query(`DROP INDEX "IDX_webhook_subscriptions_user"`);
+    await queryRunner.query(`DROP TABLE "webhook_subscriptions"`);
+  }
+}
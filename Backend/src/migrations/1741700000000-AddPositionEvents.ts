@@ -0,0 +1,31 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds position_events, the stored position event stream whose sequence ids
+ * let SSE clients resume with Last-Event-ID.
+ */
+export class AddPositionEvents1741700000000 implements MigrationInterface {
+  name = 'AddPositionEvents1741700000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "position_events" (
+        "id" BIGSERIAL NOT NULL,
+        "userId" uuid NOT NULL,
+        "type" varchar(32) NOT NULL,
+        "positionId" varchar(66),
+        "payload" jsonb NOT NULL,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_position_events" PRIMARY KEY ("id")
+      )
+    `);
+    await queryRunner.query(`CREATE INDEX "IDX_position_events_user_id" ON "position_events" ("userId", "id")`);
+    await queryRunner.query(`CREATE INDEX "IDX_position_events_created" ON "position_events" ("createdAt")`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_position_events_created"`);
+    await queryRunner.query(`DROP INDEX "IDX_position_events_user_id"`);
+    await queryRunner.query(`DROP TABLE "position_events"`);
+  }
+}
@@ -0,0 +1,46 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds reconciliation_issues: DB-vs-chain position discrepancies found by
+ * the reconciliation job, open until repaired or no longer found.
+ */
+export class AddReconciliationIssues1741800000000 implements MigrationInterface {
+  name = 'AddReconciliationIssues1741800000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TYPE "reconciliation_issue_type_enum" AS ENUM(
+        'orphaned_pending', 'liquidated_unsettled', 'missing_pool', 'amount_mismatch',
+        'status_mismatch', 'missing_in_db', 'missing_on_chain'
+      )
+    `);
+    await queryRunner.query(`
+      CREATE TABLE "reconciliation_issues" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "assetHubPositionId" varchar(66) NOT NULL,
+        "positionId" uuid,
+        "userId" uuid,
+        "type" "reconciliation_issue_type_enum" NOT NULL,
+        "details" jsonb NOT NULL DEFAULT '{}',
+        "autoRepaired" boolean NOT NULL DEFAULT false,
+        "repairError" text,
+        "occurrences" int NOT NULL DEFAULT 1,
+        "firstSeenAt" TIMESTAMP NOT NULL,
+        "lastSeenAt" TIMESTAMP NOT NULL,
+        "resolvedAt" TIMESTAMP,
+        CONSTRAINT "PK_reconciliation_issues" PRIMARY KEY ("id")
+      )
+    `);
+    await queryRunner.query(
+      `CREATE INDEX "IDX_reconciliation_issues_position_type" ON "reconciliation_issues" ("assetHubPositionId", "type")`,
+    );
+    await queryRunner.query(`CREATE INDEX "IDX_reconciliation_issues_resolved" ON "reconciliation_issues" ("resolvedAt")`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_reconciliation_issues_resolved"`);
+    await queryRunner.query(`DROP INDEX "IDX_reconciliation_issues_position_type"`);
+    await queryRunner.query(`DROP TABLE "reconciliation_issues"`);
+    await queryRunner.query(`DROP TYPE "reconciliation_issue_type_enum"`);
+  }
+}
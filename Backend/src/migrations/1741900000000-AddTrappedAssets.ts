@@ -0,0 +1,59 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds trapped_assets: PolkadotXcm.AssetsTrapped events on Asset Hub and
+ * Moonbeam, matched to positions and tracked through the claim workflow.
+ */
+export class AddTrappedAssets1741900000000 implements MigrationInterface {
+  name = 'AddTrappedAssets1741900000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TYPE "trapped_asset_status_enum" AS ENUM(
+        'detected', 'approved', 'claim_submitted', 'claimed', 'dismissed'
+      )
+    `);
+    await queryRunner.query(`
+      CREATE TABLE "trapped_assets" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "chain" varchar(16) NOT NULL,
+        "blockNumber" int NOT NULL,
+        "blockHash" varchar(66) NOT NULL,
+        "eventIndex" int NOT NULL,
+        "hash" varchar(66) NOT NULL,
+        "origin" jsonb NOT NULL,
+        "originParachain" int,
+        "assets" jsonb NOT NULL,
+        "amount" decimal(78,0),
+        "trappedAt" TIMESTAMP NOT NULL,
+        "positionId" uuid,
+        "userId" uuid,
+        "match" jsonb,
+        "status" "trapped_asset_status_enum" NOT NULL DEFAULT 'detected',
+        "beneficiary" varchar(66),
+        "claim" jsonb,
+        "approvedBy" varchar(42),
+        "approvedAt" TIMESTAMP,
+        "claimTxHash" varchar(66),
+        "claimError" text,
+        "claimedAt" TIMESTAMP,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_trapped_assets" PRIMARY KEY ("id")
+      )
+    `);
+    await queryRunner.query(
+      `CREATE UNIQUE INDEX "IDX_trapped_assets_event" ON "trapped_assets" ("chain", "blockNumber", "eventIndex")`,
+    );
+    await queryRunner.query(`CREATE INDEX "IDX_trapped_assets_chain_hash" ON "trapped_assets" ("chain", "hash")`);
+    await queryRunner.query(`CREATE INDEX "IDX_trapped_assets_status" ON "trapped_assets" ("status")`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX "IDX_trapped_assets_status"`);
+    await queryRunner.query(`DROP INDEX "IDX_trapped_assets_chain_hash"`);
+    await queryRunner.query(`DROP INDEX "IDX_trapped_assets_event"`);
+    await queryRunner.query(`DROP TABLE "trapped_assets"`);
+    await queryRunner.query(`DROP TYPE "trapped_asset_status_enum"`);
+  }
+}
@@ -0,0 +1,89 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Adds admin_operations (privileged contract calls and their approvals) and
+ * admin_audit_logs, made append-only by a trigger that rejects UPDATE and
+ * DELETE.
+ */
+export class AddAdminOperations1742000000000 implements MigrationInterface {
+  name = 'AddAdminOperations1742000000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TYPE "admin_operation_status_enum" AS ENUM(
+        'pending_approval', 'executing', 'executed', 'failed', 'rejected', 'expired'
+      )
+    `);
+    await queryRunner.query(`
+      CREATE TABLE "admin_operations" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "type" varchar(64) NOT NULL,
+        "params" jsonb NOT NULL DEFAULT '{}',
+        "reason" text,
+        "status" "admin_operation_status_enum" NOT NULL,
+        "requiresApproval" boolean NOT NULL DEFAULT false,
+        "requestedBy" varchar(64) NOT NULL,
+        "decidedBy" varchar(64),
+        "expiresAt" TIMESTAMP,
+        "txHash" varchar(66),
+        "error" text,
+        "executedAt" TIMESTAMP,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        "updatedAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_admin_operations" PRIMARY KEY ("id")
+      )
+    `);
+    await queryRunner.query(`CREATE INDEX "IDX_admin_operations_status" ON "admin_operations" ("status")`);
+    await queryRunner.query(`CREATE INDEX "IDX_admin_operations_created" ON "admin_operations" ("createdAt")`);
+
+    await queryRunner.query(`
+      CREATE TYPE "admin_audit_action_enum" AS ENUM(
+        'requested', 'approved', 'rejected', 'executed', 'failed', 'expired', 'denied'
+      )
+    `);
+    await queryRunner.query(`
+      CREATE TABLE "admin_audit_logs" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "operationId" uuid,
+        "operationType" varchar(64) NOT NULL,
+        "action" "admin_audit_action_enum" NOT NULL,
+        "actor" varchar(64) NOT NULL,
+        "actorRoles" jsonb NOT NULL DEFAULT '[]',
+        "params" jsonb NOT NULL DEFAULT '{}',
+        "txHash" varchar(66),
+        "detail" text,
+        "createdAt" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_admin_audit_logs" PRIMARY KEY ("id")
+      )
+    `);
+    await queryRunner.query(`CREATE INDEX "IDX_admin_audit_logs_operation" ON "admin_audit_logs" ("operationId")`);
+    await queryRunner.query(
+      `CREATE INDEX "IDX_admin_audit_logs_actor_created" ON "admin_audit_logs" ("actor", "createdAt")`,
+    );
+    await queryRunner.query(`
+      CREATE FUNCTION "admin_audit_logs_immutable"() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'admin_audit_logs is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await queryRunner.query(`
+      CREATE TRIGGER "TRG_admin_audit_logs_immutable"
+      BEFORE UPDATE OR DELETE ON "admin_audit_logs"
+      FOR EACH ROW EXECUTE FUNCTION "admin_audit_logs_immutable"()
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP TRIGGER "TRG_admin_audit_logs_immutable" ON "admin_audit_logs"`);
+    await queryRunner.query(`DROP FUNCTION "admin_audit_logs_immutable"()`);
+    await queryRunner.query(`DROP INDEX "IDX_admin_audit_logs_actor_created"`);
+    await queryRunner.query(`DROP INDEX "IDX_admin_audit_logs_operation"`);
+    await queryRunner.query(`DROP TABLE "admin_audit_logs"`);
+    await queryRunner.query(`DROP TYPE "admin_audit_action_enum"`);
+    await queryRunner.query(`DROP INDEX "IDX_admin_operations_created"`);
+    await queryRunner.query(`DROP INDEX "IDX_admin_operations_status"`);
+    await queryRunner.query(`DROP TABLE "admin_operations"`);
+    await queryRunner.query(`DROP TYPE "admin_operation_status_enum"`);
+  }
+}
@@ -0,0 +1,17 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Records XCMProxy's unclaimed balance when an investment saga is dispatched,
+ * so its arrival is measured as growth over that baseline.
+ */
+export class AddSagaArrivalBaseline1742100000000 implements MigrationInterface {
+  name = 'AddSagaArrivalBaseline1742100000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`ALTER TABLE "investment_sagas" ADD "arrivalBaseline" decimal(78,0)`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`ALTER TABLE "investment_sagas" DROP COLUMN "arrivalBaseline"`);
+  }
+}
@@ -6,6 +6,9 @@ export enum ActivityType {
     WITHDRAWAL = 'WITHDRAWAL',
     LIQUIDATION = 'LIQUIDATION',
     AUTO_REBALANCE = 'AUTO_REBALANCE',
+    RERANGE = 'RERANGE',
+    FEE_COMPOUND = 'FEE_COMPOUND',
+    FEE_RETURN = 'FEE_RETURN',
     ERROR = 'ERROR'
 }
 
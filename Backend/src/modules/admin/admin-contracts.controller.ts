@@ -0,0 +1,243 @@
+/**
+ * Admin Contracts Controller
+ *
+ * Privileged AssetHubVault and XCMProxy calls. Each endpoint needs the
+ * contract role of its call; destructive calls come back pending approval
+ * and are sent once a second holder of the role approves them at
+ * POST /admin/operations/:id/approve.
+ */
+
+import { Body, Controller, HttpCode, HttpStatus, Post, UseGuards } from '@nestjs/common';
+import { AdminOperationsService } from './admin-operations.service';
+import { AdminOperation } from './entities/admin-operation.entity';
+import { AdminOperationDto } from './dto/admin-operation.dto';
+import { SetTestModeDto } from './dto/set-test-mode.dto';
+import { AddChainDto } from './dto/add-chain.dto';
+import { ChainIdDto } from './dto/chain-id.dto';
+import { UpdateChainExecutorDto } from './dto/update-chain-executor.dto';
+import { RoleAddressDto } from './dto/role-address.dto';
+import { EmergencyLiquidateDto } from './dto/emergency-liquidate.dto';
+import { PositionIdDto } from './dto/position-id.dto';
+import { SupportedTokenDto } from './dto/supported-token.dto';
+import { CancelPendingPositionDto } from './dto/cancel-pending-position.dto';
+import { JwtAuthGuard } from '../auth/jwt-auth.guard';
+import { CurrentUser } from '../../common/decorators/current-user.decorator';
+import { User } from '../users/entities/user.entity';
+
+@Controller('admin/contracts')
+@UseGuards(JwtAuthGuard)
+export class AdminContractsController {
+  constructor(private readonly adminOperationsService: AdminOperationsService) {}
+
+  // ============================================================
+  // ASSET HUB VAULT
+  // ============================================================
+
+  /**
+   * POST /admin/contracts/asset-hub/pause — AUTH + admin role
+   */
+  @Post('asset-hub/pause')
+  @HttpCode(HttpStatus.OK)
+  async pauseAssetHub(@Body() dto: AdminOperationDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request('assetHub.pause', {}, currentUser.walletAddress, dto.reason);
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/unpause — AUTH + admin role, needs approval
+   */
+  @Post('asset-hub/unpause')
+  @HttpCode(HttpStatus.OK)
+  async unpauseAssetHub(@Body() dto: AdminOperationDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request('assetHub.unpause', {}, currentUser.walletAddress, dto.reason);
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/test-mode — AUTH + admin role, needs approval
+   */
+  @Post('asset-hub/test-mode')
+  @HttpCode(HttpStatus.OK)
+  async setAssetHubTestMode(@Body() dto: SetTestModeDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'assetHub.setTestMode',
+      { enabled: dto.enabled },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/chains — AUTH + admin role
+   */
+  @Post('asset-hub/chains')
+  @HttpCode(HttpStatus.OK)
+  async addChain(@Body() dto: AddChainDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'assetHub.addChain',
+      { chainId: dto.chainId, xcmDestination: dto.xcmDestination, chainName: dto.chainName, executor: dto.executor },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/chains/remove — AUTH + admin role, needs approval
+   */
+  @Post('asset-hub/chains/remove')
+  @HttpCode(HttpStatus.OK)
+  async removeChain(@Body() dto: ChainIdDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'assetHub.removeChain',
+      { chainId: dto.chainId },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/chains/executor — AUTH + admin role, needs approval
+   */
+  @Post('asset-hub/chains/executor')
+  @HttpCode(HttpStatus.OK)
+  async updateChainExecutor(@Body() dto: UpdateChainExecutorDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'assetHub.updateChainExecutor',
+      { chainId: dto.chainId, executor: dto.executor },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/operator — AUTH + admin role, needs approval
+   */
+  @Post('asset-hub/operator')
+  @HttpCode(HttpStatus.OK)
+  async setOperator(@Body() dto: RoleAddressDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'assetHub.setOperator',
+      { address: dto.address },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/emergency — AUTH + admin role, needs approval
+   */
+  @Post('asset-hub/emergency')
+  @HttpCode(HttpStatus.OK)
+  async setEmergency(@Body() dto: RoleAddressDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'assetHub.setEmergency',
+      { address: dto.address },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/emergency-liquidate — AUTH + emergency role, needs approval
+   */
+  @Post('asset-hub/emergency-liquidate')
+  @HttpCode(HttpStatus.OK)
+  async emergencyLiquidatePosition(@Body() dto: EmergencyLiquidateDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'assetHub.emergencyLiquidatePosition',
+      { chainId: dto.chainId, positionId: dto.positionId, value: dto.value ?? '0' },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/asset-hub/emergency-cancel-pending — AUTH + emergency role, needs approval
+   */
+  @Post('asset-hub/emergency-cancel-pending')
+  @HttpCode(HttpStatus.OK)
+  async emergencyCancelPending(@Body() dto: PositionIdDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'assetHub.emergencyCancelPending',
+      { positionId: dto.positionId },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  // ============================================================
+  // MOONBEAM XCM PROXY
+  // ============================================================
+
+  /**
+   * POST /admin/contracts/moonbeam/pause — AUTH + admin role
+   */
+  @Post('moonbeam/pause')
+  @HttpCode(HttpStatus.OK)
+  async pauseMoonbeam(@Body() dto: AdminOperationDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request('moonbeam.pause', {}, currentUser.walletAddress, dto.reason);
+  }
+
+  /**
+   * POST /admin/contracts/moonbeam/unpause — AUTH + admin role, needs approval
+   */
+  @Post('moonbeam/unpause')
+  @HttpCode(HttpStatus.OK)
+  async unpauseMoonbeam(@Body() dto: AdminOperationDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request('moonbeam.unpause', {}, currentUser.walletAddress, dto.reason);
+  }
+
+  /**
+   * POST /admin/contracts/moonbeam/test-mode — AUTH + admin role, needs approval
+   */
+  @Post('moonbeam/test-mode')
+  @HttpCode(HttpStatus.OK)
+  async setMoonbeamTestMode(@Body() dto: SetTestModeDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'moonbeam.setTestMode',
+      { enabled: dto.enabled },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/moonbeam/supported-tokens — AUTH + admin role
+   */
+  @Post('moonbeam/supported-tokens')
+  @HttpCode(HttpStatus.OK)
+  async addSupportedToken(@Body() dto: SupportedTokenDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'moonbeam.addSupportedToken',
+      { token: dto.token },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/moonbeam/supported-tokens/remove — AUTH + admin role, needs approval
+   */
+  @Post('moonbeam/supported-tokens/remove')
+  @HttpCode(HttpStatus.OK)
+  async removeSupportedToken(@Body() dto: SupportedTokenDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'moonbeam.removeSupportedToken',
+      { token: dto.token },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+
+  /**
+   * POST /admin/contracts/moonbeam/cancel-pending — AUTH + operator role, needs approval
+   */
+  @Post('moonbeam/cancel-pending')
+  @HttpCode(HttpStatus.OK)
+  async cancelPendingPosition(@Body() dto: CancelPendingPositionDto, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.request(
+      'moonbeam.cancelPendingPosition',
+      { assetHubPositionId: dto.assetHubPositionId },
+      currentUser.walletAddress,
+      dto.reason,
+    );
+  }
+}
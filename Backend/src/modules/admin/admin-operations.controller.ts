@@ -0,0 +1,103 @@
+/**
+ * Admin Operations Controller
+ *
+ * Approval queue for destructive contract calls and the audit log of every
+ * admin action.
+ */
+
+import {
+  Body,
+  Controller,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Post,
+  Query,
+  UseGuards,
+} from '@nestjs/common';
+import { AdminOperationsService } from './admin-operations.service';
+import { AdminOperation } from './entities/admin-operation.entity';
+import { AdminAuditLog } from './entities/admin-audit-log.entity';
+import { ADMIN_ROLES, AdminRole } from './admin-operations.logic';
+import { AdminGuard, AdminRoles } from '../../common/guards/admin.guard';
+import { AdminOperationsQueryDto } from './dto/admin-operations-query.dto';
+import { AdminAuditLogQueryDto } from './dto/admin-audit-log-query.dto';
+import { RejectOperationDto } from './dto/reject-operation.dto';
+import { JwtAuthGuard } from '../auth/jwt-auth.guard';
+import { CurrentUser } from '../../common/decorators/current-user.decorator';
+import { User } from '../users/entities/user.entity';
+
+@Controller('admin')
+@UseGuards(JwtAuthGuard)
+export class AdminOperationsController {
+  constructor(private readonly adminOperationsService: AdminOperationsService) {}
+
+  /**
+   * Roles held by the signed-in wallet
+   * GET /admin/me — AUTH
+   */
+  @Get('me')
+  async me(@CurrentUser() currentUser: User): Promise<{ walletAddress: string; roles: AdminRole[] }> {
+    return {
+      walletAddress: currentUser.walletAddress,
+      roles: this.adminOperationsService.rolesOf(currentUser.walletAddress),
+    };
+  }
+
+  /**
+   * Requested contract calls, most recent first
+   * GET /admin/operations?status=&limit= — AUTH + any role
+   */
+  @Get('operations')
+  @UseGuards(AdminGuard)
+  @AdminRoles(...ADMIN_ROLES)
+  async list(@Query() query: AdminOperationsQueryDto): Promise<AdminOperation[]> {
+    return this.adminOperationsService.list(query.status, query.limit);
+  }
+
+  /**
+   * GET /admin/operations/:id — AUTH + any role
+   */
+  @Get('operations/:id')
+  @UseGuards(AdminGuard)
+  @AdminRoles(...ADMIN_ROLES)
+  async get(@Param('id', new ParseUUIDPipe()) id: string): Promise<AdminOperation> {
+    return this.adminOperationsService.getOperation(id);
+  }
+
+  /**
+   * Approve and send a pending operation (second holder of its role)
+   * POST /admin/operations/:id/approve — AUTH + operation's role
+   */
+  @Post('operations/:id/approve')
+  @HttpCode(HttpStatus.OK)
+  async approve(@Param('id', new ParseUUIDPipe()) id: string, @CurrentUser() currentUser: User): Promise<AdminOperation> {
+    return this.adminOperationsService.approve(id, currentUser.walletAddress);
+  }
+
+  /**
+   * POST /admin/operations/:id/reject — AUTH + operation's role
+   */
+  @Post('operations/:id/reject')
+  @HttpCode(HttpStatus.OK)
+  async reject(
+    @Param('id', new ParseUUIDPipe()) id: string,
+    @Body() dto: RejectOperationDto,
+    @CurrentUser() currentUser: User,
+  ): Promise<AdminOperation> {
+    return this.adminOperationsService.reject(id, currentUser.walletAddress, dto.reason);
+  }
+
+  /**
+   * Who did what, most recent first
+   * GET /admin/audit-log?operationId=&actor=&limit= — AUTH + any role
+   */
+  @Get('audit-log')
+  @UseGuards(AdminGuard)
+  @AdminRoles(...ADMIN_ROLES)
+  async auditLog(@Query() query: AdminAuditLogQueryDto): Promise<AdminAuditLog[]> {
+    return this.adminOperationsService.auditLog(query);
+  }
+}
@@ -0,0 +1,63 @@
+import { ADMIN_OPERATIONS, approvalRefusal, parseWalletList, roleAssignmentsFrom, rolesOf } from './admin-operations.logic';
+
+describe('admin-operations.logic', () => {
+  const assignments = {
+    admin: ['0xa1', '0xa2'],
+    operator: ['0xo1'],
+    emergency: ['0xa1', '0xe1'],
+  };
+
+  it('parses comma-separated wallet lists', () => {
+    expect(parseWalletList(' 0xAbC, ,0xdef ')).toEqual(['0xabc', '0xdef']);
+    expect(parseWalletList(undefined)).toEqual([]);
+  });
+
+  it('reads each role from its wallet setting', () => {
+    const config: Record<string, string> = { ADMIN_WALLET_ADDRESSES: '0xA1', EMERGENCY_WALLET_ADDRESSES: '0xa1,0xE1' };
+
+    expect(roleAssignmentsFrom(key => config[key])).toEqual({ admin: ['0xa1'], operator: [], emergency: ['0xa1', '0xe1'] });
+  });
+
+  it('lists every role a wallet holds, case-insensitively', () => {
+    expect(rolesOf('0xA1', assignments)).toEqual(['admin', 'emergency']);
+    expect(rolesOf('0xo1', assignments)).toEqual(['operator']);
+    expect(rolesOf('0xnobody', assignments)).toEqual([]);
+    expect(rolesOf(undefined, assignments)).toEqual([]);
+  });
+
+  it('mirrors the contract roles and only lets pausing and additive calls skip approval', () => {
+    expect(ADMIN_OPERATIONS['assetHub.emergencyLiquidatePosition']).toEqual({ role: 'emergency', destructive: true });
+    expect(ADMIN_OPERATIONS['moonbeam.cancelPendingPosition']).toEqual({ role: 'operator', destructive: true });
+    const immediate = Object.entries(ADMIN_OPERATIONS).filter(([, spec]) => !spec.destructive).map(([type]) => type);
+    expect(immediate.sort()).toEqual(['assetHub.addChain', 'assetHub.pause', 'moonbeam.addSupportedToken', 'moonbeam.pause']);
+  });
+
+  describe('approvalRefusal', () => {
+    it('needs the operation role', () => {
+      expect(approvalRefusal({
+        type: 'assetHub.emergencyCancelPending',
+        requestedBy: '0xe1',
+        approver: '0xa2',
+        approverRoles: ['admin'],
+      })).toBe('assetHub.emergencyCancelPending requires the emergency role');
+    });
+
+    it('refuses the requester approving their own operation', () => {
+      expect(approvalRefusal({
+        type: 'assetHub.unpause',
+        requestedBy: '0xa1',
+        approver: '0xA1',
+        approverRoles: ['admin', 'emergency'],
+      })).toMatch('A second person must approve');
+    });
+
+    it('accepts a second holder of the role', () => {
+      expect(approvalRefusal({
+        type: 'assetHub.unpause',
+        requestedBy: '0xa1',
+        approver: '0xa2',
+        approverRoles: ['admin'],
+      })).toBeNull();
+    });
+  });
+});
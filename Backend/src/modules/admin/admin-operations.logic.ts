@@ -0,0 +1,123 @@
+/**
+ * Admin Operations Logic
+ *
+ * The privileged contract calls reachable through /admin/contracts, the
+ * contract role each one needs, and which of them are destructive enough to
+ * need a second person's approval before they are sent.
+ */
+
+/**
+ * Mirrors the contract roles:
+ * - admin: AssetHubVault admin / XCMProxy owner
+ * - operator: XCMProxy operator
+ * - emergency: AssetHubVault emergency
+ */
+export type AdminRole = 'admin' | 'operator' | 'emergency';
+
+export const ADMIN_ROLES: AdminRole[] = ['admin', 'operator', 'emergency'];
+
+/** Wallet lists per role, from ADMIN_ / OPERATOR_ / EMERGENCY_WALLET_ADDRESSES */
+export type RoleAssignments = Record<AdminRole, string[]>;
+
+/** Parameters of each operation, as stored (JSON-safe) */
+export interface AdminOperationParams {
+  'assetHub.pause': Record<string, never>;
+  'assetHub.unpause': Record<string, never>;
+  'assetHub.setTestMode': { enabled: boolean };
+  'assetHub.addChain': { chainId: number; xcmDestination: string; chainName: string; executor: string };
+  'assetHub.removeChain': { chainId: number };
+  'assetHub.updateChainExecutor': { chainId: number; executor: string };
+  'assetHub.setOperator': { address: string };
+  'assetHub.setEmergency': { address: string };
+  'assetHub.emergencyLiquidatePosition': { chainId: number; positionId: string; value: string };
+  'assetHub.emergencyCancelPending': { positionId: string };
+  'moonbeam.pause': Record<string, never>;
+  'moonbeam.unpause': Record<string, never>;
+  'moonbeam.setTestMode': { enabled: boolean };
+  'moonbeam.addSupportedToken': { token: string };
+  'moonbeam.removeSupportedToken': { token: string };
+  'moonbeam.cancelPendingPosition': { assetHubPositionId: string };
+}
+
+export type AdminOperationType = keyof AdminOperationParams;
+
+export interface AdminOperationSpec {
+  role: AdminRole;
+  /** Needs approval by a second holder of the role before it is sent */
+  destructive: boolean;
+}
+
+/**
+ * Pausing and additive configuration go out immediately; anything that
+ * resumes activity, removes configuration, hands over a role or moves user
+ * funds waits for a second person.
+ */
+export const ADMIN_OPERATIONS: Record<AdminOperationType, AdminOperationSpec> = {
+  'assetHub.pause': { role: 'admin', destructive: false },
+  'assetHub.unpause': { role: 'admin', destructive: true },
+  'assetHub.setTestMode': { role: 'admin', destructive: true },
+  'assetHub.addChain': { role: 'admin', destructive: false },
+  'assetHub.removeChain': { role: 'admin', destructive: true },
+  'assetHub.updateChainExecutor': { role: 'admin', destructive: true },
+  'assetHub.setOperator': { role: 'admin', destructive: true },
+  'assetHub.setEmergency': { role: 'admin', destructive: true },
+  'assetHub.emergencyLiquidatePosition': { role: 'emergency', destructive: true },
+  'assetHub.emergencyCancelPending': { role: 'emergency', destructive: true },
+  'moonbeam.pause': { role: 'admin', destructive: false },
+  'moonbeam.unpause': { role: 'admin', destructive: true },
+  'moonbeam.setTestMode': { role: 'admin', destructive: true },
+  'moonbeam.addSupportedToken': { role: 'admin', destructive: false },
+  'moonbeam.removeSupportedToken': { role: 'admin', destructive: true },
+  'moonbeam.cancelPendingPosition': { role: 'operator', destructive: true },
+};
+
+/** Comma-separated wallet list → lowercased addresses */
+export function parseWalletList(value: unknown): string[] {
+  return String(value ?? '')
+    .split(',')
+    .map(a => a.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/** Setting holding each role's wallet list */
+export const ROLE_WALLET_SETTINGS: Record<AdminRole, string> = {
+  admin: 'ADMIN_WALLET_ADDRESSES',
+  operator: 'OPERATOR_WALLET_ADDRESSES',
+  emergency: 'EMERGENCY_WALLET_ADDRESSES',
+};
+
+/** Wallet lists per role, read through a config lookup */
+export function roleAssignmentsFrom(read: (key: string) => unknown): RoleAssignments {
+  return {
+    admin: parseWalletList(read(ROLE_WALLET_SETTINGS.admin)),
+    operator: parseWalletList(read(ROLE_WALLET_SETTINGS.operator)),
+    emergency: parseWalletList(read(ROLE_WALLET_SETTINGS.emergency)),
+  };
+}
+
+/** Roles a wallet holds; a wallet may hold several */
+export function rolesOf(walletAddress: string | undefined, assignments: RoleAssignments): AdminRole[] {
+  const wallet = walletAddress?.toLowerCase();
+  if (!wallet) return [];
+  return ADMIN_ROLES.filter(role => assignments[role].includes(wallet));
+}
+
+/**
+ * Why a wallet may not approve a pending operation; null when it may.
+ * The approver must hold the operation's role and not be the requester.
+ */
+export function approvalRefusal(params: {
+  type: AdminOperationType;
+  requestedBy: string;
+  approver: string;
+  approverRoles: AdminRole[];
+}): string | null {
+  const { role } = ADMIN_OPERATIONS[params.type];
+  if (!params.approverRoles.includes(role)) {
+    return `${params.type} requires the ${role} role`;
+  }
+  if (params.approver.toLowerCase() === params.requestedBy.toLowerCase()) {
+    return 'A second person must approve: the requester cannot approve their own operation';
+  }
+  return null;
+}
@@ -0,0 +1,207 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { AdminOperationsService } from './admin-operations.service';
+import { AdminOperation, AdminOperationStatus } from './entities/admin-operation.entity';
+import { AdminAuditAction, AdminAuditLog } from './entities/admin-audit-log.entity';
+import { AssetHubService } from '../blockchain/services/asset-hub.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+
+describe('AdminOperationsService', () => {
+  const ADMIN_1 = '0x00000000000000000000000000000000000000a1';
+  const ADMIN_2 = '0x00000000000000000000000000000000000000a2';
+  const EMERGENCY = '0x00000000000000000000000000000000000000e1';
+  const POSITION_ID = `0x${'11'.repeat(32)}`;
+
+  let operations: AdminOperation[];
+  let audit: Partial<AdminAuditLog>[];
+  let operationRepository: Record<string, jest.Mock>;
+  let assetHub: Record<string, jest.Mock>;
+  let moonbeam: Record<string, jest.Mock>;
+
+  const build = async () => {
+    const config: Record<string, unknown> = {
+      ADMIN_WALLET_ADDRESSES: `${ADMIN_1.toUpperCase().replace('0X', '0x')}, ${ADMIN_2}`,
+      EMERGENCY_WALLET_ADDRESSES: EMERGENCY,
+      ADMIN_APPROVAL_TTL_MINUTES: 30,
+    };
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        AdminOperationsService,
+        { provide: getRepositoryToken(AdminOperation), useValue: operationRepository },
+        {
+          provide: getRepositoryToken(AdminAuditLog),
+          useValue: { insert: jest.fn(async (entry: Partial<AdminAuditLog>) => { audit.push(entry); }) },
+        },
+        { provide: AssetHubService, useValue: assetHub },
+        { provide: MoonbeamService, useValue: moonbeam },
+        { provide: ConfigService, useValue: { get: (key: string, fallback?: unknown) => config[key] ?? fallback } },
+      ],
+    }).compile();
+    return module.get(AdminOperationsService);
+  };
+
+  beforeEach(() => {
+    operations = [];
+    audit = [];
+    operationRepository = {
+      create: jest.fn(d => ({ decidedBy: null, txHash: null, error: null, executedAt: null, ...d })),
+      save: jest.fn(async (o: AdminOperation) => {
+        if (!operations.includes(o)) operations.push(Object.assign(o, { id: o.id ?? `op-${operations.length + 1}` }));
+        return o;
+      }),
+      findOne: jest.fn(async ({ where }) => operations.find(o => o.id === where.id) ?? null),
+      find: jest.fn(async ({ where }) => operations.filter(o =>
+        o.status === where.status && (!where.expiresAt || o.expiresAt < where.expiresAt._value),
+      )),
+      update: jest.fn(async (criteria, patch) => {
+        const operation = operations.find(o => o.id === criteria.id && o.status === criteria.status);
+        if (operation) Object.assign(operation, patch);
+        return { affected: operation ? 1 : 0 };
+      }),
+    };
+    assetHub = {
+      isInitialized: jest.fn(() => true),
+      pause: jest.fn(async () => '0xpause'),
+      unpause: jest.fn(async () => '0xunpause'),
+      emergencyLiquidatePosition: jest.fn(async () => '0xliquidate'),
+      addChain: jest.fn(async () => '0xaddchain'),
+    };
+    moonbeam = {
+      isInitialized: jest.fn(() => true),
+      removeSupportedToken: jest.fn(async () => {
+        throw Object.assign(new Error('execution reverted'), { shortMessage: 'execution reverted: Ownable: caller is not the owner' });
+      }),
+    };
+  });
+
+  it('sends non-destructive calls straight away and audits the tx hash', async () => {
+    const service = await build();
+
+    const operation = await service.request('assetHub.addChain', {
+      chainId: 2004,
+      xcmDestination: '0x0102',
+      chainName: 'Moonbeam',
+      executor: '0x00000000000000000000000000000000000000cc',
+    }, ADMIN_1, 'onboard Moonbeam');
+
+    expect(assetHub.addChain).toHaveBeenCalledWith(2004, Uint8Array.from([1, 2]), 'Moonbeam', '0x00000000000000000000000000000000000000cc');
+    expect(operation).toMatchObject({
+      status: AdminOperationStatus.EXECUTED,
+      requiresApproval: false,
+      requestedBy: ADMIN_1,
+      reason: 'onboard Moonbeam',
+      txHash: '0xaddchain',
+    });
+    expect(audit.map(a => a.action)).toEqual([AdminAuditAction.REQUESTED, AdminAuditAction.EXECUTED]);
+    expect(audit[1]).toMatchObject({ operationId: operation.id, actor: ADMIN_1, actorRoles: ['admin'], txHash: '0xaddchain' });
+  });
+
+  it('refuses and audits requests from wallets without the role', async () => {
+    const service = await build();
+
+    await expect(service.request('assetHub.emergencyCancelPending', { positionId: POSITION_ID }, ADMIN_1))
+      .rejects.toThrow('assetHub.emergencyCancelPending requires the emergency role');
+
+    expect(operations).toHaveLength(0);
+    expect(audit).toEqual([expect.objectContaining({
+      operationId: null,
+      action: AdminAuditAction.DENIED,
+      actor: ADMIN_1,
+      params: { positionId: POSITION_ID },
+    })]);
+  });
+
+  describe('destructive operations', () => {
+    it('wait for approval and refuse the requester approving them', async () => {
+      const service = await build();
+
+      const pending = await service.request('assetHub.unpause', {}, ADMIN_1);
+      expect(pending).toMatchObject({ status: AdminOperationStatus.PENDING_APPROVAL, requiresApproval: true });
+      expect(pending.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 60_000);
+      expect(assetHub.unpause).not.toHaveBeenCalled();
+
+      await expect(service.approve(pending.id, ADMIN_1)).rejects.toThrow('A second person must approve');
+      expect(assetHub.unpause).not.toHaveBeenCalled();
+      expect(audit[audit.length - 1]).toMatchObject({ action: AdminAuditAction.DENIED, actor: ADMIN_1 });
+    });
+
+    it('are sent once a second holder of the role approves', async () => {
+      const service = await build();
+      const pending = await service.request('assetHub.unpause', {}, ADMIN_1);
+
+      const executed = await service.approve(pending.id, ADMIN_2);
+
+      expect(assetHub.unpause).toHaveBeenCalledTimes(1);
+      expect(executed).toMatchObject({ status: AdminOperationStatus.EXECUTED, decidedBy: ADMIN_2, txHash: '0xunpause' });
+      expect(audit.map(a => [a.action, a.actor])).toEqual([
+        [AdminAuditAction.REQUESTED, ADMIN_1],
+        [AdminAuditAction.APPROVED, ADMIN_2],
+        [AdminAuditAction.EXECUTED, ADMIN_2],
+      ]);
+    });
+
+    it('need the operation role to approve', async () => {
+      const service = await build();
+      const pending = await service.request(
+        'assetHub.emergencyLiquidatePosition',
+        { chainId: 2004, positionId: POSITION_ID, value: '0' },
+        EMERGENCY,
+      );
+
+      await expect(service.approve(pending.id, ADMIN_2)).rejects.toThrow('requires the emergency role');
+      expect(assetHub.emergencyLiquidatePosition).not.toHaveBeenCalled();
+    });
+
+    it('are decided only once', async () => {
+      const service = await build();
+      const pending = await service.request('assetHub.unpause', {}, ADMIN_1);
+      // Another approver claimed it between our read and our update
+      operationRepository.update.mockResolvedValueOnce({ affected: 0 });
+
+      await expect(service.approve(pending.id, ADMIN_2)).rejects.toThrow('was already decided');
+      expect(assetHub.unpause).not.toHaveBeenCalled();
+    });
+
+    it('can be rejected by the requester', async () => {
+      const service = await build();
+      const pending = await service.request('assetHub.unpause', {}, ADMIN_1);
+
+      await expect(service.reject(pending.id, ADMIN_1, 'not yet')).resolves.toMatchObject({
+        status: AdminOperationStatus.REJECTED,
+        decidedBy: ADMIN_1,
+      });
+      await expect(service.approve(pending.id, ADMIN_2)).rejects.toThrow('is rejected, not pending approval');
+      expect(audit[audit.length - 1]).toMatchObject({ action: AdminAuditAction.REJECTED, detail: 'not yet' });
+    });
+
+    it('expire when not approved in time', async () => {
+      const service = await build();
+      const pending = await service.request('assetHub.unpause', {}, ADMIN_1);
+
+      await expect(service.expireStale(new Date(Date.now() + 31 * 60_000))).resolves.toBe(1);
+
+      expect(pending.status).toBe(AdminOperationStatus.EXPIRED);
+      expect(audit[audit.length - 1]).toMatchObject({ action: AdminAuditAction.EXPIRED, actor: 'system' });
+      await expect(service.approve(pending.id, ADMIN_2)).rejects.toThrow('is expired');
+    });
+  });
+
+  it('records a reverted transaction as failed', async () => {
+    const service = await build();
+    const pending = await service.request(
+      'moonbeam.removeSupportedToken',
+      { token: '0x00000000000000000000000000000000000000dd' },
+      ADMIN_1,
+    );
+
+    const failed = await service.approve(pending.id, ADMIN_2);
+
+    expect(failed).toMatchObject({
+      status: AdminOperationStatus.FAILED,
+      txHash: null,
+      error: 'execution reverted: Ownable: caller is not the owner',
+    });
+    expect(audit[audit.length - 1]).toMatchObject({ action: AdminAuditAction.FAILED, txHash: null });
+  });
+});
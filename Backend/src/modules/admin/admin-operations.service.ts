@@ -0,0 +1,405 @@
+/**
+ * Admin Operations Service
+ *
+ * Runs the privileged AssetHubVault and XCMProxy calls behind /admin/contracts.
+ * Each request is checked against the contract role it needs (wallet lists in
+ * ADMIN_, OPERATOR_ and EMERGENCY_WALLET_ADDRESSES) and stored as an
+ * operation. Non-destructive calls are sent straight away; destructive ones
+ * wait until a second holder of the role approves them, and expire after
+ * ADMIN_APPROVAL_TTL_MINUTES.
+ *
+ * Every request, decision, refusal and transaction result is written to
+ * admin_audit_logs, which is insert-only.
+ */
+
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  Injectable,
+  Logger,
+  NotFoundException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { LessThan, Repository } from 'typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { ethers } from 'ethers';
+import { AssetHubService } from '../blockchain/services/asset-hub.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { AdminOperation, AdminOperationStatus } from './entities/admin-operation.entity';
+import { AdminAuditAction, AdminAuditLog } from './entities/admin-audit-log.entity';
+import {
+  ADMIN_OPERATIONS,
+  AdminOperationParams,
+  AdminOperationType,
+  AdminRole,
+  RoleAssignments,
+  approvalRefusal,
+  roleAssignmentsFrom,
+  rolesOf,
+} from './admin-operations.logic';
+
+const MAX_ERROR_LENGTH = 1000;
+const DEFAULT_LIST_LIMIT = 100;
+const SYSTEM_ACTOR = 'system';
+
+@Injectable()
+export class AdminOperationsService {
+  private readonly logger = new Logger(AdminOperationsService.name);
+  private readonly roles: RoleAssignments;
+  private readonly approvalTtlMs: number;
+
+  constructor(
+    @InjectRepository(AdminOperation)
+    private operationRepository: Repository<AdminOperation>,
+    @InjectRepository(AdminAuditLog)
+    private auditRepository: Repository<AdminAuditLog>,
+    private assetHubService: AssetHubService,
+    private moonbeamService: MoonbeamService,
+    private configService: ConfigService,
+  ) {
+    this.roles = roleAssignmentsFrom(key => this.configService.get(key, ''));
+    this.approvalTtlMs = Number(this.configService.get('ADMIN_APPROVAL_TTL_MINUTES', 60)) * 60 * 1000;
+  }
+
+  /**
+   * Roles held by a wallet
+   */
+  rolesOf(walletAddress: string): AdminRole[] {
+    return rolesOf(walletAddress, this.roles);
+  }
+
+  /**
+   * Audit an admin action taken outside the operation workflow, e.g. a
+   * trapped-asset claim, under the id of the record it acted on
+   */
+  async recordAction(entry: {
+    subjectId: string;
+    operationType: string;
+    action: AdminAuditAction;
+    actor: string;
+    params: object;
+    txHash?: string | null;
+    detail?: string | null;
+  }): Promise<void> {
+    const { subjectId, ...rest } = entry;
+    const actor = entry.actor.toLowerCase();
+    await this.audit({ ...rest, operationId: subjectId, actor, actorRoles: this.rolesOf(actor) });
+  }
+
+  /**
+   * Request a contract call. Non-destructive calls are sent immediately and
+   * the returned operation carries the tx hash; destructive ones are
+   * returned pending approval.
+   */
+  async request<T extends AdminOperationType>(
+    type: T,
+    params: AdminOperationParams[T],
+    walletAddress: string,
+    reason?: string,
+  ): Promise<AdminOperation> {
+    const actor = walletAddress.toLowerCase();
+    const actorRoles = this.rolesOf(actor);
+    const { role, destructive } = ADMIN_OPERATIONS[type];
+
+    if (!actorRoles.includes(role)) {
+      await this.audit({
+        operationId: null,
+        operationType: type,
+        action: AdminAuditAction.DENIED,
+        actor,
+        actorRoles,
+        params,
+        detail: `${type} requires the ${role} role`,
+      });
+      throw new ForbiddenException(`${type} requires the ${role} role`);
+    }
+
+    const operation = await this.operationRepository.save(this.operationRepository.create({
+      type,
+      params: params as Record<string, unknown>,
+      reason: reason ?? null,
+      status: destructive ? AdminOperationStatus.PENDING_APPROVAL : AdminOperationStatus.EXECUTING,
+      requiresApproval: destructive,
+      requestedBy: actor,
+      expiresAt: destructive ? new Date(Date.now() + this.approvalTtlMs) : null,
+    }));
+    await this.audit({
+      operationId: operation.id,
+      operationType: type,
+      action: AdminAuditAction.REQUESTED,
+      actor,
+      actorRoles,
+      params,
+      detail: reason ?? null,
+    });
+
+    if (destructive) {
+      this.logger.log(`Admin operation ${operation.id} (${type}) requested by ${actor}, awaiting approval`);
+      return operation;
+    }
+    return this.execute(operation);
+  }
+
+  /**
+   * Second-person approval of a pending operation, which then sends it
+   */
+  async approve(id: string, walletAddress: string): Promise<AdminOperation> {
+    await this.expireStale();
+    const approver = walletAddress.toLowerCase();
+    const approverRoles = this.rolesOf(approver);
+    const operation = await this.getPending(id);
+
+    const refusal = approvalRefusal({
+      type: operation.type,
+      requestedBy: operation.requestedBy,
+      approver,
+      approverRoles,
+    });
+    if (refusal) {
+      await this.audit({
+        operationId: operation.id,
+        operationType: operation.type,
+        action: AdminAuditAction.DENIED,
+        actor: approver,
+        actorRoles: approverRoles,
+        params: operation.params,
+        detail: refusal,
+      });
+      throw new ForbiddenException(refusal);
+    }
+
+    await this.claim(operation, AdminOperationStatus.EXECUTING, approver);
+    await this.audit({
+      operationId: operation.id,
+      operationType: operation.type,
+      action: AdminAuditAction.APPROVED,
+      actor: approver,
+      actorRoles: approverRoles,
+      params: operation.params,
+    });
+    this.logger.log(`Admin operation ${operation.id} (${operation.type}) approved by ${approver}`);
+    return this.execute(operation);
+  }
+
+  /**
+   * Turn down a pending operation. Any holder of the role may reject,
+   * including the requester withdrawing it.
+   */
+  async reject(id: string, walletAddress: string, reason?: string): Promise<AdminOperation> {
+    const actor = walletAddress.toLowerCase();
+    const actorRoles = this.rolesOf(actor);
+    const operation = await this.getPending(id);
+    const { role } = ADMIN_OPERATIONS[operation.type];
+
+    if (!actorRoles.includes(role)) {
+      await this.audit({
+        operationId: operation.id,
+        operationType: operation.type,
+        action: AdminAuditAction.DENIED,
+        actor,
+        actorRoles,
+        params: operation.params,
+        detail: `${operation.type} requires the ${role} role`,
+      });
+      throw new ForbiddenException(`${operation.type} requires the ${role} role`);
+    }
+
+    await this.claim(operation, AdminOperationStatus.REJECTED, actor);
+    await this.audit({
+      operationId: operation.id,
+      operationType: operation.type,
+      action: AdminAuditAction.REJECTED,
+      actor,
+      actorRoles,
+      params: operation.params,
+      detail: reason ?? null,
+    });
+    this.logger.log(`Admin operation ${operation.id} (${operation.type}) rejected by ${actor}`);
+    return operation;
+  }
+
+  /**
+   * Mark pending operations past their approval deadline as expired
+   */
+  @Cron(CronExpression.EVERY_5_MINUTES)
+  async expireStale(now = new Date()): Promise<number> {
+    const stale = await this.operationRepository.find({
+      where: { status: AdminOperationStatus.PENDING_APPROVAL, expiresAt: LessThan(now) },
+    });
+    let expired = 0;
+    for (const operation of stale) {
+      const result = await this.operationRepository.update(
+        { id: operation.id, status: AdminOperationStatus.PENDING_APPROVAL },
+        { status: AdminOperationStatus.EXPIRED },
+      );
+      if (!result.affected) continue;
+      expired++;
+      await this.audit({
+        operationId: operation.id,
+        operationType: operation.type,
+        action: AdminAuditAction.EXPIRED,
+        actor: SYSTEM_ACTOR,
+        actorRoles: [],
+        params: operation.params,
+        detail: `Not approved by ${operation.expiresAt.toISOString()}`,
+      });
+    }
+    if (expired > 0) {
+      this.logger.log(`Expired ${expired} unapproved admin operation(s)`);
+    }
+    return expired;
+  }
+
+  async list(status?: AdminOperationStatus, limit = DEFAULT_LIST_LIMIT): Promise<AdminOperation[]> {
+    return this.operationRepository.find({
+      where: status ? { status } : {},
+      order: { createdAt: 'DESC' },
+      take: limit,
+    });
+  }
+
+  async getOperation(id: string): Promise<AdminOperation> {
+    const operation = await this.operationRepository.findOne({ where: { id } });
+    if (!operation) {
+      throw new NotFoundException(`Admin operation ${id} not found`);
+    }
+    return operation;
+  }
+
+  async auditLog(filter: { operationId?: string; actor?: string; limit?: number } = {}): Promise<AdminAuditLog[]> {
+    return this.auditRepository.find({
+      where: {
+        ...(filter.operationId ? { operationId: filter.operationId } : {}),
+        ...(filter.actor ? { actor: filter.actor.toLowerCase() } : {}),
+      },
+      order: { createdAt: 'DESC' },
+      take: filter.limit ?? DEFAULT_LIST_LIMIT,
+    });
+  }
+
+  /**
+   * Send the call and record the outcome. Failures are recorded on the
+   * operation and in the audit log rather than thrown, so the caller sees
+   * the failed operation.
+   */
+  private async execute(operation: AdminOperation): Promise<AdminOperation> {
+    try {
+      operation.txHash = await this.send(operation);
+      operation.status = AdminOperationStatus.EXECUTED;
+      operation.error = null;
+      operation.executedAt = new Date();
+      this.logger.log(`Admin operation ${operation.id} (${operation.type}) executed: ${operation.txHash}`);
+    } catch (error) {
+      operation.status = AdminOperationStatus.FAILED;
+      operation.error = String(error?.shortMessage ?? error?.message ?? error).slice(0, MAX_ERROR_LENGTH);
+      this.logger.error(`Admin operation ${operation.id} (${operation.type}) failed: ${operation.error}`);
+    }
+
+    const saved = await this.operationRepository.save(operation);
+    await this.audit({
+      operationId: operation.id,
+      operationType: operation.type,
+      action: operation.status === AdminOperationStatus.EXECUTED ? AdminAuditAction.EXECUTED : AdminAuditAction.FAILED,
+      actor: operation.decidedBy ?? operation.requestedBy,
+      actorRoles: this.rolesOf(operation.decidedBy ?? operation.requestedBy),
+      params: operation.params,
+      txHash: operation.txHash ?? null,
+      detail: operation.error,
+    });
+    return saved;
+  }
+
+  private async send(operation: AdminOperation): Promise<string> {
+    const type = operation.type;
+    const params = operation.params as any;
+    const service = type.startsWith('assetHub.') ? this.assetHubService : this.moonbeamService;
+    if (!service.isInitialized()) {
+      throw new Error(`${type.split('.')[0]} contract is not initialized`);
+    }
+
+    switch (type) {
+      case 'assetHub.pause':
+        return this.assetHubService.pause();
+      case 'assetHub.unpause':
+        return this.assetHubService.unpause();
+      case 'assetHub.setTestMode':
+        return this.assetHubService.setTestMode(params.enabled);
+      case 'assetHub.addChain':
+        return this.assetHubService.addChain(
+          params.chainId,
+          ethers.getBytes(params.xcmDestination),
+          params.chainName,
+          params.executor,
+        );
+      case 'assetHub.removeChain':
+        return this.assetHubService.removeChain(params.chainId);
+      case 'assetHub.updateChainExecutor':
+        return this.assetHubService.updateChainExecutor(params.chainId, params.executor);
+      case 'assetHub.setOperator':
+        return this.assetHubService.setOperator(params.address);
+      case 'assetHub.setEmergency':
+        return this.assetHubService.setEmergency(params.address);
+      case 'assetHub.emergencyLiquidatePosition':
+        return this.assetHubService.emergencyLiquidatePosition(params.chainId, params.positionId, BigInt(params.value));
+      case 'assetHub.emergencyCancelPending':
+        return this.assetHubService.emergencyCancelPending(params.positionId);
+      case 'moonbeam.pause':
+        return this.moonbeamService.pause();
+      case 'moonbeam.unpause':
+        return this.moonbeamService.unpause();
+      case 'moonbeam.setTestMode':
+        return this.moonbeamService.setTestMode(params.enabled);
+      case 'moonbeam.addSupportedToken':
+        return this.moonbeamService.addSupportedToken(params.token);
+      case 'moonbeam.removeSupportedToken':
+        return this.moonbeamService.removeSupportedToken(params.token);
+      case 'moonbeam.cancelPendingPosition':
+        return this.moonbeamService.cancelPendingPosition(params.assetHubPositionId);
+      default:
+        throw new Error(`Unknown admin operation ${type}`);
+    }
+  }
+
+  private async getPending(id: string): Promise<AdminOperation> {
+    const operation = await this.getOperation(id);
+    if (operation.status !== AdminOperationStatus.PENDING_APPROVAL) {
+      throw new BadRequestException(`Admin operation ${id} is ${operation.status}, not pending approval`);
+    }
+    return operation;
+  }
+
+  /**
+   * Move a pending operation on, failing if someone else decided it first
+   */
+  private async claim(operation: AdminOperation, status: AdminOperationStatus, decidedBy: string): Promise<void> {
+    const result = await this.operationRepository.update(
+      { id: operation.id, status: AdminOperationStatus.PENDING_APPROVAL },
+      { status, decidedBy },
+    );
+    if (!result.affected) {
+      throw new ConflictException(`Admin operation ${operation.id} was already decided`);
+    }
+    operation.status = status;
+    operation.decidedBy = decidedBy;
+  }
+
+  private async audit(entry: {
+    operationId: string | null;
+    operationType: string;
+    action: AdminAuditAction;
+    actor: string;
+    actorRoles: AdminRole[];
+    params: object;
+    txHash?: string | null;
+    detail?: string | null;
+  }): Promise<void> {
+    await this.auditRepository.insert({
+      ...entry,
+      params: entry.params as Record<string, unknown>,
+      txHash: entry.txHash ?? null,
+      detail: entry.detail ?? null,
+    });
+  }
+}
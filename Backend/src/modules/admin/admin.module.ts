@@ -0,0 +1,21 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { ConfigModule } from '@nestjs/config';
+import { AdminOperationsService } from './admin-operations.service';
+import { AdminContractsController } from './admin-contracts.controller';
+import { AdminOperationsController } from './admin-operations.controller';
+import { AdminOperation } from './entities/admin-operation.entity';
+import { AdminAuditLog } from './entities/admin-audit-log.entity';
+import { BlockchainModule } from '../blockchain/blockchain.module';
+
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([AdminOperation, AdminAuditLog]),
+    BlockchainModule,
+    ConfigModule,
+  ],
+  controllers: [AdminContractsController, AdminOperationsController],
+  providers: [AdminOperationsService],
+  exports: [AdminOperationsService],
+})
+export class AdminModule { }
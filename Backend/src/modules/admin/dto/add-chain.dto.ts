@@ -0,0 +1,21 @@
+import { IsEthereumAddress, IsInt, IsString, Matches, Max, MaxLength, Min } from 'class-validator';
+import { AdminOperationDto } from './admin-operation.dto';
+
+export class AddChainDto extends AdminOperationDto {
+  @IsInt()
+  @Min(0)
+  @Max(4294967295)
+  chainId: number;
+
+  /** ABI-encoded XCM MultiLocation of the chain */
+  @Matches(/^0x([0-9a-fA-F]{2})+$/, { message: 'xcmDestination must be non-empty hex bytes' })
+  xcmDestination: string;
+
+  @IsString()
+  @MaxLength(64)
+  chainName: string;
+
+  /** Executor contract on the chain (XCMProxy) */
+  @IsEthereumAddress()
+  executor: string;
+}
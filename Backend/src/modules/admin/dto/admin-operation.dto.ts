@@ -0,0 +1,10 @@
+import { IsOptional, IsString, MaxLength } from 'class-validator';
+
+/** Fields every contract operation request accepts */
+export class AdminOperationDto {
+  /** Why the operation is needed; kept on the operation and in the audit log */
+  @IsOptional()
+  @IsString()
+  @MaxLength(1000)
+  reason?: string;
+}
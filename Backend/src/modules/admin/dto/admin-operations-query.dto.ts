@@ -0,0 +1,16 @@
+import { Type } from 'class-transformer';
+import { IsEnum, IsInt, IsOptional, Max, Min } from 'class-validator';
+import { AdminOperationStatus } from '../entities/admin-operation.entity';
+
+export class AdminOperationsQueryDto {
+  @IsOptional()
+  @IsEnum(AdminOperationStatus)
+  status?: AdminOperationStatus;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(500)
+  limit?: number;
+}
@@ -0,0 +1,8 @@
+import { Matches } from 'class-validator';
+import { AdminOperationDto } from './admin-operation.dto';
+import { BYTES32_PATTERN } from './position-id.dto';
+
+export class CancelPendingPositionDto extends AdminOperationDto {
+  @Matches(BYTES32_PATTERN, { message: 'assetHubPositionId must be a bytes32 hex string' })
+  assetHubPositionId: string;
+}
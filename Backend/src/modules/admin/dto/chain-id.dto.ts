@@ -0,0 +1,9 @@
+import { IsInt, Max, Min } from 'class-validator';
+import { AdminOperationDto } from './admin-operation.dto';
+
+export class ChainIdDto extends AdminOperationDto {
+  @IsInt()
+  @Min(0)
+  @Max(4294967295)
+  chainId: number;
+}
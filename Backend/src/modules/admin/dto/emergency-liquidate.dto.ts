@@ -0,0 +1,14 @@
+import { IsInt, IsOptional, Matches, Max, Min } from 'class-validator';
+import { PositionIdDto } from './position-id.dto';
+
+export class EmergencyLiquidateDto extends PositionIdDto {
+  @IsInt()
+  @Min(0)
+  @Max(4294967295)
+  chainId: number;
+
+  /** Native value sent with the call and credited to the owner (wei, decimal string) */
+  @IsOptional()
+  @Matches(/^\d{1,78}$/, { message: 'value must be a non-negative integer string' })
+  value?: string;
+}
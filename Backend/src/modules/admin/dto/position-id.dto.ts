@@ -0,0 +1,10 @@
+import { Matches } from 'class-validator';
+import { AdminOperationDto } from './admin-operation.dto';
+
+export const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+export class PositionIdDto extends AdminOperationDto {
+  /** Asset Hub position id (bytes32) */
+  @Matches(BYTES32_PATTERN, { message: 'positionId must be a bytes32 hex string' })
+  positionId: string;
+}
@@ -0,0 +1,9 @@
+import { IsOptional, IsString, MaxLength } from 'class-validator';
+
+export class RejectOperationDto {
+  /** Recorded in the audit log */
+  @IsOptional()
+  @IsString()
+  @MaxLength(1000)
+  reason?: string;
+}
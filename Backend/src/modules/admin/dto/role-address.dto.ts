@@ -0,0 +1,8 @@
+import { IsEthereumAddress } from 'class-validator';
+import { AdminOperationDto } from './admin-operation.dto';
+
+/** New holder of a contract role (operator, emergency) */
+export class RoleAddressDto extends AdminOperationDto {
+  @IsEthereumAddress()
+  address: string;
+}
@@ -0,0 +1,7 @@
+import { IsBoolean } from 'class-validator';
+import { AdminOperationDto } from './admin-operation.dto';
+
+export class SetTestModeDto extends AdminOperationDto {
+  @IsBoolean()
+  enabled: boolean;
+}
@@ -0,0 +1,7 @@
+import { IsEthereumAddress } from 'class-validator';
+import { AdminOperationDto } from './admin-operation.dto';
+
+export class SupportedTokenDto extends AdminOperationDto {
+  @IsEthereumAddress()
+  token: string;
+}
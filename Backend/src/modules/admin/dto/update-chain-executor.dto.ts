@@ -0,0 +1,7 @@
+import { IsEthereumAddress } from 'class-validator';
+import { ChainIdDto } from './chain-id.dto';
+
+export class UpdateChainExecutorDto extends ChainIdDto {
+  @IsEthereumAddress()
+  executor: string;
+}
@@ -0,0 +1,55 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, Index } from 'typeorm';
+
+export enum AdminAuditAction {
+  REQUESTED = 'requested',
+  APPROVED = 'approved',
+  REJECTED = 'rejected',
+  EXECUTED = 'executed',
+  FAILED = 'failed',
+  EXPIRED = 'expired',
+  DENIED = 'denied', // Attempt without the required role, or a self-approval
+}
+
+/**
+ * Append-only record of who did what to which operation (or trapped-asset
+ * claim), with the resulting tx hash. Rows are only ever inserted; a trigger
+ * on the table rejects UPDATE and DELETE.
+ */
+@Entity('admin_audit_logs')
+@Index('IDX_admin_audit_logs_operation', ['operationId'])
+@Index('IDX_admin_audit_logs_actor_created', ['actor', 'createdAt'])
+export class AdminAuditLog {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ type: 'uuid', nullable: true })
+  operationId: string | null; // Operation, or the record acted on (trapped asset); null for denied requests
+
+  @Column({ type: 'varchar', length: 64 })
+  operationType: string;
+
+  @Column({
+    type: 'enum',
+    enum: AdminAuditAction,
+    enumName: 'admin_audit_action_enum',
+  })
+  action: AdminAuditAction;
+
+  @Column({ type: 'varchar', length: 64 })
+  actor: string; // Wallet, or "system" for expiry
+
+  @Column({ type: 'jsonb', default: () => "'[]'" })
+  actorRoles: string[];
+
+  @Column({ type: 'jsonb', default: () => "'{}'" })
+  params: Record<string, unknown>;
+
+  @Column({ type: 'varchar', length: 66, nullable: true })
+  txHash: string | null;
+
+  @Column({ type: 'text', nullable: true })
+  detail: string | null; // Reason, error or refusal
+
+  @CreateDateColumn()
+  createdAt: Date;
+}
@@ -0,0 +1,66 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, Index } from 'typeorm';
+import type { AdminOperationType } from '../admin-operations.logic';
+
+export enum AdminOperationStatus {
+  PENDING_APPROVAL = 'pending_approval', // Destructive: waiting for a second holder of the role
+  EXECUTING = 'executing', // Transaction being sent
+  EXECUTED = 'executed',
+  FAILED = 'failed', // Transaction reverted or could not be sent
+  REJECTED = 'rejected',
+  EXPIRED = 'expired', // Not approved within ADMIN_APPROVAL_TTL_MINUTES
+}
+
+/**
+ * One privileged contract call requested through /admin/contracts, from
+ * request through approval (when destructive) to its transaction.
+ */
+@Entity('admin_operations')
+@Index('IDX_admin_operations_status', ['status'])
+@Index('IDX_admin_operations_created', ['createdAt'])
+export class AdminOperation {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ type: 'varchar', length: 64 })
+  type: AdminOperationType;
+
+  @Column({ type: 'jsonb', default: () => "'{}'" })
+  params: Record<string, unknown>;
+
+  @Column({ type: 'text', nullable: true })
+  reason: string | null; // Requester's justification
+
+  @Column({
+    type: 'enum',
+    enum: AdminOperationStatus,
+    enumName: 'admin_operation_status_enum',
+  })
+  status: AdminOperationStatus;
+
+  @Column({ type: 'boolean', default: false })
+  requiresApproval: boolean;
+
+  @Column({ type: 'varchar', length: 64 })
+  requestedBy: string; // Wallet
+
+  @Column({ type: 'varchar', length: 64, nullable: true })
+  decidedBy: string | null; // Wallet that approved or rejected
+
+  @Column({ type: 'timestamp', nullable: true })
+  expiresAt: Date | null; // Approval deadline
+
+  @Column({ type: 'varchar', length: 66, nullable: true })
+  txHash: string | null;
+
+  @Column({ type: 'text', nullable: true })
+  error: string | null;
+
+  @Column({ type: 'timestamp', nullable: true })
+  executedAt: Date | null;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
@@ -0,0 +1,22 @@
+import { Module } from '@nestjs/common';
+import { ConfigModule } from '@nestjs/config';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { AlertsService } from './alerts.service';
+import { StuckPositionMonitorService } from './stuck-position-monitor.service';
+import { Position } from '../positions/entities/position.entity';
+
+/**
+ * AlertsModule
+ *
+ * Operator alerting for failures that need manual intervention
+ * (failed liquidations, failed Phase 2 execution, stuck positions).
+ */
+@Module({
+  imports: [
+    ConfigModule,
+    TypeOrmModule.forFeature([Position]),
+  ],
+  providers: [AlertsService, StuckPositionMonitorService],
+  exports: [AlertsService],
+})
+export class AlertsModule { }
@@ -0,0 +1,159 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { AlertsService } from './alerts.service';
+import { StuckPositionMonitorService } from './stuck-position-monitor.service';
+import { Alert, AlertChannel, AlertInput, AlertSeverity } from './types/alert.types';
+import { JsonPostAlertChannel, WebhookAlertChannel, formatAlertText } from './channels';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+
+class RecordingChannel implements AlertChannel {
+  readonly sent: Alert[] = [];
+  constructor(readonly name: string, readonly minSeverity: AlertSeverity, private readonly fail = false) {}
+
+  async send(alert: Alert): Promise<void> {
+    if (this.fail) throw new Error('boom');
+    this.sent.push(alert);
+  }
+}
+
+const failedLiquidation: AlertInput = {
+  key: 'liquidation_failed:pos-1',
+  severity: AlertSeverity.CRITICAL,
+  title: 'Failed liquidation',
+  message: 'reverted',
+  positionId: 'pos-1',
+};
+
+describe('AlertsService', () => {
+  let service: AlertsService;
+  let config: Record<string, any>;
+  let positionRepository: { find: jest.Mock };
+  let monitor: StuckPositionMonitorService;
+
+  beforeEach(async () => {
+    config = { ALERT_DEDUPE_WINDOW_MS: 60_000 };
+    positionRepository = { find: jest.fn().mockResolvedValue([]) };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        AlertsService,
+        StuckPositionMonitorService,
+        { provide: ConfigService, useValue: { get: jest.fn((key: string, def?: any) => config[key] ?? def) } },
+        { provide: getRepositoryToken(Position), useValue: positionRepository },
+      ],
+    }).compile();
+
+    service = module.get(AlertsService);
+    monitor = module.get(StuckPositionMonitorService);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('builds channels from config', () => {
+    config.ALERT_WEBHOOK_URL = 'https://hooks.example/x';
+    config.ALERT_JSON_POST_URL = 'https://ops.example/alerts';
+    config.ALERT_JSON_POST_MIN_SEVERITY = 'critical';
+
+    service.onModuleInit();
+
+    expect(service.getChannels().map(c => [c.name, c.minSeverity])).toEqual([
+      ['webhook', AlertSeverity.WARNING],
+      ['json-post', AlertSeverity.CRITICAL],
+    ]);
+  });
+
+  it('routes alerts to channels by minimum severity', async () => {
+    const chat = new RecordingChannel('chat', AlertSeverity.WARNING);
+    const pager = new RecordingChannel('pager', AlertSeverity.CRITICAL);
+    service.registerChannel(chat);
+    service.registerChannel(pager);
+
+    await service.send({ ...failedLiquidation, key: 'a', severity: AlertSeverity.WARNING });
+    await service.send({ ...failedLiquidation, key: 'b' });
+
+    expect(chat.sent.map(a => a.key)).toEqual(['a', 'b']);
+    expect(pager.sent.map(a => a.key)).toEqual(['b']);
+  });
+
+  it('rate-limits alerts per key and reports the suppressed count', async () => {
+    const chat = new RecordingChannel('chat', AlertSeverity.INFO);
+    service.registerChannel(chat);
+    const t0 = new Date('2025-01-01T00:00:00Z');
+
+    expect(await service.send(failedLiquidation, t0)).toBe(true);
+    expect(await service.send(failedLiquidation, new Date(t0.getTime() + 10_000))).toBe(false);
+    expect(await service.send(failedLiquidation, new Date(t0.getTime() + 20_000))).toBe(false);
+    expect(await service.send({ ...failedLiquidation, key: 'liquidation_failed:pos-2' }, t0)).toBe(true);
+    expect(await service.send(failedLiquidation, new Date(t0.getTime() + 61_000))).toBe(true);
+
+    expect(chat.sent).toHaveLength(3);
+    expect(chat.sent[2].suppressedCount).toBe(2);
+  });
+
+  it('lets an escalation through inside the dedupe window', async () => {
+    const chat = new RecordingChannel('chat', AlertSeverity.INFO);
+    service.registerChannel(chat);
+
+    await service.send({ ...failedLiquidation, severity: AlertSeverity.WARNING });
+    await service.send(failedLiquidation);
+    await service.send({ ...failedLiquidation, severity: AlertSeverity.WARNING });
+
+    expect(chat.sent.map(a => a.severity)).toEqual([AlertSeverity.WARNING, AlertSeverity.CRITICAL]);
+  });
+
+  it('isolates channel failures', async () => {
+    const broken = new RecordingChannel('broken', AlertSeverity.INFO, true);
+    const chat = new RecordingChannel('chat', AlertSeverity.INFO);
+    service.registerChannel(broken);
+    service.registerChannel(chat);
+
+    await expect(service.send(failedLiquidation)).resolves.toBe(true);
+    expect(chat.sent).toHaveLength(1);
+  });
+
+  it('posts a text payload to chat webhooks', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200 } as Response);
+    const channel = new WebhookAlertChannel('https://hooks.example/x', AlertSeverity.INFO, 5000);
+    const alert: Alert = { ...failedLiquidation, timestamp: new Date('2025-01-01T00:00:00Z'), suppressedCount: 1 };
+
+    await channel.send(alert);
+
+    const [, init] = fetchMock.mock.calls[0];
+    expect(JSON.parse(init!.body as string)).toEqual({ text: formatAlertText(alert) });
+    expect(init!.signal).toBeInstanceOf(AbortSignal);
+    expect(formatAlertText(alert)).toContain('[CRITICAL] Failed liquidation');
+    expect(formatAlertText(alert)).toContain('1 similar alert(s) suppressed');
+  });
+
+  it('gives up on an endpoint that does not answer within the timeout', async () => {
+    // Never answers; rejects only when the request is aborted
+    jest.spyOn(global, 'fetch').mockImplementation((_url, init) => new Promise((_resolve, reject) => {
+      init!.signal!.addEventListener('abort', () => reject(init!.signal!.reason));
+    }));
+    const channel = new JsonPostAlertChannel('https://ops.example/alerts', AlertSeverity.INFO, 20);
+    service.registerChannel(channel);
+
+    await expect(channel.send({ ...failedLiquidation, timestamp: new Date(), suppressedCount: 0 })).rejects.toThrow();
+    await expect(service.send(failedLiquidation)).resolves.toBe(true);
+  });
+
+  it('alerts on positions stuck in PENDING_EXECUTION past the threshold', async () => {
+    const chat = new RecordingChannel('chat', AlertSeverity.INFO);
+    service.registerChannel(chat);
+    const now = new Date('2025-01-01T12:00:00Z');
+    positionRepository.find.mockResolvedValue([
+      { id: 'pos-9', userId: 'u1', poolId: 'p1', status: PositionStatus.PENDING_EXECUTION, createdAt: new Date('2025-01-01T11:15:00Z') },
+    ]);
+
+    expect(await monitor.checkStuckPositions(now)).toBe(1);
+
+    const where = positionRepository.find.mock.calls[0][0].where;
+    expect(where.status).toBe(PositionStatus.PENDING_EXECUTION);
+    expect(where.createdAt.value).toEqual(new Date('2025-01-01T11:30:00Z'));
+    expect(chat.sent[0]).toMatchObject({ key: 'stuck_pending:pos-9', severity: AlertSeverity.WARNING, positionId: 'pos-9' });
+    expect(chat.sent[0].message).toContain('45 minutes');
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Alerts Service
+ *
+ * Fans alerts out to the configured channels (chat webhook, SMTP email,
+ * generic JSON-POST). Every alert is also written to the logger, so with no
+ * channel configured the behaviour matches the previous log-only alerts.
+ *
+ * Alerts sharing a dedupe key (one per position and failure kind) are sent at
+ * most once per ALERT_DEDUPE_WINDOW_MS; a more severe alert for the same key
+ * is always sent. Channel failures are logged and never propagate to callers.
+ */
+
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { EmailAlertChannel, JsonPostAlertChannel, WebhookAlertChannel } from './channels';
+import { Alert, AlertChannel, AlertInput, AlertSeverity, isAtLeast, parseSeverity } from './types/alert.types';
+
+interface DedupeEntry {
+  lastSentAt: number;
+  severity: AlertSeverity;
+  suppressedCount: number;
+}
+
+@Injectable()
+export class AlertsService implements OnModuleInit {
+  private readonly logger = new Logger(AlertsService.name);
+  private readonly channels: AlertChannel[] = [];
+  private readonly dedupe = new Map<string, DedupeEntry>();
+
+  constructor(private configService: ConfigService) {}
+
+  /** Minimum time between two deliveries for the same dedupe key. */
+  get dedupeWindowMs(): number {
+    return Number(this.configService.get('ALERT_DEDUPE_WINDOW_MS', 60 * 60 * 1000));
+  }
+
+  onModuleInit() {
+    for (const channel of this.buildConfiguredChannels()) {
+      this.registerChannel(channel);
+    }
+
+    if (this.channels.length === 0) {
+      this.logger.warn('No alert channels configured, alerts will only be logged');
+    }
+  }
+
+  /**
+   * Add a channel at runtime (custom integrations, tests)
+   */
+  registerChannel(channel: AlertChannel): void {
+    this.channels.push(channel);
+    this.logger.log(`Alert channel registered: ${channel.name} (min severity: ${channel.minSeverity})`);
+  }
+
+  getChannels(): AlertChannel[] {
+    return [...this.channels];
+  }
+
+  /**
+   * Raise an alert. Resolves once every eligible channel has been tried.
+   *
+   * @returns true if the alert was delivered, false if it was rate-limited
+   */
+  async send(input: AlertInput, now: Date = new Date()): Promise<boolean> {
+    const entry = this.dedupe.get(input.key);
+    const escalated = entry && !isAtLeast(entry.severity, input.severity);
+
+    if (entry && !escalated && now.getTime() - entry.lastSentAt < this.dedupeWindowMs) {
+      entry.suppressedCount++;
+      this.logger.debug(`Alert ${input.key} suppressed (${entry.suppressedCount} since last delivery)`);
+      return false;
+    }
+
+    const alert: Alert = { ...input, timestamp: now, suppressedCount: entry?.suppressedCount ?? 0 };
+    this.dedupe.set(input.key, { lastSentAt: now.getTime(), severity: input.severity, suppressedCount: 0 });
+    this.pruneDedupe(now);
+
+    this.logAlert(alert);
+
+    const targets = this.channels.filter(c => isAtLeast(alert.severity, c.minSeverity));
+    const results = await Promise.allSettled(targets.map(c => c.send(alert)));
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        const reason = result.reason instanceof Error ? result.reason.message : String(result.reason);
+        this.logger.error(`Alert channel ${targets[i].name} failed for ${alert.key}: ${reason}`);
+      }
+    });
+
+    return true;
+  }
+
+  private logAlert(alert: Alert): void {
+    const text = `🚨 ALERT [${alert.severity}] ${alert.title}: ${alert.message}` +
+      (alert.positionId ? ` (position ${alert.positionId})` : '');
+
+    if (alert.severity === AlertSeverity.INFO) {
+      this.logger.log(text);
+    } else if (alert.severity === AlertSeverity.WARNING) {
+      this.logger.warn(text);
+    } else {
+      this.logger.error(text);
+    }
+  }
+
+  /**
+   * Forget keys whose window has long passed so the map stays bounded
+   */
+  private pruneDedupe(now: Date): void {
+    const expiry = now.getTime() - 2 * this.dedupeWindowMs;
+    for (const [key, entry] of this.dedupe) {
+      if (entry.lastSentAt < expiry) this.dedupe.delete(key);
+    }
+  }
+
+  private buildConfiguredChannels(): AlertChannel[] {
+    const channels: AlertChannel[] = [];
+    const defaultMin = parseSeverity(this.configService.get('ALERT_MIN_SEVERITY'), AlertSeverity.WARNING);
+    const minFor = (prefix: string) =>
+      parseSeverity(this.configService.get(`ALERT_${prefix}_MIN_SEVERITY`), defaultMin);
+    // Alerts are awaited by the workers that raise them; a slow endpoint must not stall them
+    const timeoutMs = Number(this.configService.get('ALERT_TIMEOUT_MS', 5000));
+
+    const webhookUrl = this.configService.get<string>('ALERT_WEBHOOK_URL');
+    if (webhookUrl) {
+      channels.push(new WebhookAlertChannel(webhookUrl, minFor('WEBHOOK'), timeoutMs));
+    }
+
+    const jsonPostUrl = this.configService.get<string>('ALERT_JSON_POST_URL');
+    if (jsonPostUrl) {
+      channels.push(new JsonPostAlertChannel(
+        jsonPostUrl,
+        minFor('JSON_POST'),
+        timeoutMs,
+        this.configService.get<string>('ALERT_JSON_POST_AUTHORIZATION'),
+      ));
+    }
+
+    const smtpHost = this.configService.get<string>('SMTP_HOST');
+    const emailTo = this.configService.get<string>('ALERT_EMAIL_TO');
+    if (smtpHost && emailTo) {
+      channels.push(new EmailAlertChannel(
+        {
+          host: smtpHost,
+          port: Number(this.configService.get('SMTP_PORT', 587)),
+          secure: String(this.configService.get('SMTP_SECURE', false)) === 'true',
+          user: this.configService.get<string>('SMTP_USER'),
+          pass: this.configService.get<string>('SMTP_PASS'),
+          from: this.configService.get<string>('ALERT_EMAIL_FROM', 'alerts@liquidot.local'),
+          to: emailTo.split(',').map(s => s.trim()).filter(Boolean),
+          timeoutMs,
+        },
+        minFor('EMAIL'),
+      ));
+    }
+
+    return channels;
+  }
+}
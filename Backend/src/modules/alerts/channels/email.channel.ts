@@ -0,0 +1,47 @@
+import * as nodemailer from 'nodemailer';
+import { Alert, AlertChannel, AlertSeverity } from '../types/alert.types';
+import { formatAlertText } from './format';
+
+export interface SmtpSettings {
+  host: string;
+  port: number;
+  secure: boolean;
+  user?: string;
+  pass?: string;
+  from: string;
+  to: string[];
+  /** Connection, greeting and socket timeout */
+  timeoutMs: number;
+}
+
+/**
+ * Email channel over SMTP
+ */
+export class EmailAlertChannel implements AlertChannel {
+  readonly name = 'email';
+  private readonly transporter: nodemailer.Transporter;
+
+  constructor(
+    private readonly settings: SmtpSettings,
+    readonly minSeverity: AlertSeverity,
+  ) {
+    this.transporter = nodemailer.createTransport({
+      host: settings.host,
+      port: settings.port,
+      secure: settings.secure,
+      auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined,
+      connectionTimeout: settings.timeoutMs,
+      greetingTimeout: settings.timeoutMs,
+      socketTimeout: settings.timeoutMs,
+    });
+  }
+
+  async send(alert: Alert): Promise<void> {
+    await this.transporter.sendMail({
+      from: this.settings.from,
+      to: this.settings.to,
+      subject: `[LiquiDOT ${alert.severity.toUpperCase()}] ${alert.title}`,
+      text: formatAlertText(alert),
+    });
+  }
+}
@@ -0,0 +1,20 @@
+import { Alert } from '../types/alert.types';
+
+/**
+ * Plain-text rendering of an alert shared by the text-based channels
+ */
+export function formatAlertText(alert: Alert): string {
+  const lines = [`[${alert.severity.toUpperCase()}] ${alert.title}`, alert.message];
+
+  if (alert.positionId) lines.push(`Position: ${alert.positionId}`);
+  if (alert.userId) lines.push(`User: ${alert.userId}`);
+  for (const [key, value] of Object.entries(alert.context ?? {})) {
+    lines.push(`${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  }
+  if (alert.suppressedCount > 0) {
+    lines.push(`(${alert.suppressedCount} similar alert(s) suppressed since the last one)`);
+  }
+  lines.push(`Time: ${alert.timestamp.toISOString()}`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,5 @@
+export { WebhookAlertChannel } from './webhook.channel';
+export { JsonPostAlertChannel } from './json-post.channel';
+export { EmailAlertChannel } from './email.channel';
+export type { SmtpSettings } from './email.channel';
+export { formatAlertText } from './format';
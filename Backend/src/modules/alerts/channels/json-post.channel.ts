@@ -0,0 +1,34 @@
+import { Alert, AlertChannel, AlertSeverity } from '../types/alert.types';
+
+/**
+ * Generic JSON-POST channel for PagerDuty-style or in-house endpoints.
+ * Posts the full alert object; an optional Authorization header is sent as-is.
+ */
+export class JsonPostAlertChannel implements AlertChannel {
+  readonly name = 'json-post';
+
+  constructor(
+    private readonly url: string,
+    readonly minSeverity: AlertSeverity,
+    private readonly timeoutMs: number,
+    private readonly authorization?: string,
+  ) {}
+
+  async send(alert: Alert): Promise<void> {
+    const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+    if (this.authorization) {
+      headers.Authorization = this.authorization;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ ...alert, timestamp: alert.timestamp.toISOString() }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`JSON-POST endpoint responded with HTTP ${response.status}`);
+    }
+  }
+}
@@ -0,0 +1,29 @@
+import { Alert, AlertChannel, AlertSeverity } from '../types/alert.types';
+import { formatAlertText } from './format';
+
+/**
+ * Chat webhook channel (Slack / Discord / Mattermost incoming webhooks).
+ * Posts `{ "text": ... }`, which all of them accept.
+ */
+export class WebhookAlertChannel implements AlertChannel {
+  readonly name = 'webhook';
+
+  constructor(
+    private readonly url: string,
+    readonly minSeverity: AlertSeverity,
+    private readonly timeoutMs: number,
+  ) {}
+
+  async send(alert: Alert): Promise<void> {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: formatAlertText(alert) }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
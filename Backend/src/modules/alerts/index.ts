@@ -0,0 +1,4 @@
+export * from './alerts.module';
+export * from './alerts.service';
+export * from './channels';
+export * from './types';
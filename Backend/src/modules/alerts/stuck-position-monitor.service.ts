@@ -0,0 +1,71 @@
+/**
+ * Stuck Position Monitor
+ *
+ * Alerts on positions left in PENDING_EXECUTION longer than
+ * ALERT_STUCK_PENDING_MINUTES (default 30): the XCM transfer or the Phase 2
+ * receiveAssets()/executePendingInvestment call never completed.
+ */
+
+import { Injectable, Logger } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { LessThan, Repository } from 'typeorm';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { AlertsService } from './alerts.service';
+import { AlertSeverity } from './types/alert.types';
+
+@Injectable()
+export class StuckPositionMonitorService {
+  private readonly logger = new Logger(StuckPositionMonitorService.name);
+  private isChecking = false;
+
+  constructor(
+    @InjectRepository(Position)
+    private positionRepository: Repository<Position>,
+    private alertsService: AlertsService,
+    private configService: ConfigService,
+  ) {}
+
+  get thresholdMinutes(): number {
+    return Number(this.configService.get('ALERT_STUCK_PENDING_MINUTES', 30));
+  }
+
+  @Cron(CronExpression.EVERY_5_MINUTES)
+  async checkStuckPositions(now: Date = new Date()): Promise<number> {
+    if (this.isChecking) return 0;
+
+    this.isChecking = true;
+    try {
+      const cutoff = new Date(now.getTime() - this.thresholdMinutes * 60_000);
+      const stuck = await this.positionRepository.find({
+        where: { status: PositionStatus.PENDING_EXECUTION, createdAt: LessThan(cutoff) },
+        relations: ['pool'],
+      });
+
+      for (const position of stuck) {
+        const minutes = Math.floor((now.getTime() - position.createdAt.getTime()) / 60_000);
+        await this.alertsService.send({
+          key: `stuck_pending:${position.id}`,
+          severity: AlertSeverity.WARNING,
+          title: 'Position stuck in PENDING_EXECUTION',
+          message: `Position has been pending for ${minutes} minutes (threshold ${this.thresholdMinutes})`,
+          positionId: position.id,
+          userId: position.userId,
+          context: {
+            assetHubPositionId: position.assetHubPositionId,
+            pool: position.pool?.poolAddress ?? position.poolId,
+            assetHubTxHash: position.assetHubTxHash,
+          },
+        }, now);
+      }
+
+      return stuck.length;
+    } catch (error) {
+      this.logger.error(`Stuck position check failed: ${error.message}`);
+      return 0;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Alerting Types
+ */
+
+/**
+ * Alert severity, ordered from least to most urgent
+ */
+export enum AlertSeverity {
+  INFO = 'info',
+  WARNING = 'warning',
+  CRITICAL = 'critical',
+}
+
+const SEVERITY_RANK: Record<AlertSeverity, number> = {
+  [AlertSeverity.INFO]: 0,
+  [AlertSeverity.WARNING]: 1,
+  [AlertSeverity.CRITICAL]: 2,
+};
+
+/**
+ * Whether `severity` is at least as urgent as `min`
+ */
+export function isAtLeast(severity: AlertSeverity, min: AlertSeverity): boolean {
+  return SEVERITY_RANK[severity] >= SEVERITY_RANK[min];
+}
+
+/**
+ * Parse a severity from config, falling back to `fallback` for unknown values
+ */
+export function parseSeverity(value: unknown, fallback: AlertSeverity): AlertSeverity {
+  const normalized = String(value ?? '').toLowerCase();
+  return (Object.values(AlertSeverity) as string[]).includes(normalized)
+    ? (normalized as AlertSeverity)
+    : fallback;
+}
+
+/**
+ * An alert as raised by a worker
+ */
+export interface AlertInput {
+  /**
+   * Dedupe key, e.g. `liquidation_failed:<positionId>`.
+   * Alerts with the same key are rate-limited together.
+   */
+  key: string;
+  severity: AlertSeverity;
+  title: string;
+  message: string;
+  positionId?: string;
+  userId?: string;
+  /** Extra structured data forwarded to channels that support it */
+  context?: Record<string, unknown>;
+}
+
+/**
+ * An alert as delivered to channels
+ */
+export interface Alert extends AlertInput {
+  timestamp: Date;
+  /** How many alerts with the same key were suppressed since the last delivery */
+  suppressedCount: number;
+}
+
+/**
+ * Delivery target for alerts (Slack webhook, email, generic HTTP endpoint, ...)
+ */
+export interface AlertChannel {
+  readonly name: string;
+  /** Alerts below this severity are not sent to the channel */
+  readonly minSeverity: AlertSeverity;
+  send(alert: Alert): Promise<void>;
+}
@@ -1,29 +1,66 @@
-import { Controller, Post, Body, UnauthorizedException } from '@nestjs/common';
+import { Controller, Get, Post, Body, Headers, HttpCode, HttpStatus, UseGuards } from '@nestjs/common';
 import { AuthService } from './auth.service';
-import { ApiTags, ApiOperation, ApiBody } from '@nestjs/swagger';
-
-class LoginDto {
-    address: string;
-    message: string;
-    signature: string;
-}
+import { ApiTags, ApiOperation, ApiBearerAuth } from '@nestjs/swagger';
+import { LoginDto, RefreshTokenDto } from './dto/login.dto';
+import { JwtAuthGuard } from './jwt-auth.guard';
+import { CurrentUser } from '../../common/decorators/current-user.decorator';
+import { User } from '../users/entities/user.entity';
 
 @ApiTags('auth')
 @Controller('auth')
 export class AuthController {
     constructor(private authService: AuthService) { }
 
-    @ApiOperation({ summary: 'Login with Ethereum wallet (EVM)' })
+    @ApiOperation({ summary: 'Issue a single-use nonce for a SIWE/SIWS message' })
+    @Get('nonce')
+    async getNonce() {
+        return this.authService.issueNonce();
+    }
+
+    @ApiOperation({ summary: 'Login with Ethereum wallet (EIP-4361 SIWE)' })
     @Post('login/evm')
     async loginEvm(@Body() body: LoginDto) {
         const user = await this.authService.validateEvm(body.address, body.message, body.signature);
         return this.authService.login(user);
     }
 
-    @ApiOperation({ summary: 'Login with Polkadot/Substrate wallet' })
+    @ApiOperation({ summary: 'Login with Polkadot/Substrate wallet (SIWS)' })
     @Post('login/substrate')
     async loginSubstrate(@Body() body: LoginDto) {
         const user = await this.authService.validateSubstrate(body.address, body.message, body.signature);
         return this.authService.login(user);
     }
+
+    @ApiOperation({ summary: 'Rotate a refresh token for a new access token' })
+    @Post('refresh')
+    @HttpCode(HttpStatus.OK)
+    async refresh(@Body() body: RefreshTokenDto) {
+        return this.authService.refresh(body.refresh_token);
+    }
+
+    @ApiOperation({ summary: 'Revoke the session a refresh token belongs to' })
+    @Post('logout')
+    @HttpCode(HttpStatus.NO_CONTENT)
+    async logout(@Body() body: RefreshTokenDto) {
+        await this.authService.logout(body.refresh_token);
+    }
+
+    @ApiOperation({ summary: 'Exchange the access token for a short-lived SSE stream token' })
+    @ApiBearerAuth()
+    @UseGuards(JwtAuthGuard)
+    @Post('stream-token')
+    @HttpCode(HttpStatus.OK)
+    streamToken(@Headers('authorization') authorization: string) {
+        return this.authService.issueStreamToken(authorization.replace(/^Bearer\s+/i, ''));
+    }
+
+    @ApiOperation({ summary: 'Revoke all sessions of the current user' })
+    @ApiBearerAuth()
+    @UseGuards(JwtAuthGuard)
+    @Post('logout/all')
+    @HttpCode(HttpStatus.OK)
+    async logoutAll(@CurrentUser() currentUser: User) {
+        const revoked = await this.authService.logoutAll(currentUser.id);
+        return { revoked };
+    }
 }
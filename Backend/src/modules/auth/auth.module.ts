@@ -5,23 +5,28 @@ import { UsersModule } from '../users/users.module';
 import { PassportModule } from '@nestjs/passport';
 import { JwtModule } from '@nestjs/jwt';
 import { ConfigModule, ConfigService } from '@nestjs/config';
+import { TypeOrmModule } from '@nestjs/typeorm';
 import { JwtStrategy } from './jwt.strategy';
+import { StreamTokenStrategy } from './stream-token.strategy';
+import { AuthNonce } from './entities/auth-nonce.entity';
+import { RefreshToken } from './entities/refresh-token.entity';
 
 @Module({
     imports: [
         UsersModule,
         PassportModule,
+        TypeOrmModule.forFeature([AuthNonce, RefreshToken]),
         JwtModule.registerAsync({
             imports: [ConfigModule],
             useFactory: async (configService: ConfigService) => ({
                 secret: configService.get<string>('JWT_SECRET') || 'DEV_SECRET_DO_NOT_USE',
-                signOptions: { expiresIn: '1d' },
+                signOptions: { expiresIn: Number(configService.get('JWT_ACCESS_TTL_SECONDS', 900)) },
             }),
             inject: [ConfigService],
         }),
     ],
     controllers: [AuthController],
-    providers: [AuthService, JwtStrategy],
+    providers: [AuthService, JwtStrategy, StreamTokenStrategy],
     exports: [AuthService],
 })
 export class AuthModule { }
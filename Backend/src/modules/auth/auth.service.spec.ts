@@ -0,0 +1,164 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { UnauthorizedException } from '@nestjs/common';
+import { Wallet } from 'ethers';
+import { AuthService } from './auth.service';
+import { JwtStrategy } from './jwt.strategy';
+import { StreamTokenStrategy } from './stream-token.strategy';
+import { UsersService } from '../users/users.service';
+import { AuthNonce } from './entities/auth-nonce.entity';
+import { RefreshToken } from './entities/refresh-token.entity';
+
+describe('AuthService', () => {
+  let service: AuthService;
+  let nonceRepository: Record<string, jest.Mock>;
+  let refreshTokenRepository: Record<string, jest.Mock>;
+  let jwtService: JwtService;
+
+  const now = new Date('2025-01-01T12:00:00.000Z');
+  const wallet = Wallet.createRandom();
+  const user = { id: 'user-1', walletAddress: wallet.address.toLowerCase(), isActive: true };
+
+  const siweMessage = (address: string, nonce = 'a1b2c3d4e5f60718') => [
+    'app.liquidot.io wants you to sign in with your Ethereum account:',
+    address,
+    '',
+    'Sign in to LiquiDOT',
+    '',
+    'URI: https://app.liquidot.io',
+    'Version: 1',
+    'Chain ID: 1284',
+    `Nonce: ${nonce}`,
+    'Issued At: 2025-01-01T11:59:30.000Z',
+  ].join('\n');
+
+  beforeEach(async () => {
+    nonceRepository = {
+      insert: jest.fn(),
+      update: jest.fn().mockResolvedValue({ affected: 1 }),
+      delete: jest.fn(),
+    };
+    refreshTokenRepository = {
+      insert: jest.fn(),
+      findOne: jest.fn(),
+      update: jest.fn().mockResolvedValue({ affected: 1 }),
+      count: jest.fn(),
+      delete: jest.fn(),
+    };
+    jwtService = new JwtService({ secret: 'test-secret' });
+
+    const config: Record<string, any> = { AUTH_DOMAIN: 'app.liquidot.io', AUTH_EVM_CHAIN_IDS: '1284' };
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        AuthService,
+        { provide: UsersService, useValue: { findByWallet: jest.fn().mockResolvedValue(user), create: jest.fn() } },
+        { provide: JwtService, useValue: jwtService },
+        { provide: ConfigService, useValue: { get: jest.fn((key: string, def?: any) => config[key] ?? def) } },
+        { provide: getRepositoryToken(AuthNonce), useValue: nonceRepository },
+        { provide: getRepositoryToken(RefreshToken), useValue: refreshTokenRepository },
+      ],
+    }).compile();
+
+    service = module.get(AuthService);
+  });
+
+  it('issues nonces that expire after the configured TTL', async () => {
+    const issued = await service.issueNonce(now);
+
+    expect(issued.nonce).toMatch(/^[a-f0-9]{32}$/);
+    expect(issued.expiresAt).toBe('2025-01-01T12:05:00.000Z');
+    expect(nonceRepository.insert).toHaveBeenCalledWith(expect.objectContaining({ nonce: issued.nonce }));
+  });
+
+  it('accepts a signed SIWE message once and rejects its replay', async () => {
+    const message = siweMessage(wallet.address);
+    const signature = await wallet.signMessage(message);
+
+    await expect(service.validateEvm(wallet.address, message, signature, now)).resolves.toBe(user);
+    expect(nonceRepository.update).toHaveBeenCalledWith(
+      expect.objectContaining({ nonce: 'a1b2c3d4e5f60718' }),
+      { consumedAt: now },
+    );
+
+    nonceRepository.update.mockResolvedValue({ affected: 0 });
+    await expect(service.validateEvm(wallet.address, message, signature, now)).rejects.toBeInstanceOf(UnauthorizedException);
+  });
+
+  it('rejects a message issued for another address without burning the nonce', async () => {
+    const other = Wallet.createRandom();
+    const message = siweMessage(other.address);
+    const signature = await wallet.signMessage(message);
+
+    await expect(service.validateEvm(wallet.address, message, signature, now)).rejects.toBeInstanceOf(UnauthorizedException);
+    expect(nonceRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('issues a session-scoped access token and a hashed refresh token on login', async () => {
+    const tokens = await service.login(user as any, now);
+
+    const stored = refreshTokenRepository.insert.mock.calls[0][0];
+    expect(stored.tokenHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(stored.tokenHash).not.toBe(tokens.refresh_token);
+    expect(tokens.expires_in).toBe(900);
+    expect(jwtService.decode(tokens.access_token)).toMatchObject({ sub: 'user-1', sid: stored.familyId });
+  });
+
+  it('rotates a refresh token within its session', async () => {
+    refreshTokenRepository.findOne.mockResolvedValue({
+      id: 'rt-1', userId: 'user-1', familyId: 'fam-1', user,
+      expiresAt: new Date(now.getTime() + 60_000), revokedAt: null, replacedById: null,
+    });
+
+    const tokens = await service.refresh('old-token', now);
+
+    const [where, patch] = refreshTokenRepository.update.mock.calls[0];
+    expect(where).toMatchObject({ id: 'rt-1' });
+    expect(patch.revokedAt).toBe(now);
+    expect(refreshTokenRepository.insert).toHaveBeenCalledWith(expect.objectContaining({ id: patch.replacedById, familyId: 'fam-1' }));
+    expect(jwtService.decode(tokens.access_token)).toMatchObject({ sid: 'fam-1' });
+  });
+
+  it('revokes the whole session when a rotated refresh token is reused', async () => {
+    refreshTokenRepository.findOne.mockResolvedValue({
+      id: 'rt-1', userId: 'user-1', familyId: 'fam-1', user,
+      expiresAt: new Date(now.getTime() + 60_000), revokedAt: new Date(now.getTime() - 1000), replacedById: 'rt-2',
+    });
+
+    await expect(service.refresh('old-token', now)).rejects.toBeInstanceOf(UnauthorizedException);
+    expect(refreshTokenRepository.update).toHaveBeenCalledWith(expect.objectContaining({ familyId: 'fam-1' }), { revokedAt: now });
+    expect(refreshTokenRepository.insert).not.toHaveBeenCalled();
+  });
+
+  it('logout revokes the session and ignores unknown tokens', async () => {
+    refreshTokenRepository.findOne.mockResolvedValueOnce({ id: 'rt-1', familyId: 'fam-1' }).mockResolvedValueOnce(null);
+
+    await service.logout('token', now);
+    await service.logout('unknown', now);
+
+    expect(refreshTokenRepository.update).toHaveBeenCalledTimes(1);
+    expect(refreshTokenRepository.update).toHaveBeenCalledWith(expect.objectContaining({ familyId: 'fam-1' }), { revokedAt: now });
+  });
+
+  it('exchanges an access token for a short-lived stream token that only opens streams', async () => {
+    const { access_token } = await service.login(user as any, now);
+    const { sid } = jwtService.decode(access_token);
+
+    const { stream_token, expires_in } = service.issueStreamToken(access_token);
+
+    const claims = jwtService.decode(stream_token);
+    expect(claims).toMatchObject({ sub: 'user-1', sid, purpose: 'stream' });
+    expect(claims.exp - claims.iat).toBe(60);
+    expect(expires_in).toBe(60);
+    expect(() => service.issueStreamToken('not-a-jwt')).toThrow();
+
+    refreshTokenRepository.count.mockResolvedValue(1);
+    const config = { get: () => 'test-secret' } as unknown as ConfigService;
+    const users = { findOneById: jest.fn().mockResolvedValue(user) } as unknown as UsersService;
+    await expect(new JwtStrategy(config, users, service).validate(claims)).rejects.toBeInstanceOf(UnauthorizedException);
+    await expect(new StreamTokenStrategy(config, users, service).validate(claims)).resolves.toBe(user);
+    await expect(new StreamTokenStrategy(config, users, service).validate(jwtService.decode(access_token)))
+      .rejects.toBeInstanceOf(UnauthorizedException);
+  });
+});
@@ -1,10 +1,48 @@
 import { Injectable, UnauthorizedException, Logger } from '@nestjs/common';
 import { JwtService } from '@nestjs/jwt';
-import { UsersService } from '../users/users.service'; // Assuming UsersService exists and checks DB
+import { InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { IsNull, LessThan, MoreThan, Repository } from 'typeorm';
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { UsersService } from '../users/users.service';
+import { User } from '../users/entities/user.entity';
 import { ethers } from 'ethers';
 import { signatureVerify } from '@polkadot/util-crypto'; // Polkadot validation
-import { hexToU8a, isHex } from '@polkadot/util';
-import { decodeAddress, encodeAddress } from '@polkadot/keyring';
+import { u8aEq } from '@polkadot/util';
+import { decodeAddress } from '@polkadot/keyring';
+import { AuthNonce } from './entities/auth-nonce.entity';
+import { RefreshToken } from './entities/refresh-token.entity';
+import {
+    SignInAccountType,
+    SignInMessage,
+    parseSignInMessage,
+    validateSignInMessage,
+} from './sign-in-message.logic';
+
+export interface IssuedNonce {
+    nonce: string;
+    issuedAt: string;
+    expiresAt: string;
+}
+
+export interface AuthTokens {
+    access_token: string;
+    refresh_token: string;
+    expires_in: number; // Access token lifetime in seconds
+    user: User;
+}
+
+export interface StreamToken {
+    stream_token: string;
+    expires_in: number; // Seconds to open the stream in; an open stream is not cut off
+}
+
+/** `purpose` claim of stream tokens; JwtStrategy refuses any token that carries one. */
+export const STREAM_TOKEN_PURPOSE = 'stream';
+
+// Consumed/expired nonces are kept this long before pruning, for debugging replays
+const NONCE_RETENTION_MS = 24 * 60 * 60_000;
 
 @Injectable()
 export class AuthService {
@@ -13,22 +51,73 @@ export class AuthService {
     constructor(
         private usersService: UsersService,
         private jwtService: JwtService,
+        private configService: ConfigService,
+        @InjectRepository(AuthNonce)
+        private nonceRepository: Repository<AuthNonce>,
+        @InjectRepository(RefreshToken)
+        private refreshTokenRepository: Repository<RefreshToken>,
     ) { }
 
+    /** Host the frontend is served from; must match the domain in sign-in messages. */
+    get domain(): string {
+        return this.configService.get<string>('AUTH_DOMAIN', 'localhost:3000');
+    }
+
+    /** EVM chain ids accepted in SIWE messages (comma-separated; empty accepts any). */
+    get evmChainIds(): string[] {
+        return String(this.configService.get('AUTH_EVM_CHAIN_IDS', ''))
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+    }
+
+    get nonceTtlMs(): number {
+        return Number(this.configService.get('AUTH_NONCE_TTL_SECONDS', 300)) * 1000;
+    }
+
+    get accessTokenTtlSeconds(): number {
+        return Number(this.configService.get('JWT_ACCESS_TTL_SECONDS', 900));
+    }
+
+    get streamTokenTtlSeconds(): number {
+        return Number(this.configService.get('SSE_STREAM_TOKEN_TTL_SECONDS', 60));
+    }
+
+    get refreshTokenTtlMs(): number {
+        return Number(this.configService.get('JWT_REFRESH_TTL_DAYS', 30)) * 24 * 60 * 60_000;
+    }
+
     /**
-     * Validate EVM Signature (SIWE-like)
+     * Issue a single-use nonce for the next sign-in message.
      */
-    async validateEvm(address: string, message: string, signature: string) {
+    async issueNonce(now = new Date()): Promise<IssuedNonce> {
+        const nonce = randomBytes(16).toString('hex');
+        const expiresAt = new Date(now.getTime() + this.nonceTtlMs);
+        await this.nonceRepository.insert({ nonce, expiresAt, consumedAt: null });
+        return { nonce, issuedAt: now.toISOString(), expiresAt: expiresAt.toISOString() };
+    }
+
+    /**
+     * Validate EVM Signature (EIP-4361 Sign-In with Ethereum)
+     */
+    async validateEvm(address: string, message: string, signature: string, now = new Date()) {
         try {
-            // 1. Verify signature
+            const parsed = this.parseMessage(message, 'Ethereum', now);
+
+            // 1. Verify signature and that the message was issued for the signer
             const recoveredAddress = ethers.verifyMessage(message, signature);
 
-            if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
+            if (
+                recoveredAddress.toLowerCase() !== address.toLowerCase() ||
+                parsed.address.toLowerCase() !== address.toLowerCase()
+            ) {
                 throw new UnauthorizedException('Invalid EVM signature');
             }
 
-            // 2. Find or Create User
-            // Note: In a real app we'd verify the nonce in the message to prevent replay attacks
+            // 2. Burn the nonce so the signature cannot be replayed
+            await this.consumeNonce(parsed.nonce, now);
+
+            // 3. Find or Create User
             return this.findOrCreateUser(address, 'EVM');
         } catch (e) {
             this.logger.error(`EVM Auth failed: ${e.message}`);
@@ -37,19 +126,25 @@ export class AuthService {
     }
 
     /**
-     * Validate Substrate Signature (SIWS)
+     * Validate Substrate Signature (Sign-In with Substrate)
      */
-    async validateSubstrate(address: string, message: string, signature: string) {
+    async validateSubstrate(address: string, message: string, signature: string, now = new Date()) {
         try {
+            const parsed = this.parseMessage(message, 'Substrate', now);
+
             // 1. Verify signature
             // signatureVerify handles various formats (sr25519, ed25519, ecdsa) automatically
             const result = signatureVerify(message, signature, address);
 
-            if (!result.isValid) {
+            // Compare public keys so the same account under another SS58 prefix still matches
+            if (!result.isValid || !u8aEq(decodeAddress(parsed.address), decodeAddress(address))) {
                 throw new UnauthorizedException('Invalid Substrate signature');
             }
 
-            // 2. Find or Create User
+            // 2. Burn the nonce so the signature cannot be replayed
+            await this.consumeNonce(parsed.nonce, now);
+
+            // 3. Find or Create User
             // Ensure specific address format (e.g. 42 for Substrate generic, or keep as provided if consistent)
             // Usually good practice to store in consistent SS58 format or hex.
             // For now, storing as provided but could normalize.
@@ -60,21 +155,185 @@ export class AuthService {
         }
     }
 
-    async login(user: any) {
+    /**
+     * Start a new session: a short-lived access token plus a refresh token
+     * that opens a new token family.
+     */
+    async login(user: User, now = new Date()): Promise<AuthTokens> {
+        const familyId = randomUUID();
+        const refreshToken = await this.issueRefreshToken(user.id, familyId, randomUUID(), now);
+        return this.buildTokens(user, familyId, refreshToken);
+    }
+
+    /**
+     * Rotate a refresh token. The presented token is revoked and replaced; if it
+     * had already been rotated, the token was reused and the whole session is
+     * revoked.
+     */
+    async refresh(refreshToken: string, now = new Date()): Promise<AuthTokens> {
+        const current = await this.refreshTokenRepository.findOne({
+            where: { tokenHash: this.hashToken(refreshToken) },
+            relations: ['user'],
+        });
+        if (!current) {
+            throw new UnauthorizedException('Invalid refresh token');
+        }
+
+        if (current.revokedAt) {
+            if (current.replacedById) {
+                this.logger.warn(`Refresh token reuse detected for user ${current.userId}, revoking session ${current.familyId}`);
+                await this.revokeFamily(current.familyId, now);
+            }
+            throw new UnauthorizedException('Refresh token has been revoked');
+        }
+        if (current.expiresAt <= now) {
+            throw new UnauthorizedException('Refresh token has expired');
+        }
+        if (!current.user?.isActive) {
+            throw new UnauthorizedException('User is not active');
+        }
+
+        // Conditional update: of two concurrent refreshes, only one can rotate
+        const nextId = randomUUID();
+        const rotated = await this.refreshTokenRepository.update(
+            { id: current.id, revokedAt: IsNull() },
+            { revokedAt: now, replacedById: nextId },
+        );
+        if (!rotated.affected) {
+            throw new UnauthorizedException('Refresh token has been revoked');
+        }
+
+        const next = await this.issueRefreshToken(current.userId, current.familyId, nextId, now);
+        return this.buildTokens(current.user, current.familyId, next);
+    }
+
+    /**
+     * Revoke the session a refresh token belongs to. Unknown tokens are ignored
+     * so logout is idempotent.
+     */
+    async logout(refreshToken: string, now = new Date()): Promise<void> {
+        const token = await this.refreshTokenRepository.findOne({
+            where: { tokenHash: this.hashToken(refreshToken) },
+        });
+        if (token) {
+            await this.revokeFamily(token.familyId, now);
+        }
+    }
+
+    /**
+     * Revoke every session of a user (e.g. after a suspected key compromise).
+     */
+    async logoutAll(userId: string, now = new Date()): Promise<number> {
+        const result = await this.refreshTokenRepository.update(
+            { userId, revokedAt: IsNull() },
+            { revokedAt: now },
+        );
+        this.logger.log(`Revoked ${result.affected ?? 0} session token(s) for user ${userId}`);
+        return result.affected ?? 0;
+    }
+
+    /**
+     * A session is active while it has an unrevoked, unexpired refresh token.
+     * Checked on every authenticated request so logout takes effect immediately.
+     */
+    async isSessionActive(familyId: string, now = new Date()): Promise<boolean> {
+        const count = await this.refreshTokenRepository.count({
+            where: { familyId, revokedAt: IsNull(), expiresAt: MoreThan(now) },
+        });
+        return count > 0;
+    }
+
+    /**
+     * Exchange a valid access token for a short-lived token of the same
+     * session, for SSE streams: EventSource cannot send an Authorization
+     * header, so the token travels in the URL and must not work as a bearer.
+     */
+    issueStreamToken(accessToken: string): StreamToken {
+        const { sub, sid } = this.jwtService.verify(accessToken);
+        return {
+            stream_token: this.jwtService.sign(
+                { sub, sid, purpose: STREAM_TOKEN_PURPOSE },
+                { expiresIn: this.streamTokenTtlSeconds },
+            ),
+            expires_in: this.streamTokenTtlSeconds,
+        };
+    }
+
+    @Cron(CronExpression.EVERY_HOUR)
+    async pruneExpired(now = new Date()): Promise<void> {
+        try {
+            await this.nonceRepository.delete({ expiresAt: LessThan(new Date(now.getTime() - NONCE_RETENTION_MS)) });
+            await this.refreshTokenRepository.delete({ expiresAt: LessThan(now) });
+        } catch (error) {
+            this.logger.warn(`Failed to prune expired auth records: ${error.message}`);
+        }
+    }
+
+    private parseMessage(message: string, accountType: SignInAccountType, now: Date): SignInMessage {
+        const parsed = parseSignInMessage(message, accountType);
+        validateSignInMessage(
+            parsed,
+            accountType,
+            { domain: this.domain, chainIds: this.evmChainIds, maxAgeMs: this.nonceTtlMs },
+            now,
+        );
+        return parsed;
+    }
+
+    /**
+     * Atomically mark a nonce used. Fails if it was never issued, already used
+     * or expired.
+     */
+    private async consumeNonce(nonce: string, now: Date): Promise<void> {
+        const result = await this.nonceRepository.update(
+            { nonce, consumedAt: IsNull(), expiresAt: MoreThan(now) },
+            { consumedAt: now },
+        );
+        if (!result.affected) {
+            throw new UnauthorizedException('Nonce is unknown, expired or already used');
+        }
+    }
+
+    private async issueRefreshToken(userId: string, familyId: string, id: string, now: Date): Promise<string> {
+        const token = randomBytes(32).toString('base64url');
+        await this.refreshTokenRepository.insert({
+            id,
+            userId,
+            familyId,
+            tokenHash: this.hashToken(token),
+            expiresAt: new Date(now.getTime() + this.refreshTokenTtlMs),
+            revokedAt: null,
+            replacedById: null,
+        });
+        return token;
+    }
+
+    private async revokeFamily(familyId: string, now: Date): Promise<void> {
+        await this.refreshTokenRepository.update({ familyId, revokedAt: IsNull() }, { revokedAt: now });
+    }
+
+    private buildTokens(user: User, familyId: string, refreshToken: string): AuthTokens {
         const payload = {
             walletAddress: user.walletAddress,
-            sub: user.id
+            sub: user.id,
+            sid: familyId,
         };
         return {
-            access_token: this.jwtService.sign(payload),
+            access_token: this.jwtService.sign(payload, { expiresIn: this.accessTokenTtlSeconds }),
+            refresh_token: refreshToken,
+            expires_in: this.accessTokenTtlSeconds,
             user,
         };
     }
 
+    private hashToken(token: string): string {
+        return createHash('sha256').update(token).digest('hex');
+    }
+
     private async findOrCreateUser(walletAddress: string, type: 'EVM' | 'SUBSTRATE') {
         // We need a method in usersService to find or create.
         // If not exists, I'll assume usersService.findByAddress or create.
-        // Since I don't recall seeing usersService implementation details, 
+        // Since I don't recall seeing usersService implementation details,
         // I will assume standard interaction or fix lightly later.
         const normalizedAddress = type === 'EVM' ? walletAddress.toLowerCase() : walletAddress;
 
@@ -0,0 +1,21 @@
+import { Entity, Column, PrimaryColumn, CreateDateColumn, Index } from 'typeorm';
+
+/**
+ * Server-issued sign-in nonce. A nonce is valid until expiresAt and can be
+ * consumed by exactly one login; consumedAt is set atomically on use.
+ */
+@Entity('auth_nonces')
+@Index('IDX_auth_nonces_expires', ['expiresAt'])
+export class AuthNonce {
+  @PrimaryColumn({ type: 'varchar', length: 64 })
+  nonce: string;
+
+  @Column({ type: 'timestamp' })
+  expiresAt: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  consumedAt: Date | null;
+
+  @CreateDateColumn()
+  createdAt: Date;
+}
@@ -0,0 +1,41 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, Index, ManyToOne, JoinColumn } from 'typeorm';
+import { User } from '../../users/entities/user.entity';
+
+/**
+ * Opaque refresh token, stored as a SHA-256 hash. Every login starts a session
+ * (familyId); each refresh revokes the presented token and issues its
+ * successor in the same family. Presenting an already-rotated token revokes
+ * the whole family, since it means the token was copied.
+ */
+@Entity('refresh_tokens')
+@Index('IDX_refresh_tokens_family', ['familyId'])
+@Index('IDX_refresh_tokens_user', ['userId'])
+export class RefreshToken {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ type: 'uuid' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'userId' })
+  user: User;
+
+  @Column({ type: 'varchar', length: 64, unique: true })
+  tokenHash: string;
+
+  @Column({ type: 'uuid' })
+  familyId: string; // Session id, carried as `sid` in access tokens
+
+  @Column({ type: 'timestamp' })
+  expiresAt: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  revokedAt: Date | null;
+
+  @Column({ type: 'uuid', nullable: true })
+  replacedById: string | null; // Set when revoked by rotation rather than logout
+
+  @CreateDateColumn()
+  createdAt: Date;
+}
@@ -3,12 +3,14 @@ import { PassportStrategy } from '@nestjs/passport';
 import { Injectable, UnauthorizedException } from '@nestjs/common';
 import { ConfigService } from '@nestjs/config';
 import { UsersService } from '../users/users.service';
+import { AuthService } from './auth.service';
 
 @Injectable()
 export class JwtStrategy extends PassportStrategy(Strategy) {
     constructor(
         private configService: ConfigService,
         private usersService: UsersService,
+        private authService: AuthService,
     ) {
         super({
             jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
@@ -18,6 +20,16 @@ export class JwtStrategy extends PassportStrategy(Strategy) {
     }
 
     async validate(payload: any) {
+        // Stream tokens travel in URLs; they only open SSE streams (StreamTokenStrategy)
+        if (payload.purpose) {
+            throw new UnauthorizedException();
+        }
+
+        // payload.sid is the refresh-token family; logout revokes it immediately
+        if (!payload.sid || !(await this.authService.isSessionActive(payload.sid))) {
+            throw new UnauthorizedException('Session has been revoked');
+        }
+
         // payload.sub is userId
         const user = await this.usersService.findOneById(payload.sub);
         if (!user) {
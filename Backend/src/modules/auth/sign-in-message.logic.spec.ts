@@ -0,0 +1,94 @@
+import { SignInMessageError, parseSignInMessage, validateSignInMessage } from './sign-in-message.logic';
+
+const now = new Date('2025-01-01T12:00:00.000Z');
+const address = '0x71C7656EC7ab88b098defB751B7401B5f6d8976F';
+
+const siwe = (overrides: Record<string, string | null> = {}, statement: string | null = 'Sign in to LiquiDOT') => {
+  const fields: Record<string, string | null> = {
+    'URI': 'https://app.liquidot.io/login',
+    'Version': '1',
+    'Chain ID': '1284',
+    'Nonce': 'a1b2c3d4e5f60718',
+    'Issued At': '2025-01-01T11:59:00.000Z',
+    ...overrides,
+  };
+  const body = Object.entries(fields)
+    .filter(([, value]) => value !== null)
+    .map(([key, value]) => `${key}: ${value}`);
+  return [
+    'app.liquidot.io wants you to sign in with your Ethereum account:',
+    address,
+    '',
+    ...(statement ? [statement, ''] : ['']),
+    ...body,
+  ].join('\n');
+};
+
+const expected = { domain: 'app.liquidot.io', chainIds: ['1284'], maxAgeMs: 5 * 60_000 };
+
+describe('sign-in-message.logic', () => {
+  test('parseSignInMessage reads every EIP-4361 field', () => {
+    const parsed = parseSignInMessage(
+      `${siwe({ 'Expiration Time': '2025-01-01T12:10:00.000Z', 'Request ID': 'req-1' })}\nResources:\n- ipfs://abc\n- https://liquidot.io/terms`,
+      'Ethereum',
+    );
+
+    expect(parsed).toEqual({
+      domain: 'app.liquidot.io',
+      address,
+      statement: 'Sign in to LiquiDOT',
+      uri: 'https://app.liquidot.io/login',
+      version: '1',
+      chainId: '1284',
+      nonce: 'a1b2c3d4e5f60718',
+      issuedAt: new Date('2025-01-01T11:59:00.000Z'),
+      expirationTime: new Date('2025-01-01T12:10:00.000Z'),
+      notBefore: null,
+      requestId: 'req-1',
+      resources: ['ipfs://abc', 'https://liquidot.io/terms'],
+    });
+  });
+
+  test('parseSignInMessage accepts a message without statement and rejects malformed ones', () => {
+    expect(parseSignInMessage(siwe({}, null), 'Ethereum').statement).toBeNull();
+
+    expect(() => parseSignInMessage('Sign in to LiquiDOT\nWallet: 0xabc', 'Ethereum')).toThrow(SignInMessageError);
+    expect(() => parseSignInMessage(siwe(), 'Substrate')).toThrow('not a Sign-In with Substrate message');
+    expect(() => parseSignInMessage(siwe({ 'Nonce': null }), 'Ethereum')).toThrow('Missing nonce');
+    expect(() => parseSignInMessage(siwe({ 'Issued At': 'yesterday' }), 'Ethereum')).toThrow('Invalid Issued At');
+    expect(() => parseSignInMessage(`${siwe()}\nNonce: again1234`, 'Ethereum')).toThrow('Duplicate field');
+  });
+
+  test('validateSignInMessage accepts a fresh message for the configured domain and chain', () => {
+    expect(() => validateSignInMessage(parseSignInMessage(siwe(), 'Ethereum'), 'Ethereum', expected, now)).not.toThrow();
+  });
+
+  test.each([
+    ['domain', { 'URI': 'https://evil.example/login' }, 'is not on'],
+    ['chain', { 'Chain ID': '1' }, 'not supported'],
+    ['version', { 'Version': '2' }, 'Unsupported version'],
+    ['stale issuedAt', { 'Issued At': '2025-01-01T11:50:00.000Z' }, 'too old'],
+    ['future issuedAt', { 'Issued At': '2025-01-01T12:05:00.000Z' }, 'in the future'],
+    ['expiration', { 'Expiration Time': '2025-01-01T11:59:30.000Z' }, 'expired'],
+    ['notBefore', { 'Not Before': '2025-01-01T12:30:00.000Z' }, 'not yet valid'],
+    ['short nonce', { 'Nonce': 'abc' }, 'Nonce must be'],
+  ])('validateSignInMessage rejects a bad %s', (_label, overrides, error) => {
+    const parsed = parseSignInMessage(siwe(overrides), 'Ethereum');
+    expect(() => validateSignInMessage(parsed, 'Ethereum', expected, now)).toThrow(error);
+  });
+
+  test('validateSignInMessage rejects a message signed for another site', () => {
+    const parsed = parseSignInMessage(siwe().replace('app.liquidot.io wants', 'evil.example wants'), 'Ethereum');
+    expect(() => validateSignInMessage(parsed, 'Ethereum', expected, now)).toThrow('does not match');
+  });
+
+  test('Substrate messages take a free-form chain id', () => {
+    const message = siwe({ 'Chain ID': 'polkadot-asset-hub' })
+      .replace('Ethereum account', 'Substrate account')
+      .replace(address, '15oF4uVJwmo4TdGW7VfQxNLavjCXviqxT9S1MgbjMNHr6Sp5');
+    const parsed = parseSignInMessage(message, 'Substrate');
+
+    expect(parsed.address).toBe('15oF4uVJwmo4TdGW7VfQxNLavjCXviqxT9S1MgbjMNHr6Sp5');
+    expect(() => validateSignInMessage(parsed, 'Substrate', expected, now)).not.toThrow();
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Sign-In Message Logic
+ *
+ * Pure parsing and validation of EIP-4361 (Sign-In with Ethereum) messages and
+ * the equivalent Sign-In with Substrate format, which differs only in the
+ * account type on the header line and a free-form Chain ID (e.g. a genesis
+ * hash or network name instead of an EVM chain id).
+ *
+ *   ${domain} wants you to sign in with your Ethereum account:
+ *   ${address}
+ *
+ *   ${statement}
+ *
+ *   URI: ${uri}
+ *   Version: 1
+ *   Chain ID: ${chainId}
+ *   Nonce: ${nonce}
+ *   Issued At: ${issuedAt}
+ *   Expiration Time: ${expirationTime}     (optional)
+ *   Not Before: ${notBefore}               (optional)
+ *   Request ID: ${requestId}               (optional)
+ *   Resources:                             (optional)
+ *   - ${resource}
+ */
+
+export type SignInAccountType = 'Ethereum' | 'Substrate';
+
+export interface SignInMessage {
+  domain: string;
+  address: string;
+  statement: string | null;
+  uri: string;
+  version: string;
+  chainId: string;
+  nonce: string;
+  issuedAt: Date;
+  expirationTime: Date | null;
+  notBefore: Date | null;
+  requestId: string | null;
+  resources: string[];
+}
+
+export interface SignInExpectations {
+  /** Host (and optional port) the frontend is served from, e.g. "app.liquidot.io". */
+  domain: string;
+  /** Allowed EVM chain ids; empty accepts any. Ignored for Substrate messages. */
+  chainIds?: string[];
+  /** Maximum age of issuedAt, normally the nonce TTL. */
+  maxAgeMs: number;
+  /** Tolerated clock drift between the wallet and the backend. */
+  clockSkewMs?: number;
+}
+
+export class SignInMessageError extends Error { }
+
+const SIGN_IN_VERSION = '1';
+const DEFAULT_CLOCK_SKEW_MS = 60_000;
+const NONCE_PATTERN = /^[A-Za-z0-9]{8,}$/;
+
+const FIELD_KEYS: Record<string, keyof SignInMessage> = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId',
+};
+
+function parseTimestamp(label: string, value: string): Date {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new SignInMessageError(`Invalid ${label}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parse a sign-in message. Throws SignInMessageError when the message is not
+ * in the expected format; semantic checks live in validateSignInMessage().
+ */
+export function parseSignInMessage(message: string, accountType: SignInAccountType): SignInMessage {
+  const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+  const header = new RegExp(`^(?:[a-zA-Z][a-zA-Z0-9+.-]*://)?(\\S+) wants you to sign in with your ${accountType} account:$`);
+  const headerMatch = lines[0]?.match(header);
+  if (!headerMatch) {
+    throw new SignInMessageError(`Message is not a Sign-In with ${accountType} message`);
+  }
+
+  const address = lines[1]?.trim();
+  if (!address) {
+    throw new SignInMessageError('Missing address line');
+  }
+
+  // Everything between the address and the first "URI:" line is the optional statement
+  const uriIndex = lines.findIndex((line, i) => i > 1 && line.startsWith('URI: '));
+  if (uriIndex === -1) {
+    throw new SignInMessageError('Missing URI field');
+  }
+  const statement = lines.slice(2, uriIndex).join('\n').trim() || null;
+
+  const fields: Partial<Record<keyof SignInMessage, string>> = {};
+  const resources: string[] = [];
+  let inResources = false;
+
+  for (const line of lines.slice(uriIndex)) {
+    if (line === '') continue;
+    if (inResources) {
+      if (!line.startsWith('- ')) {
+        throw new SignInMessageError(`Unexpected line after Resources: ${line}`);
+      }
+      resources.push(line.slice(2));
+      continue;
+    }
+    if (line === 'Resources:') {
+      inResources = true;
+      continue;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = separator === -1 ? undefined : FIELD_KEYS[line.slice(0, separator)];
+    if (!key) {
+      throw new SignInMessageError(`Unknown field: ${line}`);
+    }
+    if (fields[key] !== undefined) {
+      throw new SignInMessageError(`Duplicate field: ${line.slice(0, separator)}`);
+    }
+    fields[key] = line.slice(separator + 2).trim();
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt'] as const) {
+    if (!fields[required]) {
+      throw new SignInMessageError(`Missing ${required} field`);
+    }
+  }
+
+  return {
+    domain: headerMatch[1],
+    address,
+    statement,
+    uri: fields.uri,
+    version: fields.version,
+    chainId: fields.chainId,
+    nonce: fields.nonce,
+    issuedAt: parseTimestamp('Issued At', fields.issuedAt),
+    expirationTime: fields.expirationTime ? parseTimestamp('Expiration Time', fields.expirationTime) : null,
+    notBefore: fields.notBefore ? parseTimestamp('Not Before', fields.notBefore) : null,
+    requestId: fields.requestId ?? null,
+    resources,
+  };
+}
+
+/**
+ * Check a parsed message against what this backend expects. The caller still
+ * has to compare the address with the signer and consume the nonce.
+ */
+export function validateSignInMessage(
+  parsed: SignInMessage,
+  accountType: SignInAccountType,
+  expected: SignInExpectations,
+  now = new Date(),
+): void {
+  const skew = expected.clockSkewMs ?? DEFAULT_CLOCK_SKEW_MS;
+  const domain = expected.domain.toLowerCase();
+
+  if (parsed.domain.toLowerCase() !== domain) {
+    throw new SignInMessageError(`Domain ${parsed.domain} does not match ${expected.domain}`);
+  }
+
+  let uriHost: string;
+  try {
+    uriHost = new URL(parsed.uri).host.toLowerCase();
+  } catch {
+    throw new SignInMessageError(`Invalid URI: ${parsed.uri}`);
+  }
+  if (uriHost !== domain) {
+    throw new SignInMessageError(`URI ${parsed.uri} is not on ${expected.domain}`);
+  }
+
+  if (parsed.version !== SIGN_IN_VERSION) {
+    throw new SignInMessageError(`Unsupported version ${parsed.version}`);
+  }
+
+  if (accountType === 'Ethereum') {
+    if (!/^[1-9]\d*$/.test(parsed.chainId)) {
+      throw new SignInMessageError(`Invalid Chain ID ${parsed.chainId}`);
+    }
+    if (expected.chainIds?.length && !expected.chainIds.includes(parsed.chainId)) {
+      throw new SignInMessageError(`Chain ID ${parsed.chainId} is not supported`);
+    }
+  }
+
+  if (!NONCE_PATTERN.test(parsed.nonce)) {
+    throw new SignInMessageError('Nonce must be at least 8 alphanumeric characters');
+  }
+
+  const nowMs = now.getTime();
+  if (parsed.issuedAt.getTime() > nowMs + skew) {
+    throw new SignInMessageError('Issued At is in the future');
+  }
+  if (parsed.issuedAt.getTime() < nowMs - expected.maxAgeMs - skew) {
+    throw new SignInMessageError('Message is too old');
+  }
+  if (parsed.expirationTime && parsed.expirationTime.getTime() <= nowMs) {
+    throw new SignInMessageError('Message has expired');
+  }
+  if (parsed.notBefore && parsed.notBefore.getTime() > nowMs + skew) {
+    throw new SignInMessageError('Message is not yet valid');
+  }
+}
@@ -0,0 +1,6 @@
+import { Injectable } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+
+/** For SSE endpoints: a bearer access token, or a `?token=` stream token for browsers' EventSource. */
+@Injectable()
+export class StreamAuthGuard extends AuthGuard(['jwt', 'stream-token']) { }
@@ -0,0 +1,41 @@
+import { ExtractJwt, Strategy } from 'passport-jwt';
+import { PassportStrategy } from '@nestjs/passport';
+import { Injectable, UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { UsersService } from '../users/users.service';
+import { AuthService, STREAM_TOKEN_PURPOSE } from './auth.service';
+
+/**
+ * Authenticates SSE requests by the `?token=` stream token from
+ * POST /auth/stream-token. Like access tokens, it stops working as soon as
+ * its session is revoked.
+ */
+@Injectable()
+export class StreamTokenStrategy extends PassportStrategy(Strategy, 'stream-token') {
+    constructor(
+        private configService: ConfigService,
+        private usersService: UsersService,
+        private authService: AuthService,
+    ) {
+        super({
+            jwtFromRequest: ExtractJwt.fromUrlQueryParameter('token'),
+            ignoreExpiration: false,
+            secretOrKey: configService.get<string>('JWT_SECRET') || 'DEV_SECRET_DO_NOT_USE',
+        });
+    }
+
+    async validate(payload: any) {
+        if (payload.purpose !== STREAM_TOKEN_PURPOSE) {
+            throw new UnauthorizedException();
+        }
+        if (!payload.sid || !(await this.authService.isSessionActive(payload.sid))) {
+            throw new UnauthorizedException('Session has been revoked');
+        }
+
+        const user = await this.usersService.findOneById(payload.sub);
+        if (!user) {
+            throw new UnauthorizedException();
+        }
+        return user;
+    }
+}
@@ -1,14 +1,48 @@
-import { Controller, Get, Query } from '@nestjs/common';
+import { BadRequestException, Controller, Get, Param, Query } from '@nestjs/common';
 import { ConfigService } from '@nestjs/config';
 import { MoonbeamService } from './services/moonbeam.service';
+import { PriceOracleService } from './services/price-oracle.service';
+import { canonicalAsset } from './prices';
 
 @Controller('api/blockchain')
 export class BlockchainController {
   constructor(
     private readonly moonbeamService: MoonbeamService,
     private readonly configService: ConfigService,
+    private readonly priceOracle: PriceOracleService,
   ) {}
 
+  /**
+   * Current USD prices keyed by canonical asset (?assets=DOT,GLMR,USDC).
+   * Assets no source can price are omitted.
+   */
+  @Get('prices')
+  async getPrices(@Query('assets') assetsCsv?: string) {
+    const assets = (assetsCsv ?? 'DOT').split(',').map(s => s.trim()).filter(Boolean);
+    return { prices: await this.priceOracle.getPricesUsd(assets) };
+  }
+
+  /**
+   * Persisted price history for one asset (?from=&to=, ISO dates, default last 24h).
+   */
+  @Get('prices/:asset/history')
+  async getPriceHistory(
+    @Param('asset') asset: string,
+    @Query('from') from?: string,
+    @Query('to') to?: string,
+  ) {
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 24 * 60 * 60 * 1000);
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      throw new BadRequestException('from/to must be ISO dates');
+    }
+
+    return {
+      asset: canonicalAsset(asset),
+      points: await this.priceOracle.getHistory(asset, fromDate, toDate),
+    };
+  }
+
   /**
    * Returns the set of supported tokens (allowlist) and their names/symbols.
    *
@@ -8,17 +8,27 @@ import { BlockchainEventListenerService } from './services/event-listener.servic
 import { TestModeService } from './services/test-mode.service';
 import { XcmRetryService } from './services/xcm-retry.service';
 import { EventPersistenceService } from './services/event-persistence.service';
+import { EventIndexerService } from './services/event-indexer.service';
 import { PriceService } from './services/price.service';
+import { PriceOracleService } from './services/price-oracle.service';
 import { TokenMathService } from './services/token-math.service';
+import { LiquidationQuoteService } from './services/liquidation-quote.service';
+import { XcmFeeService } from './services/xcm-fee.service';
 import { PapiModule } from './papi/papi.module';
 import { User } from '../users/entities/user.entity';
 import { Position } from '../positions/entities/position.entity';
 import { Pool } from '../pools/entities/pool.entity';
 import { ActivityLog } from '../activity-logs/entities/activity-log.entity';
+import { ChainCursor } from './entities/chain-cursor.entity';
+import { ProcessedChainEvent } from './entities/processed-chain-event.entity';
+import { PriceObservation } from './entities/price-observation.entity';
 import { PositionEventBusService } from '../positions/position-event-bus.service';
+import { PositionEventRecord } from '../positions/entities/position-event.entity';
 import { BlockchainController } from './blockchain.controller';
 import { BlockchainDiagnosticsController } from './blockchain-diagnostics.controller';
 import { BlockchainDiagnosticsService } from './blockchain-diagnostics.service';
+import { ChainStatusController } from './chain-status.controller';
+import { ChainStatusService } from './chain-status.service';
 import { ActivityLogsModule } from '../activity-logs/activity-logs.module';
 import { UsersModule } from '../users/users.module';
 
@@ -32,9 +42,14 @@ import { UsersModule } from '../users/users.module';
  * - MoonbeamService: Manages XCMProxy contract (LP positions, liquidations, swaps)
  * - XcmBuilderService: Builds XCM messages for cross-chain operations
  * - BlockchainEventListenerService: Unified event listener for both chains
+ * - EventIndexerService: Block-checkpointed log indexer with backfill and reorg handling
  * - EventPersistenceService: Persists blockchain events to database
  * - TestModeService: Manages test mode synchronization across backend and contracts
  * - XcmRetryService: Provides retry logic with exponential backoff for XCM operations
+ * - PriceOracleService: Multi-source USD prices with median aggregation and history
+ * - LiquidationQuoteService: Quote-based minimum outputs and oracle price check for liquidations
+ * - XcmFeeService: Round-trip XCM and gas cost per operation, cached per runtime version
+ * - ChainStatusService: Polled RPC, indexer, contract-flag and XCM health for the status widget
  * 
  * Usage:
  * ```typescript
@@ -59,7 +74,16 @@ import { UsersModule } from '../users/users.module';
 @Module({
   imports: [
     ConfigModule,
-    TypeOrmModule.forFeature([User, Position, Pool, ActivityLog]),
+    TypeOrmModule.forFeature([
+      User,
+      Position,
+      Pool,
+      ActivityLog,
+      ChainCursor,
+      ProcessedChainEvent,
+      PriceObservation,
+      PositionEventRecord,
+    ]),
     PapiModule,
     ActivityLogsModule,
     forwardRef(() => UsersModule),
@@ -67,6 +91,7 @@ import { UsersModule } from '../users/users.module';
   controllers: [
     BlockchainController,
     BlockchainDiagnosticsController,
+    ChainStatusController,
   ],
   providers: [
     // Core services
@@ -80,13 +105,18 @@ import { UsersModule } from '../users/users.module';
 
     // Diagnostics
     BlockchainDiagnosticsService,
+    ChainStatusService,
 
     // Pricing & math
+    PriceOracleService,
     PriceService,
     TokenMathService,
+    LiquidationQuoteService,
+    XcmFeeService,
 
     // Event handling
     PositionEventBusService,
+    EventIndexerService,
     BlockchainEventListenerService,
     EventPersistenceService,
   ],
@@ -95,12 +125,18 @@ import { UsersModule } from '../users/users.module';
     MoonbeamService,
     XcmBuilderService,
     BlockchainEventListenerService,
+    EventIndexerService,
     TestModeService,
     XcmRetryService,
     BlockchainDiagnosticsService,
+    ChainStatusService,
+    PriceOracleService,
     PriceService,
     TokenMathService,
+    LiquidationQuoteService,
+    XcmFeeService,
     PositionEventBusService,
+    EventPersistenceService,
   ],
 })
 export class BlockchainModule { }
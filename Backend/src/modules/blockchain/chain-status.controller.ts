@@ -0,0 +1,48 @@
+import { Controller, Get, MessageEvent, Sse } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Observable, interval, merge } from 'rxjs';
+import { map } from 'rxjs/operators';
+
+import { ChainStatusService } from './chain-status.service';
+import { ChainStatusSnapshot } from './chain-status.logic';
+
+/** Client reconnect delay sent with every heartbeat */
+const SSE_RETRY_MS = 3_000;
+
+@Controller('blockchain/status')
+export class ChainStatusController {
+  constructor(
+    private readonly chainStatusService: ChainStatusService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  /**
+   * Per-chain RPC, indexer and contract state plus the XCM channel
+   * GET /blockchain/status — PUBLIC
+   */
+  @Get()
+  async getStatus(): Promise<ChainStatusSnapshot> {
+    return this.chainStatusService.getStatus();
+  }
+
+  /**
+   * SSE stream: the current snapshot, then a STATUS event whenever a chain's
+   * state, reasons or flags change. HEARTBEAT carries the last poll time.
+   * GET /blockchain/status/events — PUBLIC
+   */
+  @Sse('events')
+  events(): Observable<MessageEvent> {
+    const heartbeatMs = Number(this.configService.get('SSE_HEARTBEAT_MS', 25_000));
+    const changes = this.chainStatusService.watch().pipe(
+      map((snapshot): MessageEvent => ({ data: JSON.stringify(snapshot), type: 'STATUS' })),
+    );
+    const heartbeats = interval(heartbeatMs).pipe(
+      map((): MessageEvent => ({
+        data: JSON.stringify({ checkedAt: this.chainStatusService.lastCheckedAt }),
+        type: 'HEARTBEAT',
+        retry: SSE_RETRY_MS,
+      })),
+    );
+    return merge(changes, heartbeats);
+  }
+}
@@ -0,0 +1,77 @@
+import { ChainProbe, XcmMessageSeen, classifyChain, classifyXcm, snapshotFingerprint } from './chain-status.logic';
+
+describe('chain-status.logic', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const thresholds = { slowRpcMs: 2_000, maxIndexerLagBlocks: 50, xcmDeliveryMinutes: 10 };
+
+  const probe = (overrides: Partial<ChainProbe> = {}): ChainProbe => ({
+    chain: 'assetHub',
+    configured: true,
+    rpcLatencyMs: 120,
+    latestBlock: 1_000,
+    finalizedBlock: 990,
+    indexer: { lastProcessedBlock: 998, updatedAt: now },
+    paused: false,
+    testMode: false,
+    error: null,
+    ...overrides,
+  });
+  const seen = (chain: 'assetHub' | 'moonbeam', eventName: string, minutesAgo: number): XcmMessageSeen => ({
+    chain,
+    eventName,
+    blockNumber: 1,
+    txHash: `0x${eventName}`,
+    seenAt: new Date(now.getTime() - minutesAgo * 60_000),
+  });
+
+  it('reports a healthy chain as live with its indexer lag', () => {
+    expect(classifyChain(probe(), thresholds)).toMatchObject({
+      status: 'live',
+      reasons: [],
+      indexer: { lastProcessedBlock: 998, lagBlocks: 2 },
+    });
+  });
+
+  it('degrades on slow RPC, indexer lag or a paused contract, naming the threshold crossed', () => {
+    const result = classifyChain(probe({ rpcLatencyMs: 3_500, indexer: { lastProcessedBlock: 900, updatedAt: now }, paused: true }), thresholds);
+
+    expect(result.status).toBe('degraded');
+    expect(result.reasons).toEqual(['Slow RPC (over 2000ms)', 'Event indexer more than 50 blocks behind', 'Contract paused']);
+  });
+
+  it('is down when the RPC cannot be read or the chain is not configured', () => {
+    expect(classifyChain(probe({ latestBlock: null, error: 'timed out after 5000ms' }), thresholds)).toMatchObject({
+      status: 'down',
+      reasons: ['RPC unreachable'],
+      error: 'timed out after 5000ms',
+    });
+    expect(classifyChain(probe({ configured: false, latestBlock: null }), thresholds).reasons).toEqual(['Not configured']);
+  });
+
+  it('derives the XCM channel from both chains and the last messages seen', () => {
+    const live = classifyChain(probe(), thresholds);
+    const moonbeam = classifyChain(probe({ chain: 'moonbeam' }), thresholds);
+    const sent = seen('assetHub', 'XCMMessageSent', 15);
+
+    expect(classifyXcm(live, moonbeam, sent, seen('moonbeam', 'AssetsReceived', 14), null, now, thresholds).status).toBe('live');
+    expect(classifyXcm(live, moonbeam, sent, seen('moonbeam', 'AssetsReceived', 20), null, now, thresholds)).toMatchObject({
+      status: 'degraded',
+      reasons: ['Last XCM message not received on Moonbeam within 10 min'],
+    });
+    expect(classifyXcm(live, moonbeam, seen('assetHub', 'XCMMessageSent', 2), null, null, now, thresholds).status).toBe('live');
+
+    const down = classifyChain(probe({ chain: 'moonbeam', latestBlock: null }), thresholds);
+    expect(classifyXcm(live, down, sent, null, null, now, thresholds)).toMatchObject({ status: 'down', reasons: ['Moonbeam unreachable'] });
+  });
+
+  it('fingerprints only what users see, not block heights or latency', () => {
+    const snapshot = (p: Partial<ChainProbe>) => {
+      const assetHub = classifyChain(probe(p), thresholds);
+      const moonbeam = classifyChain(probe({ chain: 'moonbeam' }), thresholds);
+      return { assetHub, moonbeam, xcm: classifyXcm(assetHub, moonbeam, null, null, null, now, thresholds), checkedAt: now };
+    };
+
+    expect(snapshotFingerprint(snapshot({ latestBlock: 1_005, rpcLatencyMs: 300 }))).toBe(snapshotFingerprint(snapshot({})));
+    expect(snapshotFingerprint(snapshot({ testMode: true }))).not.toBe(snapshotFingerprint(snapshot({})));
+  });
+});
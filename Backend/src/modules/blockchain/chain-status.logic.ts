@@ -0,0 +1,142 @@
+/**
+ * Chain Status Logic
+ *
+ * Pure rules for ChainStatusService: turns what was probed on each chain
+ * (RPC, indexer cursor, contract flags) and the last XCM events seen into a
+ * live / degraded / down state with the reasons shown to users. Reasons name
+ * the threshold crossed rather than the current value, so they only change
+ * when the state does.
+ */
+
+import { IndexedChain } from './services/event-indexer.service';
+
+export type ChainHealth = 'live' | 'degraded' | 'down';
+
+export interface ChainStatusThresholds {
+  slowRpcMs: number;
+  maxIndexerLagBlocks: number;
+  xcmDeliveryMinutes: number; // Sent on Asset Hub, not received on Moonbeam after this long
+}
+
+/** What one poll read from a chain; null fields could not be read */
+export interface ChainProbe {
+  chain: IndexedChain;
+  configured: boolean; // RPC and contract settings present
+  rpcLatencyMs: number | null;
+  latestBlock: number | null;
+  finalizedBlock: number | null;
+  indexer: { lastProcessedBlock: number; updatedAt: Date } | null; // null: no cursor (indexer off or not started)
+  paused: boolean | null;
+  testMode: boolean | null;
+  error: string | null; // Why the RPC could not be read
+}
+
+export interface ChainNodeStatus extends Omit<ChainProbe, 'indexer'> {
+  status: ChainHealth;
+  reasons: string[];
+  indexer: { lastProcessedBlock: number; lagBlocks: number | null; updatedAt: Date } | null;
+}
+
+/** A processed contract event that carries an XCM message */
+export interface XcmMessageSeen {
+  chain: IndexedChain;
+  eventName: string;
+  blockNumber: number;
+  txHash: string;
+  seenAt: Date;
+}
+
+export interface XcmChannelStatus {
+  status: ChainHealth;
+  reasons: string[];
+  lastSent: XcmMessageSeen | null; // AssetHubVault XCMMessageSent
+  lastReceived: XcmMessageSeen | null; // XCMProxy AssetsReceived
+  lastMessage: XcmMessageSeen | null; // Latest XCM-carrying event in either direction
+}
+
+export interface ChainStatusSnapshot {
+  assetHub: ChainNodeStatus;
+  moonbeam: ChainNodeStatus;
+  xcm: XcmChannelStatus;
+  checkedAt: Date;
+}
+
+const CHAIN_NAMES: Record<IndexedChain, string> = {
+  assetHub: 'Asset Hub',
+  moonbeam: 'Moonbeam',
+};
+
+export function classifyChain(probe: ChainProbe, thresholds: ChainStatusThresholds): ChainNodeStatus {
+  const lagBlocks = probe.indexer && probe.latestBlock !== null
+    ? Math.max(0, probe.latestBlock - probe.indexer.lastProcessedBlock)
+    : null;
+  const result: ChainNodeStatus = {
+    ...probe,
+    indexer: probe.indexer ? { ...probe.indexer, lagBlocks } : null,
+    status: 'live',
+    reasons: [],
+  };
+
+  if (probe.latestBlock === null) {
+    result.status = 'down';
+    result.reasons.push(probe.configured ? 'RPC unreachable' : 'Not configured');
+    return result;
+  }
+
+  if (probe.rpcLatencyMs !== null && probe.rpcLatencyMs > thresholds.slowRpcMs) {
+    result.reasons.push(`Slow RPC (over ${thresholds.slowRpcMs}ms)`);
+  }
+  if (lagBlocks !== null && lagBlocks > thresholds.maxIndexerLagBlocks) {
+    result.reasons.push(`Event indexer more than ${thresholds.maxIndexerLagBlocks} blocks behind`);
+  }
+  if (probe.paused) {
+    result.reasons.push('Contract paused');
+  }
+  if (result.reasons.length > 0) result.status = 'degraded';
+  return result;
+}
+
+export function classifyXcm(
+  assetHub: ChainNodeStatus,
+  moonbeam: ChainNodeStatus,
+  lastSent: XcmMessageSeen | null,
+  lastReceived: XcmMessageSeen | null,
+  lastMessage: XcmMessageSeen | null,
+  now: Date,
+  thresholds: ChainStatusThresholds,
+): XcmChannelStatus {
+  const result: XcmChannelStatus = { status: 'live', reasons: [], lastSent, lastReceived, lastMessage };
+
+  const down = [assetHub, moonbeam].filter(c => c.status === 'down');
+  if (down.length > 0) {
+    result.status = 'down';
+    result.reasons = down.map(c => `${CHAIN_NAMES[c.chain]} unreachable`);
+    return result;
+  }
+
+  for (const c of [assetHub, moonbeam]) {
+    if (c.paused) result.reasons.push(`${CHAIN_NAMES[c.chain]} contract paused`);
+  }
+  if (lastSent && (!lastReceived || lastReceived.seenAt < lastSent.seenAt)) {
+    if (now.getTime() - lastSent.seenAt.getTime() >= thresholds.xcmDeliveryMinutes * 60_000) {
+      result.reasons.push(`Last XCM message not received on Moonbeam within ${thresholds.xcmDeliveryMinutes} min`);
+    }
+  }
+  if (result.reasons.length > 0) result.status = 'degraded';
+  return result;
+}
+
+/**
+ * The parts of a snapshot users see change; block heights and latencies move
+ * on every poll and are left out
+ */
+export function snapshotFingerprint(snapshot: ChainStatusSnapshot): string {
+  const chain = (c: ChainNodeStatus) => [c.status, c.reasons, c.paused, c.testMode];
+  return JSON.stringify([
+    chain(snapshot.assetHub),
+    chain(snapshot.moonbeam),
+    snapshot.xcm.status,
+    snapshot.xcm.reasons,
+    snapshot.xcm.lastMessage?.txHash ?? null,
+  ]);
+}
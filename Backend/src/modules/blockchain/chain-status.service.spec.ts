@@ -0,0 +1,135 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ChainStatusService } from './chain-status.service';
+import { ChainStatusSnapshot } from './chain-status.logic';
+import { AssetHubService } from './services/asset-hub.service';
+import { MoonbeamService } from './services/moonbeam.service';
+import { ChainCursor } from './entities/chain-cursor.entity';
+import { ProcessedChainEvent } from './entities/processed-chain-event.entity';
+
+describe('ChainStatusService', () => {
+  let service: ChainStatusService;
+  let assetHubProvider: { getBlockNumber: jest.Mock; getBlock: jest.Mock };
+  let moonbeamProvider: { getBlockNumber: jest.Mock; getBlock: jest.Mock };
+  let assetHub: Record<string, jest.Mock>;
+  let moonbeam: Record<string, jest.Mock>;
+  let events: Array<Partial<ProcessedChainEvent>>;
+
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  beforeEach(async () => {
+    assetHubProvider = { getBlockNumber: jest.fn(async () => 1_000), getBlock: jest.fn(async () => ({ number: 990 })) };
+    moonbeamProvider = { getBlockNumber: jest.fn(async () => 5_000), getBlock: jest.fn(async () => { throw new Error('unsupported tag'); }) };
+    assetHub = {
+      isInitialized: jest.fn(() => true),
+      getProvider: jest.fn(() => assetHubProvider),
+      isPaused: jest.fn(async () => false),
+      isTestMode: jest.fn(async () => true),
+    };
+    moonbeam = {
+      isInitialized: jest.fn(() => true),
+      getProvider: jest.fn(() => moonbeamProvider),
+      isPaused: jest.fn(async () => false),
+      isTestMode: jest.fn(async () => false),
+    };
+    events = [
+      { chain: 'assetHub', eventName: 'XCMMessageSent', blockNumber: 980, txHash: '0xsent', createdAt: new Date(now.getTime() - 120_000) },
+      { chain: 'moonbeam', eventName: 'AssetsReceived', blockNumber: 4_990, txHash: '0xreceived', createdAt: new Date(now.getTime() - 60_000) },
+    ];
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        ChainStatusService,
+        { provide: AssetHubService, useValue: assetHub },
+        { provide: MoonbeamService, useValue: moonbeam },
+        {
+          provide: getRepositoryToken(ChainCursor),
+          useValue: {
+            findOne: jest.fn(async ({ where }) => (where.chain === 'assetHub' ? { lastProcessedBlock: 998, updatedAt: now } : null)),
+          },
+        },
+        {
+          provide: getRepositoryToken(ProcessedChainEvent),
+          useValue: {
+            findOne: jest.fn(async ({ where }) => events.find(e => e.chain === where.chain && e.eventName === where.eventName) ?? null),
+          },
+        },
+        { provide: ConfigService, useValue: { get: (_key: string, fallback?: unknown) => fallback } },
+      ],
+    }).compile();
+
+    service = module.get(ChainStatusService);
+  });
+
+  it('reports block heights, indexer lag, contract flags and the last XCM message per chain', async () => {
+    const snapshot = await service.refresh(now);
+
+    expect(snapshot.assetHub).toMatchObject({
+      status: 'live',
+      latestBlock: 1_000,
+      finalizedBlock: 990,
+      indexer: { lastProcessedBlock: 998, lagBlocks: 2 },
+      paused: false,
+      testMode: true,
+    });
+    expect(snapshot.assetHub.rpcLatencyMs).toEqual(expect.any(Number));
+    expect(snapshot.moonbeam).toMatchObject({ status: 'live', latestBlock: 5_000, finalizedBlock: null, indexer: null });
+    expect(snapshot.xcm).toMatchObject({
+      status: 'live',
+      lastSent: { txHash: '0xsent' },
+      lastMessage: { chain: 'moonbeam', eventName: 'AssetsReceived', txHash: '0xreceived' },
+    });
+  });
+
+  it('marks a chain down when its RPC fails and Moonbeam degraded when paused', async () => {
+    assetHubProvider.getBlockNumber.mockRejectedValue(new Error('ECONNREFUSED'));
+    moonbeam.isPaused.mockResolvedValue(true);
+
+    const snapshot = await service.refresh(now);
+
+    expect(snapshot.assetHub).toMatchObject({ status: 'down', reasons: ['RPC unreachable'], error: 'ECONNREFUSED' });
+    expect(snapshot.moonbeam).toMatchObject({ status: 'degraded', reasons: ['Contract paused'] });
+    expect(snapshot.xcm.status).toBe('down');
+  });
+
+  it('pushes a snapshot to watchers only when what users see changes', async () => {
+    await service.refresh(now);
+    const received: ChainStatusSnapshot[] = [];
+    const subscription = service.watch().subscribe(s => received.push(s));
+
+    assetHubProvider.getBlockNumber.mockResolvedValue(1_001);
+    await service.refresh(new Date(now.getTime() + 10_000));
+    moonbeam.isPaused.mockResolvedValue(true);
+    await service.refresh(new Date(now.getTime() + 20_000));
+    subscription.unsubscribe();
+
+    expect(received.map(s => s.moonbeam.status)).toEqual(['live', 'degraded']);
+  });
+
+  it('shares one in-flight poll between the cron and requests', async () => {
+    let answer: (block: number) => void;
+    assetHubProvider.getBlockNumber.mockReturnValueOnce(new Promise(resolve => { answer = resolve; }));
+
+    const polled = service.poll();
+    const requested = service.getStatus(now);
+    await new Promise(resolve => setImmediate(resolve));
+    answer(1_000);
+    await polled;
+
+    expect(await requested).toMatchObject({ assetHub: { latestBlock: 1_000 } });
+    expect(assetHubProvider.getBlockNumber).toHaveBeenCalledTimes(1);
+
+    await service.refresh(new Date(now.getTime() + 10_000));
+    expect(assetHubProvider.getBlockNumber).toHaveBeenCalledTimes(2);
+  });
+
+  it('serves the cached snapshot until it is stale', async () => {
+    await service.getStatus(now);
+    await service.getStatus(new Date(now.getTime() + 20_000));
+    expect(assetHubProvider.getBlockNumber).toHaveBeenCalledTimes(1);
+
+    await service.getStatus(new Date(now.getTime() + 31_000));
+    expect(assetHubProvider.getBlockNumber).toHaveBeenCalledTimes(2);
+  });
+});
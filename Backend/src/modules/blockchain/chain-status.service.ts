@@ -0,0 +1,215 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+import { Observable, Subject, startWith } from 'rxjs';
+
+import { AssetHubService } from './services/asset-hub.service';
+import { MoonbeamService } from './services/moonbeam.service';
+import { IndexedChain } from './services/event-indexer.service';
+import { ChainCursor } from './entities/chain-cursor.entity';
+import { ProcessedChainEvent } from './entities/processed-chain-event.entity';
+import {
+  ChainProbe,
+  ChainStatusSnapshot,
+  ChainStatusThresholds,
+  XcmMessageSeen,
+  classifyChain,
+  classifyXcm,
+  snapshotFingerprint,
+} from './chain-status.logic';
+
+type ProbedChainService = Pick<AssetHubService, 'isInitialized' | 'getProvider' | 'isPaused' | 'isTestMode'>;
+
+/** Contract events that carry an XCM message, by chain */
+const XCM_SENT_EVENT = { chain: 'assetHub', eventName: 'XCMMessageSent' } as const;
+const XCM_RECEIVED_EVENT = { chain: 'moonbeam', eventName: 'AssetsReceived' } as const;
+const XCM_RETURNED_EVENT = { chain: 'moonbeam', eventName: 'AssetsReturned' } as const;
+
+/**
+ * ChainStatusService
+ *
+ * Polls both chains for the dashboard status widget: RPC latency, latest and
+ * finalized block, event indexer lag (from the shared chain cursors), the
+ * contracts' paused/test-mode flags, and the last XCM-carrying events the
+ * indexer processed. Snapshots are cached between polls; watch() emits a new
+ * one only when something users see has changed.
+ */
+@Injectable()
+export class ChainStatusService {
+  private readonly logger = new Logger(ChainStatusService.name);
+  private readonly changes = new Subject<ChainStatusSnapshot>();
+  private latest: ChainStatusSnapshot | null = null;
+  private latestFingerprint: string | null = null;
+  private refreshing: Promise<ChainStatusSnapshot> | null = null;
+
+  constructor(
+    private readonly assetHubService: AssetHubService,
+    private readonly moonbeamService: MoonbeamService,
+    private readonly configService: ConfigService,
+    @InjectRepository(ChainCursor)
+    private readonly cursorRepository: Repository<ChainCursor>,
+    @InjectRepository(ProcessedChainEvent)
+    private readonly processedEventRepository: Repository<ProcessedChainEvent>,
+  ) {}
+
+  private get thresholds(): ChainStatusThresholds {
+    return {
+      slowRpcMs: Number(this.configService.get('CHAIN_STATUS_SLOW_RPC_MS', 2_000)),
+      maxIndexerLagBlocks: Number(this.configService.get('CHAIN_STATUS_MAX_INDEXER_LAG_BLOCKS', 50)),
+      xcmDeliveryMinutes: Number(this.configService.get('CHAIN_STATUS_XCM_DELIVERY_MINUTES', 10)),
+    };
+  }
+
+  private get rpcTimeoutMs(): number {
+    return Number(this.configService.get('CHAIN_STATUS_RPC_TIMEOUT_MS', 5_000));
+  }
+
+  @Cron(CronExpression.EVERY_10_SECONDS)
+  async poll(): Promise<void> {
+    if (!this.configService.get<boolean>('ENABLE_CHAIN_STATUS_MONITOR', true)) {
+      return;
+    }
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      this.logger.error('Error refreshing chain status:', error);
+    }
+  }
+
+  /**
+   * Latest snapshot; polls first if there is none yet or it is stale
+   * (monitor disabled or polls failing)
+   */
+  async getStatus(now = new Date()): Promise<ChainStatusSnapshot> {
+    const maxAgeMs = Number(this.configService.get('CHAIN_STATUS_MAX_AGE_MS', 30_000));
+    if (!this.latest || now.getTime() - this.latest.checkedAt.getTime() > maxAgeMs) {
+      return this.refresh(now);
+    }
+    return this.latest;
+  }
+
+  get lastCheckedAt(): Date | null {
+    return this.latest?.checkedAt ?? null;
+  }
+
+  /** The current snapshot (when there is one), then each change */
+  watch(): Observable<ChainStatusSnapshot> {
+    return this.latest ? this.changes.pipe(startWith(this.latest)) : this.changes.asObservable();
+  }
+
+  /** Poll both chains now; calls made while a poll is running share its result */
+  refresh(now = new Date()): Promise<ChainStatusSnapshot> {
+    if (!this.refreshing) {
+      this.refreshing = this.collect(now).finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  private async collect(now: Date): Promise<ChainStatusSnapshot> {
+    const thresholds = this.thresholds;
+    const [assetHubProbe, moonbeamProbe, lastSent, lastReceived, lastReturned] = await Promise.all([
+      this.probe('assetHub', this.assetHubService),
+      this.probe('moonbeam', this.moonbeamService),
+      this.lastEvent(XCM_SENT_EVENT),
+      this.lastEvent(XCM_RECEIVED_EVENT),
+      this.lastEvent(XCM_RETURNED_EVENT),
+    ]);
+
+    const assetHub = classifyChain(assetHubProbe, thresholds);
+    const moonbeam = classifyChain(moonbeamProbe, thresholds);
+    const lastMessage = [lastSent, lastReceived, lastReturned]
+      .filter(Boolean)
+      .sort((a, b) => b.seenAt.getTime() - a.seenAt.getTime())[0] ?? null;
+    const snapshot: ChainStatusSnapshot = {
+      assetHub,
+      moonbeam,
+      xcm: classifyXcm(assetHub, moonbeam, lastSent, lastReceived, lastMessage, now, thresholds),
+      checkedAt: now,
+    };
+
+    this.latest = snapshot;
+    const fingerprint = snapshotFingerprint(snapshot);
+    if (fingerprint !== this.latestFingerprint) {
+      if (this.latestFingerprint !== null) {
+        this.logger.log(
+          `Chain status changed: Asset Hub ${assetHub.status}, Moonbeam ${moonbeam.status}, XCM ${snapshot.xcm.status}`,
+        );
+      }
+      this.latestFingerprint = fingerprint;
+      this.changes.next(snapshot);
+    }
+    return snapshot;
+  }
+
+  private async probe(chain: IndexedChain, service: ProbedChainService): Promise<ChainProbe> {
+    const probe: ChainProbe = {
+      chain,
+      configured: service.isInitialized(),
+      rpcLatencyMs: null,
+      latestBlock: null,
+      finalizedBlock: null,
+      indexer: null,
+      paused: null,
+      testMode: null,
+      error: null,
+    };
+
+    const cursor = await this.cursorRepository.findOne({ where: { chain } });
+    if (cursor) {
+      probe.indexer = { lastProcessedBlock: cursor.lastProcessedBlock, updatedAt: cursor.updatedAt };
+    }
+
+    if (!probe.configured) {
+      return probe;
+    }
+
+    const provider = service.getProvider();
+    try {
+      const started = Date.now();
+      probe.latestBlock = await this.withTimeout(provider.getBlockNumber());
+      probe.rpcLatencyMs = Date.now() - started;
+    } catch (error) {
+      probe.error = String(error?.message ?? error);
+      return probe;
+    }
+
+    // Not every RPC supports the finalized tag; a failed flag read leaves it unknown
+    const [finalized, paused, testMode] = await Promise.all([
+      this.withTimeout(provider.getBlock('finalized')).catch(() => null),
+      this.withTimeout(service.isPaused()).catch(() => null),
+      this.withTimeout(service.isTestMode()).catch(() => null),
+    ]);
+    probe.finalizedBlock = finalized?.number ?? null;
+    probe.paused = paused;
+    probe.testMode = testMode;
+    return probe;
+  }
+
+  private async lastEvent(where: { chain: IndexedChain; eventName: string }): Promise<XcmMessageSeen | null> {
+    const event = await this.processedEventRepository.findOne({
+      where,
+      order: { blockNumber: 'DESC', logIndex: 'DESC' },
+    });
+    if (!event) return null;
+    return {
+      chain: where.chain,
+      eventName: where.eventName,
+      blockNumber: event.blockNumber,
+      txHash: event.txHash,
+      seenAt: event.createdAt,
+    };
+  }
+
+  private withTimeout<T>(promise: Promise<T>): Promise<T> {
+    let timer: ReturnType<typeof setTimeout>;
+    const timeout = new Promise<never>((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${this.rpcTimeoutMs}ms`)), this.rpcTimeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
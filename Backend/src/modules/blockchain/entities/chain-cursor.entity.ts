@@ -0,0 +1,19 @@
+import { Entity, Column, PrimaryColumn, UpdateDateColumn } from 'typeorm';
+
+/**
+ * Last block fully processed by EventIndexerService for one chain.
+ */
+@Entity('chain_cursors')
+export class ChainCursor {
+  @PrimaryColumn({ type: 'varchar', length: 32 })
+  chain: string; // 'assetHub' | 'moonbeam'
+
+  @Column({ type: 'int' })
+  lastProcessedBlock: number;
+
+  @Column({ type: 'varchar', length: 66, nullable: true })
+  lastProcessedBlockHash: string | null; // Used to detect reorgs below the cursor
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
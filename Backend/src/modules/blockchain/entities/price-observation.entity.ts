@@ -0,0 +1,24 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, Index } from 'typeorm';
+
+/**
+ * One aggregated USD price written by PriceOracleService, with the per-source
+ * quotes that produced it.
+ */
+@Entity('price_history')
+@Index('IDX_price_history_asset_created', ['asset', 'createdAt'])
+export class PriceObservation {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ type: 'varchar', length: 16 })
+  asset: string; // Canonical symbol (DOT, GLMR, USDC, ...)
+
+  @Column({ type: 'decimal', precision: 30, scale: 12 })
+  priceUsd: string;
+
+  @Column({ type: 'jsonb', default: () => "'[]'" })
+  sources: Array<{ source: string; priceUsd: number }>;
+
+  @CreateDateColumn()
+  createdAt: Date;
+}
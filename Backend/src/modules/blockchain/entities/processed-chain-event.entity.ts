@@ -0,0 +1,34 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, Index } from 'typeorm';
+
+/**
+ * Contract log already dispatched by EventIndexerService.
+ * The (chain, txHash, logIndex) key makes replays after restarts/reorgs idempotent.
+ */
+@Entity('processed_chain_events')
+@Index('UQ_processed_chain_events_chain_tx_log', ['chain', 'txHash', 'logIndex'], { unique: true })
+@Index('IDX_processed_chain_events_chain_block', ['chain', 'blockNumber'])
+export class ProcessedChainEvent {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ type: 'varchar', length: 32 })
+  chain: string;
+
+  @Column({ type: 'varchar', length: 66 })
+  txHash: string;
+
+  @Column({ type: 'int' })
+  logIndex: number;
+
+  @Column({ type: 'int' })
+  blockNumber: number;
+
+  @Column({ type: 'varchar', length: 66 })
+  blockHash: string;
+
+  @Column({ type: 'varchar', length: 64, nullable: true })
+  eventName: string | null;
+
+  @CreateDateColumn()
+  createdAt: Date;
+}
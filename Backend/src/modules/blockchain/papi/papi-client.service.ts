@@ -8,7 +8,22 @@ import { ConfigService } from '@nestjs/config';
 import type { PolkadotClient } from 'polkadot-api';
 
 import { PAPI_LOGGER_CONTEXT, PAPI_ENV, PAPI_DEFAULT_GAS_LIMIT } from './papi.constants';
-import type { PapiBasicChainInfo, PapiHealth, ChainId, PapiEncodedCall, ReviveCallParams } from './papi.types';
+import type {
+  PapiBasicChainInfo,
+  PapiHealth,
+  ChainId,
+  PapiEncodedCall,
+  ReviveCallParams,
+  PapiRuntimeVersion,
+  PapiWeight,
+  XcmFeeChain,
+  PapiDryRunEffects,
+  PapiBlockEvents,
+  PapiEventRecord,
+} from './papi.types';
+
+/** XCM version forwarded messages are reported in by DryRunApi.dry_run_call */
+const DRY_RUN_RESULT_XCMS_VERSION = 5;
 
 /**
  * UnsafeApi type - provides dynamic access to pallets without descriptors
@@ -17,8 +32,14 @@ import type { PapiBasicChainInfo, PapiHealth, ChainId, PapiEncodedCall, ReviveCa
 type UnsafeApi = {
   tx: Record<string, Record<string, (...args: unknown[]) => unknown>>;
   query: Record<string, Record<string, unknown>>;
+  constants: Record<string, Record<string, (...args: unknown[]) => Promise<unknown>>>;
+  apis: Record<string, Record<string, (...args: unknown[]) => Promise<unknown>>>;
+  txFromCallData: (callData: unknown) => Promise<{ decodedCall: unknown }>;
 };
 
+/** Runtime API results are Result<T, E>, encoded as { success, value } */
+type RuntimeApiResult<T> = { success: true; value: T } | { success: false; value: unknown };
+
 /**
  * Transaction type from polkadot-api
  */
@@ -278,6 +299,161 @@ export class PapiClientService implements OnModuleDestroy {
     throw new Error('Failed to construct Revive.call transaction');
   }
 
+  // ============================================================
+  // Runtime APIs — XCM weight and fee queries
+  // ============================================================
+
+  /**
+   * Runtime version of Asset Hub or Moonbeam (System.Version constant)
+   */
+  async getRuntimeVersion(chain: XcmFeeChain): Promise<PapiRuntimeVersion> {
+    const api = await this.getXcmChainUnsafeApi(chain);
+    const version = (await api.constants.System.Version()) as { spec_name: string; spec_version: number };
+    return { specName: version.spec_name, specVersion: Number(version.spec_version) };
+  }
+
+  /**
+   * Weight of a versioned XCM program on a chain (XcmPaymentApi.query_xcm_weight)
+   */
+  async queryXcmWeight(chain: XcmFeeChain, message: unknown): Promise<PapiWeight> {
+    const api = await this.getXcmChainUnsafeApi(chain);
+    const result = (await api.apis.XcmPaymentApi.query_xcm_weight(message)) as RuntimeApiResult<{
+      ref_time: bigint;
+      proof_size: bigint;
+    }>;
+    if (!result.success) {
+      throw new Error(`${chain} query_xcm_weight failed: ${this.describeRuntimeError(result.value)}`);
+    }
+    return { refTime: BigInt(result.value.ref_time), proofSize: BigInt(result.value.proof_size) };
+  }
+
+  /**
+   * Fee for a weight, paid in the given asset (XcmPaymentApi.query_weight_to_asset_fee)
+   *
+   * @param assetLocation XCM location of the fee asset, e.g. DOT is { parents: 1, interior: Here }
+   */
+  async queryWeightToAssetFee(chain: XcmFeeChain, weight: PapiWeight, assetLocation: unknown): Promise<bigint> {
+    const api = await this.getXcmChainUnsafeApi(chain);
+    const result = (await api.apis.XcmPaymentApi.query_weight_to_asset_fee(
+      { ref_time: weight.refTime, proof_size: weight.proofSize },
+      { type: 'V4', value: assetLocation },
+    )) as RuntimeApiResult<bigint>;
+    if (!result.success) {
+      throw new Error(`${chain} query_weight_to_asset_fee failed: ${this.describeRuntimeError(result.value)}`);
+    }
+    return BigInt(result.value);
+  }
+
+  /**
+   * Dry-run PolkadotXcm.execute of a versioned XCM program, signed by an account
+   * (DryRunApi.dry_run_call). Resolves to the raw effects: dispatch result,
+   * emitted events and forwarded messages.
+   *
+   * @param accountId32 Hex AccountId32 of the signer
+   */
+  async dryRunXcmExecute(
+    chain: XcmFeeChain,
+    accountId32: string,
+    message: unknown,
+    maxWeight: PapiWeight,
+  ): Promise<PapiDryRunEffects> {
+    const api = await this.getXcmChainUnsafeApi(chain);
+    const { AccountId } = await import('polkadot-api');
+    const signer = AccountId().dec(Uint8Array.from(Buffer.from(accountId32.replace(/^0x/, ''), 'hex')));
+
+    const call = api.tx.PolkadotXcm.execute({
+      message,
+      max_weight: { ref_time: maxWeight.refTime, proof_size: maxWeight.proofSize },
+    }) as PapiTransaction;
+    const result = (await api.apis.DryRunApi.dry_run_call(
+      { type: 'system', value: { type: 'Signed', value: signer } },
+      call.decodedCall,
+      DRY_RUN_RESULT_XCMS_VERSION,
+    )) as RuntimeApiResult<PapiDryRunEffects>;
+    if (!result.success) {
+      throw new Error(`${chain} dry_run_call failed: ${this.describeRuntimeError(result.value)}`);
+    }
+    return result.value;
+  }
+
+  /**
+   * Dry-run an incoming XCM program from a location (DryRunApi.dry_run_xcm)
+   */
+  async dryRunXcm(chain: XcmFeeChain, originLocation: unknown, message: unknown): Promise<PapiDryRunEffects> {
+    const api = await this.getXcmChainUnsafeApi(chain);
+    const result = (await api.apis.DryRunApi.dry_run_xcm(originLocation, message)) as RuntimeApiResult<PapiDryRunEffects>;
+    if (!result.success) {
+      throw new Error(`${chain} dry_run_xcm failed: ${this.describeRuntimeError(result.value)}`);
+    }
+    return result.value;
+  }
+
+  /**
+   * Encode PolkadotXcm.send(dest, message) on a chain, for submission by
+   * whichever origin is allowed to send it (signed account, multisig, governance)
+   */
+  async encodeXcmSendCall(chain: XcmFeeChain, dest: unknown, message: unknown): Promise<PapiEncodedCall> {
+    const api = await this.getXcmChainUnsafeApi(chain);
+    const tx = api.tx.PolkadotXcm.send({ dest, message }) as PapiTransaction;
+    const encoded = await tx.getEncodedData();
+    return {
+      hex: encoded.asHex() as `0x${string}`,
+      bytes: encoded.asBytes(),
+    };
+  }
+
+  // ============================================================
+  // Blocks and events
+  // ============================================================
+
+  /**
+   * Number of the latest finalized block on Asset Hub or Moonbeam
+   */
+  async getFinalizedBlockNumber(chain: XcmFeeChain): Promise<number> {
+    const client = await this.getXcmChainClient(chain);
+    const block = await (client as any).getFinalizedBlock() as { number: number };
+    return Number(block.number);
+  }
+
+  /**
+   * System.Events and Timestamp.Now of a block by number. The hash is looked
+   * up with chain_getBlockHash, so the node must still have the block's state.
+   */
+  async getBlockEvents(chain: XcmFeeChain, blockNumber: number): Promise<PapiBlockEvents> {
+    const client = await this.getXcmChainClient(chain);
+    const hash = await (client as any)._request('chain_getBlockHash', [blockNumber]) as string | null;
+    if (!hash) {
+      throw new Error(`${chain} block ${blockNumber} not found`);
+    }
+
+    const api = (client as any).getUnsafeApi() as UnsafeApi;
+    const storage = (pallet: string, item: string) =>
+      api.query[pallet][item] as { getValue(options: { at: string }): Promise<unknown> };
+    const [events, now] = await Promise.all([
+      storage('System', 'Events').getValue({ at: hash }),
+      storage('Timestamp', 'Now').getValue({ at: hash }),
+    ]);
+
+    return {
+      number: blockNumber,
+      hash,
+      timestamp: new Date(Number(now)),
+      events: (events ?? []) as PapiEventRecord[],
+    };
+  }
+
+  private async getXcmChainClient(chain: XcmFeeChain): Promise<PolkadotClient> {
+    return chain === 'assetHub' ? this.getAssetHubClient() : this.getMoonbeamClient();
+  }
+
+  private async getXcmChainUnsafeApi(chain: XcmFeeChain): Promise<UnsafeApi> {
+    return chain === 'assetHub' ? this.getAssetHubUnsafeApi() : this.getMoonbeamUnsafeApi();
+  }
+
+  private describeRuntimeError(error: unknown): string {
+    return JSON.stringify(error, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+  }
+
   /**
    * Lazy-connect and reuse a single instance per chain.
    */
@@ -38,3 +38,40 @@ export interface ReviveCallParams {
   /** EVM calldata (hex-encoded) */
   inputData: `0x${string}`;
 }
+
+/** Chains whose XcmPaymentApi is queried for fee estimates */
+export type XcmFeeChain = 'assetHub' | 'moonbeam';
+
+export interface PapiRuntimeVersion {
+  specName: string;
+  specVersion: number;
+}
+
+/** Weight V2 as returned by runtime APIs */
+export interface PapiWeight {
+  refTime: bigint;
+  proofSize: bigint;
+}
+
+/** Effects of a DryRunApi call, left as PAPI values for the caller to decode */
+export interface PapiDryRunEffects {
+  execution_result: unknown;
+  emitted_events: Array<{ type: string; value?: { type?: string; value?: unknown } }>;
+  local_xcm?: unknown;
+  forwarded_xcms: Array<[unknown, unknown[]]>;
+}
+
+/** One System.Events record, left as PAPI values */
+export interface PapiEventRecord {
+  phase: unknown;
+  event: { type: string; value?: { type?: string; value?: unknown } };
+  topics?: unknown[];
+}
+
+/** Events of one block with its hash and Timestamp.Now */
+export interface PapiBlockEvents {
+  number: number;
+  hash: string;
+  timestamp: Date;
+  events: PapiEventRecord[];
+}
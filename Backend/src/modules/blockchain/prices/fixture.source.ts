@@ -0,0 +1,28 @@
+import { canonicalAsset } from './price-oracle.logic';
+import { PriceQuote, PriceSource } from './price.types';
+
+/**
+ * Static prices for tests and offline development (PRICE_FIXTURES="DOT:5,GLMR:0.2").
+ * Quotes are always reported as observed "now", so they never go stale.
+ */
+export class FixturePriceSource implements PriceSource {
+  readonly name: string;
+  private readonly prices = new Map<string, number>();
+
+  constructor(prices: Record<string, number>, name = 'fixture') {
+    this.name = name;
+    for (const [asset, price] of Object.entries(prices)) {
+      this.prices.set(canonicalAsset(asset), price);
+    }
+  }
+
+  setPrice(asset: string, priceUsd: number): void {
+    this.prices.set(canonicalAsset(asset), priceUsd);
+  }
+
+  async getQuotes(assets: string[], now: Date): Promise<PriceQuote[]> {
+    return assets
+      .filter(asset => this.prices.has(asset))
+      .map(asset => ({ asset, priceUsd: this.prices.get(asset)!, source: this.name, observedAt: now }));
+  }
+}
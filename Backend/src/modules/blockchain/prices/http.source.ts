@@ -0,0 +1,53 @@
+import { PriceQuote, PriceSource } from './price.types';
+
+export interface HttpPriceSourceConfig {
+  /** URL template; `{ids}` is replaced with the comma-separated provider ids */
+  urlTemplate: string;
+  /** Canonical asset → provider id (e.g. DOT → polkadot) */
+  assetIds: Map<string, string>;
+  /** Optional header sent with every request, e.g. an API key */
+  header?: { name: string; value: string };
+}
+
+/**
+ * Configurable HTTP price feed. The response must be CoinGecko
+ * `simple/price`-shaped: `{ "<id>": { "usd": 5.1, "last_updated_at": 1700000000 } }`.
+ */
+export class HttpPriceSource implements PriceSource {
+  readonly name = 'http';
+
+  constructor(private readonly config: HttpPriceSourceConfig) {}
+
+  async getQuotes(assets: string[], now: Date): Promise<PriceQuote[]> {
+    const wanted = assets.filter(asset => this.config.assetIds.has(asset));
+    if (wanted.length === 0) return [];
+
+    const ids = [...new Set(wanted.map(asset => this.config.assetIds.get(asset)!))];
+    const url = this.config.urlTemplate.replace('{ids}', encodeURIComponent(ids.join(',')));
+    const headers: Record<string, string> = { Accept: 'application/json' };
+    if (this.config.header) {
+      headers[this.config.header.name] = this.config.header.value;
+    }
+
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      throw new Error(`Price endpoint responded with HTTP ${response.status}`);
+    }
+
+    const data = (await response.json()) as Record<string, { usd?: number; last_updated_at?: number }>;
+    const quotes: PriceQuote[] = [];
+
+    for (const asset of wanted) {
+      const entry = data?.[this.config.assetIds.get(asset)!];
+      if (typeof entry?.usd !== 'number') continue;
+      quotes.push({
+        asset,
+        priceUsd: entry.usd,
+        source: this.name,
+        observedAt: entry.last_updated_at ? new Date(entry.last_updated_at * 1000) : now,
+      });
+    }
+
+    return quotes;
+  }
+}
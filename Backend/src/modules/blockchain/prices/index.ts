@@ -0,0 +1,8 @@
+export { FixturePriceSource } from './fixture.source';
+export { HttpPriceSource } from './http.source';
+export type { HttpPriceSourceConfig } from './http.source';
+export { SubgraphPriceSource } from './subgraph.source';
+export { PoolTwapPriceSource, timeWeightedAverage } from './pool-twap.source';
+export type { PoolTwapSourceDeps } from './pool-twap.source';
+export { aggregateQuotes, canonicalAsset, median, parseAssetMap, STABLE_ASSETS } from './price-oracle.logic';
+export * from './price.types';
@@ -0,0 +1,96 @@
+import { Pool } from '../../pools/entities/pool.entity';
+import { sqrtPriceX96ToPrice } from '../../positions/pnl.logic';
+import { STABLE_ASSETS, canonicalAsset } from './price-oracle.logic';
+import { PriceQuote, PriceSource } from './price.types';
+
+export interface PoolTwapSourceDeps {
+  /** Active pools to pick price pairs from */
+  findPools: () => Promise<Pool[]>;
+  getPoolState: (poolAddress: string) => Promise<{ sqrtPriceX96: bigint }>;
+  resolveDecimals: (tokenAddress: string, symbol: string) => Promise<number>;
+  /** Averaging window for the sampled spot prices */
+  windowMs: number;
+}
+
+interface Sample {
+  time: number;
+  priceUsd: number;
+}
+
+/**
+ * Time-weighted average of the spot prices seen in [now - windowMs, now].
+ * Each sample's price holds until the next one; a single sample is its own average.
+ */
+export function timeWeightedAverage(samples: Sample[]): number {
+  if (samples.length === 1) return samples[0].priceUsd;
+
+  let weighted = 0;
+  let duration = 0;
+  for (let i = 0; i < samples.length - 1; i++) {
+    const dt = samples[i + 1].time - samples[i].time;
+    weighted += samples[i].priceUsd * dt;
+    duration += dt;
+  }
+  return duration > 0 ? weighted / duration : samples[samples.length - 1].priceUsd;
+}
+
+/**
+ * Prices an asset from the deepest Algebra pool pairing it with a stablecoin
+ * (valued at $1). Spot prices come from MoonbeamService.getPoolState on every
+ * query and are averaged over a sliding window to blunt single-block manipulation.
+ */
+export class PoolTwapPriceSource implements PriceSource {
+  readonly name = 'pool-twap';
+  private readonly samples = new Map<string, Sample[]>();
+
+  constructor(private readonly deps: PoolTwapSourceDeps) {}
+
+  async getQuotes(assets: string[], now: Date): Promise<PriceQuote[]> {
+    const wanted = assets.filter(asset => !STABLE_ASSETS.has(asset));
+    if (wanted.length === 0) return [];
+
+    const pools = await this.deps.findPools();
+    const quotes: PriceQuote[] = [];
+
+    for (const asset of wanted) {
+      const pool = this.findStablePair(pools, asset);
+      if (!pool) continue;
+
+      const spot = await this.spotPriceUsd(pool, asset);
+      const priceUsd = this.recordSample(pool.poolAddress, { time: now.getTime(), priceUsd: spot });
+      quotes.push({ asset, priceUsd, source: this.name, observedAt: now });
+    }
+
+    return quotes;
+  }
+
+  private findStablePair(pools: Pool[], asset: string): Pool | undefined {
+    return pools
+      .filter(p => {
+        const a0 = canonicalAsset(p.token0Symbol);
+        const a1 = canonicalAsset(p.token1Symbol);
+        return (a0 === asset && STABLE_ASSETS.has(a1)) || (a1 === asset && STABLE_ASSETS.has(a0));
+      })
+      .sort((a, b) => Number(b.tvl) - Number(a.tvl))[0];
+  }
+
+  private async spotPriceUsd(pool: Pool, asset: string): Promise<number> {
+    const [{ sqrtPriceX96 }, decimals0, decimals1] = await Promise.all([
+      this.deps.getPoolState(pool.poolAddress),
+      this.deps.resolveDecimals(pool.token0Address, pool.token0Symbol),
+      this.deps.resolveDecimals(pool.token1Address, pool.token1Symbol),
+    ]);
+
+    // token0 priced in token1
+    const price = sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1);
+    return canonicalAsset(pool.token0Symbol) === asset ? price : 1 / price;
+  }
+
+  private recordSample(poolAddress: string, sample: Sample): number {
+    const key = poolAddress.toLowerCase();
+    const window = (this.samples.get(key) ?? []).filter(s => s.time >= sample.time - this.deps.windowMs);
+    window.push(sample);
+    this.samples.set(key, window);
+    return timeWeightedAverage(window);
+  }
+}
@@ -0,0 +1,86 @@
+import { AggregatedPrice, AggregationOptions, PriceQuote } from './price.types';
+
+/** Bridged / wrapped symbols that price the same as their underlying asset */
+const ASSET_ALIASES: Readonly<Record<string, string>> = {
+  XCDOT: 'DOT',
+  WDOT: 'DOT',
+  WGLMR: 'GLMR',
+  'USDC.E': 'USDC',
+  XCUSDC: 'USDC',
+  'USDT.E': 'USDT',
+  XCUSDT: 'USDT',
+  WETH: 'ETH',
+  'WETH.E': 'ETH',
+  WBTC: 'BTC',
+};
+
+export const STABLE_ASSETS: ReadonlySet<string> = new Set(['USDC', 'USDT', 'DAI', 'FRAX']);
+
+/**
+ * Canonical asset key for a token symbol (case-insensitive, wrappers folded).
+ * e.g. "xcDOT" → "DOT", "WGLMR" → "GLMR", "USDC.e" → "USDC"
+ */
+export function canonicalAsset(symbol: string): string {
+  const s = (symbol ?? '').trim().toUpperCase();
+  return ASSET_ALIASES[s] ?? s;
+}
+
+export function median(values: number[]): number {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Combine quotes for one asset:
+ * 1. drop invalid and stale quotes
+ * 2. drop quotes deviating more than maxDeviationBps from the median of the rest
+ * 3. the median of what remains is the price, if at least minSources quotes remain
+ */
+export function aggregateQuotes(asset: string, quotes: PriceQuote[], opts: AggregationOptions): AggregatedPrice {
+  const rejected: AggregatedPrice['rejected'] = [];
+  const fresh: PriceQuote[] = [];
+
+  for (const quote of quotes) {
+    if (!Number.isFinite(quote.priceUsd) || quote.priceUsd <= 0) {
+      rejected.push({ quote, reason: 'invalid' });
+    } else if (opts.now.getTime() - quote.observedAt.getTime() > opts.maxStalenessMs) {
+      rejected.push({ quote, reason: 'stale' });
+    } else {
+      fresh.push(quote);
+    }
+  }
+
+  const reference = median(fresh.map(q => q.priceUsd));
+  const accepted: PriceQuote[] = [];
+
+  for (const quote of fresh) {
+    const deviationBps = (Math.abs(quote.priceUsd - reference) / reference) * 10_000;
+    if (deviationBps > opts.maxDeviationBps) {
+      rejected.push({ quote, reason: 'deviation' });
+    } else {
+      accepted.push(quote);
+    }
+  }
+
+  const enough = accepted.length > 0 && accepted.length >= opts.minSources;
+  return {
+    asset,
+    priceUsd: enough ? median(accepted.map(q => q.priceUsd)) : null,
+    accepted,
+    rejected,
+  };
+}
+
+/**
+ * Parse "DOT:polkadot,GLMR:moonbeam" style config into canonical asset → value.
+ */
+export function parseAssetMap(csv: string | undefined): Map<string, string> {
+  const map = new Map<string, string>();
+  for (const entry of (csv ?? '').split(',')) {
+    const [asset, value] = entry.split(':').map(s => s?.trim());
+    if (asset && value) map.set(canonicalAsset(asset), value);
+  }
+  return map;
+}
@@ -0,0 +1,38 @@
+/**
+ * A single source's view of an asset's USD price
+ */
+export interface PriceQuote {
+  /** Canonical asset symbol (see canonicalAsset) */
+  asset: string;
+  priceUsd: number;
+  source: string;
+  /** When the source observed the price (not when it was fetched) */
+  observedAt: Date;
+}
+
+/**
+ * Pluggable price feed used by PriceOracleService
+ */
+export interface PriceSource {
+  readonly name: string;
+  /** Quotes for the requested assets; assets the source cannot price are omitted. */
+  getQuotes(assets: string[], now: Date): Promise<PriceQuote[]>;
+}
+
+export type QuoteRejectionReason = 'stale' | 'deviation' | 'invalid';
+
+export interface AggregatedPrice {
+  asset: string;
+  /** Median of the accepted quotes; null when fewer than the required sources agree */
+  priceUsd: number | null;
+  accepted: PriceQuote[];
+  rejected: Array<{ quote: PriceQuote; reason: QuoteRejectionReason }>;
+}
+
+export interface AggregationOptions {
+  now: Date;
+  maxStalenessMs: number;
+  /** Quotes further than this from the median are discarded */
+  maxDeviationBps: number;
+  minSources: number;
+}
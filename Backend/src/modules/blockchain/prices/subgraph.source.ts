@@ -0,0 +1,65 @@
+import { request, gql } from 'graphql-request';
+import { KNOWN_TOKEN_DECIMALS } from '../../../common/token-math';
+import { canonicalAsset } from './price-oracle.logic';
+import { PriceQuote, PriceSource } from './price.types';
+
+const TOKEN_PRICES_QUERY = gql`
+  query TokenPrices($symbols: [String!]) {
+    bundles(first: 1) {
+      maticPriceUSD
+    }
+    tokens(where: { symbol_in: $symbols }, orderBy: totalValueLockedUSD, orderDirection: desc) {
+      symbol
+      derivedMatic
+    }
+  }
+`;
+
+/**
+ * Token prices from the Algebra subgraph: derivedMatic (price in the chain's
+ * native token, GLMR on Moonbeam) × bundle.maticPriceUSD.
+ *
+ * Symbols are not unique on-chain, so when several tokens share a symbol the
+ * one with the most TVL wins.
+ */
+export class SubgraphPriceSource implements PriceSource {
+  readonly name = 'subgraph';
+
+  constructor(
+    private readonly url: string,
+    private readonly apiKey?: string,
+  ) {}
+
+  async getQuotes(assets: string[], now: Date): Promise<PriceQuote[]> {
+    const symbols = this.symbolsFor(assets);
+    if (symbols.length === 0) return [];
+
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : undefined;
+    const data: any = await request(this.url, TOKEN_PRICES_QUERY, { symbols }, headers);
+
+    const nativeUsd = Number(data?.bundles?.[0]?.maticPriceUSD);
+    if (!(nativeUsd > 0)) return [];
+
+    const quotes: PriceQuote[] = [];
+    const seen = new Set<string>();
+
+    for (const token of data?.tokens ?? []) {
+      const asset = canonicalAsset(token.symbol);
+      if (seen.has(asset) || !assets.includes(asset)) continue;
+      seen.add(asset);
+      quotes.push({ asset, priceUsd: Number(token.derivedMatic) * nativeUsd, source: this.name, observedAt: now });
+    }
+
+    return quotes;
+  }
+
+  /** On-chain symbol spellings (xcDOT, WGLMR, ...) for the requested assets */
+  private symbolsFor(assets: string[]): string[] {
+    const known = [...Object.keys(KNOWN_TOKEN_DECIMALS), 'WDOT'];
+    const symbols = new Set<string>(assets);
+    for (const symbol of known) {
+      if (assets.includes(canonicalAsset(symbol))) symbols.add(symbol);
+    }
+    return [...symbols];
+  }
+}
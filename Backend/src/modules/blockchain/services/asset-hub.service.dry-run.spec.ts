@@ -0,0 +1,83 @@
+import { ConfigService } from '@nestjs/config';
+import { AssetHubService } from './asset-hub.service';
+import { XcmBuilderService } from './xcm-builder.service';
+import { ActivityLogsService } from '../../activity-logs/activity-logs.service';
+import { ActivityStatus } from '../../activity-logs/entities/activity-log.entity';
+import { BlockchainErrorCode } from '../types';
+
+describe('AssetHubService dispatchInvestmentWithXcm dry-run gate', () => {
+  const request = {
+    user: '0x0000000000000000000000000000000000000002',
+    chainId: 1284,
+    poolId: '0x0000000000000000000000000000000000000003',
+    baseAsset: '0xFfFFfFff1FcaCBd218EDc0EbA20Fc2308C778080',
+    amount: 10_000_000_000n,
+    lowerRangePercent: -5,
+    upperRangePercent: 10,
+  };
+  const report = { success: false, reasons: ['Moonbeam execution failed: TooExpensive'] };
+
+  let service: AssetHubService;
+  let xcmBuilder: { dryRunXcm: jest.Mock; buildInvestmentXcm: jest.Mock };
+  let logs: { createLog: jest.Mock; updateStatus: jest.Mock };
+  let contract: { target: string; dispatchInvestment: jest.Mock };
+
+  beforeEach(() => {
+    xcmBuilder = {
+      dryRunXcm: jest.fn(async () => ({ success: false, estimatedFees: '0', error: report.reasons[0], report })),
+      buildInvestmentXcm: jest.fn(async () => ({
+        destination: new Uint8Array(),
+        xcmMessage: new Uint8Array(),
+        assetHubPositionId: '0x01',
+        moonbeamCalldata: '0x',
+      })),
+    };
+    logs = {
+      createLog: jest.fn(async (data: any) => ({ id: 'log-1', ...data })),
+      updateStatus: jest.fn(),
+    };
+    contract = {
+      target: '0x00000000000000000000000000000000000000aa',
+      dispatchInvestment: jest.fn(async () => ({
+        wait: async () => ({ hash: '0xtx', logs: [{ eventName: 'InvestmentInitiated', args: { positionId: '0xpos' } }] }),
+      })),
+    };
+
+    const configService = { get: (_key: string, fallback?: unknown) => fallback } as unknown as ConfigService;
+    service = new AssetHubService(
+      configService,
+      xcmBuilder as unknown as XcmBuilderService,
+      logs as unknown as ActivityLogsService,
+    );
+    (service as any).contract = contract;
+  });
+
+  it('refuses to dispatch when the dry run fails and records the report on the activity log', async () => {
+    await expect(service.dispatchInvestmentWithXcm(request)).rejects.toMatchObject({
+      code: BlockchainErrorCode.XCM_DRY_RUN_FAILED,
+      details: { reasons: report.reasons },
+    });
+
+    expect(contract.dispatchInvestment).not.toHaveBeenCalled();
+    expect(xcmBuilder.buildInvestmentXcm).not.toHaveBeenCalled();
+    expect(logs.updateStatus).toHaveBeenCalledWith('log-1', ActivityStatus.FAILED, {
+      details: expect.objectContaining({ poolId: request.poolId, dryRun: report }),
+    });
+  });
+
+  it('dispatches after a passing dry run, keeping the report on the log', async () => {
+    const passed = { success: true, reasons: [] };
+    xcmBuilder.dryRunXcm.mockResolvedValue({ success: true, estimatedFees: '400000000', report: passed });
+
+    await expect(service.dispatchInvestmentWithXcm(request)).resolves.toEqual({
+      positionId: '0xpos',
+      moonbeamCalldata: '0x',
+    });
+
+    expect(contract.dispatchInvestment).toHaveBeenCalledTimes(1);
+    expect(logs.updateStatus).toHaveBeenCalledWith('log-1', ActivityStatus.PENDING, {
+      details: expect.objectContaining({ dryRun: passed }),
+    });
+    expect(logs.updateStatus).toHaveBeenLastCalledWith('log-1', ActivityStatus.SUBMITTED, { positionId: '0xpos' });
+  });
+});
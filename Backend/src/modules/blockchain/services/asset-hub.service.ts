@@ -5,6 +5,7 @@ import { AssetHubVaultABI } from '../abis/AssetHubVault.abi';
 import { XcmBuilderService, XcmInvestmentParams } from './xcm-builder.service';
 import { ActivityLogsService } from '../../activity-logs/activity-logs.service';
 import { ActivityType, ActivityStatus } from '../../activity-logs/entities/activity-log.entity';
+import { BlockchainError, BlockchainErrorCode } from '../types';
 
 // ============================================================
 // INTERFACES
@@ -104,13 +105,13 @@ export interface AssetHubEventCallbacks {
     amount: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onWithdrawal?: (event: {
     user: string;
     amount: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onInvestmentInitiated?: (event: {
     positionId: string;
     user: string;
@@ -119,7 +120,7 @@ export interface AssetHubEventCallbacks {
     amount: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onExecutionConfirmed?: (event: {
     positionId: string;
     chainId: number;
@@ -127,14 +128,14 @@ export interface AssetHubEventCallbacks {
     liquidity: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onPositionLiquidated?: (event: {
     positionId: string;
     user: string;
     finalAmount: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onLiquidationSettled?: (event: {
     positionId: string;
     user: string;
@@ -142,23 +143,37 @@ export interface AssetHubEventCallbacks {
     expectedAmount: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onChainAdded?: (event: {
     chainId: number;
     xcmDestination: string;
     executor: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onXcmMessageSent?: (event: {
     messageHash: string;
     destination: string;
     message: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
 }
 
+/**
+ * AssetHubVault event name → callback it is dispatched to
+ */
+const ASSET_HUB_EVENT_CALLBACKS: Record<string, keyof AssetHubEventCallbacks> = {
+  Deposit: 'onDeposit',
+  Withdrawal: 'onWithdrawal',
+  InvestmentInitiated: 'onInvestmentInitiated',
+  PositionExecutionConfirmed: 'onExecutionConfirmed',
+  PositionLiquidated: 'onPositionLiquidated',
+  LiquidationSettled: 'onLiquidationSettled',
+  ChainAdded: 'onChainAdded',
+  XCMMessageSent: 'onXcmMessageSent',
+};
+
 /**
  * AssetHubService - Manages all interactions with AssetHubVault contract
  * 
@@ -244,6 +259,13 @@ export class AssetHubService implements OnModuleInit {
     return !!this.contract;
   }
 
+  /**
+   * Read provider for the Asset Hub EVM RPC (undefined until initialized)
+   */
+  getProvider(): ethers.Provider {
+    return this.provider;
+  }
+
   /**
    * Dispatches an investment to Moonbeam via XCM
    * This version automatically builds the XCM message using XcmBuilderService
@@ -292,10 +314,21 @@ export class AssetHubService implements OnModuleInit {
         upperRangePercent: params.upperRangePercent,
       };
 
-      // Dry run to verify XCM will succeed
+      // Pre-flight: dry-run on both chains; nothing is sent unless it passes
       const dryRunResult = await this.xcmBuilderService.dryRunXcm(xcmParams);
+      if (log && log.id) {
+        await this.logsService.updateStatus(
+          log.id,
+          dryRunResult.success ? ActivityStatus.PENDING : ActivityStatus.FAILED,
+          { details: { ...log.details, dryRun: dryRunResult.report } },
+        );
+      }
       if (!dryRunResult.success) {
-        throw new Error(`XCM dry run failed: ${dryRunResult.error}`);
+        throw new BlockchainError(
+          BlockchainErrorCode.XCM_DRY_RUN_FAILED,
+          `XCM dry run refused dispatch: ${dryRunResult.error}`,
+          { reasons: dryRunResult.report.reasons },
+        );
       }
       this.logger.log(`XCM dry run passed, estimated fees: ${dryRunResult.estimatedFees}`);
 
@@ -991,6 +1024,23 @@ export class AssetHubService implements OnModuleInit {
     }
   }
 
+  /**
+   * Cancels a PendingExecution position and refunds its amount to the user's
+   * vault balance (emergency only). Used when the Moonbeam side never executed.
+   * Calls: AssetHubVault.emergencyCancelPending()
+   */
+  async emergencyCancelPending(positionId: string): Promise<string> {
+    try {
+      this.logger.log(`Emergency cancelling pending position ${positionId}`);
+      const tx = await this.contract.emergencyCancelPending(positionId);
+      const receipt = await tx.wait();
+      return receipt.hash;
+    } catch (error) {
+      this.logger.error(`Failed to emergency cancel pending position: ${error.message}`);
+      throw error;
+    }
+  }
+
   // ============================================================
   // EVENT LISTENERS
   // ============================================================
@@ -1004,121 +1054,84 @@ export class AssetHubService implements OnModuleInit {
       return;
     }
 
-    // Deposit event
-    if (callbacks.onDeposit) {
-      this.contract.on('Deposit', (user, amount, event) => {
-        this.logger.log(`Event: Deposit from ${user}`);
-        callbacks.onDeposit!({
-          user,
-          amount: amount.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
-        });
-      });
-    }
+    for (const [eventName, callbackKey] of Object.entries(ASSET_HUB_EVENT_CALLBACKS)) {
+      if (!callbacks[callbackKey]) continue;
 
-    // Withdrawal event
-    if (callbacks.onWithdrawal) {
-      this.contract.on('Withdrawal', (user, amount, event) => {
-        this.logger.log(`Event: Withdrawal from ${user}`);
-        callbacks.onWithdrawal!({
-          user,
-          amount: amount.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
-        });
+      this.contract.on(eventName, (...args) => {
+        const { log } = args[args.length - 1] as ethers.ContractEventPayload;
+        this.dispatchLog(log, callbacks).catch(err =>
+          this.logger.error(`Failed to handle ${eventName} event: ${err.message}`),
+        );
       });
     }
 
-    // InvestmentInitiated event
-    if (callbacks.onInvestmentInitiated) {
-      this.contract.on('InvestmentInitiated', (positionId, user, chainId, poolId, amount, event) => {
-        this.logger.log(`Event: InvestmentInitiated ${positionId}`);
-        callbacks.onInvestmentInitiated!({
-          positionId,
-          user,
-          chainId: Number(chainId),
-          poolId,
-          amount: amount.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
-        });
-      });
-    }
-
-    // PositionExecutionConfirmed event
-    if (callbacks.onExecutionConfirmed) {
-      this.contract.on('PositionExecutionConfirmed', (positionId, chainId, remotePositionId, liquidity, event) => {
-        this.logger.log(`Event: PositionExecutionConfirmed ${positionId}`);
-        callbacks.onExecutionConfirmed!({
-          positionId,
-          chainId: Number(chainId),
-          remotePositionId,
-          liquidity: liquidity.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
-        });
-      });
-    }
-
-    // PositionLiquidated event
-    if (callbacks.onPositionLiquidated) {
-      this.contract.on('PositionLiquidated', (positionId, user, finalAmount, event) => {
-        this.logger.log(`Event: PositionLiquidated ${positionId}`);
-        callbacks.onPositionLiquidated!({
-          positionId,
-          user,
-          finalAmount: finalAmount.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
-        });
-      });
-    }
+    this.logger.log('AssetHub event listeners setup complete');
+  }
 
-    // LiquidationSettled event
-    if (callbacks.onLiquidationSettled) {
-      this.contract.on('LiquidationSettled', (positionId, user, receivedAmount, expectedAmount, event) => {
-        this.logger.log(`Event: LiquidationSettled ${positionId}`);
-        callbacks.onLiquidationSettled!({
-          positionId,
-          user,
-          receivedAmount: receivedAmount.toString(),
-          expectedAmount: expectedAmount.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
+  /**
+   * Decodes a raw AssetHubVault log and invokes the matching callback.
+   * Used by the live listeners and by EventIndexerService when backfilling.
+   *
+   * @returns The decoded event name, or null if the log is not a vault event
+   */
+  async dispatchLog(log: ethers.Log, callbacks: AssetHubEventCallbacks): Promise<string | null> {
+    const parsed = this.contract.interface.parseLog({ topics: [...log.topics], data: log.data });
+    if (!parsed) return null;
+
+    const callbackKey = ASSET_HUB_EVENT_CALLBACKS[parsed.name];
+    if (!callbackKey || !callbacks[callbackKey]) return parsed.name;
+
+    this.logger.log(`Event: ${parsed.name} (block ${log.blockNumber})`);
+    const meta = { blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+    const a = parsed.args;
+
+    switch (parsed.name) {
+      case 'Deposit':
+        await callbacks.onDeposit!({ user: a[0], amount: a[1].toString(), ...meta });
+        break;
+      case 'Withdrawal':
+        await callbacks.onWithdrawal!({ user: a[0], amount: a[1].toString(), ...meta });
+        break;
+      case 'InvestmentInitiated':
+        await callbacks.onInvestmentInitiated!({
+          positionId: a[0],
+          user: a[1],
+          chainId: Number(a[2]),
+          poolId: a[3],
+          amount: a[4].toString(),
+          ...meta,
         });
-      });
-    }
-
-    // ChainAdded event
-    if (callbacks.onChainAdded) {
-      this.contract.on('ChainAdded', (chainId, xcmDestination, executor, event) => {
-        this.logger.log(`Event: ChainAdded ${chainId}`);
-        callbacks.onChainAdded!({
-          chainId: Number(chainId),
-          xcmDestination,
-          executor,
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
+        break;
+      case 'PositionExecutionConfirmed':
+        await callbacks.onExecutionConfirmed!({
+          positionId: a[0],
+          chainId: Number(a[1]),
+          remotePositionId: a[2],
+          liquidity: a[3].toString(),
+          ...meta,
         });
-      });
-    }
-
-    // XCMMessageSent event
-    if (callbacks.onXcmMessageSent) {
-      this.contract.on('XCMMessageSent', (messageHash, destination, message, event) => {
-        this.logger.log(`Event: XCMMessageSent ${messageHash}`);
-        callbacks.onXcmMessageSent!({
-          messageHash,
-          destination,
-          message,
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
+        break;
+      case 'PositionLiquidated':
+        await callbacks.onPositionLiquidated!({ positionId: a[0], user: a[1], finalAmount: a[2].toString(), ...meta });
+        break;
+      case 'LiquidationSettled':
+        await callbacks.onLiquidationSettled!({
+          positionId: a[0],
+          user: a[1],
+          receivedAmount: a[2].toString(),
+          expectedAmount: a[3].toString(),
+          ...meta,
         });
-      });
+        break;
+      case 'ChainAdded':
+        await callbacks.onChainAdded!({ chainId: Number(a[0]), xcmDestination: a[1], executor: a[2], ...meta });
+        break;
+      case 'XCMMessageSent':
+        await callbacks.onXcmMessageSent!({ messageHash: a[0], destination: a[1], message: a[2], ...meta });
+        break;
     }
 
-    this.logger.log('AssetHub event listeners setup complete');
+    return parsed.name;
   }
 
   /**
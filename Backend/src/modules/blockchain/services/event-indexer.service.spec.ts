@@ -0,0 +1,206 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { EventIndexerService, IndexedChainSource, blockRanges } from './event-indexer.service';
+import { ChainCursor } from '../entities/chain-cursor.entity';
+import { ProcessedChainEvent } from '../entities/processed-chain-event.entity';
+
+function makeLog(blockNumber: number, index: number, txHash = `0xtx${blockNumber}_${index}`): any {
+  return { blockNumber, index, transactionHash: txHash, blockHash: `0xh${blockNumber}`, removed: false, topics: [], data: '0x' };
+}
+
+describe('EventIndexerService', () => {
+  let service: EventIndexerService;
+  let cursors: Map<string, ChainCursor>;
+  let processed: ProcessedChainEvent[];
+  let blockHashes: Record<number, string>;
+  let provider: any;
+  let dispatch: jest.Mock;
+  let source: IndexedChainSource;
+  let config: Record<string, any>;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    cursors = new Map();
+    processed = [];
+    blockHashes = {};
+    config = { BLOCKCHAIN_INDEXER_CONFIRMATIONS: 2, BLOCKCHAIN_INDEXER_MAX_BLOCK_RANGE: 500 };
+
+    const cursorRepository = {
+      findOne: jest.fn(async ({ where }: any) => cursors.get(where.chain) ?? null),
+      save: jest.fn(async (c: ChainCursor) => {
+        cursors.set(c.chain, { ...c });
+        return c;
+      }),
+    };
+
+    const sameKey = (e: ProcessedChainEvent, key: any) =>
+      e.chain === key.chain && e.txHash === key.txHash && e.logIndex === key.logIndex;
+    const em = {
+      createQueryBuilder: jest.fn(() => {
+        const qb: any = {
+          insert: () => qb,
+          into: () => qb,
+          values: (v: any) => {
+            qb.row = v;
+            return qb;
+          },
+          orIgnore: () => qb,
+          returning: () => qb,
+          execute: async () => {
+            if (processed.some(e => sameKey(e, qb.row))) return { raw: [] };
+            processed.push(qb.row);
+            return { raw: [{ id: 'claimed' }] };
+          },
+        };
+        return qb;
+      }),
+      update: jest.fn(async (_entity: unknown, key: any, patch: any) => {
+        Object.assign(processed.find(e => sameKey(e, key)), patch);
+      }),
+    };
+
+    const processedEventRepository = {
+      find: jest.fn(async ({ where }: any) =>
+        processed
+          .filter(e => e.chain === where.chain && e.blockNumber > where.blockNumber.value)
+          .sort((a, b) => b.blockNumber - a.blockNumber),
+      ),
+      manager: {
+        // Rolls back rows inserted by a failed callback
+        transaction: jest.fn(async (work: (m: typeof em) => Promise<unknown>) => {
+          const before = processed.length;
+          try {
+            return await work(em);
+          } catch (error) {
+            processed.splice(before);
+            throw error;
+          }
+        }),
+      },
+    };
+
+    provider = {
+      getBlockNumber: jest.fn().mockResolvedValue(110),
+      getLogs: jest.fn().mockResolvedValue([]),
+      getBlock: jest.fn(async (n: number) => ({ number: n, hash: blockHashes[n] ?? `0xh${n}` })),
+      getTransactionReceipt: jest.fn().mockResolvedValue({}),
+    };
+    dispatch = jest.fn().mockResolvedValue('Deposit');
+    source = { chain: 'assetHub', provider, address: '0xvault', dispatch };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        EventIndexerService,
+        { provide: ConfigService, useValue: { get: jest.fn((key: string, def?: any) => config[key] ?? def) } },
+        { provide: getRepositoryToken(ChainCursor), useValue: cursorRepository },
+        { provide: getRepositoryToken(ProcessedChainEvent), useValue: processedEventRepository },
+      ],
+    }).compile();
+
+    service = module.get(EventIndexerService);
+    service.start(source);
+  });
+
+  afterEach(() => {
+    service.stop();
+    jest.useRealTimers();
+  });
+
+  it('splits block spans into bounded getLogs ranges', () => {
+    expect(blockRanges(1, 10, 4)).toEqual([[1, 4], [5, 8], [9, 10]]);
+    expect(blockRanges(11, 10, 4)).toEqual([]);
+  });
+
+  it('starts a fresh chain at the confirmed head without replaying history', async () => {
+    await service.poll('assetHub');
+
+    expect(cursors.get('assetHub')).toMatchObject({ lastProcessedBlock: 108, lastProcessedBlockHash: '0xh108' });
+    expect(provider.getLogs).not.toHaveBeenCalled();
+  });
+
+  it('honours a configured start block on first run', async () => {
+    config.ASSETHUB_INDEXER_START_BLOCK = '100';
+    await service.poll('assetHub');
+
+    expect(provider.getLogs).toHaveBeenCalledWith({ address: '0xvault', fromBlock: 100, toBlock: 108 });
+  });
+
+  it('backfills confirmed blocks since the cursor in log order', async () => {
+    cursors.set('assetHub', { chain: 'assetHub', lastProcessedBlock: 100, lastProcessedBlockHash: '0xh100' } as ChainCursor);
+    provider.getLogs.mockResolvedValue([makeLog(105, 3), makeLog(102, 0), makeLog(105, 1)]);
+
+    await service.poll('assetHub');
+
+    expect(provider.getLogs).toHaveBeenCalledWith({ address: '0xvault', fromBlock: 101, toBlock: 108 });
+    expect(dispatch.mock.calls.map(([log]) => `${log.blockNumber}:${log.index}`)).toEqual(['102:0', '105:1', '105:3']);
+    expect(processed).toHaveLength(3);
+    expect(processed.map(e => e.eventName)).toEqual(['Deposit', 'Deposit', 'Deposit']);
+    expect(cursors.get('assetHub')!.lastProcessedBlock).toBe(108);
+    expect(service.getStatus()[0]).toMatchObject({ eventsProcessed: 3, lagBlocks: 2, lastError: null });
+  });
+
+  it('skips logs already processed (same txHash and logIndex)', async () => {
+    cursors.set('assetHub', { chain: 'assetHub', lastProcessedBlock: 100, lastProcessedBlockHash: '0xh100' } as ChainCursor);
+    processed.push({ chain: 'assetHub', txHash: '0xtx102_0', logIndex: 0, blockNumber: 102, blockHash: '0xh102' } as ProcessedChainEvent);
+    provider.getLogs.mockResolvedValue([makeLog(102, 0), makeLog(103, 0)]);
+
+    await service.poll('assetHub');
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(dispatch.mock.calls[0][0].blockNumber).toBe(103);
+    expect(service.getStatus()[0].duplicatesSkipped).toBe(1);
+  });
+
+  it('claims a log before dispatching it, so a replica polling the same range skips it', async () => {
+    cursors.set('assetHub', { chain: 'assetHub', lastProcessedBlock: 100, lastProcessedBlockHash: '0xh100' } as ChainCursor);
+    provider.getLogs.mockResolvedValue([makeLog(102, 0)]);
+    dispatch.mockImplementation(async (log: any) => {
+      expect(processed).toEqual([expect.objectContaining({ txHash: log.transactionHash, logIndex: 0 })]);
+      return 'Deposit';
+    });
+
+    await service.poll('assetHub');
+    // Another replica still holding the old cursor reads the same range
+    cursors.get('assetHub')!.lastProcessedBlock = 100;
+    await service.poll('assetHub');
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(service.getStatus()[0]).toMatchObject({ eventsProcessed: 1, duplicatesSkipped: 1 });
+  });
+
+  it('keeps the cursor in place when a handler fails so the range is retried', async () => {
+    cursors.set('assetHub', { chain: 'assetHub', lastProcessedBlock: 100, lastProcessedBlockHash: '0xh100' } as ChainCursor);
+    provider.getLogs.mockResolvedValue([makeLog(102, 0), makeLog(103, 0)]);
+    dispatch.mockResolvedValueOnce('Deposit').mockRejectedValueOnce(new Error('db down'));
+
+    await service.poll('assetHub');
+
+    expect(cursors.get('assetHub')!.lastProcessedBlock).toBe(100);
+    expect(service.getStatus()[0].lastError).toBe('db down');
+
+    // Retry: the first log is deduped, the failed one is dispatched again
+    dispatch.mockClear().mockResolvedValue('Deposit');
+    await service.poll('assetHub');
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(dispatch.mock.calls[0][0].blockNumber).toBe(103);
+    expect(cursors.get('assetHub')!.lastProcessedBlock).toBe(108);
+  });
+
+  it('rewinds to the last canonical block after a reorg and rescans', async () => {
+    cursors.set('assetHub', { chain: 'assetHub', lastProcessedBlock: 100, lastProcessedBlockHash: '0xold100' } as ChainCursor);
+    processed.push(
+      { chain: 'assetHub', txHash: '0xa', logIndex: 0, blockNumber: 95, blockHash: '0xh95', eventName: 'Deposit' } as ProcessedChainEvent,
+      { chain: 'assetHub', txHash: '0xb', logIndex: 0, blockNumber: 99, blockHash: '0xold99', eventName: 'Deposit' } as ProcessedChainEvent,
+    );
+    provider.getTransactionReceipt.mockImplementation(async (hash: string) => (hash === '0xb' ? null : {}));
+
+    await service.poll('assetHub');
+
+    expect(provider.getLogs).toHaveBeenCalledWith({ address: '0xvault', fromBlock: 96, toBlock: 108 });
+    expect(provider.getTransactionReceipt).toHaveBeenCalledWith('0xb');
+    expect(service.getStatus()[0].reorgsDetected).toBe(1);
+    expect(cursors.get('assetHub')!.lastProcessedBlock).toBe(108);
+  });
+});
@@ -0,0 +1,359 @@
+import { Injectable, Logger, OnModuleDestroy } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { InjectRepository } from '@nestjs/typeorm';
+import { MoreThan, Repository } from 'typeorm';
+import { ethers } from 'ethers';
+import { ChainCursor } from '../entities/chain-cursor.entity';
+import { ProcessedChainEvent } from '../entities/processed-chain-event.entity';
+
+export type IndexedChain = 'assetHub' | 'moonbeam';
+
+/**
+ * A contract whose logs the indexer follows
+ */
+export interface IndexedChainSource {
+  chain: IndexedChain;
+  provider: ethers.Provider;
+  address: string;
+  /** Decode one log and run its handler; resolves with the event name (null if not a contract event). */
+  dispatch: (log: ethers.Log) => Promise<string | null>;
+}
+
+/**
+ * Indexer progress for monitoring
+ */
+export interface IndexerChainStatus {
+  chain: IndexedChain;
+  headBlock: number | null;
+  safeBlock: number | null;
+  lastProcessedBlock: number | null;
+  lagBlocks: number | null;
+  eventsProcessed: number;
+  duplicatesSkipped: number;
+  reorgsDetected: number;
+  lastPollAt: Date | null;
+  lastError: string | null;
+}
+
+interface WatchedChain {
+  source: IndexedChainSource;
+  timer: ReturnType<typeof setTimeout> | null;
+  polling: boolean;
+  stopped: boolean;
+  status: IndexerChainStatus;
+}
+
+/** Env prefix for per-chain settings (e.g. ASSETHUB_INDEXER_START_BLOCK) */
+const CHAIN_ENV_PREFIX: Record<IndexedChain, string> = {
+  assetHub: 'ASSETHUB',
+  moonbeam: 'MOONBEAM',
+};
+
+/**
+ * Split [fromBlock, toBlock] into inclusive getLogs ranges of at most `maxRange` blocks.
+ */
+export function blockRanges(fromBlock: number, toBlock: number, maxRange: number): Array<[number, number]> {
+  const ranges: Array<[number, number]> = [];
+  const step = Math.max(1, maxRange);
+  for (let start = fromBlock; start <= toBlock; start += step) {
+    ranges.push([start, Math.min(start + step - 1, toBlock)]);
+  }
+  return ranges;
+}
+
+/**
+ * EventIndexerService
+ *
+ * Block-checkpointed replacement for the live `contract.on` subscriptions.
+ * For every watched contract it polls `getLogs` from a persisted per-chain
+ * cursor up to `head - confirmations`, so events emitted while the backend
+ * was down or reconnecting are backfilled on the next poll.
+ *
+ * Guarantees:
+ * - Confirmation gating: only blocks at least BLOCKCHAIN_INDEXER_CONFIRMATIONS deep are read
+ * - Each log is claimed on (chain, txHash, logIndex) before dispatch, in the same
+ *   transaction, so handlers run once per log even with several replicas
+ * - The cursor only advances after every log of a range has been handled
+ * - Reorg detection: if the cursor's block hash changed, rewind to the last
+ *   recorded block that is still canonical and rescan from there
+ */
+@Injectable()
+export class EventIndexerService implements OnModuleDestroy {
+  private readonly logger = new Logger(EventIndexerService.name);
+  private readonly watched = new Map<IndexedChain, WatchedChain>();
+
+  constructor(
+    private configService: ConfigService,
+    @InjectRepository(ChainCursor)
+    private cursorRepository: Repository<ChainCursor>,
+    @InjectRepository(ProcessedChainEvent)
+    private processedEventRepository: Repository<ProcessedChainEvent>,
+  ) {}
+
+  /** Blocks a log must be buried under before it is dispatched. */
+  get confirmations(): number {
+    return Number(this.configService.get('BLOCKCHAIN_INDEXER_CONFIRMATIONS', 2));
+  }
+
+  get pollIntervalMs(): number {
+    return Number(this.configService.get('BLOCKCHAIN_INDEXER_POLL_INTERVAL_MS', 6_000));
+  }
+
+  /** Largest block span requested per getLogs call. */
+  get maxBlockRange(): number {
+    return Number(this.configService.get('BLOCKCHAIN_INDEXER_MAX_BLOCK_RANGE', 500));
+  }
+
+  /** How far back a reorg is searched for before giving up and rescanning from there. */
+  get reorgDepth(): number {
+    return Number(this.configService.get('BLOCKCHAIN_INDEXER_REORG_DEPTH', 64));
+  }
+
+  onModuleDestroy() {
+    this.stop();
+  }
+
+  /**
+   * Start following a contract. The first poll runs immediately and backfills
+   * everything since the stored cursor.
+   */
+  start(source: IndexedChainSource): void {
+    this.stop(source.chain);
+
+    const watched: WatchedChain = {
+      source,
+      timer: null,
+      polling: false,
+      stopped: false,
+      status: {
+        chain: source.chain,
+        headBlock: null,
+        safeBlock: null,
+        lastProcessedBlock: null,
+        lagBlocks: null,
+        eventsProcessed: 0,
+        duplicatesSkipped: 0,
+        reorgsDetected: 0,
+        lastPollAt: null,
+        lastError: null,
+      },
+    };
+    this.watched.set(source.chain, watched);
+
+    const tick = async () => {
+      await this.poll(source.chain);
+      if (!watched.stopped) {
+        watched.timer = setTimeout(tick, this.pollIntervalMs);
+      }
+    };
+    watched.timer = setTimeout(tick, 0);
+
+    this.logger.log(`Indexing ${source.chain} events at ${source.address} (${this.confirmations} confirmations)`);
+  }
+
+  /**
+   * Stop following one chain, or all chains when none is given
+   */
+  stop(chain?: IndexedChain): void {
+    const chains = chain ? [chain] : [...this.watched.keys()];
+    for (const c of chains) {
+      const watched = this.watched.get(c);
+      if (!watched) continue;
+      watched.stopped = true;
+      if (watched.timer) clearTimeout(watched.timer);
+      this.watched.delete(c);
+    }
+  }
+
+  getStatus(): IndexerChainStatus[] {
+    return [...this.watched.values()].map(w => ({ ...w.status }));
+  }
+
+  /**
+   * Process every confirmed block since the cursor. Safe to call concurrently
+   * with the timer; overlapping polls for the same chain are skipped.
+   */
+  async poll(chain: IndexedChain): Promise<void> {
+    const watched = this.watched.get(chain);
+    if (!watched || watched.polling) return;
+
+    watched.polling = true;
+    try {
+      const { provider } = watched.source;
+      const headBlock = await provider.getBlockNumber();
+      const safeBlock = headBlock - this.confirmations;
+      watched.status.headBlock = headBlock;
+      watched.status.safeBlock = safeBlock;
+
+      let cursor = await this.loadCursor(watched, safeBlock);
+      cursor = await this.rewindOnReorg(watched, cursor);
+      watched.status.lastProcessedBlock = cursor.lastProcessedBlock;
+
+      for (const [fromBlock, toBlock] of blockRanges(cursor.lastProcessedBlock + 1, safeBlock, this.maxBlockRange)) {
+        if (watched.stopped) break;
+        await this.processRange(watched, fromBlock, toBlock);
+      }
+
+      watched.status.lagBlocks = Math.max(0, headBlock - (watched.status.lastProcessedBlock ?? headBlock));
+      watched.status.lastError = null;
+    } catch (error) {
+      watched.status.lastError = error instanceof Error ? error.message : String(error);
+      this.logger.error(`Indexer poll failed for ${chain}: ${watched.status.lastError}`);
+    } finally {
+      watched.polling = false;
+      watched.status.lastPollAt = new Date();
+    }
+  }
+
+  /**
+   * Fetch, dispatch and checkpoint one block range.
+   */
+  private async processRange(watched: WatchedChain, fromBlock: number, toBlock: number): Promise<void> {
+    const { chain, provider, address } = watched.source;
+
+    const logs = await provider.getLogs({ address, fromBlock, toBlock });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    for (const log of logs) {
+      if (log.removed) continue;
+      await this.processLog(watched, log);
+    }
+
+    const block = await provider.getBlock(toBlock);
+    await this.cursorRepository.save({
+      chain,
+      lastProcessedBlock: toBlock,
+      lastProcessedBlockHash: block?.hash ?? null,
+    });
+    watched.status.lastProcessedBlock = toBlock;
+
+    if (logs.length > 0) {
+      this.logger.log(`Indexed ${logs.length} ${chain} log(s) in blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  /**
+   * Claim a log in processed_chain_events and dispatch it, in one
+   * transaction. A replica racing for the same log blocks on the unique key
+   * until the claim commits and then skips it, so handlers run once per log.
+   * A handler error rolls the claim back and aborts the range, so the cursor
+   * stays put and the log is retried on the next poll.
+   */
+  private async processLog(watched: WatchedChain, log: ethers.Log): Promise<void> {
+    const key = { chain: watched.source.chain, txHash: log.transactionHash, logIndex: log.index };
+
+    const dispatched = await this.processedEventRepository.manager.transaction(async em => {
+      const claim = await em
+        .createQueryBuilder()
+        .insert()
+        .into(ProcessedChainEvent)
+        .values({ ...key, blockNumber: log.blockNumber, blockHash: log.blockHash, eventName: null })
+        .orIgnore()
+        .returning('id')
+        .execute();
+      if (claim.raw.length === 0) return false;
+
+      const eventName = await watched.source.dispatch(log);
+      if (eventName) {
+        await em.update(ProcessedChainEvent, key, { eventName });
+      }
+      return true;
+    });
+
+    if (dispatched) {
+      watched.status.eventsProcessed++;
+    } else {
+      watched.status.duplicatesSkipped++;
+    }
+  }
+
+  /**
+   * Stored cursor for the chain, created on first run at the configured start
+   * block (or the current safe head, i.e. no history).
+   */
+  private async loadCursor(watched: WatchedChain, safeBlock: number): Promise<ChainCursor> {
+    const { chain, provider } = watched.source;
+
+    const existing = await this.cursorRepository.findOne({ where: { chain } });
+    if (existing) return existing;
+
+    const configured = this.configService.get<string>(`${CHAIN_ENV_PREFIX[chain]}_INDEXER_START_BLOCK`);
+    const lastProcessedBlock = configured ? Number(configured) - 1 : safeBlock;
+    const block = await provider.getBlock(lastProcessedBlock);
+
+    this.logger.log(`No ${chain} cursor found, starting after block ${lastProcessedBlock}`);
+    return this.cursorRepository.save({
+      chain,
+      lastProcessedBlock,
+      lastProcessedBlockHash: block?.hash ?? null,
+    });
+  }
+
+  /**
+   * If the block under the cursor was replaced, rewind to the most recent
+   * recorded block that is still canonical (bounded by reorgDepth).
+   */
+  private async rewindOnReorg(watched: WatchedChain, cursor: ChainCursor): Promise<ChainCursor> {
+    const { chain, provider } = watched.source;
+    if (!cursor.lastProcessedBlockHash) return cursor;
+
+    const block = await provider.getBlock(cursor.lastProcessedBlock);
+    if (!block || block.hash === cursor.lastProcessedBlockHash) return cursor;
+
+    watched.status.reorgsDetected++;
+    const forkBlock = await this.findForkBlock(watched, cursor.lastProcessedBlock);
+    this.logger.warn(`Reorg detected on ${chain} at block ${cursor.lastProcessedBlock}, rewinding to ${forkBlock}`);
+
+    await this.reportOrphanedEvents(watched, forkBlock);
+
+    const fork = await provider.getBlock(forkBlock);
+    return this.cursorRepository.save({
+      chain,
+      lastProcessedBlock: forkBlock,
+      lastProcessedBlockHash: fork?.hash ?? null,
+    });
+  }
+
+  private async findForkBlock(watched: WatchedChain, fromBlock: number): Promise<number> {
+    const { chain, provider } = watched.source;
+    const floor = Math.max(0, fromBlock - this.reorgDepth);
+
+    const recorded = await this.processedEventRepository.find({
+      where: { chain, blockNumber: MoreThan(floor) },
+      order: { blockNumber: 'DESC' },
+    });
+
+    const checked = new Set<number>();
+    for (const event of recorded) {
+      if (checked.has(event.blockNumber)) continue;
+      checked.add(event.blockNumber);
+
+      const block = await provider.getBlock(event.blockNumber);
+      if (block?.hash === event.blockHash) return event.blockNumber;
+    }
+
+    return floor;
+  }
+
+  /**
+   * Logs handled in blocks above the fork are re-read by the rescan. Those
+   * whose transaction is gone entirely cannot be undone automatically.
+   */
+  private async reportOrphanedEvents(watched: WatchedChain, forkBlock: number): Promise<void> {
+    const { chain, provider } = watched.source;
+
+    const affected = await this.processedEventRepository.find({
+      where: { chain, blockNumber: MoreThan(forkBlock) },
+    });
+
+    for (const event of affected) {
+      const receipt = await provider.getTransactionReceipt(event.txHash);
+      if (!receipt) {
+        this.logger.error(
+          `Orphaned ${chain} event ${event.eventName ?? 'unknown'} (tx ${event.txHash}, log ${event.logIndex}) ` +
+          `was already handled; manual review required`,
+        );
+      }
+    }
+  }
+}
@@ -5,6 +5,7 @@ import { Repository } from 'typeorm';
 import { AssetHubService, AssetHubEventCallbacks } from './asset-hub.service';
 import { MoonbeamService, MoonbeamEventCallbacks } from './moonbeam.service';
 import { XcmRetryService } from './xcm-retry.service';
+import { EventIndexerService, IndexerChainStatus } from './event-indexer.service';
 import { Position, PositionStatus } from '../../positions/entities/position.entity';
 import { ActivityLog, ActivityType, ActivityStatus } from '../../activity-logs/entities/activity-log.entity';
 
@@ -36,6 +37,26 @@ export interface EventStats {
   };
   lastEventTime: Date | null;
   isListening: boolean;
+  indexer?: IndexerChainStatus[];
+}
+
+type EventHandler = (event: unknown) => void | Promise<void>;
+
+/** Chain callbacks with same-event handlers chained instead of replaced. */
+function mergeCallbacks<T extends object>(existing: T | undefined, added: T | undefined): T | undefined {
+  if (!existing || !added) return existing ?? added;
+
+  const merged = { ...existing } as Record<string, EventHandler>;
+  for (const [name, handler] of Object.entries(added) as Array<[string, EventHandler]>) {
+    const previous = merged[name];
+    merged[name] = previous
+      ? async (event) => {
+          await previous(event);
+          await handler(event);
+        }
+      : handler;
+  }
+  return merged as T;
 }
 
 /**
@@ -45,6 +66,8 @@ export interface EventStats {
  * Provides a single point of configuration for all blockchain events.
  * 
  * Features:
+ * - Block-checkpointed delivery via EventIndexerService (backfill after downtime,
+ *   confirmation gating, reorg handling, (txHash, logIndex) dedupe)
  * - Automatic reconnection on disconnect
  * - Event statistics tracking
  * - Graceful shutdown
@@ -100,6 +123,7 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
     private assetHubService: AssetHubService,
     private moonbeamService: MoonbeamService,
     private xcmRetryService: XcmRetryService,
+    private eventIndexer: EventIndexerService,
     @InjectRepository(Position)
     private positionRepository: Repository<Position>,
     @InjectRepository(ActivityLog)
@@ -127,10 +151,14 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
   }
 
   /**
-   * Register callbacks for blockchain events
+   * Register callbacks for blockchain events. Handlers registered by different
+   * services for the same event all run, in registration order.
    */
   registerCallbacks(callbacks: BlockchainEventCallbacks): void {
-    this.callbacks = { ...this.callbacks, ...callbacks };
+    this.callbacks = {
+      assetHub: mergeCallbacks(this.callbacks.assetHub, callbacks.assetHub),
+      moonbeam: mergeCallbacks(this.callbacks.moonbeam, callbacks.moonbeam),
+    };
     
     // If already listening, restart to apply new callbacks
     if (this.isListening) {
@@ -186,6 +214,7 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
 
     this.logger.log('Stopping blockchain event listeners...');
 
+    this.eventIndexer.stop();
     this.assetHubService.removeAllListeners();
     this.moonbeamService.removeAllListeners();
 
@@ -228,7 +257,15 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
    * Get current event statistics
    */
   getStats(): EventStats {
-    return { ...this.stats };
+    return { ...this.stats, indexer: this.eventIndexer.getStatus() };
+  }
+
+  /**
+   * Whether events are read through the block indexer (default) or the
+   * legacy live `contract.on` subscriptions.
+   */
+  private get useIndexer(): boolean {
+    return String(this.configService.get('BLOCKCHAIN_INDEXER_ENABLED', true)) !== 'false';
   }
 
   /**
@@ -260,61 +297,70 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
    */
   private setupAssetHubListeners(): void {
     const assetHubCallbacks: AssetHubEventCallbacks = {
-      onDeposit: (event) => {
+      onDeposit: async (event) => {
         this.stats.assetHub.deposits++;
         this.stats.lastEventTime = new Date();
         this.logger.debug(`AssetHub Deposit: ${event.user} deposited ${event.amount}`);
-        this.callbacks.assetHub?.onDeposit?.(event);
+        await this.callbacks.assetHub?.onDeposit?.(event);
       },
 
-      onWithdrawal: (event) => {
+      onWithdrawal: async (event) => {
         this.stats.assetHub.withdrawals++;
         this.stats.lastEventTime = new Date();
         this.logger.debug(`AssetHub Withdrawal: ${event.user} withdrew ${event.amount}`);
-        this.callbacks.assetHub?.onWithdrawal?.(event);
+        await this.callbacks.assetHub?.onWithdrawal?.(event);
       },
 
-      onInvestmentInitiated: (event) => {
+      onInvestmentInitiated: async (event) => {
         this.stats.assetHub.investmentsInitiated++;
         this.stats.lastEventTime = new Date();
         this.logger.log(`AssetHub Investment: ${event.positionId} initiated by ${event.user}`);
-        this.callbacks.assetHub?.onInvestmentInitiated?.(event);
+        await this.callbacks.assetHub?.onInvestmentInitiated?.(event);
       },
 
-      onExecutionConfirmed: (event) => {
+      onExecutionConfirmed: async (event) => {
         this.stats.assetHub.executionsConfirmed++;
         this.stats.lastEventTime = new Date();
         this.logger.log(`AssetHub Execution: ${event.positionId} confirmed on chain ${event.chainId}`);
-        this.callbacks.assetHub?.onExecutionConfirmed?.(event);
+        await this.callbacks.assetHub?.onExecutionConfirmed?.(event);
       },
 
-      onPositionLiquidated: (event) => {
+      onPositionLiquidated: async (event) => {
         this.stats.assetHub.positionsLiquidated++;
         this.stats.lastEventTime = new Date();
         this.logger.log(`AssetHub Liquidation: ${event.positionId} returned ${event.finalAmount}`);
-        this.callbacks.assetHub?.onPositionLiquidated?.(event);
+        await this.callbacks.assetHub?.onPositionLiquidated?.(event);
       },
 
-      onLiquidationSettled: (event) => {
+      onLiquidationSettled: async (event) => {
         this.stats.lastEventTime = new Date();
         this.logger.log(`AssetHub Settlement: ${event.positionId} settled for ${event.receivedAmount}`);
-        this.callbacks.assetHub?.onLiquidationSettled?.(event);
+        await this.callbacks.assetHub?.onLiquidationSettled?.(event);
       },
 
-      onChainAdded: (event) => {
+      onChainAdded: async (event) => {
         this.stats.lastEventTime = new Date();
         this.logger.log(`AssetHub Chain Added: ${event.chainId}`);
-        this.callbacks.assetHub?.onChainAdded?.(event);
+        await this.callbacks.assetHub?.onChainAdded?.(event);
       },
 
-      onXcmMessageSent: (event) => {
+      onXcmMessageSent: async (event) => {
         this.stats.lastEventTime = new Date();
         this.logger.debug(`AssetHub XCM Sent: ${event.messageHash}`);
-        this.callbacks.assetHub?.onXcmMessageSent?.(event);
+        await this.callbacks.assetHub?.onXcmMessageSent?.(event);
       },
     };
 
-    this.assetHubService.setupEventListeners(assetHubCallbacks);
+    if (this.useIndexer) {
+      this.eventIndexer.start({
+        chain: 'assetHub',
+        provider: this.assetHubService.getProvider(),
+        address: this.assetHubService.getContractAddress(),
+        dispatch: (log) => this.assetHubService.dispatchLog(log, assetHubCallbacks),
+      });
+    } else {
+      this.assetHubService.setupEventListeners(assetHubCallbacks);
+    }
 
     // Monitor for provider errors to trigger reconnection
     try {
@@ -337,17 +383,17 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
    */
   private setupMoonbeamListeners(): void {
     const moonbeamCallbacks: MoonbeamEventCallbacks = {
-      onAssetsReceived: (event) => {
+      onAssetsReceived: async (event) => {
         this.stats.moonbeam.assetsReceived++;
         this.stats.lastEventTime = new Date();
         this.logger.log(`Moonbeam Assets Received: ${event.amount} from ${event.user}`);
-        this.callbacks.moonbeam?.onAssetsReceived?.(event);
+        await this.callbacks.moonbeam?.onAssetsReceived?.(event);
       },
 
-      onPendingPositionCreated: (event) => {
+      onPendingPositionCreated: async (event) => {
         this.stats.lastEventTime = new Date();
         this.logger.log(`Moonbeam Pending Position: ${event.assetHubPositionId} — auto-executing`);
-        this.callbacks.moonbeam?.onPendingPositionCreated?.(event);
+        await this.callbacks.moonbeam?.onPendingPositionCreated?.(event);
 
         // Orchestration: auto-execute the pending investment on Moonbeam (with retry)
         this.xcmRetryService.executeWithRetry(
@@ -372,11 +418,11 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
         });
       },
 
-      onPositionExecuted: (event) => {
+      onPositionExecuted: async (event) => {
         this.stats.moonbeam.positionsExecuted++;
         this.stats.lastEventTime = new Date();
         this.logger.log(`Moonbeam Position Executed: ${event.localPositionId} (AH: ${event.assetHubPositionId})`);
-        this.callbacks.moonbeam?.onPositionExecuted?.(event);
+        await this.callbacks.moonbeam?.onPositionExecuted?.(event);
 
         // Orchestration: confirm execution on AssetHub so position moves PENDING → ACTIVE (with retry)
         this.xcmRetryService.executeWithRetry(
@@ -408,24 +454,24 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
         });
       },
 
-      onPositionLiquidated: (event) => {
+      onPositionLiquidated: async (event) => {
         this.stats.lastEventTime = new Date();
         this.logger.log(`Moonbeam Position Liquidated: ${event.positionId}`);
-        this.callbacks.moonbeam?.onPositionLiquidated?.(event);
+        await this.callbacks.moonbeam?.onPositionLiquidated?.(event);
       },
 
-      onLiquidationCompleted: (event) => {
+      onLiquidationCompleted: async (event) => {
         this.stats.moonbeam.liquidationsCompleted++;
         this.stats.lastEventTime = new Date();
         this.logger.log(`Moonbeam Liquidation Complete: ${event.positionId} returned ${event.totalReturned}`);
-        this.callbacks.moonbeam?.onLiquidationCompleted?.(event);
+        await this.callbacks.moonbeam?.onLiquidationCompleted?.(event);
       },
 
-      onAssetsReturned: (event) => {
+      onAssetsReturned: async (event) => {
         this.stats.moonbeam.assetsReturned++;
         this.stats.lastEventTime = new Date();
         this.logger.log(`Moonbeam Assets Returned: ${event.amount} for position ${event.positionId}`);
-        this.callbacks.moonbeam?.onAssetsReturned?.(event);
+        await this.callbacks.moonbeam?.onAssetsReturned?.(event);
 
         // Orchestration: settle liquidation on AssetHub (with retry)
         this.moonbeamService.getPosition(event.positionId)
@@ -468,15 +514,24 @@ export class BlockchainEventListenerService implements OnModuleInit, OnModuleDes
           });
       },
 
-      onPendingPositionCancelled: (event) => {
+      onPendingPositionCancelled: async (event) => {
         this.stats.moonbeam.pendingPositionsCancelled++;
         this.stats.lastEventTime = new Date();
         this.logger.log(`Moonbeam Pending Position Cancelled: ${event.assetHubPositionId} refund=${event.refundAmount}`);
-        this.callbacks.moonbeam?.onPendingPositionCancelled?.(event);
+        await this.callbacks.moonbeam?.onPendingPositionCancelled?.(event);
       },
     };
 
-    this.moonbeamService.setupEventListeners(moonbeamCallbacks);
+    if (this.useIndexer) {
+      this.eventIndexer.start({
+        chain: 'moonbeam',
+        provider: this.moonbeamService.getProvider(),
+        address: this.moonbeamService.getContractAddress(),
+        dispatch: (log) => this.moonbeamService.dispatchLog(log, moonbeamCallbacks),
+      });
+    } else {
+      this.moonbeamService.setupEventListeners(moonbeamCallbacks);
+    }
 
     // Monitor for provider errors to trigger reconnection
     try {
@@ -9,6 +9,9 @@ import { Pool } from '../../pools/entities/pool.entity';
 import { ActivityLog } from '../../activity-logs/entities/activity-log.entity';
 import { PositionEventBusService } from '../../positions/position-event-bus.service';
 import { UsersService } from '../../users/users.service';
+import { MoonbeamService } from './moonbeam.service';
+import { PriceOracleService } from './price-oracle.service';
+import { TokenMathService } from './token-math.service';
 
 describe('EventPersistenceService', () => {
   let service: EventPersistenceService;
@@ -16,6 +19,7 @@ describe('EventPersistenceService', () => {
   let userRepository: jest.Mocked<Repository<User>>;
   let positionRepository: jest.Mocked<Repository<Position>>;
   let poolRepository: jest.Mocked<Repository<Pool>>;
+  let moonbeamService: Record<string, jest.Mock>;
   let registeredCallbacks: any;
 
   beforeEach(async () => {
@@ -30,6 +34,7 @@ describe('EventPersistenceService', () => {
       findOne: jest.fn(),
       create: jest.fn(),
       save: jest.fn(),
+      update: jest.fn(),
     };
 
     const mockPoolRepository = {
@@ -41,6 +46,12 @@ describe('EventPersistenceService', () => {
       save: jest.fn().mockResolvedValue({}),
     };
 
+    moonbeamService = {
+      getLiquidityAdded: jest.fn().mockResolvedValue(null),
+      // token0 worth 5 token1 (both 18 decimals)
+      getPoolState: jest.fn().mockResolvedValue({ sqrtPriceX96: BigInt(Math.round(Math.sqrt(5) * 2 ** 96)) }),
+    };
+
     // Create mock event listener that captures registered callbacks
     const mockEventListener = {
       registerCallbacks: jest.fn((callbacks) => {
@@ -79,6 +90,18 @@ describe('EventPersistenceService', () => {
           provide: UsersService,
           useValue: { updateCachedBalance: jest.fn().mockResolvedValue(undefined) },
         },
+        {
+          provide: MoonbeamService,
+          useValue: moonbeamService,
+        },
+        {
+          provide: PriceOracleService,
+          useValue: { getPricesUsd: jest.fn().mockResolvedValue({ DOT: 5 }) },
+        },
+        {
+          provide: TokenMathService,
+          useValue: { getTokenDecimals: jest.fn().mockResolvedValue(18) },
+        },
       ],
     }).compile();
 
@@ -413,6 +436,47 @@ describe('EventPersistenceService', () => {
           registeredCallbacks.moonbeam.onPositionExecuted(executedEvent),
         ).resolves.not.toThrow();
       });
+
+      it('should record the entry value from the executed amounts at the oracle price', async () => {
+        const position = { id: 'pos-1', poolId: 'pool-1', entryValueUsd: null } as Position;
+        positionRepository.findOne.mockResolvedValue(position);
+        poolRepository.findOne.mockResolvedValue({
+          id: 'pool-1',
+          poolAddress: '0xpool',
+          token0Address: '0xdot',
+          token0Symbol: 'xcDOT',
+          token1Address: '0xusdc',
+          token1Symbol: 'USDC',
+        } as Pool);
+        moonbeamService.getLiquidityAdded.mockResolvedValue({ amount0: 10n ** 20n, amount1: 5n * 10n ** 20n });
+
+        await registeredCallbacks.moonbeam.onPositionExecuted({ ...executedEvent, localPositionId: 7 });
+
+        // 100 DOT at $5 (oracle) + 500 USDC at $1 (through the pool price)
+        expect(moonbeamService.getLiquidityAdded).toHaveBeenCalledWith('0xstu901');
+        expect(positionRepository.update).toHaveBeenCalledWith(
+          { id: 'pos-1', entryValueUsd: expect.anything() },
+          { entryValueUsd: '1000.00' },
+        );
+      });
+
+      it('should leave the entry value unset when the execution added no liquidity', async () => {
+        positionRepository.findOne.mockResolvedValue({ id: 'pos-1', poolId: 'pool-1', entryValueUsd: null } as Position);
+        poolRepository.findOne.mockResolvedValue({ id: 'pool-1' } as Pool);
+
+        await registeredCallbacks.moonbeam.onPositionExecuted({ ...executedEvent, localPositionId: 7 });
+
+        expect(positionRepository.update).not.toHaveBeenCalled();
+      });
+
+      it('should not look for executed amounts of a position without an execution transaction', async () => {
+        const position = { id: 'pos-1', poolId: 'pool-1', entryValueUsd: null, moonbeamTxHash: null } as Position;
+
+        await service.recordEntryValue(position);
+
+        expect(moonbeamService.getLiquidityAdded).not.toHaveBeenCalled();
+        expect(position.entryValueUsd).toBeNull();
+      });
     });
 
     describe('handleMoonbeamPositionLiquidated', () => {
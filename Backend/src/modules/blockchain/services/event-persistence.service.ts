@@ -1,6 +1,6 @@
 import { Injectable, Inject, Logger, OnModuleInit, forwardRef } from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
-import { Repository } from 'typeorm';
+import { IsNull, Repository } from 'typeorm';
 import { BlockchainEventListenerService } from './event-listener.service';
 import { User } from '../../users/entities/user.entity';
 import { Position, PositionStatus } from '../../positions/entities/position.entity';
@@ -8,6 +8,11 @@ import { Pool } from '../../pools/entities/pool.entity';
 import { ActivityLog, ActivityType, ActivityStatus } from '../../activity-logs/entities/activity-log.entity';
 import { PositionEventBusService } from '../../positions/position-event-bus.service';
 import { UsersService } from '../../users/users.service';
+import { resolveTokenPricesUsd, sqrtPriceX96ToPrice, tokenAmountsValueUsd } from '../../positions/pnl.logic';
+import { canonicalAsset } from '../prices';
+import { MoonbeamService } from './moonbeam.service';
+import { PriceOracleService } from './price-oracle.service';
+import { TokenMathService } from './token-math.service';
 
 /**
  * EventPersistenceService
@@ -39,6 +44,9 @@ export class EventPersistenceService implements OnModuleInit {
     private positionEventBus: PositionEventBusService,
     @Inject(forwardRef(() => UsersService))
     private usersService: UsersService,
+    private moonbeamService: MoonbeamService,
+    private priceOracle: PriceOracleService,
+    private tokenMath: TokenMathService,
   ) {}
 
   /**
@@ -118,6 +126,10 @@ export class EventPersistenceService implements OnModuleInit {
         onPendingPositionCancelled: async (event) => {
           await this.handlePendingPositionCancelled(event);
         },
+
+        onPositionReranged: async (event) => {
+          await this.handlePositionReranged(event);
+        },
       },
     });
 
@@ -450,12 +462,58 @@ export class EventPersistenceService implements OnModuleInit {
         position.liquidity = event.liquidity;
         position.moonbeamTxHash = event.transactionHash;
         await this.positionRepository.save(position);
+        await this.recordEntryValue(position);
       }
     } catch (error) {
       this.logger.error(`Failed to handle Moonbeam execution: ${error.message}`);
     }
   }
 
+  /**
+   * Snapshot the value-trigger baseline: the amounts the execution put into
+   * the pool (read from its moonbeamTxHash receipt), at the oracle price.
+   * Stop-loss, take-profit and trailing stops stay disarmed while it is unset.
+   * Called on execution and retried by StopLossService for positions still
+   * without one; a later snapshot prices the executed amounts at that time.
+   */
+  async recordEntryValue(position: Position): Promise<void> {
+    if (position.entryValueUsd != null) return;
+    if (!position.moonbeamTxHash) {
+      this.logger.warn(`Position ${position.id} has no execution transaction; value triggers stay disarmed`);
+      return;
+    }
+
+    const pool = await this.poolRepository.findOne({ where: { id: position.poolId } });
+    const added = pool ? await this.moonbeamService.getLiquidityAdded(position.moonbeamTxHash) : null;
+    if (!pool || !added) {
+      this.logger.warn(`No executed amounts for position ${position.id}; value triggers stay disarmed`);
+      return;
+    }
+
+    const [pricesUsd, { sqrtPriceX96 }, decimals0, decimals1] = await Promise.all([
+      this.priceOracle.getPricesUsd([pool.token0Symbol, pool.token1Symbol]),
+      this.moonbeamService.getPoolState(pool.poolAddress),
+      this.tokenMath.getTokenDecimals(pool.token0Address),
+      this.tokenMath.getTokenDecimals(pool.token1Address),
+    ]);
+    const prices = resolveTokenPricesUsd({
+      poolPrice: sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1),
+      price0Usd: pricesUsd[canonicalAsset(pool.token0Symbol)],
+      price1Usd: pricesUsd[canonicalAsset(pool.token1Symbol)],
+    });
+    if (!prices) {
+      this.logger.warn(
+        `Cannot price ${pool.token0Symbol}/${pool.token1Symbol}; value triggers for position ${position.id} stay disarmed`,
+      );
+      return;
+    }
+
+    const entryValueUsd = tokenAmountsValueUsd(added, decimals0, decimals1, prices).toFixed(2);
+    await this.positionRepository.update({ id: position.id, entryValueUsd: IsNull() }, { entryValueUsd });
+    position.entryValueUsd = entryValueUsd;
+    this.logger.log(`Position ${position.id} entry value $${entryValueUsd}`);
+  }
+
   /**
    * Handle Moonbeam position liquidated
    */
@@ -473,6 +531,37 @@ export class EventPersistenceService implements OnModuleInit {
     // This captures the Moonbeam-side details for debugging
   }
 
+  /**
+   * Handle Moonbeam position re-ranged - the new range replaces the old one
+   * on the same position record (StopLossService writes the same fields; this
+   * covers re-ranges it did not see complete)
+   */
+  private async handlePositionReranged(event: {
+    positionId: number;
+    assetHubPositionId: string;
+    bottomTick: number;
+    topTick: number;
+    liquidity: string;
+    blockNumber: number;
+    transactionHash: string;
+  }): Promise<void> {
+    this.logger.log(`Moonbeam position re-ranged: ${event.positionId} -> [${event.bottomTick}, ${event.topTick}]`);
+
+    try {
+      await this.positionRepository.update(
+        { assetHubPositionId: event.assetHubPositionId },
+        {
+          lowerTick: event.bottomTick,
+          upperTick: event.topTick,
+          liquidity: event.liquidity,
+          moonbeamTxHash: event.transactionHash,
+        },
+      );
+    } catch (error) {
+      this.logger.error(`Failed to handle Moonbeam re-range: ${error.message}`);
+    }
+  }
+
   /**
    * Handle pending position cancelled
    */
@@ -8,6 +8,10 @@ export { AssetHubService } from './asset-hub.service';
 export { MoonbeamService } from './moonbeam.service';
 export { XcmBuilderService } from './xcm-builder.service';
 export { BlockchainEventListenerService } from './event-listener.service';
+export { EventIndexerService } from './event-indexer.service';
+export { PriceOracleService } from './price-oracle.service';
+export { LiquidationQuoteService } from './liquidation-quote.service';
+export { XcmFeeService } from './xcm-fee.service';
 
 // Re-export service types
 export type {
@@ -27,6 +31,7 @@ export type {
   RangeCheckResult,
   TickRange,
   CollectedFees,
+  FeeHarvestResult,
   SwapQuote,
   SwapResult,
   XcmConfig,
@@ -43,3 +48,27 @@ export type {
   BlockchainEventCallbacks,
   EventStats,
 } from './event-listener.service';
+
+export type {
+  IndexedChain,
+  IndexedChainSource,
+  IndexerChainStatus,
+} from './event-indexer.service';
+
+export type {
+  PricePoint,
+} from './price-oracle.service';
+
+export type {
+  LiquidationMinimums,
+} from './liquidation-quote.service';
+
+export type {
+  XcmDryRunReport,
+  XcmDryRunChainReport,
+} from './xcm-dry-run.logic';
+
+export type {
+  XcmFeeOperation,
+  OperationCostEstimate,
+} from './xcm-fee.logic';
@@ -0,0 +1,37 @@
+import { applySlippage, expectedWithdrawAmounts, priceDeviationBps } from './liquidation-quote.logic';
+
+describe('liquidation-quote.logic', () => {
+  const Q96 = 2n ** 96n;
+
+  it('withdraws only token0 below the range and only token1 above it, plus fees', () => {
+    const range = { liquidity: 1_000_000_000n, tickLower: -600, tickUpper: 600 };
+    const sqrtAt = (tick: number) => BigInt(Math.round(Math.pow(1.0001, tick / 2) * Number(Q96)));
+
+    const below = expectedWithdrawAmounts({ ...range, sqrtPriceX96: sqrtAt(-900), fees1: 7n });
+    expect(below.amount0).toBeGreaterThan(0n);
+    expect(below.amount1).toBe(7n);
+
+    const above = expectedWithdrawAmounts({ ...range, sqrtPriceX96: sqrtAt(900) });
+    expect(above.amount0).toBe(0n);
+    expect(above.amount1).toBeGreaterThan(0n);
+  });
+
+  it('holds both tokens in range', () => {
+    const amounts = expectedWithdrawAmounts({ liquidity: 1_000_000_000n, sqrtPriceX96: Q96, tickLower: -600, tickUpper: 600 });
+
+    expect(amounts.amount0).toBeGreaterThan(0n);
+    expect(amounts.amount1).toBeGreaterThan(0n);
+  });
+
+  it('takes slippage off an amount and clamps the basis points', () => {
+    expect(applySlippage(10_000n, 100)).toBe(9_900n);
+    expect(applySlippage(10_000n, 0)).toBe(10_000n);
+    expect(applySlippage(10_000n, 20_000)).toBe(0n);
+  });
+
+  it('measures deviation against the oracle price', () => {
+    expect(priceDeviationBps(1.03, 1)).toBe(300);
+    expect(priceDeviationBps(0.97, 1)).toBe(300);
+    expect(priceDeviationBps(1, 0)).toBe(Infinity);
+  });
+});
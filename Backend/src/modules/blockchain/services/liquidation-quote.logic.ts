@@ -0,0 +1,51 @@
+/**
+ * Liquidation Quote Logic
+ *
+ * Pure math for LiquidationQuoteService: the token amounts a liquidation
+ * withdraws, slippage-adjusted minimums and pool-vs-oracle price deviation.
+ */
+
+import { getAmountsForLiquidity, sqrtPriceX96ToSqrtPrice } from '../../positions/pnl.logic';
+
+export const BPS_DENOMINATOR = 10_000;
+
+/**
+ * Amounts (smallest units) a position's liquidity withdraws at the current
+ * pool price, plus its uncollected fees, which the contract collects with it.
+ * Rounded down so the minimums derived from them never overshoot.
+ */
+export function expectedWithdrawAmounts(params: {
+  liquidity: bigint | string;
+  sqrtPriceX96: bigint | string;
+  tickLower: number;
+  tickUpper: number;
+  fees0?: bigint;
+  fees1?: bigint;
+}): { amount0: bigint; amount1: bigint } {
+  const principal = getAmountsForLiquidity(
+    params.liquidity,
+    sqrtPriceX96ToSqrtPrice(params.sqrtPriceX96),
+    params.tickLower,
+    params.tickUpper,
+  );
+  return {
+    amount0: toBigIntFloor(principal.amount0) + (params.fees0 ?? 0n),
+    amount1: toBigIntFloor(principal.amount1) + (params.fees1 ?? 0n),
+  };
+}
+
+/** `amount` less `slippageBps` basis points */
+export function applySlippage(amount: bigint, slippageBps: number): bigint {
+  const bps = Math.min(Math.max(Math.round(slippageBps), 0), BPS_DENOMINATOR);
+  return (amount * BigInt(BPS_DENOMINATOR - bps)) / BigInt(BPS_DENOMINATOR);
+}
+
+/** Distance of the pool price from the oracle price, in basis points of the oracle price */
+export function priceDeviationBps(poolPrice: number, oraclePrice: number): number {
+  if (!(oraclePrice > 0)) return Infinity;
+  return Math.round((Math.abs(poolPrice - oraclePrice) / oraclePrice) * BPS_DENOMINATOR);
+}
+
+function toBigIntFloor(value: number): bigint {
+  return value > 0 && Number.isFinite(value) ? BigInt(Math.floor(value)) : 0n;
+}
@@ -0,0 +1,107 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { LiquidationQuoteService } from './liquidation-quote.service';
+import { MoonbeamService } from './moonbeam.service';
+import { PriceOracleService } from './price-oracle.service';
+import { TokenMathService } from './token-math.service';
+import { Pool } from '../../pools/entities/pool.entity';
+import { BlockchainError, BlockchainErrorCode } from '../types';
+
+describe('LiquidationQuoteService', () => {
+  let service: LiquidationQuoteService;
+  let moonbeam: Record<string, jest.Mock>;
+  let prices: Record<string, number>;
+  let config: Record<string, unknown>;
+
+  const Q96 = 2n ** 96n;
+  const position = {
+    pool: '0xpool',
+    token0: '0xDOT',
+    token1: '0xUSDC',
+    bottomTick: -600,
+    topTick: 600,
+    liquidity: 1_000_000_000n,
+  };
+
+  beforeEach(async () => {
+    prices = { DOT: 1, USDC: 1 };
+    config = {};
+    moonbeam = {
+      getPosition: jest.fn(async () => position),
+      getPoolState: jest.fn(async () => ({ sqrtPriceX96: Q96, currentTick: 0 })), // price 1
+      previewFees: jest.fn(async () => ({ amount0: 0n, amount1: 0n })),
+      quoteSwap: jest.fn(async (_in: string, _out: string, amountIn: bigint) => ({ amountOut: amountIn })),
+    };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        LiquidationQuoteService,
+        { provide: ConfigService, useValue: { get: (key: string, fallback?: unknown) => config[key] ?? fallback } },
+        { provide: MoonbeamService, useValue: moonbeam },
+        { provide: PriceOracleService, useValue: { getPricesUsd: jest.fn(async () => prices) } },
+        { provide: TokenMathService, useValue: { getTokenDecimals: jest.fn(async () => 18) } },
+        {
+          provide: getRepositoryToken(Pool),
+          useValue: { findOne: jest.fn(async () => ({ token0Symbol: 'xcDOT', token1Symbol: 'USDC' })) },
+        },
+      ],
+    }).compile();
+
+    service = module.get(LiquidationQuoteService);
+  });
+
+  it('quotes the side that is swapped into the base asset and takes slippage off', async () => {
+    moonbeam.previewFees.mockResolvedValue({ amount0: 100n, amount1: 0n });
+
+    const minimums = await service.getLiquidationMinimums(7, '0xusdc');
+
+    expect(moonbeam.quoteSwap).toHaveBeenCalledTimes(1);
+    expect(moonbeam.quoteSwap).toHaveBeenCalledWith('0xDOT', '0xusdc', minimums.expectedAmount0);
+    expect(minimums.minAmountOut0).toBe((minimums.expectedAmount0 * 9_900n) / 10_000n);
+    expect(minimums.minAmountOut1).toBe(0n); // token1 is the base asset, nothing to swap
+    expect(minimums.deviationBps).toBe(0);
+  });
+
+  it('refuses when the pool price deviates from the oracle', async () => {
+    prices = { DOT: 1.1, USDC: 1 };
+
+    const error = await service.getLiquidationMinimums(7, '0xusdc').catch(e => e);
+
+    expect(error).toBeInstanceOf(BlockchainError);
+    expect(error.code).toBe(BlockchainErrorCode.PRICE_DEVIATION);
+    expect(error.details).toMatchObject({ deviationBps: 909 });
+    expect(moonbeam.quoteSwap).not.toHaveBeenCalled();
+  });
+
+  it('refuses when the oracle cannot price the pool', async () => {
+    prices = { USDC: 1 };
+
+    const error = await service.getLiquidationMinimums(7, '0xusdc').catch(e => e);
+
+    expect(error).toBeInstanceOf(BlockchainError);
+    expect(error.code).toBe(BlockchainErrorCode.PRICE_DEVIATION);
+    expect(error.details).toMatchObject({ oraclePrice: null, deviationBps: null });
+    expect(moonbeam.quoteSwap).not.toHaveBeenCalled();
+  });
+
+  it('quotes without an oracle price only when LIQUIDATION_ALLOW_WITHOUT_ORACLE is set', async () => {
+    prices = { USDC: 1 };
+    config.LIQUIDATION_ALLOW_WITHOUT_ORACLE = 'true';
+
+    const minimums = await service.getLiquidationMinimums(7, '0xusdc');
+
+    expect(minimums.oraclePrice).toBeNull();
+    expect(minimums.minAmountOut0).toBeGreaterThan(0n);
+  });
+
+  it('quotes only the fees when returning them to Asset Hub', async () => {
+    const minimums = await service.getFeeReturnMinimums(7, '0xusdc', { fees: { amount0: 1_000n, amount1: 50n } });
+
+    expect(moonbeam.previewFees).not.toHaveBeenCalled();
+    expect(moonbeam.quoteSwap).toHaveBeenCalledWith('0xDOT', '0xusdc', 1_000n);
+    expect(minimums.expectedAmount0).toBe(1_000n);
+    expect(minimums.minAmountOut0).toBe(990n);
+    expect(minimums.minAmountOut1).toBe(0n);
+  });
+});
@@ -0,0 +1,215 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+import { Pool } from '../../pools/entities/pool.entity';
+import { sqrtPriceX96ToPrice } from '../../positions/pnl.logic';
+import { canonicalAsset } from '../prices';
+import { BlockchainError, BlockchainErrorCode } from '../types';
+import { MoonbeamPosition, MoonbeamService } from './moonbeam.service';
+import { PriceOracleService } from './price-oracle.service';
+import { TokenMathService } from './token-math.service';
+import { applySlippage, expectedWithdrawAmounts, priceDeviationBps } from './liquidation-quote.logic';
+
+/**
+ * Minimums for XCMProxy.liquidateSwapAndReturn() / returnFees() and what they were derived from
+ */
+export interface LiquidationMinimums {
+  minAmountOut0: bigint; // token0 → baseAsset swap
+  minAmountOut1: bigint; // token1 → baseAsset swap
+  /** Shared by both swaps, which may run in opposite directions, so left unbounded */
+  limitSqrtPrice: bigint;
+  expectedAmount0: bigint;
+  expectedAmount1: bigint;
+  /** Quoted baseAsset out per side; null when the side is not swapped */
+  quote0: bigint | null;
+  quote1: bigint | null;
+  /** token0 in token1, human units */
+  poolPrice: number;
+  oraclePrice: number | null;
+  deviationBps: number | null;
+  slippageBps: number;
+}
+
+/**
+ * LiquidationQuoteService
+ *
+ * Derives real minimum outputs for forced exits instead of relying on the
+ * contract's default slippage: the amounts the position withdraws at the
+ * current pool price are quoted into the base asset and reduced by
+ * LIQUIDATION_SLIPPAGE_BPS.
+ *
+ * Before quoting, the pool price is checked against the oracle; a pool pushed
+ * further than LIQUIDATION_MAX_PRICE_DEVIATION_BPS (e.g. by a sandwich around
+ * a stop-loss) refuses the liquidation with a PRICE_DEVIATION BlockchainError.
+ * A pool the oracle cannot price is refused the same way, unless
+ * LIQUIDATION_ALLOW_WITHOUT_ORACLE=true lets it exit on quotes alone.
+ * Returning harvested fees to Asset Hub goes through the same checks.
+ */
+@Injectable()
+export class LiquidationQuoteService {
+  private readonly logger = new Logger(LiquidationQuoteService.name);
+
+  constructor(
+    private configService: ConfigService,
+    private moonbeamService: MoonbeamService,
+    private priceOracle: PriceOracleService,
+    private tokenMath: TokenMathService,
+    @InjectRepository(Pool)
+    private poolRepository: Repository<Pool>,
+  ) {}
+
+  get slippageBps(): number {
+    return Number(this.configService.get('LIQUIDATION_SLIPPAGE_BPS', 100));
+  }
+
+  get maxDeviationBps(): number {
+    return Number(this.configService.get('LIQUIDATION_MAX_PRICE_DEVIATION_BPS', 300));
+  }
+
+  get allowWithoutOracle(): boolean {
+    return String(this.configService.get('LIQUIDATION_ALLOW_WITHOUT_ORACLE', false)) === 'true';
+  }
+
+  /**
+   * Minimums for liquidating Moonbeam position `localPositionId` into `baseAsset`.
+   * Pass the on-chain position when the caller already read it. Throws a
+   * PRICE_DEVIATION BlockchainError instead of quoting when the pool price is
+   * off the oracle (or unpriced), so callers need no check of their own.
+   */
+  async getLiquidationMinimums(
+    localPositionId: number,
+    baseAsset: string,
+    opts: { position?: MoonbeamPosition | null; slippageBps?: number } = {},
+  ): Promise<LiquidationMinimums> {
+    const position = opts.position ?? await this.moonbeamService.getPosition(localPositionId);
+    if (!position) {
+      throw new BlockchainError(BlockchainErrorCode.POSITION_NOT_FOUND, `Moonbeam position ${localPositionId} not found`);
+    }
+    const slippageBps = opts.slippageBps ?? this.slippageBps;
+    const { sqrtPriceX96, poolPrice, oraclePrice, deviationBps } = await this.checkPoolPrice(localPositionId, position);
+
+    const fees = await this.moonbeamService.previewFees(localPositionId).catch(() => ({ amount0: 0n, amount1: 0n }));
+    const expected = expectedWithdrawAmounts({
+      liquidity: position.liquidity,
+      sqrtPriceX96,
+      tickLower: position.bottomTick,
+      tickUpper: position.topTick,
+      fees0: fees.amount0,
+      fees1: fees.amount1,
+    });
+
+    const [quote0, quote1] = await Promise.all([
+      this.quoteIntoBase(position.token0, baseAsset, expected.amount0),
+      this.quoteIntoBase(position.token1, baseAsset, expected.amount1),
+    ]);
+
+    return {
+      minAmountOut0: quote0 === null ? 0n : applySlippage(quote0, slippageBps),
+      minAmountOut1: quote1 === null ? 0n : applySlippage(quote1, slippageBps),
+      limitSqrtPrice: 0n,
+      expectedAmount0: expected.amount0,
+      expectedAmount1: expected.amount1,
+      quote0,
+      quote1,
+      poolPrice,
+      oraclePrice,
+      deviationBps,
+      slippageBps,
+    };
+  }
+
+  /**
+   * Minimums for XCMProxy.returnFees(): the position's uncollected fees
+   * (or `opts.fees`) quoted into `baseAsset`.
+   */
+  async getFeeReturnMinimums(
+    localPositionId: number,
+    baseAsset: string,
+    opts: { position?: MoonbeamPosition | null; fees?: { amount0: bigint; amount1: bigint }; slippageBps?: number } = {},
+  ): Promise<LiquidationMinimums> {
+    const position = opts.position ?? await this.moonbeamService.getPosition(localPositionId);
+    if (!position) {
+      throw new BlockchainError(BlockchainErrorCode.POSITION_NOT_FOUND, `Moonbeam position ${localPositionId} not found`);
+    }
+    const slippageBps = opts.slippageBps ?? this.slippageBps;
+    const { poolPrice, oraclePrice, deviationBps } = await this.checkPoolPrice(localPositionId, position);
+
+    const fees = opts.fees ?? await this.moonbeamService.previewFees(localPositionId);
+    const [quote0, quote1] = await Promise.all([
+      this.quoteIntoBase(position.token0, baseAsset, fees.amount0),
+      this.quoteIntoBase(position.token1, baseAsset, fees.amount1),
+    ]);
+
+    return {
+      minAmountOut0: quote0 === null ? 0n : applySlippage(quote0, slippageBps),
+      minAmountOut1: quote1 === null ? 0n : applySlippage(quote1, slippageBps),
+      limitSqrtPrice: 0n,
+      expectedAmount0: fees.amount0,
+      expectedAmount1: fees.amount1,
+      quote0,
+      quote1,
+      poolPrice,
+      oraclePrice,
+      deviationBps,
+      slippageBps,
+    };
+  }
+
+  /** Current pool price, refused with PRICE_DEVIATION when it is too far off the oracle or cannot be checked */
+  private async checkPoolPrice(
+    localPositionId: number,
+    position: MoonbeamPosition,
+  ): Promise<{ sqrtPriceX96: bigint; poolPrice: number; oraclePrice: number | null; deviationBps: number | null }> {
+    const [{ sqrtPriceX96 }, decimals0, decimals1] = await Promise.all([
+      this.moonbeamService.getPoolState(position.pool),
+      this.tokenMath.getTokenDecimals(position.token0),
+      this.tokenMath.getTokenDecimals(position.token1),
+    ]);
+    const poolPrice = sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1);
+
+    const oraclePrice = await this.getOraclePrice(position.pool);
+    const deviationBps = oraclePrice === null ? null : priceDeviationBps(poolPrice, oraclePrice);
+    if (deviationBps !== null && deviationBps > this.maxDeviationBps) {
+      throw new BlockchainError(
+        BlockchainErrorCode.PRICE_DEVIATION,
+        `Pool price ${poolPrice} deviates ${deviationBps} bps from oracle price ${oraclePrice} (max ${this.maxDeviationBps})`,
+        { localPositionId, pool: position.pool, poolPrice, oraclePrice, deviationBps },
+      );
+    }
+    if (oraclePrice === null) {
+      if (!this.allowWithoutOracle) {
+        throw new BlockchainError(
+          BlockchainErrorCode.PRICE_DEVIATION,
+          `No oracle price for pool ${position.pool}; cannot check pool price ${poolPrice} before exiting`,
+          { localPositionId, pool: position.pool, poolPrice, oraclePrice, deviationBps },
+        );
+      }
+      this.logger.warn(`No oracle price for pool ${position.pool}; pricing position ${localPositionId} exit on quotes alone`);
+    }
+
+    return { sqrtPriceX96, poolPrice, oraclePrice, deviationBps };
+  }
+
+  /** Quoted baseAsset out for swapping `amount` of `token`; null when nothing is swapped */
+  private async quoteIntoBase(token: string, baseAsset: string, amount: bigint): Promise<bigint | null> {
+    if (amount === 0n || token.toLowerCase() === baseAsset.toLowerCase()) {
+      return null;
+    }
+    const { amountOut } = await this.moonbeamService.quoteSwap(token, baseAsset, amount);
+    return amountOut;
+  }
+
+  /** Oracle price of token0 in token1, or null when either token is unpriced */
+  private async getOraclePrice(poolAddress: string): Promise<number | null> {
+    const pool = await this.poolRepository.findOne({ where: { poolAddress } });
+    if (!pool) return null;
+
+    const prices = await this.priceOracle
+      .getPricesUsd([pool.token0Symbol, pool.token1Symbol])
+      .catch(() => ({} as Record<string, number>));
+    const price0 = prices[canonicalAsset(pool.token0Symbol)];
+    const price1 = prices[canonicalAsset(pool.token1Symbol)];
+    return price0 > 0 && price1 > 0 ? price0 / price1 : null;
+  }
+}
@@ -24,6 +24,42 @@ export interface LiquidateParams {
   assetHubPositionId: string;
 }
 
+/**
+ * Outcome of re-minting an out-of-range position around the current tick
+ */
+export interface RerangeResult {
+  oldTokenId: number;
+  newTokenId: number;
+  bottomTick: number;
+  topTick: number;
+  liquidity: bigint;
+  /** Withdrawn from the old position (principal + fees) */
+  amount0: bigint;
+  amount1: bigint;
+  transactionHash: string;
+  gasUsed: bigint;
+  /** gasUsed × effective gas price, in wei */
+  gasCostWei: bigint;
+}
+
+/**
+ * Outcome of harvesting a position's fees, either back into its liquidity
+ * (compoundFees) or out to the owner on Asset Hub (returnFees)
+ */
+export interface FeeHarvestResult {
+  /** Fees collected from the NFPM position */
+  fees0: bigint;
+  fees1: bigint;
+  /** compoundFees only: liquidity added to the position */
+  liquidityAdded?: bigint;
+  /** returnFees only: base asset sent to Asset Hub */
+  amountReturned?: bigint;
+  transactionHash: string;
+  gasUsed: bigint;
+  /** gasUsed × effective gas price, in wei */
+  gasCostWei: bigint;
+}
+
 /**
  * Pending position awaiting execution after XCM transfer
  */
@@ -124,7 +160,7 @@ export interface MoonbeamEventCallbacks {
     investmentParams: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onPendingPositionCreated?: (event: {
     assetHubPositionId: string;
     user: string;
@@ -133,7 +169,7 @@ export interface MoonbeamEventCallbacks {
     poolId: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onPositionExecuted?: (event: {
     assetHubPositionId: string;
     localPositionId: number;
@@ -141,7 +177,7 @@ export interface MoonbeamEventCallbacks {
     liquidity: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onPositionLiquidated?: (event: {
     positionId: number;
     user: string;
@@ -149,7 +185,7 @@ export interface MoonbeamEventCallbacks {
     amount1: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onLiquidationCompleted?: (event: {
     positionId: number;
     assetHubPositionId: string;
@@ -158,7 +194,7 @@ export interface MoonbeamEventCallbacks {
     totalReturned: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onAssetsReturned?: (event: {
     token: string;
     user: string;
@@ -167,16 +203,49 @@ export interface MoonbeamEventCallbacks {
     positionId: number;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
   onPendingPositionCancelled?: (event: {
     assetHubPositionId: string;
     user: string;
     refundAmount: string;
     blockNumber: number;
     transactionHash: string;
-  }) => void;
+  }) => void | Promise<void>;
+  onPositionReranged?: (event: {
+    positionId: number;
+    assetHubPositionId: string;
+    oldTokenId: number;
+    newTokenId: number;
+    bottomTick: number;
+    topTick: number;
+    liquidity: string;
+    amount0: string;
+    amount1: string;
+    blockNumber: number;
+    transactionHash: string;
+  }) => void | Promise<void>;
 }
 
+/**
+ * XCMProxy event name → callback it is dispatched to
+ */
+const MOONBEAM_EVENT_CALLBACKS: Record<string, keyof MoonbeamEventCallbacks> = {
+  AssetsReceived: 'onAssetsReceived',
+  PendingPositionCreated: 'onPendingPositionCreated',
+  PositionExecuted: 'onPositionExecuted',
+  PositionLiquidated: 'onPositionLiquidated',
+  LiquidationCompleted: 'onLiquidationCompleted',
+  AssetsReturned: 'onAssetsReturned',
+  PendingPositionCancelled: 'onPendingPositionCancelled',
+  PositionReranged: 'onPositionReranged',
+};
+
+/** Moonbeam XCM utils precompile (sends XCM as the calling account) */
+const XCM_UTILS_PRECOMPILE = '0x000000000000000000000000000000000000080C';
+const XCM_UTILS_ABI = [
+  'function xcmSend(tuple(uint8 parents, bytes[] interior) dest, bytes message)',
+];
+
 /**
  * MoonbeamService - Manages all interactions with XCMProxy contract on Moonbeam
  * 
@@ -262,6 +331,13 @@ export class MoonbeamService implements OnModuleInit {
     return !!this.contract;
   }
 
+  /**
+   * Read provider for the Moonbeam RPC (undefined until initialized)
+   */
+  getProvider(): ethers.Provider {
+    return this.provider;
+  }
+
   /**
    * Resolve token metadata (name/symbol/decimals) for a given ERC20 address.
    * Best-effort: some tokens may not implement all optional views.
@@ -457,6 +533,49 @@ export class MoonbeamService implements OnModuleInit {
     }
   }
 
+  /**
+   * Closes an out-of-range position and re-mints it around the current tick,
+   * keeping its local position ID (the Asset Hub remotePositionId)
+   * Calls: XCMProxy.rerangePosition()
+   */
+  async rerangePosition(positionId: number, slippageBps: number): Promise<RerangeResult> {
+    try {
+      this.logger.log(`Re-ranging position ${positionId}`);
+
+      const tx = await this.contract.rerangePosition(positionId, slippageBps);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log: any) => log.eventName === 'PositionReranged',
+      );
+      if (!event) {
+        throw new Error('PositionReranged event not found');
+      }
+
+      const gasUsed = BigInt(receipt.gasUsed);
+      const gasPrice = BigInt(receipt.gasPrice ?? 0);
+      this.logger.log(
+        `Position ${positionId} re-ranged to [${event.args.bottomTick}, ${event.args.topTick}]`,
+      );
+
+      return {
+        oldTokenId: Number(event.args.oldTokenId),
+        newTokenId: Number(event.args.newTokenId),
+        bottomTick: Number(event.args.bottomTick),
+        topTick: Number(event.args.topTick),
+        liquidity: BigInt(event.args.liquidity),
+        amount0: BigInt(event.args.amount0),
+        amount1: BigInt(event.args.amount1),
+        transactionHash: receipt.hash,
+        gasUsed,
+        gasCostWei: gasUsed * gasPrice,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to re-range position: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Gets all active positions on Moonbeam by iterating positionCounter.
    * The unbounded getActivePositions() view was removed from the contract
@@ -619,6 +738,32 @@ export class MoonbeamService implements OnModuleInit {
     }
   }
 
+  /**
+   * Gets contract paused state
+   * Calls: XCMProxy.paused()
+   */
+  async isPaused(): Promise<boolean> {
+    try {
+      return await this.readOnlyContract.paused();
+    } catch (error) {
+      this.logger.error(`Failed to get paused state: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets contract test mode state
+   * Calls: XCMProxy.testMode()
+   */
+  async isTestMode(): Promise<boolean> {
+    try {
+      return await this.readOnlyContract.testMode();
+    } catch (error) {
+      this.logger.error(`Failed to get test mode: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Cancels a pending position and refunds assets via XCM to Asset Hub.
    * The contract handles the XCM transfer internally using the user's address.
@@ -793,6 +938,119 @@ export class MoonbeamService implements OnModuleInit {
     }
   }
 
+  /**
+   * Collects a position's fees and adds them back as liquidity to the same NFPM position
+   * Calls: XCMProxy.compoundFees()
+   */
+  async compoundFees(positionId: number, slippageBps: number): Promise<FeeHarvestResult> {
+    try {
+      this.logger.log(`Compounding fees for position ${positionId}`);
+
+      const tx = await this.contract.compoundFees(positionId, slippageBps);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log: any) => log.eventName === 'FeesCompounded',
+      );
+      if (!event) {
+        throw new Error('FeesCompounded event not found');
+      }
+
+      const gasUsed = BigInt(receipt.gasUsed);
+      const gasPrice = BigInt(receipt.gasPrice ?? 0);
+      this.logger.log(`Position ${positionId} compounded, liquidity +${event.args.liquidityAdded}`);
+
+      return {
+        fees0: BigInt(event.args.fees0),
+        fees1: BigInt(event.args.fees1),
+        liquidityAdded: BigInt(event.args.liquidityAdded),
+        transactionHash: receipt.hash,
+        gasUsed,
+        gasCostWei: gasUsed * gasPrice,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to compound fees: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Collects a position's fees, swaps them into the base asset and sends them
+   * to the owner on Asset Hub; the position stays active
+   * Calls: XCMProxy.returnFees()
+   */
+  async returnFees(
+    positionId: number,
+    baseAsset: string,
+    minAmountOut0: bigint,
+    minAmountOut1: bigint,
+  ): Promise<FeeHarvestResult> {
+    try {
+      this.logger.log(`Returning fees of position ${positionId} in ${baseAsset}`);
+
+      const tx = await this.contract.returnFees(positionId, baseAsset, minAmountOut0, minAmountOut1);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log: any) => log.eventName === 'FeesReturned',
+      );
+      if (!event) {
+        throw new Error('FeesReturned event not found');
+      }
+
+      const gasUsed = BigInt(receipt.gasUsed);
+      const gasPrice = BigInt(receipt.gasPrice ?? 0);
+      this.logger.log(`Position ${positionId} returned ${event.args.amountReturned} in fees`);
+
+      return {
+        fees0: BigInt(event.args.fees0),
+        fees1: BigInt(event.args.fees1),
+        amountReturned: BigInt(event.args.amountReturned),
+        transactionHash: receipt.hash,
+        gasUsed,
+        gasCostWei: gasUsed * gasPrice,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to return fees: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the fees collectFees would return right now, without sending a transaction
+   * Calls: XCMProxy.collectFees() via eth_call
+   */
+  async previewFees(positionId: number): Promise<CollectedFees> {
+    return this.rpcLimiter.execute(async () => {
+      try {
+        const [amount0, amount1] = await this.contract.collectFees.staticCall(positionId);
+        return { amount0: BigInt(amount0), amount1: BigInt(amount1) };
+      } catch (error) {
+        this.logger.error(`Failed to preview fees for position ${positionId}: ${error.message}`);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Token amounts the XCMProxy put into its pool in a transaction, from the
+   * LiquidityAdded event; null when the transaction added no liquidity
+   */
+  async getLiquidityAdded(txHash: string): Promise<CollectedFees | null> {
+    return this.rpcLimiter.execute(async () => {
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      const proxy = String(this.contract.target).toLowerCase();
+      for (const log of receipt?.logs ?? []) {
+        if (log.address.toLowerCase() !== proxy) continue;
+        const parsed = this.contract.interface.parseLog({ topics: [...log.topics], data: log.data });
+        if (parsed?.name === 'LiquidityAdded') {
+          return { amount0: BigInt(parsed.args.amount0), amount1: BigInt(parsed.args.amount1) };
+        }
+      }
+      return null;
+    });
+  }
+
   /**
    * Executes full liquidation (remove all liquidity)
    * Calls: XCMProxy.executeFullLiquidation()
@@ -995,6 +1253,43 @@ export class MoonbeamService implements OnModuleInit {
     }
   }
 
+  // ============================================================
+  // XCM (relayer account)
+  // ============================================================
+
+  /**
+   * Address of the relayer wallet (undefined until initialized)
+   */
+  getRelayerAddress(): string | undefined {
+    return this.wallet?.address;
+  }
+
+  /**
+   * Sends a SCALE-encoded VersionedXcm from the relayer account to a sibling
+   * parachain. Moonbeam prepends DescendOrigin, so the message executes with
+   * origin Parachain(2004)/AccountKey20(relayer).
+   * Calls: XcmUtils precompile xcmSend()
+   */
+  async sendXcm(paraId: number, message: Uint8Array): Promise<string> {
+    try {
+      this.logger.log(`Sending XCM (${message.length} bytes) to parachain ${paraId}`);
+
+      // Parachain junction: bytes1(0x00) ++ bytes4(paraId)
+      const parachainJunction = ethers.concat(['0x00', ethers.toBeHex(paraId, 4)]);
+      const xcmUtils = new ethers.Contract(
+        this.configService.get<string>('MOONBEAM_XCM_UTILS_PRECOMPILE', XCM_UTILS_PRECOMPILE),
+        XCM_UTILS_ABI,
+        this.wallet,
+      );
+      const tx = await xcmUtils.xcmSend({ parents: 1, interior: [parachainJunction] }, message);
+      const receipt = await tx.wait();
+      return receipt.hash;
+    } catch (error) {
+      this.logger.error(`Failed to send XCM: ${error.message}`);
+      throw error;
+    }
+  }
+
   // ============================================================
   // ADMIN OPERATIONS (Operator/Owner only)
   // ============================================================
@@ -1092,114 +1387,120 @@ export class MoonbeamService implements OnModuleInit {
       return;
     }
 
-    // AssetsReceived event
-    if (callbacks.onAssetsReceived) {
-      this.contract.on('AssetsReceived', (token, user, amount, investmentParams, event) => {
-        this.logger.log(`Event: AssetsReceived from ${user}`);
-        callbacks.onAssetsReceived!({
-          token,
-          user,
-          amount: amount.toString(),
-          investmentParams,
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
-        });
-      });
-    }
+    for (const [eventName, callbackKey] of Object.entries(MOONBEAM_EVENT_CALLBACKS)) {
+      if (!callbacks[callbackKey]) continue;
 
-    // PendingPositionCreated event
-    if (callbacks.onPendingPositionCreated) {
-      this.contract.on('PendingPositionCreated', (assetHubPositionId, user, token, amount, poolId, event) => {
-        this.logger.log(`Event: PendingPositionCreated ${assetHubPositionId}`);
-        callbacks.onPendingPositionCreated!({
-          assetHubPositionId,
-          user,
-          token,
-          amount: amount.toString(),
-          poolId,
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
-        });
+      this.contract.on(eventName, (...args) => {
+        const { log } = args[args.length - 1] as ethers.ContractEventPayload;
+        this.dispatchLog(log, callbacks).catch(err =>
+          this.logger.error(`Failed to handle ${eventName} event: ${err.message}`),
+        );
       });
     }
 
-    // PositionExecuted event
-    if (callbacks.onPositionExecuted) {
-      this.contract.on('PositionExecuted', (assetHubPositionId, localPositionId, nfpmTokenId, liquidity, event) => {
-        this.logger.log(`Event: PositionExecuted ${localPositionId}`);
-        callbacks.onPositionExecuted!({
-          assetHubPositionId,
-          localPositionId: Number(localPositionId),
-          nfpmTokenId: Number(nfpmTokenId),
-          liquidity: liquidity.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
-        });
-      });
-    }
+    this.logger.log('Moonbeam event listeners setup complete');
+  }
 
-    // PositionLiquidated event
-    if (callbacks.onPositionLiquidated) {
-      this.contract.on('PositionLiquidated', (positionId, user, amount0, amount1, event) => {
-        this.logger.log(`Event: PositionLiquidated ${positionId}`);
-        callbacks.onPositionLiquidated!({
-          positionId: Number(positionId),
-          user,
-          amount0: amount0.toString(),
-          amount1: amount1.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
+  /**
+   * Decodes a raw XCMProxy log and invokes the matching callback.
+   * Used by the live listeners and by EventIndexerService when backfilling.
+   *
+   * @returns The decoded event name, or null if the log is not a proxy event
+   */
+  async dispatchLog(log: ethers.Log, callbacks: MoonbeamEventCallbacks): Promise<string | null> {
+    const parsed = this.contract.interface.parseLog({ topics: [...log.topics], data: log.data });
+    if (!parsed) return null;
+
+    const callbackKey = MOONBEAM_EVENT_CALLBACKS[parsed.name];
+    if (!callbackKey || !callbacks[callbackKey]) return parsed.name;
+
+    this.logger.log(`Event: ${parsed.name} (block ${log.blockNumber})`);
+    const meta = { blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+    const a = parsed.args;
+
+    switch (parsed.name) {
+      case 'AssetsReceived':
+        await callbacks.onAssetsReceived!({
+          token: a[0],
+          user: a[1],
+          amount: a[2].toString(),
+          investmentParams: a[3],
+          ...meta,
         });
-      });
-    }
-
-    // LiquidationCompleted event
-    if (callbacks.onLiquidationCompleted) {
-      this.contract.on('LiquidationCompleted', (positionId, assetHubPositionId, user, baseAsset, totalReturned, event) => {
-        this.logger.log(`Event: LiquidationCompleted ${positionId}`);
-        callbacks.onLiquidationCompleted!({
-          positionId: Number(positionId),
-          assetHubPositionId,
-          user,
-          baseAsset,
-          totalReturned: totalReturned.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
+        break;
+      case 'PendingPositionCreated':
+        await callbacks.onPendingPositionCreated!({
+          assetHubPositionId: a[0],
+          user: a[1],
+          token: a[2],
+          amount: a[3].toString(),
+          poolId: a[4],
+          ...meta,
         });
-      });
-    }
-
-    // AssetsReturned event
-    if (callbacks.onAssetsReturned) {
-      this.contract.on('AssetsReturned', (token, user, destination, amount, positionId, event) => {
-        this.logger.log(`Event: AssetsReturned for position ${positionId}`);
-        callbacks.onAssetsReturned!({
-          token,
-          user,
-          destination,
-          amount: amount.toString(),
-          positionId: Number(positionId),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
+        break;
+      case 'PositionExecuted':
+        await callbacks.onPositionExecuted!({
+          assetHubPositionId: a[0],
+          localPositionId: Number(a[1]),
+          nfpmTokenId: Number(a[2]),
+          liquidity: a[3].toString(),
+          ...meta,
         });
-      });
-    }
-
-    // PendingPositionCancelled event
-    if (callbacks.onPendingPositionCancelled) {
-      this.contract.on('PendingPositionCancelled', (assetHubPositionId, user, refundAmount, event) => {
-        this.logger.log(`Event: PendingPositionCancelled ${assetHubPositionId}`);
-        callbacks.onPendingPositionCancelled!({
-          assetHubPositionId,
-          user,
-          refundAmount: refundAmount.toString(),
-          blockNumber: event.log.blockNumber,
-          transactionHash: event.log.transactionHash,
+        break;
+      case 'PositionLiquidated':
+        await callbacks.onPositionLiquidated!({
+          positionId: Number(a[0]),
+          user: a[1],
+          amount0: a[2].toString(),
+          amount1: a[3].toString(),
+          ...meta,
         });
-      });
+        break;
+      case 'LiquidationCompleted':
+        await callbacks.onLiquidationCompleted!({
+          positionId: Number(a[0]),
+          assetHubPositionId: a[1],
+          user: a[2],
+          baseAsset: a[3],
+          totalReturned: a[4].toString(),
+          ...meta,
+        });
+        break;
+      case 'AssetsReturned':
+        await callbacks.onAssetsReturned!({
+          token: a[0],
+          user: a[1],
+          destination: a[2],
+          amount: a[3].toString(),
+          positionId: Number(a[4]),
+          ...meta,
+        });
+        break;
+      case 'PendingPositionCancelled':
+        await callbacks.onPendingPositionCancelled!({
+          assetHubPositionId: a[0],
+          user: a[1],
+          refundAmount: a[2].toString(),
+          ...meta,
+        });
+        break;
+      case 'PositionReranged':
+        await callbacks.onPositionReranged!({
+          positionId: Number(a[0]),
+          assetHubPositionId: a[1],
+          oldTokenId: Number(a[2]),
+          newTokenId: Number(a[3]),
+          bottomTick: Number(a[4]),
+          topTick: Number(a[5]),
+          liquidity: a[6].toString(),
+          amount0: a[7].toString(),
+          amount1: a[8].toString(),
+          ...meta,
+        });
+        break;
     }
 
-    this.logger.log('Moonbeam event listeners setup complete');
+    return parsed.name;
   }
 
   /**
@@ -0,0 +1,133 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { PriceOracleService } from './price-oracle.service';
+import { MoonbeamService } from './moonbeam.service';
+import { PriceObservation } from '../entities/price-observation.entity';
+import { Pool } from '../../pools/entities/pool.entity';
+import { FixturePriceSource, HttpPriceSource, PriceSource, aggregateQuotes, timeWeightedAverage } from '../prices';
+
+describe('PriceOracleService', () => {
+  let service: PriceOracleService;
+  let config: Record<string, any>;
+  let history: Array<Partial<PriceObservation>>;
+  const now = new Date('2025-01-01T12:00:00Z');
+
+  beforeEach(async () => {
+    config = { PRICE_ORACLE_SOURCES: 'fixture', PRICE_MAX_DEVIATION_BPS: 500 };
+    history = [];
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        PriceOracleService,
+        { provide: ConfigService, useValue: { get: jest.fn((key: string, def?: any) => config[key] ?? def) } },
+        {
+          provide: getRepositoryToken(PriceObservation),
+          useValue: {
+            insert: jest.fn(async (row: Partial<PriceObservation>) => history.push({ ...row, createdAt: now })),
+            findOne: jest.fn(async ({ where }: any) => history.filter(h => h.asset === where.asset).pop() ?? null),
+          },
+        },
+        { provide: getRepositoryToken(Pool), useValue: { find: jest.fn().mockResolvedValue([]) } },
+        { provide: MoonbeamService, useValue: { isInitialized: jest.fn(() => false) } },
+      ],
+    }).compile();
+
+    service = module.get(PriceOracleService);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs offline from PRICE_FIXTURES and folds wrapped symbols into one asset', async () => {
+    config.PRICE_FIXTURES = 'DOT:5.2,WGLMR:0.25';
+    await service.onModuleInit();
+
+    expect(service.getSources().map(s => s.name)).toEqual(['fixture']);
+    expect(await service.getPriceUsd('xcDOT', now)).toBe(5.2);
+    expect(await service.getPricesUsd(['GLMR', 'USDC', 'PEPE'], now)).toEqual({ GLMR: 0.25, USDC: 1 });
+  });
+
+  it('takes the median and drops quotes that deviate from it', async () => {
+    service.registerSource(new FixturePriceSource({ DOT: 5.0 }, 'a'));
+    service.registerSource(new FixturePriceSource({ DOT: 5.1 }, 'b'));
+    service.registerSource(new FixturePriceSource({ DOT: 9.0 }, 'c'));
+
+    expect(await service.getPriceUsd('DOT', now)).toBe(5.05);
+    expect(history[0]).toMatchObject({
+      asset: 'DOT',
+      priceUsd: '5.05',
+      sources: [{ source: 'a', priceUsd: 5.0 }, { source: 'b', priceUsd: 5.1 }],
+    });
+  });
+
+  it('ignores stale quotes', () => {
+    const fresh = { asset: 'DOT', priceUsd: 5, source: 'a', observedAt: now };
+    const stale = { asset: 'DOT', priceUsd: 4, source: 'b', observedAt: new Date(now.getTime() - 11 * 60_000) };
+
+    const result = aggregateQuotes('DOT', [fresh, stale], { now, maxStalenessMs: 10 * 60_000, maxDeviationBps: 10_000, minSources: 1 });
+
+    expect(result.priceUsd).toBe(5);
+    expect(result.rejected).toEqual([{ quote: stale, reason: 'stale' }]);
+  });
+
+  it('caches prices for PRICE_CACHE_TTL_MS', async () => {
+    const source = new FixturePriceSource({ DOT: 5 });
+    const spy = jest.spyOn(source, 'getQuotes');
+    service.registerSource(source);
+
+    await service.getPriceUsd('DOT', now);
+    await service.getPriceUsd('DOT', new Date(now.getTime() + 30_000));
+    await service.getPriceUsd('DOT', new Date(now.getTime() + 61_000));
+
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it('serves the last good price for a bounded time when every source fails', async () => {
+    const flaky: PriceSource = { name: 'flaky', getQuotes: jest.fn().mockResolvedValueOnce([
+      { asset: 'DOT', priceUsd: 5, source: 'flaky', observedAt: now },
+    ]).mockRejectedValue(new Error('timeout')) };
+    service.registerSource(flaky);
+
+    await service.getPriceUsd('DOT', now);
+    expect(await service.getPriceUsd('DOT', new Date(now.getTime() + 30 * 60_000))).toBe(5);
+    await expect(service.getPriceUsd('DOT', new Date(now.getTime() + 61 * 60_000))).rejects.toThrow('Cannot determine DOT price');
+  });
+
+  it('requires PRICE_MIN_SOURCES agreeing quotes', async () => {
+    config.PRICE_MIN_SOURCES = 2;
+    service.registerSource(new FixturePriceSource({ DOT: 5 }, 'a'));
+
+    await expect(service.getPriceUsd('DOT', now)).rejects.toThrow();
+
+    service.registerSource(new FixturePriceSource({ DOT: 5.02 }, 'b'));
+    expect(await service.getPriceUsd('DOT', now)).toBe(5.01);
+  });
+
+  it('time-weights sampled pool prices', () => {
+    expect(timeWeightedAverage([{ time: 0, priceUsd: 5 }])).toBe(5);
+    expect(timeWeightedAverage([
+      { time: 0, priceUsd: 4 },
+      { time: 3_000, priceUsd: 8 },
+      { time: 4_000, priceUsd: 100 },
+    ])).toBe(5);
+  });
+
+  it('parses CoinGecko-shaped HTTP responses', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ polkadot: { usd: 5.3, last_updated_at: 1735732800 } }),
+    } as Response);
+    const source = new HttpPriceSource({
+      urlTemplate: 'https://prices.example/simple?ids={ids}',
+      assetIds: new Map([['DOT', 'polkadot'], ['GLMR', 'moonbeam']]),
+    });
+
+    const quotes = await source.getQuotes(['DOT', 'GLMR', 'USDC'], now);
+
+    expect(fetchMock.mock.calls[0][0]).toBe('https://prices.example/simple?ids=polkadot%2Cmoonbeam');
+    expect(quotes).toEqual([{ asset: 'DOT', priceUsd: 5.3, source: 'http', observedAt: new Date('2025-01-01T12:00:00Z') }]);
+  });
+});
@@ -0,0 +1,308 @@
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { Between, LessThan, Repository } from 'typeorm';
+import { PriceObservation } from '../entities/price-observation.entity';
+import { Pool } from '../../pools/entities/pool.entity';
+import { MoonbeamService } from './moonbeam.service';
+import * as TokenMath from '../../../common/token-math';
+import {
+  FixturePriceSource,
+  HttpPriceSource,
+  PoolTwapPriceSource,
+  PriceQuote,
+  PriceSource,
+  STABLE_ASSETS,
+  SubgraphPriceSource,
+  aggregateQuotes,
+  canonicalAsset,
+  parseAssetMap,
+} from '../prices';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_HTTP_URL =
+  'https://api.coingecko.com/api/v3/simple/price?ids={ids}&vs_currencies=usd&include_last_updated_at=true';
+const DEFAULT_HTTP_ASSET_IDS =
+  'DOT:polkadot,GLMR:moonbeam,ETH:ethereum,BTC:bitcoin,USDC:usd-coin,USDT:tether,DAI:dai,FRAX:frax';
+
+export interface PricePoint {
+  timestamp: string;
+  priceUsd: number;
+}
+
+/**
+ * PriceOracleService
+ *
+ * Multi-asset USD prices from pluggable sources (PRICE_ORACLE_SOURCES):
+ * - pool-twap: sampled spot price of the deepest Algebra stablecoin pair
+ * - subgraph:  Algebra subgraph derived prices
+ * - http:      configurable CoinGecko-style endpoint
+ * - fixture:   static PRICE_FIXTURES, for tests and offline development
+ *
+ * Quotes are filtered for staleness and deviation from the median, and the
+ * median of the rest is cached and persisted to price_history. When no source
+ * produces a usable price, the last good price is served for a bounded time.
+ */
+@Injectable()
+export class PriceOracleService implements OnModuleInit {
+  private readonly logger = new Logger(PriceOracleService.name);
+  private readonly sources: PriceSource[] = [];
+  private readonly cache = new Map<string, { priceUsd: number; at: number }>();
+  private readonly decimalsCache = new Map<string, number>();
+
+  constructor(
+    private configService: ConfigService,
+    @InjectRepository(PriceObservation)
+    private historyRepository: Repository<PriceObservation>,
+    @InjectRepository(Pool)
+    private poolRepository: Repository<Pool>,
+    private moonbeamService: MoonbeamService,
+  ) {}
+
+  get cacheTtlMs(): number {
+    return Number(this.configService.get('PRICE_CACHE_TTL_MS', 60_000));
+  }
+
+  /** Quotes observed longer ago than this are ignored. */
+  get maxStalenessMs(): number {
+    return Number(this.configService.get('PRICE_MAX_STALENESS_MS', 10 * 60_000));
+  }
+
+  /** Quotes further than this from the median are ignored. */
+  get maxDeviationBps(): number {
+    return Number(this.configService.get('PRICE_MAX_DEVIATION_BPS', 500));
+  }
+
+  get minSources(): number {
+    return Number(this.configService.get('PRICE_MIN_SOURCES', 1));
+  }
+
+  /** How long the last good price may be served when every source fails. */
+  get fallbackMaxAgeMs(): number {
+    return Number(this.configService.get('PRICE_FALLBACK_MAX_AGE_MS', 60 * 60_000));
+  }
+
+  async onModuleInit() {
+    for (const source of this.buildSourcesFromConfig()) {
+      this.registerSource(source);
+    }
+    this.logger.log(`Price sources: ${this.sources.map(s => s.name).join(', ') || 'none'}`);
+
+    // Warm the cache so DOT-denominated math works immediately
+    try {
+      await this.getPriceUsd('DOT');
+    } catch (err) {
+      this.logger.warn(`Initial DOT price fetch failed: ${err instanceof Error ? err.message : String(err)}`);
+    }
+  }
+
+  registerSource(source: PriceSource): void {
+    this.sources.push(source);
+  }
+
+  getSources(): PriceSource[] {
+    return [...this.sources];
+  }
+
+  /**
+   * USD price for a token symbol (xcDOT and DOT resolve to the same asset).
+   * Throws if no price is available.
+   */
+  async getPriceUsd(symbol: string, now = new Date()): Promise<number> {
+    const asset = canonicalAsset(symbol);
+    const prices = await this.getPricesUsd([asset], now);
+    if (prices[asset] === undefined) {
+      throw new Error(`Cannot determine ${asset} price`);
+    }
+    return prices[asset];
+  }
+
+  /**
+   * USD prices keyed by canonical asset. Assets that cannot be priced are omitted.
+   */
+  async getPricesUsd(symbols: string[], now = new Date()): Promise<Record<string, number>> {
+    const assets = [...new Set(symbols.map(canonicalAsset))];
+    const prices: Record<string, number> = {};
+    const missing: string[] = [];
+
+    for (const asset of assets) {
+      const cached = this.cache.get(asset);
+      if (cached && now.getTime() - cached.at < this.cacheTtlMs) {
+        prices[asset] = cached.priceUsd;
+      } else {
+        missing.push(asset);
+      }
+    }
+
+    if (missing.length > 0) {
+      const fresh = await this.refresh(missing, now);
+      for (const asset of missing) {
+        const price = fresh.get(asset) ?? (await this.lastGoodPrice(asset, now));
+        if (price !== null) prices[asset] = price;
+      }
+    }
+
+    return prices;
+  }
+
+  async getHistory(symbol: string, from: Date, to: Date): Promise<PricePoint[]> {
+    const rows = await this.historyRepository.find({
+      where: { asset: canonicalAsset(symbol), createdAt: Between(from, to) },
+      order: { createdAt: 'ASC' },
+    });
+    return rows.map(r => ({ timestamp: r.createdAt.toISOString(), priceUsd: Number(r.priceUsd) }));
+  }
+
+  @Cron(CronExpression.EVERY_DAY_AT_3AM)
+  async pruneHistory(now = new Date()): Promise<number> {
+    const retentionDays = Number(this.configService.get('PRICE_HISTORY_RETENTION_DAYS', 90));
+    const result = await this.historyRepository.delete({
+      createdAt: LessThan(new Date(now.getTime() - retentionDays * MS_PER_DAY)),
+    });
+    return result.affected ?? 0;
+  }
+
+  /**
+   * Query every source, aggregate per asset, then cache and persist the results.
+   */
+  private async refresh(assets: string[], now: Date): Promise<Map<string, number>> {
+    const settled = await Promise.allSettled(this.sources.map(s => s.getQuotes(assets, now)));
+
+    const quotes: PriceQuote[] = [];
+    settled.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        quotes.push(...result.value);
+      } else {
+        const reason = result.reason instanceof Error ? result.reason.message : String(result.reason);
+        this.logger.warn(`Price source ${this.sources[i].name} failed: ${reason}`);
+      }
+    });
+
+    const prices = new Map<string, number>();
+    for (const asset of assets) {
+      const assetQuotes = quotes.filter(q => q.asset === asset);
+      const aggregated = aggregateQuotes(asset, assetQuotes, {
+        now,
+        maxStalenessMs: this.maxStalenessMs,
+        maxDeviationBps: this.maxDeviationBps,
+        minSources: this.minSources,
+      });
+
+      for (const { quote, reason } of aggregated.rejected) {
+        this.logger.warn(`Rejected ${reason} ${asset} quote from ${quote.source}: $${quote.priceUsd}`);
+      }
+
+      let priceUsd = aggregated.priceUsd;
+      if (priceUsd === null && assetQuotes.length === 0 && STABLE_ASSETS.has(asset)) {
+        priceUsd = 1; // Unquoted stablecoins are assumed to hold their peg
+      }
+      if (priceUsd === null) continue;
+
+      prices.set(asset, priceUsd);
+      this.cache.set(asset, { priceUsd, at: now.getTime() });
+      await this.historyRepository
+        .insert({
+          asset,
+          priceUsd: String(priceUsd),
+          sources: aggregated.accepted.map(q => ({ source: q.source, priceUsd: q.priceUsd })),
+        })
+        .catch(err => this.logger.warn(`Failed to persist ${asset} price: ${err.message}`));
+    }
+
+    return prices;
+  }
+
+  private async lastGoodPrice(asset: string, now: Date): Promise<number | null> {
+    let last = this.cache.get(asset) ?? null;
+    if (!last) {
+      const row = await this.historyRepository
+        .findOne({ where: { asset }, order: { createdAt: 'DESC' } })
+        .catch(() => null);
+      if (row) last = { priceUsd: Number(row.priceUsd), at: row.createdAt.getTime() };
+    }
+
+    if (!last || now.getTime() - last.at > this.fallbackMaxAgeMs) {
+      this.logger.error(`No usable ${asset} price from any source`);
+      return null;
+    }
+
+    this.logger.warn(`No fresh ${asset} price, using last good price $${last.priceUsd}`);
+    return last.priceUsd;
+  }
+
+  private buildSourcesFromConfig(): PriceSource[] {
+    const names = String(this.configService.get('PRICE_ORACLE_SOURCES', 'pool-twap,subgraph,http'))
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+
+    const sources: PriceSource[] = [];
+    for (const name of names) {
+      switch (name) {
+        case 'pool-twap':
+          sources.push(
+            new PoolTwapPriceSource({
+              findPools: async () =>
+                this.moonbeamService.isInitialized() ? this.poolRepository.find({ where: { isActive: true } }) : [],
+              getPoolState: address => this.moonbeamService.getPoolState(address),
+              resolveDecimals: (address, symbol) => this.resolveDecimals(address, symbol),
+              windowMs: Number(this.configService.get('PRICE_TWAP_WINDOW_MS', 30 * 60_000)),
+            }),
+          );
+          break;
+        case 'subgraph': {
+          const url = this.configService.get<string>('ALGEBRA_SUBGRAPH_URL');
+          if (!url) {
+            this.logger.warn('ALGEBRA_SUBGRAPH_URL not set, subgraph price source disabled');
+            break;
+          }
+          sources.push(new SubgraphPriceSource(url, this.configService.get<string>('ALGEBRA_SUBGRAPH_API_KEY')));
+          break;
+        }
+        case 'http': {
+          const headerName = this.configService.get<string>('PRICE_HTTP_HEADER_NAME');
+          sources.push(
+            new HttpPriceSource({
+              urlTemplate: this.configService.get<string>('PRICE_HTTP_URL', DEFAULT_HTTP_URL),
+              assetIds: parseAssetMap(this.configService.get<string>('PRICE_HTTP_ASSET_IDS', DEFAULT_HTTP_ASSET_IDS)),
+              header: headerName
+                ? { name: headerName, value: this.configService.get<string>('PRICE_HTTP_HEADER_VALUE', '') }
+                : undefined,
+            }),
+          );
+          break;
+        }
+        case 'fixture': {
+          const fixtures: Record<string, number> = {};
+          for (const [asset, price] of parseAssetMap(this.configService.get<string>('PRICE_FIXTURES'))) {
+            fixtures[asset] = Number(price);
+          }
+          sources.push(new FixturePriceSource(fixtures));
+          break;
+        }
+        default:
+          this.logger.warn(`Unknown price source "${name}" ignored`);
+      }
+    }
+    return sources;
+  }
+
+  private async resolveDecimals(address: string, symbol: string): Promise<number> {
+    const key = address.toLowerCase();
+    const cached = this.decimalsCache.get(key);
+    if (cached !== undefined) return cached;
+
+    let decimals = TokenMath.getKnownDecimalsByAddress(address) ?? TokenMath.getKnownDecimalsBySymbol(symbol);
+    if (decimals === undefined) {
+      decimals = (await this.moonbeamService.getErc20Metadata(address)).decimals;
+      if (decimals === undefined) {
+        throw new Error(`Cannot resolve decimals for ${symbol} (${address})`);
+      }
+    }
+
+    this.decimalsCache.set(key, decimals);
+    return decimals;
+  }
+}
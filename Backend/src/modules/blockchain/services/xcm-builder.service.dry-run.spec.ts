@@ -0,0 +1,113 @@
+import { ConfigService } from '@nestjs/config';
+import { XcmBuilderService, XcmInvestmentParams } from './xcm-builder.service';
+import { PapiClientService } from '../papi/papi-client.service';
+
+/**
+ * Offline: PAPI is mocked, so these cover how the dry-run effects of both
+ * chains are combined into a dispatch decision.
+ */
+describe('XcmBuilderService dryRunXcm', () => {
+  const params: XcmInvestmentParams = {
+    amount: 10_000_000_000n,
+    moonbeamProxyAddress: '0x0000000000000000000000000000000000000001',
+    assetHubVaultAddress: '0x00000000000000000000000000000000000000aa',
+    user: '0x0000000000000000000000000000000000000002',
+    poolId: '0x0000000000000000000000000000000000000003',
+    chainId: 1284,
+    lowerRangePercent: -5,
+    upperRangePercent: 10,
+  };
+  const toMoonbeam = { type: 'V5', value: { parents: 1, interior: { type: 'X1', value: { type: 'Parachain', value: 2004 } } } };
+  const forwarded = { type: 'V5', value: [{ type: 'ReserveAssetDeposited', value: [] }] };
+  const attempted = (outcome: unknown) => ({ type: 'PolkadotXcm', value: { type: 'Attempted', value: { outcome } } });
+
+  let papi: Record<string, jest.Mock>;
+  let service: XcmBuilderService;
+
+  beforeEach(() => {
+    const config: Record<string, unknown> = {};
+    const configService = { get: (key: string, fallback?: unknown) => config[key] ?? fallback } as unknown as ConfigService;
+    papi = {
+      dryRunXcmExecute: jest.fn(async () => ({
+        execution_result: { success: true, value: {} },
+        emitted_events: [attempted({ type: 'Complete', value: { used: { ref_time: 3_000n, proof_size: 10n } } })],
+        forwarded_xcms: [[toMoonbeam, [forwarded]]],
+      })),
+      dryRunXcm: jest.fn(async () => ({
+        execution_result: { type: 'Complete', value: { used: { ref_time: 1_000n, proof_size: 10n } } },
+        emitted_events: [],
+        forwarded_xcms: [],
+      })),
+      // 100_000 planck per ref_time unit
+      queryWeightToAssetFee: jest.fn(async (_chain: string, weight: { refTime: bigint }) => weight.refTime * 100_000n),
+    };
+    service = new XcmBuilderService(configService, papi as unknown as PapiClientService);
+    jest.spyOn(service, 'buildInvestmentPrograms').mockResolvedValue({
+      outer: { type: 'V5', value: [] },
+      forwarded: { type: 'V5', value: [] },
+    });
+  });
+
+  it('dry-runs the execute on Asset Hub as the vault and the forwarded message on Moonbeam', async () => {
+    const result = await service.dryRunXcm(params);
+
+    expect(papi.dryRunXcmExecute).toHaveBeenCalledWith(
+      'assetHub',
+      '0x00000000000000000000000000000000000000aaeeeeeeeeeeeeeeeeeeeeeeee',
+      { type: 'V5', value: [] },
+      expect.anything(),
+    );
+    expect(papi.dryRunXcm).toHaveBeenCalledWith(
+      'moonbeam',
+      { type: 'V5', value: { parents: 1, interior: { type: 'X1', value: { type: 'Parachain', value: 1000 } } } },
+      forwarded,
+    );
+    expect(result.success).toBe(true);
+    expect(result.estimatedFees).toBe('400000000'); // 0.03 + 0.01 DOT
+    expect(result.report).toMatchObject({
+      reasons: [],
+      assetHub: { outcome: 'complete', fee: '300000000', forwarded: [{ parachain: 2004 }] },
+      moonbeam: { outcome: 'complete', fee: '100000000' },
+      moonbeamFee: { limit: '400000000', required: '100000000' },
+    });
+  });
+
+  it('refuses dispatch when Asset Hub execution fails, without running Moonbeam', async () => {
+    papi.dryRunXcmExecute.mockResolvedValue({
+      execution_result: { success: false, value: { error: { type: 'Token', value: { type: 'FundsUnavailable' } } } },
+      emitted_events: [],
+      forwarded_xcms: [],
+    });
+
+    const result = await service.dryRunXcm(params);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Asset Hub execution failed: Token.FundsUnavailable');
+    expect(papi.dryRunXcm).not.toHaveBeenCalled();
+  });
+
+  it('refuses dispatch on a Moonbeam fee shortfall', async () => {
+    papi.dryRunXcm.mockResolvedValue({
+      execution_result: { type: 'Complete', value: { used: { ref_time: 3_900n, proof_size: 10n } } },
+      emitted_events: [],
+      forwarded_xcms: [],
+    });
+
+    const result = await service.dryRunXcm(params);
+
+    expect(result.success).toBe(false);
+    expect(result.report.reasons).toEqual([
+      'Moonbeam BuyExecution fee 400000000 below required 429000000 planck (incl. margin)',
+    ]);
+  });
+
+  it('refuses dispatch when the dry run cannot be run', async () => {
+    papi.dryRunXcmExecute.mockRejectedValue(new Error('Missing ASSET_HUB_PAPI_ENDPOINT env var'));
+
+    const result = await service.dryRunXcm(params);
+
+    expect(result.success).toBe(false);
+    expect(result.report.reasons).toEqual(['Dry run unavailable: Missing ASSET_HUB_PAPI_ENDPOINT env var']);
+    expect(result.report.assetHub.outcome).toBe('not_run');
+  });
+});
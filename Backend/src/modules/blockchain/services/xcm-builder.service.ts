@@ -3,6 +3,23 @@ import { ConfigService } from '@nestjs/config';
 import { ethers, Interface, AbiCoder } from 'ethers';
 import { PapiClientService } from '../papi/papi-client.service';
 import { PAPI_DEFAULT_GAS_LIMIT } from '../papi/papi.constants';
+import type { PapiWeight } from '../papi/papi.types';
+import {
+  XcmDryRunChainReport,
+  XcmDryRunReport,
+  evaluateDryRun,
+  evmAddressToAccountId32,
+  findForwardedMessage,
+  notRunReport,
+  summarizeCallDryRun,
+  summarizeXcmDryRun,
+} from './xcm-dry-run.logic';
+
+/** DOT as seen from Asset Hub and Moonbeam (the relay chain's native asset) */
+export const DOT_LOCATION = { parents: 1, interior: { type: 'Here', value: undefined } };
+
+/** max_weight for PolkadotXcm.execute (encoding and dry runs) */
+const XCM_EXECUTE_MAX_WEIGHT: PapiWeight = { refTime: 100000000000n, proofSize: 5000000n };
 
 /**
  * XCM Investment Parameters
@@ -49,8 +66,11 @@ export interface XcmReturnParams {
  */
 export interface XcmDryRunResult {
   success: boolean;
+  /** AH + Moonbeam execution fees for the weight used (planck) */
   estimatedFees: string;
   error?: string;
+  /** Decoded dry run of both chains, for the activity log */
+  report: XcmDryRunReport;
 }
 
 /**
@@ -249,112 +269,172 @@ export class XcmBuilderService implements OnModuleDestroy {
       });
 
       // 3. Build XCM V5 message (Phase 1: asset transfer only)
-      const { Binary, FixedSizeBinary } = await import('polkadot-api');
-      const DOT_LOCATION = { parents: 1, interior: { type: 'Here', value: undefined } };
+      const { outer: xcmV5Message } = await this.buildInvestmentPrograms({
+        amount: params.amount,
+        moonbeamProxyAddress: params.moonbeamProxyAddress,
+      });
+
+      // 4. Encode to raw VersionedXcm bytes
+      const xcmHex = await this.encodeVersionedXcm(xcmV5Message);
+
+      const destinationBytes = this.buildMultiLocation(this.moonbeamParaId, params.moonbeamProxyAddress);
+
+      this.logger.log(
+        `XCM V5 investment built: ${xcmHex.length / 2} bytes, positionId=${assetHubPositionId}`,
+      );
+
+      return {
+        destination: destinationBytes,
+        xcmMessage: ethers.getBytes(xcmHex),
+        assetHubPositionId,
+        moonbeamCalldata,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to build investment XCM: ${error.message}`);
+      throw new Error(`XCM V5 build failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the investment XCM programs as PAPI values.
+   *
+   * - outer: executed on Asset Hub by PolkadotXcm.execute
+   * - forwarded: what DepositReserveAsset sends on to Moonbeam
+   *   (ReserveAssetDeposited, ClearOrigin, then the inner XCM)
+   *
+   * Used to encode the message and to query its weight on each chain.
+   */
+  async buildInvestmentPrograms(params: { amount: bigint; moonbeamProxyAddress: string }): Promise<{
+    outer: { type: 'V5'; value: unknown[] };
+    forwarded: { type: 'V5'; value: unknown[] };
+  }> {
+    const { FixedSizeBinary } = await import('polkadot-api');
+
+    // Inner XCM (executes on Moonbeam after ClearOrigin — no Transact!)
+    const innerXcm = [
+      {
+        type: 'BuyExecution',
+        value: {
+          fees: { id: DOT_LOCATION, fun: { type: 'Fungible', value: this.moonbeamBuyExecutionFee } },
+          weight_limit: { type: 'Unlimited', value: undefined },
+        },
+      },
+      {
+        type: 'DepositAsset',
+        value: {
+          assets: { type: 'Wild', value: { type: 'AllCounted', value: 1 } },
+          beneficiary: {
+            parents: 0,
+            interior: {
+              type: 'X1',
+              value: {
+                type: 'AccountKey20',
+                value: {
+                  network: undefined,
+                  key: FixedSizeBinary.fromHex(params.moonbeamProxyAddress.toLowerCase()),
+                },
+              },
+            },
+          },
+        },
+      },
+    ];
 
-      // Inner XCM (executes on Moonbeam after ClearOrigin — no Transact!)
-      const innerXcm = [
+    // Outer XCM (executes on Asset Hub)
+    const outer = {
+      type: 'V5' as const,
+      value: [
+        // WithdrawAsset(DOT)
+        {
+          type: 'WithdrawAsset',
+          value: [{ id: DOT_LOCATION, fun: { type: 'Fungible', value: params.amount } }],
+        },
+        // BuyExecution: AH uses ~0.03 DOT, rest stays in holding for DepositReserveAsset
         {
           type: 'BuyExecution',
           value: {
-            fees: { id: DOT_LOCATION, fun: { type: 'Fungible', value: this.moonbeamBuyExecutionFee } },
+            fees: { id: DOT_LOCATION, fun: { type: 'Fungible', value: params.amount } },
             weight_limit: { type: 'Unlimited', value: undefined },
           },
         },
+        // DepositReserveAsset: send remaining holding to Moonbeam
+        // Auto-injects: ReserveAssetDeposited, ClearOrigin, [innerXcm]
         {
-          type: 'DepositAsset',
+          type: 'DepositReserveAsset',
           value: {
-            assets: { type: 'Wild', value: { type: 'AllCounted', value: 1 } },
-            beneficiary: {
-              parents: 0,
+            assets: { type: 'Wild', value: { type: 'All', value: undefined } },
+            dest: {
+              parents: 1,
               interior: {
                 type: 'X1',
-                value: {
-                  type: 'AccountKey20',
-                  value: {
-                    network: undefined,
-                    key: FixedSizeBinary.fromHex(params.moonbeamProxyAddress.toLowerCase()),
-                  },
-                },
+                value: { type: 'Parachain', value: this.moonbeamParaId },
               },
             },
+            xcm: innerXcm,
           },
         },
-      ];
+      ],
+    };
+
+    const forwarded = {
+      type: 'V5' as const,
+      value: [
+        {
+          type: 'ReserveAssetDeposited',
+          value: [{ id: DOT_LOCATION, fun: { type: 'Fungible', value: params.amount } }],
+        },
+        { type: 'ClearOrigin', value: undefined },
+        ...innerXcm,
+      ],
+    };
 
-      // Outer XCM (executes on Asset Hub)
-      const xcmV5Message = {
-        type: 'V5',
-        value: [
-          // WithdrawAsset(DOT)
-          {
-            type: 'WithdrawAsset',
-            value: [{ id: DOT_LOCATION, fun: { type: 'Fungible', value: params.amount } }],
-          },
-          // BuyExecution: AH uses ~0.03 DOT, rest stays in holding for DepositReserveAsset
-          {
-            type: 'BuyExecution',
-            value: {
-              fees: { id: DOT_LOCATION, fun: { type: 'Fungible', value: params.amount } },
-              weight_limit: { type: 'Unlimited', value: undefined },
-            },
+    return { outer, forwarded };
+  }
+
+  /**
+   * Build the XCM program Asset Hub executes when XCMProxy returns DOT after
+   * a liquidation (reserve withdrawal to the user's EE-padded AccountId32).
+   * Only used to weigh the return leg; XCMProxy builds the real one on-chain.
+   */
+  async buildReturnProgram(params: { amount: bigint; beneficiary: string }): Promise<{ type: 'V5'; value: unknown[] }> {
+    const { FixedSizeBinary } = await import('polkadot-api');
+    const accountId = ethers.getBytes(params.beneficiary).length === 20
+      ? evmAddressToAccountId32(params.beneficiary)
+      : params.beneficiary.toLowerCase();
+
+    return {
+      type: 'V5',
+      value: [
+        {
+          type: 'WithdrawAsset',
+          value: [{ id: DOT_LOCATION, fun: { type: 'Fungible', value: params.amount } }],
+        },
+        { type: 'ClearOrigin', value: undefined },
+        {
+          type: 'BuyExecution',
+          value: {
+            fees: { id: DOT_LOCATION, fun: { type: 'Fungible', value: params.amount } },
+            weight_limit: { type: 'Unlimited', value: undefined },
           },
-          // DepositReserveAsset: send remaining holding to Moonbeam
-          // Auto-injects: ReserveAssetDeposited, ClearOrigin, [innerXcm]
-          {
-            type: 'DepositReserveAsset',
-            value: {
-              assets: { type: 'Wild', value: { type: 'All', value: undefined } },
-              dest: {
-                parents: 1,
-                interior: {
-                  type: 'X1',
-                  value: { type: 'Parachain', value: this.moonbeamParaId },
+        },
+        {
+          type: 'DepositAsset',
+          value: {
+            assets: { type: 'Wild', value: { type: 'AllCounted', value: 1 } },
+            beneficiary: {
+              parents: 0,
+              interior: {
+                type: 'X1',
+                value: {
+                  type: 'AccountId32',
+                  value: { network: undefined, id: FixedSizeBinary.fromHex(accountId) },
                 },
               },
-              xcm: innerXcm,
             },
           },
-        ],
-      };
-
-      // 4. Encode via PolkadotXcm.execute() on Asset Hub to extract raw XCM bytes
-      const ahApi = await this.papiClient.getAssetHubUnsafeApi();
-      const maxWeight = { ref_time: 100000000000n, proof_size: 5000000n };
-
-      const ahExecuteTx = ahApi.tx.PolkadotXcm.execute({
-        message: xcmV5Message,
-        max_weight: maxWeight,
-      }) as any;
-
-      const fullCallData = await ahExecuteTx.getEncodedData();
-      const fullHex: string = fullCallData.asHex();
-
-      // Extract XCM bytes: strip call index (2 bytes) from front
-      // and compact-encoded max_weight from end
-      const withoutCallIndex = fullHex.slice(6); // "0x" + 4 hex chars for 2-byte call index
-
-      const refTimeLen = this.compactEncodingLength(maxWeight.ref_time);
-      const proofSizeLen = this.compactEncodingLength(maxWeight.proof_size);
-      const weightHexChars = (refTimeLen + proofSizeLen) * 2;
-      const xcmHex = ('0x' + withoutCallIndex.slice(0, -weightHexChars)) as `0x${string}`;
-
-      const destinationBytes = this.buildMultiLocation(this.moonbeamParaId, params.moonbeamProxyAddress);
-
-      this.logger.log(
-        `XCM V5 investment built: ${xcmHex.length / 2} bytes, positionId=${assetHubPositionId}`,
-      );
-
-      return {
-        destination: destinationBytes,
-        xcmMessage: ethers.getBytes(xcmHex),
-        assetHubPositionId,
-        moonbeamCalldata,
-      };
-    } catch (error) {
-      this.logger.error(`Failed to build investment XCM: ${error.message}`);
-      throw new Error(`XCM V5 build failed: ${error.message}`);
-    }
+        },
+      ],
+    };
   }
 
   // ============================================================
@@ -383,39 +463,226 @@ export class XcmBuilderService implements OnModuleDestroy {
   // ============================================================
 
   /**
-   * Dry run XCM to verify it will succeed before execution.
-   * Uses PAPI's DryRunApi for both Asset Hub and Moonbeam validation.
+   * Pre-flight dry run of an investment XCM; required before every dispatch.
+   *
+   * 1. DryRunApi.dry_run_call on Asset Hub: PolkadotXcm.execute signed by the
+   *    AssetHubVault's account, as its XCM precompile call would run
+   * 2. DryRunApi.dry_run_xcm on Moonbeam with the message Asset Hub forwards
+   * 3. The Moonbeam fee for the weight used, against the BuyExecution amount
+   *    in the inner XCM (plus XCM_DRY_RUN_FEE_MARGIN_BPS)
+   *
+   * Fails (success: false) on any execution error, trapped assets, a missing
+   * forwarded message, a fee shortfall, or when the dry run cannot be run.
    */
   async dryRunXcm(params: XcmInvestmentParams): Promise<XcmDryRunResult> {
     this.logger.log(`Dry running XCM for ${params.amount} to ${params.poolId}`);
+    const checkedAt = new Date().toISOString();
+    const moonbeamFeeLimit = this.moonbeamBuyExecutionFee;
 
     if (this.testMode) {
       return {
         success: true,
         estimatedFees: '500000000', // ~0.05 DOT (AH ~0.03 + MB ~0.02)
+        report: {
+          success: true,
+          reasons: [],
+          checkedAt,
+          assetHub: notRunReport('assetHub', 'XCM test mode'),
+          moonbeam: notRunReport('moonbeam', 'XCM test mode'),
+          moonbeamFee: { limit: moonbeamFeeLimit.toString(), required: null },
+        },
       };
     }
 
+    let assetHub = notRunReport('assetHub');
+    let moonbeam = notRunReport('moonbeam');
+    let assetHubFee: bigint | null = null;
+    let moonbeamFeeRequired: bigint | null = null;
+    let reasons: string[];
+
     try {
-      // Build the XCM to validate it assembles correctly
-      const { xcmMessage } = await this.buildInvestmentXcm(params);
+      const { outer } = await this.buildInvestmentPrograms({
+        amount: params.amount,
+        moonbeamProxyAddress: params.moonbeamProxyAddress,
+      });
 
-      // The actual dry-run via DryRunApi requires the sender's SS58 address.
-      // The AssetHubVault contract does the dispatch, so we validate build success.
-      this.logger.log(`XCM built successfully (${xcmMessage.length} bytes)`);
+      const assetHubEffects = await this.papiClient.dryRunXcmExecute(
+        'assetHub',
+        evmAddressToAccountId32(params.assetHubVaultAddress),
+        outer,
+        XCM_EXECUTE_MAX_WEIGHT,
+      );
+      assetHub = summarizeCallDryRun('assetHub', assetHubEffects);
+      assetHubFee = await this.feeForWeight('assetHub', assetHub);
+
+      const forwarded = findForwardedMessage(assetHubEffects, this.moonbeamParaId);
+      if (forwarded) {
+        const origin = {
+          type: 'V5',
+          value: { parents: 1, interior: { type: 'X1', value: { type: 'Parachain', value: this.assetHubParaId } } },
+        };
+        moonbeam = summarizeXcmDryRun('moonbeam', await this.papiClient.dryRunXcm('moonbeam', origin, forwarded));
+        moonbeamFeeRequired = await this.feeForWeight('moonbeam', moonbeam);
+      }
 
-      return {
-        success: true,
-        // AH fee ~0.03 DOT + Moonbeam BuyExecution ~0.02 DOT
-        estimatedFees: '500000000',
-      };
+      reasons = evaluateDryRun({
+        assetHub,
+        moonbeam,
+        moonbeamFeeLimit,
+        moonbeamFeeRequired,
+        feeMarginBps: Number(this.configService.get('XCM_DRY_RUN_FEE_MARGIN_BPS', 1000)),
+      });
     } catch (error) {
       this.logger.error(`Dry run failed: ${error.message}`);
-      return {
-        success: false,
-        estimatedFees: '0',
-        error: error.message,
+      reasons = [`Dry run unavailable: ${error.message}`];
+    }
+
+    const report: XcmDryRunReport = {
+      success: reasons.length === 0,
+      reasons,
+      checkedAt,
+      assetHub,
+      moonbeam,
+      moonbeamFee: {
+        limit: moonbeamFeeLimit.toString(),
+        required: moonbeamFeeRequired?.toString() ?? null,
+      },
+    };
+
+    if (report.success) {
+      this.logger.log(
+        `XCM dry run passed: AH fee ${assetHubFee ?? '?'}, MB fee ${moonbeamFeeRequired ?? '?'} of ${moonbeamFeeLimit} planck`,
+      );
+    } else {
+      this.logger.warn(`XCM dry run refused dispatch: ${reasons.join('; ')}`);
+    }
+
+    return {
+      success: report.success,
+      estimatedFees: ((assetHubFee ?? 0n) + (moonbeamFeeRequired ?? 0n)).toString(),
+      error: report.success ? undefined : reasons.join('; '),
+      report,
+    };
+  }
+
+  /** DOT fee for the weight a dry run used; null when unknown */
+  private async feeForWeight(chain: XcmDryRunChainReport['chain'], report: XcmDryRunChainReport): Promise<bigint | null> {
+    if (!report.weightUsed) return null;
+    const fee = await this.papiClient.queryWeightToAssetFee(
+      chain,
+      { refTime: BigInt(report.weightUsed.refTime), proofSize: BigInt(report.weightUsed.proofSize) },
+      DOT_LOCATION,
+    );
+    report.fee = fee.toString();
+    return fee;
+  }
+
+  // ============================================================
+  // CLAIM — Recover assets trapped by a failed XCM
+  // ============================================================
+
+  /** BuyExecution fee in claim programs (planck). Default 0.05 DOT. */
+  private get claimExecutionFee(): bigint {
+    return BigInt(this.configService.get<string>('TRAPPED_ASSETS_CLAIM_FEE', '500000000'));
+  }
+
+  /**
+   * Build the XCM V5 program that releases trapped assets on the chain that
+   * trapped them:
+   *   1. ClaimAsset(assets, ticket: Here)
+   *   2. BuyExecution(first asset, up to TRAPPED_ASSETS_CLAIM_FEE, Unlimited)
+   *   3. DepositAsset(AllCounted, beneficiary)
+   *
+   * The chain only honours ClaimAsset when the program arrives with the
+   * origin the assets were trapped under.
+   *
+   * @param beneficiary 20-byte address (AccountKey20) or 32-byte account (AccountId32)
+   */
+  async buildClaimAssetsProgram(params: {
+    assets: Array<{ id: unknown; amount: bigint }>;
+    beneficiary: string;
+  }): Promise<{ type: 'V5'; value: unknown[] }> {
+    if (params.assets.length === 0) {
+      throw new Error('Nothing to claim');
+    }
+    const { FixedSizeBinary } = await import('polkadot-api');
+    const assets = params.assets.map(a => ({ id: a.id, fun: { type: 'Fungible', value: a.amount } }));
+    const fee = params.assets[0].amount < this.claimExecutionFee ? params.assets[0].amount : this.claimExecutionFee;
+    const beneficiary = params.beneficiary.toLowerCase();
+    const account = ethers.getBytes(beneficiary).length === 20
+      ? { type: 'AccountKey20', value: { network: undefined, key: FixedSizeBinary.fromHex(beneficiary) } }
+      : { type: 'AccountId32', value: { network: undefined, id: FixedSizeBinary.fromHex(beneficiary) } };
+
+    return {
+      type: 'V5',
+      value: [
+        {
+          type: 'ClaimAsset',
+          value: { assets, ticket: { parents: 0, interior: { type: 'Here', value: undefined } } },
+        },
+        {
+          type: 'BuyExecution',
+          value: {
+            fees: { id: params.assets[0].id, fun: { type: 'Fungible', value: fee } },
+            weight_limit: { type: 'Unlimited', value: undefined },
+          },
+        },
+        {
+          type: 'DepositAsset',
+          value: {
+            assets: { type: 'Wild', value: { type: 'AllCounted', value: assets.length } },
+            beneficiary: { parents: 0, interior: { type: 'X1', value: account } },
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * PolkadotXcm.send of a claim program, encoded on the sibling chain that
+   * sends it to where the assets are trapped (Moonbeam for Asset Hub traps
+   * and vice versa). Must be dispatched by the trap's origin.
+   */
+  async buildClaimSendCall(
+    trappedOn: XcmDryRunChainReport['chain'],
+    program: { type: 'V5'; value: unknown[] },
+  ): Promise<`0x${string}`> {
+    const sendFrom = trappedOn === 'assetHub' ? 'moonbeam' : 'assetHub';
+    const paraId = trappedOn === 'assetHub' ? this.assetHubParaId : this.moonbeamParaId;
+    const dest = { type: 'V5', value: { parents: 1, interior: { type: 'X1', value: { type: 'Parachain', value: paraId } } } };
+    const encoded = await this.papiClient.encodeXcmSendCall(sendFrom, dest, program);
+    return encoded.hex;
+  }
+
+  /**
+   * Dry-run an encoded claim message (as sent by sendXcm) on Asset Hub as it
+   * arrives when an account on Moonbeam sends it:
+   * origin Parachain(Moonbeam)/AccountKey20(sender).
+   * Never throws; a dry run that cannot be run is reported as not_run.
+   */
+  async dryRunClaimOnAssetHub(message: string, sender: string): Promise<XcmDryRunChainReport> {
+    try {
+      const { FixedSizeBinary } = await import('polkadot-api');
+      const program = await this.decodeVersionedXcm(message);
+      const origin = {
+        type: 'V5',
+        value: {
+          parents: 1,
+          interior: {
+            type: 'X2',
+            value: [
+              { type: 'Parachain', value: this.moonbeamParaId },
+              { type: 'AccountKey20', value: { network: undefined, key: FixedSizeBinary.fromHex(sender.toLowerCase()) } },
+            ],
+          },
+        },
       };
+      const report = summarizeXcmDryRun('assetHub', await this.papiClient.dryRunXcm('assetHub', origin, program));
+      await this.feeForWeight('assetHub', report);
+      return report;
+    } catch (error) {
+      this.logger.warn(`Claim dry run failed: ${error.message}`);
+      return notRunReport('assetHub', `Dry run unavailable: ${error.message}`);
     }
   }
 
@@ -423,6 +690,59 @@ export class XcmBuilderService implements OnModuleDestroy {
   // HELPERS
   // ============================================================
 
+  /**
+   * SCALE-encoded VersionedXcm of a program. PAPI has no standalone codec in
+   * the unsafe API, so the message is cut out of an encoded
+   * PolkadotXcm.execute call on Asset Hub.
+   */
+  async encodeVersionedXcm(message: unknown): Promise<`0x${string}`> {
+    const ahApi = await this.papiClient.getAssetHubUnsafeApi();
+    const maxWeight = { ref_time: XCM_EXECUTE_MAX_WEIGHT.refTime, proof_size: XCM_EXECUTE_MAX_WEIGHT.proofSize };
+
+    const ahExecuteTx = ahApi.tx.PolkadotXcm.execute({
+      message,
+      max_weight: maxWeight,
+    }) as any;
+
+    const fullCallData = await ahExecuteTx.getEncodedData();
+    const fullHex: string = fullCallData.asHex();
+
+    // Extract XCM bytes: strip call index (2 bytes) from front
+    // and compact-encoded max_weight from end
+    const withoutCallIndex = fullHex.slice(6); // "0x" + 4 hex chars for 2-byte call index
+
+    const refTimeLen = this.compactEncodingLength(maxWeight.ref_time);
+    const proofSizeLen = this.compactEncodingLength(maxWeight.proof_size);
+    const weightHexChars = (refTimeLen + proofSizeLen) * 2;
+    return ('0x' + withoutCallIndex.slice(0, -weightHexChars)) as `0x${string}`;
+  }
+
+  /**
+   * Inverse of encodeVersionedXcm: the message is wrapped back into a
+   * PolkadotXcm.execute call on Asset Hub and read out of the decoded call.
+   */
+  async decodeVersionedXcm(message: string): Promise<unknown> {
+    const ahApi = await this.papiClient.getAssetHubUnsafeApi();
+    const maxWeight = { ref_time: XCM_EXECUTE_MAX_WEIGHT.refTime, proof_size: XCM_EXECUTE_MAX_WEIGHT.proofSize };
+
+    // Call index and encoded max_weight, taken from an execute call with an empty program
+    const emptyExecuteTx = ahApi.tx.PolkadotXcm.execute({
+      message: { type: 'V5', value: [] },
+      max_weight: maxWeight,
+    }) as any;
+    const emptyHex: string = (await emptyExecuteTx.getEncodedData()).asHex();
+    const weightHexChars = (this.compactEncodingLength(maxWeight.ref_time) + this.compactEncodingLength(maxWeight.proof_size)) * 2;
+    const callHex = emptyHex.slice(0, 6) + message.slice(2) + emptyHex.slice(-weightHexChars);
+
+    const { Binary } = await import('polkadot-api');
+    const tx = await ahApi.txFromCallData(Binary.fromHex(callHex));
+    const call = tx.decodedCall as { type: string; value: { type: string; value: { message: unknown } } };
+    if (call.type !== 'PolkadotXcm' || call.value.type !== 'execute') {
+      throw new Error('Message did not decode as a VersionedXcm');
+    }
+    return call.value.value.message;
+  }
+
   /**
    * Calculate SCALE compact encoding length for a bigint value.
    * Used to strip max_weight from PolkadotXcm.execute encoded data.
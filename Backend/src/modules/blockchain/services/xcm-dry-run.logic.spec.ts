@@ -0,0 +1,131 @@
+import {
+  describeError,
+  evaluateDryRun,
+  evmAddressToAccountId32,
+  findForwardedMessage,
+  notRunReport,
+  summarizeCallDryRun,
+  summarizeXcmDryRun,
+} from './xcm-dry-run.logic';
+
+describe('xcm-dry-run.logic', () => {
+  const DOT = { parents: 1, interior: { type: 'Here' } };
+  const toMoonbeam = { type: 'V5', value: { parents: 1, interior: { type: 'X1', value: { type: 'Parachain', value: 2004 } } } };
+  const forwardedMessage = {
+    type: 'V5',
+    value: [
+      { type: 'ReserveAssetDeposited', value: [{ id: DOT, fun: { type: 'Fungible', value: 9_700_000_000n } }] },
+      { type: 'ClearOrigin' },
+      { type: 'BuyExecution', value: {} },
+      { type: 'DepositAsset', value: {} },
+    ],
+  };
+  const event = (pallet: string, name: string, value?: unknown) => ({ type: pallet, value: { type: name, value } });
+
+  it('maps an EVM address to its fallback AccountId32', () => {
+    expect(evmAddressToAccountId32('0xAbCd000000000000000000000000000000000001'))
+      .toBe('0xabcd000000000000000000000000000000000001eeeeeeeeeeeeeeeeeeeeeeee');
+  });
+
+  it('decodes an Asset Hub execute dry run with its events and forwarded message', () => {
+    const effects = {
+      execution_result: { success: true, value: { actual_weight: undefined } },
+      emitted_events: [
+        event('Balances', 'Burned'),
+        event('PolkadotXcm', 'Attempted', {
+          outcome: { type: 'Complete', value: { used: { ref_time: 1_000n, proof_size: 20n } } },
+        }),
+        event('XcmpQueue', 'XcmpMessageSent'),
+      ],
+      forwarded_xcms: [[toMoonbeam, [forwardedMessage]]] as Array<[unknown, unknown[]]>,
+    };
+
+    const report = summarizeCallDryRun('assetHub', effects);
+
+    expect(report).toMatchObject({
+      outcome: 'complete',
+      error: null,
+      weightUsed: { refTime: '1000', proofSize: '20' },
+      events: ['Balances.Burned', 'PolkadotXcm.Attempted', 'XcmpQueue.XcmpMessageSent'],
+      trappedAssets: false,
+      forwarded: [{
+        parachain: 2004,
+        instructions: ['ReserveAssetDeposited', 'ClearOrigin', 'BuyExecution', 'DepositAsset'],
+        amount: '9700000000',
+      }],
+    });
+    expect(findForwardedMessage(effects, 2004)).toBe(forwardedMessage);
+    expect(findForwardedMessage(effects, 2000)).toBeNull();
+  });
+
+  it('reports a failed execute call with the dispatch error', () => {
+    const report = summarizeCallDryRun('assetHub', {
+      execution_result: {
+        success: false,
+        value: { error: { type: 'Module', value: { type: 'PolkadotXcm', value: { type: 'LocalExecutionIncomplete' } } } },
+      },
+      emitted_events: [],
+      forwarded_xcms: [],
+    });
+
+    expect(report.outcome).toBe('error');
+    expect(report.error).toBe('Module.PolkadotXcm.LocalExecutionIncomplete');
+  });
+
+  it('decodes an incomplete Moonbeam outcome and trapped assets', () => {
+    const report = summarizeXcmDryRun('moonbeam', {
+      execution_result: {
+        type: 'Incomplete',
+        value: { used: { ref_time: 500n, proof_size: 5n }, error: { index: 2, error: { type: 'TooExpensive' } } },
+      },
+      emitted_events: [event('PolkadotXcm', 'AssetsTrapped')],
+      forwarded_xcms: [],
+    });
+
+    expect(report).toMatchObject({
+      outcome: 'incomplete',
+      error: 'TooExpensive at instruction 2',
+      weightUsed: { refTime: '500', proofSize: '5' },
+      trappedAssets: true,
+    });
+  });
+
+  it('flattens nested enum errors', () => {
+    expect(describeError({ type: 'Token', value: { type: 'FundsUnavailable' } })).toBe('Token.FundsUnavailable');
+    expect(describeError(undefined)).toBe('unknown');
+  });
+
+  describe('evaluateDryRun', () => {
+    const complete = (chain: 'assetHub' | 'moonbeam') => ({ ...notRunReport(chain), outcome: 'complete' as const });
+    const base = {
+      assetHub: complete('assetHub'),
+      moonbeam: complete('moonbeam'),
+      moonbeamFeeLimit: 400_000_000n,
+      moonbeamFeeRequired: 100_000_000n,
+      feeMarginBps: 1000,
+    };
+
+    it('passes when both chains complete within the fee limit', () => {
+      expect(evaluateDryRun(base)).toEqual([]);
+    });
+
+    it('refuses execution errors, trapped assets and a missing forwarded message', () => {
+      expect(evaluateDryRun({
+        ...base,
+        assetHub: { ...base.assetHub, trappedAssets: true },
+        moonbeam: notRunReport('moonbeam'),
+      })).toEqual(['Asset Hub would trap assets', 'No XCM forwarded to Moonbeam']);
+
+      expect(evaluateDryRun({
+        ...base,
+        moonbeam: { ...base.moonbeam, outcome: 'incomplete', error: 'TooExpensive at instruction 2' },
+      })).toEqual(['Moonbeam execution failed: TooExpensive at instruction 2']);
+    });
+
+    it('refuses when the Moonbeam fee plus margin exceeds the BuyExecution amount', () => {
+      expect(evaluateDryRun({ ...base, moonbeamFeeRequired: 370_000_000n })).toEqual([
+        'Moonbeam BuyExecution fee 400000000 below required 407000000 planck (incl. margin)',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * XCM Dry-Run Logic
+ *
+ * Pure decoding for the pre-flight dry run in XcmBuilderService: reads the
+ * raw DryRunApi effects (execution result, emitted events, forwarded
+ * messages) of each chain into a JSON-safe report, and decides whether the
+ * investment may be dispatched.
+ */
+
+import type { PapiDryRunEffects, XcmFeeChain } from '../papi/papi.types';
+
+export type DryRunOutcome = 'complete' | 'incomplete' | 'error' | 'not_run';
+
+export interface ForwardedXcmSummary {
+  parachain: number | null; // Destination parachain, null for the relay chain or anything else
+  instructions: string[];
+  amount: string | null; // First asset moved (planck)
+}
+
+export interface XcmDryRunChainReport {
+  chain: XcmFeeChain;
+  outcome: DryRunOutcome;
+  error: string | null;
+  weightUsed: { refTime: string; proofSize: string } | null;
+  fee: string | null; // DOT planck for the weight used
+  events: string[]; // Pallet.Event, in emission order
+  trappedAssets: boolean;
+  forwarded: ForwardedXcmSummary[];
+}
+
+export interface XcmDryRunReport {
+  success: boolean;
+  reasons: string[]; // Why dispatch was refused
+  checkedAt: string;
+  assetHub: XcmDryRunChainReport;
+  moonbeam: XcmDryRunChainReport;
+  moonbeamFee: { limit: string; required: string | null };
+}
+
+const TRAPPED_EVENT = 'PolkadotXcm.AssetsTrapped';
+const ATTEMPTED_EVENT = 'PolkadotXcm.Attempted';
+
+/** Asset Hub account of an EVM address (pallet-revive fallback mapping: address ++ 0xEE × 12) */
+export function evmAddressToAccountId32(address: string): string {
+  return `${address.toLowerCase()}${'ee'.repeat(12)}`;
+}
+
+export function notRunReport(chain: XcmFeeChain, error: string | null = null): XcmDryRunChainReport {
+  return {
+    chain,
+    outcome: 'not_run',
+    error,
+    weightUsed: null,
+    fee: null,
+    events: [],
+    trappedAssets: false,
+    forwarded: [],
+  };
+}
+
+/**
+ * Report for DryRunApi.dry_run_call of PolkadotXcm.execute: the call result
+ * is a dispatch Result, the XCM outcome is in the Attempted event
+ */
+export function summarizeCallDryRun(chain: XcmFeeChain, effects: PapiDryRunEffects): XcmDryRunChainReport {
+  const report = summarizeEffects(chain, effects);
+  const result = effects.execution_result as { success?: boolean; value?: any };
+
+  const attempted = (effects.emitted_events ?? []).find(e => eventName(e) === ATTEMPTED_EVENT);
+  const outcome = (attempted?.value?.value as any)?.outcome;
+  if (outcome) {
+    Object.assign(report, parseOutcome(outcome));
+  } else {
+    report.outcome = result?.success ? 'complete' : 'error';
+  }
+
+  if (result && result.success === false) {
+    if (report.outcome === 'complete') report.outcome = 'error';
+    report.error = report.error ?? describeError(result.value?.error ?? result.value);
+  }
+  if (!report.weightUsed && result?.success && result.value?.actual_weight) {
+    report.weightUsed = toWeight(result.value.actual_weight);
+  }
+  return report;
+}
+
+/** Report for DryRunApi.dry_run_xcm: the result is the XCM outcome itself */
+export function summarizeXcmDryRun(chain: XcmFeeChain, effects: PapiDryRunEffects): XcmDryRunChainReport {
+  return Object.assign(summarizeEffects(chain, effects), parseOutcome(effects.execution_result));
+}
+
+/** First message forwarded to a parachain, as a raw versioned XCM */
+export function findForwardedMessage(effects: PapiDryRunEffects, paraId: number): unknown | null {
+  for (const [destination, messages] of effects.forwarded_xcms ?? []) {
+    if (parachainOf(destination) === paraId && messages?.length > 0) {
+      return messages[0];
+    }
+  }
+  return null;
+}
+
+/** Reasons to refuse dispatch; empty when the investment may go out */
+export function evaluateDryRun(params: {
+  assetHub: XcmDryRunChainReport;
+  moonbeam: XcmDryRunChainReport;
+  moonbeamFeeLimit: bigint;
+  moonbeamFeeRequired: bigint | null;
+  feeMarginBps: number;
+}): string[] {
+  const { assetHub, moonbeam } = params;
+  const reasons: string[] = [];
+
+  if (assetHub.outcome !== 'complete') {
+    reasons.push(`Asset Hub execution failed: ${assetHub.error ?? assetHub.outcome}`);
+  }
+  if (assetHub.trappedAssets) {
+    reasons.push('Asset Hub would trap assets');
+  }
+
+  if (assetHub.outcome === 'complete' && moonbeam.outcome === 'not_run') {
+    reasons.push(moonbeam.error ?? 'No XCM forwarded to Moonbeam');
+  } else if (moonbeam.outcome !== 'complete' && moonbeam.outcome !== 'not_run') {
+    reasons.push(`Moonbeam execution failed: ${moonbeam.error ?? moonbeam.outcome}`);
+  }
+  if (moonbeam.trappedAssets) {
+    reasons.push('Moonbeam would trap assets');
+  }
+
+  if (params.moonbeamFeeRequired !== null) {
+    const withMargin = (params.moonbeamFeeRequired * BigInt(10_000 + params.feeMarginBps)) / 10_000n;
+    if (withMargin > params.moonbeamFeeLimit) {
+      reasons.push(
+        `Moonbeam BuyExecution fee ${params.moonbeamFeeLimit} below required ${withMargin} planck (incl. margin)`,
+      );
+    }
+  }
+
+  return reasons;
+}
+
+/** Flattens a PAPI enum error into e.g. "Module.PolkadotXcm.LocalExecutionIncomplete" */
+export function describeError(error: unknown): string {
+  if (error === null || error === undefined) return 'unknown';
+  if (typeof error !== 'object') return String(error);
+
+  const e = error as { type?: string; value?: unknown; error?: unknown; index?: number };
+  if (e.error !== undefined) {
+    const inner = describeError(e.error);
+    return e.index !== undefined ? `${inner} at instruction ${e.index}` : inner;
+  }
+  if (typeof e.type === 'string') {
+    const nested = e.value && typeof e.value === 'object' && ('type' in e.value || 'error' in e.value)
+      ? describeError(e.value)
+      : null;
+    return nested ? `${e.type}.${nested}` : e.type;
+  }
+  return JSON.stringify(error, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+
+function summarizeEffects(chain: XcmFeeChain, effects: PapiDryRunEffects): XcmDryRunChainReport {
+  const events = (effects.emitted_events ?? []).map(eventName);
+  return {
+    ...notRunReport(chain),
+    events,
+    trappedAssets: events.includes(TRAPPED_EVENT),
+    forwarded: (effects.forwarded_xcms ?? []).flatMap(([destination, messages]) =>
+      (messages ?? []).map(message => summarizeForwarded(destination, message)),
+    ),
+  };
+}
+
+function parseOutcome(raw: unknown): Pick<XcmDryRunChainReport, 'outcome' | 'error' | 'weightUsed'> {
+  const outcome = raw as { type?: string; value?: any };
+  switch (outcome?.type) {
+    case 'Complete':
+      return { outcome: 'complete', error: null, weightUsed: toWeight(outcome.value?.used) };
+    case 'Incomplete':
+      return { outcome: 'incomplete', error: describeError(outcome.value?.error), weightUsed: toWeight(outcome.value?.used) };
+    default:
+      return { outcome: 'error', error: describeError(outcome?.value?.error ?? outcome?.value ?? raw), weightUsed: null };
+  }
+}
+
+function summarizeForwarded(destination: unknown, message: unknown): ForwardedXcmSummary {
+  const instructions = ((message as { value?: unknown[] })?.value ?? []) as Array<{ type: string; value?: any }>;
+  const firstAssets = instructions.find(i => Array.isArray(i.value) && i.value[0]?.fun);
+  const amount = firstAssets?.value[0].fun.value;
+  return {
+    parachain: parachainOf(destination),
+    instructions: instructions.map(i => i.type),
+    amount: amount !== undefined ? String(amount) : null,
+  };
+}
+
+/** Parachain id of a sibling location (parents 1, X1 Parachain), versioned or not */
+function parachainOf(location: unknown): number | null {
+  const loc = ((location as any)?.value?.interior ? (location as any).value : location) as any;
+  if (loc?.parents !== 1) return null;
+  const junction = loc.interior?.type === 'X1'
+    ? (Array.isArray(loc.interior.value) ? loc.interior.value[0] : loc.interior.value)
+    : null;
+  return junction?.type === 'Parachain' ? Number(junction.value) : null;
+}
+
+function eventName(event: { type: string; value?: { type?: string } }): string {
+  return event.value?.type ? `${event.type}.${event.value.type}` : event.type;
+}
+
+function toWeight(raw: { ref_time?: bigint; proof_size?: bigint } | undefined): XcmDryRunChainReport['weightUsed'] {
+  if (!raw || raw.ref_time === undefined) return null;
+  return { refTime: String(raw.ref_time), proofSize: String(raw.proof_size ?? 0) };
+}
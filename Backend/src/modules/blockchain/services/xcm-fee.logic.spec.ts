@@ -0,0 +1,34 @@
+import { feeAmountToUsd, priceOperation, runtimeKey } from './xcm-fee.logic';
+
+describe('xcm-fee.logic', () => {
+  it('converts planck and wei amounts to USD', () => {
+    expect(feeAmountToUsd(250_000_000n, 'DOT', 4)).toBeCloseTo(0.1, 10); // 0.025 DOT
+    expect(feeAmountToUsd(30_000_000_000_000_000n, 'GLMR', 0.2)).toBeCloseTo(0.006, 10); // 0.03 GLMR
+  });
+
+  it('keys runtimes by spec name and version of both chains', () => {
+    expect(runtimeKey({ specName: 'statemint', specVersion: 1_005_001 }, { specName: 'moonbeam', specVersion: 3600 }))
+      .toBe('statemint@1005001/moonbeam@3600');
+  });
+
+  it('prices each component and totals them', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const estimate = priceOperation({
+      operation: 'invest',
+      runtime: 'ah@1/mb@1',
+      components: [
+        { chain: 'assetHub', kind: 'xcm', label: 'PolkadotXcm.execute', amount: 300_000_000n, asset: 'DOT' },
+        { chain: 'moonbeam', kind: 'evm', label: 'receiveAssets', amount: 10n ** 17n, asset: 'GLMR' },
+      ],
+      pricesUsd: { DOT: 5, GLMR: 0.25 },
+      now,
+    });
+
+    expect(estimate.components.map(c => [c.amount, c.usd])).toEqual([
+      ['300000000', 0.15],
+      ['100000000000000000', 0.025],
+    ]);
+    expect(estimate.totalUsd).toBe(0.175);
+    expect(estimate.estimatedAt).toBe(now);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * XCM Fee Logic
+ *
+ * Pure pricing for XcmFeeService: turns the fee components of one operation
+ * (XCM execution fees in DOT, EVM gas in GLMR) into USD, and the runtime
+ * key XCM weights are cached under.
+ */
+
+import type { PapiRuntimeVersion, XcmFeeChain } from '../papi/papi.types';
+
+/** What a rebalance does per position: open one (invest) or close one (liquidate) */
+export type XcmFeeOperation = 'invest' | 'liquidate';
+
+export type FeeAsset = 'DOT' | 'GLMR';
+
+export const FEE_ASSET_DECIMALS: Record<FeeAsset, number> = {
+  DOT: 10,
+  GLMR: 18,
+};
+
+export interface FeeComponent {
+  chain: XcmFeeChain;
+  kind: 'xcm' | 'evm';
+  label: string; // Instruction or contract call paid for
+  amount: bigint; // planck (DOT) or wei (GLMR)
+  asset: FeeAsset;
+}
+
+export interface PricedFeeComponent extends Omit<FeeComponent, 'amount'> {
+  amount: string;
+  usd: number;
+}
+
+export interface OperationCostEstimate {
+  operation: XcmFeeOperation;
+  runtime: string; // Runtime key the XCM weights were queried under
+  components: PricedFeeComponent[];
+  totalUsd: number;
+  estimatedAt: Date;
+}
+
+/** Cache key for XCM weights: they only change with a runtime upgrade on either chain */
+export function runtimeKey(assetHub: PapiRuntimeVersion, moonbeam: PapiRuntimeVersion): string {
+  return `${assetHub.specName}@${assetHub.specVersion}/${moonbeam.specName}@${moonbeam.specVersion}`;
+}
+
+export function feeAmountToUsd(amount: bigint, asset: FeeAsset, priceUsd: number): number {
+  const scale = 10n ** BigInt(FEE_ASSET_DECIMALS[asset]);
+  const whole = Number(amount / scale) + Number(amount % scale) / Number(scale);
+  return whole * priceUsd;
+}
+
+export function priceOperation(params: {
+  operation: XcmFeeOperation;
+  runtime: string;
+  components: FeeComponent[];
+  pricesUsd: Record<FeeAsset, number>;
+  now: Date;
+}): OperationCostEstimate {
+  const components = params.components.map(c => ({
+    ...c,
+    amount: c.amount.toString(),
+    usd: round6(feeAmountToUsd(c.amount, c.asset, params.pricesUsd[c.asset])),
+  }));
+  return {
+    operation: params.operation,
+    runtime: params.runtime,
+    components,
+    totalUsd: round6(components.reduce((sum, c) => sum + c.usd, 0)),
+    estimatedAt: params.now,
+  };
+}
+
+function round6(n: number): number {
+  return Math.round(n * 1e6) / 1e6;
+}
@@ -0,0 +1,104 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { XcmFeeService } from './xcm-fee.service';
+import { XcmBuilderService } from './xcm-builder.service';
+import { MoonbeamService } from './moonbeam.service';
+import { PriceOracleService } from './price-oracle.service';
+import { PapiClientService } from '../papi/papi-client.service';
+
+describe('XcmFeeService', () => {
+  let service: XcmFeeService;
+  let papi: Record<string, jest.Mock>;
+  let provider: { getFeeData: jest.Mock };
+  let config: Record<string, unknown>;
+  let specVersion: number;
+
+  const fees: Record<string, bigint> = {
+    outer: 300_000_000n, // 0.03 DOT on Asset Hub
+    forwarded: 100_000_000n, // 0.01 DOT on Moonbeam
+    returned: 200_000_000n, // 0.02 DOT on Asset Hub
+  };
+
+  beforeEach(async () => {
+    specVersion = 1;
+    config = {};
+    papi = {
+      getRuntimeVersion: jest.fn(async (chain: string) => ({ specName: chain, specVersion })),
+      queryXcmWeight: jest.fn(async (_chain: string, message: { label: string }) => ({
+        refTime: fees[message.label],
+        proofSize: 0n,
+      })),
+      queryWeightToAssetFee: jest.fn(async (_chain: string, weight: { refTime: bigint }) => weight.refTime),
+    };
+    provider = { getFeeData: jest.fn(async () => ({ gasPrice: 100_000_000_000n, maxFeePerGas: null })) }; // 100 gwei
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        XcmFeeService,
+        { provide: ConfigService, useValue: { get: (key: string, fallback?: unknown) => config[key] ?? fallback } },
+        { provide: PapiClientService, useValue: papi },
+        {
+          provide: XcmBuilderService,
+          useValue: {
+            buildInvestmentPrograms: jest.fn(async () => ({ outer: { label: 'outer' }, forwarded: { label: 'forwarded' } })),
+            buildReturnProgram: jest.fn(async () => ({ label: 'returned' })),
+          },
+        },
+        { provide: MoonbeamService, useValue: { isInitialized: () => true, getProvider: () => provider } },
+        { provide: PriceOracleService, useValue: { getPricesUsd: jest.fn(async () => ({ DOT: 5, GLMR: 0.25 })) } },
+      ],
+    }).compile();
+
+    service = module.get(XcmFeeService);
+  });
+
+  it('estimates the full round trip of each operation', async () => {
+    const { invest, liquidate } = await service.estimateAll();
+
+    expect(invest.components.map(c => [c.chain, c.label, c.amount])).toEqual([
+      ['assetHub', 'PolkadotXcm.execute', '300000000'],
+      ['moonbeam', 'Reserve transfer to XCMProxy', '100000000'],
+      ['moonbeam', 'receiveAssets', String(300_000n * 100_000_000_000n)],
+      ['moonbeam', 'executePendingInvestment', String(900_000n * 100_000_000_000n)],
+    ]);
+    // 0.04 DOT × $5 + 1.2M gas × 100 gwei = 0.12 GLMR × $0.25
+    expect(invest.totalUsd).toBeCloseTo(0.2 + 0.03, 6);
+    // 1.2M gas × 100 gwei × $0.25 + 0.02 DOT × $5
+    expect(liquidate.totalUsd).toBeCloseTo(0.03 + 0.1, 6);
+    expect(invest.runtime).toBe('assetHub@1/moonbeam@1');
+  });
+
+  it('reuses XCM fees until either runtime is upgraded', async () => {
+    await service.estimateAll();
+    await service.estimateAll();
+    expect(papi.queryXcmWeight).toHaveBeenCalledTimes(3);
+
+    specVersion = 2;
+    await service.estimateAll();
+    expect(papi.queryXcmWeight).toHaveBeenCalledTimes(6);
+    expect(service.cachedRuntime).toBe('assetHub@2/moonbeam@2');
+  });
+
+  it('caches the Moonbeam gas price for its TTL', async () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    await service.estimateAll(now);
+    await service.estimateAll(new Date(now.getTime() + 60_000));
+    expect(provider.getFeeData).toHaveBeenCalledTimes(1);
+
+    await service.estimateAll(new Date(now.getTime() + 301_000));
+    expect(provider.getFeeData).toHaveBeenCalledTimes(2);
+  });
+
+  it('returns per-operation USD costs for rebalance gating, or null when estimation fails or is off', async () => {
+    await expect(service.getOperationCostsUsd()).resolves.toEqual({
+      withdraw: expect.closeTo(0.13, 6),
+      add: expect.closeTo(0.23, 6),
+    });
+
+    papi.getRuntimeVersion.mockRejectedValueOnce(new Error('Missing ASSET_HUB_PAPI_ENDPOINT env var'));
+    await expect(service.getOperationCostsUsd()).resolves.toBeNull();
+
+    config.ENABLE_XCM_FEE_ESTIMATION = false;
+    await expect(service.getOperationCostsUsd()).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,190 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { PapiClientService } from '../papi/papi-client.service';
+import { MoonbeamService } from './moonbeam.service';
+import { PriceOracleService } from './price-oracle.service';
+import { DOT_LOCATION, XcmBuilderService } from './xcm-builder.service';
+import {
+  FeeAsset,
+  FeeComponent,
+  OperationCostEstimate,
+  XcmFeeOperation,
+  priceOperation,
+  runtimeKey,
+} from './xcm-fee.logic';
+
+/** Placeholder accounts for weighing; XCM weight does not depend on them */
+const WEIGHING_PROXY_ADDRESS = '0x0000000000000000000000000000000000000001';
+const WEIGHING_BENEFICIARY = '0x0000000000000000000000000000000000000002';
+
+/**
+ * XcmFeeService
+ *
+ * Estimates what one rebalance operation really costs, end to end:
+ * - invest: PolkadotXcm.execute on Asset Hub, the forwarded reserve transfer
+ *   on Moonbeam (both in DOT, via XcmPaymentApi), then receiveAssets() and
+ *   executePendingInvestment() gas on Moonbeam
+ * - liquidate: liquidateSwapAndReturn() gas on Moonbeam and the return
+ *   transfer executed on Asset Hub
+ *
+ * XCM fees are cached per runtime version of both chains; the Moonbeam gas
+ * price is cached for XCM_FEE_GAS_PRICE_TTL_SECONDS. Gas units per call come
+ * from config. Costs are priced in USD with PriceOracleService.
+ */
+@Injectable()
+export class XcmFeeService {
+  private readonly logger = new Logger(XcmFeeService.name);
+  private xcmFees: { runtime: string; fees: Record<XcmFeeOperation, FeeComponent[]> } | null = null;
+  private gasPrice: { wei: bigint; fetchedAt: number } | null = null;
+
+  constructor(
+    private configService: ConfigService,
+    private papiClient: PapiClientService,
+    private xcmBuilder: XcmBuilderService,
+    private moonbeamService: MoonbeamService,
+    private priceOracle: PriceOracleService,
+  ) {}
+
+  get enabled(): boolean {
+    return this.configService.get<boolean>('ENABLE_XCM_FEE_ESTIMATION', true);
+  }
+
+  /** Runtime key the cached XCM fees were queried under, if any */
+  get cachedRuntime(): string | null {
+    return this.xcmFees?.runtime ?? null;
+  }
+
+  async estimate(operation: XcmFeeOperation, now = new Date()): Promise<OperationCostEstimate> {
+    return (await this.estimateAll(now))[operation];
+  }
+
+  async estimateAll(now = new Date()): Promise<Record<XcmFeeOperation, OperationCostEstimate>> {
+    const [xcm, gasPriceWei, pricesUsd] = await Promise.all([
+      this.getXcmFees(),
+      this.getMoonbeamGasPrice(now),
+      this.priceOracle.getPricesUsd(['DOT', 'GLMR'], now) as Promise<Record<FeeAsset, number>>,
+    ]);
+
+    for (const asset of ['DOT', 'GLMR'] as FeeAsset[]) {
+      if (pricesUsd[asset] === undefined) {
+        throw new Error(`Cannot determine ${asset} price`);
+      }
+    }
+
+    const gas = (label: string, units: number): FeeComponent => ({
+      chain: 'moonbeam',
+      kind: 'evm',
+      label,
+      amount: BigInt(units) * gasPriceWei,
+      asset: 'GLMR',
+    });
+
+    const invest = priceOperation({
+      operation: 'invest',
+      runtime: xcm.runtime,
+      components: [
+        ...xcm.fees.invest,
+        gas('receiveAssets', this.gasUnits('XCM_FEE_GAS_RECEIVE_ASSETS', 300_000)),
+        gas('executePendingInvestment', this.gasUnits('XCM_FEE_GAS_EXECUTE_PENDING', 900_000)),
+      ],
+      pricesUsd,
+      now,
+    });
+    const liquidate = priceOperation({
+      operation: 'liquidate',
+      runtime: xcm.runtime,
+      components: [
+        gas('liquidateSwapAndReturn', this.gasUnits('XCM_FEE_GAS_LIQUIDATE', 1_200_000)),
+        ...xcm.fees.liquidate,
+      ],
+      pricesUsd,
+      now,
+    });
+
+    return { invest, liquidate };
+  }
+
+  /**
+   * USD cost of one liquidation and one investment for rebalance gating, or
+   * null when estimation is disabled or fails (callers fall back to the
+   * user's expected gas cost)
+   */
+  async getOperationCostsUsd(now = new Date()): Promise<{ withdraw: number; add: number } | null> {
+    if (!this.enabled) return null;
+
+    try {
+      const estimates = await this.estimateAll(now);
+      return { withdraw: estimates.liquidate.totalUsd, add: estimates.invest.totalUsd };
+    } catch (error) {
+      this.logger.warn(`XCM fee estimation failed, using expected gas cost: ${error?.message ?? error}`);
+      return null;
+    }
+  }
+
+  /** XCM execution fees in DOT per operation, re-queried after a runtime upgrade on either chain */
+  private async getXcmFees(): Promise<{ runtime: string; fees: Record<XcmFeeOperation, FeeComponent[]> }> {
+    const [assetHubVersion, moonbeamVersion] = await Promise.all([
+      this.papiClient.getRuntimeVersion('assetHub'),
+      this.papiClient.getRuntimeVersion('moonbeam'),
+    ]);
+    const runtime = runtimeKey(assetHubVersion, moonbeamVersion);
+    if (this.xcmFees?.runtime === runtime) {
+      return this.xcmFees;
+    }
+
+    const amount = BigInt(this.configService.get<string>('XCM_FEE_REFERENCE_AMOUNT', '10000000000'));
+    const { outer, forwarded } = await this.xcmBuilder.buildInvestmentPrograms({
+      amount,
+      moonbeamProxyAddress: WEIGHING_PROXY_ADDRESS,
+    });
+    const returned = await this.xcmBuilder.buildReturnProgram({ amount, beneficiary: WEIGHING_BENEFICIARY });
+
+    const [assetHubExecute, moonbeamForwarded, assetHubReturn] = await Promise.all([
+      this.xcmFee('assetHub', 'PolkadotXcm.execute', outer),
+      this.xcmFee('moonbeam', 'Reserve transfer to XCMProxy', forwarded),
+      this.xcmFee('assetHub', 'Return transfer to user', returned),
+    ]);
+
+    this.xcmFees = {
+      runtime,
+      fees: {
+        invest: [assetHubExecute, moonbeamForwarded],
+        liquidate: [assetHubReturn],
+      },
+    };
+    this.logger.log(
+      `XCM fees for ${runtime}: AH execute ${assetHubExecute.amount}, MB forwarded ${moonbeamForwarded.amount}, ` +
+      `AH return ${assetHubReturn.amount} planck`,
+    );
+    return this.xcmFees;
+  }
+
+  private async xcmFee(chain: FeeComponent['chain'], label: string, message: unknown): Promise<FeeComponent> {
+    const weight = await this.papiClient.queryXcmWeight(chain, message);
+    const amount = await this.papiClient.queryWeightToAssetFee(chain, weight, DOT_LOCATION);
+    return { chain, kind: 'xcm', label, amount, asset: 'DOT' };
+  }
+
+  private async getMoonbeamGasPrice(now: Date): Promise<bigint> {
+    const ttlMs = Number(this.configService.get('XCM_FEE_GAS_PRICE_TTL_SECONDS', 300)) * 1000;
+    if (this.gasPrice && now.getTime() - this.gasPrice.fetchedAt < ttlMs) {
+      return this.gasPrice.wei;
+    }
+
+    if (!this.moonbeamService.isInitialized()) {
+      throw new Error('Moonbeam service not initialized');
+    }
+    const feeData = await this.moonbeamService.getProvider().getFeeData();
+    const wei = feeData.gasPrice ?? feeData.maxFeePerGas;
+    if (wei === null || wei === undefined) {
+      throw new Error('Moonbeam RPC returned no gas price');
+    }
+
+    this.gasPrice = { wei, fetchedAt: now.getTime() };
+    return wei;
+  }
+
+  private gasUnits(key: string, fallback: number): number {
+    return Number(this.configService.get(key, fallback));
+  }
+}
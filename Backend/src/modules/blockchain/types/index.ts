@@ -147,6 +147,7 @@ export enum BlockchainErrorCode {
   POSITION_NOT_FOUND = 'POSITION_NOT_FOUND',
   POSITION_NOT_ACTIVE = 'POSITION_NOT_ACTIVE',
   POSITION_ALREADY_LIQUIDATED = 'POSITION_ALREADY_LIQUIDATED',
+  PRICE_DEVIATION = 'PRICE_DEVIATION', // Pool price too far from the oracle (or no oracle price) to exit safely
   
   // XCM errors
   XCM_BUILD_FAILED = 'XCM_BUILD_FAILED',
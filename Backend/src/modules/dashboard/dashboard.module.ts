@@ -7,12 +7,14 @@ import { Pool } from '../pools/entities/pool.entity';
 import { ActivityLog } from '../activity-logs/entities/activity-log.entity';
 import { UsersModule } from '../users/users.module';
 import { BlockchainModule } from '../blockchain/blockchain.module';
+import { PositionsModule } from '../positions/positions.module';
 
 @Module({
   imports: [
     TypeOrmModule.forFeature([Position, Pool, ActivityLog]),
     UsersModule,
     BlockchainModule,
+    PositionsModule,
   ],
   controllers: [DashboardController],
   providers: [DashboardService],
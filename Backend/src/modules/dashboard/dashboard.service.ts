@@ -7,6 +7,7 @@ import { ActivityLog } from '../activity-logs/entities/activity-log.entity';
 import { UsersService } from '../users/users.service';
 import { PriceService } from '../blockchain/services/price.service';
 import { TokenMathService } from '../blockchain/services/token-math.service';
+import { PositionsService } from '../positions/positions.service';
 
 export interface DashboardResponse {
   user: {
@@ -23,6 +24,9 @@ export interface DashboardResponse {
     currentValueUsd: number;
     pnlUsd: number;
     pnlPercent: number;
+    /** Fees added back as liquidity vs. returned to Asset Hub */
+    compoundedFeesUsd: number;
+    realizedFeesUsd: number;
     assetHubTxHash: string | null;
     moonbeamTxHash: string | null;
     createdAt: Date;
@@ -47,6 +51,8 @@ export interface DashboardResponse {
     totalCurrentValueUsd: number;
     totalPnlUsd: number;
     totalPnlPercent: number;
+    totalCompoundedFeesUsd: number;
+    totalRealizedFeesUsd: number;
     activePositionCount: number;
     pendingPositionCount: number;
   };
@@ -66,6 +72,7 @@ export class DashboardService {
     private usersService: UsersService,
     private priceService: PriceService,
     private tokenMath: TokenMathService,
+    private positionsService: PositionsService,
   ) {}
 
   async getDashboard(userId: string): Promise<DashboardResponse> {
@@ -94,23 +101,26 @@ export class DashboardService {
     // Map positions with P&L
     let totalInvestedUsd = 0;
     let totalCurrentValueUsd = 0;
+    let totalCompoundedFeesUsd = 0;
+    let totalRealizedFeesUsd = 0;
     let activeCount = 0;
     let pendingCount = 0;
 
-    const mappedPositions = positions.map((pos) => {
-      const amountDot = this.tokenMath.planckToDot(pos.amount);
-      const entryUsd = amountDot * dotPrice;
+    const pnls = await Promise.all(positions.map((pos) => this.positionsService.calculatePnL(pos)));
 
-      let currentValueUsd = entryUsd;
-      if (pos.status === PositionStatus.LIQUIDATED && pos.returnedAmount) {
-        currentValueUsd = this.tokenMath.planckToDot(pos.returnedAmount) * dotPrice;
-      }
+    const mappedPositions = positions.map((pos, i) => {
+      const amountDot = this.tokenMath.planckToDot(pos.amount);
+      const entryUsd = pnls[i].entryAmountUsd;
 
-      const pnlUsd = currentValueUsd - entryUsd;
-      const pnlPercent = entryUsd > 0 ? (pnlUsd / entryUsd) * 100 : 0;
+      // Net of fees, IL and gas — what the position is worth to the user if closed now
+      const pnlUsd = pnls[i].netPnLUsd;
+      const currentValueUsd = entryUsd + pnlUsd;
+      const pnlPercent = pnls[i].netPnLPercent;
 
       totalInvestedUsd += entryUsd;
       totalCurrentValueUsd += currentValueUsd;
+      totalCompoundedFeesUsd += pnls[i].compoundedFeesUsd;
+      totalRealizedFeesUsd += pnls[i].realizedFeesUsd;
 
       if (pos.status === PositionStatus.ACTIVE || pos.status === PositionStatus.OUT_OF_RANGE) {
         activeCount++;
@@ -131,6 +141,8 @@ export class DashboardService {
         currentValueUsd,
         pnlUsd,
         pnlPercent,
+        compoundedFeesUsd: pnls[i].compoundedFeesUsd,
+        realizedFeesUsd: pnls[i].realizedFeesUsd,
         assetHubTxHash: pos.assetHubTxHash || null,
         moonbeamTxHash: pos.moonbeamTxHash || null,
         createdAt: pos.createdAt,
@@ -179,6 +191,8 @@ export class DashboardService {
         totalCurrentValueUsd,
         totalPnlUsd,
         totalPnlPercent,
+        totalCompoundedFeesUsd,
+        totalRealizedFeesUsd,
         activePositionCount: activeCount,
         pendingPositionCount: pendingCount,
       },
@@ -0,0 +1,42 @@
+import { FeeCompoundingMode } from '../preferences/entities/user-preference.entity';
+import { decideFeeHarvest, feeHarvestSkipReason, feeHarvestThresholdUsd, feesValueUsd } from './fee-compounding.logic';
+
+describe('fee-compounding.logic', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const input = {
+    mode: FeeCompoundingMode.COMPOUND,
+    lastHarvestedAt: null,
+    minIntervalSeconds: 86400,
+    now,
+    uncollectedFeesUsd: 10,
+    minFeesUsd: 5,
+    expectedGasUsd: 1,
+    gasMultiple: 3,
+  };
+
+  it('skips positions whose owner has not opted in or that were harvested recently', () => {
+    expect(feeHarvestSkipReason({ ...input, mode: FeeCompoundingMode.OFF })).toBe('fee compounding is off');
+    expect(feeHarvestSkipReason({ ...input, lastHarvestedAt: new Date(now.getTime() - 3600_000) })).toContain('harvested 3600s ago');
+    expect(feeHarvestSkipReason({ ...input, lastHarvestedAt: new Date(now.getTime() - 86400_000) })).toBeNull();
+  });
+
+  it('requires fees to cover the owner minimum and a multiple of the harvest gas', () => {
+    expect(feeHarvestThresholdUsd(5, 1, 3)).toBeCloseTo(5);
+    expect(feeHarvestThresholdUsd(5, 2, 3)).toBeCloseTo(9.6);
+    expect(feeHarvestThresholdUsd(20, 2, 3)).toBe(20);
+  });
+
+  it('compounds or returns the fees once they reach the threshold', () => {
+    expect(decideFeeHarvest(input)).toMatchObject({ action: 'compound' });
+    expect(decideFeeHarvest({ ...input, mode: FeeCompoundingMode.RETURN })).toMatchObject({ action: 'return' });
+
+    const below = decideFeeHarvest({ ...input, uncollectedFeesUsd: 4 });
+    expect(below.action).toBe('skip');
+    expect(below.reason).toBe('fees $4.00 below threshold $5.00');
+  });
+
+  it('values fee amounts given in smallest units', () => {
+    // 2 DOT (10 decimals) at $5 + 3 USDC (6 decimals)
+    expect(feesValueUsd({ fees0: 2n * 10n ** 10n, fees1: 3_000_000n, decimals0: 10, decimals1: 6, price0Usd: 5, price1Usd: 1 })).toBe(13);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Fee Compounding Logic
+ *
+ * Pure decisions for FeeCompoundingService: whether a position's accrued fees
+ * are worth harvesting and, if so, whether they go back into the position or
+ * out to Asset Hub.
+ */
+
+import { FeeCompoundingMode } from '../preferences/entities/user-preference.entity';
+import { estimateGasTotalUsd } from '../investment-decision/decision.logic';
+
+export type FeeHarvestAction = 'compound' | 'return' | 'skip';
+
+export interface FeeHarvestDecision {
+  action: FeeHarvestAction;
+  reason: string;
+  /** Fees a harvest needs to be worth its gas; 0 when skipped before pricing */
+  thresholdUsd: number;
+}
+
+export interface FeeHarvestInput {
+  mode: FeeCompoundingMode;
+  lastHarvestedAt: Date | null;
+  minIntervalSeconds: number;
+  now: Date;
+  uncollectedFeesUsd: number;
+  /** The owner's minCompoundFeesUsd */
+  minFeesUsd: number;
+  /** The owner's per-operation gas estimate */
+  expectedGasUsd: number;
+  /** Fees must cover the harvest's gas this many times */
+  gasMultiple: number;
+}
+
+/**
+ * Reason a position is not due for a harvest regardless of its fees, or null
+ * when it is. Cheap enough to run before reading fees on-chain.
+ */
+export function feeHarvestSkipReason(params: {
+  mode: FeeCompoundingMode;
+  lastHarvestedAt: Date | null;
+  minIntervalSeconds: number;
+  now: Date;
+}): string | null {
+  if (params.mode === FeeCompoundingMode.OFF) {
+    return 'fee compounding is off';
+  }
+  if (params.lastHarvestedAt) {
+    const elapsedSeconds = (params.now.getTime() - params.lastHarvestedAt.getTime()) / 1000;
+    if (elapsedSeconds < params.minIntervalSeconds) {
+      return `harvested ${Math.floor(elapsedSeconds)}s ago (min interval ${params.minIntervalSeconds}s)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fees a harvest must reach: the owner's minimum, or the harvest's gas cost
+ * times `gasMultiple`, whichever is higher. A harvest costs one add operation
+ * in the decision engine's gas model.
+ */
+export function feeHarvestThresholdUsd(minFeesUsd: number, expectedGasUsd: number, gasMultiple: number): number {
+  const gasUsd = estimateGasTotalUsd({ withdrawCount: 0, addCount: 1, expectedGasUsd });
+  return Math.max(minFeesUsd, gasUsd * gasMultiple);
+}
+
+export function decideFeeHarvest(input: FeeHarvestInput): FeeHarvestDecision {
+  const skipReason = feeHarvestSkipReason(input);
+  if (skipReason) {
+    return { action: 'skip', reason: skipReason, thresholdUsd: 0 };
+  }
+
+  const thresholdUsd = feeHarvestThresholdUsd(input.minFeesUsd, input.expectedGasUsd, input.gasMultiple);
+  if (input.uncollectedFeesUsd < thresholdUsd) {
+    return {
+      action: 'skip',
+      reason: `fees $${input.uncollectedFeesUsd.toFixed(2)} below threshold $${thresholdUsd.toFixed(2)}`,
+      thresholdUsd,
+    };
+  }
+
+  const action: FeeHarvestAction = input.mode === FeeCompoundingMode.RETURN ? 'return' : 'compound';
+  return {
+    action,
+    reason: `fees $${input.uncollectedFeesUsd.toFixed(2)} reached threshold $${thresholdUsd.toFixed(2)}`,
+    thresholdUsd,
+  };
+}
+
+/** USD value of fee amounts given in smallest units */
+export function feesValueUsd(params: {
+  fees0: bigint;
+  fees1: bigint;
+  decimals0: number;
+  decimals1: number;
+  price0Usd: number;
+  price1Usd: number;
+}): number {
+  const human0 = Number(params.fees0) / Math.pow(10, params.decimals0);
+  const human1 = Number(params.fees1) / Math.pow(10, params.decimals1);
+  return human0 * params.price0Usd + human1 * params.price1Usd;
+}
@@ -0,0 +1,22 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { ConfigModule } from '@nestjs/config';
+import { FeeCompoundingService } from './fee-compounding.service';
+import { Position } from '../positions/entities/position.entity';
+import { ActivityLog } from '../activity-logs/entities/activity-log.entity';
+import { PreferencesModule } from '../preferences/preferences.module';
+import { PositionsModule } from '../positions/positions.module';
+import { BlockchainModule } from '../blockchain/blockchain.module';
+
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([Position, ActivityLog]),
+    BlockchainModule,
+    PreferencesModule,
+    PositionsModule,
+    ConfigModule,
+  ],
+  providers: [FeeCompoundingService],
+  exports: [FeeCompoundingService],
+})
+export class FeeCompoundingModule { }
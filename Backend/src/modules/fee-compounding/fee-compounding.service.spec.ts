@@ -0,0 +1,178 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { FeeCompoundingService } from './fee-compounding.service';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { ActivityLog, ActivityStatus, ActivityType } from '../activity-logs/entities/activity-log.entity';
+import { FeeCompoundingMode } from '../preferences/entities/user-preference.entity';
+import { PreferencesService } from '../preferences/preferences.service';
+import { PositionsService } from '../positions/positions.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { TokenMathService } from '../blockchain/services/token-math.service';
+import { LiquidationQuoteService } from '../blockchain/services/liquidation-quote.service';
+import { BlockchainError, BlockchainErrorCode } from '../blockchain/types';
+
+describe('FeeCompoundingService', () => {
+  let service: FeeCompoundingService;
+  let positionRepository: { find: jest.Mock; update: jest.Mock };
+  let activityLogRepository: { create: jest.Mock; save: jest.Mock };
+  let moonbeam: Record<string, jest.Mock>;
+  let positionsService: { calculatePnL: jest.Mock };
+  let liquidationQuote: { getFeeReturnMinimums: jest.Mock };
+  let prefs: Record<string, unknown>;
+
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  const position = (overrides: Partial<Position> = {}): Position => ({
+    id: 'pos-1',
+    userId: 'user-1',
+    moonbeamPositionId: '7',
+    baseAsset: '0xbase',
+    status: PositionStatus.ACTIVE,
+    liquidity: '1000000',
+    compoundedFees0: '0',
+    compoundedFees1: '0',
+    compoundedFeesUsd: '0',
+    realizedFeesAmount: '0',
+    realizedFeesUsd: '0',
+    feeHarvestCount: 0,
+    lastFeesHarvestedAt: null,
+    pool: { token0Address: '0xdot', token1Address: '0xusdc' },
+    ...overrides,
+  }) as Position;
+
+  // 2 DOT (10 decimals) at $5 + 3 USDC (6 decimals) = $13
+  const harvest = { fees0: 2n * 10n ** 10n, fees1: 3_000_000n, gasUsed: 200_000n, gasCostWei: 20_000_000_000_000n };
+
+  beforeEach(async () => {
+    positionRepository = { find: jest.fn(async () => [position()]), update: jest.fn(async () => ({ affected: 1 })) };
+    activityLogRepository = { create: jest.fn(d => d), save: jest.fn() };
+    moonbeam = {
+      compoundFees: jest.fn(async () => ({ ...harvest, liquidityAdded: 5_000n, transactionHash: '0xcompound' })),
+      returnFees: jest.fn(async () => ({ ...harvest, amountReturned: 2_600_000_000n, transactionHash: '0xreturn' })),
+      getPosition: jest.fn(async () => ({ liquidity: 1_005_000n })),
+    };
+    positionsService = {
+      calculatePnL: jest.fn(async () => ({
+        uncollectedFeesUsd: 13,
+        tokens: [{ symbol: 'xcDOT', priceUsd: 5 }, { symbol: 'USDC', priceUsd: 1 }],
+      })),
+    };
+    liquidationQuote = {
+      getFeeReturnMinimums: jest.fn(async () => ({ minAmountOut0: 0n, minAmountOut1: 2_574_000_000n })),
+    };
+    prefs = { feeCompoundingMode: FeeCompoundingMode.COMPOUND, minCompoundFeesUsd: 5, expectedGasUsd: 1 };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        FeeCompoundingService,
+        { provide: getRepositoryToken(Position), useValue: positionRepository },
+        { provide: getRepositoryToken(ActivityLog), useValue: activityLogRepository },
+        { provide: PreferencesService, useValue: { getEffectivePreferences: jest.fn(async () => prefs) } },
+        { provide: PositionsService, useValue: positionsService },
+        { provide: MoonbeamService, useValue: moonbeam },
+        {
+          provide: TokenMathService,
+          useValue: { getTokenDecimals: jest.fn(async (token: string) => (token === '0xdot' ? 10 : 6)) },
+        },
+        { provide: LiquidationQuoteService, useValue: liquidationQuote },
+        { provide: ConfigService, useValue: { get: (_key: string, fallback?: unknown) => fallback } },
+      ],
+    }).compile();
+
+    service = module.get(FeeCompoundingService);
+  });
+
+  it('leaves positions of owners who did not opt in untouched, without reading their fees', async () => {
+    prefs.feeCompoundingMode = FeeCompoundingMode.OFF;
+
+    const summary = await service.runHarvest(now);
+
+    expect(summary).toMatchObject({ checked: 1, skipped: 1 });
+    expect(positionsService.calculatePnL).not.toHaveBeenCalled();
+    expect(moonbeam.compoundFees).not.toHaveBeenCalled();
+  });
+
+  it('waits until the fees cover the threshold', async () => {
+    positionsService.calculatePnL.mockResolvedValue({ uncollectedFeesUsd: 4, tokens: [{ priceUsd: 5 }, { priceUsd: 1 }] });
+
+    const summary = await service.runHarvest(now);
+
+    expect(summary.skipped).toBe(1);
+    expect(moonbeam.compoundFees).not.toHaveBeenCalled();
+  });
+
+  it('compounds the fees and records them as compounded', async () => {
+    const summary = await service.runHarvest(now);
+
+    expect(summary.compounded).toBe(1);
+    expect(moonbeam.compoundFees).toHaveBeenCalledWith(7, 100);
+    expect(positionRepository.update).toHaveBeenCalledWith({ id: 'pos-1' }, {
+      feeHarvestCount: 1,
+      lastFeesHarvestedAt: now,
+      liquidity: '1005000',
+      compoundedFees0: harvest.fees0.toString(),
+      compoundedFees1: harvest.fees1.toString(),
+      compoundedFeesUsd: '13.00',
+    });
+    expect(activityLogRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+      type: ActivityType.FEE_COMPOUND,
+      status: ActivityStatus.CONFIRMED,
+      txHash: '0xcompound',
+      details: expect.objectContaining({ valueUsd: 13, liquidityAdded: '5000' }),
+    }));
+  });
+
+  it('returns the fees to Asset Hub with quoted minimums and records them as realized', async () => {
+    prefs.feeCompoundingMode = FeeCompoundingMode.RETURN;
+    positionRepository.find.mockResolvedValue([position({ realizedFeesUsd: '2.50', feeHarvestCount: 1 })]);
+
+    const summary = await service.runHarvest(now);
+
+    expect(summary.returned).toBe(1);
+    expect(moonbeam.returnFees).toHaveBeenCalledWith(7, '0xbase', 0n, 2_574_000_000n);
+    expect(positionRepository.update).toHaveBeenCalledWith({ id: 'pos-1' }, {
+      feeHarvestCount: 2,
+      lastFeesHarvestedAt: now,
+      realizedFeesAmount: '2600000000',
+      realizedFeesUsd: '15.50',
+    });
+    expect(activityLogRepository.save).toHaveBeenCalledWith(expect.objectContaining({ type: ActivityType.FEE_RETURN }));
+  });
+
+  it('does not harvest a position again within the minimum interval', async () => {
+    positionRepository.find.mockResolvedValue([position({ lastFeesHarvestedAt: new Date(now.getTime() - 3600_000) })]);
+
+    const summary = await service.runHarvest(now);
+
+    expect(summary.skipped).toBe(1);
+    expect(positionsService.calculatePnL).not.toHaveBeenCalled();
+  });
+
+  it('skips returning fees while the pool price is off the oracle', async () => {
+    prefs.feeCompoundingMode = FeeCompoundingMode.RETURN;
+    liquidationQuote.getFeeReturnMinimums.mockRejectedValue(
+      new BlockchainError(BlockchainErrorCode.PRICE_DEVIATION, 'Pool price deviates'),
+    );
+
+    const summary = await service.runHarvest(now);
+
+    expect(summary.skipped).toBe(1);
+    expect(moonbeam.returnFees).not.toHaveBeenCalled();
+    expect(activityLogRepository.save).not.toHaveBeenCalled();
+  });
+
+  it('logs a failed harvest and moves on', async () => {
+    moonbeam.compoundFees.mockRejectedValue(new Error('execution reverted'));
+
+    const summary = await service.runHarvest(now);
+
+    expect(summary.failed).toBe(1);
+    expect(positionRepository.update).not.toHaveBeenCalled();
+    expect(activityLogRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+      type: ActivityType.FEE_COMPOUND,
+      status: ActivityStatus.FAILED,
+      details: { error: 'execution reverted' },
+    }));
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Fee Compounding Service
+ *
+ * Periodically harvests the accrued LP fees of ACTIVE positions whose owners
+ * opted in through their feeCompoundingMode preference:
+ * - compound: XCMProxy.compoundFees() adds the fees back as liquidity
+ * - return: XCMProxy.returnFees() swaps them to the base asset and sends them
+ *   to the owner on Asset Hub; the position stays open
+ *
+ * A position is harvested once its uncollected fees reach the owner's
+ * minCompoundFeesUsd and FEE_COMPOUNDING_GAS_MULTIPLE times the harvest's gas,
+ * at most once per FEE_COMPOUNDING_MIN_INTERVAL_SECONDS.
+ *
+ * Harvested amounts accumulate on the position (compounded vs. realized) so
+ * PositionsService.calculatePnL can tell them apart from uncollected fees.
+ */
+
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { IsNull, Not, Repository } from 'typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { ActivityLog, ActivityStatus, ActivityType } from '../activity-logs/entities/activity-log.entity';
+import { FeeCompoundingMode } from '../preferences/entities/user-preference.entity';
+import { EffectivePreferences, PreferencesService } from '../preferences/preferences.service';
+import { PositionsService } from '../positions/positions.service';
+import { FeeHarvestResult, MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { TokenMathService } from '../blockchain/services/token-math.service';
+import { LiquidationQuoteService } from '../blockchain/services/liquidation-quote.service';
+import { BlockchainError, BlockchainErrorCode } from '../blockchain/types';
+import { FeeHarvestAction, decideFeeHarvest, feeHarvestSkipReason, feesValueUsd } from './fee-compounding.logic';
+
+export interface FeeCompoundingConfig {
+  batchSize: number;
+  minIntervalSeconds: number;
+  gasMultiple: number;
+  slippageBps: number;
+}
+
+/** Outcome counts of one harvest run */
+export interface FeeHarvestSummary {
+  checked: number;
+  compounded: number;
+  returned: number;
+  skipped: number;
+  failed: number;
+}
+
+@Injectable()
+export class FeeCompoundingService implements OnModuleInit {
+  private readonly logger = new Logger(FeeCompoundingService.name);
+  private readonly config: FeeCompoundingConfig;
+  private readonly enabled: boolean;
+  private isProcessing = false;
+
+  constructor(
+    @InjectRepository(Position)
+    private positionRepository: Repository<Position>,
+    @InjectRepository(ActivityLog)
+    private activityLogRepository: Repository<ActivityLog>,
+    private preferencesService: PreferencesService,
+    private positionsService: PositionsService,
+    private moonbeamService: MoonbeamService,
+    private tokenMath: TokenMathService,
+    private liquidationQuote: LiquidationQuoteService,
+    private configService: ConfigService,
+  ) {
+    this.enabled = this.configService.get<boolean>('ENABLE_FEE_COMPOUNDING_WORKER', true);
+    this.config = {
+      batchSize: Number(this.configService.get('FEE_COMPOUNDING_BATCH_SIZE', 50)),
+      minIntervalSeconds: Number(this.configService.get('FEE_COMPOUNDING_MIN_INTERVAL_SECONDS', 86400)),
+      gasMultiple: Number(this.configService.get('FEE_COMPOUNDING_GAS_MULTIPLE', 3)),
+      slippageBps: Number(this.configService.get('FEE_COMPOUNDING_SLIPPAGE_BPS', 100)),
+    };
+  }
+
+  async onModuleInit() {
+    this.logger.log(
+      `FeeCompoundingService initialized (enabled: ${this.enabled}, min interval: ${this.config.minIntervalSeconds}s, ` +
+      `gas multiple: ${this.config.gasMultiple})`,
+    );
+  }
+
+  @Cron(CronExpression.EVERY_30_MINUTES)
+  async harvestFees(): Promise<void> {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (this.isProcessing) {
+      this.logger.debug('Previous fee harvest still running, skipping');
+      return;
+    }
+
+    try {
+      this.isProcessing = true;
+      const summary = await this.runHarvest();
+      if (summary.compounded + summary.returned + summary.failed > 0) {
+        this.logger.log(
+          `Fee harvest: ${summary.compounded} compounded, ${summary.returned} returned, ` +
+          `${summary.failed} failed of ${summary.checked} checked`,
+        );
+      }
+    } catch (error) {
+      this.logger.error('Error in fee harvest:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Harvest one batch of ACTIVE positions, least recently harvested first
+   */
+  async runHarvest(now = new Date()): Promise<FeeHarvestSummary> {
+    const positions = await this.positionRepository.find({
+      where: { status: PositionStatus.ACTIVE, moonbeamPositionId: Not(IsNull()) },
+      relations: ['pool'],
+      order: { lastFeesHarvestedAt: { direction: 'ASC', nulls: 'FIRST' } },
+      take: this.config.batchSize,
+    });
+
+    const summary: FeeHarvestSummary = { checked: positions.length, compounded: 0, returned: 0, skipped: 0, failed: 0 };
+    const prefsByUser = new Map<string, EffectivePreferences>();
+
+    for (const position of positions) {
+      let prefs = prefsByUser.get(position.userId);
+      if (!prefs) {
+        prefs = await this.preferencesService.getEffectivePreferences(position.userId);
+        prefsByUser.set(position.userId, prefs);
+      }
+
+      const outcome = await this.harvestPosition(position, prefs, now);
+      if (outcome === 'compound') summary.compounded++;
+      else if (outcome === 'return') summary.returned++;
+      else if (outcome === 'failed') summary.failed++;
+      else summary.skipped++;
+    }
+
+    return summary;
+  }
+
+  private async harvestPosition(
+    position: Position,
+    prefs: EffectivePreferences,
+    now: Date,
+  ): Promise<FeeHarvestAction | 'failed'> {
+    const timing = {
+      mode: prefs.feeCompoundingMode,
+      lastHarvestedAt: position.lastFeesHarvestedAt,
+      minIntervalSeconds: this.config.minIntervalSeconds,
+      now,
+    };
+    // Checked before calculatePnL, which reads the fees on-chain
+    if (feeHarvestSkipReason(timing)) {
+      return 'skip';
+    }
+
+    try {
+      const pnl = await this.positionsService.calculatePnL(position);
+      if (!pnl.tokens) {
+        this.logger.debug(`Cannot price fees of position ${position.id}, skipping`);
+        return 'skip';
+      }
+
+      const decision = decideFeeHarvest({
+        ...timing,
+        uncollectedFeesUsd: pnl.uncollectedFeesUsd,
+        minFeesUsd: prefs.minCompoundFeesUsd,
+        expectedGasUsd: prefs.expectedGasUsd,
+        gasMultiple: this.config.gasMultiple,
+      });
+      if (decision.action === 'skip') {
+        this.logger.debug(`Position ${position.id}: ${decision.reason}`);
+        return 'skip';
+      }
+
+      const localId = parseInt(position.moonbeamPositionId);
+      this.logger.log(`Harvesting fees of position ${position.id} (${decision.action}: ${decision.reason})`);
+
+      let result: FeeHarvestResult;
+      let minimums: Record<string, string> | undefined;
+      if (decision.action === 'compound') {
+        result = await this.moonbeamService.compoundFees(localId, this.config.slippageBps);
+      } else {
+        const quoted = await this.liquidationQuote.getFeeReturnMinimums(localId, position.baseAsset, {
+          slippageBps: this.config.slippageBps,
+        });
+        minimums = { minAmountOut0: quoted.minAmountOut0.toString(), minAmountOut1: quoted.minAmountOut1.toString() };
+        result = await this.moonbeamService.returnFees(
+          localId,
+          position.baseAsset,
+          quoted.minAmountOut0,
+          quoted.minAmountOut1,
+        );
+      }
+
+      const [decimals0, decimals1] = await Promise.all([
+        this.tokenMath.getTokenDecimals(position.pool.token0Address),
+        this.tokenMath.getTokenDecimals(position.pool.token1Address),
+      ]);
+      const valueUsd = feesValueUsd({
+        fees0: result.fees0,
+        fees1: result.fees1,
+        decimals0,
+        decimals1,
+        price0Usd: pnl.tokens[0].priceUsd,
+        price1Usd: pnl.tokens[1].priceUsd,
+      });
+
+      await this.recordHarvest(position, decision.action, result, valueUsd, localId, now);
+      await this.logActivity(
+        position,
+        decision.action === 'compound' ? ActivityType.FEE_COMPOUND : ActivityType.FEE_RETURN,
+        ActivityStatus.CONFIRMED,
+        result.transactionHash,
+        {
+          action: decision.action,
+          reason: decision.reason,
+          moonbeamPositionId: localId,
+          fees: { amount0: result.fees0.toString(), amount1: result.fees1.toString() },
+          valueUsd: round2(valueUsd),
+          ...(result.liquidityAdded !== undefined ? { liquidityAdded: result.liquidityAdded.toString() } : {}),
+          ...(result.amountReturned !== undefined
+            ? { baseAsset: position.baseAsset, amountReturned: result.amountReturned.toString(), minimums }
+            : {}),
+          gasUsed: result.gasUsed.toString(),
+          gasCostWei: result.gasCostWei.toString(),
+        },
+      );
+
+      return decision.action;
+    } catch (error) {
+      if (error instanceof BlockchainError && error.code === BlockchainErrorCode.PRICE_DEVIATION) {
+        this.logger.warn(`Not returning fees of position ${position.id}: ${error.message}`);
+        return 'skip';
+      }
+
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      this.logger.error(`Fee harvest of position ${position.id} failed: ${message}`);
+      await this.logActivity(
+        position,
+        prefs.feeCompoundingMode === FeeCompoundingMode.RETURN ? ActivityType.FEE_RETURN : ActivityType.FEE_COMPOUND,
+        ActivityStatus.FAILED,
+        null,
+        { error: message },
+      );
+      return 'failed';
+    }
+  }
+
+  /**
+   * Accumulate a harvest on the position. Liquidity is re-read from the
+   * contract after compounding; the added amount is the fallback.
+   */
+  private async recordHarvest(
+    position: Position,
+    action: 'compound' | 'return',
+    result: FeeHarvestResult,
+    valueUsd: number,
+    localId: number,
+    now: Date,
+  ): Promise<void> {
+    const update: Partial<Position> = {
+      feeHarvestCount: (position.feeHarvestCount || 0) + 1,
+      lastFeesHarvestedAt: now,
+    };
+
+    if (action === 'compound') {
+      const onChain = await this.moonbeamService.getPosition(localId).catch(() => null);
+      update.liquidity = (onChain?.liquidity ?? BigInt(position.liquidity ?? '0') + (result.liquidityAdded ?? 0n)).toString();
+      update.compoundedFees0 = (BigInt(position.compoundedFees0 ?? '0') + result.fees0).toString();
+      update.compoundedFees1 = (BigInt(position.compoundedFees1 ?? '0') + result.fees1).toString();
+      update.compoundedFeesUsd = (parseFloat(position.compoundedFeesUsd ?? '0') + valueUsd).toFixed(2);
+    } else {
+      update.realizedFeesAmount = (BigInt(position.realizedFeesAmount ?? '0') + (result.amountReturned ?? 0n)).toString();
+      update.realizedFeesUsd = (parseFloat(position.realizedFeesUsd ?? '0') + valueUsd).toFixed(2);
+    }
+
+    await this.positionRepository.update({ id: position.id }, update);
+  }
+
+  private async logActivity(
+    position: Position,
+    type: ActivityType,
+    status: ActivityStatus,
+    txHash: string | null,
+    details: Record<string, unknown>,
+  ): Promise<void> {
+    try {
+      await this.activityLogRepository.save(this.activityLogRepository.create({
+        userId: position.userId,
+        type,
+        status,
+        txHash,
+        positionId: position.id,
+        details,
+      }));
+    } catch (error) {
+      this.logger.error(`Failed to log ${type} of position ${position.id}: ${error.message}`);
+    }
+  }
+}
+
+function round2(n: number): number {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,127 @@
+import { buildSeriesFromHistory, runBacktest } from './backtest.logic';
+import { BacktestStep, HistoricalPoolSample } from './backtest.types';
+import { CandidatePoolSnapshot, DecisionPreferences } from './decision.types';
+
+const STABLE_POOL: CandidatePoolSnapshot = {
+  poolId: 'p1',
+  poolAddress: '0x0000000000000000000000000000000000000001',
+  dexName: 'Algebra',
+  token0Symbol: 'USDC',
+  token1Symbol: 'USDT',
+  apy30dAvgPct: 10,
+  tvlUsd: 2_000_000,
+  ageDays: 30,
+};
+
+const WETH_POOL: CandidatePoolSnapshot = {
+  poolId: 'p2',
+  poolAddress: '0x0000000000000000000000000000000000000002',
+  dexName: 'Algebra',
+  token0Symbol: 'USDC',
+  token1Symbol: 'WETH',
+  apy30dAvgPct: 40,
+  tvlUsd: 5_000_000,
+  ageDays: 40,
+};
+
+const prefs: DecisionPreferences = {
+  minApyPct: 8,
+  allowedTokenSymbols: ['USDC', 'USDT', 'WETH'],
+  maxPositions: 2,
+  maxAllocPerPosUsd: 25_000,
+  expectedGasUsd: 1,
+  dailyRebalanceLimit: 8,
+  gasCoverMultiplier: 4,
+  minApyImprovementPct: 0.7,
+};
+
+function dailySeries(days: number, candidatesForDay: (day: number) => CandidatePoolSnapshot[]): BacktestStep[] {
+  const start = Date.parse('2025-01-01T00:00:00.000Z');
+  return Array.from({ length: days }, (_, d) => ({
+    timestamp: new Date(start + d * 24 * 60 * 60 * 1000).toISOString(),
+    candidates: candidatesForDay(d),
+  }));
+}
+
+describe('backtest.logic', () => {
+  test('invests on the first step and accrues yield afterwards', () => {
+    const report = runBacktest({
+      prefs,
+      initialCapitalUsd: 50_000,
+      series: dailySeries(31, () => [STABLE_POOL]),
+    });
+
+    expect(report.rebalanceCount).toBe(1);
+    expect(report.steps[0].executed).toBe(true);
+    expect(report.equityCurve).toHaveLength(31);
+    expect(report.finalEquityUsd).toBeGreaterThan(50_000);
+    // ~10% APY over 30 days minus one add's gas
+    expect(report.totalReturnPct).toBeCloseTo(((50_000 * 0.1 * 30) / 365 - 1.6) / 500, 1);
+    expect(report.realizedApyPct).toBeGreaterThan(9);
+    expect(report.totalGasUsd).toBe(1.6);
+  });
+
+  test('tallies the gate reasons that blocked each step', () => {
+    const report = runBacktest({
+      prefs,
+      initialCapitalUsd: 50_000,
+      series: dailySeries(5, () => [STABLE_POOL]),
+    });
+
+    expect(report.steps.slice(1).every(s => !s.executed)).toBe(true);
+    expect(report.blockedReasons['No changes required']).toBe(4);
+  });
+
+  test('rotates into a better pool when it appears and charges gas for it', () => {
+    const report = runBacktest({
+      prefs,
+      initialCapitalUsd: 50_000,
+      series: dailySeries(20, d => (d < 10 ? [STABLE_POOL] : [STABLE_POOL, WETH_POOL])),
+    });
+
+    expect(report.rebalanceCount).toBe(2);
+    expect(report.steps[10].executed).toBe(true);
+    expect(report.steps[10].addCount).toBe(1);
+    expect(report.steps[10].adjustCount).toBe(1);
+    expect(report.finalPositions.map(p => p.token1Symbol).sort()).toEqual(['USDT', 'WETH']);
+    expect(report.totalGasUsd).toBeCloseTo(3.2, 2);
+  });
+
+  test('replays out-of-order snapshots chronologically', () => {
+    const series = dailySeries(3, () => [STABLE_POOL]).reverse();
+    const report = runBacktest({ prefs, initialCapitalUsd: 50_000, series });
+
+    expect(report.startedAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(report.steps[0].executed).toBe(true);
+  });
+
+  test('throws on an empty series', () => {
+    expect(() => runBacktest({ prefs, initialCapitalUsd: 1_000, series: [] })).toThrow(/empty/);
+  });
+
+  test('builds a replay series with a trailing APR average from stored history', () => {
+    const start = Date.parse('2025-01-01T00:00:00.000Z');
+    const samples: HistoricalPoolSample[] = Array.from({ length: 6 }, (_, d) => ({
+      timestamp: new Date(start + d * 24 * 60 * 60 * 1000).toISOString(),
+      poolId: 'p1',
+      poolAddress: STABLE_POOL.poolAddress,
+      dexName: 'Algebra',
+      token0Symbol: 'USDC',
+      token1Symbol: 'USDT',
+      aprPct: (d + 1) * 10,
+      tvlUsd: 1_000_000,
+      poolCreatedAt: '2024-12-01T00:00:00.000Z',
+    }));
+
+    const series = buildSeriesFromHistory(samples, {
+      from: new Date('2025-01-04T00:00:00.000Z'),
+      avgWindowDays: 3,
+    });
+
+    expect(series.map(s => s.timestamp.slice(0, 10))).toEqual(['2025-01-04', '2025-01-05', '2025-01-06']);
+    // Day 4 averages days 2..4 (20, 30, 40)
+    expect(series[0].candidates[0].apy30dAvgPct).toBe(30);
+    expect(series[2].candidates[0].apy30dAvgPct).toBe(50);
+    expect(series[0].candidates[0].ageDays).toBe(34);
+  });
+});
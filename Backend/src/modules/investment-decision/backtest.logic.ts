@@ -0,0 +1,305 @@
+import {
+  computeEffectiveApyPct,
+  estimateGasTotalUsd,
+  makeInvestmentDecision,
+  resolveIlRiskFactor,
+} from './decision.logic';
+import { CandidatePoolSnapshot, CurrentPositionSnapshot, InvestmentDecisionResult } from './decision.types';
+import {
+  BacktestParams,
+  BacktestReport,
+  BacktestStep,
+  BacktestStepResult,
+  EquityPoint,
+  HistoricalPoolSample,
+  SimulatedPosition,
+} from './backtest.types';
+
+const DEFAULT_EXPECTED_GAS_USD = 1.0;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Replays makeInvestmentDecision over a historical series of pool snapshots.
+ *
+ * Between two steps every open position accrues fees at the pool's 30d APY as
+ * observed at the start of the interval (IL is not simulated). At each step the
+ * decision engine sees the simulated portfolio as its current positions; when it
+ * says execute, the actions are applied and gas from estimateGasTotalUsd is
+ * charged against cash.
+ */
+export function runBacktest(params: BacktestParams): BacktestReport {
+  const series = [...params.series].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  if (series.length === 0) {
+    throw new Error('Backtest series is empty');
+  }
+
+  const expectedGasUsd = params.prefs.expectedGasUsd ?? DEFAULT_EXPECTED_GAS_USD;
+
+  let cashUsd = params.initialCapitalUsd;
+  const positions = new Map<string, SimulatedPosition>();
+  const lastSeen = new Map<string, CandidatePoolSnapshot>();
+
+  const equityCurve: EquityPoint[] = [];
+  const steps: BacktestStepResult[] = [];
+  const blockedReasons: Record<string, number> = {};
+
+  let rebalanceCount = 0;
+  let totalGasUsd = 0;
+  let positionSeq = 0;
+  let currentDay = '';
+  let rebalancesToday = 0;
+  let prevTime: number | undefined;
+
+  for (const step of series) {
+    const time = Date.parse(step.timestamp);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid snapshot timestamp: ${step.timestamp}`);
+    }
+
+    // 1. Accrue yield since the previous step at the rate that prevailed during the interval
+    if (prevTime !== undefined) {
+      const years = (time - prevTime) / MS_PER_DAY / 365;
+      for (const pos of positions.values()) {
+        const apyPct = lastSeen.get(key(pos.poolAddress))?.apy30dAvgPct ?? 0;
+        pos.valueUsd = pos.valueUsd * (1 + (apyPct / 100) * years);
+      }
+    }
+    prevTime = time;
+
+    for (const c of step.candidates) {
+      lastSeen.set(key(c.poolAddress), c);
+    }
+
+    const day = step.timestamp.slice(0, 10);
+    if (day !== currentDay) {
+      currentDay = day;
+      rebalancesToday = 0;
+    }
+
+    // 2. Ask the decision engine what it would do right now
+    const totalCapitalUsd = cashUsd + sumValues(positions);
+    const decision = makeInvestmentDecision({
+      prefs: params.prefs,
+      totalCapitalUsd,
+      candidates: step.candidates,
+      currentPositions: [...positions.values()].map(p => toCurrentSnapshot(p, lastSeen.get(key(p.poolAddress)))),
+      rebalancesToday,
+      now: new Date(time),
+    });
+
+    const result: BacktestStepResult = {
+      timestamp: step.timestamp,
+      decisionId: decision.decisionId,
+      executed: decision.shouldExecute,
+      reasons: decision.reasons,
+      withdrawCount: decision.actions.toWithdraw.length,
+      addCount: decision.actions.toAdd.length,
+      adjustCount: decision.actions.toAdjust.length,
+      gasUsd: 0,
+    };
+
+    // 3. Apply the actions to the simulated portfolio
+    if (decision.shouldExecute) {
+      cashUsd = applyActions(decision, positions, cashUsd, step.timestamp, () => `sim_${++positionSeq}`);
+
+      const gasUsd = estimateGasTotalUsd({
+        withdrawCount: decision.actions.toWithdraw.length,
+        addCount: decision.actions.toAdd.length,
+        expectedGasUsd,
+      });
+      cashUsd -= gasUsd;
+      totalGasUsd += gasUsd;
+      result.gasUsd = gasUsd;
+
+      rebalanceCount++;
+      rebalancesToday++;
+    } else {
+      for (const reason of decision.reasons) {
+        blockedReasons[reason] = (blockedReasons[reason] ?? 0) + 1;
+      }
+    }
+
+    steps.push(result);
+
+    const investedUsd = sumValues(positions);
+    equityCurve.push({
+      timestamp: step.timestamp,
+      equityUsd: round2(cashUsd + investedUsd),
+      cashUsd: round2(cashUsd),
+      investedUsd: round2(investedUsd),
+    });
+  }
+
+  const startedAt = series[0].timestamp;
+  const endedAt = series[series.length - 1].timestamp;
+  const days = (Date.parse(endedAt) - Date.parse(startedAt)) / MS_PER_DAY;
+  const finalEquityUsd = equityCurve[equityCurve.length - 1].equityUsd;
+
+  return {
+    startedAt,
+    endedAt,
+    days: round4(days),
+    initialCapitalUsd: params.initialCapitalUsd,
+    finalEquityUsd,
+    totalReturnPct: round4(returnPct(params.initialCapitalUsd, finalEquityUsd)),
+    realizedApyPct: round4(annualizedPct(params.initialCapitalUsd, finalEquityUsd, days)),
+    rebalanceCount,
+    totalGasUsd: round2(totalGasUsd),
+    blockedReasons,
+    equityCurve,
+    steps,
+    finalPositions: [...positions.values()].map(p => ({ ...p, valueUsd: round2(p.valueUsd) })),
+  };
+}
+
+/**
+ * Turn stored pool snapshots into replay steps (one per distinct timestamp).
+ *
+ * apy30dAvgPct at each step is the trailing mean APR over `avgWindowDays`
+ * (samples before `from` only warm this window up), mirroring what the live
+ * engine reads from pool history.
+ */
+export function buildSeriesFromHistory(
+  samples: HistoricalPoolSample[],
+  opts: { from: Date; avgWindowDays?: number },
+): BacktestStep[] {
+  const windowMs = (opts.avgWindowDays ?? 30) * MS_PER_DAY;
+  const sorted = [...samples].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  const byTimestamp = new Map<string, HistoricalPoolSample[]>();
+  for (const s of sorted) {
+    const group = byTimestamp.get(s.timestamp);
+    if (group) group.push(s);
+    else byTimestamp.set(s.timestamp, [s]);
+  }
+
+  const trailing = new Map<string, Array<{ time: number; aprPct: number }>>();
+  const series: BacktestStep[] = [];
+
+  for (const [timestamp, group] of byTimestamp) {
+    const time = Date.parse(timestamp);
+    const candidates: CandidatePoolSnapshot[] = [];
+
+    for (const s of group) {
+      const window = trailing.get(s.poolId) ?? [];
+      window.push({ time, aprPct: s.aprPct });
+      while (window.length > 0 && window[0].time <= time - windowMs) window.shift();
+      trailing.set(s.poolId, window);
+
+      candidates.push({
+        poolId: s.poolId,
+        poolAddress: s.poolAddress,
+        dexName: s.dexName,
+        token0Symbol: s.token0Symbol,
+        token1Symbol: s.token1Symbol,
+        token0Address: s.token0Address,
+        token1Address: s.token1Address,
+        apy30dAvgPct: round4(window.reduce((acc, w) => acc + w.aprPct, 0) / window.length),
+        tvlUsd: s.tvlUsd,
+        ageDays: Math.max(0, Math.floor((time - Date.parse(s.poolCreatedAt)) / MS_PER_DAY)),
+      });
+    }
+
+    if (time >= opts.from.getTime()) {
+      series.push({ timestamp, candidates });
+    }
+  }
+
+  return series;
+}
+
+function applyActions(
+  decision: InvestmentDecisionResult,
+  positions: Map<string, SimulatedPosition>,
+  cashUsd: number,
+  timestamp: string,
+  nextId: () => string,
+): number {
+  const { toWithdraw, toAdjust, toAdd } = decision.actions;
+
+  for (const w of toWithdraw) {
+    const pos = positions.get(key(w.poolAddress));
+    if (!pos) continue;
+    cashUsd += pos.valueUsd;
+    positions.delete(key(w.poolAddress));
+  }
+
+  for (const adj of toAdjust) {
+    const pos = positions.get(key(adj.poolAddress));
+    if (!pos || adj.toAllocationUsd >= pos.valueUsd) continue;
+    cashUsd += pos.valueUsd - adj.toAllocationUsd;
+    pos.valueUsd = adj.toAllocationUsd;
+  }
+
+  for (const add of toAdd) {
+    const existing = positions.get(key(add.poolAddress));
+    const topUp = Math.min(add.allocationUsd - (existing?.valueUsd ?? 0), cashUsd);
+    if (topUp <= 0) continue;
+
+    cashUsd -= topUp;
+    if (existing) {
+      existing.valueUsd += topUp;
+      continue;
+    }
+
+    const candidate = decision.eligibleCandidates.find(c => key(c.poolAddress) === key(add.poolAddress));
+    positions.set(key(add.poolAddress), {
+      positionId: nextId(),
+      poolAddress: add.poolAddress,
+      dexName: add.dexName,
+      token0Symbol: add.token0Symbol,
+      token1Symbol: add.token1Symbol,
+      token0Address: candidate?.token0Address,
+      token1Address: candidate?.token1Address,
+      valueUsd: topUp,
+      openedAt: timestamp,
+    });
+  }
+
+  return cashUsd;
+}
+
+function toCurrentSnapshot(pos: SimulatedPosition, pool: CandidatePoolSnapshot | undefined): CurrentPositionSnapshot {
+  // Compare like with like: the engine ranks candidates by effective (IL-adjusted) APY.
+  const currentApyPct = pool ? computeEffectiveApyPct(pool.apy30dAvgPct, resolveIlRiskFactor(pool)) : 0;
+
+  return {
+    positionId: pos.positionId,
+    poolAddress: pos.poolAddress,
+    dexName: pos.dexName,
+    token0Symbol: pos.token0Symbol,
+    token1Symbol: pos.token1Symbol,
+    token0Address: pos.token0Address,
+    token1Address: pos.token1Address,
+    allocationUsd: round2(pos.valueUsd),
+    currentApyPct: round4(currentApyPct),
+  };
+}
+
+function returnPct(initialUsd: number, finalUsd: number): number {
+  if (initialUsd <= 0) return 0;
+  return ((finalUsd - initialUsd) / initialUsd) * 100;
+}
+
+function annualizedPct(initialUsd: number, finalUsd: number, days: number): number {
+  if (initialUsd <= 0 || finalUsd <= 0 || days <= 0) return 0;
+  return (Math.pow(finalUsd / initialUsd, 365 / days) - 1) * 100;
+}
+
+function sumValues(positions: Map<string, SimulatedPosition>): number {
+  let sum = 0;
+  for (const p of positions.values()) sum += p.valueUsd;
+  return sum;
+}
+
+function key(address: string): string {
+  return address.toLowerCase();
+}
+
+function round2(n: number): number {
+  return Math.round(n * 100) / 100;
+}
+
+function round4(n: number): number {
+  return Math.round(n * 10_000) / 10_000;
+}
@@ -0,0 +1,72 @@
+/**
+ * Backtest Service
+ *
+ * Replays the pure decision engine (decision.logic.ts) over historical pool
+ * snapshots so a DecisionPreferences set can be judged before it is deployed.
+ * Snapshots come either from the request or from the pool_snapshots table.
+ */
+
+import { BadRequestException, Injectable, Logger } from '@nestjs/common';
+import { PoolHistoryService } from '../pools/pool-history.service';
+import { SnapshotGranularity } from '../pools/entities/pool-snapshot.entity';
+import { buildSeriesFromHistory, runBacktest } from './backtest.logic';
+import { BacktestReport, BacktestStep } from './backtest.types';
+import { BacktestDto } from './dto/backtest.dto';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 28;
+const APY_WINDOW_DAYS = 30;
+
+@Injectable()
+export class BacktestService {
+  private readonly logger = new Logger(BacktestService.name);
+
+  constructor(private readonly poolHistoryService: PoolHistoryService) {}
+
+  async run(dto: BacktestDto, now: Date = new Date()): Promise<BacktestReport> {
+    const series = dto.series?.length ? dto.series : await this.loadSeries(dto, now);
+    if (series.length === 0) {
+      throw new BadRequestException('No pool snapshots available for the requested window');
+    }
+
+    this.logger.log(`Running backtest over ${series.length} snapshots with $${dto.initialCapitalUsd}`);
+
+    try {
+      return runBacktest({ prefs: dto.prefs, initialCapitalUsd: dto.initialCapitalUsd, series });
+    } catch (error) {
+      throw new BadRequestException(error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  /**
+   * Build the replay series from pool_snapshots, loading an extra APY window
+   * before `from` so the first steps already see a 30d average.
+   */
+  private async loadSeries(dto: BacktestDto, now: Date): Promise<BacktestStep[]> {
+    const lookbackDays = dto.lookbackDays ?? DEFAULT_LOOKBACK_DAYS;
+    const from = new Date(now.getTime() - lookbackDays * MS_PER_DAY);
+
+    const rows = await this.poolHistoryService.findSnapshots({
+      from: new Date(from.getTime() - APY_WINDOW_DAYS * MS_PER_DAY),
+      to: now,
+      granularity: dto.granularity ?? SnapshotGranularity.HOURLY,
+    });
+
+    return buildSeriesFromHistory(
+      rows.map(r => ({
+        timestamp: r.timestamp.toISOString(),
+        poolId: r.poolId,
+        poolAddress: r.pool.poolAddress,
+        dexName: r.pool.dex?.name ?? 'Unknown',
+        token0Symbol: r.pool.token0Symbol,
+        token1Symbol: r.pool.token1Symbol,
+        token0Address: r.pool.token0Address,
+        token1Address: r.pool.token1Address,
+        aprPct: Number(r.apr),
+        tvlUsd: Number(r.tvl),
+        poolCreatedAt: r.pool.createdAt.toISOString(),
+      })),
+      { from, avgWindowDays: APY_WINDOW_DAYS },
+    );
+  }
+}
@@ -0,0 +1,87 @@
+import { CandidatePoolSnapshot, DecisionPreferences } from './decision.types';
+
+/** One point in time of the historical pool universe. */
+export interface BacktestStep {
+  /** ISO timestamp of the snapshot. */
+  timestamp: string;
+  candidates: CandidatePoolSnapshot[];
+}
+
+export interface BacktestParams {
+  prefs: DecisionPreferences;
+
+  /** Capital the simulated portfolio starts with (held as cash until the first rebalance). */
+  initialCapitalUsd: number;
+
+  /** Historical snapshots; sorted by timestamp before replay. */
+  series: BacktestStep[];
+}
+
+/** One persisted pool snapshot, flattened with the pool metadata a candidate needs. */
+export interface HistoricalPoolSample {
+  timestamp: string;
+  poolId: string;
+  poolAddress: string;
+  dexName: string;
+  token0Symbol: string;
+  token1Symbol: string;
+  token0Address?: string;
+  token1Address?: string;
+  aprPct: number;
+  tvlUsd: number;
+  /** When the pool was first seen, used to derive ageDays at each step. */
+  poolCreatedAt: string;
+}
+
+export interface SimulatedPosition {
+  positionId: string;
+  poolAddress: string;
+  dexName: string;
+  token0Symbol: string;
+  token1Symbol: string;
+  token0Address?: string;
+  token1Address?: string;
+  valueUsd: number;
+  openedAt: string;
+}
+
+export interface EquityPoint {
+  timestamp: string;
+  equityUsd: number;
+  cashUsd: number;
+  investedUsd: number;
+}
+
+export interface BacktestStepResult {
+  timestamp: string;
+  decisionId: string;
+  executed: boolean;
+  /** Gate reasons returned by makeInvestmentDecision; empty when the step executed. */
+  reasons: string[];
+  withdrawCount: number;
+  addCount: number;
+  adjustCount: number;
+  gasUsd: number;
+}
+
+export interface BacktestReport {
+  startedAt: string;
+  endedAt: string;
+  days: number;
+
+  initialCapitalUsd: number;
+  finalEquityUsd: number;
+  totalReturnPct: number;
+  /** Annualized (compounded) return over the replayed window. */
+  realizedApyPct: number;
+
+  rebalanceCount: number;
+  totalGasUsd: number;
+
+  /** How many steps each gate reason blocked. */
+  blockedReasons: Record<string, number>;
+
+  equityCurve: EquityPoint[];
+  steps: BacktestStepResult[];
+  finalPositions: SimulatedPosition[];
+}
@@ -0,0 +1,39 @@
+/**
+ * Decision Schedule Controller
+ *
+ * Per-user view of the decision scheduler, plus a manual run trigger.
+ */
+
+import { Controller, Get, Post, Param, HttpCode, HttpStatus, UseGuards, ForbiddenException } from '@nestjs/common';
+import { DecisionSchedulerService, UserSchedule } from './decision-scheduler.service';
+import { DecisionJobRun } from './entities/decision-job-run.entity';
+import { JwtAuthGuard } from '../auth/jwt-auth.guard';
+import { CurrentUser } from '../../common/decorators/current-user.decorator';
+import { User } from '../users/entities/user.entity';
+
+@Controller('users/:id/schedule')
+@UseGuards(JwtAuthGuard)
+export class DecisionScheduleController {
+  constructor(private readonly schedulerService: DecisionSchedulerService) {}
+
+  /**
+   * Next/last run and recent run history
+   * GET /users/:id/schedule — AUTH + IDOR
+   */
+  @Get()
+  async getSchedule(@Param('id') id: string, @CurrentUser() currentUser: User): Promise<UserSchedule> {
+    if (currentUser.id !== id) throw new ForbiddenException();
+    return this.schedulerService.getSchedule(id);
+  }
+
+  /**
+   * Evaluate (and execute, if warranted) a decision now
+   * POST /users/:id/schedule/run — AUTH + IDOR
+   */
+  @Post('run')
+  @HttpCode(HttpStatus.ACCEPTED)
+  async runNow(@Param('id') id: string, @CurrentUser() currentUser: User): Promise<DecisionJobRun> {
+    if (currentUser.id !== id) throw new ForbiddenException();
+    return this.schedulerService.runNow(id);
+  }
+}
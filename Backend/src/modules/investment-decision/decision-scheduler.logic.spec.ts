@@ -0,0 +1,56 @@
+import { computeNextRunAt, normalizeIntervalSeconds, planJobSync } from './decision-scheduler.logic';
+
+const now = new Date('2025-01-01T12:00:00.000Z');
+const minutesAgo = (m: number) => new Date(now.getTime() - m * 60_000);
+
+describe('decision-scheduler.logic', () => {
+  test('normalizeIntervalSeconds enforces the 60s floor and defaults to 4h', () => {
+    expect(normalizeIntervalSeconds(10)).toBe(60);
+    expect(normalizeIntervalSeconds(900)).toBe(900);
+    expect(normalizeIntervalSeconds(undefined)).toBe(14_400);
+    expect(normalizeIntervalSeconds(0)).toBe(14_400);
+  });
+
+  test('computeNextRunAt adds the interval to the run start, never scheduling in the past', () => {
+    expect(computeNextRunAt(minutesAgo(10), 3600, now)).toEqual(new Date(now.getTime() + 50 * 60_000));
+    expect(computeNextRunAt(minutesAgo(90), 3600, now)).toEqual(now);
+  });
+
+  test('planJobSync creates, reschedules and removes jobs', () => {
+    const plan = planJobSync(
+      [
+        { userId: 'new', intervalSeconds: 3600 },
+        { userId: 'unchanged', intervalSeconds: 3600 },
+        { userId: 'shortened', intervalSeconds: 600 },
+        { userId: 'never-ran', intervalSeconds: 600 },
+        { userId: 'lengthened', intervalSeconds: 7200 },
+      ],
+      [
+        { userId: 'unchanged', lastRunAt: minutesAgo(30), nextRunAt: new Date(minutesAgo(30).getTime() + 3_600_000) },
+        { userId: 'shortened', lastRunAt: minutesAgo(30), nextRunAt: new Date(minutesAgo(30).getTime() + 3_600_000) },
+        { userId: 'never-ran', lastRunAt: null, nextRunAt: now },
+        { userId: 'lengthened', lastRunAt: minutesAgo(30), nextRunAt: new Date(minutesAgo(30).getTime() + 3_600_000) },
+        { userId: 'opted-out', lastRunAt: minutesAgo(30), nextRunAt: now },
+        { userId: 'opted-out-running', lastRunAt: minutesAgo(30), nextRunAt: now, lockedBy: 'replica-a' },
+      ],
+      now,
+    );
+
+    expect(plan.toCreate).toEqual([{ userId: 'new', nextRunAt: now }]);
+    expect(plan.toReschedule).toEqual([
+      { userId: 'shortened', nextRunAt: now },
+      { userId: 'lengthened', nextRunAt: new Date(minutesAgo(30).getTime() + 7_200_000) },
+    ]);
+    expect(plan.toRemove).toEqual(['opted-out']);
+  });
+
+  test('planJobSync leaves a job pushed back by a slow run where it is', () => {
+    // Started 90 minutes ago with a 1h interval, finished 5 minutes ago
+    const slow = { userId: 'slow', lastRunAt: minutesAgo(90), nextRunAt: minutesAgo(5) };
+    const users = [{ userId: 'slow', intervalSeconds: 3600 }];
+
+    expect(slow.nextRunAt).toEqual(computeNextRunAt(slow.lastRunAt, 3600, minutesAgo(5)));
+    expect(planJobSync(users, [slow], now).toReschedule).toEqual([]);
+    expect(planJobSync(users, [slow], new Date(now.getTime() + 60_000)).toReschedule).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+/** Same floor PreferencesService enforces on investmentCheckIntervalSeconds. */
+export const MIN_CHECK_INTERVAL_SECONDS = 60;
+export const DEFAULT_CHECK_INTERVAL_SECONDS = 14_400; // 4 hours
+
+export interface SchedulableUser {
+  userId: string;
+  intervalSeconds: number;
+}
+
+export interface ScheduledJobState {
+  userId: string;
+  nextRunAt: Date;
+  lastRunAt: Date | null;
+  lockedBy?: string | null;
+}
+
+export interface JobSyncPlan {
+  toCreate: Array<{ userId: string; nextRunAt: Date }>;
+  toReschedule: Array<{ userId: string; nextRunAt: Date }>;
+  toRemove: string[];
+}
+
+export function normalizeIntervalSeconds(intervalSeconds: number | null | undefined): number {
+  if (!intervalSeconds || !Number.isFinite(intervalSeconds)) return DEFAULT_CHECK_INTERVAL_SECONDS;
+  return Math.max(MIN_CHECK_INTERVAL_SECONDS, intervalSeconds);
+}
+
+/**
+ * Next run is one interval after the previous run started, or now if a slow
+ * run already overshot it.
+ */
+export function computeNextRunAt(lastRunAt: Date, intervalSeconds: number | null | undefined, now: Date): Date {
+  const next = lastRunAt.getTime() + normalizeIntervalSeconds(intervalSeconds) * 1000;
+  return new Date(Math.max(next, now.getTime()));
+}
+
+/**
+ * Reconcile decision_jobs with the users that should be scheduled:
+ * - new auto-invest users get a job that is due immediately
+ * - jobs whose user changed their check interval are moved to computeNextRunAt().
+ *   A job between lastRunAt + interval and now was pushed back by a slow run
+ *   (computeNextRunAt clamps to the run's end) and is already due: it is left alone
+ * - jobs of users that left auto-invest are removed, unless a run is in flight
+ */
+export function planJobSync(users: SchedulableUser[], jobs: ScheduledJobState[], now: Date): JobSyncPlan {
+  const jobsByUser = new Map(jobs.map(j => [j.userId, j] as const));
+  const userIds = new Set(users.map(u => u.userId));
+  const plan: JobSyncPlan = { toCreate: [], toReschedule: [], toRemove: [] };
+
+  for (const user of users) {
+    const job = jobsByUser.get(user.userId);
+    if (!job) {
+      plan.toCreate.push({ userId: user.userId, nextRunAt: now });
+      continue;
+    }
+    if (!job.lastRunAt || job.lockedBy) continue;
+
+    const earliest = job.lastRunAt.getTime() + normalizeIntervalSeconds(user.intervalSeconds) * 1000;
+    const target = computeNextRunAt(job.lastRunAt, user.intervalSeconds, now);
+    const nextRunAt = job.nextRunAt.getTime();
+    if (nextRunAt < earliest || nextRunAt > target.getTime()) {
+      plan.toReschedule.push({ userId: user.userId, nextRunAt: target });
+    }
+  }
+
+  for (const job of jobs) {
+    if (!userIds.has(job.userId) && !job.lockedBy) {
+      plan.toRemove.push(job.userId);
+    }
+  }
+
+  return plan;
+}
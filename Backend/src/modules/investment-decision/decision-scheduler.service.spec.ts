@@ -0,0 +1,123 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ConflictException } from '@nestjs/common';
+import { DecisionSchedulerService } from './decision-scheduler.service';
+import { InvestmentDecisionWorker } from './investment-decision.worker';
+import { DecisionJob } from './entities/decision-job.entity';
+import { DecisionJobRun, DecisionRunOutcome, DecisionRunTrigger } from './entities/decision-job-run.entity';
+import { UserPreference } from '../preferences/entities/user-preference.entity';
+
+describe('DecisionSchedulerService', () => {
+  let service: DecisionSchedulerService;
+  let worker: { runForUser: jest.Mock };
+  let jobRepository: Record<string, jest.Mock | any>;
+  let runRepository: Record<string, jest.Mock>;
+  let lockable: DecisionJob[];
+  let em: { getRepository: jest.Mock; update: jest.Mock };
+
+  const now = new Date('2025-01-01T12:00:00.000Z');
+  const job = (userId: string): DecisionJob =>
+    ({ userId, nextRunAt: now, lastRunAt: null, lockedBy: null, lockedUntil: null }) as DecisionJob;
+
+  beforeEach(async () => {
+    lockable = [];
+    const qb: any = {
+      setLock: () => qb,
+      setOnLocked: () => qb,
+      where: () => qb,
+      andWhere: () => qb,
+      orderBy: () => qb,
+      limit: () => qb,
+      getMany: async () => lockable,
+      getOne: async () => lockable[0] ?? null,
+    };
+    em = { getRepository: jest.fn(() => ({ createQueryBuilder: () => qb })), update: jest.fn() };
+    const insertQb: any = { insert: () => insertQb, into: () => insertQb, values: () => insertQb, orIgnore: () => insertQb, execute: jest.fn() };
+
+    jobRepository = {
+      manager: { transaction: jest.fn(async (fn: any) => fn(em)) },
+      createQueryBuilder: jest.fn(() => insertQb),
+      find: jest.fn().mockResolvedValue([]),
+      findOne: jest.fn().mockResolvedValue(null),
+      update: jest.fn(),
+      delete: jest.fn(),
+    };
+    runRepository = {
+      create: jest.fn((row: Partial<DecisionJobRun>) => row),
+      save: jest.fn(async (row: Partial<DecisionJobRun>) => ({ id: `run-${row.userId}`, ...row })),
+      update: jest.fn(),
+      find: jest.fn().mockResolvedValue([]),
+    };
+    worker = { runForUser: jest.fn() };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        DecisionSchedulerService,
+        { provide: getRepositoryToken(DecisionJob), useValue: jobRepository },
+        { provide: getRepositoryToken(DecisionJobRun), useValue: runRepository },
+        {
+          provide: getRepositoryToken(UserPreference),
+          useValue: {
+            find: jest.fn().mockResolvedValue([]),
+            findOne: jest.fn().mockResolvedValue({ userId: 'u1', autoInvestEnabled: true, investmentCheckIntervalSeconds: 3600 }),
+          },
+        },
+        { provide: InvestmentDecisionWorker, useValue: worker },
+        { provide: ConfigService, useValue: { get: jest.fn((_key: string, def?: any) => def) } },
+      ],
+    }).compile();
+
+    service = module.get(DecisionSchedulerService);
+  });
+
+  it('runs claimed jobs, records the outcome and schedules the next run from the interval', async () => {
+    lockable = [job('u1')];
+    worker.runForUser.mockResolvedValue({ outcome: DecisionRunOutcome.NO_ACTION, reason: 'No changes required', decisionId: 'dec-1' });
+
+    expect(await service.tick(now)).toBe(1);
+
+    expect(em.update).toHaveBeenCalledWith(DecisionJob, expect.anything(), expect.objectContaining({ lockedBy: service.workerId }));
+    expect(worker.runForUser).toHaveBeenCalledWith('u1', DecisionRunTrigger.SCHEDULED);
+    expect(runRepository.update).toHaveBeenCalledWith('run-u1', expect.objectContaining({
+      outcome: DecisionRunOutcome.NO_ACTION,
+      decisionId: 'dec-1',
+      finishedAt: expect.any(Date),
+    }));
+
+    const [where, patch] = jobRepository.update.mock.calls[0];
+    expect(where).toEqual({ userId: 'u1', lockedBy: service.workerId });
+    expect(patch.lockedBy).toBeNull();
+    expect(patch.nextRunAt.getTime() - patch.lastRunAt.getTime()).toBe(3_600_000);
+  });
+
+  it('records a failed run when the worker throws', async () => {
+    lockable = [job('u1')];
+    worker.runForUser.mockRejectedValue(new Error('rpc down'));
+
+    await service.tick(now);
+
+    expect(runRepository.update).toHaveBeenCalledWith('run-u1', expect.objectContaining({
+      outcome: DecisionRunOutcome.FAILED,
+      reason: 'rpc down',
+    }));
+  });
+
+  it('refuses a manual run while another replica holds the job', async () => {
+    lockable = [];
+
+    await expect(service.runNow('u1', now)).rejects.toBeInstanceOf(ConflictException);
+    expect(worker.runForUser).not.toHaveBeenCalled();
+  });
+
+  it('starts a manual run in the background', async () => {
+    lockable = [job('u1')];
+    worker.runForUser.mockResolvedValue({ outcome: DecisionRunOutcome.EXECUTED, reason: 'ok', decisionId: 'dec-2' });
+
+    const run = await service.runNow('u1', now);
+
+    expect(run).toMatchObject({ userId: 'u1', trigger: DecisionRunTrigger.MANUAL, outcome: DecisionRunOutcome.RUNNING });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(worker.runForUser).toHaveBeenCalledWith('u1', DecisionRunTrigger.MANUAL);
+  });
+});
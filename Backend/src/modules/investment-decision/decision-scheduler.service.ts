@@ -0,0 +1,239 @@
+/**
+ * Decision Scheduler
+ *
+ * Single DB-backed scheduler for investment decision runs. Every auto-invest
+ * user has a decision_jobs row whose nextRunAt follows their
+ * investmentCheckIntervalSeconds. Each tick, a replica claims due jobs with
+ * SELECT ... FOR UPDATE SKIP LOCKED and a lease, so several backend replicas
+ * never run the same user twice. Every run is recorded in decision_job_runs.
+ */
+
+import { ConflictException, Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { EntityManager, In, IsNull, Repository } from 'typeorm';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { ConfigService } from '@nestjs/config';
+import { hostname } from 'os';
+import { randomUUID } from 'crypto';
+import { DecisionJob } from './entities/decision-job.entity';
+import { DecisionJobRun, DecisionRunOutcome, DecisionRunTrigger } from './entities/decision-job-run.entity';
+import { UserPreference } from '../preferences/entities/user-preference.entity';
+import { DecisionRunResult, InvestmentDecisionWorker } from './investment-decision.worker';
+import { computeNextRunAt, normalizeIntervalSeconds, planJobSync } from './decision-scheduler.logic';
+
+const RECENT_RUNS_LIMIT = 20;
+
+export interface UserSchedule {
+  userId: string;
+  autoInvestEnabled: boolean;
+  intervalSeconds: number;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  running: boolean;
+  recentRuns: DecisionJobRun[];
+}
+
+@Injectable()
+export class DecisionSchedulerService implements OnModuleInit {
+  private readonly logger = new Logger(DecisionSchedulerService.name);
+  private isProcessing = false;
+  private readonly enabled: boolean;
+  readonly workerId = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+  constructor(
+    @InjectRepository(DecisionJob)
+    private jobRepository: Repository<DecisionJob>,
+    @InjectRepository(DecisionJobRun)
+    private runRepository: Repository<DecisionJobRun>,
+    @InjectRepository(UserPreference)
+    private preferenceRepository: Repository<UserPreference>,
+    private worker: InvestmentDecisionWorker,
+    private configService: ConfigService,
+  ) {
+    this.enabled = this.configService.get<boolean>('ENABLE_INVESTMENT_WORKER', true);
+  }
+
+  /** Max jobs a replica claims per tick. */
+  get batchSize(): number {
+    return Number(this.configService.get('DECISION_SCHEDULER_BATCH_SIZE', 10));
+  }
+
+  /** A claimed job whose lease expires (crashed replica) can be claimed again. */
+  get leaseMs(): number {
+    return Number(this.configService.get('DECISION_JOB_LEASE_MS', 30 * 60_000));
+  }
+
+  onModuleInit() {
+    this.logger.log(`DecisionSchedulerService initialized (enabled: ${this.enabled}, worker: ${this.workerId})`);
+  }
+
+  @Cron(CronExpression.EVERY_MINUTE)
+  async tick(now = new Date()): Promise<number> {
+    if (!this.enabled || this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+    try {
+      await this.syncJobs(now);
+      const jobs = await this.claimDueJobs(now);
+      if (jobs.length > 0) {
+        this.logger.log(`Claimed ${jobs.length} due decision job(s)`);
+      }
+
+      for (const job of jobs) {
+        const run = await this.startRun(job.userId, DecisionRunTrigger.SCHEDULED);
+        await this.executeRun(run);
+      }
+      return jobs.length;
+    } catch (error) {
+      this.logger.error(`Decision scheduler tick failed: ${error.message}`);
+      return 0;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Create, reschedule and remove jobs so decision_jobs matches the active
+   * auto-invest users and their check intervals.
+   */
+  async syncJobs(now = new Date()): Promise<void> {
+    const preferences = await this.preferenceRepository.find({
+      where: { autoInvestEnabled: true },
+      relations: ['user'],
+    });
+    const users = preferences
+      .filter(p => p.user?.isActive)
+      .map(p => ({ userId: p.userId, intervalSeconds: p.investmentCheckIntervalSeconds }));
+
+    const plan = planJobSync(users, await this.jobRepository.find(), now);
+
+    if (plan.toCreate.length > 0) {
+      await this.jobRepository.createQueryBuilder().insert().into(DecisionJob).values(plan.toCreate).orIgnore().execute();
+    }
+    for (const { userId, nextRunAt } of plan.toReschedule) {
+      await this.jobRepository.update({ userId, lockedBy: IsNull() }, { nextRunAt });
+    }
+    if (plan.toRemove.length > 0) {
+      await this.jobRepository.delete({ userId: In(plan.toRemove), lockedBy: IsNull() });
+    }
+  }
+
+  /**
+   * Claim up to batchSize due jobs for this replica. Rows locked by another
+   * replica's claim are skipped rather than waited on.
+   */
+  async claimDueJobs(now = new Date()): Promise<DecisionJob[]> {
+    return this.jobRepository.manager.transaction(async em => {
+      const due = await this.lockableJobs(em, now)
+        .andWhere('job.nextRunAt <= :now', { now })
+        .orderBy('job.nextRunAt', 'ASC')
+        .limit(this.batchSize)
+        .getMany();
+
+      if (due.length > 0) {
+        await em.update(DecisionJob, { userId: In(due.map(j => j.userId)) }, this.lease(now));
+      }
+      return due;
+    });
+  }
+
+  /**
+   * Run a user's decision now, outside their schedule. The run continues in
+   * the background; poll getSchedule() for its outcome.
+   */
+  async runNow(userId: string, now = new Date()): Promise<DecisionJobRun> {
+    await this.jobRepository.createQueryBuilder().insert().into(DecisionJob).values({ userId, nextRunAt: now }).orIgnore().execute();
+
+    const claimed = await this.jobRepository.manager.transaction(async em => {
+      const job = await this.lockableJobs(em, now).andWhere('job.userId = :userId', { userId }).getOne();
+      if (!job) return false;
+      await em.update(DecisionJob, { userId }, this.lease(now));
+      return true;
+    });
+    if (!claimed) {
+      throw new ConflictException('A decision run is already in progress for this user');
+    }
+
+    const run = await this.startRun(userId, DecisionRunTrigger.MANUAL);
+    this.executeRun(run).catch(err => this.logger.error(`Manual decision run ${run.id} failed: ${err.message}`));
+    return run;
+  }
+
+  async getSchedule(userId: string, now = new Date()): Promise<UserSchedule> {
+    const [pref, job, recentRuns] = await Promise.all([
+      this.preferenceRepository.findOne({ where: { userId } }),
+      this.jobRepository.findOne({ where: { userId } }),
+      this.runRepository.find({ where: { userId }, order: { startedAt: 'DESC' }, take: RECENT_RUNS_LIMIT }),
+    ]);
+
+    return {
+      userId,
+      autoInvestEnabled: pref?.autoInvestEnabled ?? false,
+      intervalSeconds: normalizeIntervalSeconds(pref?.investmentCheckIntervalSeconds),
+      nextRunAt: job && pref?.autoInvestEnabled ? job.nextRunAt.toISOString() : null,
+      lastRunAt: job?.lastRunAt?.toISOString() ?? null,
+      running: !!job?.lockedUntil && job.lockedUntil > now,
+      recentRuns,
+    };
+  }
+
+  private lockableJobs(em: EntityManager, now: Date) {
+    return em
+      .getRepository(DecisionJob)
+      .createQueryBuilder('job')
+      .setLock('pessimistic_write')
+      .setOnLocked('skip_locked')
+      .where('(job.lockedUntil IS NULL OR job.lockedUntil < :now)', { now });
+  }
+
+  private lease(now: Date): Partial<DecisionJob> {
+    return { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.leaseMs) };
+  }
+
+  private async startRun(userId: string, trigger: DecisionRunTrigger): Promise<DecisionJobRun> {
+    return this.runRepository.save(
+      this.runRepository.create({
+        userId,
+        trigger,
+        outcome: DecisionRunOutcome.RUNNING,
+        startedAt: new Date(),
+        workerId: this.workerId,
+      }),
+    );
+  }
+
+  /**
+   * Run the worker, record the outcome, then release the job and schedule the
+   * next run from the user's current interval.
+   */
+  private async executeRun(run: DecisionJobRun): Promise<void> {
+    let result: DecisionRunResult;
+    try {
+      result = await this.worker.runForUser(run.userId, run.trigger);
+    } catch (error) {
+      this.logger.error(`Decision run for user ${run.userId} failed: ${error.message}`);
+      result = { outcome: DecisionRunOutcome.FAILED, reason: error.message };
+    }
+
+    const finishedAt = new Date();
+    await this.runRepository.update(run.id, {
+      outcome: result.outcome,
+      reason: result.reason,
+      decisionId: result.decisionId ?? null,
+      finishedAt,
+    });
+
+    const pref = await this.preferenceRepository.findOne({ where: { userId: run.userId } });
+    await this.jobRepository.update(
+      { userId: run.userId, lockedBy: this.workerId },
+      {
+        lastRunAt: run.startedAt,
+        nextRunAt: computeNextRunAt(run.startedAt, pref?.investmentCheckIntervalSeconds, finishedAt),
+        lockedBy: null,
+        lockedUntil: null,
+      },
+    );
+  }
+}
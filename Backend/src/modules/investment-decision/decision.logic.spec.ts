@@ -1,4 +1,5 @@
 import {
+  allocateByUtility,
   computeEffectiveApyPct,
   estimateGasTotalUsd,
   estimateProfit30dUsd,
@@ -21,6 +22,12 @@ describe('decision.logic', () => {
     expect(estimateGasTotalUsd({ withdrawCount: 2, addCount: 3, expectedGasUsd: 1 })).toBe(2 * 1.8 + 3 * 1.6);
   });
 
+  test('estimateGasTotalUsd uses estimated operation costs when given', () => {
+    expect(
+      estimateGasTotalUsd({ withdrawCount: 2, addCount: 3, expectedGasUsd: 1, operationCostsUsd: { withdraw: 0.5, add: 0.75 } }),
+    ).toBe(3.25);
+  });
+
   test('estimateProfit30dUsd matches formula', () => {
     const profit = estimateProfit30dUsd({ currentWeightedApyPct: 8, idealWeightedApyPct: 9, totalCapitalUsd: 100_000 });
     // 1% improvement on 100k over 30/365 days
@@ -174,4 +181,150 @@ describe('decision.logic', () => {
     expect(res.shouldExecute).toBe(false);
     expect(res.reasons.join(' ')).toMatch(/IL > 6%/i);
   });
+
+  test('allocateByUtility splits capital by utility and re-splits capped excess', () => {
+    expect(allocateByUtility(100_000, [{ utilityPct: 30 }, { utilityPct: 10 }], 100_000)).toEqual([75_000, 25_000]);
+    expect(allocateByUtility(100_000, [{ utilityPct: 30 }, { utilityPct: 10 }, { utilityPct: 10 }], 50_000)).toEqual([
+      50_000, 25_000, 25_000,
+    ]);
+    expect(allocateByUtility(100_000, [{ utilityPct: 30 }, { utilityPct: -5 }], 40_000)).toEqual([40_000, 0]);
+  });
+
+  describe('risk presets', () => {
+    const pool = (n: number, token0Symbol: string, token1Symbol: string, apy30dAvgPct: number): CandidatePoolSnapshot => ({
+      poolId: `p${n}`,
+      poolAddress: `0x${n.toString(16).padStart(40, '0')}`,
+      dexName: 'Algebra',
+      token0Symbol,
+      token1Symbol,
+      apy30dAvgPct,
+      tvlUsd: 2_000_000,
+      ageDays: 30,
+    });
+
+    const candidates = [
+      pool(1, 'USDC', 'USDT', 10), // stable, IL risk 0
+      pool(2, 'USDC', 'WETH', 40), // bluechip, IL risk 0.08
+      pool(3, 'USDC', 'STELLA', 60), // midcap, IL risk 0.18
+      pool(4, 'GLMR', 'STELLA', 30), // other, IL risk 0.30
+    ];
+
+    // Mirrors the Conservative / Balanced / Aggressive preset buttons in the frontend
+    const presets = {
+      conservative: { lambdaRiskAversion: 0.8, maxPositions: 3, minApyPct: 5 },
+      balanced: { lambdaRiskAversion: 0.5, maxPositions: 6, minApyPct: 10 },
+      aggressive: { lambdaRiskAversion: 0.2, maxPositions: 10, minApyPct: 20 },
+    };
+
+    const decide = (preset: Pick<DecisionPreferences, 'lambdaRiskAversion' | 'maxPositions' | 'minApyPct'>) =>
+      makeInvestmentDecision({
+        prefs: {
+          ...preset,
+          allowedTokenSymbols: ['USDC', 'USDT', 'WETH', 'STELLA', 'GLMR'],
+          maxAllocPerPosUsd: 50_000,
+        },
+        totalCapitalUsd: 100_000,
+        candidates,
+        currentPositions: [],
+        rebalancesToday: 0,
+        now: new Date('2025-01-01T00:00:00.000Z'),
+      });
+
+    const pairs = (res: ReturnType<typeof decide>) =>
+      res.idealPositions.map(p => `${p.token0Symbol}/${p.token1Symbol}`).sort();
+
+    const weightedIlRisk = (res: ReturnType<typeof decide>) =>
+      res.idealPositions.reduce((acc, p) => acc + p.allocationUsd * p.ilRiskFactor, 0) / 100_000;
+
+    test('each preset selects a different set of pools', () => {
+      const conservative = decide(presets.conservative);
+      const balanced = decide(presets.balanced);
+      const aggressive = decide(presets.aggressive);
+
+      // λ = 0.8 prices GLMR/STELLA's risk above its return
+      expect(pairs(conservative)).toEqual(['USDC/STELLA', 'USDC/USDT', 'USDC/WETH']);
+      expect(pairs(balanced)).toEqual(['GLMR/STELLA', 'USDC/STELLA', 'USDC/USDT', 'USDC/WETH']);
+      // minApy 20 rules out the stable pair
+      expect(pairs(aggressive)).toEqual(['GLMR/STELLA', 'USDC/STELLA', 'USDC/WETH']);
+    });
+
+    test('higher risk aversion shifts capital towards low-risk pools', () => {
+      const conservative = decide(presets.conservative);
+      const balanced = decide(presets.balanced);
+      const aggressive = decide(presets.aggressive);
+
+      expect(weightedIlRisk(conservative)).toBeLessThan(weightedIlRisk(balanced));
+      expect(weightedIlRisk(balanced)).toBeLessThan(weightedIlRisk(aggressive));
+
+      for (const res of [conservative, balanced, aggressive]) {
+        const total = res.idealPositions.reduce((acc, p) => acc + p.allocationUsd, 0);
+        expect(total).toBeCloseTo(100_000, 0);
+        expect(res.idealPositions.every(p => p.allocationUsd <= 50_000)).toBe(true);
+      }
+    });
+
+    test('λ alone changes sizing when every other preference is equal', () => {
+      const low = decide({ ...presets.balanced, lambdaRiskAversion: 0.2 });
+      const high = decide({ ...presets.balanced, lambdaRiskAversion: 0.8 });
+      const allocOf = (res: ReturnType<typeof decide>, n: number) =>
+        res.idealPositions.find(p => p.poolAddress === candidates[n].poolAddress)?.allocationUsd ?? 0;
+
+      expect(allocOf(high, 0)).toBeGreaterThan(allocOf(low, 0));
+      expect(allocOf(high, 3)).toBe(0);
+      expect(allocOf(low, 3)).toBeGreaterThan(0);
+    });
+  });
+
+  test('net utility over the planning horizon must exceed theta', () => {
+    const base = {
+      totalCapitalUsd: 50_000,
+      candidates: [
+        {
+          poolId: 'p2',
+          poolAddress: '0x0000000000000000000000000000000000000002',
+          dexName: 'Algebra',
+          token0Symbol: 'USDC',
+          token1Symbol: 'USDT',
+          apy30dAvgPct: 20,
+          tvlUsd: 2_000_000,
+          ageDays: 30,
+        },
+      ],
+      currentPositions: [
+        {
+          positionId: 'pos_1',
+          poolAddress: '0x0000000000000000000000000000000000000001',
+          dexName: 'Algebra',
+          token0Symbol: 'USDC',
+          token1Symbol: 'USDT',
+          allocationUsd: 50_000,
+          currentApyPct: 8,
+        },
+      ],
+      rebalancesToday: 0,
+      now: new Date('2025-01-01T00:00:00.000Z'),
+    };
+    const prefs: DecisionPreferences = {
+      minApyPct: 8,
+      allowedTokenSymbols: ['USDC', 'USDT'],
+      maxPositions: 1,
+      maxAllocPerPosUsd: 50_000,
+      expectedGasUsd: 1,
+    };
+
+    const byDefault = makeInvestmentDecision({ ...base, prefs });
+    expect(byDefault.shouldExecute).toBe(true);
+    // 12 points of utility over 7 days, less 3.4 USD of gas on 50k
+    expect(byDefault.metrics.netUtilityGain).toBeCloseTo(0.12 * (7 / 365) - 3.4 / 50_000, 6);
+
+    const demanding = makeInvestmentDecision({ ...base, prefs: { ...prefs, thetaMinBenefit: 0.01 } });
+    expect(demanding.shouldExecute).toBe(false);
+    expect(demanding.reasons).toContain('Net utility gain below theta');
+
+    const longHorizon = makeInvestmentDecision({
+      ...base,
+      prefs: { ...prefs, thetaMinBenefit: 0.01, planningHorizonDays: 60 },
+    });
+    expect(longHorizon.shouldExecute).toBe(true);
+  });
 });
@@ -4,6 +4,7 @@ import {
   DecisionPreferences,
   IdealPosition,
   InvestmentDecisionResult,
+  OperationCostsUsd,
   RebalanceActions,
 } from './decision.types';
 
@@ -15,6 +16,9 @@ const DEFAULTS = {
   expectedGasUsd: 1.0,
   minApyImprovementPct: 0.7,
   gasCoverMultiplier: 4,
+  lambdaRiskAversion: 0.5,
+  thetaMinBenefit: 0,
+  planningHorizonDays: 7,
 } as const;
 
 const BLUECHIP = new Set(['ETH', 'WETH', 'BTC', 'WBTC']);
@@ -44,6 +48,13 @@ export function inferIlRiskFactor(token0: string, token1: string): number {
   return 0.30;
 }
 
+/** IL risk factor for a pool, preferring the explicit category hint over symbol inference. */
+export function resolveIlRiskFactor(pool: Pick<CandidatePoolSnapshot, 'token0Symbol' | 'token1Symbol' | 'categoryHint'>): number {
+  return pool.categoryHint
+    ? categoryHintToIlRisk(pool.categoryHint)
+    : inferIlRiskFactor(pool.token0Symbol, pool.token1Symbol);
+}
+
 export function computeEffectiveApyPct(apy30dAvgPct: number, ilRiskFactor: number): number {
   return apy30dAvgPct * (1 - ilRiskFactor);
 }
@@ -80,40 +91,91 @@ export function isPoolAllowedByPreferences(pool: CandidatePoolSnapshot, prefs: D
   return true;
 }
 
+/**
+ * Risk-adjusted return of a pool in % points: R − λ·S, with the IL risk factor
+ * as the risk score S (0.08 → 8 points).
+ */
+export function computeUtilityPct(effectiveApyPct: number, ilRiskFactor: number, lambdaRiskAversion: number): number {
+  return effectiveApyPct - lambdaRiskAversion * ilRiskFactor * 100;
+}
+
+/**
+ * Split capital across pools in proportion to their utility. A pool whose share
+ * exceeds maxAllocUsd is capped and the excess is re-split among the others, so
+ * the result may leave capital unallocated once every pool is capped.
+ */
+export function allocateByUtility(
+  capitalUsd: number,
+  pools: Array<{ utilityPct: number }>,
+  maxAllocUsd: number,
+): number[] {
+  const allocations = pools.map(() => 0);
+  let open = pools.map((_, i) => i).filter(i => pools[i].utilityPct > 0);
+  let remaining = capitalUsd;
+
+  while (open.length > 0 && remaining > 0) {
+    const totalUtility = open.reduce((acc, i) => acc + pools[i].utilityPct, 0);
+    const capped = open.filter(i => (remaining * pools[i].utilityPct) / totalUtility >= maxAllocUsd - allocations[i]);
+
+    if (capped.length === 0) {
+      for (const i of open) {
+        allocations[i] += (remaining * pools[i].utilityPct) / totalUtility;
+      }
+      break;
+    }
+
+    for (const i of capped) {
+      remaining -= maxAllocUsd - allocations[i];
+      allocations[i] = maxAllocUsd;
+    }
+    open = open.filter(i => !capped.includes(i));
+  }
+
+  return allocations;
+}
+
+/**
+ * Size the target portfolio by risk-adjusted utility: the maxPositions pools
+ * with the highest positive utility each get capital in proportion to it.
+ * A higher λ shifts capital from volatile pairs towards stables and drops
+ * pools whose APY does not pay for their risk.
+ */
 export function buildIdealPortfolio(params: {
   totalCapitalUsd: number;
   candidates: Array<CandidatePoolSnapshot & { effectiveApyPct: number; ilRiskFactor: number }>;
   prefs: DecisionPreferences;
 }): IdealPosition[] {
   const minPositionSizeUsd = params.prefs.minPositionSizeUsd ?? DEFAULTS.minPositionSizeUsd;
+  const lambda = params.prefs.lambdaRiskAversion ?? DEFAULTS.lambdaRiskAversion;
 
-  const sorted = [...params.candidates].sort((a, b) => b.effectiveApyPct - a.effectiveApyPct);
-
-  const ideal: IdealPosition[] = [];
-  let remaining = params.totalCapitalUsd;
+  const sorted = params.candidates
+    .map(p => ({ ...p, utilityPct: computeUtilityPct(p.effectiveApyPct, p.ilRiskFactor, lambda) }))
+    .sort((a, b) => b.utilityPct - a.utilityPct);
 
-  for (const pool of sorted) {
-    if (ideal.length >= params.prefs.maxPositions) break;
+  let selected = sorted.filter(p => p.utilityPct > 0).slice(0, params.prefs.maxPositions);
+  let allocations = allocateByUtility(params.totalCapitalUsd, selected, params.prefs.maxAllocPerPosUsd);
 
-    const alloc = Math.min(params.prefs.maxAllocPerPosUsd, remaining);
-    if (alloc < minPositionSizeUsd) continue;
+  // Positions too small to be worth opening are dropped and their capital re-split
+  while (allocations.some(a => a < minPositionSizeUsd)) {
+    selected = selected.filter((_, i) => allocations[i] >= minPositionSizeUsd);
+    allocations = allocateByUtility(params.totalCapitalUsd, selected, params.prefs.maxAllocPerPosUsd);
+  }
 
-    ideal.push({
-      poolAddress: pool.poolAddress,
-      dexName: pool.dexName,
-      token0Symbol: pool.token0Symbol,
-      token1Symbol: pool.token1Symbol,
-      allocationUsd: round2(alloc),
-      effectiveApyPct: round4(pool.effectiveApyPct),
-      ilRiskFactor: pool.ilRiskFactor,
-    });
+  const ideal: IdealPosition[] = selected.map((pool, i) => ({
+    poolAddress: pool.poolAddress,
+    dexName: pool.dexName,
+    token0Symbol: pool.token0Symbol,
+    token1Symbol: pool.token1Symbol,
+    allocationUsd: round2(allocations[i]),
+    effectiveApyPct: round4(pool.effectiveApyPct),
+    ilRiskFactor: pool.ilRiskFactor,
+    utilityPct: round4(pool.utilityPct),
+  }));
 
-    remaining -= alloc;
-    if (remaining <= 0) break;
-  }
+  const remaining = params.totalCapitalUsd - allocations.reduce((acc, a) => acc + a, 0);
 
   // remainder allocation: add to best stable pool by TVL (if remainder meaningful)
-  if (remaining > (params.prefs.minPositionSizeUsd ?? DEFAULTS.minPositionSizeUsd)) {
+  if (remaining > minPositionSizeUsd) {
     const stablePools = sorted
       .filter(p => inferIlRiskFactor(p.token0Symbol, p.token1Symbol) === 0)
       .sort((a, b) => b.tvlUsd - a.tvlUsd);
@@ -132,6 +194,7 @@ export function buildIdealPortfolio(params: {
           allocationUsd: round2(remaining),
           effectiveApyPct: round4(target.effectiveApyPct),
           ilRiskFactor: target.ilRiskFactor,
+          utilityPct: round4(target.utilityPct),
         });
       } else {
         // if we're at max positions, add to the first position deterministically
@@ -197,7 +260,11 @@ export function estimateGasTotalUsd(params: {
   withdrawCount: number;
   addCount: number;
   expectedGasUsd: number;
+  operationCostsUsd?: OperationCostsUsd | null;
 }): number {
+  if (params.operationCostsUsd) {
+    return round2(params.withdrawCount * params.operationCostsUsd.withdraw + params.addCount * params.operationCostsUsd.add);
+  }
   return round2(params.withdrawCount * 1.8 * params.expectedGasUsd + params.addCount * 1.6 * params.expectedGasUsd);
 }
 
@@ -217,12 +284,38 @@ export function estimateProfit30dUsd(params: {
   return round2(profit);
 }
 
+/**
+ * Portfolio utility U = Σ w·(R − λ·S) as an annualised fraction of capital.
+ */
+export function computePortfolioUtility(items: Array<{ allocationUsd: number; utilityPct: number }>, totalCapitalUsd: number): number {
+  if (totalCapitalUsd <= 0) return 0;
+  const sum = items.reduce((acc, it) => acc + it.allocationUsd * it.utilityPct, 0);
+  return round6(sum / totalCapitalUsd / 100);
+}
+
+/**
+ * Utility gained over the planning horizon, net of gas as a fraction of capital:
+ * ΔU·(T/365) − C/capital.
+ */
+export function computeNetUtilityGain(params: {
+  currentUtility: number;
+  idealUtility: number;
+  planningHorizonDays: number;
+  estimatedGasTotalUsd: number;
+  totalCapitalUsd: number;
+}): number {
+  if (params.totalCapitalUsd <= 0) return 0;
+  const gross = (params.idealUtility - params.currentUtility) * (params.planningHorizonDays / 365);
+  return round6(gross - params.estimatedGasTotalUsd / params.totalCapitalUsd);
+}
+
 export function makeInvestmentDecision(params: {
   prefs: DecisionPreferences;
   totalCapitalUsd: number;
   candidates: CandidatePoolSnapshot[];
   currentPositions: CurrentPositionSnapshot[];
   rebalancesToday: number;
+  operationCostsUsd?: OperationCostsUsd | null;
   now?: Date;
 }): InvestmentDecisionResult {
   const now = params.now ?? new Date();
@@ -231,18 +324,20 @@ export function makeInvestmentDecision(params: {
   const expectedGasUsd = params.prefs.expectedGasUsd ?? DEFAULTS.expectedGasUsd;
   const minApyImprovementPct = params.prefs.minApyImprovementPct ?? DEFAULTS.minApyImprovementPct;
   const gasCoverMultiplier = params.prefs.gasCoverMultiplier ?? DEFAULTS.gasCoverMultiplier;
+  const lambda = params.prefs.lambdaRiskAversion ?? DEFAULTS.lambdaRiskAversion;
+  const thetaMinBenefit = params.prefs.thetaMinBenefit ?? DEFAULTS.thetaMinBenefit;
+  const planningHorizonDays = params.prefs.planningHorizonDays ?? DEFAULTS.planningHorizonDays;
 
   const eligible = params.candidates
     .filter(p => isPoolAllowedByPreferences(p, params.prefs))
     .map(p => {
-      const ilRiskFactor = p.categoryHint
-        ? categoryHintToIlRisk(p.categoryHint)
-        : inferIlRiskFactor(p.token0Symbol, p.token1Symbol);
+      const ilRiskFactor = resolveIlRiskFactor(p);
 
       const effectiveApyPct = computeEffectiveApyPct(p.apy30dAvgPct, ilRiskFactor);
-      return { ...p, ilRiskFactor, effectiveApyPct: round4(effectiveApyPct) };
+      const utilityPct = computeUtilityPct(effectiveApyPct, ilRiskFactor, lambda);
+      return { ...p, ilRiskFactor, effectiveApyPct: round4(effectiveApyPct), utilityPct: round4(utilityPct) };
     })
-    .sort((a, b) => b.effectiveApyPct - a.effectiveApyPct);
+    .sort((a, b) => b.utilityPct - a.utilityPct);
 
   const ideal = buildIdealPortfolio({
     totalCapitalUsd: params.totalCapitalUsd,
@@ -266,6 +361,7 @@ export function makeInvestmentDecision(params: {
     withdrawCount: actions.toWithdraw.length,
     addCount: actions.toAdd.length,
     expectedGasUsd,
+    operationCostsUsd: params.operationCostsUsd,
   });
 
   const profit30dUsd = estimateProfit30dUsd({
@@ -276,6 +372,22 @@ export function makeInvestmentDecision(params: {
 
   const netProfit30dUsd = round2(profit30dUsd - estimatedGasTotalUsd);
 
+  const currentUtility = computePortfolioUtility(
+    params.currentPositions.map(p => ({
+      allocationUsd: p.allocationUsd,
+      utilityPct: computeUtilityPct(p.currentApyPct, inferIlRiskFactor(p.token0Symbol, p.token1Symbol), lambda),
+    })),
+    params.totalCapitalUsd,
+  );
+  const idealUtility = computePortfolioUtility(ideal, params.totalCapitalUsd);
+  const netUtilityGain = computeNetUtilityGain({
+    currentUtility,
+    idealUtility,
+    planningHorizonDays,
+    estimatedGasTotalUsd,
+    totalCapitalUsd: params.totalCapitalUsd,
+  });
+
   const reasons: string[] = [];
   let shouldExecute = true;
 
@@ -299,6 +411,11 @@ export function makeInvestmentDecision(params: {
     reasons.push('Net profit does not cover gas multiple');
   }
 
+  if (netUtilityGain <= thetaMinBenefit) {
+    shouldExecute = false;
+    reasons.push('Net utility gain below theta');
+  }
+
   // IL safeguard (if IL signal exists)
   const ilBreached = actions.toWithdraw.some(p => typeof p.impermanentLossPct === 'number' && p.impermanentLossPct > 6);
   if (ilBreached) {
@@ -333,6 +450,9 @@ export function makeInvestmentDecision(params: {
       estimatedGasTotalUsd,
       profit30dUsd,
       netProfit30dUsd,
+      currentUtility,
+      idealUtility,
+      netUtilityGain,
     },
     shouldExecute,
     reasons,
@@ -366,6 +486,10 @@ function round4(n: number): number {
   return Math.round(n * 10_000) / 10_000;
 }
 
+function round6(n: number): number {
+  return Math.round(n * 1_000_000) / 1_000_000;
+}
+
 function stableDecisionId(input: unknown): string {
   // Deterministic (non-crypto) hash. Good enough for IDs/logging/tests.
   const json = stableStringify(input);
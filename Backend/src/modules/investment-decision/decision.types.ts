@@ -45,6 +45,24 @@ export interface DecisionPreferences {
 
   /** Profit must cover gas by this multiplier; default is 4. */
   gasCoverMultiplier?: number;
+
+  /** Risk aversion λ (0 = risk-seeking, 1 = very risk-averse); default is 0.5. */
+  lambdaRiskAversion?: number;
+
+  /** Net utility gain over the planning horizon must exceed this; default is 0. */
+  thetaMinBenefit?: number;
+
+  /** Horizon (days) over which the utility gain must pay for gas; default is 7. */
+  planningHorizonDays?: number;
+}
+
+/**
+ * Estimated USD cost of one liquidation (withdraw) and one investment (add),
+ * including XCM fees on both chains; replaces the expectedGasUsd multipliers when known.
+ */
+export interface OperationCostsUsd {
+  withdraw: number;
+  add: number;
 }
 
 export interface CurrentPositionSnapshot {
@@ -86,6 +104,8 @@ export interface IdealPosition {
   allocationUsd: number;
   effectiveApyPct: number;
   ilRiskFactor: number;
+  /** Risk-adjusted return in % points: effectiveApyPct - λ × ilRiskFactor × 100. */
+  utilityPct: number;
 }
 
 export interface RebalanceActions {
@@ -104,13 +124,18 @@ export interface DecisionMetrics {
   estimatedGasTotalUsd: number;
   profit30dUsd: number;
   netProfit30dUsd: number;
+  /** Portfolio utility U = Σ w·(R − λ·S), annualised fraction of capital. */
+  currentUtility: number;
+  idealUtility: number;
+  /** (idealUtility − currentUtility) × horizon/365 − gas/capital. */
+  netUtilityGain: number;
 }
 
 export interface InvestmentDecisionResult {
   decisionId: string;
   createdAt: string;
 
-  eligibleCandidates: Array<CandidatePoolSnapshot & { effectiveApyPct: number; ilRiskFactor: number }>;
+  eligibleCandidates: Array<CandidatePoolSnapshot & { effectiveApyPct: number; ilRiskFactor: number; utilityPct: number }>;
   idealPositions: IdealPosition[];
   actions: RebalanceActions;
   metrics: DecisionMetrics;
@@ -0,0 +1,33 @@
+import { ArrayMinSize, IsArray, IsIn, IsInt, IsNumber, IsObject, IsOptional, IsPositive, Max, Min } from 'class-validator';
+import { BacktestStep } from '../backtest.types';
+import { DecisionPreferences } from '../decision.types';
+import { SnapshotGranularity } from '../../pools/entities/pool-snapshot.entity';
+
+export class BacktestDto {
+  /** Strategy preferences to replay. */
+  @IsObject()
+  prefs: DecisionPreferences;
+
+  /** Starting capital (USD) of the simulated portfolio. */
+  @IsNumber()
+  @IsPositive()
+  initialCapitalUsd: number;
+
+  /** Historical pool snapshots, one entry per decision step. If omitted, stored pool_snapshots are replayed. */
+  @IsOptional()
+  @IsArray()
+  @ArrayMinSize(1)
+  series?: BacktestStep[];
+
+  /** Window to replay from stored pool_snapshots (ignored when `series` is given). */
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(365)
+  lookbackDays?: number;
+
+  /** Step size when replaying stored pool_snapshots; default 1h. */
+  @IsOptional()
+  @IsIn([SnapshotGranularity.HOURLY, SnapshotGranularity.DAILY])
+  granularity?: SnapshotGranularity;
+}
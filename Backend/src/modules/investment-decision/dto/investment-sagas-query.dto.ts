@@ -0,0 +1,26 @@
+import { Transform, Type } from 'class-transformer';
+import { IsBoolean, IsEnum, IsInt, IsOptional, IsUUID, Max, Min } from 'class-validator';
+import { InvestmentSagaStep } from '../entities/investment-saga.entity';
+
+export class InvestmentSagasQueryDto {
+  @IsOptional()
+  @IsEnum(InvestmentSagaStep)
+  step?: InvestmentSagaStep;
+
+  /** Only sagas still moving (not confirmed, compensated or failed); ignored when `step` is set. */
+  @IsOptional()
+  @Transform(({ value }) => value === true || value === 'true')
+  @IsBoolean()
+  inFlight?: boolean;
+
+  @IsOptional()
+  @IsUUID()
+  userId?: string;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  limit?: number;
+}
@@ -0,0 +1,53 @@
+import { Entity, Column, PrimaryGeneratedColumn, Index } from 'typeorm';
+
+export enum DecisionRunTrigger {
+  SCHEDULED = 'scheduled',
+  MANUAL = 'manual',
+}
+
+export enum DecisionRunOutcome {
+  RUNNING = 'running',
+  EXECUTED = 'executed', // Rebalance was executed
+  NO_ACTION = 'no_action', // Evaluated, gates said no
+  SKIPPED = 'skipped', // Not evaluated (auto-invest off, no capital, ...)
+  FAILED = 'failed',
+}
+
+/**
+ * History of decision runs executed by DecisionSchedulerService.
+ */
+@Entity('decision_job_runs')
+@Index('IDX_decision_job_runs_user_started', ['userId', 'startedAt'])
+export class DecisionJobRun {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column('uuid')
+  userId: string;
+
+  @Column({ type: 'enum', enum: DecisionRunTrigger, enumName: 'decision_run_trigger_enum' })
+  trigger: DecisionRunTrigger;
+
+  @Column({
+    type: 'enum',
+    enum: DecisionRunOutcome,
+    enumName: 'decision_run_outcome_enum',
+    default: DecisionRunOutcome.RUNNING,
+  })
+  outcome: DecisionRunOutcome;
+
+  @Column({ type: 'timestamp' })
+  startedAt: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  finishedAt: Date | null;
+
+  @Column({ type: 'varchar', length: 64, nullable: true })
+  decisionId: string | null;
+
+  @Column({ type: 'text', nullable: true })
+  reason: string | null;
+
+  @Column({ type: 'varchar', length: 128 })
+  workerId: string;
+}
@@ -0,0 +1,30 @@
+import { Entity, Column, PrimaryColumn, CreateDateColumn, UpdateDateColumn, Index } from 'typeorm';
+
+/**
+ * One row per auto-invest user: when their next decision run is due and which
+ * backend replica, if any, currently holds it.
+ */
+@Entity('decision_jobs')
+@Index('IDX_decision_jobs_next_run', ['nextRunAt'])
+export class DecisionJob {
+  @PrimaryColumn('uuid')
+  userId: string;
+
+  @Column({ type: 'timestamp' })
+  nextRunAt: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  lastRunAt: Date | null;
+
+  @Column({ type: 'varchar', length: 128, nullable: true })
+  lockedBy: string | null; // Worker id of the replica running the job
+
+  @Column({ type: 'timestamp', nullable: true })
+  lockedUntil: Date | null; // Lease expiry; an expired lock can be reclaimed
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
@@ -0,0 +1,81 @@
+import { Entity, Column, PrimaryColumn, CreateDateColumn, Index } from 'typeorm';
+import {
+  CurrentPosition,
+  IdealAllocation,
+  PoolCandidate,
+  RebalanceAction,
+  UserInvestmentConfig,
+} from '../types/investment.types';
+
+export interface DecisionMetricsSnapshot {
+  currentWeightedApy: number;
+  idealWeightedApy: number;
+  apyImprovement: number;
+  currentUtility: number;
+  targetUtility: number;
+  grossUtilityImprovement: number;
+  netUtilityGain: number;
+  estimatedGasTotalUsd: number;
+  profit30dUsd: number;
+  netProfit30dUsd: number;
+  rebalancesTodayBefore: number;
+}
+
+/**
+ * Audit record of one evaluateInvestmentDecision() call: the inputs the engine
+ * saw, what it decided, and the positions dispatched if it was executed.
+ */
+@Entity('investment_decisions')
+@Index('IDX_investment_decisions_user_created', ['userId', 'createdAt'])
+export class InvestmentDecisionRecord {
+  @PrimaryColumn('uuid')
+  id: string; // RebalanceDecision.decisionId
+
+  @Column('uuid')
+  userId: string;
+
+  @Column({ type: 'boolean' })
+  shouldRebalance: boolean;
+
+  @Column({ type: 'text' })
+  reason: string;
+
+  // ---- Inputs ----
+
+  @Column({ type: 'decimal', precision: 20, scale: 2 })
+  availableCapitalUsd: string;
+
+  @Column({ type: 'decimal', precision: 20, scale: 2, nullable: true })
+  totalCapitalUsd: string | null;
+
+  @Column({ type: 'jsonb', nullable: true })
+  config: UserInvestmentConfig | null; // Null when preferences were missing
+
+  @Column({ type: 'jsonb', default: () => "'[]'" })
+  candidates: PoolCandidate[]; // Ranked candidate pools
+
+  @Column({ type: 'jsonb', default: () => "'[]'" })
+  currentPositions: CurrentPosition[];
+
+  // ---- Outputs ----
+
+  @Column({ type: 'jsonb', default: () => "'[]'" })
+  idealPortfolio: IdealAllocation[];
+
+  @Column({ type: 'jsonb', default: () => "'{\"toWithdraw\":[],\"toAdd\":[]}'" })
+  actions: { toWithdraw: RebalanceAction[]; toAdd: RebalanceAction[] };
+
+  @Column({ type: 'jsonb' })
+  metrics: DecisionMetricsSnapshot;
+
+  // ---- Execution ----
+
+  @Column({ type: 'timestamp', nullable: true })
+  executedAt: Date | null;
+
+  @Column({ type: 'jsonb', default: () => "'[]'" })
+  dispatchedPositionIds: string[]; // Asset Hub position ids (positions.assetHubPositionId)
+
+  @CreateDateColumn()
+  createdAt: Date;
+}
@@ -0,0 +1,96 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, Index } from 'typeorm';
+
+/**
+ * Steps of the two-phase Asset Hub → Moonbeam investment, in order:
+ * - DISPATCHED: dispatchInvestment mined on Asset Hub, XCM transfer in flight
+ * - XCM_ARRIVED: the transferred asset is held by XCMProxy
+ * - RECEIVED: receiveAssets() registered the pending position on Moonbeam
+ * - EXECUTED: executePendingInvestment() minted the LP position
+ * - CONFIRMED: confirmExecution() moved the Asset Hub position to Active
+ */
+export enum InvestmentSagaStep {
+  DISPATCHED = 'dispatched',
+  XCM_ARRIVED = 'xcm_arrived',
+  RECEIVED = 'received',
+  EXECUTED = 'executed',
+  CONFIRMED = 'confirmed',
+  COMPENSATING = 'compensating', // A step failed permanently; undoing the earlier ones
+  COMPENSATED = 'compensated', // Funds returned to the user's vault balance
+  FAILED = 'failed', // Needs manual intervention
+}
+
+/**
+ * Persisted state of one investment dispatched by the decision engine, driven
+ * forward by chain events and InvestmentSagaService's poller so a restart
+ * never loses an in-flight XCM.
+ */
+@Entity('investment_sagas')
+@Index('IDX_investment_sagas_step_next_attempt', ['step', 'nextAttemptAt'])
+@Index('IDX_investment_sagas_user_created', ['userId', 'createdAt'])
+export class InvestmentSaga {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column('uuid')
+  userId: string;
+
+  @Column({ type: 'uuid', nullable: true })
+  decisionId: string | null; // investment_decisions row that produced it
+
+  @Column({ type: 'uuid', nullable: true })
+  poolId: string | null;
+
+  @Column({ type: 'varchar', length: 42 })
+  poolAddress: string;
+
+  @Column({ type: 'varchar', length: 66, unique: true })
+  assetHubPositionId: string;
+
+  @Column({ type: 'decimal', precision: 78, scale: 0 })
+  amount: string; // Base asset amount in planck
+
+  @Column({ type: 'text' })
+  moonbeamCalldata: string; // Phase 2 receiveAssets() calldata
+
+  @Column({ type: 'decimal', precision: 78, scale: 0, nullable: true })
+  arrivalBaseline: string | null; // Unclaimed XCMProxy balance of the token before the XCM arrived
+
+  @Column({ type: 'enum', enum: InvestmentSagaStep, enumName: 'investment_saga_step_enum' })
+  step: InvestmentSagaStep;
+
+  @Column({ type: 'timestamp' })
+  stepStartedAt: Date; // Per-step timeouts count from here
+
+  @Column({ type: 'int', default: 0 })
+  stepAttempts: number; // Failed attempts at the current step
+
+  @Column({ type: 'timestamp' })
+  nextAttemptAt: Date; // When the poller next looks at it
+
+  @Column({ type: 'enum', enum: InvestmentSagaStep, enumName: 'investment_saga_step_enum', nullable: true })
+  failedStep: InvestmentSagaStep | null; // Step that triggered compensation or failure
+
+  @Column({ type: 'text', nullable: true })
+  lastError: string | null;
+
+  @Column({ type: 'int', nullable: true })
+  moonbeamPositionId: number | null; // XCMProxy local position id, once executed
+
+  @Column({ type: 'varchar', length: 66, nullable: true })
+  compensationTxHash: string | null;
+
+  @Column({ type: 'varchar', length: 128, nullable: true })
+  lockedBy: string | null; // Worker id of the replica advancing it
+
+  @Column({ type: 'timestamp', nullable: true })
+  lockedUntil: Date | null;
+
+  @Column({ type: 'timestamp', nullable: true })
+  completedAt: Date | null; // Reached CONFIRMED, COMPENSATED or FAILED
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
@@ -1,4 +1,7 @@
 export * from './investment-decision.module';
 export * from './investment-decision.service';
 export * from './investment-decision.worker';
+export * from './decision-scheduler.service';
+export * from './backtest.service';
+export * from './investment-saga.service';
 export * from './types';
@@ -1,11 +1,12 @@
 import { Test, TestingModule } from '@nestjs/testing';
-import { BadRequestException, ForbiddenException } from '@nestjs/common';
+import { BadRequestException, ForbiddenException, NotFoundException } from '@nestjs/common';
 import {
   InvestmentDecisionController,
   InvestmentDecisionRequestDto,
   InvestmentDecisionResponse,
 } from './investment-decision.controller';
 import { InvestmentDecisionService } from './investment-decision.service';
+import { BacktestService } from './backtest.service';
 import { RebalanceDecision, RebalanceAction } from './types/investment.types';
 import { User } from '../users/entities/user.entity';
 
@@ -27,6 +28,7 @@ describe('InvestmentDecisionController', () => {
 
   // Mock decision data
   const mockRebalanceDecision: RebalanceDecision = {
+    decisionId: 'dec-1',
     shouldRebalance: true,
     reason: 'Portfolio optimization opportunity found with sufficient utility gain',
     rebalancesTodayBefore: 0,
@@ -112,6 +114,9 @@ describe('InvestmentDecisionController', () => {
       evaluateInvestmentDecision: jest.fn(),
       getUserBalanceByWallet: jest.fn().mockResolvedValue(1000),
       getUserBalance: jest.fn().mockResolvedValue(1000),
+      getDecisionHistory: jest.fn(),
+      getDecision: jest.fn(),
+      getDecisionPositions: jest.fn().mockResolvedValue([]),
     };
 
     const module: TestingModule = await Test.createTestingModule({
@@ -121,6 +126,10 @@ describe('InvestmentDecisionController', () => {
           provide: InvestmentDecisionService,
           useValue: mockInvestmentDecisionService,
         },
+        {
+          provide: BacktestService,
+          useValue: { run: jest.fn() },
+        },
       ],
     }).compile();
 
@@ -373,4 +382,33 @@ describe('InvestmentDecisionController', () => {
       expect(result.metadata?.calculatedAt).toBeDefined();
     });
   });
+
+  describe('Decision audit endpoints', () => {
+    it('lists only the caller\'s decisions', async () => {
+      investmentDecisionService.getDecisionHistory.mockResolvedValue([[], 0]);
+
+      const result = await controller.getDecisionHistory(mockUser, 500, 0);
+
+      expect(investmentDecisionService.getDecisionHistory).toHaveBeenCalledWith(mockUser.id, 100, 0);
+      expect(result).toEqual({ decisions: [], count: 0 });
+    });
+
+    it('returns a decision with its dispatched positions', async () => {
+      const record = { id: 'dec-1', userId: mockUser.id, dispatchedPositionIds: ['0xaa'] } as any;
+      investmentDecisionService.getDecision.mockResolvedValue(record);
+      investmentDecisionService.getDecisionPositions.mockResolvedValue([{ id: 'pos-1' }] as any);
+
+      const result = await controller.getDecision('dec-1', mockUser);
+
+      expect(result.positions).toEqual([{ id: 'pos-1' }]);
+    });
+
+    it('rejects another user\'s decision and unknown ids', async () => {
+      investmentDecisionService.getDecision.mockResolvedValueOnce({ id: 'dec-1', userId: 'someone-else' } as any);
+      await expect(controller.getDecision('dec-1', mockUser)).rejects.toBeInstanceOf(ForbiddenException);
+
+      investmentDecisionService.getDecision.mockResolvedValueOnce(null);
+      await expect(controller.getDecision('dec-2', mockUser)).rejects.toBeInstanceOf(NotFoundException);
+    });
+  });
 });
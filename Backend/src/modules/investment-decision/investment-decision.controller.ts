@@ -10,13 +10,21 @@ import {
   BadRequestException,
   UseGuards,
   ForbiddenException,
+  NotFoundException,
+  ParseUUIDPipe,
+  Query,
 } from '@nestjs/common';
 import { ApiTags, ApiOperation, ApiBearerAuth } from '@nestjs/swagger';
 import { InvestmentDecisionService } from './investment-decision.service';
+import { BacktestService } from './backtest.service';
+import { BacktestDto } from './dto/backtest.dto';
+import { BacktestReport } from './backtest.types';
 import { JwtAuthGuard } from '../auth/jwt-auth.guard';
 import { CurrentUser } from '../../common/decorators/current-user.decorator';
 import { User } from '../users/entities/user.entity';
 import { RebalanceDecision, RebalanceAction } from './types/investment.types';
+import { InvestmentDecisionRecord } from './entities/investment-decision.entity';
+import { Position } from '../positions/entities/position.entity';
 
 // ============================================================
 // DTOs - Request/Response Types
@@ -165,6 +173,7 @@ export class InvestmentDecisionController {
 
   constructor(
     private readonly investmentDecisionService: InvestmentDecisionService,
+    private readonly backtestService: BacktestService,
   ) { }
 
   /**
@@ -221,6 +230,20 @@ export class InvestmentDecisionController {
     }
   }
 
+  /**
+   * POST /api/investmentDecisions/backtest
+   *
+   * Replay a preference set over historical pool snapshots (from the request,
+   * or the last `lookbackDays` of pool_snapshots) and report the equity curve,
+   * realized APY, rebalance count and blocking gate reasons.
+   */
+  @ApiOperation({ summary: 'Backtest decision preferences over historical pool snapshots' })
+  @Post('backtest')
+  @HttpCode(HttpStatus.OK)
+  async backtest(@Body() dto: BacktestDto): Promise<BacktestReport> {
+    return this.backtestService.run(dto);
+  }
+
   /**
    * GET /api/investmentDecisions/wallet/:address
    * 
@@ -315,6 +338,45 @@ export class InvestmentDecisionController {
     }
   }
 
+  /**
+   * GET /api/investmentDecisions/history
+   *
+   * The caller's persisted decisions, newest first.
+   */
+  @ApiOperation({ summary: 'List persisted investment decisions' })
+  @Get('history')
+  async getDecisionHistory(
+    @CurrentUser() currentUser: User,
+    @Query('limit') limit = 20,
+    @Query('offset') offset = 0,
+  ): Promise<{ decisions: InvestmentDecisionRecord[]; count: number }> {
+    const [decisions, count] = await this.investmentDecisionService.getDecisionHistory(
+      currentUser.id,
+      Math.min(Number(limit), 100),
+      Number(offset),
+    );
+    return { decisions, count };
+  }
+
+  /**
+   * GET /api/investmentDecisions/:decisionId
+   *
+   * One persisted decision with its inputs, outputs and the positions it dispatched.
+   */
+  @ApiOperation({ summary: 'Get a persisted investment decision' })
+  @Get(':decisionId')
+  async getDecision(
+    @Param('decisionId', new ParseUUIDPipe()) decisionId: string,
+    @CurrentUser() currentUser: User,
+  ): Promise<InvestmentDecisionRecord & { positions: Position[] }> {
+    const decision = await this.investmentDecisionService.getDecision(decisionId);
+    if (!decision) throw new NotFoundException(`Decision ${decisionId} not found`);
+    if (decision.userId !== currentUser.id) throw new ForbiddenException();
+
+    const positions = await this.investmentDecisionService.getDecisionPositions(decision);
+    return { ...decision, positions };
+  }
+
   // ============================================================
   // Private Helpers
   // ============================================================
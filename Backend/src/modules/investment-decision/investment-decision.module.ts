@@ -4,21 +4,34 @@ import { ScheduleModule } from '@nestjs/schedule';
 import { InvestmentDecisionService } from './investment-decision.service';
 import { InvestmentDecisionWorker } from './investment-decision.worker';
 import { InvestmentDecisionController } from './investment-decision.controller';
+import { DecisionSchedulerService } from './decision-scheduler.service';
+import { DecisionScheduleController } from './decision-schedule.controller';
+import { DecisionJob } from './entities/decision-job.entity';
+import { DecisionJobRun } from './entities/decision-job-run.entity';
+import { InvestmentDecisionRecord } from './entities/investment-decision.entity';
+import { BacktestService } from './backtest.service';
+import { InvestmentSagaService } from './investment-saga.service';
+import { InvestmentSagaController } from './investment-saga.controller';
+import { InvestmentSaga } from './entities/investment-saga.entity';
 import { Pool } from '../pools/entities/pool.entity';
 import { Position } from '../positions/entities/position.entity';
 import { User } from '../users/entities/user.entity';
 import { UserPreference } from '../preferences/entities/user-preference.entity';
 import { ActivityLog } from '../activity-logs/entities/activity-log.entity';
 import { BlockchainModule } from '../blockchain/blockchain.module';
+import { PoolsModule } from '../pools/pools.module';
+import { AlertsModule } from '../alerts/alerts.module';
 
 @Module({
   imports: [
-    TypeOrmModule.forFeature([Pool, Position, User, UserPreference, ActivityLog]),
+    TypeOrmModule.forFeature([Pool, Position, User, UserPreference, ActivityLog, DecisionJob, DecisionJobRun, InvestmentDecisionRecord, InvestmentSaga]),
     ScheduleModule.forRoot(),
     BlockchainModule,
+    PoolsModule,
+    AlertsModule,
   ],
-  controllers: [InvestmentDecisionController],
-  providers: [InvestmentDecisionService, InvestmentDecisionWorker],
-  exports: [InvestmentDecisionService],
+  controllers: [InvestmentDecisionController, DecisionScheduleController, InvestmentSagaController],
+  providers: [InvestmentDecisionService, InvestmentDecisionWorker, DecisionSchedulerService, BacktestService, InvestmentSagaService],
+  exports: [InvestmentDecisionService, InvestmentSagaService],
 })
 export class InvestmentDecisionModule {}
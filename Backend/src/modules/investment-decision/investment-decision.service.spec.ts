@@ -5,7 +5,8 @@ import { InvestmentDecisionService } from './investment-decision.service';
 import { Pool } from '../pools/entities/pool.entity';
 import { Position, PositionStatus } from '../positions/entities/position.entity';
 import { User } from '../users/entities/user.entity';
-import { UserPreference } from '../preferences/entities/user-preference.entity';
+import { UserPreference, OutOfRangePolicy, FeeCompoundingMode } from '../preferences/entities/user-preference.entity';
+import { InvestmentDecisionRecord } from './entities/investment-decision.entity';
 import { ActivityLog } from '../activity-logs/entities/activity-log.entity';
 import { RebalanceDecision } from './types/investment.types';
 import { AssetHubService } from '../blockchain/services/asset-hub.service';
@@ -14,7 +15,11 @@ import { XcmBuilderService } from '../blockchain/services/xcm-builder.service';
 import { XcmRetryService } from '../blockchain/services/xcm-retry.service';
 import { PriceService } from '../blockchain/services/price.service';
 import { TokenMathService } from '../blockchain/services/token-math.service';
+import { LiquidationQuoteService } from '../blockchain/services/liquidation-quote.service';
+import { XcmFeeService } from '../blockchain/services/xcm-fee.service';
 import { ConfigService } from '@nestjs/config';
+import { PoolHistoryService } from '../pools/pool-history.service';
+import { InvestmentSagaService } from './investment-saga.service';
 
 describe('InvestmentDecisionService', () => {
   let service: InvestmentDecisionService;
@@ -22,6 +27,8 @@ describe('InvestmentDecisionService', () => {
   let positionRepository: jest.Mocked<Repository<Position>>;
   let userRepository: jest.Mocked<Repository<User>>;
   let preferenceRepository: jest.Mocked<Repository<UserPreference>>;
+  let decisionRepository: { insert: jest.Mock; findOne: jest.Mock; save: jest.Mock; findAndCount: jest.Mock };
+  let xcmFeeService: { getOperationCostsUsd: jest.Mock };
 
   // Mock data
   const mockUser: User = {
@@ -53,6 +60,11 @@ describe('InvestmentDecisionService', () => {
     defaultUpperRangePercent: 10,
     maxIlLossPercent: '10',
     minPositionSizeUsd: '50',
+    outOfRangePolicy: OutOfRangePolicy.LIQUIDATE,
+    rerangeCooldownSeconds: 3600,
+    maxRerangesPerDay: 3,
+    feeCompoundingMode: FeeCompoundingMode.OFF,
+    minCompoundFeesUsd: '5.00',
     autoInvestEnabled: true,
     investmentCheckIntervalSeconds: 14400,
     // Rebalance tracking
@@ -148,6 +160,15 @@ describe('InvestmentDecisionService', () => {
       create: jest.fn().mockReturnValue(mockPreference),
     };
 
+    decisionRepository = {
+      insert: jest.fn(),
+      findOne: jest.fn(),
+      save: jest.fn(),
+      findAndCount: jest.fn().mockResolvedValue([[], 0]),
+    };
+
+    xcmFeeService = { getOperationCostsUsd: jest.fn().mockResolvedValue(null) };
+
     const module: TestingModule = await Test.createTestingModule({
       providers: [
         InvestmentDecisionService,
@@ -167,6 +188,10 @@ describe('InvestmentDecisionService', () => {
           provide: getRepositoryToken(UserPreference),
           useValue: mockPreferenceRepository,
         },
+        {
+          provide: getRepositoryToken(InvestmentDecisionRecord),
+          useValue: decisionRepository,
+        },
         {
           provide: AssetHubService,
           useValue: { isInitialized: jest.fn().mockReturnValue(false) },
@@ -208,6 +233,22 @@ describe('InvestmentDecisionService', () => {
             ),
           },
         },
+        {
+          provide: LiquidationQuoteService,
+          useValue: { getLiquidationMinimums: jest.fn() },
+        },
+        {
+          provide: XcmFeeService,
+          useValue: xcmFeeService,
+        },
+        {
+          provide: PoolHistoryService,
+          useValue: { getAverageApr: jest.fn().mockResolvedValue(new Map()) },
+        },
+        {
+          provide: InvestmentSagaService,
+          useValue: { start: jest.fn() },
+        },
         {
           provide: ConfigService,
           useValue: {
@@ -258,6 +299,35 @@ describe('InvestmentDecisionService', () => {
       expect(result).toHaveProperty('toWithdraw');
     });
 
+    const withEstablishedPools = () => {
+      const agedPools = mockPools.map(p => ({ ...p, createdAt: new Date(Date.now() - 60 * 86_400_000) }));
+      poolRepository.createQueryBuilder = jest.fn(() => ({
+        where: jest.fn().mockReturnThis(),
+        andWhere: jest.fn().mockReturnThis(),
+        leftJoinAndSelect: jest.fn().mockReturnThis(),
+        getMany: jest.fn().mockResolvedValue(agedPools),
+      })) as any;
+    };
+
+    it('prices rebalance actions with estimated XCM operation costs when available', async () => {
+      withEstablishedPools();
+      xcmFeeService.getOperationCostsUsd.mockResolvedValue({ withdraw: 0.9, add: 1.3 });
+
+      const result = await service.evaluateInvestmentDecision('user-123', 100000);
+
+      expect(result.toAdd.length).toBeGreaterThan(0);
+      expect(xcmFeeService.getOperationCostsUsd).toHaveBeenCalled();
+      expect(result.estimatedGasTotalUsd).toBeCloseTo(result.toWithdraw.length * 0.9 + result.toAdd.length * 1.3, 6);
+    });
+
+    it('falls back to expected gas multipliers without an estimate', async () => {
+      withEstablishedPools();
+      const result = await service.evaluateInvestmentDecision('user-123', 100000);
+
+      expect(result.toAdd.length).toBeGreaterThan(0);
+      expect(result.estimatedGasTotalUsd).toBeCloseTo(result.toWithdraw.length * 1.8 * 5 + result.toAdd.length * 1.6 * 5, 6);
+    });
+
     it('should respect minimum capital requirements', async () => {
       // Act - very small capital
       const result = await service.evaluateInvestmentDecision('user-123', 10);
@@ -267,6 +337,46 @@ describe('InvestmentDecisionService', () => {
     });
   });
 
+  describe('decision audit', () => {
+    it('persists each decision with its inputs and outputs', async () => {
+      const result = await service.evaluateInvestmentDecision('user-123', 1000);
+
+      expect(decisionRepository.insert).toHaveBeenCalledTimes(1);
+      const record = decisionRepository.insert.mock.calls[0][0];
+      expect(record).toMatchObject({
+        id: result.decisionId,
+        userId: 'user-123',
+        shouldRebalance: result.shouldRebalance,
+        reason: result.reason,
+        availableCapitalUsd: '1000.00',
+        actions: { toWithdraw: result.toWithdraw, toAdd: result.toAdd },
+      });
+      expect(record.config).toMatchObject({ minApy: 8, lambda: 0.5 });
+      expect(record.currentPositions).toEqual([]);
+      expect(record.metrics.netUtilityGain).toBe(result.netUtilityGain);
+    });
+
+    it('persists no-op decisions and survives audit write failures', async () => {
+      preferenceRepository.findOne.mockResolvedValue(null);
+      decisionRepository.insert.mockRejectedValue(new Error('db down'));
+
+      const result = await service.evaluateInvestmentDecision('user-123', 1000);
+
+      expect(result.reason).toBe('User preferences not found');
+      expect(decisionRepository.insert.mock.calls[0][0]).toMatchObject({ config: null, candidates: [] });
+    });
+
+    it('links dispatched positions when a decision is executed', async () => {
+      decisionRepository.findOne.mockResolvedValue({ id: 'dec-1', dispatchedPositionIds: ['0xaa'], executedAt: null });
+
+      await service.recordExecution('dec-1', ['0xbb', '0xaa']);
+
+      expect(decisionRepository.save).toHaveBeenCalledWith(
+        expect.objectContaining({ dispatchedPositionIds: ['0xaa', '0xbb'], executedAt: expect.any(Date) }),
+      );
+    });
+  });
+
   describe('evaluateForWallet', () => {
     it('should create user if not exists', async () => {
       // Arrange
@@ -14,17 +14,23 @@
 import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
 import { Repository, MoreThan, In, MoreThanOrEqual } from 'typeorm';
-import { Cron, CronExpression } from '@nestjs/schedule';
 import { ConfigService } from '@nestjs/config';
+import { randomUUID } from 'crypto';
 import { AssetHubService } from '../blockchain/services/asset-hub.service';
 import { MoonbeamService } from '../blockchain/services/moonbeam.service';
 import { XcmBuilderService } from '../blockchain/services/xcm-builder.service';
 import { PriceService } from '../blockchain/services/price.service';
 import { TokenMathService } from '../blockchain/services/token-math.service';
+import { LiquidationQuoteService } from '../blockchain/services/liquidation-quote.service';
+import { XcmFeeService } from '../blockchain/services/xcm-fee.service';
 import { Pool } from '../pools/entities/pool.entity';
+import { PoolHistoryService } from '../pools/pool-history.service';
 import { Position, PositionStatus } from '../positions/entities/position.entity';
 import { User } from '../users/entities/user.entity';
 import { UserPreference } from '../preferences/entities/user-preference.entity';
+import { InvestmentDecisionRecord } from './entities/investment-decision.entity';
+import { InvestmentSagaService } from './investment-saga.service';
+import { OperationCostsUsd } from './decision.types';
 import {
   PoolCandidate,
   IdealAllocation,
@@ -41,6 +47,16 @@ import {
   ExecuteDecisionParams,
 } from './types/investment.types';
 
+/** Inputs captured while computing a decision, for the audit record */
+interface DecisionInputs {
+  availableCapitalUsd: number;
+  totalCapitalUsd?: number;
+  config?: UserInvestmentConfig;
+  candidates?: PoolCandidate[];
+  currentPositions?: CurrentPosition[];
+  idealPortfolio?: IdealAllocation[];
+}
+
 @Injectable()
 export class InvestmentDecisionService implements OnModuleInit {
   private readonly logger = new Logger(InvestmentDecisionService.name);
@@ -57,97 +73,54 @@ export class InvestmentDecisionService implements OnModuleInit {
     private userRepository: Repository<User>,
     @InjectRepository(UserPreference)
     private preferenceRepository: Repository<UserPreference>,
+    @InjectRepository(InvestmentDecisionRecord)
+    private decisionRepository: Repository<InvestmentDecisionRecord>,
     private readonly assetHubService: AssetHubService,
     private readonly moonbeamService: MoonbeamService,
     private readonly xcmBuilderService: XcmBuilderService,
     private readonly priceService: PriceService,
     private readonly tokenMath: TokenMathService,
+    private readonly liquidationQuote: LiquidationQuoteService,
+    private readonly xcmFeeService: XcmFeeService,
     private readonly configService: ConfigService,
+    private readonly poolHistoryService: PoolHistoryService,
+    private readonly investmentSagaService: InvestmentSagaService,
   ) { }
 
   async onModuleInit() {
     this.logger.log('InvestmentDecisionService initialized');
   }
 
-  /**
-   * Cron job to run investment decisions every hour.
-   * Fetches all users and runs decision logic for them.
-   */
-  @Cron(CronExpression.EVERY_HOUR)
-  async scheduledDecisionRun() {
-    this.logger.log('Starting scheduled investment decision run...');
-    try {
-      // Fetch all active users
-      const users = await this.userRepository.find({ where: { isActive: true } });
-      this.logger.log(`Found ${users.length} active users to process.`);
-
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      for (const user of users) {
-        try {
-          const pref = await this.preferenceRepository.findOne({ where: { userId: user.id } });
-          if (!pref || !pref.autoInvestEnabled) {
-            this.logger.debug(`Skipping user ${user.id}: No prefs or auto-invest disabled`);
-            continue;
-          }
-
-          // Count rebalances today (from DB-backed counter)
-          const rebalancesToday = await this.getRebalancesToday(user.id);
-
-          // Fetch balance from Asset Hub
-          let availableCapitalUsd = 0;
-          try {
-            const balance = await this.assetHubService.getUserBalance(user.walletAddress);
-            availableCapitalUsd = await this.tokenMath.dotPlanckToUsd(balance);
-          } catch (e) {
-            this.logger.error(`Failed to fetch balance for ${user.id}: ${e.message}`);
-            continue;
-          }
-
-          if (availableCapitalUsd < 50) {
-            continue;
-          }
-
-          const decision = await this.evaluateInvestmentDecision(user.id, availableCapitalUsd);
-
-          if (decision.shouldRebalance) {
-            this.logger.log(`Executing decision for user ${user.id}`);
-            await this.executeDecision({
-              decision,
-              userWalletAddress: user.walletAddress,
-              baseAssetAddress: this.configService.get<string>('DEFAULT_BASE_ASSET', ''),
-              amountWei: BigInt(0),
-              lowerRangePercent: pref.defaultLowerRangePercent,
-              upperRangePercent: pref.defaultUpperRangePercent,
-              chainId: this.configService.get<number>('MOONBEAM_EVM_CHAIN_ID', 1284),
-            });
-          }
-
-        } catch (err) {
-          this.logger.error(`Failed to process user ${user.id}: ${err.message}`);
-        }
-      }
-    } catch (error) {
-      this.logger.error(`Scheduled run failed: ${error.message}`);
-    }
-  }
-
   /**
    * Main entry point: Evaluate investment decision for a specific user
-   * Called every 3-4 hours per user (or on trigger)
+   * Called every 3-4 hours per user (or on trigger).
+   * Every decision is persisted to investment_decisions with its inputs.
    */
   async evaluateInvestmentDecision(userId: string, availableCapitalUsd: number): Promise<RebalanceDecision> {
     this.logger.log(`Evaluating investment decision for user ${userId} with $${availableCapitalUsd} capital`);
 
+    const inputs: DecisionInputs = { availableCapitalUsd };
+    const decision = await this.computeDecision(userId, availableCapitalUsd, inputs);
+    await this.recordDecision(userId, decision, inputs);
+    return decision;
+  }
+
+  private async computeDecision(
+    userId: string,
+    availableCapitalUsd: number,
+    inputs: DecisionInputs,
+  ): Promise<RebalanceDecision> {
     // 1. Load user preferences and convert to config
     const config = await this.getUserConfig(userId);
     if (!config) {
       return this.createNoOpDecision('User preferences not found');
     }
+    inputs.config = config;
 
     // 2. Get current bot state
     const botState = await this.getBotState(userId, availableCapitalUsd);
+    inputs.totalCapitalUsd = botState.totalCapitalUsd;
+    inputs.currentPositions = botState.currentPositions;
 
     // 3. Check rate limiting
     const rebalancesToday = await this.getRebalancesToday(userId);
@@ -164,19 +137,24 @@ export class InvestmentDecisionService implements OnModuleInit {
 
     // 5. Step 2-3: Calculate real APY and sort
     const rankedPools = this.calculateAndRankPools(candidatePools, config);
+    inputs.candidates = rankedPools;
     if (rankedPools.length > 0) {
       this.logger.debug(`Top pool: ${rankedPools[0]?.pair} with effective APY ${rankedPools[0]?.effectiveApy.toFixed(2)}%`);
     }
 
     // 6. Step 4: Build ideal portfolio
     const idealPortfolio = this.buildIdealPortfolio(rankedPools, botState.totalCapitalUsd, config);
+    inputs.idealPortfolio = idealPortfolio;
     this.logger.debug(`Ideal portfolio has ${idealPortfolio.length} positions`);
 
     // 7. Step 5: Compare with current portfolio
     const { toWithdraw, toAdd } = this.comparePortfolios(botState.currentPositions, idealPortfolio, config);
 
-    // 8. Step 6: Estimate rebalancing costs
-    const estimatedGasTotal = this.estimateRebalancingCosts(toWithdraw, toAdd, config.expectedGasUsd);
+    // 8. Step 6: Estimate rebalancing costs (real XCM + gas costs when they can be estimated)
+    const operationCosts = toWithdraw.length + toAdd.length > 0
+      ? await this.xcmFeeService.getOperationCostsUsd()
+      : null;
+    const estimatedGasTotal = this.estimateRebalancingCosts(toWithdraw, toAdd, config.expectedGasUsd, operationCosts);
 
     // 9. Step 7: Calculate 30-day profit estimate
     const currentWeightedApy = this.calculateWeightedApy(botState.currentPositions, botState.totalCapitalUsd);
@@ -215,6 +193,7 @@ export class InvestmentDecisionService implements OnModuleInit {
 
     // Build decision
     const decision: RebalanceDecision = {
+      decisionId: randomUUID(),
       shouldRebalance,
       reason,
       currentWeightedApy,
@@ -239,6 +218,56 @@ export class InvestmentDecisionService implements OnModuleInit {
     return decision;
   }
 
+  /**
+   * Decisions for a user, newest first.
+   */
+  async getDecisionHistory(
+    userId: string,
+    limit = 20,
+    offset = 0,
+  ): Promise<[InvestmentDecisionRecord[], number]> {
+    return this.decisionRepository.findAndCount({
+      where: { userId },
+      order: { createdAt: 'DESC' },
+      take: limit,
+      skip: offset,
+    });
+  }
+
+  async getDecision(decisionId: string): Promise<InvestmentDecisionRecord | null> {
+    return this.decisionRepository.findOne({ where: { id: decisionId } });
+  }
+
+  /**
+   * Positions dispatched by a decision.
+   */
+  async getDecisionPositions(decision: InvestmentDecisionRecord): Promise<Position[]> {
+    if (decision.dispatchedPositionIds.length === 0) return [];
+    return this.positionRepository.find({
+      where: { assetHubPositionId: In(decision.dispatchedPositionIds) },
+      order: { createdAt: 'ASC' },
+    });
+  }
+
+  /**
+   * Mark a decision as executed and link the positions it dispatched
+   * (Asset Hub position ids).
+   */
+  async recordExecution(decisionId: string, assetHubPositionIds: string[]): Promise<void> {
+    try {
+      const record = await this.decisionRepository.findOne({ where: { id: decisionId } });
+      if (!record) {
+        this.logger.warn(`Decision ${decisionId} not found, cannot record execution`);
+        return;
+      }
+      record.executedAt = new Date();
+      record.dispatchedPositionIds = [...new Set([...record.dispatchedPositionIds, ...assetHubPositionIds])];
+      await this.decisionRepository.save(record);
+    } catch (error) {
+      this.logger.warn(`Failed to record execution of decision ${decisionId}: ${error.message}`);
+    }
+  }
+
   /**
    * Execute the decision by dispatching investments for each ideal position.
    */
@@ -256,6 +285,7 @@ export class InvestmentDecisionService implements OnModuleInit {
     }
 
     const dispatchedPositionIds: string[] = [];
+    const assetHubPositionIds: string[] = [];
 
     // Resolve user once for DB position creation
     const user = await this.userRepository.findOne({
@@ -284,13 +314,14 @@ export class InvestmentDecisionService implements OnModuleInit {
           continue;
         }
 
+        const minimums = await this.liquidationQuote.getLiquidationMinimums(moonbeamLocalId, dbPos.baseAsset);
         await this.moonbeamService.liquidateSwapAndReturn({
           positionId: moonbeamLocalId,
           baseAsset: dbPos.baseAsset,
           beneficiary: params.userWalletAddress,
-          minAmountOut0: 0n,
-          minAmountOut1: 0n,
-          limitSqrtPrice: 0n,
+          minAmountOut0: minimums.minAmountOut0,
+          minAmountOut1: minimums.minAmountOut1,
+          limitSqrtPrice: minimums.limitSqrtPrice,
           assetHubPositionId: dbPos.assetHubPositionId,
         });
 
@@ -300,7 +331,7 @@ export class InvestmentDecisionService implements OnModuleInit {
       }
     }
 
-    // Investments — two-phase: XCM transfer (AH) + EVM call (Moonbeam)
+    // Investments — Phase 1 (AH dispatch) here, the rest tracked by InvestmentSagaService
     for (const a of params.decision.toAdd) {
       try {
         this.logger.log(`Dispatching investment for pool ${a.poolId}, amount $${a.targetAllocationUsd}`);
@@ -348,25 +379,26 @@ export class InvestmentDecisionService implements OnModuleInit {
           dbPosition = await this.positionRepository.save(dbPosition);
         }
         dispatchedPositionIds.push(dbPosition.id);
-
-        // Wait for XCM to settle on Moonbeam (~30s for XCMP relay)
-        await new Promise(resolve => setTimeout(resolve, 30000));
-
-        // Phase 2: Backend calls receiveAssets() on Moonbeam
-        try {
-          await this.moonbeamService.callReceiveAssets(moonbeamCalldata);
-          this.logger.log(`Phase 2 done: receiveAssets() called for ${positionId}`);
-        } catch (phase2Error) {
-          this.logger.error(
-            `Phase 2 failed for ${positionId} (xcDOT at XCMProxy, retry manually): ${phase2Error instanceof Error ? phase2Error.message : String(phase2Error)}`,
-          );
-        }
+        assetHubPositionIds.push(positionId);
+
+        // XCM arrival, receiveAssets(), execution and confirmation continue in the saga
+        await this.investmentSagaService.start({
+          userId: user.id,
+          decisionId: params.decision.decisionId,
+          poolId: pool.id,
+          poolAddress: pool.poolAddress,
+          assetHubPositionId: positionId,
+          amount,
+          moonbeamCalldata,
+        });
       } catch (error) {
         this.logger.error(`Failed to dispatch investment for pool ${a.poolId}: ${error instanceof Error ? error.message : String(error)}`);
         // Continue with next investment — don't let one failure stop others
       }
     }
 
+    await this.recordExecution(params.decision.decisionId, assetHubPositionIds);
+
     // Increment rebalance counter so daily limit is enforced
     if (dispatchedPositionIds.length > 0) {
       await this.incrementRebalanceCount(user.id);
@@ -388,10 +420,6 @@ export class InvestmentDecisionService implements OnModuleInit {
     // TVL filter: TVL >= minTvlUsd
     query.andWhere('CAST(pool.tvl AS DECIMAL) >= :minTvl', { minTvl: config.minTvlUsd });
 
-    // APY filter: apy >= min_apy × 0.95 (slight tolerance)
-    const minApyThreshold = config.minApy * 0.95;
-    query.andWhere('CAST(pool.apr AS DECIMAL) >= :minApy', { minApy: minApyThreshold });
-
     // DEX filter (if specified)
     if (config.preferredDexes && config.preferredDexes.length > 0) {
       query.andWhere('dex.name IN (:...dexes)', { dexes: config.preferredDexes });
@@ -399,6 +427,17 @@ export class InvestmentDecisionService implements OnModuleInit {
 
     const pools = await query.getMany();
 
+    // 30-day APR from pool_snapshots; falls back to the latest 24h-fee APR for pools without history yet
+    let apr30dByPool = new Map<string, number>();
+    try {
+      apr30dByPool = await this.poolHistoryService.getAverageApr(pools.map(p => p.id), 30);
+    } catch (e) {
+      this.logger.warn(`Could not load 30d APR history, using latest APR: ${e instanceof Error ? e.message : String(e)}`);
+    }
+
+    // APY filter: apy >= min_apy × 0.95 (slight tolerance)
+    const minApyThreshold = config.minApy * 0.95;
+
     // Convert to PoolCandidate and apply token filter
     const candidates: PoolCandidate[] = [];
     const now = new Date();
@@ -418,6 +457,11 @@ export class InvestmentDecisionService implements OnModuleInit {
         continue;
       }
 
+      const apy30dAverage = apr30dByPool.get(pool.id) ?? parseFloat(pool.apr);
+      if (!(apy30dAverage >= minApyThreshold)) {
+        continue;
+      }
+
       candidates.push({
         poolId: pool.id,
         poolAddress: pool.poolAddress,
@@ -425,7 +469,7 @@ export class InvestmentDecisionService implements OnModuleInit {
         pair: `${pool.token0Symbol}/${pool.token1Symbol}`,
         token0Symbol: pool.token0Symbol,
         token1Symbol: pool.token1Symbol,
-        apy30dAverage: parseFloat(pool.apr), // Using apr field as APY
+        apy30dAverage,
         tvlUsd: parseFloat(pool.tvl),
         volume24hUsd: parseFloat(pool.volume24h),
         ageInDays: poolAge,
@@ -598,13 +642,19 @@ export class InvestmentDecisionService implements OnModuleInit {
 
   /**
    * Step 6: Estimate Rebalancing Costs (Section 4)
-   * estimated_gas_total = (len(to_withdraw) × 1.8 + len(to_add) × 1.6) × expected_gas
+   * estimated_gas_total = len(to_withdraw) × liquidate_cost + len(to_add) × invest_cost
+   * from XcmFeeService; without an estimate, falls back to
+   * (len(to_withdraw) × 1.8 + len(to_add) × 1.6) × expected_gas
    */
   private estimateRebalancingCosts(
     toWithdraw: RebalanceAction[],
     toAdd: RebalanceAction[],
-    expectedGasUsd: number
+    expectedGasUsd: number,
+    operationCosts: OperationCostsUsd | null = null,
   ): number {
+    if (operationCosts) {
+      return toWithdraw.length * operationCosts.withdraw + toAdd.length * operationCosts.add;
+    }
     const withdrawCost = toWithdraw.length * GAS_COEFFICIENTS.REMOVE_LIQUIDITY * expectedGasUsd;
     const addCost = toAdd.length * GAS_COEFFICIENTS.ADD_LIQUIDITY * expectedGasUsd;
     return withdrawCost + addCost;
@@ -933,11 +983,49 @@ export class InvestmentDecisionService implements OnModuleInit {
     await this.preferenceRepository.save(pref);
   }
 
+  /**
+   * Persist the decision and the inputs it was computed from. Failures are
+   * logged, never propagated: auditing must not block the decision itself.
+   */
+  private async recordDecision(userId: string, decision: RebalanceDecision, inputs: DecisionInputs): Promise<void> {
+    try {
+      await this.decisionRepository.insert({
+        id: decision.decisionId,
+        userId,
+        shouldRebalance: decision.shouldRebalance,
+        reason: decision.reason,
+        availableCapitalUsd: inputs.availableCapitalUsd.toFixed(2),
+        totalCapitalUsd: inputs.totalCapitalUsd !== undefined ? inputs.totalCapitalUsd.toFixed(2) : null,
+        config: inputs.config ?? null,
+        candidates: inputs.candidates ?? [],
+        currentPositions: inputs.currentPositions ?? [],
+        idealPortfolio: inputs.idealPortfolio ?? [],
+        actions: { toWithdraw: decision.toWithdraw, toAdd: decision.toAdd },
+        metrics: {
+          currentWeightedApy: decision.currentWeightedApy,
+          idealWeightedApy: decision.idealWeightedApy,
+          apyImprovement: decision.apyImprovement,
+          currentUtility: decision.currentUtility,
+          targetUtility: decision.targetUtility,
+          grossUtilityImprovement: decision.grossUtilityImprovement,
+          netUtilityGain: decision.netUtilityGain,
+          estimatedGasTotalUsd: decision.estimatedGasTotalUsd,
+          profit30dUsd: decision.profit30dUsd,
+          netProfit30dUsd: decision.netProfit30dUsd,
+          rebalancesTodayBefore: decision.rebalancesTodayBefore,
+        },
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to persist decision ${decision.decisionId}: ${error.message}`);
+    }
+  }
+
   /**
    * Create a no-op decision (when rebalancing is not needed/possible)
    */
   private createNoOpDecision(reason: string): RebalanceDecision {
     return {
+      decisionId: randomUUID(),
       shouldRebalance: false,
       reason,
       currentWeightedApy: 0,
@@ -0,0 +1,36 @@
+/**
+ * Investment Saga Controller
+ *
+ * Operator view of investment sagas, restricted to ADMIN_WALLET_ADDRESSES.
+ */
+
+import { Controller, Get, Param, ParseUUIDPipe, Query, UseGuards } from '@nestjs/common';
+import { InvestmentSagaService } from './investment-saga.service';
+import { InvestmentSaga } from './entities/investment-saga.entity';
+import { InvestmentSagasQueryDto } from './dto/investment-sagas-query.dto';
+import { JwtAuthGuard } from '../auth/jwt-auth.guard';
+import { AdminGuard } from '../../common/guards/admin.guard';
+
+@Controller('admin/investment-sagas')
+@UseGuards(JwtAuthGuard, AdminGuard)
+export class InvestmentSagaController {
+  constructor(private readonly sagaService: InvestmentSagaService) {}
+
+  /**
+   * List sagas, newest first
+   * GET /admin/investment-sagas?inFlight=true&step=received&userId=...&limit=50 — AUTH + ADMIN
+   */
+  @Get()
+  async findAll(@Query() query: InvestmentSagasQueryDto): Promise<InvestmentSaga[]> {
+    return this.sagaService.findAll(query);
+  }
+
+  /**
+   * One saga with its current step, attempts and last error
+   * GET /admin/investment-sagas/:id — AUTH + ADMIN
+   */
+  @Get(':id')
+  async findOne(@Param('id', new ParseUUIDPipe()) id: string): Promise<InvestmentSaga> {
+    return this.sagaService.findOne(id);
+  }
+}
@@ -0,0 +1,105 @@
+import { ethers } from 'ethers';
+import { InvestmentSagaStep } from './entities/investment-saga.entity';
+import {
+  DEFAULT_SAGA_STEP_TIMEOUTS,
+  SAGA_RETRY_MAX_MS,
+  claimedProxyAmount,
+  compensationFor,
+  decodeReceiveAssetsCalldata,
+  hasSagaAssetArrived,
+  holdsProxyAsset,
+  isStepExpired,
+  isTerminalStep,
+  sagaRetryDelayMs,
+  stepsBefore,
+} from './investment-saga.logic';
+
+describe('investment-saga.logic', () => {
+  const now = new Date('2025-01-01T12:00:00.000Z');
+  const secondsAgo = (s: number) => new Date(now.getTime() - s * 1000);
+
+  test('stepsBefore only allows forward moves, skipping steps is fine', () => {
+    expect(stepsBefore(InvestmentSagaStep.XCM_ARRIVED)).toEqual([InvestmentSagaStep.DISPATCHED]);
+    expect(stepsBefore(InvestmentSagaStep.EXECUTED)).toEqual([
+      InvestmentSagaStep.DISPATCHED,
+      InvestmentSagaStep.XCM_ARRIVED,
+      InvestmentSagaStep.RECEIVED,
+    ]);
+    expect(stepsBefore(InvestmentSagaStep.DISPATCHED)).toEqual([]);
+    expect(stepsBefore(InvestmentSagaStep.CONFIRMED)).not.toContain(InvestmentSagaStep.COMPENSATING);
+  });
+
+  test('only steps where the asset is known to be on Moonbeam can be compensated', () => {
+    expect(stepsBefore(InvestmentSagaStep.COMPENSATING)).toEqual([
+      InvestmentSagaStep.XCM_ARRIVED,
+      InvestmentSagaStep.RECEIVED,
+    ]);
+    expect(stepsBefore(InvestmentSagaStep.COMPENSATED)).toEqual([InvestmentSagaStep.COMPENSATING]);
+    expect(stepsBefore(InvestmentSagaStep.FAILED)).toContain(InvestmentSagaStep.COMPENSATING);
+  });
+
+  test('compensationFor refunds only through the Moonbeam pending position, never the vault', () => {
+    expect(compensationFor(InvestmentSagaStep.DISPATCHED)).toBeNull();
+    expect(compensationFor(InvestmentSagaStep.XCM_ARRIVED)).toEqual(['receive-assets', 'cancel-pending']);
+    expect(compensationFor(InvestmentSagaStep.RECEIVED)).toEqual(['cancel-pending']);
+    expect(compensationFor(InvestmentSagaStep.EXECUTED)).toBeNull();
+  });
+
+  test('isStepExpired uses the per-step timeout and ignores steps without one', () => {
+    const timeout = DEFAULT_SAGA_STEP_TIMEOUTS[InvestmentSagaStep.DISPATCHED];
+    expect(isStepExpired(InvestmentSagaStep.DISPATCHED, secondsAgo(timeout - 1), DEFAULT_SAGA_STEP_TIMEOUTS, now)).toBe(false);
+    expect(isStepExpired(InvestmentSagaStep.DISPATCHED, secondsAgo(timeout), DEFAULT_SAGA_STEP_TIMEOUTS, now)).toBe(true);
+    expect(isStepExpired(InvestmentSagaStep.COMPENSATING, secondsAgo(86_400), DEFAULT_SAGA_STEP_TIMEOUTS, now)).toBe(false);
+  });
+
+  test('sagaRetryDelayMs backs off exponentially up to the cap', () => {
+    expect(sagaRetryDelayMs(1)).toBe(5_000);
+    expect(sagaRetryDelayMs(3)).toBe(20_000);
+    expect(sagaRetryDelayMs(20)).toBe(SAGA_RETRY_MAX_MS);
+  });
+
+  test('isTerminalStep', () => {
+    expect(isTerminalStep(InvestmentSagaStep.CONFIRMED)).toBe(true);
+    expect(isTerminalStep(InvestmentSagaStep.COMPENSATED)).toBe(true);
+    expect(isTerminalStep(InvestmentSagaStep.FAILED)).toBe(true);
+    expect(isTerminalStep(InvestmentSagaStep.COMPENSATING)).toBe(false);
+  });
+
+  test('decodeReceiveAssetsCalldata extracts token and amount', () => {
+    const token = '0xFfFFfFff1FcaCBd218EDc0EbA20Fc2308C778080';
+    const calldata = new ethers.Interface(['function receiveAssets(bytes32, address, address, uint256, bytes)'])
+      .encodeFunctionData('receiveAssets', [ethers.ZeroHash, token, ethers.ZeroAddress, 123n, '0x']);
+
+    expect(decodeReceiveAssetsCalldata(calldata)).toEqual({ token, amount: 123n });
+  });
+
+  test('holdsProxyAsset covers arrived sagas and their compensation', () => {
+    expect(holdsProxyAsset({ step: InvestmentSagaStep.XCM_ARRIVED, failedStep: null })).toBe(true);
+    expect(holdsProxyAsset({ step: InvestmentSagaStep.RECEIVED, failedStep: null })).toBe(true);
+    expect(holdsProxyAsset({ step: InvestmentSagaStep.DISPATCHED, failedStep: null })).toBe(false);
+    expect(holdsProxyAsset({ step: InvestmentSagaStep.EXECUTED, failedStep: null })).toBe(false);
+    expect(holdsProxyAsset({ step: InvestmentSagaStep.COMPENSATING, failedStep: InvestmentSagaStep.RECEIVED })).toBe(true);
+    expect(holdsProxyAsset({ step: InvestmentSagaStep.COMPENSATING, failedStep: InvestmentSagaStep.DISPATCHED })).toBe(false);
+  });
+
+  test('claimedProxyAmount sums sagas holding the same token, whatever its case', () => {
+    const token = '0xFfFFfFff1FcaCBd218EDc0EbA20Fc2308C778080';
+    const encode = (asset: string, amount: bigint) =>
+      new ethers.Interface(['function receiveAssets(bytes32, address, address, uint256, bytes)'])
+        .encodeFunctionData('receiveAssets', [ethers.ZeroHash, asset, ethers.ZeroAddress, amount, '0x']);
+    const sagas = [
+      { step: InvestmentSagaStep.XCM_ARRIVED, failedStep: null, amount: '100', moonbeamCalldata: encode(token, 100n) },
+      { step: InvestmentSagaStep.RECEIVED, failedStep: null, amount: '20', moonbeamCalldata: encode(token.toLowerCase(), 20n) },
+      { step: InvestmentSagaStep.DISPATCHED, failedStep: null, amount: '5', moonbeamCalldata: encode(token, 5n) },
+      { step: InvestmentSagaStep.XCM_ARRIVED, failedStep: null, amount: '7', moonbeamCalldata: encode(ethers.ZeroAddress, 7n) },
+    ];
+
+    expect(claimedProxyAmount(sagas, token)).toBe(120n);
+    expect(claimedProxyAmount([], token)).toBe(0n);
+  });
+
+  test('hasSagaAssetArrived needs growth of the full amount over the baseline', () => {
+    expect(hasSagaAssetArrived(1_999n, 1_000n, 1_000n)).toBe(false);
+    expect(hasSagaAssetArrived(2_000n, 1_000n, 1_000n)).toBe(true);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Investment Saga Logic
+ *
+ * Pure rules for InvestmentSagaService: step ordering, per-step timeouts,
+ * retry backoff, which compensations undo a failed step and how much of
+ * XCMProxy's balance already belongs to other sagas.
+ */
+
+import { ethers } from 'ethers';
+import { InvestmentSaga, InvestmentSagaStep } from './entities/investment-saga.entity';
+
+const RECEIVE_ASSETS_INTERFACE = new ethers.Interface([
+  'function receiveAssets(bytes32, address, address, uint256, bytes)',
+]);
+
+/** Forward path of a successful saga. */
+export const SAGA_STEP_ORDER: InvestmentSagaStep[] = [
+  InvestmentSagaStep.DISPATCHED,
+  InvestmentSagaStep.XCM_ARRIVED,
+  InvestmentSagaStep.RECEIVED,
+  InvestmentSagaStep.EXECUTED,
+  InvestmentSagaStep.CONFIRMED,
+];
+
+export const TERMINAL_SAGA_STEPS: InvestmentSagaStep[] = [
+  InvestmentSagaStep.CONFIRMED,
+  InvestmentSagaStep.COMPENSATED,
+  InvestmentSagaStep.FAILED,
+];
+
+/** Steps the poller advances (every non-terminal step). */
+export const ACTIVE_SAGA_STEPS: InvestmentSagaStep[] = [
+  InvestmentSagaStep.DISPATCHED,
+  InvestmentSagaStep.XCM_ARRIVED,
+  InvestmentSagaStep.RECEIVED,
+  InvestmentSagaStep.EXECUTED,
+  InvestmentSagaStep.COMPENSATING,
+];
+
+/** Seconds a saga may spend in a step before the step counts as failed. */
+export type SagaStepTimeouts = Partial<Record<InvestmentSagaStep, number>>;
+
+export const DEFAULT_SAGA_STEP_TIMEOUTS: SagaStepTimeouts = {
+  [InvestmentSagaStep.DISPATCHED]: 600, // XCMP delivery
+  [InvestmentSagaStep.XCM_ARRIVED]: 300,
+  [InvestmentSagaStep.RECEIVED]: 600,
+  [InvestmentSagaStep.EXECUTED]: 1800,
+};
+
+/**
+ * Before the poller acts on RECEIVED or EXECUTED itself, it leaves the event
+ * listener's own orchestration this long to finish, so both don't race.
+ */
+export const SAGA_EVENT_GRACE_MS = 60_000;
+
+export const SAGA_RETRY_BASE_MS = 5_000;
+export const SAGA_RETRY_MAX_MS = 5 * 60_000;
+
+export function isTerminalStep(step: InvestmentSagaStep): boolean {
+  return TERMINAL_SAGA_STEPS.includes(step);
+}
+
+/**
+ * Steps that may move to `target`. Events can skip steps (a PositionExecuted
+ * seen while still DISPATCHED), but never move a saga backwards or out of
+ * compensation.
+ */
+export function stepsBefore(target: InvestmentSagaStep): InvestmentSagaStep[] {
+  const index = SAGA_STEP_ORDER.indexOf(target);
+  if (index > 0) return SAGA_STEP_ORDER.slice(0, index);
+  if (target === InvestmentSagaStep.COMPENSATING) return compensableSteps();
+  if (target === InvestmentSagaStep.COMPENSATED) return [InvestmentSagaStep.COMPENSATING];
+  if (target === InvestmentSagaStep.FAILED) return ACTIVE_SAGA_STEPS;
+  return [];
+}
+
+export function isStepExpired(
+  step: InvestmentSagaStep,
+  stepStartedAt: Date,
+  timeouts: SagaStepTimeouts,
+  now: Date,
+): boolean {
+  const seconds = timeouts[step];
+  return seconds !== undefined && now.getTime() - stepStartedAt.getTime() >= seconds * 1000;
+}
+
+/** Exponential backoff after `attempts` failed attempts, capped. */
+export function sagaRetryDelayMs(attempts: number): number {
+  return Math.min(SAGA_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), SAGA_RETRY_MAX_MS);
+}
+
+export type SagaCompensation = 'receive-assets' | 'cancel-pending';
+
+/**
+ * Compensations that undo a saga that failed at `step`, in order. Every
+ * refund goes through cancelPendingPosition(), which returns the asset to the
+ * user's Asset Hub account over XCM; exactly one refund path runs.
+ * - XCM_ARRIVED: XCMProxy holds the asset, so receiveAssets() turns it into a
+ *   pending position first, which is then cancelled
+ * - RECEIVED: the pending position is cancelled
+ * Returns null when the asset's whereabouts are unknown or an LP position
+ * exists, which is left to an operator:
+ * - DISPATCHED: the XCM may still be in flight or already in XCMProxy, so
+ *   crediting the vault (emergencyCancelPending) could refund funds that have
+ *   left it
+ * - EXECUTED: the LP position can only be liquidated
+ */
+export function compensationFor(step: InvestmentSagaStep): SagaCompensation[] | null {
+  switch (step) {
+    case InvestmentSagaStep.XCM_ARRIVED:
+      return ['receive-assets', 'cancel-pending'];
+    case InvestmentSagaStep.RECEIVED:
+      return ['cancel-pending'];
+    default:
+      return null;
+  }
+}
+
+function compensableSteps(): InvestmentSagaStep[] {
+  return SAGA_STEP_ORDER.filter(step => compensationFor(step) !== null);
+}
+
+/** Token and amount the Phase 2 receiveAssets() calldata expects XCMProxy to hold. */
+export function decodeReceiveAssetsCalldata(calldata: string): { token: string; amount: bigint } {
+  const [, token, , amount] = RECEIVE_ASSETS_INTERFACE.decodeFunctionData('receiveAssets', calldata);
+  return { token: String(token), amount: BigInt(amount) };
+}
+
+/** Steps in which a saga's transferred asset sits in XCMProxy on its behalf. */
+export const ASSET_HOLDING_SAGA_STEPS: InvestmentSagaStep[] = [
+  InvestmentSagaStep.XCM_ARRIVED,
+  InvestmentSagaStep.RECEIVED,
+];
+
+/**
+ * Whether XCMProxy holds this saga's asset: it arrived and has not yet been
+ * minted into an LP position, or is being compensated from one of those steps.
+ */
+export function holdsProxyAsset(saga: Pick<InvestmentSaga, 'step' | 'failedStep'>): boolean {
+  if (saga.step === InvestmentSagaStep.COMPENSATING) {
+    return !!saga.failedStep && ASSET_HOLDING_SAGA_STEPS.includes(saga.failedStep);
+  }
+  return ASSET_HOLDING_SAGA_STEPS.includes(saga.step);
+}
+
+/**
+ * Part of XCMProxy's `token` balance that sagas already counted as their
+ * arrival, so the same deposit is never credited to a second saga.
+ */
+export function claimedProxyAmount(
+  sagas: Pick<InvestmentSaga, 'step' | 'failedStep' | 'amount' | 'moonbeamCalldata'>[],
+  token: string,
+): bigint {
+  return sagas
+    .filter(saga => holdsProxyAsset(saga))
+    .filter(saga => decodeReceiveAssetsCalldata(saga.moonbeamCalldata).token.toLowerCase() === token.toLowerCase())
+    .reduce((sum, saga) => sum + BigInt(saga.amount), 0n);
+}
+
+/**
+ * A DISPATCHED saga's asset arrived once the unclaimed XCMProxy balance grew
+ * by its amount over the baseline recorded at dispatch.
+ */
+export function hasSagaAssetArrived(unclaimed: bigint, baseline: bigint, amount: bigint): boolean {
+  return unclaimed - baseline >= amount;
+}
@@ -0,0 +1,307 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ethers } from 'ethers';
+import { InvestmentSagaService } from './investment-saga.service';
+import { InvestmentSaga, InvestmentSagaStep } from './entities/investment-saga.entity';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { ActivityLog } from '../activity-logs/entities/activity-log.entity';
+import { AssetHubService, PositionStatus as VaultPositionStatus } from '../blockchain/services/asset-hub.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { BlockchainEventListenerService } from '../blockchain/services/event-listener.service';
+import { AlertsService } from '../alerts/alerts.service';
+import { AlertSeverity } from '../alerts/types/alert.types';
+
+describe('InvestmentSagaService', () => {
+  const now = new Date('2025-01-01T12:00:00.000Z');
+  const later = (ms: number) => new Date(now.getTime() + ms);
+  const positionId = '0x' + 'ab'.repeat(32);
+  const token = '0xFfFFfFff1FcaCBd218EDc0EbA20Fc2308C778080';
+  const calldata = new ethers.Interface(['function receiveAssets(bytes32, address, address, uint256, bytes)'])
+    .encodeFunctionData('receiveAssets', [positionId, token, ethers.ZeroAddress, 1_000n, '0x']);
+
+  let service: InvestmentSagaService;
+  let rows: Map<string, InvestmentSaga>;
+  let moonbeam: Record<string, jest.Mock>;
+  let assetHub: Record<string, jest.Mock>;
+  let alerts: { send: jest.Mock };
+  let positionRepository: { update: jest.Mock };
+  let callbacks: any;
+
+  const saga = (overrides: Partial<InvestmentSaga> = {}): InvestmentSaga => {
+    const row = {
+      id: 'saga-1',
+      userId: 'user-1',
+      decisionId: null,
+      poolId: 'pool-1',
+      poolAddress: '0x0000000000000000000000000000000000000001',
+      assetHubPositionId: positionId,
+      amount: '1000',
+      moonbeamCalldata: calldata,
+      arrivalBaseline: '0',
+      step: InvestmentSagaStep.DISPATCHED,
+      stepStartedAt: now,
+      stepAttempts: 0,
+      nextAttemptAt: now,
+      failedStep: null,
+      lastError: null,
+      moonbeamPositionId: null,
+      compensationTxHash: null,
+      lockedBy: null,
+      lockedUntil: null,
+      completedAt: null,
+      ...overrides,
+    } as InvestmentSaga;
+    rows.set(row.id, row);
+    return { ...row };
+  };
+  const stored = () => rows.get('saga-1');
+
+  beforeEach(async () => {
+    rows = new Map();
+    moonbeam = {
+      getLocalPositionId: jest.fn(async () => 0),
+      getPendingPosition: jest.fn(async () => null),
+      getTokenBalance: jest.fn(async () => 0n),
+      callReceiveAssets: jest.fn(async () => undefined),
+      executePendingInvestment: jest.fn(async () => 7),
+      getPosition: jest.fn(async () => ({ liquidity: 55n })),
+      cancelPendingPosition: jest.fn(async () => '0xcancel'),
+    };
+    assetHub = {
+      getPosition: jest.fn(async () => ({ status: VaultPositionStatus.PENDING })),
+      confirmExecution: jest.fn(async () => undefined),
+      emergencyCancelPending: jest.fn(async () => '0xrefund'),
+    };
+    alerts = { send: jest.fn(async () => true) };
+    positionRepository = { update: jest.fn() };
+
+    // Conditional updates: criteria.step is an In() operator or a plain value
+    const sagaRepository = {
+      update: jest.fn(async (criteria: any, patch: any) => {
+        const row = rows.get(criteria.id);
+        const steps: InvestmentSagaStep[] | undefined = criteria.step?.value ?? (criteria.step ? [criteria.step] : undefined);
+        if (!row || (steps && !steps.includes(row.step))) return { affected: 0 };
+        Object.assign(row, patch);
+        return { affected: 1 };
+      }),
+      findOne: jest.fn(async ({ where }) => [...rows.values()].find(r => r.assetHubPositionId === where.assetHubPositionId) ?? null),
+      find: jest.fn(async ({ where }) => [...rows.values()].filter(r => where.step.value.includes(r.step)).map(r => ({ ...r }))),
+      create: jest.fn(data => data),
+      save: jest.fn(async data => ({ id: 'saga-1', ...data })),
+    };
+
+    const config: Record<string, unknown> = { INVESTMENT_SAGA_MAX_STEP_ATTEMPTS: 2 };
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        InvestmentSagaService,
+        { provide: getRepositoryToken(InvestmentSaga), useValue: sagaRepository },
+        { provide: getRepositoryToken(Position), useValue: positionRepository },
+        { provide: getRepositoryToken(ActivityLog), useValue: { create: jest.fn(d => d), save: jest.fn() } },
+        { provide: AssetHubService, useValue: assetHub },
+        { provide: MoonbeamService, useValue: moonbeam },
+        { provide: BlockchainEventListenerService, useValue: { registerCallbacks: jest.fn(c => (callbacks = c)) } },
+        { provide: AlertsService, useValue: alerts },
+        { provide: ConfigService, useValue: { get: (key: string, fallback?: unknown) => config[key] ?? fallback } },
+      ],
+    }).compile();
+
+    service = module.get(InvestmentSagaService);
+    service.onModuleInit();
+  });
+
+  it('starts in DISPATCHED and waits until XCMProxy holds the transferred amount', async () => {
+    const started = await service.start(
+      { userId: 'user-1', poolAddress: '0x01', assetHubPositionId: positionId, amount: 1_000n, moonbeamCalldata: calldata },
+      now,
+    );
+    expect(started).toMatchObject({
+      step: InvestmentSagaStep.DISPATCHED,
+      amount: '1000',
+      arrivalBaseline: '0',
+      nextAttemptAt: later(15_000),
+    });
+
+    saga();
+    moonbeam.getTokenBalance.mockResolvedValueOnce(999n);
+    await service.advance(saga(), now);
+    expect(stored().step).toBe(InvestmentSagaStep.DISPATCHED);
+    expect(moonbeam.getTokenBalance).toHaveBeenCalledWith(token);
+
+    moonbeam.getTokenBalance.mockResolvedValueOnce(1_000n);
+    await service.advance(saga(), now);
+    expect(stored().step).toBe(InvestmentSagaStep.XCM_ARRIVED);
+  });
+
+  it('measures the arrival from the XCMProxy balance recorded at dispatch', async () => {
+    moonbeam.getTokenBalance.mockResolvedValue(5_000n);
+    const started = await service.start(
+      { userId: 'user-1', poolAddress: '0x01', assetHubPositionId: positionId, amount: 1_000n, moonbeamCalldata: calldata },
+      now,
+    );
+    expect(started.arrivalBaseline).toBe('5000');
+
+    // Other users' funds already in XCMProxy do not count as this transfer
+    saga({ arrivalBaseline: '5000' });
+    await service.advance(saga({ arrivalBaseline: '5000' }), now);
+    expect(stored().step).toBe(InvestmentSagaStep.DISPATCHED);
+
+    moonbeam.getTokenBalance.mockResolvedValue(6_000n);
+    await service.advance({ ...stored() }, now);
+    expect(stored().step).toBe(InvestmentSagaStep.XCM_ARRIVED);
+  });
+
+  it('credits one arrival to only one of two sagas for the same token', async () => {
+    const otherPositionId = '0x' + 'cd'.repeat(32);
+    const otherCalldata = new ethers.Interface(['function receiveAssets(bytes32, address, address, uint256, bytes)'])
+      .encodeFunctionData('receiveAssets', [otherPositionId, token.toLowerCase(), ethers.ZeroAddress, 1_000n, '0x']);
+    saga({ arrivalBaseline: '0' });
+    saga({ id: 'saga-2', assetHubPositionId: otherPositionId, moonbeamCalldata: otherCalldata, arrivalBaseline: '0' });
+
+    moonbeam.getTokenBalance.mockResolvedValue(1_000n);
+    await service.advance({ ...rows.get('saga-1') }, now);
+    await service.advance({ ...rows.get('saga-2') }, now);
+    expect(stored().step).toBe(InvestmentSagaStep.XCM_ARRIVED);
+    expect(rows.get('saga-2').step).toBe(InvestmentSagaStep.DISPATCHED);
+
+    // The second transfer lands
+    moonbeam.getTokenBalance.mockResolvedValue(2_000n);
+    await service.advance({ ...rows.get('saga-2') }, now);
+    expect(rows.get('saga-2').step).toBe(InvestmentSagaStep.XCM_ARRIVED);
+  });
+
+  it('records a baseline on the first check when none was taken at dispatch, and lowers it when funds leave', async () => {
+    moonbeam.getTokenBalance.mockResolvedValue(3_000n);
+    await service.advance(saga({ arrivalBaseline: null }), now);
+    expect(stored()).toMatchObject({ step: InvestmentSagaStep.DISPATCHED, arrivalBaseline: '3000' });
+
+    // Liquidation proceeds swept out of XCMProxy before the transfer landed
+    moonbeam.getTokenBalance.mockResolvedValue(500n);
+    await service.advance({ ...stored() }, now);
+    expect(stored()).toMatchObject({ step: InvestmentSagaStep.DISPATCHED, arrivalBaseline: '500' });
+
+    moonbeam.getTokenBalance.mockResolvedValue(1_500n);
+    await service.advance({ ...stored() }, now);
+    expect(stored().step).toBe(InvestmentSagaStep.XCM_ARRIVED);
+  });
+
+  it('calls receiveAssets once the XCM arrived, then executes and confirms', async () => {
+    await service.advance(saga({ step: InvestmentSagaStep.XCM_ARRIVED }), now);
+    expect(moonbeam.callReceiveAssets).toHaveBeenCalledWith(calldata);
+    expect(stored().step).toBe(InvestmentSagaStep.RECEIVED);
+
+    // Leaves execution to the event listener during the grace period
+    moonbeam.getPendingPosition.mockResolvedValue({ amount: 1_000n });
+    await service.advance({ ...stored() }, later(10_000));
+    expect(moonbeam.executePendingInvestment).not.toHaveBeenCalled();
+
+    await service.advance({ ...stored(), stepStartedAt: now }, later(61_000));
+    expect(moonbeam.executePendingInvestment).toHaveBeenCalledWith(positionId);
+    expect(stored()).toMatchObject({ step: InvestmentSagaStep.EXECUTED, moonbeamPositionId: 7 });
+
+    await service.advance({ ...stored(), stepStartedAt: now }, later(61_000));
+    expect(assetHub.confirmExecution).toHaveBeenCalledWith(positionId, '7', 55n);
+    expect(stored()).toMatchObject({ step: InvestmentSagaStep.CONFIRMED, completedAt: later(61_000) });
+  });
+
+  it('skips ahead when Moonbeam already has the pending position', async () => {
+    moonbeam.getPendingPosition.mockResolvedValue({ amount: 1_000n });
+
+    await service.advance(saga(), now);
+
+    expect(stored().step).toBe(InvestmentSagaStep.RECEIVED);
+    expect(moonbeam.callReceiveAssets).not.toHaveBeenCalled();
+  });
+
+  it('moves forward on chain events but never backwards', async () => {
+    saga({ step: InvestmentSagaStep.RECEIVED });
+
+    await callbacks.moonbeam.onPositionExecuted({ assetHubPositionId: positionId, localPositionId: 9 });
+    await new Promise(setImmediate);
+    expect(stored()).toMatchObject({ step: InvestmentSagaStep.EXECUTED, moonbeamPositionId: 9 });
+
+    await callbacks.moonbeam.onPendingPositionCreated({ assetHubPositionId: positionId });
+    await new Promise(setImmediate);
+    expect(stored().step).toBe(InvestmentSagaStep.EXECUTED);
+
+    await callbacks.assetHub.onExecutionConfirmed({ positionId });
+    await new Promise(setImmediate);
+    expect(stored().step).toBe(InvestmentSagaStep.CONFIRMED);
+  });
+
+  describe('compensation refunds exactly once', () => {
+    const refunds = () => moonbeam.cancelPendingPosition.mock.calls.length + assetHub.emergencyCancelPending.mock.calls.length;
+
+    it('cancels a timed-out pending position on Moonbeam only', async () => {
+      await service.advance(saga({ step: InvestmentSagaStep.RECEIVED }), later(600_000));
+      expect(stored()).toMatchObject({ step: InvestmentSagaStep.COMPENSATING, failedStep: InvestmentSagaStep.RECEIVED });
+
+      moonbeam.getPendingPosition.mockResolvedValue({ amount: 1_000n });
+      await service.advance({ ...stored() }, later(601_000));
+
+      expect(moonbeam.cancelPendingPosition).toHaveBeenCalledWith(positionId);
+      expect(assetHub.emergencyCancelPending).not.toHaveBeenCalled();
+      expect(refunds()).toBe(1);
+      expect(stored()).toMatchObject({ step: InvestmentSagaStep.COMPENSATED, compensationTxHash: '0xcancel' });
+      expect(positionRepository.update).toHaveBeenCalledWith({ assetHubPositionId: positionId }, expect.objectContaining({ status: PositionStatus.FAILED }));
+      expect(alerts.send).toHaveBeenCalledWith(expect.objectContaining({ severity: AlertSeverity.WARNING }));
+    });
+
+    it('claims assets held by XCMProxy with receiveAssets before cancelling', async () => {
+      await service.advance(saga({ step: InvestmentSagaStep.XCM_ARRIVED }), later(300_000));
+      expect(stored()).toMatchObject({ step: InvestmentSagaStep.COMPENSATING, failedStep: InvestmentSagaStep.XCM_ARRIVED });
+
+      moonbeam.callReceiveAssets.mockImplementation(async () => {
+        moonbeam.getPendingPosition.mockResolvedValue({ amount: 1_000n });
+      });
+      await service.advance({ ...stored() }, later(301_000));
+
+      expect(moonbeam.callReceiveAssets).toHaveBeenCalledWith(calldata);
+      expect(moonbeam.callReceiveAssets.mock.invocationCallOrder[0])
+        .toBeLessThan(moonbeam.cancelPendingPosition.mock.invocationCallOrder[0]);
+      expect(assetHub.emergencyCancelPending).not.toHaveBeenCalled();
+      expect(refunds()).toBe(1);
+      expect(stored().step).toBe(InvestmentSagaStep.COMPENSATED);
+    });
+
+    it('resumes instead of refunding when the position was executed meanwhile', async () => {
+      await service.advance(saga({ step: InvestmentSagaStep.RECEIVED }), later(600_000));
+      moonbeam.getPendingPosition.mockResolvedValue(null);
+      moonbeam.getLocalPositionId.mockResolvedValueOnce(0).mockResolvedValue(9);
+
+      await service.advance({ ...stored() }, later(601_000));
+      expect(refunds()).toBe(0);
+      expect(stored().step).toBe(InvestmentSagaStep.COMPENSATING);
+
+      await service.advance({ ...stored() }, later(620_000));
+      expect(stored()).toMatchObject({ step: InvestmentSagaStep.EXECUTED, moonbeamPositionId: 9 });
+      expect(refunds()).toBe(0);
+    });
+
+    it('never refunds an XCM that may still be in flight, and alerts an operator', async () => {
+      await service.advance(saga({ step: InvestmentSagaStep.DISPATCHED }), later(600_000));
+
+      expect(stored()).toMatchObject({ step: InvestmentSagaStep.FAILED, failedStep: InvestmentSagaStep.DISPATCHED });
+      expect(refunds()).toBe(0);
+      expect(alerts.send).toHaveBeenCalledWith(expect.objectContaining({ severity: AlertSeverity.CRITICAL }));
+    });
+  });
+
+  it('retries a failing call with backoff, then fails a step that cannot be rolled back', async () => {
+    assetHub.getPosition.mockResolvedValue({ status: VaultPositionStatus.PENDING });
+    assetHub.confirmExecution.mockRejectedValue(new Error('execution reverted'));
+
+    await service.advance(saga({ step: InvestmentSagaStep.EXECUTED, moonbeamPositionId: 7 }), later(61_000));
+    expect(stored()).toMatchObject({
+      step: InvestmentSagaStep.EXECUTED,
+      stepAttempts: 1,
+      lastError: 'execution reverted',
+      nextAttemptAt: later(66_000),
+    });
+
+    await service.advance({ ...stored() }, later(70_000));
+    expect(stored()).toMatchObject({ step: InvestmentSagaStep.FAILED, failedStep: InvestmentSagaStep.EXECUTED });
+    expect(assetHub.emergencyCancelPending).not.toHaveBeenCalled();
+    expect(alerts.send).toHaveBeenCalledWith(expect.objectContaining({ severity: AlertSeverity.CRITICAL }));
+  });
+});
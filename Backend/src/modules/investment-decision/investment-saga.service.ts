@@ -0,0 +1,529 @@
+/**
+ * Investment Saga Service
+ *
+ * Drives each two-phase Asset Hub → Moonbeam investment through
+ * DISPATCHED → XCM_ARRIVED → RECEIVED → EXECUTED → CONFIRMED from a persisted
+ * investment_sagas row. Chain events move sagas forward as soon as they are
+ * seen; a poller claims due sagas with a lease, checks chain state and performs
+ * the next call itself, so a restart mid-flow resumes where it stopped. A step
+ * that exhausts its attempts or times out is compensated by cancelling the
+ * Moonbeam pending position, which returns the asset to Asset Hub over XCM.
+ * When the asset may still be in flight, or an LP position exists, the saga
+ * is marked FAILED for an operator instead.
+ */
+
+import { Injectable, Logger, NotFoundException, OnModuleInit } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { In, Repository } from 'typeorm';
+import { hostname } from 'os';
+import { randomUUID } from 'crypto';
+import { InvestmentSaga, InvestmentSagaStep } from './entities/investment-saga.entity';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { ActivityLog, ActivityType, ActivityStatus } from '../activity-logs/entities/activity-log.entity';
+import { AssetHubService, PositionStatus as VaultPositionStatus } from '../blockchain/services/asset-hub.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { BlockchainEventListenerService } from '../blockchain/services/event-listener.service';
+import { AlertsService } from '../alerts/alerts.service';
+import { AlertSeverity } from '../alerts/types/alert.types';
+import {
+  ACTIVE_SAGA_STEPS,
+  ASSET_HOLDING_SAGA_STEPS,
+  DEFAULT_SAGA_STEP_TIMEOUTS,
+  SAGA_EVENT_GRACE_MS,
+  SagaStepTimeouts,
+  claimedProxyAmount,
+  compensationFor,
+  decodeReceiveAssetsCalldata,
+  hasSagaAssetArrived,
+  isStepExpired,
+  isTerminalStep,
+  sagaRetryDelayMs,
+  stepsBefore,
+} from './investment-saga.logic';
+
+const MAX_ERROR_LENGTH = 1000;
+const LIST_LIMIT = 100;
+
+export interface StartSagaParams {
+  userId: string;
+  decisionId?: string | null;
+  poolId?: string | null;
+  poolAddress: string;
+  assetHubPositionId: string;
+  amount: bigint;
+  moonbeamCalldata: string;
+}
+
+export interface SagaListFilter {
+  step?: InvestmentSagaStep;
+  /** Only sagas that have not reached CONFIRMED, COMPENSATED or FAILED. */
+  inFlight?: boolean;
+  userId?: string;
+  limit?: number;
+}
+
+@Injectable()
+export class InvestmentSagaService implements OnModuleInit {
+  private readonly logger = new Logger(InvestmentSagaService.name);
+  private isProcessing = false;
+  private readonly enabled: boolean;
+  readonly workerId = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+  constructor(
+    @InjectRepository(InvestmentSaga)
+    private sagaRepository: Repository<InvestmentSaga>,
+    @InjectRepository(Position)
+    private positionRepository: Repository<Position>,
+    @InjectRepository(ActivityLog)
+    private activityLogRepository: Repository<ActivityLog>,
+    private assetHubService: AssetHubService,
+    private moonbeamService: MoonbeamService,
+    private eventListener: BlockchainEventListenerService,
+    private alertsService: AlertsService,
+    private configService: ConfigService,
+  ) {
+    this.enabled = this.configService.get<boolean>('ENABLE_INVESTMENT_SAGA', true);
+  }
+
+  get batchSize(): number {
+    return Number(this.configService.get('INVESTMENT_SAGA_BATCH_SIZE', 20));
+  }
+
+  get leaseMs(): number {
+    return Number(this.configService.get('INVESTMENT_SAGA_LEASE_MS', 2 * 60_000));
+  }
+
+  /** How often a saga waiting on the chain is re-checked. */
+  get pollMs(): number {
+    return Number(this.configService.get('INVESTMENT_SAGA_POLL_MS', 15_000));
+  }
+
+  get maxStepAttempts(): number {
+    return Number(this.configService.get('INVESTMENT_SAGA_MAX_STEP_ATTEMPTS', 5));
+  }
+
+  get stepTimeouts(): SagaStepTimeouts {
+    const seconds = (key: string, step: InvestmentSagaStep) =>
+      Number(this.configService.get(key, DEFAULT_SAGA_STEP_TIMEOUTS[step]));
+    return {
+      [InvestmentSagaStep.DISPATCHED]: seconds('INVESTMENT_SAGA_XCM_TIMEOUT_SECONDS', InvestmentSagaStep.DISPATCHED),
+      [InvestmentSagaStep.XCM_ARRIVED]: seconds('INVESTMENT_SAGA_RECEIVE_TIMEOUT_SECONDS', InvestmentSagaStep.XCM_ARRIVED),
+      [InvestmentSagaStep.RECEIVED]: seconds('INVESTMENT_SAGA_EXECUTE_TIMEOUT_SECONDS', InvestmentSagaStep.RECEIVED),
+      [InvestmentSagaStep.EXECUTED]: seconds('INVESTMENT_SAGA_CONFIRM_TIMEOUT_SECONDS', InvestmentSagaStep.EXECUTED),
+    };
+  }
+
+  onModuleInit() {
+    this.eventListener.registerCallbacks({
+      moonbeam: {
+        onPendingPositionCreated: (event) =>
+          void this.onChainEvent(event.assetHubPositionId, InvestmentSagaStep.RECEIVED),
+        onPositionExecuted: (event) =>
+          void this.onChainEvent(event.assetHubPositionId, InvestmentSagaStep.EXECUTED, {
+            moonbeamPositionId: Number(event.localPositionId),
+          }),
+      },
+      assetHub: {
+        onExecutionConfirmed: (event) => void this.onChainEvent(event.positionId, InvestmentSagaStep.CONFIRMED),
+      },
+    });
+    this.logger.log(`InvestmentSagaService initialized (enabled: ${this.enabled}, worker: ${this.workerId})`);
+  }
+
+  /**
+   * Record a dispatched Phase 1; the saga takes it from here. XCMProxy's
+   * unclaimed balance is recorded now so the arrival check only counts
+   * growth after dispatch; without it the first check records one.
+   */
+  async start(params: StartSagaParams, now = new Date()): Promise<InvestmentSaga> {
+    let arrivalBaseline: bigint | null = null;
+    try {
+      arrivalBaseline = await this.unclaimedProxyBalance(decodeReceiveAssetsCalldata(params.moonbeamCalldata).token);
+    } catch (error) {
+      this.logger.warn(`Could not record XCMProxy balance for ${params.assetHubPositionId}: ${error.message}`);
+    }
+
+    const saga = await this.sagaRepository.save(
+      this.sagaRepository.create({
+        userId: params.userId,
+        decisionId: params.decisionId ?? null,
+        poolId: params.poolId ?? null,
+        poolAddress: params.poolAddress,
+        assetHubPositionId: params.assetHubPositionId,
+        amount: params.amount.toString(),
+        moonbeamCalldata: params.moonbeamCalldata,
+        arrivalBaseline: arrivalBaseline?.toString() ?? null,
+        step: InvestmentSagaStep.DISPATCHED,
+        stepStartedAt: now,
+        stepAttempts: 0,
+        nextAttemptAt: new Date(now.getTime() + this.pollMs),
+      }),
+    );
+    this.logger.log(`Saga ${saga.id} started for position ${saga.assetHubPositionId}`);
+    return saga;
+  }
+
+  @Cron(CronExpression.EVERY_10_SECONDS)
+  async tick(now = new Date()): Promise<number> {
+    if (!this.enabled || this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+    try {
+      const sagas = await this.claimDueSagas(now);
+      for (const saga of sagas) {
+        await this.advance(saga, now);
+      }
+      return sagas.length;
+    } catch (error) {
+      this.logger.error(`Saga tick failed: ${error.message}`);
+      return 0;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Claim up to batchSize due sagas for this replica. Rows locked by another
+   * replica's claim are skipped rather than waited on.
+   */
+  async claimDueSagas(now = new Date()): Promise<InvestmentSaga[]> {
+    return this.sagaRepository.manager.transaction(async em => {
+      const due = await em
+        .getRepository(InvestmentSaga)
+        .createQueryBuilder('saga')
+        .setLock('pessimistic_write')
+        .setOnLocked('skip_locked')
+        .where('saga.step IN (:...steps)', { steps: ACTIVE_SAGA_STEPS })
+        .andWhere('saga.nextAttemptAt <= :now', { now })
+        .andWhere('(saga.lockedUntil IS NULL OR saga.lockedUntil < :now)', { now })
+        .orderBy('saga.nextAttemptAt', 'ASC')
+        .limit(this.batchSize)
+        .getMany();
+
+      if (due.length > 0) {
+        await em.update(
+          InvestmentSaga,
+          { id: In(due.map(s => s.id)) },
+          { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.leaseMs) },
+        );
+      }
+      return due;
+    });
+  }
+
+  /**
+   * Perform the saga's next step. Waiting on the chain is not a failure; a
+   * thrown call counts as an attempt, and running out of attempts or time
+   * hands the saga to compensation.
+   */
+  async advance(saga: InvestmentSaga, now = new Date()): Promise<void> {
+    try {
+      if (saga.step !== InvestmentSagaStep.COMPENSATING && isStepExpired(saga.step, saga.stepStartedAt, this.stepTimeouts, now)) {
+        await this.fail(saga, `Timed out in ${saga.step}`, now);
+        return;
+      }
+
+      const progressed = await this.runStep(saga, now);
+      if (!progressed) {
+        await this.release(saga, { nextAttemptAt: new Date(now.getTime() + this.pollMs) });
+      }
+    } catch (error) {
+      const message = String(error?.message ?? error).slice(0, MAX_ERROR_LENGTH);
+      const attempts = saga.stepAttempts + 1;
+      this.logger.warn(`Saga ${saga.id} ${saga.step} attempt ${attempts} failed: ${message}`);
+
+      if (attempts >= this.maxStepAttempts) {
+        await this.fail({ ...saga, stepAttempts: attempts }, message, now);
+        return;
+      }
+      await this.release(saga, {
+        stepAttempts: attempts,
+        lastError: message,
+        nextAttemptAt: new Date(now.getTime() + sagaRetryDelayMs(attempts)),
+      });
+    }
+  }
+
+  async findAll(filter: SagaListFilter = {}): Promise<InvestmentSaga[]> {
+    const query = this.sagaRepository.createQueryBuilder('saga');
+    if (filter.step) {
+      query.andWhere('saga.step = :step', { step: filter.step });
+    } else if (filter.inFlight) {
+      query.andWhere('saga.step IN (:...steps)', { steps: ACTIVE_SAGA_STEPS });
+    }
+    if (filter.userId) {
+      query.andWhere('saga.userId = :userId', { userId: filter.userId });
+    }
+    return query
+      .orderBy('saga.createdAt', 'DESC')
+      .limit(Math.min(filter.limit ?? LIST_LIMIT, LIST_LIMIT))
+      .getMany();
+  }
+
+  async findOne(id: string): Promise<InvestmentSaga> {
+    const saga = await this.sagaRepository.findOne({ where: { id } });
+    if (!saga) {
+      throw new NotFoundException(`Saga ${id} not found`);
+    }
+    return saga;
+  }
+
+  /** @returns true when the saga moved to another step */
+  private async runStep(saga: InvestmentSaga, now: Date): Promise<boolean> {
+    const positionId = saga.assetHubPositionId;
+
+    switch (saga.step) {
+      case InvestmentSagaStep.DISPATCHED:
+      case InvestmentSagaStep.XCM_ARRIVED: {
+        const observed = await this.observeMoonbeam(saga, now);
+        if (observed) return true;
+
+        if (saga.step === InvestmentSagaStep.DISPATCHED) {
+          return this.checkArrival(saga, now);
+        }
+
+        await this.moonbeamService.callReceiveAssets(saga.moonbeamCalldata as `0x${string}`);
+        return this.transition(saga, InvestmentSagaStep.RECEIVED, {}, now);
+      }
+
+      case InvestmentSagaStep.RECEIVED: {
+        const localId = await this.moonbeamService.getLocalPositionId(positionId);
+        if (localId > 0) {
+          return this.transition(saga, InvestmentSagaStep.EXECUTED, { moonbeamPositionId: localId }, now);
+        }
+        if (!(await this.moonbeamService.getPendingPosition(positionId))) {
+          throw new Error('Pending position no longer exists on Moonbeam');
+        }
+        // The event listener executes new pending positions itself; only step in once it had its chance
+        if (now.getTime() - saga.stepStartedAt.getTime() < SAGA_EVENT_GRACE_MS) return false;
+
+        const executedId = await this.moonbeamService.executePendingInvestment(positionId);
+        return this.transition(saga, InvestmentSagaStep.EXECUTED, { moonbeamPositionId: executedId }, now);
+      }
+
+      case InvestmentSagaStep.EXECUTED: {
+        const vaultPosition = await this.assetHubService.getPosition(positionId);
+        if (vaultPosition?.status === VaultPositionStatus.ACTIVE) {
+          return this.transition(saga, InvestmentSagaStep.CONFIRMED, {}, now);
+        }
+        if (now.getTime() - saga.stepStartedAt.getTime() < SAGA_EVENT_GRACE_MS) return false;
+
+        const localId = saga.moonbeamPositionId || (await this.moonbeamService.getLocalPositionId(positionId));
+        const position = await this.moonbeamService.getPosition(localId);
+        if (!position) {
+          throw new Error(`Moonbeam position ${localId} not found`);
+        }
+        await this.assetHubService.confirmExecution(positionId, localId.toString(), position.liquidity);
+        return this.transition(saga, InvestmentSagaStep.CONFIRMED, { moonbeamPositionId: localId }, now);
+      }
+
+      case InvestmentSagaStep.COMPENSATING:
+        return this.compensate(saga, now);
+
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Skip ahead when Moonbeam is already further along than the saga, e.g.
+   * the XCM Transact called receiveAssets() itself, or events were missed
+   * while the backend was down.
+   */
+  private async observeMoonbeam(saga: InvestmentSaga, now: Date): Promise<boolean> {
+    const localId = await this.moonbeamService.getLocalPositionId(saga.assetHubPositionId);
+    if (localId > 0) {
+      return this.transition(saga, InvestmentSagaStep.EXECUTED, { moonbeamPositionId: localId }, now);
+    }
+    if (await this.moonbeamService.getPendingPosition(saga.assetHubPositionId)) {
+      return this.transition(saga, InvestmentSagaStep.RECEIVED, {}, now);
+    }
+    return false;
+  }
+
+  /**
+   * XCMProxy holds the transferred asset until receiveAssets() claims it, but
+   * its balance is shared with other users' deposits and liquidation
+   * proceeds. The asset counts as arrived once the balance not already
+   * credited to another saga grew by this saga's amount since dispatch.
+   * Funds leaving XCMProxy meanwhile lower the baseline. Other inflows that
+   * land after dispatch can still be mistaken for the transfer.
+   */
+  private async checkArrival(saga: InvestmentSaga, now: Date): Promise<boolean> {
+    const { token, amount } = decodeReceiveAssetsCalldata(saga.moonbeamCalldata);
+    const unclaimed = await this.unclaimedProxyBalance(token);
+
+    if (saga.arrivalBaseline == null || unclaimed < BigInt(saga.arrivalBaseline)) {
+      await this.sagaRepository.update({ id: saga.id }, { arrivalBaseline: unclaimed.toString() });
+      return false;
+    }
+    if (!hasSagaAssetArrived(unclaimed, BigInt(saga.arrivalBaseline), amount)) return false;
+    return this.transition(saga, InvestmentSagaStep.XCM_ARRIVED, {}, now);
+  }
+
+  /** XCMProxy's `token` balance minus what other sagas already counted as their arrival. */
+  private async unclaimedProxyBalance(token: string): Promise<bigint> {
+    const balance = await this.moonbeamService.getTokenBalance(token);
+    const holders = await this.sagaRepository.find({
+      where: { step: In([...ASSET_HOLDING_SAGA_STEPS, InvestmentSagaStep.COMPENSATING]) },
+    });
+    return balance - claimedProxyAmount(holders, token);
+  }
+
+  private async compensate(saga: InvestmentSaga, now: Date): Promise<boolean> {
+    const positionId = saga.assetHubPositionId;
+
+    // An execution that landed while compensating wins: resume the forward path
+    const localId = await this.moonbeamService.getLocalPositionId(positionId);
+    if (localId > 0) {
+      this.logger.warn(`Saga ${saga.id}: position executed during compensation, resuming`);
+      return this.transition(saga, InvestmentSagaStep.EXECUTED, { moonbeamPositionId: localId }, now, [
+        InvestmentSagaStep.COMPENSATING,
+      ]);
+    }
+
+    let txHash = saga.compensationTxHash;
+    for (const action of compensationFor(saga.failedStep) ?? []) {
+      if (action === 'receive-assets' && !(await this.moonbeamService.getPendingPosition(positionId))) {
+        await this.moonbeamService.callReceiveAssets(saga.moonbeamCalldata as `0x${string}`);
+      }
+      if (action === 'cancel-pending') {
+        if (!(await this.moonbeamService.getPendingPosition(positionId))) {
+          // Executed between our check and the cancel: resume on the next attempt
+          if ((await this.moonbeamService.getLocalPositionId(positionId)) > 0) return false;
+          throw new Error('No pending position on Moonbeam to cancel');
+        }
+        txHash = await this.moonbeamService.cancelPendingPosition(positionId);
+      }
+    }
+
+    const moved = await this.transition(saga, InvestmentSagaStep.COMPENSATED, { compensationTxHash: txHash }, now);
+    if (moved) {
+      await this.markPositionFailed(saga, 'investment_saga_compensated');
+      await this.alertsService.send({
+        key: `investment_saga_compensated:${positionId}`,
+        severity: AlertSeverity.WARNING,
+        title: 'Investment rolled back',
+        message: `Investment failed at ${saga.failedStep} and was compensated: ${saga.lastError}`,
+        positionId,
+        userId: saga.userId,
+        context: { sagaId: saga.id, pool: saga.poolAddress, compensationTxHash: txHash },
+      });
+    }
+    return true;
+  }
+
+  /**
+   * A step failed permanently: compensate if the failed step can be undone,
+   * otherwise (or if compensation itself failed) stop at FAILED.
+   */
+  private async fail(saga: InvestmentSaga, reason: string, now: Date): Promise<void> {
+    this.logger.error(`Saga ${saga.id} failed at ${saga.step}: ${reason}`);
+
+    if (saga.step !== InvestmentSagaStep.COMPENSATING && compensationFor(saga.step)) {
+      await this.transition(saga, InvestmentSagaStep.COMPENSATING, { failedStep: saga.step, lastError: reason }, now);
+      return;
+    }
+
+    const failedStep = saga.step === InvestmentSagaStep.COMPENSATING ? saga.failedStep : saga.step;
+    const moved = await this.transition(saga, InvestmentSagaStep.FAILED, { failedStep, lastError: reason }, now);
+    if (!moved) return;
+
+    await this.markPositionFailed(saga, 'investment_saga', reason);
+    await this.alertsService.send({
+      key: `investment_saga_failed:${saga.assetHubPositionId}`,
+      severity: AlertSeverity.CRITICAL,
+      title: 'Investment saga failed',
+      message: saga.step === InvestmentSagaStep.COMPENSATING
+        ? `Compensation after ${failedStep} failed, funds need manual recovery: ${reason}`
+        : `Investment stuck at ${failedStep} and cannot be rolled back automatically: ${reason}`,
+      positionId: saga.assetHubPositionId,
+      userId: saga.userId,
+      context: { sagaId: saga.id, pool: saga.poolAddress, moonbeamPositionId: saga.moonbeamPositionId },
+    });
+  }
+
+  private async onChainEvent(
+    assetHubPositionId: string,
+    step: InvestmentSagaStep,
+    patch: Partial<InvestmentSaga> = {},
+  ): Promise<void> {
+    try {
+      const saga = await this.sagaRepository.findOne({ where: { assetHubPositionId } });
+      if (!saga || isTerminalStep(saga.step)) return;
+      await this.transition(saga, step, patch, new Date());
+    } catch (error) {
+      this.logger.warn(`Failed to apply ${step} event to saga for ${assetHubPositionId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a saga to `to` if it is still in a step that may precede it. The
+   * conditional update makes events and the poller safe to race.
+   */
+  private async transition(
+    saga: InvestmentSaga,
+    to: InvestmentSagaStep,
+    patch: Partial<InvestmentSaga>,
+    now: Date,
+    from: InvestmentSagaStep[] = stepsBefore(to),
+  ): Promise<boolean> {
+    if (!from.includes(saga.step)) return false;
+
+    const result = await this.sagaRepository.update(
+      { id: saga.id, step: In(from) },
+      {
+        ...patch,
+        step: to,
+        stepStartedAt: now,
+        stepAttempts: 0,
+        nextAttemptAt: now,
+        ...(to === InvestmentSagaStep.COMPENSATING || to === InvestmentSagaStep.FAILED ? {} : { lastError: null }),
+        completedAt: isTerminalStep(to) ? now : null,
+        lockedBy: null,
+        lockedUntil: null,
+      },
+    );
+    const moved = (result.affected ?? 0) > 0;
+    if (moved) {
+      this.logger.log(`Saga ${saga.id}: ${saga.step} → ${to}`);
+      Object.assign(saga, patch, { step: to, stepStartedAt: now, stepAttempts: 0 });
+    }
+    return moved;
+  }
+
+  private async release(saga: InvestmentSaga, patch: Partial<InvestmentSaga>): Promise<void> {
+    await this.sagaRepository.update(
+      { id: saga.id, lockedBy: this.workerId },
+      { ...patch, lockedBy: null, lockedUntil: null },
+    );
+  }
+
+  private async markPositionFailed(saga: InvestmentSaga, operation: string, error?: string): Promise<void> {
+    try {
+      await this.positionRepository.update(
+        { assetHubPositionId: saga.assetHubPositionId },
+        { status: PositionStatus.FAILED, lastFailedAt: new Date() },
+      );
+      await this.activityLogRepository.save(this.activityLogRepository.create({
+        userId: saga.userId,
+        type: ActivityType.ERROR,
+        status: ActivityStatus.FAILED,
+        positionId: saga.assetHubPositionId,
+        details: {
+          operation,
+          sagaId: saga.id,
+          failedStep: saga.failedStep,
+          error: error ?? saga.lastError,
+          compensationTxHash: saga.compensationTxHash,
+        },
+      }));
+    } catch (dbErr) {
+      this.logger.error(`Failed to persist saga failure for ${saga.assetHubPositionId}: ${dbErr}`);
+    }
+  }
+}
@@ -158,6 +158,8 @@ export interface RebalanceAction {
  * Rebalancing decision output (Section 5 & 6)
  */
 export interface RebalanceDecision {
+  /** Unique id of this evaluation, recorded in the run history */
+  decisionId: string;
   shouldRebalance: boolean;
   reason: string;
 
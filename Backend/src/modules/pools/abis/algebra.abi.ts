@@ -36,6 +36,26 @@ export const ALGEBRA_POOL_ABI = [
     ],
     "stateMutability": "view"
   },
+  {
+    // Only the leading fields shared by Algebra v1.x and Integral are decoded;
+    // the version-specific tail of the tuple is ignored.
+    "type": "function",
+    "name": "globalState",
+    "inputs": [],
+    "outputs": [
+      { "name": "price", "type": "uint160" },
+      { "name": "tick", "type": "int24" },
+      { "name": "fee", "type": "uint16" }
+    ],
+    "stateMutability": "view"
+  },
+  {
+    "type": "function",
+    "name": "liquidity",
+    "inputs": [],
+    "outputs": [{ "name": "", "type": "uint128" }],
+    "stateMutability": "view"
+  },
   {
     "type": "function",
     "name": "token0",
@@ -52,6 +72,15 @@ export const ALGEBRA_POOL_ABI = [
   }
 ];
 
+/**
+ * Pool Swap event signatures. Algebra Integral appends overrideFee/pluginFee,
+ * which changes topic0; amount0/amount1 lead the data in both versions.
+ */
+export const ALGEBRA_SWAP_EVENT_SIGNATURES = [
+  'Swap(address,address,int256,int256,uint160,uint128,int24)',
+  'Swap(address,address,int256,int256,uint160,uint128,int24,uint24,uint24)',
+];
+
 export const ERC20_ABI = [
   {
     "constant": true,
@@ -0,0 +1,200 @@
+import { ethers } from 'ethers';
+import { Dex } from '../entities/dex.entity';
+import { ALGEBRA_FACTORY_ABI, ALGEBRA_POOL_ABI, ALGEBRA_SWAP_EVENT_SIGNATURES, ERC20_ABI } from '../abis/algebra.abi';
+import { canonicalAsset } from '../../blockchain/prices';
+import { SwapSample, bucketSwapsByHour, tokenAmountUsd } from '../dex-sync.logic';
+import { DexAdapter, DexAdapterKind, DiscoveredPool, DiscoveryResult, HourlyFees, PoolStats } from './dex-adapter.types';
+
+export interface AlgebraRpcAdapterDeps {
+  /** Read provider for the dex's chain (Dex.rpcUrl takes precedence when set). */
+  getProvider: (dex: Dex) => ethers.Provider;
+  /** USD prices keyed by canonical asset; unpriced assets are omitted. */
+  getPricesUsd: (symbols: string[]) => Promise<Record<string, number>>;
+  /** Max blocks per eth_getLogs request. */
+  blockRange: number;
+  /** Max blocks of factory history scanned per sync, so a fresh dex catches up over several runs. */
+  maxBlocksPerSync: number;
+  /** Average block time, used to map swap blocks to hours without fetching every block. */
+  blockTimeSeconds: number;
+}
+
+interface PoolMeta {
+  token0: string;
+  token1: string;
+  symbol0: string;
+  symbol1: string;
+  decimals0: number;
+  decimals1: number;
+}
+
+const SWAP_TOPICS = ALGEBRA_SWAP_EVENT_SIGNATURES.map(signature => ethers.id(signature));
+const FEE_DENOMINATOR = 1_000_000; // Algebra fees are in hundredths of a bip
+
+/**
+ * On-chain Algebra adapter for DEXes without a usable subgraph. Pools are
+ * discovered from the factory's pool-creation (`Pool`) logs, resuming from the
+ * last scanned block kept in Dex.syncCursor. Stats come from `globalState`,
+ * `liquidity` and the pool's token balances priced by the price oracle; fees
+ * and volume are rebuilt from Swap logs.
+ */
+export class AlgebraRpcAdapter implements DexAdapter {
+  readonly kind = DexAdapterKind.ALGEBRA_RPC;
+  private readonly poolMeta = new Map<string, PoolMeta>();
+
+  constructor(private readonly deps: AlgebraRpcAdapterDeps) {}
+
+  async discoverPools(dex: Dex, limit: number): Promise<DiscoveryResult> {
+    const provider = this.deps.getProvider(dex);
+    const latest = await provider.getBlockNumber();
+    const from = dex.syncCursor ? Number(dex.syncCursor) + 1 : (dex.startBlock ?? 0);
+    const to = Math.min(latest, from + this.deps.maxBlocksPerSync - 1);
+    if (from > to) {
+      return { pools: [], cursor: dex.syncCursor };
+    }
+
+    const factory = new ethers.Contract(dex.factoryAddress, ALGEBRA_FACTORY_ABI, provider);
+    const pools: DiscoveredPool[] = [];
+    let scannedTo = from - 1;
+
+    for (let start = from; start <= to && pools.length < limit; start += this.deps.blockRange) {
+      const end = Math.min(start + this.deps.blockRange - 1, to);
+      const logs = await factory.queryFilter(factory.filters.Pool(), start, end);
+
+      for (const log of logs) {
+        const [token0, token1, poolAddress] = (log as ethers.EventLog).args;
+        const meta = await this.describePool(provider, String(poolAddress), String(token0), String(token1));
+        pools.push({
+          poolAddress: String(poolAddress).toLowerCase(),
+          token0Address: meta.token0,
+          token1Address: meta.token1,
+          token0Symbol: meta.symbol0,
+          token1Symbol: meta.symbol1,
+        });
+      }
+      scannedTo = end;
+    }
+
+    return { pools, cursor: scannedTo >= from ? String(scannedTo) : dex.syncCursor };
+  }
+
+  async fetchStats(dex: Dex, poolAddresses: string[]): Promise<PoolStats[]> {
+    const provider = this.deps.getProvider(dex);
+    const reads: Array<{ address: string; meta: PoolMeta; state: any; liquidity: bigint; balance0: bigint; balance1: bigint }> = [];
+
+    for (const address of poolAddresses) {
+      try {
+        const meta = await this.describePool(provider, address);
+        const pool = new ethers.Contract(address, ALGEBRA_POOL_ABI, provider);
+        const [state, liquidity, balance0, balance1] = await Promise.all([
+          pool.globalState(),
+          pool.liquidity(),
+          new ethers.Contract(meta.token0, ERC20_ABI, provider).balanceOf(address),
+          new ethers.Contract(meta.token1, ERC20_ABI, provider).balanceOf(address),
+        ]);
+        reads.push({ address, meta, state, liquidity: BigInt(liquidity), balance0: BigInt(balance0), balance1: BigInt(balance1) });
+      } catch {
+        // Unreadable pools are omitted; the scanner leaves their stats unchanged
+      }
+    }
+
+    const prices = await this.deps.getPricesUsd(reads.flatMap(r => [r.meta.symbol0, r.meta.symbol1]));
+    const priceOf = (symbol: string) => prices[canonicalAsset(symbol)] ?? 0;
+
+    return reads.map(({ address, meta, state, liquidity, balance0, balance1 }) => ({
+      poolAddress: address.toLowerCase(),
+      fee: Number(state.fee),
+      liquidity: liquidity.toString(),
+      sqrtPriceX96: BigInt(state.price).toString(),
+      tick: Number(state.tick),
+      tvlUsd:
+        tokenAmountUsd(balance0, meta.decimals0, priceOf(meta.symbol0)) +
+        tokenAmountUsd(balance1, meta.decimals1, priceOf(meta.symbol1)),
+    }));
+  }
+
+  async fetchHourlyFees(dex: Dex, poolAddresses: string[], hours: number, now: Date): Promise<Map<string, HourlyFees[]>> {
+    if (poolAddresses.length === 0) return new Map();
+
+    const provider = this.deps.getProvider(dex);
+    const latest = await provider.getBlock('latest');
+    const from = Math.max(0, latest.number - Math.ceil((hours * 3600) / this.deps.blockTimeSeconds));
+
+    const feeByPool = new Map<string, number>();
+    const metaByPool = new Map<string, PoolMeta>();
+    for (const address of poolAddresses) {
+      try {
+        const pool = new ethers.Contract(address, ALGEBRA_POOL_ABI, provider);
+        feeByPool.set(address.toLowerCase(), Number((await pool.globalState()).fee));
+        metaByPool.set(address.toLowerCase(), await this.describePool(provider, address));
+      } catch {
+        // Pool skipped; it gets no fee data this run
+      }
+    }
+
+    const prices = await this.deps.getPricesUsd([...metaByPool.values()].flatMap(m => [m.symbol0, m.symbol1]));
+    const priceOf = (symbol: string) => prices[canonicalAsset(symbol)] ?? 0;
+    const swaps: SwapSample[] = [];
+
+    for (let start = from; start <= latest.number; start += this.deps.blockRange) {
+      const logs = await provider.getLogs({
+        address: [...metaByPool.keys()],
+        topics: [SWAP_TOPICS],
+        fromBlock: start,
+        toBlock: Math.min(start + this.deps.blockRange - 1, latest.number),
+      });
+
+      for (const log of logs) {
+        const pool = log.address.toLowerCase();
+        const meta = metaByPool.get(pool);
+        if (!meta) continue;
+
+        const [amount0, amount1] = ethers.AbiCoder.defaultAbiCoder().decode(['int256', 'int256'], ethers.dataSlice(log.data, 0, 64));
+        // The positive side is what the trader paid into the pool; fees are charged on it
+        const volumeUsd = BigInt(amount0) > 0n
+          ? tokenAmountUsd(BigInt(amount0), meta.decimals0, priceOf(meta.symbol0))
+          : tokenAmountUsd(BigInt(amount1), meta.decimals1, priceOf(meta.symbol1));
+
+        swaps.push({
+          poolAddress: pool,
+          timestamp: (latest.timestamp - (latest.number - log.blockNumber) * this.deps.blockTimeSeconds) * 1000,
+          volumeUsd,
+          feesUsd: (volumeUsd * (feeByPool.get(pool) ?? 0)) / FEE_DENOMINATOR,
+        });
+      }
+    }
+
+    return bucketSwapsByHour(swaps, hours, now);
+  }
+
+  /** Token addresses, symbols and decimals of a pool; immutable, so cached for the process lifetime. */
+  private async describePool(provider: ethers.Provider, poolAddress: string, token0?: string, token1?: string): Promise<PoolMeta> {
+    const key = poolAddress.toLowerCase();
+    const cached = this.poolMeta.get(key);
+    if (cached) return cached;
+
+    if (!token0 || !token1) {
+      const pool = new ethers.Contract(poolAddress, ALGEBRA_POOL_ABI, provider);
+      [token0, token1] = await Promise.all([pool.token0(), pool.token1()]);
+    }
+
+    const erc0 = new ethers.Contract(token0, ERC20_ABI, provider);
+    const erc1 = new ethers.Contract(token1, ERC20_ABI, provider);
+    const [symbol0, symbol1, decimals0, decimals1] = await Promise.all([
+      erc0.symbol(),
+      erc1.symbol(),
+      erc0.decimals(),
+      erc1.decimals(),
+    ]);
+
+    const meta: PoolMeta = {
+      token0: String(token0).toLowerCase(),
+      token1: String(token1).toLowerCase(),
+      symbol0: String(symbol0),
+      symbol1: String(symbol1),
+      decimals0: Number(decimals0),
+      decimals1: Number(decimals1),
+    };
+    this.poolMeta.set(key, meta);
+    return meta;
+  }
+}
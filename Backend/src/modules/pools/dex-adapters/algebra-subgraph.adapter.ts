@@ -0,0 +1,145 @@
+import { request, gql } from 'graphql-request';
+import { Dex } from '../entities/dex.entity';
+import { DexAdapter, DexAdapterKind, DiscoveryResult, HourlyFees, PoolStats } from './dex-adapter.types';
+
+/** Rows per subgraph request; The Graph caps `first` at 1000 and `skip` at 5000. */
+const PAGE_SIZE = 100;
+const MAX_SKIP = 5000;
+
+const DISCOVER_POOLS_QUERY = gql`
+  query DiscoverPools($first: Int!, $skip: Int!) {
+    pools(orderBy: totalValueLockedUSD, orderDirection: desc, first: $first, skip: $skip) {
+      id
+      token0 { id symbol }
+      token1 { id symbol }
+    }
+  }
+`;
+
+const POOL_STATS_QUERY = gql`
+  query PoolStats($ids: [ID!]) {
+    pools(where: { id_in: $ids }, first: 1000) {
+      id
+      fee
+      liquidity
+      sqrtPrice
+      tick
+      totalValueLockedUSD
+    }
+  }
+`;
+
+const POOL_HOUR_DATA_QUERY = gql`
+  query PoolHourData($ids: [String!], $since: Int!, $first: Int!, $skip: Int!) {
+    poolHourDatas(
+      where: { pool_in: $ids, periodStartUnix_gte: $since }
+      orderBy: periodStartUnix
+      orderDirection: asc
+      first: $first
+      skip: $skip
+    ) {
+      pool { id }
+      periodStartUnix
+      feesUSD
+      volumeUSD
+    }
+  }
+`;
+
+function chunk<T>(items: T[], size: number): T[][] {
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/**
+ * Algebra subgraph adapter. Pools are discovered by TVL rank, paging past the
+ * first page up to the requested limit. Dex.subgraphUrl overrides the default
+ * ALGEBRA_SUBGRAPH_URL so forks with their own subgraph can share the adapter.
+ */
+export class AlgebraSubgraphAdapter implements DexAdapter {
+  readonly kind = DexAdapterKind.ALGEBRA_SUBGRAPH;
+
+  constructor(
+    private readonly defaultUrl?: string,
+    private readonly apiKey?: string,
+  ) {}
+
+  async discoverPools(dex: Dex, limit: number): Promise<DiscoveryResult> {
+    const pools: DiscoveryResult['pools'] = [];
+
+    for (let skip = 0; skip < limit && skip <= MAX_SKIP; skip += PAGE_SIZE) {
+      const first = Math.min(PAGE_SIZE, limit - skip);
+      const data = await this.query(dex, DISCOVER_POOLS_QUERY, { first, skip });
+      const page = data?.pools ?? [];
+
+      for (const p of page) {
+        pools.push({
+          poolAddress: p.id,
+          token0Address: p.token0.id,
+          token1Address: p.token1.id,
+          token0Symbol: p.token0.symbol,
+          token1Symbol: p.token1.symbol,
+        });
+      }
+      if (page.length < first) break;
+    }
+
+    return { pools, cursor: null };
+  }
+
+  async fetchStats(dex: Dex, poolAddresses: string[]): Promise<PoolStats[]> {
+    const stats: PoolStats[] = [];
+
+    for (const ids of chunk(poolAddresses.map(a => a.toLowerCase()), PAGE_SIZE)) {
+      const data = await this.query(dex, POOL_STATS_QUERY, { ids });
+      for (const p of data?.pools ?? []) {
+        stats.push({
+          poolAddress: p.id,
+          fee: Number(p.fee) || 0,
+          liquidity: p.liquidity || '0',
+          sqrtPriceX96: p.sqrtPrice || '0',
+          tick: Number(p.tick) || 0,
+          tvlUsd: Number(p.totalValueLockedUSD) || 0,
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  async fetchHourlyFees(dex: Dex, poolAddresses: string[], hours: number, now: Date): Promise<Map<string, HourlyFees[]>> {
+    const since = Math.floor(now.getTime() / 1000) - hours * 3600;
+    const result = new Map<string, HourlyFees[]>();
+
+    for (const ids of chunk(poolAddresses.map(a => a.toLowerCase()), PAGE_SIZE)) {
+      for (let skip = 0; skip <= MAX_SKIP; skip += 1000) {
+        const data = await this.query(dex, POOL_HOUR_DATA_QUERY, { ids, since, first: 1000, skip });
+        const rows = data?.poolHourDatas ?? [];
+
+        for (const row of rows) {
+          const pool = String(row.pool.id).toLowerCase();
+          const list = result.get(pool) ?? [];
+          list.push({
+            periodStart: new Date(Number(row.periodStartUnix) * 1000),
+            feesUsd: Number(row.feesUSD) || 0,
+            volumeUsd: Number(row.volumeUSD) || 0,
+          });
+          result.set(pool, list);
+        }
+        if (rows.length < 1000) break;
+      }
+    }
+
+    return result;
+  }
+
+  private async query(dex: Dex, document: string, variables: Record<string, unknown>): Promise<any> {
+    const url = dex.subgraphUrl || this.defaultUrl;
+    if (!url) {
+      throw new Error(`No subgraph URL configured for ${dex.name}`);
+    }
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : undefined;
+    return request(url, document, variables, headers);
+  }
+}
@@ -0,0 +1,54 @@
+import type { Dex } from '../entities/dex.entity';
+
+/**
+ * Which DexAdapter implementation syncs a Dex row (Dex.adapter).
+ */
+export enum DexAdapterKind {
+  ALGEBRA_SUBGRAPH = 'algebra-subgraph',
+  ALGEBRA_RPC = 'algebra-rpc',
+}
+
+export interface DiscoveredPool {
+  poolAddress: string;
+  token0Address: string;
+  token1Address: string;
+  token0Symbol: string;
+  token1Symbol: string;
+}
+
+export interface DiscoveryResult {
+  pools: DiscoveredPool[];
+  /** Adapter-defined resume point persisted on Dex.syncCursor (e.g. last scanned block); null if unused. */
+  cursor: string | null;
+}
+
+export interface PoolStats {
+  poolAddress: string;
+  fee: number;
+  liquidity: string;
+  sqrtPriceX96: string;
+  tick: number;
+  tvlUsd: number;
+}
+
+/** Fees and volume earned by a pool during one hour starting at periodStart. */
+export interface HourlyFees {
+  periodStart: Date;
+  feesUsd: number;
+  volumeUsd: number;
+}
+
+/**
+ * Pluggable pool source for one kind of DEX, used by PoolScannerService.
+ * Adapters are stateless with respect to the DB: the scanner persists pools,
+ * stats and the discovery cursor.
+ */
+export interface DexAdapter {
+  readonly kind: DexAdapterKind;
+  /** Pools of this DEX, largest first where the source can rank them; at most `limit`. */
+  discoverPools(dex: Dex, limit: number, now: Date): Promise<DiscoveryResult>;
+  /** Current on-chain state and TVL; pools the source cannot read are omitted. */
+  fetchStats(dex: Dex, poolAddresses: string[], now: Date): Promise<PoolStats[]>;
+  /** Hourly fees and volume over the last `hours`, keyed by lowercase pool address. */
+  fetchHourlyFees(dex: Dex, poolAddresses: string[], hours: number, now: Date): Promise<Map<string, HourlyFees[]>>;
+}
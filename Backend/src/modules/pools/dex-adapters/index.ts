@@ -0,0 +1,4 @@
+export { AlgebraSubgraphAdapter } from './algebra-subgraph.adapter';
+export { AlgebraRpcAdapter } from './algebra-rpc.adapter';
+export type { AlgebraRpcAdapterDeps } from './algebra-rpc.adapter';
+export * from './dex-adapter.types';
@@ -0,0 +1,85 @@
+import {
+  DexSyncState,
+  bucketSwapsByHour,
+  computeFeeApr,
+  dexHealthStatus,
+  isSyncDue,
+  summarizeHourlyFees,
+  tokenAmountUsd,
+} from './dex-sync.logic';
+
+const NOW = new Date('2025-01-02T12:30:00.000Z');
+const minutesAgo = (m: number) => new Date(NOW.getTime() - m * 60_000);
+
+function state(overrides: Partial<DexSyncState>): DexSyncState {
+  return {
+    isActive: true,
+    adapterRegistered: true,
+    intervalSeconds: 300,
+    lastSyncAttemptAt: minutesAgo(1),
+    lastSyncedAt: minutesAgo(1),
+    consecutiveFailures: 0,
+    ...overrides,
+  };
+}
+
+describe('dex-sync.logic', () => {
+  test('isSyncDue waits a full interval after the last attempt', () => {
+    expect(isSyncDue(null, 300, NOW)).toBe(true);
+    expect(isSyncDue(minutesAgo(4), 300, NOW)).toBe(false);
+    expect(isSyncDue(minutesAgo(5), 300, NOW)).toBe(true);
+  });
+
+  test('dexHealthStatus reports configuration problems before sync results', () => {
+    expect(dexHealthStatus(state({ isActive: false, consecutiveFailures: 5 }), NOW)).toBe('disabled');
+    expect(dexHealthStatus(state({ adapterRegistered: false }), NOW)).toBe('unsupported');
+    expect(dexHealthStatus(state({ lastSyncAttemptAt: null, lastSyncedAt: null }), NOW)).toBe('pending');
+  });
+
+  test('dexHealthStatus escalates failures and staleness', () => {
+    expect(dexHealthStatus(state({}), NOW)).toBe('healthy');
+    expect(dexHealthStatus(state({ consecutiveFailures: 1 }), NOW)).toBe('degraded');
+    expect(dexHealthStatus(state({ consecutiveFailures: 3 }), NOW)).toBe('down');
+    expect(dexHealthStatus(state({ lastSyncedAt: minutesAgo(16) }), NOW)).toBe('stale');
+    expect(dexHealthStatus(state({ lastSyncedAt: null }), NOW)).toBe('stale');
+  });
+
+  test('summarizeHourlyFees only counts the last 24 hours', () => {
+    const hours = [
+      { periodStart: new Date('2025-01-01T11:00:00.000Z'), feesUsd: 100, volumeUsd: 1000 },
+      { periodStart: new Date('2025-01-01T13:00:00.000Z'), feesUsd: 2, volumeUsd: 20 },
+      { periodStart: new Date('2025-01-02T12:00:00.000Z'), feesUsd: 3, volumeUsd: 30 },
+    ];
+    expect(summarizeHourlyFees(hours, NOW)).toEqual({ fees24h: 5, volume24h: 50 });
+  });
+
+  test('computeFeeApr annualizes daily fees over TVL', () => {
+    expect(computeFeeApr(10, 36_500)).toBeCloseTo(10);
+    expect(computeFeeApr(10, 0)).toBe(0);
+  });
+
+  test('tokenAmountUsd scales by decimals', () => {
+    expect(tokenAmountUsd(1_500_000n, 6, 2)).toBeCloseTo(3);
+    expect(tokenAmountUsd(10n ** 18n, 18, 5)).toBeCloseTo(5);
+  });
+
+  test('bucketSwapsByHour groups swaps per pool and hour', () => {
+    const at = (iso: string) => new Date(iso).getTime();
+    const buckets = bucketSwapsByHour(
+      [
+        { poolAddress: '0xAA', timestamp: at('2025-01-02T11:10:00.000Z'), feesUsd: 1, volumeUsd: 100 },
+        { poolAddress: '0xaa', timestamp: at('2025-01-02T11:50:00.000Z'), feesUsd: 2, volumeUsd: 200 },
+        { poolAddress: '0xaa', timestamp: at('2025-01-02T10:05:00.000Z'), feesUsd: 4, volumeUsd: 400 },
+        { poolAddress: '0xbb', timestamp: at('2024-12-31T10:00:00.000Z'), feesUsd: 9, volumeUsd: 900 },
+      ],
+      24,
+      NOW,
+    );
+
+    expect([...buckets.keys()]).toEqual(['0xaa']);
+    expect(buckets.get('0xaa')).toEqual([
+      { periodStart: new Date('2025-01-02T10:00:00.000Z'), feesUsd: 4, volumeUsd: 400 },
+      { periodStart: new Date('2025-01-02T11:00:00.000Z'), feesUsd: 3, volumeUsd: 300 },
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * DEX Sync Logic
+ *
+ * Pure helpers for PoolScannerService: per-dex scheduling, adapter health,
+ * and turning hourly fee data or raw swaps into 24h fees, volume and APR.
+ */
+
+import { HourlyFees } from './dex-adapters/dex-adapter.types';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** Consecutive failed syncs after which a dex is reported down rather than degraded. */
+export const DEX_DOWN_AFTER_FAILURES = 3;
+
+/** A dex whose last successful sync is older than this many intervals is stale. */
+export const DEX_STALE_AFTER_INTERVALS = 3;
+
+export type DexHealthStatus = 'healthy' | 'stale' | 'degraded' | 'down' | 'pending' | 'unsupported' | 'disabled';
+
+export interface DexSyncState {
+  isActive: boolean;
+  adapterRegistered: boolean;
+  intervalSeconds: number;
+  lastSyncAttemptAt: Date | null;
+  lastSyncedAt: Date | null;
+  consecutiveFailures: number;
+}
+
+export function isSyncDue(lastSyncAttemptAt: Date | null, intervalSeconds: number, now: Date): boolean {
+  return !lastSyncAttemptAt || now.getTime() - lastSyncAttemptAt.getTime() >= intervalSeconds * 1000;
+}
+
+export function dexHealthStatus(state: DexSyncState, now: Date): DexHealthStatus {
+  if (!state.isActive) return 'disabled';
+  if (!state.adapterRegistered) return 'unsupported';
+  if (!state.lastSyncAttemptAt) return 'pending';
+  if (state.consecutiveFailures >= DEX_DOWN_AFTER_FAILURES) return 'down';
+  if (state.consecutiveFailures > 0) return 'degraded';
+
+  const staleAfterMs = state.intervalSeconds * 1000 * DEX_STALE_AFTER_INTERVALS;
+  if (!state.lastSyncedAt || now.getTime() - state.lastSyncedAt.getTime() > staleAfterMs) return 'stale';
+  return 'healthy';
+}
+
+/** Sum the hours that started within the 24h before `now`. */
+export function summarizeHourlyFees(hours: HourlyFees[], now: Date): { fees24h: number; volume24h: number } {
+  const since = now.getTime() - 24 * MS_PER_HOUR;
+  let fees24h = 0;
+  let volume24h = 0;
+  for (const hour of hours) {
+    if (hour.periodStart.getTime() < since) continue;
+    fees24h += Number(hour.feesUsd) || 0;
+    volume24h += Number(hour.volumeUsd) || 0;
+  }
+  return { fees24h, volume24h };
+}
+
+/** Fee APR in percent: (fees24h × 365) / TVL. */
+export function computeFeeApr(fees24h: number, tvlUsd: number): number {
+  return tvlUsd > 0 ? ((fees24h * 365) / tvlUsd) * 100 : 0;
+}
+
+/** Convert a raw token amount to USD. */
+export function tokenAmountUsd(raw: bigint, decimals: number, priceUsd: number): number {
+  return (Number(raw) / 10 ** decimals) * priceUsd;
+}
+
+export interface SwapSample {
+  poolAddress: string;
+  timestamp: number; // ms
+  feesUsd: number;
+  volumeUsd: number;
+}
+
+/**
+ * Group swaps into hourly buckets per pool, keyed by lowercase pool address.
+ * Swaps older than `hours` before `now` are dropped.
+ */
+export function bucketSwapsByHour(swaps: SwapSample[], hours: number, now: Date): Map<string, HourlyFees[]> {
+  const since = now.getTime() - hours * MS_PER_HOUR;
+  const buckets = new Map<string, Map<number, HourlyFees>>();
+
+  for (const swap of swaps) {
+    if (swap.timestamp < since) continue;
+    const pool = swap.poolAddress.toLowerCase();
+    const periodStart = Math.floor(swap.timestamp / MS_PER_HOUR) * MS_PER_HOUR;
+
+    const byHour = buckets.get(pool) ?? new Map<number, HourlyFees>();
+    const bucket = byHour.get(periodStart) ?? { periodStart: new Date(periodStart), feesUsd: 0, volumeUsd: 0 };
+    bucket.feesUsd += swap.feesUsd;
+    bucket.volumeUsd += swap.volumeUsd;
+    byHour.set(periodStart, bucket);
+    buckets.set(pool, byHour);
+  }
+
+  const result = new Map<string, HourlyFees[]>();
+  for (const [pool, byHour] of buckets) {
+    result.set(pool, [...byHour.values()].sort((a, b) => a.periodStart.getTime() - b.periodStart.getTime()));
+  }
+  return result;
+}
@@ -0,0 +1,19 @@
+import { IsDateString, IsIn, IsOptional } from 'class-validator';
+import { SnapshotGranularity } from '../entities/pool-snapshot.entity';
+
+export class PoolHistoryQueryDto {
+  /** ISO start of the window; defaults to 7 days before `to`. */
+  @IsOptional()
+  @IsDateString()
+  from?: string;
+
+  /** ISO end of the window; defaults to now. */
+  @IsOptional()
+  @IsDateString()
+  to?: string;
+
+  /** Row resolution; `auto` picks the finest one still retained for the window. */
+  @IsOptional()
+  @IsIn([...Object.values(SnapshotGranularity), 'auto'])
+  granularity?: SnapshotGranularity | 'auto';
+}
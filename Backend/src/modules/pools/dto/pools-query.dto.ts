@@ -1,5 +1,6 @@
-import { IsInt, IsNumber, IsOptional, Min } from 'class-validator';
+import { IsIn, IsInt, IsNumber, IsOptional, IsString, Max, MaxLength, Min } from 'class-validator';
 import { Type } from 'class-transformer';
+import { POOL_SORT_KEYS, PoolSortKey, SortOrder } from '../pools-query.logic';
 
 export class PoolsQueryDto {
   @IsOptional()
@@ -24,6 +25,7 @@ export class PoolsQueryDto {
   @Type(() => Number)
   @IsInt()
   @Min(1)
+  @Max(100)
   limit?: number;
 
   @IsOptional()
@@ -31,4 +33,36 @@ export class PoolsQueryDto {
   @IsInt()
   @Min(0)
   offset?: number;
+
+  /** Opaque keyset cursor from a previous page's `nextCursor`; takes precedence over `offset`. */
+  @IsOptional()
+  @IsString()
+  @MaxLength(512)
+  cursor?: string;
+
+  @IsOptional()
+  @IsIn(POOL_SORT_KEYS)
+  sort?: PoolSortKey;
+
+  @IsOptional()
+  @IsIn(['asc', 'desc'])
+  order?: SortOrder;
+
+  /** Token symbol (substring, case-insensitive) or exact token address. */
+  @IsOptional()
+  @IsString()
+  @MaxLength(64)
+  token?: string;
+
+  /** Chain slug (`moonbeam`, `asset-hub`) or numeric chain id. */
+  @IsOptional()
+  @IsString()
+  @MaxLength(32)
+  chain?: string;
+
+  /** DEX slug (`algebra`, `stellaswap`), name or id. */
+  @IsOptional()
+  @IsString()
+  @MaxLength(64)
+  dex?: string;
 }
@@ -1,5 +1,6 @@
 import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, OneToMany } from 'typeorm';
 import { Pool } from './pool.entity';
+import { DexAdapterKind } from '../dex-adapters/dex-adapter.types';
 
 @Entity('dexes')
 export class Dex {
@@ -24,6 +25,40 @@ export class Dex {
   @Column({ type: 'boolean', default: true })
   isActive: boolean;
 
+  // --- Pool sync (PoolScannerService) ---
+  @Column({ type: 'enum', enum: DexAdapterKind, enumName: 'dex_adapter_enum', default: DexAdapterKind.ALGEBRA_SUBGRAPH })
+  adapter: DexAdapterKind;
+
+  @Column({ type: 'varchar', length: 255, nullable: true })
+  subgraphUrl: string | null; // Overrides ALGEBRA_SUBGRAPH_URL
+
+  @Column({ type: 'varchar', length: 255, nullable: true })
+  rpcUrl: string | null; // Overrides MOONBEAM_RPC_URL for the RPC adapter
+
+  @Column({ type: 'int', nullable: true })
+  startBlock: number | null; // Factory deployment block; RPC discovery starts here
+
+  @Column({ type: 'varchar', length: 128, nullable: true })
+  syncCursor: string | null; // Adapter resume point (RPC: last scanned block)
+
+  @Column({ type: 'int', nullable: true })
+  maxPools: number | null; // Falls back to POOL_SYNC_LIMIT
+
+  @Column({ type: 'int', nullable: true })
+  syncIntervalSeconds: number | null; // Falls back to POOL_UPDATE_INTERVAL
+
+  @Column({ type: 'timestamp', nullable: true })
+  lastSyncAttemptAt: Date | null;
+
+  @Column({ type: 'timestamp', nullable: true })
+  lastSyncedAt: Date | null; // Last successful sync
+
+  @Column({ type: 'text', nullable: true })
+  lastSyncError: string | null;
+
+  @Column({ type: 'int', default: 0 })
+  consecutiveFailures: number;
+
   @CreateDateColumn()
   createdAt: Date;
 
@@ -0,0 +1,65 @@
+import { Entity, Column, PrimaryGeneratedColumn, ManyToOne, JoinColumn, CreateDateColumn, Index } from 'typeorm';
+import { Pool } from './pool.entity';
+
+/**
+ * Resolution of a snapshot row. Raw 5-minute samples written by the scanner are
+ * compacted into hourly and then daily buckets by PoolHistoryService.
+ */
+export enum SnapshotGranularity {
+  FIVE_MINUTES = '5m',
+  HOURLY = '1h',
+  DAILY = '1d',
+}
+
+@Entity('pool_snapshots')
+@Index('IDX_pool_snapshots_pool_granularity_timestamp', ['poolId', 'granularity', 'timestamp'])
+export class PoolSnapshot {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column()
+  poolId: string;
+
+  @Column({
+    type: 'enum',
+    enum: SnapshotGranularity,
+    enumName: 'pool_snapshot_granularity_enum',
+    default: SnapshotGranularity.FIVE_MINUTES,
+  })
+  granularity: SnapshotGranularity;
+
+  @Column({ type: 'timestamp' })
+  timestamp: Date; // Sample time (raw) or bucket start (hourly/daily)
+
+  @Column({ type: 'decimal', precision: 30, scale: 2 })
+  tvl: string; // USD, averaged over the bucket
+
+  @Column({ type: 'decimal', precision: 30, scale: 2 })
+  volume24h: string; // USD, averaged over the bucket
+
+  @Column({ type: 'decimal', precision: 30, scale: 2, default: 0 })
+  fees24h: string; // USD, trailing 24h fees at sample time, averaged over the bucket
+
+  @Column({ type: 'decimal', precision: 10, scale: 4 })
+  apr: string; // %, averaged over the bucket
+
+  @Column({ type: 'decimal', precision: 78, scale: 0 })
+  liquidity: string; // Last value in the bucket
+
+  @Column({ type: 'decimal', precision: 78, scale: 0 })
+  sqrtPriceX96: string; // Last value in the bucket
+
+  @Column({ type: 'int' })
+  tick: number; // Last value in the bucket
+
+  @Column({ type: 'int', default: 1 })
+  sampleCount: number; // Raw samples folded into this row
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  // Relations
+  @ManyToOne(() => Pool, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'poolId' })
+  pool: Pool;
+}
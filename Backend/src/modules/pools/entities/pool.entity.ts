@@ -1,8 +1,18 @@
-import { Entity, Column, PrimaryGeneratedColumn, ManyToOne, JoinColumn, CreateDateColumn, UpdateDateColumn, OneToMany } from 'typeorm';
+import { Entity, Column, PrimaryGeneratedColumn, ManyToOne, JoinColumn, CreateDateColumn, UpdateDateColumn, OneToMany, Index } from 'typeorm';
 import { Dex } from './dex.entity';
 import { Position } from '../../positions/entities/position.entity';
 
 @Entity('pools')
+@Index('IDX_pools_active_tvl', ['isActive', 'tvl'])
+@Index('IDX_pools_active_apr', ['isActive', 'apr'])
+@Index('IDX_pools_active_volume', ['isActive', 'volume24h'])
+@Index('IDX_pools_chain', ['chainId'])
+@Index('IDX_pools_dex', ['dexId'])
+// Trigram and expression indexes for token search; created by migration only
+@Index('IDX_pools_token0_symbol_trgm', { synchronize: false })
+@Index('IDX_pools_token1_symbol_trgm', { synchronize: false })
+@Index('IDX_pools_token0_address_lower', { synchronize: false })
+@Index('IDX_pools_token1_address_lower', { synchronize: false })
 export class Pool {
   @PrimaryGeneratedColumn('uuid')
   id: string;
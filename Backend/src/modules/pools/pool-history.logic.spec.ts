@@ -0,0 +1,81 @@
+import { SnapshotGranularity } from './entities/pool-snapshot.entity';
+import {
+  SnapshotSample,
+  bucketStart,
+  chooseGranularity,
+  downsampleSnapshots,
+  granularityWeightSql,
+} from './pool-history.logic';
+
+function sample(overrides: Partial<SnapshotSample>): SnapshotSample {
+  return {
+    poolId: 'p1',
+    timestamp: new Date('2025-01-01T00:00:00.000Z'),
+    tvl: 1_000,
+    volume24h: 100,
+    fees24h: 1,
+    apr: 10,
+    liquidity: '1000',
+    sqrtPriceX96: '79228162514264337593543950336',
+    tick: 0,
+    sampleCount: 1,
+    ...overrides,
+  };
+}
+
+describe('pool-history.logic', () => {
+  test('bucketStart floors to the UTC bucket', () => {
+    const d = new Date('2025-01-01T13:47:12.000Z');
+    expect(bucketStart(d, SnapshotGranularity.FIVE_MINUTES).toISOString()).toBe('2025-01-01T13:45:00.000Z');
+    expect(bucketStart(d, SnapshotGranularity.HOURLY).toISOString()).toBe('2025-01-01T13:00:00.000Z');
+    expect(bucketStart(d, SnapshotGranularity.DAILY).toISOString()).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('downsamples to one row per pool and bucket, keeping the latest state', () => {
+    const out = downsampleSnapshots(
+      [
+        sample({ timestamp: new Date('2025-01-01T10:05:00Z'), apr: 10, tvl: 1_000, tick: 1 }),
+        sample({ timestamp: new Date('2025-01-01T10:55:00Z'), apr: 20, tvl: 3_000, tick: 7 }),
+        sample({ timestamp: new Date('2025-01-01T11:00:00Z'), apr: 30, tick: 9 }),
+        sample({ poolId: 'p2', timestamp: new Date('2025-01-01T10:30:00Z'), apr: 5 }),
+      ],
+      SnapshotGranularity.HOURLY,
+    );
+
+    expect(out).toHaveLength(3);
+    expect(out[0]).toMatchObject({ poolId: 'p1', apr: 15, tvl: 2_000, tick: 7, sampleCount: 2 });
+    expect(out[0].timestamp.toISOString()).toBe('2025-01-01T10:00:00.000Z');
+    expect(out[1]).toMatchObject({ poolId: 'p2', apr: 5, sampleCount: 1 });
+    expect(out[2]).toMatchObject({ poolId: 'p1', apr: 30, tick: 9 });
+  });
+
+  test('weights already-compacted rows by their sample count', () => {
+    const out = downsampleSnapshots(
+      [
+        sample({ timestamp: new Date('2025-01-01T01:00:00Z'), apr: 10, sampleCount: 12 }),
+        sample({ timestamp: new Date('2025-01-01T02:00:00Z'), apr: 40, sampleCount: 4 }),
+      ],
+      SnapshotGranularity.DAILY,
+    );
+
+    expect(out).toHaveLength(1);
+    expect(out[0].apr).toBe(17.5);
+    expect(out[0].sampleCount).toBe(16);
+  });
+
+  test('granularityWeightSql weights rows by bucket minutes', () => {
+    expect(granularityWeightSql('s.granularity')).toBe(
+      "(CASE s.granularity WHEN '5m' THEN 5 WHEN '1h' THEN 60 WHEN '1d' THEN 1440 ELSE 1 END)",
+    );
+  });
+
+  test('chooseGranularity picks the finest level retained for the window', () => {
+    const now = new Date('2025-02-01T00:00:00Z');
+    const retention = { rawHours: 48, hourlyDays: 30 };
+    const hoursAgo = (h: number) => new Date(now.getTime() - h * 60 * 60 * 1000);
+
+    expect(chooseGranularity(hoursAgo(24), now, retention)).toBe(SnapshotGranularity.FIVE_MINUTES);
+    expect(chooseGranularity(hoursAgo(24 * 7), now, retention)).toBe(SnapshotGranularity.HOURLY);
+    expect(chooseGranularity(hoursAgo(24 * 90), now, retention)).toBe(SnapshotGranularity.DAILY);
+  });
+});
@@ -0,0 +1,111 @@
+import { SnapshotGranularity } from './entities/pool-snapshot.entity';
+
+/** Numeric view of a pool_snapshots row used by the compaction/averaging helpers. */
+export interface SnapshotSample {
+  poolId: string;
+  timestamp: Date;
+  tvl: number;
+  volume24h: number;
+  fees24h: number;
+  apr: number;
+  liquidity: string;
+  sqrtPriceX96: string;
+  tick: number;
+  sampleCount: number;
+}
+
+const GRANULARITY_MS: Record<SnapshotGranularity, number> = {
+  [SnapshotGranularity.FIVE_MINUTES]: 5 * 60 * 1000,
+  [SnapshotGranularity.HOURLY]: 60 * 60 * 1000,
+  [SnapshotGranularity.DAILY]: 24 * 60 * 60 * 1000,
+};
+
+export function granularityMs(granularity: SnapshotGranularity): number {
+  return GRANULARITY_MS[granularity];
+}
+
+/** Start of the UTC bucket containing `date`. */
+export function bucketStart(date: Date, granularity: SnapshotGranularity): Date {
+  const size = granularityMs(granularity);
+  return new Date(Math.floor(date.getTime() / size) * size);
+}
+
+/**
+ * Fold samples into one row per (pool, bucket).
+ *
+ * Flow metrics (tvl, volume, fees, apr) are averaged, weighted by how many raw
+ * samples each input already represents, so hourly → daily keeps the same mean
+ * as 5m → daily would. Point-in-time state (liquidity, price, tick) keeps the
+ * latest value of the bucket.
+ */
+export function downsampleSnapshots(samples: SnapshotSample[], target: SnapshotGranularity): SnapshotSample[] {
+  const groups = new Map<string, SnapshotSample[]>();
+
+  for (const s of samples) {
+    const start = bucketStart(s.timestamp, target);
+    const k = `${s.poolId}|${start.getTime()}`;
+    const group = groups.get(k);
+    if (group) group.push(s);
+    else groups.set(k, [s]);
+  }
+
+  const out: SnapshotSample[] = [];
+  for (const group of groups.values()) {
+    const sorted = [...group].sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+    const last = sorted[sorted.length - 1];
+    const weight = sorted.reduce((acc, s) => acc + Math.max(1, s.sampleCount), 0);
+    const avg = (pick: (s: SnapshotSample) => number) =>
+      sorted.reduce((acc, s) => acc + pick(s) * Math.max(1, s.sampleCount), 0) / weight;
+
+    out.push({
+      poolId: last.poolId,
+      timestamp: bucketStart(last.timestamp, target),
+      tvl: round(avg(s => s.tvl), 2),
+      volume24h: round(avg(s => s.volume24h), 2),
+      fees24h: round(avg(s => s.fees24h), 2),
+      apr: round(avg(s => s.apr), 4),
+      liquidity: last.liquidity,
+      sqrtPriceX96: last.sqrtPriceX96,
+      tick: last.tick,
+      sampleCount: weight,
+    });
+  }
+
+  return out.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime() || a.poolId.localeCompare(b.poolId));
+}
+
+/**
+ * SQL expression weighting a row by its bucket length (minutes).
+ *
+ * Compaction guarantees that raw, hourly and daily rows cover disjoint periods,
+ * so a mean weighted by bucket length is a true average over time.
+ */
+export function granularityWeightSql(column: string): string {
+  const cases = Object.values(SnapshotGranularity)
+    .map(g => `WHEN '${g}' THEN ${granularityMs(g) / 60_000}`)
+    .join(' ');
+  return `(CASE ${column} ${cases} ELSE 1 END)`;
+}
+
+/**
+ * Finest granularity still retained for the whole [from, now] window.
+ */
+export function chooseGranularity(
+  from: Date,
+  now: Date,
+  retention: { rawHours: number; hourlyDays: number },
+): SnapshotGranularity {
+  const ageMs = now.getTime() - from.getTime();
+  if (ageMs <= retention.rawHours * GRANULARITY_MS[SnapshotGranularity.HOURLY]) {
+    return SnapshotGranularity.FIVE_MINUTES;
+  }
+  if (ageMs <= retention.hourlyDays * GRANULARITY_MS[SnapshotGranularity.DAILY]) {
+    return SnapshotGranularity.HOURLY;
+  }
+  return SnapshotGranularity.DAILY;
+}
+
+function round(n: number, digits: number): number {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
@@ -0,0 +1,299 @@
+/**
+ * Pool History Service
+ *
+ * Persists a pool_snapshots row for every pool on each PoolScannerService sync
+ * and keeps the table bounded by compacting it (5m → hourly → daily).
+ * Serves the history endpoint and the 7d/30d APR averages used by the
+ * investment decision engine.
+ */
+
+import { Injectable, Logger, NotFoundException } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { Between, In, LessThan, Repository } from 'typeorm';
+import { Pool } from './entities/pool.entity';
+import { PoolSnapshot, SnapshotGranularity } from './entities/pool-snapshot.entity';
+import {
+  SnapshotSample,
+  bucketStart,
+  chooseGranularity,
+  downsampleSnapshots,
+  granularityWeightSql,
+} from './pool-history.logic';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const INSERT_CHUNK_SIZE = 500;
+
+export interface PoolHistoryQuery {
+  from?: Date;
+  to?: Date;
+  granularity?: SnapshotGranularity | 'auto';
+}
+
+export interface PoolHistoryPoint {
+  timestamp: string;
+  tvl: number;
+  volume24h: number;
+  fees24h: number;
+  apr: number;
+  tick: number;
+  sqrtPriceX96: string;
+}
+
+export interface PoolHistory {
+  poolId: string;
+  granularity: SnapshotGranularity;
+  from: string;
+  to: string;
+  points: PoolHistoryPoint[];
+  averages: {
+    apr7dPct: number | null;
+    apr30dPct: number | null;
+  };
+}
+
+@Injectable()
+export class PoolHistoryService {
+  private readonly logger = new Logger(PoolHistoryService.name);
+  private isCompacting = false;
+
+  constructor(
+    @InjectRepository(PoolSnapshot)
+    private snapshotRepository: Repository<PoolSnapshot>,
+    @InjectRepository(Pool)
+    private poolRepository: Repository<Pool>,
+    private configService: ConfigService,
+  ) {}
+
+  /** Raw 5m samples are kept this long before being folded into hourly rows. */
+  get rawRetentionHours(): number {
+    return Number(this.configService.get('POOL_SNAPSHOT_RAW_RETENTION_HOURS', 48));
+  }
+
+  /** Hourly rows are kept this long before being folded into daily rows. */
+  get hourlyRetentionDays(): number {
+    return Number(this.configService.get('POOL_SNAPSHOT_HOURLY_RETENTION_DAYS', 30));
+  }
+
+  /** Daily rows older than this are deleted. */
+  get dailyRetentionDays(): number {
+    return Number(this.configService.get('POOL_SNAPSHOT_DAILY_RETENTION_DAYS', 365));
+  }
+
+  /**
+   * Append one raw snapshot per synced pool.
+   */
+  async recordSnapshots(entries: Array<{ pool: Pool; fees24h: number }>, at: Date = new Date()): Promise<number> {
+    if (entries.length === 0) return 0;
+
+    const rows = entries.map(({ pool, fees24h }) =>
+      this.snapshotRepository.create({
+        poolId: pool.id,
+        granularity: SnapshotGranularity.FIVE_MINUTES,
+        timestamp: at,
+        tvl: pool.tvl,
+        volume24h: pool.volume24h,
+        fees24h: String(Number.isFinite(fees24h) ? fees24h : 0),
+        apr: pool.apr,
+        liquidity: pool.liquidity,
+        sqrtPriceX96: pool.sqrtPriceX96,
+        tick: pool.tick,
+        sampleCount: 1,
+      }),
+    );
+
+    await this.snapshotRepository.save(rows, { chunk: INSERT_CHUNK_SIZE });
+    return rows.length;
+  }
+
+  /**
+   * Retention/downsampling job: 5m → hourly → daily, then drop expired daily rows.
+   */
+  @Cron(CronExpression.EVERY_HOUR)
+  async compactSnapshots(now: Date = new Date()): Promise<void> {
+    if (this.isCompacting) {
+      this.logger.warn('Previous snapshot compaction still running, skipping');
+      return;
+    }
+
+    this.isCompacting = true;
+    try {
+      const rawCutoff = bucketStart(
+        new Date(now.getTime() - this.rawRetentionHours * MS_PER_HOUR),
+        SnapshotGranularity.HOURLY,
+      );
+      const hourlyCutoff = bucketStart(
+        new Date(now.getTime() - this.hourlyRetentionDays * MS_PER_DAY),
+        SnapshotGranularity.DAILY,
+      );
+      const dailyCutoff = new Date(now.getTime() - this.dailyRetentionDays * MS_PER_DAY);
+
+      const hourly = await this.compactLevel(SnapshotGranularity.FIVE_MINUTES, SnapshotGranularity.HOURLY, rawCutoff);
+      const daily = await this.compactLevel(SnapshotGranularity.HOURLY, SnapshotGranularity.DAILY, hourlyCutoff);
+      const expired = await this.snapshotRepository.delete({
+        granularity: SnapshotGranularity.DAILY,
+        timestamp: LessThan(dailyCutoff),
+      });
+
+      if (hourly || daily || expired.affected) {
+        this.logger.log(
+          `Compacted pool snapshots: ${hourly} hourly, ${daily} daily rows written, ${expired.affected ?? 0} expired rows deleted`,
+        );
+      }
+    } catch (error) {
+      this.logger.error(`Snapshot compaction failed: ${error.message}`);
+    } finally {
+      this.isCompacting = false;
+    }
+  }
+
+  /**
+   * Snapshot history for a pool plus its trailing 7d/30d APR averages.
+   */
+  async getHistory(poolId: string, query: PoolHistoryQuery = {}, now: Date = new Date()): Promise<PoolHistory> {
+    const pool = await this.poolRepository.findOne({ where: { id: poolId } });
+    if (!pool) {
+      throw new NotFoundException(`Pool ${poolId} not found`);
+    }
+
+    const to = query.to ?? now;
+    const from = query.from ?? new Date(to.getTime() - 7 * MS_PER_DAY);
+    const granularity =
+      !query.granularity || query.granularity === 'auto'
+        ? chooseGranularity(from, now, { rawHours: this.rawRetentionHours, hourlyDays: this.hourlyRetentionDays })
+        : query.granularity;
+
+    const rows = await this.snapshotRepository.find({
+      where: { poolId, granularity, timestamp: Between(from, to) },
+      order: { timestamp: 'ASC' },
+    });
+
+    const [apr7d, apr30d] = await Promise.all([
+      this.getAverageApr([poolId], 7, now),
+      this.getAverageApr([poolId], 30, now),
+    ]);
+
+    return {
+      poolId,
+      granularity,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      points: rows.map(r => ({
+        timestamp: r.timestamp.toISOString(),
+        tvl: Number(r.tvl),
+        volume24h: Number(r.volume24h),
+        fees24h: Number(r.fees24h),
+        apr: Number(r.apr),
+        tick: r.tick,
+        sqrtPriceX96: r.sqrtPriceX96,
+      })),
+      averages: {
+        apr7dPct: apr7d.get(poolId) ?? null,
+        apr30dPct: apr30d.get(poolId) ?? null,
+      },
+    };
+  }
+
+  /**
+   * Time-weighted trailing APR per pool over the last `days` days.
+   * Pools without any snapshot in the window are absent from the result.
+   */
+  async getAverageApr(poolIds: string[], days: number, now: Date = new Date()): Promise<Map<string, number>> {
+    const result = new Map<string, number>();
+    if (poolIds.length === 0) return result;
+
+    const since = new Date(now.getTime() - days * MS_PER_DAY);
+    const weight = granularityWeightSql('snapshot.granularity');
+
+    const rows: Array<{ poolId: string; avgApr: string | null }> = await this.snapshotRepository
+      .createQueryBuilder('snapshot')
+      .select('snapshot.poolId', 'poolId')
+      .addSelect(`SUM(snapshot.apr * ${weight}) / SUM(${weight})`, 'avgApr')
+      .where('snapshot.poolId IN (:...poolIds)', { poolIds })
+      .andWhere('snapshot.timestamp >= :since', { since })
+      .groupBy('snapshot.poolId')
+      .getRawMany();
+
+    for (const row of rows) {
+      const avg = Number(row.avgApr);
+      if (row.avgApr !== null && Number.isFinite(avg)) {
+        result.set(row.poolId, Math.round(avg * 10_000) / 10_000);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Snapshots of one granularity in a window, with pool + dex loaded.
+   */
+  async findSnapshots(params: {
+    from: Date;
+    to: Date;
+    granularity: SnapshotGranularity;
+    poolIds?: string[];
+  }): Promise<PoolSnapshot[]> {
+    return this.snapshotRepository.find({
+      where: {
+        granularity: params.granularity,
+        timestamp: Between(params.from, params.to),
+        ...(params.poolIds?.length ? { poolId: In(params.poolIds) } : {}),
+      },
+      relations: ['pool', 'pool.dex'],
+      order: { timestamp: 'ASC' },
+    });
+  }
+
+  /**
+   * Replace every `from`-granularity row older than `cutoff` by `to`-granularity aggregates.
+   */
+  private async compactLevel(from: SnapshotGranularity, to: SnapshotGranularity, cutoff: Date): Promise<number> {
+    const rows = await this.snapshotRepository.find({
+      where: { granularity: from, timestamp: LessThan(cutoff) },
+      order: { timestamp: 'ASC' },
+    });
+    if (rows.length === 0) return 0;
+
+    const aggregates = downsampleSnapshots(rows.map(toSample), to);
+
+    await this.snapshotRepository.manager.transaction(async em => {
+      for (let i = 0; i < aggregates.length; i += INSERT_CHUNK_SIZE) {
+        await em.insert(
+          PoolSnapshot,
+          aggregates.slice(i, i + INSERT_CHUNK_SIZE).map(a => ({
+            poolId: a.poolId,
+            granularity: to,
+            timestamp: a.timestamp,
+            tvl: String(a.tvl),
+            volume24h: String(a.volume24h),
+            fees24h: String(a.fees24h),
+            apr: String(a.apr),
+            liquidity: a.liquidity,
+            sqrtPriceX96: a.sqrtPriceX96,
+            tick: a.tick,
+            sampleCount: a.sampleCount,
+          })),
+        );
+      }
+      await em.delete(PoolSnapshot, { granularity: from, timestamp: LessThan(cutoff) });
+    });
+
+    return aggregates.length;
+  }
+}
+
+function toSample(row: PoolSnapshot): SnapshotSample {
+  return {
+    poolId: row.poolId,
+    timestamp: row.timestamp,
+    tvl: Number(row.tvl),
+    volume24h: Number(row.volume24h),
+    fees24h: Number(row.fees24h),
+    apr: Number(row.apr),
+    liquidity: row.liquidity,
+    sqrtPriceX96: row.sqrtPriceX96,
+    tick: row.tick,
+    sampleCount: row.sampleCount,
+  };
+}
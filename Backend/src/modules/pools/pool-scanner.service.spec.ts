@@ -0,0 +1,158 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { PoolScannerService } from './pool-scanner.service';
+import { PoolHistoryService } from './pool-history.service';
+import { PriceOracleService } from '../blockchain/services/price-oracle.service';
+import { Pool } from './entities/pool.entity';
+import { Dex } from './entities/dex.entity';
+import { DexAdapter, DexAdapterKind } from './dex-adapters';
+
+describe('PoolScannerService', () => {
+  const NOW = new Date('2025-01-02T12:00:00.000Z');
+
+  let service: PoolScannerService;
+  let pools: Pool[];
+  let dexes: Dex[];
+  let dexRepository: Record<string, jest.Mock>;
+  let poolRepository: Record<string, jest.Mock>;
+  let recordSnapshots: jest.Mock;
+  let adapter: jest.Mocked<DexAdapter>;
+
+  const dex = (overrides: Partial<Dex> = {}): Dex => ({
+    id: 'dex-1',
+    name: 'StellaSwap',
+    chainId: 2004,
+    isActive: true,
+    adapter: DexAdapterKind.ALGEBRA_SUBGRAPH,
+    syncCursor: null,
+    maxPools: null,
+    syncIntervalSeconds: null,
+    lastSyncAttemptAt: null,
+    lastSyncedAt: null,
+    lastSyncError: null,
+    consecutiveFailures: 0,
+    ...overrides,
+  }) as Dex;
+
+  beforeEach(async () => {
+    pools = [];
+    dexes = [];
+    recordSnapshots = jest.fn(async () => undefined);
+
+    poolRepository = {
+      find: jest.fn(async ({ where }) => pools.filter(p => !where.dexId || p.dexId === where.dexId)),
+      count: jest.fn(async ({ where }) => pools.filter(p => p.dexId === where.dexId).length),
+      create: jest.fn(data => ({ ...data })),
+      save: jest.fn(async (pool: Pool) => {
+        if (!pools.includes(pool)) pools.push(pool);
+        return pool;
+      }),
+    };
+    dexRepository = {
+      find: jest.fn(async () => dexes),
+      count: jest.fn(async () => dexes.length),
+      update: jest.fn(async () => undefined),
+    };
+
+    adapter = {
+      kind: DexAdapterKind.ALGEBRA_SUBGRAPH,
+      discoverPools: jest.fn(async (_dex: Dex, limit: number, _now: Date) => ({
+        pools: ['0xa1', '0xa2', '0xa3'].slice(0, limit).map(poolAddress => ({
+          poolAddress,
+          token0Address: '0x01',
+          token1Address: '0x02',
+          token0Symbol: 'xcDOT',
+          token1Symbol: 'VERYLONGSYMBOL',
+        })),
+        cursor: null,
+      })),
+      fetchStats: jest.fn(async (_dex: Dex, addresses: string[], _now: Date) =>
+        addresses.map(poolAddress => ({ poolAddress, fee: 500, liquidity: '10', sqrtPriceX96: '20', tick: 7, tvlUsd: 36_500 })),
+      ),
+      fetchHourlyFees: jest.fn(async (_dex: Dex, _addresses: string[], _hours: number, _now: Date) =>
+        new Map([['0xa1', [{ periodStart: new Date('2025-01-02T11:00:00.000Z'), feesUsd: 10, volumeUsd: 4000 }]]]),
+      ),
+    };
+
+    const config: Record<string, unknown> = { POOL_SYNC_LIMIT: 2, POOL_UPDATE_INTERVAL: 300_000 };
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        PoolScannerService,
+        { provide: getRepositoryToken(Pool), useValue: poolRepository },
+        { provide: getRepositoryToken(Dex), useValue: dexRepository },
+        { provide: ConfigService, useValue: { get: (key: string, fallback?: unknown) => config[key] ?? fallback } },
+        { provide: PoolHistoryService, useValue: { recordSnapshots } },
+        { provide: PriceOracleService, useValue: { getPricesUsd: jest.fn(async () => ({})) } },
+      ],
+    }).compile();
+
+    service = module.get(PoolScannerService);
+    service.registerAdapter(adapter);
+  });
+
+  it('discovers pools up to the cap, refreshes stats and 24h fees, and records success', async () => {
+    const target = dex();
+
+    await expect(service.syncDex(target, NOW)).resolves.toBe(true);
+
+    expect(adapter.discoverPools).toHaveBeenCalledWith(target, 2, NOW);
+    expect(pools.map(p => p.poolAddress)).toEqual(['0xa1', '0xa2']);
+    expect(pools[0]).toMatchObject({ token1Symbol: 'VERYLONGSY', tvl: '36500.00', volume24h: '4000.00', apr: '10.0000', fee: 500, tick: 7 });
+    expect(pools[1]).toMatchObject({ volume24h: '0.00', apr: '0.0000' });
+    expect(recordSnapshots).toHaveBeenCalledWith([
+      { pool: pools[0], fees24h: 10 },
+      { pool: pools[1], fees24h: 0 },
+    ]);
+    expect(dexRepository.update).toHaveBeenCalledWith('dex-1', expect.objectContaining({
+      lastSyncedAt: NOW,
+      lastSyncError: null,
+      consecutiveFailures: 0,
+    }));
+  });
+
+  it('records failures on the dex instead of throwing', async () => {
+    adapter.discoverPools.mockRejectedValueOnce(new Error('subgraph unavailable'));
+
+    await expect(service.syncDex(dex({ consecutiveFailures: 2 }), NOW)).resolves.toBe(false);
+
+    expect(dexRepository.update).toHaveBeenCalledWith('dex-1', {
+      lastSyncAttemptAt: NOW,
+      lastSyncError: 'subgraph unavailable',
+      consecutiveFailures: 3,
+    });
+  });
+
+  it('only syncs dexes whose interval has elapsed and that have an adapter', async () => {
+    dexes = [
+      dex({ id: 'due', lastSyncAttemptAt: new Date(NOW.getTime() - 301_000) }),
+      dex({ id: 'recent', lastSyncAttemptAt: new Date(NOW.getTime() - 60_000) }),
+      dex({ id: 'fast', syncIntervalSeconds: 30, lastSyncAttemptAt: new Date(NOW.getTime() - 60_000) }),
+      dex({ id: 'rpc', adapter: DexAdapterKind.ALGEBRA_RPC }),
+    ];
+    const syncDex = jest.spyOn(service, 'syncDex').mockResolvedValue(true);
+    service['adapters'].delete(DexAdapterKind.ALGEBRA_RPC);
+
+    await service.tick(NOW);
+
+    expect(syncDex.mock.calls.map(([d]) => d.id)).toEqual(['due', 'fast']);
+  });
+
+  it('reports health per dex with active pool counts', async () => {
+    dexes = [
+      dex({ id: 'ok', lastSyncAttemptAt: NOW, lastSyncedAt: NOW }),
+      dex({ id: 'failing', lastSyncAttemptAt: NOW, lastSyncedAt: null, consecutiveFailures: 4, lastSyncError: 'boom' }),
+    ];
+    const qb: Record<string, jest.Mock> = {};
+    for (const method of ['select', 'addSelect', 'where', 'groupBy']) qb[method] = jest.fn(() => qb);
+    qb.getRawMany = jest.fn(async () => [{ dexId: 'ok', count: '12' }]);
+    poolRepository.createQueryBuilder = jest.fn(() => qb);
+
+    const health = await service.getDexHealth(NOW);
+
+    expect(health).toEqual([
+      expect.objectContaining({ dexId: 'ok', status: 'healthy', poolCount: 12, syncIntervalSeconds: 300 }),
+      expect.objectContaining({ dexId: 'failing', status: 'down', poolCount: 0, lastSyncError: 'boom' }),
+    ]);
+  });
+});
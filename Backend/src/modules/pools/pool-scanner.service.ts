@@ -1,15 +1,51 @@
+/**
+ * Pool Scanner Service
+ *
+ * Keeps the pools table in sync with every active DEX row. Each Dex names the
+ * DexAdapter that reads it (subgraph or on-chain RPC) and can override its
+ * sync interval and pool cap; a one-minute tick syncs whichever dexes are due
+ * and records success or failure on the dex row, which GET /pools/dexes
+ * reports as adapter health.
+ */
+
 import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
-import { Repository } from 'typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { In, Repository } from 'typeorm';
+import { ethers } from 'ethers';
 import { Pool } from './entities/pool.entity';
 import { Dex } from './entities/dex.entity';
-import { ConfigService } from '@nestjs/config';
-import { request, gql } from 'graphql-request';
+import { PoolHistoryService } from './pool-history.service';
+import { PriceOracleService } from '../blockchain/services/price-oracle.service';
+import { AlgebraRpcAdapter, AlgebraSubgraphAdapter, DexAdapter, DexAdapterKind, DiscoveredPool } from './dex-adapters';
+import { DexHealthStatus, computeFeeApr, dexHealthStatus, isSyncDue, summarizeHourlyFees } from './dex-sync.logic';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const LEGACY_DEX_NAME = 'Algebra Dex';
+const MAX_SYNC_ERROR_LENGTH = 1000;
+
+export interface DexHealth {
+  dexId: string;
+  name: string;
+  adapter: DexAdapterKind;
+  chainId: number;
+  status: DexHealthStatus;
+  syncIntervalSeconds: number;
+  lastSyncAttemptAt: Date | null;
+  lastSyncedAt: Date | null;
+  lastSyncError: string | null;
+  consecutiveFailures: number;
+  poolCount: number;
+}
 
 @Injectable()
 export class PoolScannerService implements OnModuleInit {
   private readonly logger = new Logger(PoolScannerService.name);
-  private subgraphUrl: string;
+  private readonly adapters = new Map<DexAdapterKind, DexAdapter>();
+  private readonly providers = new Map<string, ethers.JsonRpcProvider>();
+  private readonly enabled: boolean;
+  private isProcessing = false;
 
   constructor(
     @InjectRepository(Pool)
@@ -17,130 +53,256 @@ export class PoolScannerService implements OnModuleInit {
     @InjectRepository(Dex)
     private dexRepository: Repository<Dex>,
     private configService: ConfigService,
-  ) {}
+    private poolHistoryService: PoolHistoryService,
+    private priceOracleService: PriceOracleService,
+  ) {
+    this.enabled = this.configService.get<boolean>('ENABLE_POOL_AGGREGATOR', true);
+  }
 
   async onModuleInit() {
-    this.subgraphUrl = this.configService.get<string>('ALGEBRA_SUBGRAPH_URL');
+    for (const adapter of this.buildAdaptersFromConfig()) {
+      this.registerAdapter(adapter);
+    }
+    this.logger.log(`DEX adapters: ${[...this.adapters.keys()].join(', ') || 'none'} (enabled: ${this.enabled})`);
 
-    if (!this.subgraphUrl) {
-      this.logger.warn('ALGEBRA_SUBGRAPH_URL not set. Pool Scanner disabled.');
-      return;
+    try {
+      await this.ensureLegacyDex();
+    } catch (error) {
+      this.logger.error(`❌ Failed to seed ${LEGACY_DEX_NAME}: ${error.message}`);
     }
+  }
 
-    // Initial sync
-    this.syncPools();
-    
-    // Sync every 5 minutes
-    setInterval(() => this.syncPools(), 1000 * 60 * 5);
+  /** Register or replace the adapter for a kind; used by tests and additional DEX integrations. */
+  registerAdapter(adapter: DexAdapter): void {
+    this.adapters.set(adapter.kind, adapter);
   }
 
-  async syncPools() {
-    this.logger.log('🔄 Syncing pools from Subgraph...');
-
-    // Ensure Dex exists
-    let dex = await this.dexRepository.findOne({ where: { name: 'Algebra Dex' } });
-    if (!dex) {
-      dex = this.dexRepository.create({
-        name: 'Algebra Dex',
-        factoryAddress: this.configService.get<string>('ALGEBRA_FACTORY_ADDRESS') || '0x0000000000000000000000000000000000000000',
-        routerAddress: this.configService.get<string>('ALGEBRA_ROUTER_ADDRESS') || '0x0000000000000000000000000000000000000000',
-        nonfungiblePositionManagerAddress: this.configService.get<string>('ALGEBRA_POSITION_MANAGER_ADDRESS') || '0x0000000000000000000000000000000000000000',
-        chainId: 2004, // Moonbeam
-        isActive: true,
-      });
-      dex = await this.dexRepository.save(dex);
+  @Cron(CronExpression.EVERY_MINUTE)
+  async tick(now = new Date()) {
+    if (!this.enabled || this.isProcessing) {
+      return;
     }
 
-    const query = gql`
-      {
-        pools(
-          orderBy: totalValueLockedUSD, 
-          orderDirection: desc, 
-          first: 50
-        ) {
-          id
-          fee
-          liquidity
-          sqrtPrice
-          tick
-          token0 {
-            symbol
-            id
-            decimals
-          }
-          token1 {
-            symbol
-            id
-            decimals
-          }
-          totalValueLockedUSD
-          volumeUSD
-          feesUSD
-          poolHourData(orderBy: periodStartUnix, orderDirection: desc, first: 24) {
-            feesUSD
-            periodStartUnix
-          }
+    this.isProcessing = true;
+    try {
+      const dexes = await this.dexRepository.find({ where: { isActive: true } });
+      for (const dex of dexes) {
+        if (this.adapters.has(dex.adapter) && isSyncDue(dex.lastSyncAttemptAt, this.intervalSeconds(dex), now)) {
+          await this.syncDex(dex, now);
         }
       }
-    `;
+    } catch (error) {
+      this.logger.error(`❌ Pool sync tick failed: ${error.message}`, error.stack);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /** Sync every active dex now, regardless of schedule. */
+  async syncPools(now = new Date()): Promise<void> {
+    const dexes = await this.dexRepository.find({ where: { isActive: true } });
+    for (const dex of dexes) {
+      await this.syncDex(dex, now);
+    }
+  }
+
+  /**
+   * Discover, refresh and snapshot one dex's pools. Failures are recorded on
+   * the dex row instead of thrown, so one broken source never blocks the others.
+   */
+  async syncDex(dex: Dex, now = new Date()): Promise<boolean> {
+    const adapter = this.adapters.get(dex.adapter);
+    if (!adapter) {
+      this.logger.warn(`No adapter registered for ${dex.name} (${dex.adapter}), skipping`);
+      return false;
+    }
 
     try {
-      const apiKey = this.configService.get<string>('ALGEBRA_SUBGRAPH_API_KEY');
-      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : undefined;
-      
-      const data: any = await request(this.subgraphUrl, query, undefined, headers);
-      
-      for (const graphPool of data.pools) {
-        // 1. Calculate 24h Fees (Sum of last 24 hourly snapshots)
-        const fees24h = graphPool.poolHourData.reduce((acc, hour) => acc + Number(hour.feesUSD), 0);
-        const tvl = Number(graphPool.totalValueLockedUSD);
-        
-        // 2. Calculate APR: (Fees24h * 365) / TVL
-        const apr = tvl > 0 ? ((fees24h * 365) / tvl) * 100 : 0;
-
-        // 3. Find or Create Pool in DB
-        let pool = await this.poolRepository.findOne({ where: { poolAddress: graphPool.id } });
-        
-        if (!pool) {
-          pool = this.poolRepository.create({
-            poolAddress: graphPool.id,
-            token0Address: graphPool.token0.id,
-            token1Address: graphPool.token1.id,
-            token0Symbol: graphPool.token0.symbol,
-            token1Symbol: graphPool.token1.symbol,
-            dexId: dex.id,
-            dex: dex,
-            chainId: 2004,
-            isActive: true,
-            // Initialize required fields
-            fee: Number(graphPool.fee) || 0,
-            liquidity: graphPool.liquidity || '0',
-            sqrtPriceX96: graphPool.sqrtPrice || '0',
-            tick: Number(graphPool.tick) || 0,
-            volume24h: '0',
-            tvl: '0',
-            apr: '0',
-            lastSyncedAt: new Date()
-          });
-        }
+      const maxPools = this.maxPools(dex);
+      const discovery = await adapter.discoverPools(dex, maxPools, now);
+      await this.upsertDiscovered(dex, discovery.pools, maxPools, now);
 
-        // 4. Update Stats
-        pool.tvl = tvl.toString();
-        pool.volume24h = graphPool.volumeUSD.toString(); 
-        pool.apr = apr.toString();
-        pool.fee = Number(graphPool.fee) || pool.fee;
-        pool.liquidity = graphPool.liquidity || pool.liquidity;
-        pool.sqrtPriceX96 = graphPool.sqrtPrice || pool.sqrtPriceX96;
-        pool.tick = Number(graphPool.tick) || pool.tick;
-        pool.lastSyncedAt = new Date();
-
-        await this.poolRepository.save(pool);
+      const pools = await this.poolRepository.find({ where: { dexId: dex.id, isActive: true } });
+      const addresses = pools.map(p => p.poolAddress);
+      const stats = new Map((await adapter.fetchStats(dex, addresses, now)).map(s => [s.poolAddress.toLowerCase(), s]));
+      const hourly = await adapter.fetchHourlyFees(dex, addresses, 24, now);
+
+      const snapshots: Array<{ pool: Pool; fees24h: number }> = [];
+      for (const pool of pools) {
+        const key = pool.poolAddress.toLowerCase();
+        const stat = stats.get(key);
+        if (!stat) continue; // Source has no data for this pool this run; keep the last values
+
+        const { fees24h, volume24h } = summarizeHourlyFees(hourly.get(key) ?? [], now);
+        pool.tvl = stat.tvlUsd.toFixed(2);
+        pool.volume24h = volume24h.toFixed(2);
+        pool.apr = computeFeeApr(fees24h, stat.tvlUsd).toFixed(4);
+        pool.fee = stat.fee || pool.fee;
+        pool.liquidity = stat.liquidity || pool.liquidity;
+        pool.sqrtPriceX96 = stat.sqrtPriceX96 || pool.sqrtPriceX96;
+        pool.tick = stat.tick;
+        pool.lastSyncedAt = now;
+        snapshots.push({ pool: await this.poolRepository.save(pool), fees24h });
       }
-      
-      this.logger.log(`✅ Synced ${data.pools.length} pools from Subgraph.`);
 
+      // Append history so averages survive the overwrite above
+      try {
+        await this.poolHistoryService.recordSnapshots(snapshots);
+      } catch (error) {
+        this.logger.error(`❌ Failed to record pool snapshots: ${error.message}`);
+      }
+
+      await this.dexRepository.update(dex.id, {
+        syncCursor: discovery.cursor,
+        lastSyncAttemptAt: now,
+        lastSyncedAt: now,
+        lastSyncError: null,
+        consecutiveFailures: 0,
+      });
+      this.logger.log(`✅ Synced ${snapshots.length}/${pools.length} pools for ${dex.name} (${dex.adapter})`);
+      return true;
     } catch (error) {
-      this.logger.error(`❌ Subgraph sync failed: ${error.message}`);
+      await this.dexRepository.update(dex.id, {
+        lastSyncAttemptAt: now,
+        lastSyncError: String(error.message ?? error).slice(0, MAX_SYNC_ERROR_LENGTH),
+        consecutiveFailures: (dex.consecutiveFailures ?? 0) + 1,
+      });
+      this.logger.error(`❌ Pool sync failed for ${dex.name} (${dex.adapter}): ${error.message}`);
+      return false;
+    }
+  }
+
+  /** Sync health per dex, for GET /pools/dexes. */
+  async getDexHealth(now = new Date()): Promise<DexHealth[]> {
+    const dexes = await this.dexRepository.find({ order: { name: 'ASC' } });
+    const counts: Array<{ dexId: string; count: string }> = dexes.length
+      ? await this.poolRepository.createQueryBuilder('pool')
+        .select('pool.dexId', 'dexId')
+        .addSelect('COUNT(*)', 'count')
+        .where('pool.isActive = :isActive', { isActive: true })
+        .groupBy('pool.dexId')
+        .getRawMany()
+      : [];
+    const poolCounts = new Map(counts.map(c => [c.dexId, Number(c.count)]));
+
+    return dexes.map(dex => {
+      const syncIntervalSeconds = this.intervalSeconds(dex);
+      return {
+        dexId: dex.id,
+        name: dex.name,
+        adapter: dex.adapter,
+        chainId: dex.chainId,
+        status: dexHealthStatus(
+          {
+            isActive: this.enabled && dex.isActive,
+            adapterRegistered: this.adapters.has(dex.adapter),
+            intervalSeconds: syncIntervalSeconds,
+            lastSyncAttemptAt: dex.lastSyncAttemptAt,
+            lastSyncedAt: dex.lastSyncedAt,
+            consecutiveFailures: dex.consecutiveFailures ?? 0,
+          },
+          now,
+        ),
+        syncIntervalSeconds,
+        lastSyncAttemptAt: dex.lastSyncAttemptAt,
+        lastSyncedAt: dex.lastSyncedAt,
+        lastSyncError: dex.lastSyncError,
+        consecutiveFailures: dex.consecutiveFailures ?? 0,
+        poolCount: poolCounts.get(dex.id) ?? 0,
+      };
+    });
+  }
+
+  /** Insert newly discovered pools, never growing a dex past its pool cap. */
+  private async upsertDiscovered(dex: Dex, discovered: DiscoveredPool[], maxPools: number, now: Date): Promise<void> {
+    if (discovered.length === 0) return;
+
+    const existing = await this.poolRepository.find({
+      where: { chainId: dex.chainId, poolAddress: In(discovered.map(p => p.poolAddress)) },
+    });
+    const known = new Set(existing.map(p => p.poolAddress.toLowerCase()));
+    let room = maxPools - (await this.poolRepository.count({ where: { dexId: dex.id, isActive: true } }));
+
+    for (const found of discovered) {
+      if (room <= 0) break;
+      if (known.has(found.poolAddress.toLowerCase())) continue;
+
+      await this.poolRepository.save(this.poolRepository.create({
+        poolAddress: found.poolAddress,
+        token0Address: found.token0Address,
+        token1Address: found.token1Address,
+        token0Symbol: String(found.token0Symbol ?? '').slice(0, 10),
+        token1Symbol: String(found.token1Symbol ?? '').slice(0, 10),
+        dexId: dex.id,
+        chainId: dex.chainId,
+        isActive: true,
+        fee: 0,
+        liquidity: '0',
+        sqrtPriceX96: '0',
+        tick: 0,
+        volume24h: '0',
+        tvl: '0',
+        apr: '0',
+        lastSyncedAt: now,
+      }));
+      known.add(found.poolAddress.toLowerCase());
+      room--;
+    }
+  }
+
+  private intervalSeconds(dex: Dex): number {
+    return dex.syncIntervalSeconds || Number(this.configService.get('POOL_UPDATE_INTERVAL', 300_000)) / 1000;
+  }
+
+  private maxPools(dex: Dex): number {
+    return dex.maxPools || Number(this.configService.get('POOL_SYNC_LIMIT', 50));
+  }
+
+  /**
+   * Deployments that predate the dexes columns were configured purely through
+   * ALGEBRA_* env vars; keep creating that row so they sync unchanged.
+   */
+  private async ensureLegacyDex(): Promise<void> {
+    if (!this.configService.get<string>('ALGEBRA_SUBGRAPH_URL') || (await this.dexRepository.count()) > 0) {
+      return;
+    }
+    await this.dexRepository.save(this.dexRepository.create({
+      name: LEGACY_DEX_NAME,
+      factoryAddress: this.configService.get<string>('ALGEBRA_FACTORY_ADDRESS') || ZERO_ADDRESS,
+      routerAddress: this.configService.get<string>('ALGEBRA_ROUTER_ADDRESS') || ZERO_ADDRESS,
+      nonfungiblePositionManagerAddress: this.configService.get<string>('ALGEBRA_POSITION_MANAGER_ADDRESS') || ZERO_ADDRESS,
+      chainId: 2004, // Moonbeam
+      isActive: true,
+      adapter: DexAdapterKind.ALGEBRA_SUBGRAPH,
+    }));
+  }
+
+  private buildAdaptersFromConfig(): DexAdapter[] {
+    return [
+      new AlgebraSubgraphAdapter(
+        this.configService.get<string>('ALGEBRA_SUBGRAPH_URL'),
+        this.configService.get<string>('ALGEBRA_SUBGRAPH_API_KEY'),
+      ),
+      new AlgebraRpcAdapter({
+        getProvider: dex => this.getProvider(dex),
+        getPricesUsd: symbols => this.priceOracleService.getPricesUsd(symbols),
+        blockRange: Number(this.configService.get('POOL_RPC_BLOCK_RANGE', 2000)),
+        maxBlocksPerSync: Number(this.configService.get('POOL_RPC_MAX_BLOCKS_PER_SYNC', 200_000)),
+        blockTimeSeconds: Number(this.configService.get('POOL_RPC_BLOCK_TIME_SECONDS', 6)),
+      }),
+    ];
+  }
+
+  private getProvider(dex: Dex): ethers.JsonRpcProvider {
+    const url = dex.rpcUrl || this.configService.get<string>('MOONBEAM_RPC_URL');
+    if (!url) {
+      throw new Error(`No RPC URL configured for ${dex.name}`);
+    }
+    let provider = this.providers.get(url);
+    if (!provider) {
+      provider = new ethers.JsonRpcProvider(url);
+      this.providers.set(url, provider);
     }
+    return provider;
   }
 }
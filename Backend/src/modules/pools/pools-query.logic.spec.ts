@@ -0,0 +1,43 @@
+import {
+  chainIdToSlug,
+  decodePoolCursor,
+  dexNameToSlug,
+  encodePoolCursor,
+  poolSortValue,
+  resolveChainFilter,
+} from './pools-query.logic';
+
+describe('pools-query.logic', () => {
+  test('resolveChainFilter maps frontend slugs and numeric ids', () => {
+    expect(resolveChainFilter('moonbeam')).toBe(2004);
+    expect(resolveChainFilter('Asset-Hub')).toBe(1000);
+    expect(resolveChainFilter('2004')).toBe(2004);
+    expect(resolveChainFilter('kusama')).toBeNull();
+    expect(chainIdToSlug(2004)).toBe('moonbeam');
+    expect(chainIdToSlug(2030)).toBe('2030');
+  });
+
+  test('dexNameToSlug produces the slugs the frontend filters on', () => {
+    expect(dexNameToSlug('Algebra Dex')).toBe('algebra');
+    expect(dexNameToSlug('StellaSwap')).toBe('stellaswap');
+    expect(dexNameToSlug(undefined)).toBe('');
+  });
+
+  test('cursors round-trip and are bound to their sort', () => {
+    const raw = encodePoolCursor({ s: 'apr', o: 'desc', v: '12.5', id: 'pool-1' });
+
+    expect(decodePoolCursor(raw, 'apr', 'desc')).toEqual({ s: 'apr', o: 'desc', v: '12.5', id: 'pool-1' });
+    expect(decodePoolCursor(raw, 'tvl', 'desc')).toBeNull();
+    expect(decodePoolCursor(raw, 'apr', 'asc')).toBeNull();
+    expect(decodePoolCursor('not-a-cursor', 'apr', 'desc')).toBeNull();
+  });
+
+  test('poolSortValue reads the sorted column', () => {
+    const pool = { apr: '12.5', tvl: '1000', volume24h: '50', fee: 500, token0Symbol: 'DOT', token1Symbol: 'USDC', chainId: 2004 };
+
+    expect(poolSortValue(pool, 'apr')).toBe('12.5');
+    expect(poolSortValue(pool, 'fee')).toBe(500);
+    expect(poolSortValue(pool, 'pair')).toBe('DOT/USDC');
+    expect(poolSortValue(pool, 'chain')).toBe(2004);
+  });
+});
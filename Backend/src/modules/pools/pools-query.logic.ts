@@ -0,0 +1,107 @@
+/**
+ * Pools Query Logic
+ *
+ * Pure helpers behind GET /pools: the sort-key whitelist, chain/dex slugs the
+ * frontend filters on, and opaque keyset cursors.
+ */
+
+export const POOL_SORT_KEYS = ['apr', 'tvl', 'volume24h', 'fee', 'pair', 'chain'] as const;
+export type PoolSortKey = (typeof POOL_SORT_KEYS)[number];
+export type SortOrder = 'asc' | 'desc';
+
+/**
+ * SQL expression per sort key. Only these expressions ever reach ORDER BY, so
+ * user input cannot inject SQL through `sort`.
+ */
+export const POOL_SORT_COLUMNS: Record<PoolSortKey, string> = {
+  apr: 'pool.apr',
+  tvl: 'pool.tvl',
+  volume24h: 'pool.volume24h',
+  fee: 'pool.fee',
+  pair: "(pool.token0Symbol || '/' || pool.token1Symbol)",
+  chain: 'pool.chainId',
+};
+
+/** Postgres type the cursor value is cast to when comparing against the sort column. */
+export const POOL_SORT_CAST: Record<PoolSortKey, string> = {
+  apr: 'numeric',
+  tvl: 'numeric',
+  volume24h: 'numeric',
+  fee: 'int',
+  pair: 'text',
+  chain: 'int',
+};
+
+/** Chain slugs used by the frontend, keyed to the parachain ids stored on pools. */
+export const CHAIN_SLUGS: Record<string, number> = {
+  'asset-hub': 1000,
+  moonbeam: 2004,
+};
+
+export function chainIdToSlug(chainId: number): string {
+  const slug = Object.keys(CHAIN_SLUGS).find(key => CHAIN_SLUGS[key] === chainId);
+  return slug ?? String(chainId);
+}
+
+/**
+ * Resolve a chain filter given as a slug ("moonbeam") or numeric id ("2004").
+ * Returns null for unknown values.
+ */
+export function resolveChainFilter(chain: string): number | null {
+  const normalized = chain.trim().toLowerCase();
+  if (normalized in CHAIN_SLUGS) {
+    return CHAIN_SLUGS[normalized];
+  }
+  return /^\d+$/.test(normalized) ? Number(normalized) : null;
+}
+
+/** "Algebra Dex" -> "algebra", "StellaSwap" -> "stellaswap". */
+export function dexNameToSlug(name: string | undefined | null): string {
+  if (!name) return '';
+  return name.trim().toLowerCase().replace(/\s+dex$/, '').replace(/\s+/g, '-');
+}
+
+export interface PoolCursor {
+  /** Sort key the cursor was issued for; a cursor is only valid for the same sort. */
+  s: PoolSortKey;
+  o: SortOrder;
+  /** Sort column value of the last row on the previous page. */
+  v: string | number;
+  /** Id of the last row, the tie-breaker. */
+  id: string;
+}
+
+export function encodePoolCursor(cursor: PoolCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check it belongs to the requested sort. Returns null for
+ * malformed or mismatched cursors.
+ */
+export function decodePoolCursor(raw: string, sort: PoolSortKey, order: SortOrder): PoolCursor | null {
+  try {
+    const cursor = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8')) as PoolCursor;
+    if (cursor?.s !== sort || cursor.o !== order || typeof cursor.id !== 'string' || cursor.v === undefined) {
+      return null;
+    }
+    return cursor;
+  } catch {
+    return null;
+  }
+}
+
+/** Value of the sort column for a pool row, as stored in a cursor. */
+export function poolSortValue(
+  pool: { apr: string; tvl: string; volume24h: string; fee: number; token0Symbol: string; token1Symbol: string; chainId: number },
+  sort: PoolSortKey,
+): string | number {
+  switch (sort) {
+    case 'pair':
+      return `${pool.token0Symbol}/${pool.token1Symbol}`;
+    case 'chain':
+      return pool.chainId;
+    default:
+      return pool[sort];
+  }
+}
@@ -5,33 +5,28 @@
  */
 
 import { Controller, Get, Post, Param, Query, HttpCode, HttpStatus } from '@nestjs/common';
-import { PoolsService, PoolFilterDto } from './pools.service';
+import { PoolsService, PoolListItem, PoolsPage } from './pools.service';
+import { PoolHistoryService, PoolHistory } from './pool-history.service';
+import { PoolHistoryQueryDto } from './dto/pool-history-query.dto';
+import { PoolsQueryDto } from './dto/pools-query.dto';
+import { PoolScannerService, DexHealth } from './pool-scanner.service';
 import { Pool } from './entities/pool.entity';
 
 @Controller('pools')
 export class PoolsController {
-  constructor(private readonly poolsService: PoolsService) {}
+  constructor(
+    private readonly poolsService: PoolsService,
+    private readonly poolHistoryService: PoolHistoryService,
+    private readonly poolScannerService: PoolScannerService,
+  ) {}
 
   /**
-   * List pools with filters
-   * GET /pools?minTvl=1000000&minApr=5&limit=20
+   * List pools with filters, whitelisted sorting and offset or cursor pagination
+   * GET /pools?token=DOT&chain=moonbeam&dex=algebra&sort=apr&order=desc&limit=20&offset=0
    */
   @Get()
-  async findAll(
-    @Query('minTvl') minTvl?: string,
-    @Query('minApr') minApr?: string,
-    @Query('minVolume') minVolume?: string,
-    @Query('limit') limit?: string,
-    @Query('offset') offset?: string,
-  ): Promise<Pool[]> {
-    const filter: PoolFilterDto = {
-      minTvl: minTvl ? parseFloat(minTvl) : undefined,
-      minApr: minApr ? parseFloat(minApr) : undefined,
-      minVolume: minVolume ? parseFloat(minVolume) : undefined,
-      limit: limit ? parseInt(limit) : undefined,
-      offset: offset ? parseInt(offset) : undefined,
-    };
-    return this.poolsService.findAll(filter);
+  async findAll(@Query() query: PoolsQueryDto): Promise<PoolsPage> {
+    return this.poolsService.findAll(query);
   }
 
   /**
@@ -39,26 +34,46 @@ export class PoolsController {
    * GET /pools/top?limit=10
    */
   @Get('top')
-  async getTopPools(@Query('limit') limit?: string): Promise<Pool[]> {
-    return this.poolsService.findAll({
+  async getTopPools(@Query('limit') limit?: string): Promise<PoolListItem[]> {
+    const page = await this.poolsService.findAll({
       minTvl: 1000000, // $1M minimum
+      sort: 'apr',
+      order: 'desc',
       limit: limit ? parseInt(limit) : 10,
     });
+    return page.pools;
   }
 
   /**
-   * Search pools by token
+   * Search pools by token symbol or address
    * GET /pools/search?token=USDC
    */
   @Get('search')
-  async searchByToken(@Query('token') token: string): Promise<Pool[]> {
-    // This would need to be implemented in PoolsService
-    // For now, return all and filter client-side
-    const pools = await this.poolsService.findAll({});
-    return pools.filter(p => 
-      p.token0Symbol.toUpperCase().includes(token.toUpperCase()) ||
-      p.token1Symbol.toUpperCase().includes(token.toUpperCase())
-    );
+  async searchByToken(@Query('token') token: string): Promise<PoolListItem[]> {
+    const page = await this.poolsService.findAll({ token, limit: 100 });
+    return page.pools;
+  }
+
+  /**
+   * Per-dex sync status: adapter, last sync, failures and health
+   * GET /pools/dexes
+   */
+  @Get('dexes')
+  async getDexes(): Promise<DexHealth[]> {
+    return this.poolScannerService.getDexHealth();
+  }
+
+  /**
+   * Get pool snapshot history with trailing 7d/30d APR averages
+   * GET /pools/:id/history?from=2025-01-01T00:00:00Z&to=...&granularity=1h
+   */
+  @Get(':id/history')
+  async getHistory(@Param('id') id: string, @Query() query: PoolHistoryQueryDto): Promise<PoolHistory> {
+    return this.poolHistoryService.getHistory(id, {
+      from: query.from ? new Date(query.from) : undefined,
+      to: query.to ? new Date(query.to) : undefined,
+      granularity: query.granularity,
+    });
   }
 
   /**
@@ -2,15 +2,18 @@ import { Module } from '@nestjs/common';
 import { TypeOrmModule } from '@nestjs/typeorm';
 import { Pool } from './entities/pool.entity';
 import { Dex } from './entities/dex.entity';
+import { PoolSnapshot } from './entities/pool-snapshot.entity';
 import { PoolScannerService } from './pool-scanner.service';
 import { PoolsService } from './pools.service';
+import { PoolHistoryService } from './pool-history.service';
 import { PoolsController } from './pools.controller';
+import { BlockchainModule } from '../blockchain/blockchain.module';
 
 @Module({
-  imports: [TypeOrmModule.forFeature([Pool, Dex])],
+  imports: [TypeOrmModule.forFeature([Pool, Dex, PoolSnapshot]), BlockchainModule],
   controllers: [PoolsController],
-  providers: [PoolScannerService, PoolsService],
-  exports: [TypeOrmModule, PoolScannerService, PoolsService],
+  providers: [PoolScannerService, PoolsService, PoolHistoryService],
+  exports: [TypeOrmModule, PoolScannerService, PoolsService, PoolHistoryService],
 })
 export class PoolsModule {}
 
@@ -0,0 +1,86 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { BadRequestException } from '@nestjs/common';
+import { PoolsService } from './pools.service';
+import { Pool } from './entities/pool.entity';
+import { encodePoolCursor } from './pools-query.logic';
+
+describe('PoolsService', () => {
+  let service: PoolsService;
+  let qb: Record<string, jest.Mock>;
+  let rows: Partial<Pool>[];
+
+  const pool = (id: string, apr: string): Partial<Pool> => ({
+    id,
+    apr,
+    tvl: '1000',
+    volume24h: '10',
+    fee: 500,
+    token0Symbol: 'DOT',
+    token1Symbol: 'USDC',
+    chainId: 2004,
+    dex: { name: 'Algebra Dex' } as any,
+  });
+
+  beforeEach(async () => {
+    rows = [];
+    qb = {} as Record<string, jest.Mock>;
+    for (const method of ['leftJoinAndSelect', 'where', 'andWhere', 'orderBy', 'addOrderBy', 'offset', 'limit']) {
+      qb[method] = jest.fn(() => qb);
+    }
+    qb.clone = jest.fn(() => ({ getCount: async () => 42 }));
+    qb.getMany = jest.fn(async () => rows);
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        PoolsService,
+        { provide: getRepositoryToken(Pool), useValue: { createQueryBuilder: () => qb } },
+      ],
+    }).compile();
+
+    service = module.get(PoolsService);
+  });
+
+  it('sorts by a whitelisted column with an id tie-breaker and returns paged totals', async () => {
+    rows = [pool('p1', '30'), pool('p2', '20'), pool('p3', '10')];
+
+    const page = await service.findAll({ sort: 'apr', order: 'asc', limit: 2, offset: 4 });
+
+    expect(qb.orderBy).toHaveBeenCalledWith('pool.apr', 'ASC');
+    expect(qb.addOrderBy).toHaveBeenCalledWith('pool.id', 'ASC');
+    expect(qb.offset).toHaveBeenCalledWith(4);
+    expect(qb.limit).toHaveBeenCalledWith(3);
+    expect(page).toMatchObject({ total: 42, limit: 2, offset: 4 });
+    expect(page.pools.map(p => p.id)).toEqual(['p1', 'p2']);
+    expect(page.pools[0]).toMatchObject({ chain: 'moonbeam', dex: 'algebra', dexName: 'Algebra Dex' });
+    expect(page.nextCursor).toBe(encodePoolCursor({ s: 'apr', o: 'asc', v: '20', id: 'p2' }));
+  });
+
+  it('applies token, chain and dex filters', async () => {
+    await service.findAll({ token: 'do_t', chain: 'moonbeam', dex: 'algebra' });
+
+    expect(qb.andWhere).toHaveBeenCalledWith('pool.chainId = :chainId', { chainId: 2004 });
+    expect(qb.andWhere).toHaveBeenCalledWith('LOWER(dex.name) LIKE :dexName', { dexName: 'algebra%' });
+    // The token filter is a Brackets group; its ILIKE pattern escapes LIKE wildcards
+    const brackets = qb.andWhere.mock.calls.find(([arg]) => typeof arg !== 'string')[0];
+    const inner = { where: jest.fn(() => inner), orWhere: jest.fn(() => inner) };
+    brackets.whereFactory(inner);
+    expect(inner.where).toHaveBeenCalledWith('pool.token0Symbol ILIKE :tokenSymbol', { tokenSymbol: '%do\\_t%' });
+  });
+
+  it('continues after a cursor and rejects cursors from another sort', async () => {
+    const cursor = encodePoolCursor({ s: 'tvl', o: 'desc', v: '500', id: 'p9' });
+
+    const page = await service.findAll({ cursor, offset: 20 });
+
+    expect(qb.andWhere).toHaveBeenCalledWith(
+      '(pool.tvl, pool.id) < (CAST(:cursorValue AS numeric), CAST(:cursorId AS uuid))',
+      { cursorValue: '500', cursorId: 'p9' },
+    );
+    expect(page.offset).toBe(0);
+    expect(page.nextCursor).toBeNull();
+
+    await expect(service.findAll({ cursor, sort: 'apr' })).rejects.toBeInstanceOf(BadRequestException);
+    await expect(service.findAll({ chain: 'kusama' })).rejects.toBeInstanceOf(BadRequestException);
+  });
+});
@@ -1,7 +1,19 @@
-import { Injectable } from '@nestjs/common';
+import { BadRequestException, Injectable } from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
-import { Repository, MoreThanOrEqual } from 'typeorm';
+import { Brackets, Repository } from 'typeorm';
 import { Pool } from './entities/pool.entity';
+import {
+  POOL_SORT_CAST,
+  POOL_SORT_COLUMNS,
+  PoolSortKey,
+  SortOrder,
+  chainIdToSlug,
+  decodePoolCursor,
+  dexNameToSlug,
+  encodePoolCursor,
+  poolSortValue,
+  resolveChainFilter,
+} from './pools-query.logic';
 
 export interface PoolFilterDto {
   minTvl?: number;
@@ -9,8 +21,34 @@ export interface PoolFilterDto {
   minVolume?: number;
   limit?: number;
   offset?: number;
+  cursor?: string;
+  sort?: PoolSortKey;
+  order?: SortOrder;
+  token?: string;
+  chain?: string;
+  dex?: string;
 }
 
+/** Pool as listed by GET /pools: chain and dex flattened to the slugs the frontend filters on. */
+export type PoolListItem = Omit<Pool, 'dex' | 'positions'> & {
+  chain: string;
+  dex: string;
+  dexName: string | null;
+};
+
+export interface PoolsPage {
+  pools: PoolListItem[];
+  total: number; // Matching pools across all pages
+  limit: number;
+  offset: number;
+  nextCursor: string | null;
+}
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
 @Injectable()
 export class PoolsService {
   constructor(
@@ -18,7 +56,16 @@ export class PoolsService {
     private poolRepository: Repository<Pool>,
   ) {}
 
-  async findAll(filter: PoolFilterDto): Promise<Pool[]> {
+  /**
+   * Filtered, sorted page of active pools. Sorting is whitelisted and always
+   * tie-broken by id, so offset and cursor pages are stable.
+   */
+  async findAll(filter: PoolFilterDto): Promise<PoolsPage> {
+    const sort = filter.sort ?? 'tvl';
+    const order = filter.order ?? 'desc';
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const limit = Math.min(filter.limit ?? DEFAULT_LIMIT, MAX_LIMIT);
+
     const query = this.poolRepository.createQueryBuilder('pool')
       .leftJoinAndSelect('pool.dex', 'dex')
       .where('pool.isActive = :isActive', { isActive: true });
@@ -35,20 +82,90 @@ export class PoolsService {
       query.andWhere('pool.volume24h >= :minVolume', { minVolume: filter.minVolume });
     }
 
-    query.orderBy('pool.tvl', 'DESC');
-    
-    if (filter.limit) {
-      query.take(filter.limit);
+    const token = filter.token?.trim();
+    if (token) {
+      if (ADDRESS_PATTERN.test(token)) {
+        query.andWhere(new Brackets(qb => {
+          qb.where('LOWER(pool.token0Address) = :tokenAddress', { tokenAddress: token.toLowerCase() })
+            .orWhere('LOWER(pool.token1Address) = :tokenAddress');
+        }));
+      } else {
+        const pattern = `%${token.replace(/[\\%_]/g, '\\$&')}%`;
+        query.andWhere(new Brackets(qb => {
+          qb.where('pool.token0Symbol ILIKE :tokenSymbol', { tokenSymbol: pattern })
+            .orWhere('pool.token1Symbol ILIKE :tokenSymbol');
+        }));
+      }
+    }
+
+    if (filter.chain) {
+      const chainId = resolveChainFilter(filter.chain);
+      if (chainId === null) {
+        throw new BadRequestException(`Unknown chain: ${filter.chain}`);
+      }
+      query.andWhere('pool.chainId = :chainId', { chainId });
     }
-    
-    if (filter.offset) {
-      query.skip(filter.offset);
+
+    if (filter.dex) {
+      if (UUID_PATTERN.test(filter.dex)) {
+        query.andWhere('pool.dexId = :dexId', { dexId: filter.dex });
+      } else {
+        // Slugs are name prefixes: "algebra" matches "Algebra Dex"
+        query.andWhere('LOWER(dex.name) LIKE :dexName', { dexName: `${filter.dex.trim().toLowerCase().replace(/-/g, ' ')}%` });
+      }
     }
 
-    return query.getMany();
+    const total = await query.clone().getCount();
+
+    const sortColumn = POOL_SORT_COLUMNS[sort];
+    let offset = filter.offset ?? 0;
+    if (filter.cursor) {
+      const cursor = decodePoolCursor(filter.cursor, sort, order);
+      if (!cursor) {
+        throw new BadRequestException('Invalid cursor for this sort order');
+      }
+      const comparator = order === 'asc' ? '>' : '<';
+      query.andWhere(
+        `(${sortColumn}, pool.id) ${comparator} (CAST(:cursorValue AS ${POOL_SORT_CAST[sort]}), CAST(:cursorId AS uuid))`,
+        { cursorValue: cursor.v, cursorId: cursor.id },
+      );
+      offset = 0;
+    }
+
+    // Fetch one extra row to know whether another page follows
+    const rows = await query
+      .orderBy(sortColumn, direction)
+      .addOrderBy('pool.id', direction)
+      .offset(offset)
+      .limit(limit + 1)
+      .getMany();
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = rows.length > limit && last
+      ? encodePoolCursor({ s: sort, o: order, v: poolSortValue(last, sort), id: last.id })
+      : null;
+
+    return {
+      pools: page.map(pool => this.toListItem(pool)),
+      total,
+      limit,
+      offset,
+      nextCursor,
+    };
   }
 
   async findOne(id: string): Promise<Pool> {
     return this.poolRepository.findOne({ where: { id }, relations: ['dex'] });
   }
+
+  private toListItem(pool: Pool): PoolListItem {
+    const { dex, positions: _positions, ...rest } = pool;
+    return {
+      ...rest,
+      chain: chainIdToSlug(pool.chainId),
+      dex: dexNameToSlug(dex?.name),
+      dexName: dex?.name ?? null,
+    };
+  }
 }
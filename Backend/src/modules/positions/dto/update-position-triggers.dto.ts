@@ -0,0 +1,28 @@
+import { IsNumber, IsOptional, Max, Min } from 'class-validator';
+
+/**
+ * Value triggers of a position, in percent. An omitted field is left as is;
+ * null turns the trigger off.
+ */
+export class UpdatePositionTriggersDto {
+  /** Exit once value is this % below entry value (e.g. 8) */
+  @IsOptional()
+  @IsNumber({ maxDecimalPlaces: 2 })
+  @Min(0.1)
+  @Max(99)
+  stopLossPercent?: number | null;
+
+  /** Exit once value is this % above entry value (e.g. 15) */
+  @IsOptional()
+  @IsNumber({ maxDecimalPlaces: 2 })
+  @Min(0.1)
+  @Max(1000)
+  takeProfitPercent?: number | null;
+
+  /** Exit once value is this % below the highest value seen */
+  @IsOptional()
+  @IsNumber({ maxDecimalPlaces: 2 })
+  @Min(0.1)
+  @Max(99)
+  trailingStopPercent?: number | null;
+}
@@ -0,0 +1,30 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, Index } from 'typeorm';
+import { PositionEventType } from '../position-event-bus.service';
+
+/**
+ * Every event published on PositionEventBusService, kept for
+ * POSITION_EVENT_RETENTION_HOURS. The sequence id is the SSE event id a
+ * reconnecting client sends back as Last-Event-ID.
+ */
+@Entity('position_events')
+@Index('IDX_position_events_user_id', ['userId', 'id'])
+@Index('IDX_position_events_created', ['createdAt'])
+export class PositionEventRecord {
+  @PrimaryGeneratedColumn('increment', { type: 'bigint' })
+  id: string; // bigint, returned as a string
+
+  @Column('uuid')
+  userId: string;
+
+  @Column({ type: 'varchar', length: 32 })
+  type: PositionEventType;
+
+  @Column({ type: 'varchar', length: 66, nullable: true })
+  positionId: string | null;
+
+  @Column({ type: 'jsonb' })
+  payload: Record<string, unknown>; // Event fields besides type and positionId
+
+  @CreateDateColumn()
+  createdAt: Date;
+}
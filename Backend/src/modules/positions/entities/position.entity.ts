@@ -11,6 +11,20 @@ export enum PositionStatus {
   FAILED = 'FAILED',
 }
 
+/**
+ * Why a position was closed by the stop-loss worker:
+ * - RANGE_*: the pool tick left the LP range below / above it
+ * - STOP_LOSS / TAKE_PROFIT: position value moved the configured percent from entry
+ * - TRAILING_STOP: position value fell the configured percent from its high-water mark
+ */
+export enum PositionExitTrigger {
+  RANGE_STOP_LOSS = 'range_stop_loss',
+  RANGE_TAKE_PROFIT = 'range_take_profit',
+  STOP_LOSS = 'stop_loss',
+  TAKE_PROFIT = 'take_profit',
+  TRAILING_STOP = 'trailing_stop',
+}
+
 @Entity('positions')
 export class Position {
   @PrimaryGeneratedColumn('uuid')
@@ -80,6 +94,64 @@ export class Position {
   @Column({ type: 'timestamp', nullable: true })
   lastFailedAt: Date; // Last time liquidation failed (for exponential backoff)
 
+  @Column({ type: 'int', default: 0 })
+  rerangeCount: number; // Times the position was re-minted around the current tick
+
+  @Column({ type: 'timestamp', nullable: true })
+  lastRerangedAt: Date;
+
+  @Column({ type: 'date', nullable: true })
+  lastRerangeDate: string; // 'YYYY-MM-DD' UTC — resets rerangeCountToday when date changes
+
+  @Column({ type: 'int', default: 0 })
+  rerangeCountToday: number;
+
+  // === Value triggers (USD value of principal + uncollected fees) ===
+
+  @Column({ type: 'decimal', precision: 5, scale: 2, nullable: true })
+  stopLossPercent: string | null; // Exit when value is this % below entryValueUsd
+
+  @Column({ type: 'decimal', precision: 7, scale: 2, nullable: true })
+  takeProfitPercent: string | null; // Exit when value is this % above entryValueUsd
+
+  @Column({ type: 'decimal', precision: 5, scale: 2, nullable: true })
+  trailingStopPercent: string | null; // Exit when value is this % below highWaterMarkUsd
+
+  @Column({ type: 'decimal', precision: 30, scale: 2, nullable: true })
+  entryValueUsd: string | null; // Baseline: executed amounts at the oracle price, set on execution or retried later
+
+  @Column({ type: 'decimal', precision: 30, scale: 2, nullable: true })
+  highWaterMarkUsd: string | null; // Highest value seen since the trailing stop was set
+
+  @Column({ type: 'enum', enum: PositionExitTrigger, enumName: 'position_exit_trigger_enum', nullable: true })
+  exitTrigger: PositionExitTrigger | null;
+
+  @Column({ type: 'text', nullable: true })
+  exitReason: string | null;
+
+  // === Fee harvesting (FeeCompoundingService) ===
+
+  @Column({ type: 'decimal', precision: 78, scale: 0, default: '0' })
+  compoundedFees0: string; // token0 fees added back as liquidity (wei)
+
+  @Column({ type: 'decimal', precision: 78, scale: 0, default: '0' })
+  compoundedFees1: string; // token1 fees added back as liquidity (wei)
+
+  @Column({ type: 'decimal', precision: 30, scale: 2, default: '0' })
+  compoundedFeesUsd: string; // Valued when each harvest happened
+
+  @Column({ type: 'decimal', precision: 78, scale: 0, default: '0' })
+  realizedFeesAmount: string; // Fees returned to Asset Hub, in baseAsset (wei)
+
+  @Column({ type: 'decimal', precision: 30, scale: 2, default: '0' })
+  realizedFeesUsd: string; // Valued when each harvest happened
+
+  @Column({ type: 'int', default: 0 })
+  feeHarvestCount: number;
+
+  @Column({ type: 'timestamp', nullable: true })
+  lastFeesHarvestedAt: Date | null;
+
   @Column({ type: 'varchar', length: 66, nullable: true })
   assetHubTxHash: string; // Transaction hash on Asset Hub (Phase 1 XCM)
 
@@ -0,0 +1,124 @@
+import {
+  computePositionPnL,
+  decodeEntryTick,
+  estimatePositionGasUsd,
+  getAmountsForLiquidity,
+  PositionPnLInput,
+  resolveTokenPricesUsd,
+  sqrtPriceX96ToPrice,
+  tickToPrice,
+  tickToSqrtPrice,
+  tokenAmountsValueUsd,
+} from './pnl.logic';
+
+function sqrtPriceX96AtTick(tick: number): bigint {
+  return BigInt(Math.round(tickToSqrtPrice(tick) * 2 ** 96));
+}
+
+// xcDOT (10 decimals) / USDC (6 decimals), tick -76013 ≈ $5 per DOT
+const ENTRY_TICK = -76013;
+
+function input(overrides: Partial<PositionPnLInput> = {}): PositionPnLInput {
+  return {
+    depositUsd: 1000,
+    liquidity: 10n ** 12n,
+    tickLower: ENTRY_TICK - 2000,
+    tickUpper: ENTRY_TICK + 2000,
+    entryTick: ENTRY_TICK,
+    currentSqrtPriceX96: sqrtPriceX96AtTick(ENTRY_TICK),
+    decimals0: 10,
+    decimals1: 6,
+    price0Usd: 5,
+    price1Usd: 1,
+    fees0: 0n,
+    fees1: 0n,
+    gasUsd: 0,
+    ...overrides,
+  };
+}
+
+describe('pnl.logic', () => {
+  it('decodes the two\'s-complement entry tick stored by XCMProxy', () => {
+    expect(decodeEntryTick((1n << 256n) - 76013n)).toBe(-76013);
+    expect(decodeEntryTick('1200')).toBe(1200);
+  });
+
+  it('converts sqrtPriceX96 to a decimals-adjusted price', () => {
+    expect(sqrtPriceX96ToPrice(sqrtPriceX96AtTick(ENTRY_TICK), 10, 6)).toBeCloseTo(5, 3);
+  });
+
+  it('converts a tick to the same price as its sqrtPriceX96', () => {
+    const sqrtPriceX96 = BigInt(Math.round(tickToSqrtPrice(-6932) * 2 ** 96));
+    expect(tickToPrice(-6932, 18, 6)).toBeCloseTo(sqrtPriceX96ToPrice(sqrtPriceX96, 18, 6), 6);
+  });
+
+  it('holds only token0 below the range and only token1 above it', () => {
+    const below = getAmountsForLiquidity(10n ** 12n, tickToSqrtPrice(-100), 0, 100);
+    const above = getAmountsForLiquidity(10n ** 12n, tickToSqrtPrice(200), 0, 100);
+    const inside = getAmountsForLiquidity(10n ** 12n, tickToSqrtPrice(50), 0, 100);
+
+    expect(below.amount0).toBeGreaterThan(0);
+    expect(below.amount1).toBe(0);
+    expect(above.amount0).toBe(0);
+    expect(above.amount1).toBeGreaterThan(0);
+    expect(inside.amount0).toBeGreaterThan(0);
+    expect(inside.amount1).toBeGreaterThan(0);
+  });
+
+  it('reports no impermanent loss while the price is unchanged', () => {
+    const pnl = computePositionPnL(input());
+
+    expect(pnl.ilUsd).toBe(0);
+    expect(pnl.lpValueUsd).toBe(pnl.hodlValueUsd);
+    expect(pnl.entryAmounts).toEqual(pnl.currentAmounts);
+  });
+
+  it('measures IL against the HODL baseline and splits net PnL into its parts', () => {
+    // DOT falls ~10%: price tick moves down by ~1054
+    const pnl = computePositionPnL(
+      input({
+        currentSqrtPriceX96: sqrtPriceX96AtTick(ENTRY_TICK - 1054),
+        price0Usd: 4.5,
+        fees0: 2n * 10n ** 10n, // 2 DOT
+        fees1: 3_000_000n, // 3 USDC
+        gasUsd: 1.6,
+      }),
+    );
+
+    expect(pnl.ilUsd).toBeGreaterThan(0);
+    expect(pnl.lpValueUsd).toBeLessThan(pnl.hodlValueUsd);
+    expect(pnl.currentAmounts.amount0).toBeGreaterThan(pnl.entryAmounts.amount0);
+    expect(pnl.feesUsd).toBe(12);
+    expect(pnl.netPnLUsd).toBeCloseTo(pnl.priceDriftUsd - pnl.ilUsd + pnl.feesUsd - pnl.gasUsd, 1);
+    expect(pnl.netPnLPercent).toBeCloseTo((pnl.netPnLUsd / 1000) * 100, 2);
+  });
+
+  it('counts compounded fees as fees rather than price drift and adds realized fees', () => {
+    const base = computePositionPnL(input({ fees0: 2n * 10n ** 10n }));
+    const harvested = computePositionPnL(input({ fees0: 2n * 10n ** 10n, compoundedFeesUsd: 20, realizedFeesUsd: 5 }));
+
+    expect(harvested.uncollectedFeesUsd).toBe(10);
+    expect(harvested.feesUsd).toBe(35);
+    expect(harvested.priceDriftUsd).toBeCloseTo(base.priceDriftUsd - 20, 2);
+    expect(harvested.netPnLUsd).toBeCloseTo(base.netPnLUsd + 5, 2);
+  });
+
+  it('prices a token the oracle does not know through the pool price', () => {
+    expect(resolveTokenPricesUsd({ poolPrice: 5, price0Usd: 5.1, price1Usd: 1 })).toEqual({ price0Usd: 5.1, price1Usd: 1 });
+    expect(resolveTokenPricesUsd({ poolPrice: 3000, price1Usd: 1 })).toEqual({ price0Usd: 3000, price1Usd: 1 });
+    expect(resolveTokenPricesUsd({ poolPrice: 25, price0Usd: 5 })).toEqual({ price0Usd: 5, price1Usd: 0.2 });
+    expect(resolveTokenPricesUsd({ poolPrice: 0.0001 })).toBeNull();
+  });
+
+  it('values raw token amounts in each token\'s decimals', () => {
+    const prices = { price0Usd: 5, price1Usd: 1 };
+    expect(tokenAmountsValueUsd({ amount0: 2_000_000_000_000_000_000n, amount1: '3000000' }, 18, 6, prices)).toBe(13);
+    expect(tokenAmountsValueUsd({ amount0: 0n, amount1: 0n }, 18, 6, prices)).toBe(0);
+  });
+
+  it('charges gas for entry, each fee harvest and, once exited, the withdrawal', () => {
+    expect(estimatePositionGasUsd(1, false)).toBe(1.6);
+    expect(estimatePositionGasUsd(1, true)).toBe(3.4);
+    expect(estimatePositionGasUsd(1, false, 2)).toBe(4.8);
+  });
+});
@@ -0,0 +1,222 @@
+import { estimateGasTotalUsd } from '../investment-decision/decision.logic';
+
+const Q96 = 2 ** 96;
+const UINT256_MAX_PLUS_ONE = 1n << 256n;
+const INT256_MIN = 1n << 255n;
+
+/**
+ * Token amounts in human units (decimals applied)
+ */
+export interface TokenAmounts {
+  amount0: number;
+  amount1: number;
+}
+
+export interface PositionPnLInput {
+  /** Capital deposited, valued in USD */
+  depositUsd: number;
+  liquidity: bigint | string;
+  tickLower: number;
+  tickUpper: number;
+  /** Pool tick when the position was opened (the HODL baseline) */
+  entryTick: number;
+  currentSqrtPriceX96: bigint | string;
+  decimals0: number;
+  decimals1: number;
+  price0Usd: number;
+  price1Usd: number;
+  /** Uncollected fees in smallest units */
+  fees0: bigint | string;
+  fees1: bigint | string;
+  /** Fees already added back as liquidity, valued when harvested */
+  compoundedFeesUsd?: number;
+  /** Fees already returned to Asset Hub, valued when harvested */
+  realizedFeesUsd?: number;
+  gasUsd: number;
+}
+
+/**
+ * PnL decomposition in USD. netPnLUsd = priceDriftUsd - ilUsd + feesUsd - gasUsd,
+ * where feesUsd = uncollected + compounded + realized fees.
+ */
+export interface PositionPnLBreakdown {
+  depositUsd: number;
+  /** Value of the entry token amounts at current prices */
+  hodlValueUsd: number;
+  /** Value of the LP token amounts at current prices (fees excluded) */
+  lpValueUsd: number;
+  /** Change in value of the entry token basket versus the deposit */
+  priceDriftUsd: number;
+  /** HODL value minus LP value */
+  ilUsd: number;
+  feesUsd: number;
+  uncollectedFeesUsd: number;
+  compoundedFeesUsd: number;
+  realizedFeesUsd: number;
+  gasUsd: number;
+  netPnLUsd: number;
+  netPnLPercent: number;
+  entryAmounts: TokenAmounts;
+  currentAmounts: TokenAmounts;
+}
+
+/** sqrt(1.0001^tick) */
+export function tickToSqrtPrice(tick: number): number {
+  return Math.pow(1.0001, tick / 2);
+}
+
+export function sqrtPriceX96ToSqrtPrice(sqrtPriceX96: bigint | string): number {
+  return Number(BigInt(sqrtPriceX96)) / Q96;
+}
+
+/**
+ * Price of token0 denominated in token1, in human units.
+ */
+export function sqrtPriceX96ToPrice(sqrtPriceX96: bigint | string, decimals0: number, decimals1: number): number {
+  const sqrtPrice = sqrtPriceX96ToSqrtPrice(sqrtPriceX96);
+  return sqrtPrice * sqrtPrice * Math.pow(10, decimals0 - decimals1);
+}
+
+/**
+ * Price of token0 denominated in token1 at a tick, in human units.
+ */
+export function tickToPrice(tick: number, decimals0: number, decimals1: number): number {
+  return Math.pow(1.0001, tick) * Math.pow(10, decimals0 - decimals1);
+}
+
+/**
+ * XCMProxy stores the entry tick as uint256(int256(tick)), so negative ticks
+ * come back two's-complement encoded.
+ */
+export function decodeEntryTick(entryPrice: bigint | string): number {
+  const raw = BigInt(entryPrice);
+  return Number(raw >= INT256_MIN ? raw - UINT256_MAX_PLUS_ONE : raw);
+}
+
+/**
+ * Token amounts (smallest units, as floats) held by `liquidity` over
+ * [tickLower, tickUpper] at the given sqrt price (Uniswap V3 / Algebra math).
+ */
+export function getAmountsForLiquidity(
+  liquidity: bigint | string,
+  sqrtPrice: number,
+  tickLower: number,
+  tickUpper: number,
+): TokenAmounts {
+  const L = Number(BigInt(liquidity));
+  const sqrtA = tickToSqrtPrice(Math.min(tickLower, tickUpper));
+  const sqrtB = tickToSqrtPrice(Math.max(tickLower, tickUpper));
+
+  if (sqrtPrice <= sqrtA) {
+    return { amount0: (L * (sqrtB - sqrtA)) / (sqrtA * sqrtB), amount1: 0 };
+  }
+  if (sqrtPrice >= sqrtB) {
+    return { amount0: 0, amount1: L * (sqrtB - sqrtA) };
+  }
+  return {
+    amount0: (L * (sqrtB - sqrtPrice)) / (sqrtPrice * sqrtB),
+    amount1: L * (sqrtPrice - sqrtA),
+  };
+}
+
+/**
+ * USD price of each pool token. A token the oracle could not price is priced
+ * through the pool price against its counterpart. Returns null if neither side
+ * is priced.
+ */
+export function resolveTokenPricesUsd(params: {
+  /** token0 price in token1 (human units) */
+  poolPrice: number;
+  price0Usd?: number;
+  price1Usd?: number;
+}): { price0Usd: number; price1Usd: number } | null {
+  let { price0Usd, price1Usd } = params;
+
+  if (price0Usd === undefined && price1Usd !== undefined) price0Usd = price1Usd * params.poolPrice;
+  if (price1Usd === undefined && price0Usd !== undefined && params.poolPrice > 0) price1Usd = price0Usd / params.poolPrice;
+  if (price0Usd === undefined || price1Usd === undefined) return null;
+
+  return { price0Usd, price1Usd };
+}
+
+/**
+ * USD value of raw token amounts (smallest units) at the given prices.
+ */
+export function tokenAmountsValueUsd(
+  amounts: { amount0: bigint | string; amount1: bigint | string },
+  decimals0: number,
+  decimals1: number,
+  prices: { price0Usd: number; price1Usd: number },
+): number {
+  return (
+    (Number(BigInt(amounts.amount0)) / Math.pow(10, decimals0)) * prices.price0Usd +
+    (Number(BigInt(amounts.amount1)) / Math.pow(10, decimals1)) * prices.price1Usd
+  );
+}
+
+/**
+ * Gas spent on a position, using the decision engine's per-operation cost model:
+ * one add on entry, one per fee harvest and one withdraw on exit.
+ */
+export function estimatePositionGasUsd(expectedGasUsd: number, exited: boolean, feeHarvests = 0): number {
+  return estimateGasTotalUsd({ withdrawCount: exited ? 1 : 0, addCount: 1 + feeHarvests, expectedGasUsd });
+}
+
+/**
+ * Break an open concentrated-liquidity position's PnL down into price drift,
+ * impermanent loss, fees and gas.
+ *
+ * The HODL baseline is the token amounts the same liquidity held at the entry
+ * tick; IL is what the LP lost against simply holding those amounts. All legs
+ * are valued at current prices. Compounded fees are part of that liquidity, so
+ * they are taken out of the price drift and counted as fees instead.
+ */
+export function computePositionPnL(input: PositionPnLInput): PositionPnLBreakdown {
+  const scale0 = Math.pow(10, input.decimals0);
+  const scale1 = Math.pow(10, input.decimals1);
+  const toHuman = (a: TokenAmounts): TokenAmounts => ({ amount0: a.amount0 / scale0, amount1: a.amount1 / scale1 });
+  const valueUsd = (a: TokenAmounts) => a.amount0 * input.price0Usd + a.amount1 * input.price1Usd;
+
+  const entryAmounts = toHuman(
+    getAmountsForLiquidity(input.liquidity, tickToSqrtPrice(input.entryTick), input.tickLower, input.tickUpper),
+  );
+  const currentAmounts = toHuman(
+    getAmountsForLiquidity(input.liquidity, sqrtPriceX96ToSqrtPrice(input.currentSqrtPriceX96), input.tickLower, input.tickUpper),
+  );
+  const fees = toHuman({ amount0: Number(BigInt(input.fees0)), amount1: Number(BigInt(input.fees1)) });
+
+  const hodlValueUsd = valueUsd(entryAmounts);
+  const lpValueUsd = valueUsd(currentAmounts);
+  const uncollectedFeesUsd = valueUsd(fees);
+  const compoundedFeesUsd = input.compoundedFeesUsd ?? 0;
+  const realizedFeesUsd = input.realizedFeesUsd ?? 0;
+  const feesUsd = uncollectedFeesUsd + compoundedFeesUsd + realizedFeesUsd;
+  const priceDriftUsd = hodlValueUsd - input.depositUsd - compoundedFeesUsd;
+  const ilUsd = hodlValueUsd - lpValueUsd;
+  const netPnLUsd = priceDriftUsd - ilUsd + feesUsd - input.gasUsd;
+
+  return {
+    depositUsd: round2(input.depositUsd),
+    hodlValueUsd: round2(hodlValueUsd),
+    lpValueUsd: round2(lpValueUsd),
+    priceDriftUsd: round2(priceDriftUsd),
+    ilUsd: round2(ilUsd),
+    feesUsd: round2(feesUsd),
+    uncollectedFeesUsd: round2(uncollectedFeesUsd),
+    compoundedFeesUsd: round2(compoundedFeesUsd),
+    realizedFeesUsd: round2(realizedFeesUsd),
+    gasUsd: round2(input.gasUsd),
+    netPnLUsd: round2(netPnLUsd),
+    netPnLPercent: input.depositUsd > 0 ? round4((netPnLUsd / input.depositUsd) * 100) : 0,
+    entryAmounts,
+    currentAmounts,
+  };
+}
+
+function round2(n: number): number {
+  return Math.round(n * 100) / 100;
+}
+
+function round4(n: number): number {
+  return Math.round(n * 10_000) / 10_000;
+}
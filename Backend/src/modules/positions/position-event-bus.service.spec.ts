@@ -0,0 +1,197 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getDataSourceToken, getRepositoryToken } from '@nestjs/typeorm';
+import { LessThan, MoreThan, MoreThanOrEqual } from 'typeorm';
+import { firstValueFrom } from 'rxjs';
+import { take, toArray } from 'rxjs/operators';
+import { POSITION_EVENTS_CHANNEL, PositionEvent, PositionEventBusService } from './position-event-bus.service';
+import { PositionEventRecord } from './entities/position-event.entity';
+
+describe('PositionEventBusService', () => {
+  let service: PositionEventBusService;
+  let eventRepository: { create: jest.Mock; save: jest.Mock; find: jest.Mock; findOne: jest.Mock; delete: jest.Mock };
+  let dataSource: { query: jest.Mock; driver: { master?: { connect: jest.Mock } } };
+  let client: { query: jest.Mock; on: jest.Mock; removeAllListeners: jest.Mock; release: jest.Mock };
+  let notify: (payload: string) => void;
+
+  const now = new Date('2026-03-10T12:00:00Z');
+  const event: PositionEvent = { type: 'EXECUTED', positionId: '0xabc', status: 'ACTIVE', txHash: '0x1', timestamp: now };
+  const record = (id: string, overrides: Partial<PositionEventRecord> = {}) => ({
+    id,
+    userId: 'user-1',
+    type: 'EXECUTED',
+    positionId: '0xabc',
+    payload: { status: 'ACTIVE', timestamp: now.toISOString() },
+    createdAt: now,
+    ...overrides,
+  }) as PositionEventRecord;
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(async () => {
+    let nextId = 41;
+    eventRepository = {
+      create: jest.fn(d => d),
+      save: jest.fn(async d => ({ ...d, id: String(++nextId) })),
+      find: jest.fn(async () => []),
+      findOne: jest.fn(async () => null),
+      delete: jest.fn(async () => ({ affected: 3 })),
+    };
+    client = {
+      query: jest.fn(async () => undefined),
+      on: jest.fn((event: string, listener: (message: unknown) => void) => {
+        if (event === 'notification') notify = payload => listener({ channel: POSITION_EVENTS_CHANNEL, payload });
+      }),
+      removeAllListeners: jest.fn(),
+      release: jest.fn(),
+    };
+    dataSource = { query: jest.fn(async () => [{}]), driver: {} };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        PositionEventBusService,
+        { provide: getRepositoryToken(PositionEventRecord), useValue: eventRepository },
+        { provide: getDataSourceToken(), useValue: dataSource },
+        { provide: ConfigService, useValue: { get: (_key: string, fallback?: unknown) => fallback } },
+      ],
+    }).compile();
+
+    service = module.get(PositionEventBusService);
+  });
+
+  afterEach(async () => {
+    await service.onModuleDestroy();
+  });
+
+  it('stores each event and delivers it with its sequence id when running alone', async () => {
+    const received = firstValueFrom(service.subscribe('user-1'));
+
+    service.emit('user-1', event);
+
+    expect(await received).toMatchObject({ ...event, id: '42' });
+    expect(eventRepository.save).toHaveBeenCalledWith({
+      userId: 'user-1',
+      type: 'EXECUTED',
+      positionId: '0xabc',
+      payload: { status: 'ACTIVE', txHash: '0x1', timestamp: now.toISOString() },
+    });
+  });
+
+  it('still delivers locally when the event cannot be stored', async () => {
+    eventRepository.save.mockRejectedValue(new Error('connection refused'));
+    const received = firstValueFrom(service.subscribe('user-1'));
+
+    service.emit('user-1', event);
+
+    expect(await received).toEqual({ ...event, userId: 'user-1' });
+  });
+
+  describe('with a LISTEN connection', () => {
+    beforeEach(async () => {
+      dataSource.driver.master = { connect: jest.fn(async () => client) };
+      await service.onModuleInit();
+    });
+
+    it('fans events out through NOTIFY and delivers what every replica publishes', async () => {
+      const received: PositionEvent[] = [];
+      service.subscribe('user-1').subscribe(e => received.push(e));
+
+      service.emit('user-1', event);
+      await flush();
+
+      expect(client.query).toHaveBeenCalledWith(`LISTEN ${POSITION_EVENTS_CHANNEL}`);
+      const [sql, [channel, payload]] = dataSource.query.mock.calls[0];
+      expect(sql).toBe('SELECT pg_notify($1, $2)');
+      expect(channel).toBe(POSITION_EVENTS_CHANNEL);
+      expect(received).toHaveLength(0);
+
+      notify(payload);
+
+      expect(received).toEqual([{ ...event, id: '42', userId: 'user-1' }]);
+    });
+
+    it('hands webhooks only the events emitted on this replica', async () => {
+      const local: PositionEvent[] = [];
+      service.subscribeAll().subscribe(e => local.push(e));
+
+      notify(JSON.stringify({ ...event, id: '7', userId: 'user-2' }));
+      service.emit('user-1', event);
+
+      expect(local).toEqual([{ ...event, userId: 'user-1' }]);
+    });
+
+    it('reconnects after losing the connection', async () => {
+      jest.useFakeTimers();
+      try {
+        const onError = client.on.mock.calls.find(([name]) => name === 'error')[1];
+        onError(new Error('terminating connection'));
+
+        expect(service.isListening).toBe(false);
+        expect(client.release).toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(5_000);
+
+        expect(dataSource.driver.master.connect).toHaveBeenCalledTimes(2);
+        expect(service.isListening).toBe(true);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  it('replays stored events after Last-Event-ID, then goes live without duplicates', async () => {
+    let resolveReplay: (records: PositionEventRecord[]) => void;
+    eventRepository.find
+      .mockResolvedValueOnce([record('40')]) // oldest retained
+      .mockReturnValueOnce(new Promise(resolve => (resolveReplay = resolve)));
+
+    const received = firstValueFrom(service.stream('user-1', '40').pipe(take(3), toArray()));
+    await flush();
+    // Arrives while the replay is read: 42 is in it, 43 is not
+    service.emit('user-1', event);
+    service.emit('user-1', { ...event, type: 'LIQUIDATED' });
+    await flush();
+    resolveReplay([record('41', { type: 'CREATED' }), record('42')]);
+
+    const events = await received;
+    expect(events.map(e => [e.type, 'id' in e ? e.id : undefined])).toEqual([
+      ['CREATED', '41'],
+      ['EXECUTED', '42'],
+      ['LIQUIDATED', '43'],
+    ]);
+    expect(events[0]).toMatchObject({ positionId: '0xabc', status: 'ACTIVE', timestamp: now });
+  });
+
+  it('also replays events stored just before Last-Event-ID, in case they committed after it', async () => {
+    eventRepository.find
+      .mockResolvedValueOnce([record('1')])
+      .mockResolvedValueOnce([record('39'), record('40'), record('41')]);
+    eventRepository.findOne.mockResolvedValueOnce(record('40'));
+
+    const events = await service.replay('user-1', '40');
+
+    expect(events!.map(e => e.id)).toEqual(['39', '40', '41']);
+    expect(eventRepository.find.mock.calls[1][0].where).toEqual([
+      { userId: 'user-1', id: MoreThan('40') },
+      { userId: 'user-1', createdAt: MoreThanOrEqual(new Date(now.getTime() - 10_000)) },
+    ]);
+  });
+
+  it('asks the client to resync when the missed events cannot all be replayed', async () => {
+    eventRepository.find.mockResolvedValueOnce([record('100')]); // 41..99 were pruned
+
+    await expect(service.replay('user-1', '40')).resolves.toBeNull();
+
+    eventRepository.find
+      .mockResolvedValueOnce([record('1')])
+      .mockResolvedValueOnce(Array.from({ length: 501 }, (_, i) => record(String(41 + i))));
+
+    const resync = await firstValueFrom(service.stream('user-1', '40'));
+    expect(resync.type).toBe('RESYNC');
+  });
+
+  it('prunes events older than the retention window', async () => {
+    await expect(service.pruneEvents(now)).resolves.toBe(3);
+    expect(eventRepository.delete).toHaveBeenCalledWith({ createdAt: LessThan(new Date('2026-03-07T12:00:00Z')) });
+  });
+});
@@ -1,36 +1,346 @@
-import { Injectable, Logger } from '@nestjs/common';
+/**
+ * Position Event Bus
+ *
+ * Per-user position and balance events for the SSE stream and webhooks.
+ *
+ * Every emitted event is stored in position_events, whose sequence id becomes
+ * the SSE event id, and fanned out to all backend replicas with Postgres
+ * NOTIFY on POSITION_EVENTS_CHANNEL. Each replica LISTENs and feeds its own SSE
+ * subscribers, so users see events whichever node processed the chain event.
+ * Without a listener (or if storing fails) events are delivered locally only.
+ *
+ * A reconnecting client sends the last id it saw; stream() replays the stored
+ * events after it before going live. Ids are drawn before the insert commits,
+ * so an event can become visible after a higher id was already delivered; the
+ * replay therefore also re-sends the user's events stored up to
+ * POSITION_EVENT_REPLAY_LOOKBACK_MS before that id's, and clients drop the ids
+ * they already have.
+ */
+
+import { Injectable, Logger, OnModuleDestroy, OnModuleInit } from '@nestjs/common';
+import { InjectDataSource, InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { DataSource, FindOptionsWhere, LessThan, MoreThan, MoreThanOrEqual, Repository } from 'typeorm';
 import { Subject, Observable } from 'rxjs';
 import { filter } from 'rxjs/operators';
+import { PositionEventRecord } from './entities/position-event.entity';
+
+export const POSITION_EVENT_TYPES = [
+  'CREATED',
+  'EXECUTED',
+  'LIQUIDATED',
+  'FAILED',
+  'STATUS_CHANGE',
+  'BALANCE_CHANGED',
+] as const;
+
+export type PositionEventType = (typeof POSITION_EVENT_TYPES)[number];
 
 export interface PositionEvent {
-  type: 'CREATED' | 'EXECUTED' | 'LIQUIDATED' | 'FAILED' | 'STATUS_CHANGE' | 'BALANCE_CHANGED';
+  type: PositionEventType;
   positionId: string;
   status: string;
   txHash?: string;
   timestamp: Date;
   balanceDot?: number;
   balanceUsd?: number;
+  id?: string; // Sequence id, once stored
+}
+
+/**
+ * Sent instead of a replay when more events were missed than
+ * POSITION_EVENT_REPLAY_LIMIT (or they were pruned): refetch everything.
+ */
+export interface PositionEventResync {
+  type: 'RESYNC';
+  timestamp: Date;
+}
+
+export const POSITION_EVENTS_CHANNEL = 'position_events';
+
+const LISTEN_RETRY_MS = 5_000;
+
+type UserPositionEvent = PositionEvent & { userId: string };
+
+/** The pg client API used for LISTEN (pg ships no types in this project) */
+interface NotificationClient {
+  query(sql: string): Promise<unknown>;
+  on(event: 'notification', listener: (message: { channel: string; payload?: string }) => void): void;
+  on(event: 'error', listener: (error: Error) => void): void;
+  removeAllListeners(): void;
+  release(error?: Error | boolean): void;
 }
 
 @Injectable()
-export class PositionEventBusService {
+export class PositionEventBusService implements OnModuleInit, OnModuleDestroy {
   private readonly logger = new Logger(PositionEventBusService.name);
-  private readonly subject = new Subject<PositionEvent & { userId: string }>();
+  /** Events of every replica, for SSE */
+  private readonly subject = new Subject<UserPositionEvent>();
+  /** Events emitted on this replica only, so each is acted on once cluster-wide */
+  private readonly localSubject = new Subject<UserPositionEvent>();
+  private listener: NotificationClient | null = null;
+  private listenRetry?: NodeJS.Timeout;
+  private destroyed = false;
+
+  constructor(
+    @InjectRepository(PositionEventRecord)
+    private eventRepository: Repository<PositionEventRecord>,
+    @InjectDataSource()
+    private dataSource: DataSource,
+    private configService: ConfigService,
+  ) {}
+
+  get fanOutEnabled(): boolean {
+    return String(this.configService.get('ENABLE_POSITION_EVENT_FANOUT', true)) !== 'false';
+  }
+
+  get replayLimit(): number {
+    return Number(this.configService.get('POSITION_EVENT_REPLAY_LIMIT', 500));
+  }
+
+  get replayLookbackMs(): number {
+    return Number(this.configService.get('POSITION_EVENT_REPLAY_LOOKBACK_MS', 10_000));
+  }
+
+  get retentionHours(): number {
+    return Number(this.configService.get('POSITION_EVENT_RETENTION_HOURS', 72));
+  }
+
+  async onModuleInit() {
+    if (this.fanOutEnabled) {
+      await this.listen();
+    }
+  }
+
+  async onModuleDestroy() {
+    this.destroyed = true;
+    clearTimeout(this.listenRetry);
+    this.releaseListener();
+  }
+
+  /** Whether events reach other replicas (this one holds a LISTEN connection) */
+  get isListening(): boolean {
+    return this.listener !== null;
+  }
 
   /**
    * Emit a position event for a specific user
    */
   emit(userId: string, event: PositionEvent): void {
-    this.subject.next({ ...event, userId });
+    const local = { ...event, userId };
+    this.localSubject.next(local);
+    void this.publish(local);
     this.logger.debug(`Position event: ${event.type} for position ${event.positionId} (user: ${userId})`);
   }
 
   /**
-   * Subscribe to position events for a specific user
+   * Subscribe to position events for a specific user, from every replica
    */
   subscribe(userId: string): Observable<PositionEvent> {
     return this.subject.pipe(
       filter((event) => event.userId === userId),
     );
   }
+
+  /**
+   * Subscribe to the events emitted on this replica, for every user (webhook
+   * delivery). Other replicas deliver their own events.
+   */
+  subscribeAll(): Observable<UserPositionEvent> {
+    return this.localSubject.asObservable();
+  }
+
+  /**
+   * A user's live events, preceded by the stored ones after `lastEventId`.
+   * Live events that arrive while the replay is read are held back and
+   * de-duplicated against it.
+   */
+  stream(userId: string, lastEventId?: string): Observable<PositionEvent | PositionEventResync> {
+    if (!lastEventId || !/^\d+$/.test(lastEventId)) {
+      return this.subscribe(userId);
+    }
+
+    return new Observable((subscriber) => {
+      const held: PositionEvent[] = [];
+      const replayed = new Set<string>();
+      let replaying = true;
+
+      const live = this.subscribe(userId).subscribe((event) => {
+        if (replaying) held.push(event);
+        else subscriber.next(event);
+      });
+
+      this.replay(userId, lastEventId)
+        .then((events) => {
+          if (events === null) {
+            subscriber.next({ type: 'RESYNC', timestamp: new Date() });
+          } else {
+            for (const event of events) {
+              replayed.add(event.id);
+              subscriber.next(event);
+            }
+          }
+        })
+        .catch((error) => {
+          this.logger.warn(`Replay for user ${userId} failed: ${error.message}`);
+          subscriber.next({ type: 'RESYNC', timestamp: new Date() });
+        })
+        .finally(() => {
+          replaying = false;
+          for (const event of held.splice(0)) {
+            if (!event.id || !replayed.has(event.id)) subscriber.next(event);
+          }
+        });
+
+      return () => live.unsubscribe();
+    });
+  }
+
+  /**
+   * Stored events of a user after `lastEventId`, plus those stored within
+   * replayLookbackMs before it (which may have committed after it), oldest
+   * first; or null when more than replayLimit were missed or events after it
+   * were pruned.
+   */
+  async replay(userId: string, lastEventId: string): Promise<PositionEvent[] | null> {
+    // Ids are global, so a gap before the oldest retained id may hide this user's events
+    const [oldest] = await this.eventRepository.find({ order: { id: 'ASC' }, select: { id: true }, take: 1 });
+    if (oldest && BigInt(oldest.id) > BigInt(lastEventId) + 1n) {
+      return null;
+    }
+
+    const where: FindOptionsWhere<PositionEventRecord>[] = [{ userId, id: MoreThan(lastEventId) }];
+    const anchor = await this.eventRepository.findOne({ where: { id: lastEventId }, select: { id: true, createdAt: true } });
+    if (anchor) {
+      where.push({ userId, createdAt: MoreThanOrEqual(new Date(anchor.createdAt.getTime() - this.replayLookbackMs)) });
+    }
+
+    const records = await this.eventRepository.find({
+      where,
+      order: { id: 'ASC' },
+      take: this.replayLimit + 1,
+    });
+    if (records.length > this.replayLimit) {
+      return null;
+    }
+    return records.map(toPositionEvent);
+  }
+
+  @Cron(CronExpression.EVERY_HOUR)
+  async pruneEvents(now = new Date()): Promise<number> {
+    try {
+      const cutoff = new Date(now.getTime() - this.retentionHours * 3600_000);
+      const result = await this.eventRepository.delete({ createdAt: LessThan(cutoff) });
+      return result.affected ?? 0;
+    } catch (error) {
+      this.logger.warn(`Failed to prune position events: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /** Store the event, then NOTIFY every replica (this one included). */
+  private async publish(event: UserPositionEvent): Promise<void> {
+    let stored: UserPositionEvent;
+    try {
+      const { userId, type, positionId, ...rest } = event;
+      const record = await this.eventRepository.save(
+        this.eventRepository.create({
+          userId,
+          type,
+          positionId: positionId || null,
+          payload: JSON.parse(JSON.stringify(rest)),
+        }),
+      );
+      stored = { ...event, id: String(record.id) };
+    } catch (error) {
+      this.logger.warn(`Failed to store ${event.type} event: ${error.message}`);
+      this.subject.next(event);
+      return;
+    }
+
+    if (this.listener) {
+      try {
+        await this.dataSource.query('SELECT pg_notify($1, $2)', [POSITION_EVENTS_CHANNEL, JSON.stringify(stored)]);
+        return;
+      } catch (error) {
+        this.logger.warn(`Failed to fan out ${event.type} event: ${error.message}`);
+      }
+    }
+    this.subject.next(stored);
+  }
+
+  private onNotification(payload: string | undefined): void {
+    if (!payload) return;
+    try {
+      const event = JSON.parse(payload) as UserPositionEvent;
+      this.subject.next({ ...event, timestamp: new Date(event.timestamp) });
+    } catch (error) {
+      this.logger.warn(`Ignoring malformed ${POSITION_EVENTS_CHANNEL} notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hold one pooled connection in LISTEN. A lost connection is replaced after
+   * LISTEN_RETRY_MS; events emitted meanwhile stay local to their replica and
+   * reach other replicas' clients through replay.
+   */
+  private async listen(): Promise<void> {
+    const pool = (this.dataSource.driver as unknown as { master?: { connect(): Promise<NotificationClient> } }).master;
+    if (!pool) {
+      this.logger.warn('Position event fan-out needs a Postgres connection pool; events stay on this replica');
+      return;
+    }
+
+    let client: NotificationClient | null = null;
+    try {
+      client = await pool.connect();
+      client.on('notification', (message) => {
+        if (message.channel === POSITION_EVENTS_CHANNEL) this.onNotification(message.payload);
+      });
+      client.on('error', (error) => {
+        this.logger.warn(`Position event listener lost: ${error.message}`);
+        this.releaseListener(error);
+        this.scheduleListen();
+      });
+      await client.query(`LISTEN ${POSITION_EVENTS_CHANNEL}`);
+      this.listener = client;
+      this.logger.log(`Listening on ${POSITION_EVENTS_CHANNEL} for position events of all replicas`);
+    } catch (error) {
+      this.logger.warn(`Position event fan-out unavailable, events stay on this replica: ${error.message}`);
+      if (client && client !== this.listener) {
+        client.removeAllListeners();
+        client.release(error);
+      }
+      this.scheduleListen();
+    }
+  }
+
+  private scheduleListen(): void {
+    if (this.destroyed) return;
+    clearTimeout(this.listenRetry);
+    this.listenRetry = setTimeout(() => void this.listen(), LISTEN_RETRY_MS);
+    this.listenRetry.unref();
+  }
+
+  private releaseListener(error?: Error): void {
+    const client = this.listener;
+    this.listener = null;
+    if (client) {
+      client.removeAllListeners();
+      client.release(error ?? true);
+    }
+  }
+}
+
+function toPositionEvent(record: PositionEventRecord): PositionEvent {
+  const { timestamp, ...payload } = record.payload as Omit<PositionEvent, 'timestamp'> & { timestamp?: string };
+  return {
+    ...payload,
+    id: String(record.id),
+    type: record.type,
+    positionId: record.positionId ?? '',
+    status: payload.status ?? '',
+    timestamp: timestamp ? new Date(timestamp) : record.createdAt,
+  };
 }
@@ -1,32 +1,54 @@
-import { Controller, Param, Sse, MessageEvent, UseGuards, ForbiddenException } from '@nestjs/common';
+import { Controller, Param, Sse, MessageEvent, UseGuards, ForbiddenException, Headers, Query } from '@nestjs/common';
 import { ApiTags, ApiOperation, ApiBearerAuth } from '@nestjs/swagger';
-import { Observable } from 'rxjs';
+import { ConfigService } from '@nestjs/config';
+import { Observable, interval, merge } from 'rxjs';
 import { map } from 'rxjs/operators';
-import { PositionEventBusService, PositionEvent } from './position-event-bus.service';
-import { JwtAuthGuard } from '../auth/jwt-auth.guard';
+import { PositionEventBusService, PositionEvent, PositionEventResync } from './position-event-bus.service';
+import { StreamAuthGuard } from '../auth/stream-auth.guard';
 import { CurrentUser } from '../../common/decorators/current-user.decorator';
 import { User } from '../users/entities/user.entity';
 
+/** Client reconnect delay sent with every heartbeat */
+const SSE_RETRY_MS = 3_000;
+
 @ApiTags('positions')
 @ApiBearerAuth()
 @Controller('positions')
 export class PositionsSseController {
-  constructor(private readonly positionEventBus: PositionEventBusService) {}
+  constructor(
+    private readonly positionEventBus: PositionEventBusService,
+    private readonly configService: ConfigService,
+  ) {}
 
   /**
-   * SSE stream of position events for a user
+   * SSE stream of position events for a user. Events carry their sequence id;
+   * a reconnect with Last-Event-ID (or ?lastEventId=) first replays what was
+   * missed. A HEARTBEAT event keeps idle connections open through proxies.
+   * Browsers authenticate with ?token= from POST /auth/stream-token.
    * GET /positions/user/:userId/events — AUTH + IDOR
    */
   @ApiOperation({ summary: 'SSE stream of position events for a user' })
-  @UseGuards(JwtAuthGuard)
+  @UseGuards(StreamAuthGuard)
   @Sse('user/:userId/events')
-  positionEvents(@Param('userId') userId: string, @CurrentUser() currentUser: User): Observable<MessageEvent> {
+  positionEvents(
+    @Param('userId') userId: string,
+    @CurrentUser() currentUser: User,
+    @Headers('last-event-id') lastEventIdHeader?: string,
+    @Query('lastEventId') lastEventIdQuery?: string,
+  ): Observable<MessageEvent> {
     if (currentUser.id !== userId) throw new ForbiddenException();
-    return this.positionEventBus.subscribe(userId).pipe(
-      map((event: PositionEvent) => ({
+
+    const heartbeatMs = Number(this.configService.get('SSE_HEARTBEAT_MS', 25_000));
+    const events = this.positionEventBus.stream(userId, lastEventIdHeader || lastEventIdQuery).pipe(
+      map((event: PositionEvent | PositionEventResync): MessageEvent => ({
         data: JSON.stringify(event),
         type: event.type,
+        ...('id' in event && event.id ? { id: event.id } : {}),
       })),
     );
+    const heartbeats = interval(heartbeatMs).pipe(
+      map((): MessageEvent => ({ data: JSON.stringify({ timestamp: new Date() }), type: 'HEARTBEAT', retry: SSE_RETRY_MS })),
+    );
+    return merge(events, heartbeats);
   }
 }
@@ -6,10 +6,11 @@
  * IDOR checks ensure users can only access their own positions.
  */
 
-import { Controller, Get, Post, Param, Query, Body, HttpCode, HttpStatus, UseGuards, ForbiddenException } from '@nestjs/common';
+import { Controller, Get, Post, Put, Param, Query, Body, HttpCode, HttpStatus, UseGuards, ForbiddenException } from '@nestjs/common';
 import { ApiTags, ApiOperation, ApiBearerAuth } from '@nestjs/swagger';
-import { PositionsService, PositionFilterDto, PositionPnL } from './positions.service';
+import { PositionsService, PositionFilterDto, PositionPnL, PositionWithTriggerState } from './positions.service';
 import { Position, PositionStatus } from './entities/position.entity';
+import { UpdatePositionTriggersDto } from './dto/update-position-triggers.dto';
 import { JwtAuthGuard } from '../auth/jwt-auth.guard';
 import { CurrentUser } from '../../common/decorators/current-user.decorator';
 import { User } from '../users/entities/user.entity';
@@ -94,6 +95,22 @@ export class PositionsController {
     return this.positionsService.calculatePnL(position);
   }
 
+  /**
+   * Set value-based stop-loss / take-profit / trailing-stop triggers
+   * PUT /positions/:id/triggers — AUTH + IDOR
+   */
+  @ApiOperation({ summary: 'Set value-based exit triggers of a position' })
+  @Put(':id/triggers')
+  async updateTriggers(
+    @Param('id') id: string,
+    @CurrentUser() currentUser: User,
+    @Body() dto: UpdatePositionTriggersDto,
+  ): Promise<PositionWithTriggerState> {
+    const position = await this.positionsService.findOne(id);
+    if (position.userId !== currentUser.id) throw new ForbiddenException();
+    return this.positionsService.updateTriggers(id, dto);
+  }
+
   /**
    * Liquidate a position: remove LP, swap to base asset, return to Asset Hub.
    * Beneficiary is always the position owner (no recipientAddress override).
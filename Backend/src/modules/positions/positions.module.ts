@@ -5,11 +5,13 @@ import { PositionsService } from './positions.service';
 import { PositionsController } from './positions.controller';
 import { PositionsSseController } from './positions-sse.controller';
 import { BlockchainModule } from '../blockchain/blockchain.module';
+import { PreferencesModule } from '../preferences/preferences.module';
 
 @Module({
   imports: [
     TypeOrmModule.forFeature([Position]),
     BlockchainModule,
+    PreferencesModule,
   ],
   controllers: [PositionsController, PositionsSseController],
   providers: [PositionsService],
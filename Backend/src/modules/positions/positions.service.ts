@@ -10,7 +10,21 @@ import { InjectRepository } from '@nestjs/typeorm';
 import { Repository, In } from 'typeorm';
 import { Position, PositionStatus } from './entities/position.entity';
 import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { PriceOracleService } from '../blockchain/services/price-oracle.service';
+import { canonicalAsset } from '../blockchain/prices';
+import { TokenMathService } from '../blockchain/services/token-math.service';
+import { LiquidationQuoteService } from '../blockchain/services/liquidation-quote.service';
+import { BlockchainError, BlockchainErrorCode } from '../blockchain/types';
+import { PreferencesService } from '../preferences/preferences.service';
 import * as TokenMath from '../../common/token-math';
+import { UpdatePositionTriggersDto } from './dto/update-position-triggers.dto';
+import {
+  computePositionPnL,
+  decodeEntryTick,
+  estimatePositionGasUsd,
+  resolveTokenPricesUsd,
+  sqrtPriceX96ToPrice,
+} from './pnl.logic';
 
 export interface CreatePositionDto {
   userId: string;
@@ -43,16 +57,43 @@ export interface PositionFilterDto {
   offset?: number;
 }
 
+export interface PositionPnLToken {
+  symbol: string;
+  priceUsd: number;
+  entryAmount: number;
+  currentAmount: number;
+}
+
+/**
+ * netPnLUsd = priceDriftUsd - ilLossUsd + feesEarnedUsd - gasCostUsd
+ */
 export interface PositionPnL {
   positionId: string;
   entryAmountUsd: number;
   currentValueUsd: number;
+  /** uncollected + compounded + realized */
   feesEarnedUsd: number;
+  /** Accrued in the LP, not yet harvested */
+  uncollectedFeesUsd: number;
+  /** Harvested and added back as liquidity (part of currentValueUsd) */
+  compoundedFeesUsd: number;
+  /** Harvested and returned to Asset Hub */
+  realizedFeesUsd: number;
   ilLossUsd: number;
+  priceDriftUsd: number;
+  gasCostUsd: number;
   netPnLUsd: number;
   netPnLPercent: number;
+  /** Per-token detail for open positions; null when the LP could not be reconstructed */
+  tokens: [PositionPnLToken, PositionPnLToken] | null;
 }
 
+/** A position with whether its value triggers can fire yet. */
+export type PositionWithTriggerState = Position & {
+  /** False until the entry value is recorded; no value trigger fires before that */
+  valueTriggersArmed: boolean;
+};
+
 @Injectable()
 export class PositionsService {
   private readonly logger = new Logger(PositionsService.name);
@@ -61,6 +102,10 @@ export class PositionsService {
     @InjectRepository(Position)
     private positionRepository: Repository<Position>,
     private moonbeamService: MoonbeamService,
+    private priceOracle: PriceOracleService,
+    private tokenMath: TokenMathService,
+    private liquidationQuote: LiquidationQuoteService,
+    private preferencesService: PreferencesService,
   ) {}
 
   /**
@@ -262,6 +307,15 @@ export class PositionsService {
     // Always use position owner's wallet — never accept caller-supplied address (C-1 fix)
     const beneficiary = position.user?.walletAddress || position.userId;
 
+    // Quoted minimums before taking the lock; a manipulated pool price refuses the exit
+    const localId = parseInt(position.moonbeamPositionId);
+    const minimums = await this.liquidationQuote.getLiquidationMinimums(localId, baseAsset).catch((error) => {
+      if (error instanceof BlockchainError && error.code === BlockchainErrorCode.PRICE_DEVIATION) {
+        throw new BadRequestException(`Liquidation refused: ${error.message}`);
+      }
+      throw error;
+    });
+
     // Lock status to prevent double-liquidation
     const result = await this.positionRepository.update(
       { id: positionId, status: In(liquidatable) },
@@ -277,12 +331,12 @@ export class PositionsService {
       );
 
       await this.moonbeamService.liquidateSwapAndReturn({
-        positionId: parseInt(position.moonbeamPositionId),
+        positionId: localId,
         baseAsset,
         beneficiary,
-        minAmountOut0: 0n,
-        minAmountOut1: 0n,
-        limitSqrtPrice: 0n,
+        minAmountOut0: minimums.minAmountOut0,
+        minAmountOut1: minimums.minAmountOut1,
+        limitSqrtPrice: minimums.limitSqrtPrice,
         assetHubPositionId: position.assetHubPositionId,
       });
 
@@ -304,47 +358,164 @@ export class PositionsService {
   }
 
   /**
-   * Calculate P&L for a position
+   * Set a position's value triggers (evaluated by StopLossService).
+   * Changing the trailing stop restarts its high-water mark at the next check.
+   * The response says whether they are armed, i.e. an entry value is recorded.
+   */
+  async updateTriggers(id: string, dto: UpdatePositionTriggersDto): Promise<PositionWithTriggerState> {
+    const position = await this.findOne(id);
+
+    const open = [PositionStatus.PENDING_EXECUTION, PositionStatus.ACTIVE];
+    if (!open.includes(position.status)) {
+      throw new BadRequestException(`Position ${id} is ${position.status}, triggers can only be set on open positions`);
+    }
+
+    const percent = (value: number | null) => (value === null ? null : value.toFixed(2));
+    if (dto.stopLossPercent !== undefined) position.stopLossPercent = percent(dto.stopLossPercent);
+    if (dto.takeProfitPercent !== undefined) position.takeProfitPercent = percent(dto.takeProfitPercent);
+    if (dto.trailingStopPercent !== undefined) {
+      position.trailingStopPercent = percent(dto.trailingStopPercent);
+      position.highWaterMarkUsd = null;
+    }
+
+    const saved = await this.positionRepository.save(position);
+    this.logger.log(
+      `Updated triggers of position ${id}: stop-loss ${saved.stopLossPercent ?? 'off'}, ` +
+      `take-profit ${saved.takeProfitPercent ?? 'off'}, trailing ${saved.trailingStopPercent ?? 'off'}`,
+    );
+    return Object.assign(saved, { valueTriggersArmed: saved.entryValueUsd != null });
+  }
+
+  /**
+   * Calculate P&L for a position, in USD at current prices.
+   *
+   * Open positions are reconstructed from liquidity and tick range against the
+   * pool's current sqrtPriceX96 and compared with the amounts the same
+   * liquidity held at the entry tick (the HODL baseline). Liquidated positions
+   * compare the returned amount with the deposit; that difference is reported
+   * as price drift since the IL/fee split is no longer observable.
    */
   async calculatePnL(position: Position): Promise<PositionPnL> {
-    const entryAmount = TokenMath.planckToDot(position.amount);
-    let currentValue = entryAmount;
-    let feesEarned = 0;
-
-    // If position is still active, fetch current value from Moonbeam
-    if (position.moonbeamPositionId && position.status === PositionStatus.ACTIVE) {
-      try {
-        const fees = await this.moonbeamService.collectFees(
-          parseInt(position.moonbeamPositionId)
-        );
-        // Fees are in pool token units — use DOT decimals as approximation
-        // TODO: Convert each fee token separately when multi-token pricing is available
-        feesEarned = TokenMath.smallestUnitToDecimal(fees.amount0 + fees.amount1, TokenMath.DOT_DECIMALS);
-      } catch (error) {
-        this.logger.warn(`Could not fetch fees for position ${position.id}`);
-      }
+    const symbols = position.pool ? [position.pool.token0Symbol, position.pool.token1Symbol] : [];
+    const pricesUsd = await this.priceOracle.getPricesUsd(['DOT', ...symbols]).catch(() => ({} as Record<string, number>));
+    const dotPriceUsd = pricesUsd.DOT ?? 0;
+    const depositUsd = TokenMath.planckToDot(position.amount) * dotPriceUsd;
+
+    const exited = position.status === PositionStatus.LIQUIDATED;
+    const executed = exited || !!position.moonbeamPositionId;
+    const feeHarvests = position.feeHarvestCount ?? 0;
+    const gasCostUsd = executed ? await this.estimateGasCostUsd(position.userId, exited, feeHarvests) : 0;
+    const compoundedFeesUsd = parseFloat(position.compoundedFeesUsd ?? '0') || 0;
+    const realizedFeesUsd = parseFloat(position.realizedFeesUsd ?? '0') || 0;
+
+    // Without an LP reconstruction the whole value change, minus compounded fees, is price drift
+    const result = (currentValueUsd: number): PositionPnL => {
+      const netPnLUsd = currentValueUsd + realizedFeesUsd - depositUsd - gasCostUsd;
+      return {
+        positionId: position.id,
+        entryAmountUsd: round2(depositUsd),
+        currentValueUsd: round2(currentValueUsd),
+        feesEarnedUsd: round2(compoundedFeesUsd + realizedFeesUsd),
+        uncollectedFeesUsd: 0,
+        compoundedFeesUsd: round2(compoundedFeesUsd),
+        realizedFeesUsd: round2(realizedFeesUsd),
+        ilLossUsd: 0,
+        priceDriftUsd: round2(currentValueUsd - depositUsd - compoundedFeesUsd),
+        gasCostUsd: round2(gasCostUsd),
+        netPnLUsd: round2(netPnLUsd),
+        netPnLPercent: depositUsd > 0 ? round4((netPnLUsd / depositUsd) * 100) : 0,
+        tokens: null,
+      };
+    };
+
+    if (exited) {
+      const returnedUsd = position.returnedAmount
+        ? TokenMath.planckToDot(position.returnedAmount) * dotPriceUsd
+        : depositUsd;
+      return result(returnedUsd);
     }
 
-    // If liquidated, use returned amount
-    if (position.status === PositionStatus.LIQUIDATED && position.returnedAmount) {
-      currentValue = TokenMath.planckToDot(position.returnedAmount);
+    const isOpen = position.status === PositionStatus.ACTIVE || position.status === PositionStatus.OUT_OF_RANGE;
+    if (!isOpen || !position.moonbeamPositionId || !position.pool) {
+      return result(depositUsd);
     }
 
-    // Simplified IL calculation (would need actual price data)
-    const ilLoss = 0; // TODO: Calculate based on entry price vs current price
+    try {
+      const moonbeamId = parseInt(position.moonbeamPositionId);
+      const onChain = position.liquidity && position.entryPrice != null && position.lowerTick != null
+        ? null
+        : await this.moonbeamService.getPosition(moonbeamId);
+
+      const liquidity = onChain?.liquidity ?? BigInt(position.liquidity);
+      const tickLower = onChain?.bottomTick ?? position.lowerTick;
+      const tickUpper = onChain?.topTick ?? position.upperTick;
+      const entryTick = decodeEntryTick(onChain?.entryPrice ?? position.entryPrice);
+
+      const pool = position.pool;
+      const [{ sqrtPriceX96 }, decimals0, decimals1, fees] = await Promise.all([
+        this.moonbeamService.getPoolState(pool.poolAddress),
+        this.tokenMath.getTokenDecimals(pool.token0Address),
+        this.tokenMath.getTokenDecimals(pool.token1Address),
+        this.moonbeamService.previewFees(moonbeamId).catch(() => {
+          this.logger.warn(`Could not read uncollected fees for position ${position.id}`);
+          return { amount0: 0n, amount1: 0n };
+        }),
+      ]);
+
+      const prices = resolveTokenPricesUsd({
+        poolPrice: sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1),
+        price0Usd: pricesUsd[canonicalAsset(pool.token0Symbol)],
+        price1Usd: pricesUsd[canonicalAsset(pool.token1Symbol)],
+      });
+      if (!prices) {
+        this.logger.warn(`Cannot price ${pool.token0Symbol}/${pool.token1Symbol} for position ${position.id}`);
+        return result(depositUsd);
+      }
+
+      const pnl = computePositionPnL({
+        depositUsd,
+        liquidity,
+        tickLower,
+        tickUpper,
+        entryTick,
+        currentSqrtPriceX96: sqrtPriceX96,
+        decimals0,
+        decimals1,
+        ...prices,
+        fees0: fees.amount0,
+        fees1: fees.amount1,
+        compoundedFeesUsd,
+        realizedFeesUsd,
+        gasUsd: gasCostUsd,
+      });
 
-    const netPnL = currentValue + feesEarned - entryAmount - ilLoss;
-    const netPnLPercent = entryAmount > 0 ? (netPnL / entryAmount) * 100 : 0;
+      return {
+        positionId: position.id,
+        entryAmountUsd: pnl.depositUsd,
+        currentValueUsd: pnl.lpValueUsd,
+        feesEarnedUsd: pnl.feesUsd,
+        uncollectedFeesUsd: pnl.uncollectedFeesUsd,
+        compoundedFeesUsd: pnl.compoundedFeesUsd,
+        realizedFeesUsd: pnl.realizedFeesUsd,
+        ilLossUsd: pnl.ilUsd,
+        priceDriftUsd: pnl.priceDriftUsd,
+        gasCostUsd: pnl.gasUsd,
+        netPnLUsd: pnl.netPnLUsd,
+        netPnLPercent: pnl.netPnLPercent,
+        tokens: [
+          { symbol: pool.token0Symbol, priceUsd: prices.price0Usd, entryAmount: pnl.entryAmounts.amount0, currentAmount: pnl.currentAmounts.amount0 },
+          { symbol: pool.token1Symbol, priceUsd: prices.price1Usd, entryAmount: pnl.entryAmounts.amount1, currentAmount: pnl.currentAmounts.amount1 },
+        ],
+      };
+    } catch (error) {
+      this.logger.warn(`Could not reconstruct LP for position ${position.id}: ${error.message}`);
+      return result(depositUsd);
+    }
+  }
 
-    return {
-      positionId: position.id,
-      entryAmountUsd: entryAmount,
-      currentValueUsd: currentValue,
-      feesEarnedUsd: feesEarned,
-      ilLossUsd: ilLoss,
-      netPnLUsd: netPnL,
-      netPnLPercent,
-    };
+  private async estimateGasCostUsd(userId: string, exited: boolean, feeHarvests: number): Promise<number> {
+    const prefs = await this.preferencesService.getEffectivePreferences(userId).catch(() => null);
+    return estimatePositionGasUsd(prefs?.expectedGasUsd ?? 1, exited, feeHarvests);
   }
 
   /**
@@ -383,3 +554,11 @@ export class PositionsService {
     });
   }
 }
+
+function round2(n: number): number {
+  return Math.round(n * 100) / 100;
+}
+
+function round4(n: number): number {
+  return Math.round(n * 10_000) / 10_000;
+}
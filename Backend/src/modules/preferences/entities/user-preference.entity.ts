@@ -12,6 +12,24 @@ export enum TokenRiskTier {
   HIGH_RISK = 'HIGH_RISK', // IL factor 0.30 (all others)
 }
 
+/**
+ * What StopLossService does when a position leaves its range
+ */
+export enum OutOfRangePolicy {
+  LIQUIDATE = 'liquidate', // Close, swap to base asset and return to Asset Hub
+  RERANGE = 'rerange',     // Close and re-mint around the current tick on Moonbeam
+  HOLD = 'hold',           // Leave the position as it is
+}
+
+/**
+ * What FeeCompoundingService does with the accrued fees of an active position
+ */
+export enum FeeCompoundingMode {
+  OFF = 'off',           // Leave fees in the position (default, opt-in)
+  COMPOUND = 'compound', // Add them back as liquidity to the same position
+  RETURN = 'return',     // Swap them to the base asset and return them to Asset Hub
+}
+
 @Entity('user_preferences')
 export class UserPreference {
   @PrimaryGeneratedColumn('uuid')
@@ -76,6 +94,25 @@ export class UserPreference {
   @Column({ type: 'decimal', precision: 30, scale: 2, default: '45' })
   minPositionSizeUsd: string; // Minimum position size ~30 DOT (testnet default)
 
+  // === Out-of-Range Handling ===
+
+  @Column({ type: 'enum', enum: OutOfRangePolicy, enumName: 'out_of_range_policy_enum', default: OutOfRangePolicy.LIQUIDATE })
+  outOfRangePolicy: OutOfRangePolicy;
+
+  @Column({ type: 'int', default: 3600 })
+  rerangeCooldownSeconds: number; // Minimum time between two re-ranges of a position
+
+  @Column({ type: 'int', default: 3 })
+  maxRerangesPerDay: number; // Per position; once reached, an out-of-range position is liquidated
+
+  // === Fee Compounding ===
+
+  @Column({ type: 'enum', enum: FeeCompoundingMode, enumName: 'fee_compounding_mode_enum', default: FeeCompoundingMode.OFF })
+  feeCompoundingMode: FeeCompoundingMode;
+
+  @Column({ type: 'decimal', precision: 10, scale: 2, default: '5.00' })
+  minCompoundFeesUsd: string; // Accrued fees a position needs before they are harvested
+
   // === Automation ===
 
   @Column({ type: 'boolean', default: true })
@@ -8,7 +8,7 @@
 import { Injectable, Logger, NotFoundException, BadRequestException } from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
 import { Repository } from 'typeorm';
-import { UserPreference } from './entities/user-preference.entity';
+import { UserPreference, OutOfRangePolicy, FeeCompoundingMode } from './entities/user-preference.entity';
 
 /**
  * DTO for creating user preferences
@@ -38,6 +38,15 @@ export interface CreatePreferenceDto {
   maxIlLossPercent?: number;
   minPositionSizeUsd?: number;
 
+  // Out-of-Range Handling
+  outOfRangePolicy?: OutOfRangePolicy;
+  rerangeCooldownSeconds?: number;
+  maxRerangesPerDay?: number;
+
+  // Fee Compounding
+  feeCompoundingMode?: FeeCompoundingMode;
+  minCompoundFeesUsd?: number;
+
   // Automation
   autoInvestEnabled?: boolean;
   investmentCheckIntervalSeconds?: number;
@@ -76,6 +85,15 @@ export interface EffectivePreferences {
   maxIlLossPercent: number;
   minPositionSizeUsd: number;
 
+  // Out-of-Range Handling
+  outOfRangePolicy: OutOfRangePolicy;
+  rerangeCooldownSeconds: number;
+  maxRerangesPerDay: number;
+
+  // Fee Compounding
+  feeCompoundingMode: FeeCompoundingMode;
+  minCompoundFeesUsd: number;
+
   // Automation
   autoInvestEnabled: boolean;
   investmentCheckIntervalSeconds: number;
@@ -101,6 +119,11 @@ const DEFAULT_PREFERENCES: EffectivePreferences = {
   defaultUpperRangePercent: 10,
   maxIlLossPercent: 6.0,
   minPositionSizeUsd: 45, // ~30 DOT at current prices - testnet default
+  outOfRangePolicy: OutOfRangePolicy.LIQUIDATE,
+  rerangeCooldownSeconds: 3600,
+  maxRerangesPerDay: 3,
+  feeCompoundingMode: FeeCompoundingMode.OFF,
+  minCompoundFeesUsd: 5,
   autoInvestEnabled: true,
   investmentCheckIntervalSeconds: 14400, // 4 hours
 };
@@ -153,6 +176,11 @@ export class PreferencesService {
       defaultUpperRangePercent: data.defaultUpperRangePercent ?? DEFAULT_PREFERENCES.defaultUpperRangePercent,
       maxIlLossPercent: data.maxIlLossPercent?.toString() || DEFAULT_PREFERENCES.maxIlLossPercent.toString(),
       minPositionSizeUsd: data.minPositionSizeUsd?.toString() || DEFAULT_PREFERENCES.minPositionSizeUsd.toString(),
+      outOfRangePolicy: data.outOfRangePolicy ?? DEFAULT_PREFERENCES.outOfRangePolicy,
+      rerangeCooldownSeconds: data.rerangeCooldownSeconds ?? DEFAULT_PREFERENCES.rerangeCooldownSeconds,
+      maxRerangesPerDay: data.maxRerangesPerDay ?? DEFAULT_PREFERENCES.maxRerangesPerDay,
+      feeCompoundingMode: data.feeCompoundingMode ?? DEFAULT_PREFERENCES.feeCompoundingMode,
+      minCompoundFeesUsd: data.minCompoundFeesUsd?.toString() || DEFAULT_PREFERENCES.minCompoundFeesUsd.toString(),
       autoInvestEnabled: data.autoInvestEnabled ?? DEFAULT_PREFERENCES.autoInvestEnabled,
       investmentCheckIntervalSeconds: data.investmentCheckIntervalSeconds ?? DEFAULT_PREFERENCES.investmentCheckIntervalSeconds,
     });
@@ -206,6 +234,11 @@ export class PreferencesService {
     if (data.defaultUpperRangePercent !== undefined) updateData.defaultUpperRangePercent = data.defaultUpperRangePercent;
     if (data.maxIlLossPercent !== undefined) updateData.maxIlLossPercent = data.maxIlLossPercent.toString();
     if (data.minPositionSizeUsd !== undefined) updateData.minPositionSizeUsd = data.minPositionSizeUsd.toString();
+    if (data.outOfRangePolicy !== undefined) updateData.outOfRangePolicy = data.outOfRangePolicy;
+    if (data.rerangeCooldownSeconds !== undefined) updateData.rerangeCooldownSeconds = data.rerangeCooldownSeconds;
+    if (data.maxRerangesPerDay !== undefined) updateData.maxRerangesPerDay = data.maxRerangesPerDay;
+    if (data.feeCompoundingMode !== undefined) updateData.feeCompoundingMode = data.feeCompoundingMode;
+    if (data.minCompoundFeesUsd !== undefined) updateData.minCompoundFeesUsd = data.minCompoundFeesUsd.toString();
     if (data.autoInvestEnabled !== undefined) updateData.autoInvestEnabled = data.autoInvestEnabled;
     if (data.investmentCheckIntervalSeconds !== undefined) updateData.investmentCheckIntervalSeconds = data.investmentCheckIntervalSeconds;
 
@@ -253,6 +286,11 @@ export class PreferencesService {
       defaultUpperRangePercent: pref.defaultUpperRangePercent ?? DEFAULT_PREFERENCES.defaultUpperRangePercent,
       maxIlLossPercent: parseFloat(pref.maxIlLossPercent) || DEFAULT_PREFERENCES.maxIlLossPercent,
       minPositionSizeUsd: parseFloat(pref.minPositionSizeUsd) || DEFAULT_PREFERENCES.minPositionSizeUsd,
+      outOfRangePolicy: pref.outOfRangePolicy ?? DEFAULT_PREFERENCES.outOfRangePolicy,
+      rerangeCooldownSeconds: pref.rerangeCooldownSeconds ?? DEFAULT_PREFERENCES.rerangeCooldownSeconds,
+      maxRerangesPerDay: pref.maxRerangesPerDay ?? DEFAULT_PREFERENCES.maxRerangesPerDay,
+      feeCompoundingMode: pref.feeCompoundingMode ?? DEFAULT_PREFERENCES.feeCompoundingMode,
+      minCompoundFeesUsd: parseFloat(pref.minCompoundFeesUsd) || DEFAULT_PREFERENCES.minCompoundFeesUsd,
       autoInvestEnabled: pref.autoInvestEnabled ?? DEFAULT_PREFERENCES.autoInvestEnabled,
       investmentCheckIntervalSeconds: pref.investmentCheckIntervalSeconds || DEFAULT_PREFERENCES.investmentCheckIntervalSeconds,
     };
@@ -293,6 +331,28 @@ export class PreferencesService {
       errors.push('defaultUpperRangePercent must be positive or zero');
     }
 
+    // Out-of-range handling validation
+    if (data.outOfRangePolicy !== undefined && !Object.values(OutOfRangePolicy).includes(data.outOfRangePolicy)) {
+      errors.push(`outOfRangePolicy must be one of ${Object.values(OutOfRangePolicy).join(', ')}`);
+    }
+
+    if (data.rerangeCooldownSeconds !== undefined && data.rerangeCooldownSeconds < 60) {
+      errors.push('rerangeCooldownSeconds must be at least 60 seconds');
+    }
+
+    if (data.maxRerangesPerDay !== undefined && (data.maxRerangesPerDay < 1 || data.maxRerangesPerDay > 24)) {
+      errors.push('maxRerangesPerDay must be between 1 and 24');
+    }
+
+    // Fee compounding validation
+    if (data.feeCompoundingMode !== undefined && !Object.values(FeeCompoundingMode).includes(data.feeCompoundingMode)) {
+      errors.push(`feeCompoundingMode must be one of ${Object.values(FeeCompoundingMode).join(', ')}`);
+    }
+
+    if (data.minCompoundFeesUsd !== undefined && data.minCompoundFeesUsd < 0) {
+      errors.push('minCompoundFeesUsd must be positive or zero');
+    }
+
     // Interval validation
     if (data.investmentCheckIntervalSeconds !== undefined && data.investmentCheckIntervalSeconds < 60) {
       errors.push('investmentCheckIntervalSeconds must be at least 60 seconds');
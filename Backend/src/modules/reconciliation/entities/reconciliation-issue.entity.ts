@@ -0,0 +1,69 @@
+import { Entity, Column, PrimaryGeneratedColumn, Index } from 'typeorm';
+
+/**
+ * Ways the DB, AssetHubVault and XCMProxy can disagree about a position:
+ * - ORPHANED_PENDING: pending on Asset Hub past the timeout; the investment
+ *   never completed on Moonbeam, or completed without confirmExecution()
+ * - LIQUIDATED_UNSETTLED: closed on Moonbeam, still Active on Asset Hub
+ *   (settleLiquidation() not called)
+ * - MISSING_POOL: the on-chain position's pool is not in the pools table
+ * - AMOUNT_MISMATCH: DB amount differs from Asset Hub, or DB liquidity from Moonbeam
+ * - STATUS_MISMATCH: DB status contradicts Asset Hub
+ * - MISSING_IN_DB: on-chain position with no DB row
+ * - MISSING_ON_CHAIN: open DB row that Asset Hub does not know
+ */
+export enum ReconciliationIssueType {
+  ORPHANED_PENDING = 'orphaned_pending',
+  LIQUIDATED_UNSETTLED = 'liquidated_unsettled',
+  MISSING_POOL = 'missing_pool',
+  AMOUNT_MISMATCH = 'amount_mismatch',
+  STATUS_MISMATCH = 'status_mismatch',
+  MISSING_IN_DB = 'missing_in_db',
+  MISSING_ON_CHAIN = 'missing_on_chain',
+}
+
+/**
+ * One discrepancy found by ReconciliationService. An issue stays open
+ * (resolvedAt null) while later runs keep finding it; it is resolved when a
+ * run repairs it or no longer finds it.
+ */
+@Entity('reconciliation_issues')
+@Index('IDX_reconciliation_issues_position_type', ['assetHubPositionId', 'type'])
+@Index('IDX_reconciliation_issues_resolved', ['resolvedAt'])
+export class ReconciliationIssue {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ type: 'varchar', length: 66 })
+  assetHubPositionId: string;
+
+  @Column({ type: 'uuid', nullable: true })
+  positionId: string | null; // DB row, when there is one
+
+  @Column({ type: 'uuid', nullable: true })
+  userId: string | null;
+
+  @Column({ type: 'enum', enum: ReconciliationIssueType, enumName: 'reconciliation_issue_type_enum' })
+  type: ReconciliationIssueType;
+
+  @Column({ type: 'jsonb', default: () => "'{}'" })
+  details: Record<string, unknown>; // What each source said
+
+  @Column({ type: 'boolean', default: false })
+  autoRepaired: boolean; // Resolved by correcting the DB from chain state
+
+  @Column({ type: 'text', nullable: true })
+  repairError: string | null; // Last failed repair attempt
+
+  @Column({ type: 'int', default: 1 })
+  occurrences: number; // Runs that found it
+
+  @Column({ type: 'timestamp' })
+  firstSeenAt: Date;
+
+  @Column({ type: 'timestamp' })
+  lastSeenAt: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  resolvedAt: Date | null;
+}
@@ -0,0 +1,36 @@
+/**
+ * Reconciliation Controller
+ *
+ * Operator view of DB-vs-chain position discrepancies, restricted to
+ * ADMIN_WALLET_ADDRESSES.
+ */
+
+import { Controller, Get, HttpCode, HttpStatus, Post, UseGuards } from '@nestjs/common';
+import { ReconciliationReport, ReconciliationService, ReconciliationSummary } from './reconciliation.service';
+import { JwtAuthGuard } from '../auth/jwt-auth.guard';
+import { AdminGuard } from '../../common/guards/admin.guard';
+
+@Controller('admin/reconciliation')
+@UseGuards(JwtAuthGuard, AdminGuard)
+export class ReconciliationController {
+  constructor(private readonly reconciliationService: ReconciliationService) {}
+
+  /**
+   * Open issues by type, the last run and recent auto-repairs
+   * GET /admin/reconciliation — AUTH + ADMIN
+   */
+  @Get()
+  async getReport(): Promise<ReconciliationReport> {
+    return this.reconciliationService.getReport();
+  }
+
+  /**
+   * Run a reconciliation now instead of waiting for the hourly job
+   * POST /admin/reconciliation/run — AUTH + ADMIN
+   */
+  @Post('run')
+  @HttpCode(HttpStatus.OK)
+  async run(): Promise<ReconciliationSummary | null> {
+    return this.reconciliationService.run();
+  }
+}
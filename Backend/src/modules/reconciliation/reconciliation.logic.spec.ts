@@ -0,0 +1,112 @@
+import { PositionStatus } from '../positions/entities/position.entity';
+import { ContractPosition, PositionStatus as VaultPositionStatus } from '../blockchain/services/asset-hub.service';
+import { MoonbeamPosition } from '../blockchain/services/moonbeam.service';
+import { ReconciliationIssueType } from './entities/reconciliation-issue.entity';
+import { ReconciliationInput, reconcilePosition } from './reconciliation.logic';
+
+describe('reconciliation.logic', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const nowSeconds = BigInt(now.getTime() / 1000);
+
+  const vault = (overrides: Partial<ContractPosition> = {}): ContractPosition => ({
+    user: '0xuser',
+    poolId: '0xpool',
+    baseAsset: '0xbase',
+    chainId: 2004,
+    lowerRangePercent: -5,
+    upperRangePercent: 10,
+    timestamp: nowSeconds - 60n,
+    status: VaultPositionStatus.ACTIVE,
+    amount: 1000n,
+    remotePositionId: '0x',
+    ...overrides,
+  });
+  const moonbeamPosition = (overrides: Partial<MoonbeamPosition> = {}) => ({ liquidity: 500n, active: true, ...overrides }) as MoonbeamPosition;
+  const input = (overrides: Partial<ReconciliationInput> = {}): ReconciliationInput => ({
+    db: { id: 'pos-1', status: PositionStatus.ACTIVE, amount: '1000', liquidity: '500', executedAt: now, liquidatedAt: null },
+    assetHub: vault(),
+    poolKnown: true,
+    moonbeam: { localId: 7, position: moonbeamPosition(), pendingExists: false },
+    pendingTimeoutSeconds: 7200,
+    now,
+    ...overrides,
+  });
+  const types = (i: ReconciliationInput) => reconcilePosition(i).map(f => f.type);
+
+  it('finds nothing when all three sources agree', () => {
+    expect(reconcilePosition(input())).toEqual([]);
+    expect(reconcilePosition(input({
+      db: { id: 'pos-1', status: PositionStatus.LIQUIDATED, amount: '1000', liquidity: null, executedAt: now, liquidatedAt: now },
+      assetHub: vault({ status: VaultPositionStatus.LIQUIDATED }),
+      moonbeam: undefined,
+    }))).toEqual([]);
+  });
+
+  it('reports a position closed on Moonbeam but never settled on Asset Hub', () => {
+    const [finding] = reconcilePosition(input({ moonbeam: { localId: 7, position: null, pendingExists: false } }));
+
+    expect(finding).toEqual({
+      type: ReconciliationIssueType.LIQUIDATED_UNSETTLED,
+      details: { moonbeamPositionId: 7, dbStatus: PositionStatus.ACTIVE },
+      repair: { kind: 'update', changes: { status: PositionStatus.LIQUIDATION_PENDING } },
+    });
+    expect(reconcilePosition(input({
+      db: { ...input().db, status: PositionStatus.LIQUIDATION_PENDING },
+      moonbeam: { localId: 7, position: moonbeamPosition({ active: false, liquidity: 0n }), pendingExists: false },
+    }))[0].repair).toBeNull();
+  });
+
+  it('reports stale pending positions with how far they got, without repairing them', () => {
+    const pending = {
+      db: { ...input().db, status: PositionStatus.PENDING_EXECUTION, liquidity: null },
+      assetHub: vault({ status: VaultPositionStatus.PENDING, timestamp: nowSeconds - 10_000n }),
+    };
+
+    const [orphaned] = reconcilePosition(input({ ...pending, moonbeam: { localId: 0, position: null, pendingExists: true } }));
+    expect(orphaned).toMatchObject({
+      type: ReconciliationIssueType.ORPHANED_PENDING,
+      details: { ageSeconds: 10_000, stage: 'received_not_executed' },
+      repair: null,
+    });
+    expect(reconcilePosition(input({ ...pending, moonbeam: { localId: 0, position: null, pendingExists: false } }))[0].details.stage)
+      .toBe('not_received');
+    expect(types(input({ ...pending, assetHub: vault({ status: VaultPositionStatus.PENDING }) }))).toEqual([]);
+  });
+
+  it('brings the DB status in line with the vault, keeping existing timestamps', () => {
+    const [finding] = reconcilePosition(input({
+      db: { ...input().db, status: PositionStatus.PENDING_EXECUTION, liquidity: null, executedAt: null },
+    }));
+
+    expect(finding).toEqual({
+      type: ReconciliationIssueType.STATUS_MISMATCH,
+      details: { dbStatus: PositionStatus.PENDING_EXECUTION, vaultStatus: 'ACTIVE' },
+      repair: { kind: 'update', changes: { status: PositionStatus.ACTIVE, executedAt: now, moonbeamPositionId: '7', liquidity: '500' } },
+    });
+
+    const [closed] = reconcilePosition(input({ assetHub: vault({ status: VaultPositionStatus.LIQUIDATED }), moonbeam: undefined }));
+    expect(closed.repair).toEqual({ kind: 'update', changes: { status: PositionStatus.LIQUIDATED, liquidatedAt: now } });
+  });
+
+  it('combines amount and liquidity mismatches into one repair from chain values', () => {
+    const [finding] = reconcilePosition(input({ db: { ...input().db, amount: '900', liquidity: '400' } }));
+
+    expect(finding).toEqual({
+      type: ReconciliationIssueType.AMOUNT_MISMATCH,
+      details: { amount: { db: '900', chain: '1000' }, liquidity: { db: '400', chain: '500' } },
+      repair: { kind: 'update', changes: { amount: '1000', liquidity: '500' } },
+    });
+  });
+
+  it('creates missing rows only when the pool is known, and reports open rows the vault does not have', () => {
+    expect(reconcilePosition(input({ db: null }))).toEqual([
+      { type: ReconciliationIssueType.MISSING_IN_DB, details: { vaultStatus: 'ACTIVE', amount: '1000' }, repair: { kind: 'create' } },
+    ]);
+    expect(reconcilePosition(input({ db: null, poolKnown: false })).map(f => [f.type, f.repair])).toEqual([
+      [ReconciliationIssueType.MISSING_POOL, null],
+      [ReconciliationIssueType.MISSING_IN_DB, null],
+    ]);
+    expect(types(input({ assetHub: null }))).toEqual([ReconciliationIssueType.MISSING_ON_CHAIN]);
+    expect(types(input({ assetHub: null, db: { ...input().db, status: PositionStatus.FAILED } }))).toEqual([]);
+  });
+});
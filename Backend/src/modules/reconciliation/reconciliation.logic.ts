@@ -0,0 +1,172 @@
+/**
+ * Reconciliation Logic
+ *
+ * Pure rules for ReconciliationService: compares one position as seen by the
+ * DB, AssetHubVault and XCMProxy, and plans a DB repair where the chain is
+ * unambiguous. Anything that needs a transaction (cancelling, confirming or
+ * settling a position) is only reported.
+ */
+
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { ContractPosition, PositionStatus as VaultPositionStatus } from '../blockchain/services/asset-hub.service';
+import { MoonbeamPosition } from '../blockchain/services/moonbeam.service';
+import { ReconciliationIssueType } from './entities/reconciliation-issue.entity';
+
+/** XCMProxy state of a position; absent when Moonbeam was not consulted. */
+export interface MoonbeamSnapshot {
+  localId: number; // assetHubPositionToLocalId, 0 if never executed
+  position: MoonbeamPosition | null;
+  pendingExists: boolean;
+}
+
+export interface ReconciliationInput {
+  db: Pick<Position, 'id' | 'status' | 'amount' | 'liquidity' | 'executedAt' | 'liquidatedAt'> | null;
+  assetHub: ContractPosition | null; // null: AssetHubVault has no such position
+  poolKnown: boolean;
+  moonbeam?: MoonbeamSnapshot;
+  pendingTimeoutSeconds: number;
+  now: Date;
+}
+
+export type PositionRepair =
+  | { kind: 'create' }
+  | { kind: 'update'; changes: Partial<Position> };
+
+export interface ReconciliationFinding {
+  type: ReconciliationIssueType;
+  details: Record<string, unknown>;
+  repair: PositionRepair | null; // null: report only
+}
+
+/** DB statuses consistent with each AssetHubVault status. */
+const COMPATIBLE_STATUSES: Record<VaultPositionStatus, PositionStatus[]> = {
+  [VaultPositionStatus.PENDING]: [PositionStatus.PENDING_EXECUTION],
+  [VaultPositionStatus.ACTIVE]: [PositionStatus.ACTIVE, PositionStatus.OUT_OF_RANGE, PositionStatus.LIQUIDATION_PENDING],
+  [VaultPositionStatus.LIQUIDATED]: [PositionStatus.LIQUIDATED, PositionStatus.FAILED],
+};
+
+const TERMINAL_STATUSES = [PositionStatus.LIQUIDATED, PositionStatus.FAILED];
+
+export function vaultStatusToPositionStatus(status: VaultPositionStatus): PositionStatus {
+  switch (status) {
+    case VaultPositionStatus.PENDING:
+      return PositionStatus.PENDING_EXECUTION;
+    case VaultPositionStatus.ACTIVE:
+      return PositionStatus.ACTIVE;
+    default:
+      return PositionStatus.LIQUIDATED;
+  }
+}
+
+export function reconcilePosition(input: ReconciliationInput): ReconciliationFinding[] {
+  const { db, assetHub, moonbeam, now } = input;
+
+  if (!assetHub) {
+    if (db && !TERMINAL_STATUSES.includes(db.status)) {
+      return [{ type: ReconciliationIssueType.MISSING_ON_CHAIN, details: { dbStatus: db.status }, repair: null }];
+    }
+    return [];
+  }
+
+  const findings: ReconciliationFinding[] = [];
+  const vaultStatus = VaultPositionStatus[assetHub.status];
+
+  if (!input.poolKnown) {
+    findings.push({
+      type: ReconciliationIssueType.MISSING_POOL,
+      details: { poolAddress: assetHub.poolId, inDb: !!db },
+      repair: null,
+    });
+  }
+
+  if (!db) {
+    findings.push({
+      type: ReconciliationIssueType.MISSING_IN_DB,
+      details: { vaultStatus, amount: assetHub.amount.toString() },
+      repair: input.poolKnown ? { kind: 'create' } : null,
+    });
+    return findings;
+  }
+
+  const closedOnMoonbeam =
+    assetHub.status === VaultPositionStatus.ACTIVE && !!moonbeam && moonbeam.localId > 0 && !moonbeam.position?.active;
+
+  if (closedOnMoonbeam) {
+    findings.push({
+      type: ReconciliationIssueType.LIQUIDATED_UNSETTLED,
+      details: { moonbeamPositionId: moonbeam.localId, dbStatus: db.status },
+      // Keep automation off it until settleLiquidation() runs
+      repair: db.status === PositionStatus.LIQUIDATION_PENDING
+        ? null
+        : { kind: 'update', changes: { status: PositionStatus.LIQUIDATION_PENDING } },
+    });
+  } else if (!COMPATIBLE_STATUSES[assetHub.status]?.includes(db.status)) {
+    findings.push({
+      type: ReconciliationIssueType.STATUS_MISMATCH,
+      details: { dbStatus: db.status, vaultStatus },
+      repair: { kind: 'update', changes: statusRepair(db, assetHub.status, moonbeam, now) },
+    });
+  }
+
+  if (assetHub.status === VaultPositionStatus.PENDING) {
+    const ageSeconds = Math.floor(now.getTime() / 1000) - Number(assetHub.timestamp);
+    if (ageSeconds > input.pendingTimeoutSeconds) {
+      findings.push({
+        type: ReconciliationIssueType.ORPHANED_PENDING,
+        details: { ageSeconds, stage: pendingStage(moonbeam), moonbeamPositionId: moonbeam?.localId || null },
+        repair: null,
+      });
+    }
+  }
+
+  const mismatches: Record<string, { db: string | null; chain: string }> = {};
+  const changes: Partial<Position> = {};
+  if (BigInt(db.amount ?? '0') !== assetHub.amount) {
+    mismatches.amount = { db: db.amount, chain: assetHub.amount.toString() };
+    changes.amount = assetHub.amount.toString();
+  }
+  if (assetHub.status === VaultPositionStatus.ACTIVE && moonbeam?.position?.active && !closedOnMoonbeam) {
+    const liquidity = moonbeam.position.liquidity.toString();
+    if ((db.liquidity ?? null) === null || BigInt(db.liquidity) !== moonbeam.position.liquidity) {
+      mismatches.liquidity = { db: db.liquidity ?? null, chain: liquidity };
+      changes.liquidity = liquidity;
+    }
+  }
+  if (Object.keys(mismatches).length > 0) {
+    findings.push({
+      type: ReconciliationIssueType.AMOUNT_MISMATCH,
+      details: mismatches,
+      repair: { kind: 'update', changes },
+    });
+  }
+
+  return findings;
+}
+
+/** DB fields that bring a row in line with the vault status (and Moonbeam, once active). */
+function statusRepair(
+  db: ReconciliationInput['db'],
+  status: VaultPositionStatus,
+  moonbeam: MoonbeamSnapshot | undefined,
+  now: Date,
+): Partial<Position> {
+  const changes: Partial<Position> = { status: vaultStatusToPositionStatus(status) };
+  if (status === VaultPositionStatus.ACTIVE) {
+    if (!db.executedAt) changes.executedAt = now;
+    if (moonbeam?.position?.active) {
+      changes.moonbeamPositionId = String(moonbeam.localId);
+      changes.liquidity = moonbeam.position.liquidity.toString();
+    }
+  } else if (status === VaultPositionStatus.LIQUIDATED && !db.liquidatedAt) {
+    changes.liquidatedAt = now;
+  }
+  return changes;
+}
+
+/** How far a stale pending investment got on Moonbeam. */
+function pendingStage(moonbeam: MoonbeamSnapshot | undefined): string {
+  if (!moonbeam) return 'unknown';
+  if (moonbeam.localId > 0) return 'executed_not_confirmed';
+  if (moonbeam.pendingExists) return 'received_not_executed';
+  return 'not_received';
+}
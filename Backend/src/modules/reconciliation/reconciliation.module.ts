@@ -0,0 +1,22 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { ConfigModule } from '@nestjs/config';
+import { ReconciliationService } from './reconciliation.service';
+import { ReconciliationController } from './reconciliation.controller';
+import { ReconciliationIssue } from './entities/reconciliation-issue.entity';
+import { Position } from '../positions/entities/position.entity';
+import { Pool } from '../pools/entities/pool.entity';
+import { User } from '../users/entities/user.entity';
+import { BlockchainModule } from '../blockchain/blockchain.module';
+
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([Position, Pool, User, ReconciliationIssue]),
+    BlockchainModule,
+    ConfigModule,
+  ],
+  controllers: [ReconciliationController],
+  providers: [ReconciliationService],
+  exports: [ReconciliationService],
+})
+export class ReconciliationModule { }
@@ -0,0 +1,210 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ReconciliationService } from './reconciliation.service';
+import { ReconciliationIssue, ReconciliationIssueType } from './entities/reconciliation-issue.entity';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { Pool } from '../pools/entities/pool.entity';
+import { User } from '../users/entities/user.entity';
+import { AssetHubService, ContractPositionWithId, PositionStatus as VaultPositionStatus } from '../blockchain/services/asset-hub.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import * as logic from './reconciliation.logic';
+
+describe('ReconciliationService', () => {
+  let positionRepository: Record<string, jest.Mock>;
+  let issueRepository: Record<string, jest.Mock>;
+  let assetHub: Record<string, jest.Mock>;
+  let moonbeam: Record<string, jest.Mock>;
+  let issues: ReconciliationIssue[];
+
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  const onchain = (overrides: Partial<ContractPositionWithId> = {}): ContractPositionWithId => ({
+    positionId: '0xp1',
+    user: '0xuser',
+    poolId: '0xPOOL',
+    baseAsset: '0xbase',
+    chainId: 2004,
+    lowerRangePercent: -5,
+    upperRangePercent: 10,
+    timestamp: BigInt(now.getTime() / 1000) - 60n,
+    status: VaultPositionStatus.ACTIVE,
+    amount: 1000n,
+    remotePositionId: '0x',
+    ...overrides,
+  });
+  const dbPosition = (overrides: Partial<Position> = {}) => ({
+    id: 'pos-1',
+    assetHubPositionId: '0xp1',
+    userId: 'user-1',
+    status: PositionStatus.ACTIVE,
+    amount: '1000',
+    liquidity: '500',
+    executedAt: now,
+    liquidatedAt: null,
+    ...overrides,
+  }) as Position;
+
+  const build = async (config: Record<string, unknown> = {}) => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        ReconciliationService,
+        { provide: getRepositoryToken(Position), useValue: positionRepository },
+        {
+          provide: getRepositoryToken(Pool),
+          useValue: {
+            createQueryBuilder: () => ({
+              where: () => ({ getMany: async () => [{ id: 'pool-1', poolAddress: '0xPool' }] }),
+            }),
+          },
+        },
+        { provide: getRepositoryToken(User), useValue: { find: jest.fn(async () => [{ id: 'user-1', walletAddress: '0xuser' }]) } },
+        { provide: getRepositoryToken(ReconciliationIssue), useValue: issueRepository },
+        { provide: AssetHubService, useValue: assetHub },
+        { provide: MoonbeamService, useValue: moonbeam },
+        { provide: ConfigService, useValue: { get: (key: string, fallback?: unknown) => config[key] ?? fallback } },
+      ],
+    }).compile();
+    return module.get(ReconciliationService);
+  };
+
+  beforeEach(() => {
+    issues = [];
+    positionRepository = {
+      find: jest.fn(async () => [dbPosition()]),
+      create: jest.fn(d => d),
+      save: jest.fn(async d => ({ id: 'pos-new', ...d })),
+      update: jest.fn(),
+    };
+    issueRepository = {
+      find: jest.fn(async () => []),
+      findOne: jest.fn(async () => null),
+      create: jest.fn(d => ({ autoRepaired: false, repairError: null, resolvedAt: null, ...d })),
+      save: jest.fn(async d => {
+        issues.push(d);
+        return d;
+      }),
+      update: jest.fn(),
+    };
+    assetHub = {
+      isInitialized: jest.fn(() => true),
+      getUserPositionsWithIds: jest.fn(async () => [onchain()]),
+      getPosition: jest.fn(async () => null),
+    };
+    moonbeam = {
+      isInitialized: jest.fn(() => true),
+      getLocalPositionId: jest.fn(async () => 7),
+      getPosition: jest.fn(async () => ({ liquidity: 500n, active: true })),
+      getPendingPosition: jest.fn(async () => null),
+    };
+  });
+
+  it('records a discrepancy without touching the position while auto-repair is off', async () => {
+    moonbeam.getPosition.mockResolvedValue(null);
+    const service = await build();
+
+    const summary = await service.run(now);
+
+    expect(summary).toMatchObject({ checked: 1, issues: { [ReconciliationIssueType.LIQUIDATED_UNSETTLED]: 1 }, repaired: 0 });
+    expect(positionRepository.update).not.toHaveBeenCalled();
+    expect(issues).toEqual([expect.objectContaining({
+      assetHubPositionId: '0xp1',
+      positionId: 'pos-1',
+      type: ReconciliationIssueType.LIQUIDATED_UNSETTLED,
+      occurrences: 1,
+      lastSeenAt: now,
+      resolvedAt: null,
+    })]);
+  });
+
+  it('repairs the DB from chain state and resolves the issue when auto-repair is on', async () => {
+    positionRepository.find.mockResolvedValue([dbPosition({ amount: '900' })]);
+    const service = await build({ RECONCILIATION_AUTO_REPAIR: 'true' });
+
+    const summary = await service.run(now);
+
+    expect(summary.repaired).toBe(1);
+    expect(positionRepository.update).toHaveBeenCalledWith({ id: 'pos-1' }, { amount: '1000' });
+    expect(issues[0]).toMatchObject({ type: ReconciliationIssueType.AMOUNT_MISMATCH, autoRepaired: true, resolvedAt: now });
+  });
+
+  it('creates the missing DB row for an on-chain position in a known pool', async () => {
+    positionRepository.find.mockResolvedValue([]);
+    const service = await build({ RECONCILIATION_AUTO_REPAIR: 'true' });
+
+    await service.run(now);
+
+    expect(positionRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+      assetHubPositionId: '0xp1',
+      userId: 'user-1',
+      poolId: 'pool-1',
+      amount: '1000',
+      status: PositionStatus.ACTIVE,
+      executedAt: now,
+    }));
+    expect(issues[0]).toMatchObject({ type: ReconciliationIssueType.MISSING_IN_DB, positionId: 'pos-new', autoRepaired: true });
+  });
+
+  it('leaves a missing row open instead of creating it in an unknown pool', async () => {
+    positionRepository.find.mockResolvedValue([]);
+    assetHub.getUserPositionsWithIds.mockResolvedValue([onchain({ poolId: '0xUnknown' })]);
+    const reconcile = jest.spyOn(logic, 'reconcilePosition').mockReturnValue([
+      { type: ReconciliationIssueType.MISSING_IN_DB, details: {}, repair: { kind: 'create' } },
+    ]);
+    const service = await build({ RECONCILIATION_AUTO_REPAIR: 'true' });
+
+    const summary = await service.run(now);
+    reconcile.mockRestore();
+
+    expect(summary.repaired).toBe(0);
+    expect(positionRepository.save).not.toHaveBeenCalled();
+    expect(issues[0]).toMatchObject({ type: ReconciliationIssueType.MISSING_IN_DB, autoRepaired: false, repairError: null, resolvedAt: null });
+  });
+
+  it('keeps counting an open issue and resolves it once it is no longer found', async () => {
+    const open = { id: 'issue-1', type: ReconciliationIssueType.STATUS_MISMATCH, occurrences: 2, resolvedAt: null } as ReconciliationIssue;
+    positionRepository.find.mockResolvedValue([dbPosition({ status: PositionStatus.PENDING_EXECUTION })]);
+    issueRepository.findOne.mockResolvedValue(open);
+    const service = await build();
+
+    await service.run(now);
+    expect(issues[0]).toMatchObject({ id: 'issue-1', occurrences: 3, lastSeenAt: now });
+
+    positionRepository.find.mockResolvedValue([dbPosition()]);
+    issueRepository.find.mockResolvedValue([open]);
+    const summary = await service.run(now);
+
+    expect(summary.resolved).toBe(1);
+    expect(issueRepository.update).toHaveBeenCalledWith({ id: expect.anything() }, { resolvedAt: now });
+  });
+
+  it('checks open DB rows missing from the on-chain list against the vault', async () => {
+    positionRepository.find.mockResolvedValue([dbPosition(), dbPosition({ id: 'pos-2', assetHubPositionId: '0xp2' })]);
+    const service = await build();
+
+    const summary = await service.run(now);
+
+    expect(assetHub.getPosition).toHaveBeenCalledWith('0xp2');
+    expect(summary.issues).toEqual({ [ReconciliationIssueType.MISSING_ON_CHAIN]: 1 });
+  });
+
+  it('skips the run while Asset Hub is not connected and reports open issues by type', async () => {
+    assetHub.isInitialized.mockReturnValue(false);
+    const service = await build();
+
+    await expect(service.run(now)).resolves.toBeNull();
+
+    issueRepository.find.mockResolvedValueOnce([
+      { type: ReconciliationIssueType.ORPHANED_PENDING },
+      { type: ReconciliationIssueType.ORPHANED_PENDING },
+      { type: ReconciliationIssueType.MISSING_POOL },
+    ]);
+    const report = await service.getReport(now);
+
+    expect(report).toMatchObject({
+      autoRepair: false,
+      lastRun: null,
+      openCounts: { [ReconciliationIssueType.ORPHANED_PENDING]: 2, [ReconciliationIssueType.MISSING_POOL]: 1 },
+    });
+  });
+});
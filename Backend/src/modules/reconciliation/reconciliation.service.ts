@@ -0,0 +1,317 @@
+/**
+ * Reconciliation Service
+ *
+ * Hourly cross-check of every user's positions between Postgres,
+ * AssetHubVault.getPosition() and XCMProxy state. Discrepancies are stored as
+ * ReconciliationIssue rows. When RECONCILIATION_AUTO_REPAIR is on, the cases
+ * where the chain is unambiguous are repaired by correcting the DB row (never
+ * by sending a transaction); the rest stay open for GET /admin/reconciliation.
+ */
+
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { In, IsNull, MoreThanOrEqual, Not, Repository } from 'typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { Pool } from '../pools/entities/pool.entity';
+import { User } from '../users/entities/user.entity';
+import { AssetHubService, ContractPosition, PositionStatus as VaultPositionStatus } from '../blockchain/services/asset-hub.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { ReconciliationIssue, ReconciliationIssueType } from './entities/reconciliation-issue.entity';
+import { MoonbeamSnapshot, ReconciliationFinding, reconcilePosition, vaultStatusToPositionStatus } from './reconciliation.logic';
+
+const MAX_ERROR_LENGTH = 1000;
+const RECENTLY_REPAIRED_HOURS = 24;
+
+/** Outcome counts of one reconciliation run */
+export interface ReconciliationSummary {
+  startedAt: Date;
+  finishedAt: Date;
+  checked: number;
+  issues: Partial<Record<ReconciliationIssueType, number>>;
+  repaired: number;
+  resolved: number; // Open issues no longer found
+  errors: number; // Users that could not be checked
+}
+
+export interface ReconciliationReport {
+  autoRepair: boolean;
+  lastRun: ReconciliationSummary | null;
+  openCounts: Partial<Record<ReconciliationIssueType, number>>;
+  open: ReconciliationIssue[];
+  recentlyRepaired: ReconciliationIssue[];
+}
+
+@Injectable()
+export class ReconciliationService implements OnModuleInit {
+  private readonly logger = new Logger(ReconciliationService.name);
+  private readonly enabled: boolean;
+  private readonly autoRepair: boolean;
+  private readonly pendingTimeoutSeconds: number;
+  private readonly maxPositionsPerUser: number;
+  private isProcessing = false;
+  private lastRun: ReconciliationSummary | null = null;
+
+  constructor(
+    @InjectRepository(Position)
+    private positionRepository: Repository<Position>,
+    @InjectRepository(Pool)
+    private poolRepository: Repository<Pool>,
+    @InjectRepository(User)
+    private userRepository: Repository<User>,
+    @InjectRepository(ReconciliationIssue)
+    private issueRepository: Repository<ReconciliationIssue>,
+    private assetHubService: AssetHubService,
+    private moonbeamService: MoonbeamService,
+    private configService: ConfigService,
+  ) {
+    this.enabled = this.configService.get<boolean>('ENABLE_RECONCILIATION_WORKER', true);
+    // Safety-relevant: only an explicit "true" lets the job write to positions
+    this.autoRepair = String(this.configService.get('RECONCILIATION_AUTO_REPAIR', false)) === 'true';
+    this.pendingTimeoutSeconds = Number(this.configService.get('RECONCILIATION_PENDING_TIMEOUT_MINUTES', 120)) * 60;
+    this.maxPositionsPerUser = Number(this.configService.get('RECONCILIATION_MAX_POSITIONS_PER_USER', 200));
+  }
+
+  async onModuleInit() {
+    this.logger.log(
+      `ReconciliationService initialized (enabled: ${this.enabled}, auto-repair: ${this.autoRepair}, ` +
+      `pending timeout: ${this.pendingTimeoutSeconds}s)`,
+    );
+  }
+
+  @Cron(CronExpression.EVERY_HOUR)
+  async reconcileAll(): Promise<void> {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const summary = await this.run();
+      if (summary && (Object.keys(summary.issues).length > 0 || summary.errors > 0)) {
+        this.logger.warn(
+          `Reconciliation: ${summary.checked} checked, issues ${JSON.stringify(summary.issues)}, ` +
+          `${summary.repaired} repaired, ${summary.errors} users failed`,
+        );
+      }
+    } catch (error) {
+      this.logger.error('Error in reconciliation:', error);
+    }
+  }
+
+  /**
+   * Check every user's positions once. Returns null when a run is already in
+   * progress or Asset Hub is not connected.
+   */
+  async run(now = new Date()): Promise<ReconciliationSummary | null> {
+    if (this.isProcessing) {
+      this.logger.debug('Previous reconciliation still running, skipping');
+      return null;
+    }
+    if (!this.assetHubService.isInitialized()) {
+      this.logger.debug('AssetHubService not initialized; skipping reconciliation');
+      return null;
+    }
+
+    this.isProcessing = true;
+    try {
+      const summary: ReconciliationSummary = {
+        startedAt: now,
+        finishedAt: now,
+        checked: 0,
+        issues: {},
+        repaired: 0,
+        resolved: 0,
+        errors: 0,
+      };
+
+      const users = await this.userRepository.find({ where: { walletAddress: Not(IsNull()) } });
+      for (const user of users) {
+        try {
+          await this.reconcileUser(user, now, summary);
+        } catch (error) {
+          summary.errors++;
+          this.logger.warn(`Reconciliation failed for userId=${user.id}: ${error?.message ?? error}`);
+        }
+      }
+
+      summary.finishedAt = new Date();
+      this.lastRun = summary;
+      return summary;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Open issues by type plus the last run and what was repaired recently
+   */
+  async getReport(now = new Date()): Promise<ReconciliationReport> {
+    const open = await this.issueRepository.find({
+      where: { resolvedAt: IsNull() },
+      order: { firstSeenAt: 'ASC' },
+    });
+    const recentlyRepaired = await this.issueRepository.find({
+      where: {
+        autoRepaired: true,
+        resolvedAt: MoreThanOrEqual(new Date(now.getTime() - RECENTLY_REPAIRED_HOURS * 3600 * 1000)),
+      },
+      order: { resolvedAt: 'DESC' },
+    });
+
+    const openCounts: Partial<Record<ReconciliationIssueType, number>> = {};
+    for (const issue of open) {
+      openCounts[issue.type] = (openCounts[issue.type] ?? 0) + 1;
+    }
+
+    return { autoRepair: this.autoRepair, lastRun: this.lastRun, openCounts, open, recentlyRepaired };
+  }
+
+  private async reconcileUser(user: User, now: Date, summary: ReconciliationSummary): Promise<void> {
+    const onchain = await this.assetHubService.getUserPositionsWithIds(user.walletAddress, this.maxPositionsPerUser);
+    const dbPositions = await this.positionRepository.find({ where: { userId: user.id } });
+    const dbById = new Map(dbPositions.map(p => [p.assetHubPositionId, p]));
+
+    const poolAddresses = Array.from(new Set(onchain.map(p => String(p.poolId).toLowerCase())));
+    const pools = poolAddresses.length === 0 ? [] : await this.poolRepository
+      .createQueryBuilder('pool')
+      .where('LOWER(pool.poolAddress) IN (:...addrs)', { addrs: poolAddresses })
+      .getMany();
+    const poolByAddr = new Map(pools.map(p => [p.poolAddress.toLowerCase(), p]));
+
+    const checked: Array<{ assetHub: ContractPosition | null; assetHubPositionId: string; db: Position | null }> =
+      onchain.map(p => ({ assetHub: p, assetHubPositionId: String(p.positionId), db: dbById.get(String(p.positionId)) ?? null }));
+
+    // Open DB rows the user's on-chain list did not include (e.g. beyond the page, or unknown to the vault)
+    const listed = new Set(checked.map(c => c.assetHubPositionId));
+    for (const db of dbPositions) {
+      if (listed.has(db.assetHubPositionId)) continue;
+      if (db.status === PositionStatus.LIQUIDATED || db.status === PositionStatus.FAILED) continue;
+      checked.push({ assetHub: await this.assetHubService.getPosition(db.assetHubPositionId), assetHubPositionId: db.assetHubPositionId, db });
+    }
+
+    for (const { assetHub, assetHubPositionId, db } of checked) {
+      const pool = assetHub ? poolByAddr.get(String(assetHub.poolId).toLowerCase()) : undefined;
+      const findings = reconcilePosition({
+        db,
+        assetHub,
+        poolKnown: !!pool,
+        moonbeam: assetHub ? await this.readMoonbeam(assetHubPositionId, assetHub.status) : undefined,
+        pendingTimeoutSeconds: this.pendingTimeoutSeconds,
+        now,
+      });
+      summary.checked++;
+
+      for (const finding of findings) {
+        summary.issues[finding.type] = (summary.issues[finding.type] ?? 0) + 1;
+        const repaired = await this.record(finding, assetHubPositionId, user.id, db, assetHub, pool, now);
+        if (repaired) summary.repaired++;
+      }
+
+      // Anything still open for this position that this run did not find is gone
+      const found = findings.map(f => f.type);
+      const stale = await this.issueRepository.find({
+        where: { assetHubPositionId, resolvedAt: IsNull(), ...(found.length > 0 ? { type: Not(In(found)) } : {}) },
+      });
+      if (stale.length > 0) {
+        await this.issueRepository.update({ id: In(stale.map(i => i.id)) }, { resolvedAt: now });
+        summary.resolved += stale.length;
+      }
+    }
+  }
+
+  /**
+   * XCMProxy state for positions that may have reached Moonbeam; undefined
+   * when Moonbeam is not connected or the position is already closed
+   */
+  private async readMoonbeam(assetHubPositionId: string, status: VaultPositionStatus): Promise<MoonbeamSnapshot | undefined> {
+    if (status === VaultPositionStatus.LIQUIDATED || !this.moonbeamService.isInitialized()) {
+      return undefined;
+    }
+
+    const localId = await this.moonbeamService.getLocalPositionId(assetHubPositionId);
+    const position = localId > 0 ? await this.moonbeamService.getPosition(localId) : null;
+    const pendingExists = localId > 0 ? false : !!(await this.moonbeamService.getPendingPosition(assetHubPositionId));
+    return { localId, position, pendingExists };
+  }
+
+  /**
+   * Upsert the open issue for a finding and apply its repair when enabled.
+   * Returns whether the repair was applied.
+   */
+  private async record(
+    finding: ReconciliationFinding,
+    assetHubPositionId: string,
+    userId: string,
+    db: Position | null,
+    assetHub: ContractPosition | null,
+    pool: Pool | undefined,
+    now: Date,
+  ): Promise<boolean> {
+    const existing = await this.issueRepository.findOne({
+      where: { assetHubPositionId, type: finding.type, resolvedAt: IsNull() },
+    });
+    const issue = existing ?? this.issueRepository.create({
+      assetHubPositionId,
+      positionId: db?.id ?? null,
+      userId,
+      type: finding.type,
+      occurrences: 0,
+      firstSeenAt: now,
+    });
+    issue.details = finding.details;
+    issue.occurrences += 1;
+    issue.lastSeenAt = now;
+
+    // A row can only be created in a pool we know; otherwise the issue stays open
+    const repairable = !!finding.repair && (finding.repair.kind !== 'create' || !!pool);
+    let repaired = false;
+    if (this.autoRepair && repairable) {
+      try {
+        if (finding.repair.kind === 'create') {
+          const created = await this.positionRepository.save(
+            this.positionRepository.create(this.positionFromChain(assetHubPositionId, userId, assetHub, pool, now)),
+          );
+          issue.positionId = created.id;
+        } else {
+          await this.positionRepository.update({ id: db.id }, finding.repair.changes);
+        }
+        issue.autoRepaired = true;
+        issue.repairError = null;
+        issue.resolvedAt = now;
+        repaired = true;
+        this.logger.log(`Repaired ${finding.type} for position ${assetHubPositionId}`);
+      } catch (error) {
+        issue.repairError = String(error?.message ?? error).slice(0, MAX_ERROR_LENGTH);
+        this.logger.warn(`Could not repair ${finding.type} for position ${assetHubPositionId}: ${issue.repairError}`);
+      }
+    }
+
+    await this.issueRepository.save(issue);
+    return repaired;
+  }
+
+  /** DB row for an on-chain position, as PositionSyncService would mirror it */
+  private positionFromChain(
+    assetHubPositionId: string,
+    userId: string,
+    p: ContractPosition,
+    pool: Pool,
+    now: Date,
+  ): Partial<Position> {
+    const status = vaultStatusToPositionStatus(p.status);
+    return {
+      assetHubPositionId,
+      userId,
+      poolId: pool.id,
+      baseAsset: String(p.baseAsset),
+      amount: p.amount.toString(),
+      lowerRangePercent: Number(p.lowerRangePercent),
+      upperRangePercent: Number(p.upperRangePercent),
+      status,
+      chainId: Number(p.chainId),
+      executedAt: status === PositionStatus.ACTIVE ? now : null,
+      liquidatedAt: status === PositionStatus.LIQUIDATED ? now : null,
+    };
+  }
+}
@@ -0,0 +1,74 @@
+import { OutOfRangePolicy } from '../preferences/entities/user-preference.entity';
+import { PositionExitTrigger } from '../positions/entities/position.entity';
+import { computeRerangeIl, rangeExitTrigger, rerangesToday, resolveOutOfRangeAction } from './out-of-range.logic';
+
+describe('out-of-range.logic', () => {
+  const now = new Date('2025-03-10T12:00:00.000Z');
+  const limits = { cooldownSeconds: 3600, maxPerDay: 3 };
+  const fresh = { lastRerangedAt: null, lastRerangeDate: null, rerangeCountToday: 0 };
+
+  describe('resolveOutOfRangeAction', () => {
+    it('follows the liquidate and hold policies as they are', () => {
+      expect(resolveOutOfRangeAction(OutOfRangePolicy.LIQUIDATE, fresh, limits, now).action).toBe('liquidate');
+      expect(resolveOutOfRangeAction(OutOfRangePolicy.HOLD, fresh, limits, now).action).toBe('hold');
+    });
+
+    it('re-ranges a position that was never re-ranged', () => {
+      expect(resolveOutOfRangeAction(OutOfRangePolicy.RERANGE, fresh, limits, now)).toEqual({
+        action: 'rerange',
+        reason: 'Re-range 1/3 today',
+      });
+    });
+
+    it('holds during the cooldown', () => {
+      const history = { lastRerangedAt: new Date(now.getTime() - 30 * 60_000), lastRerangeDate: '2025-03-10', rerangeCountToday: 1 };
+
+      const decision = resolveOutOfRangeAction(OutOfRangePolicy.RERANGE, history, limits, now);
+
+      expect(decision.action).toBe('hold');
+      expect(decision.reason).toContain('2025-03-10T12:30:00.000Z');
+    });
+
+    it('liquidates once the daily cap is reached', () => {
+      const history = { lastRerangedAt: new Date(now.getTime() - 2 * 3600_000), lastRerangeDate: '2025-03-10', rerangeCountToday: 3 };
+
+      expect(resolveOutOfRangeAction(OutOfRangePolicy.RERANGE, history, limits, now).action).toBe('liquidate');
+    });
+
+    it('does not count re-ranges from a previous day', () => {
+      const history = { lastRerangedAt: new Date('2025-03-09T20:00:00.000Z'), lastRerangeDate: '2025-03-09', rerangeCountToday: 3 };
+
+      expect(rerangesToday(history, now)).toBe(0);
+      expect(resolveOutOfRangeAction(OutOfRangePolicy.RERANGE, history, limits, now).action).toBe('rerange');
+    });
+  });
+
+  describe('rangeExitTrigger', () => {
+    it('tells a range stop-loss from a range take-profit by the side the tick left', () => {
+      expect(rangeExitTrigger(-601, -600, 600)).toBe(PositionExitTrigger.RANGE_STOP_LOSS);
+      expect(rangeExitTrigger(600, -600, 600)).toBe(PositionExitTrigger.RANGE_TAKE_PROFIT);
+      expect(rangeExitTrigger(-600, -600, 600)).toBeNull();
+    });
+  });
+
+  describe('computeRerangeIl', () => {
+    const range = { liquidity: 1_000_000_000n, tickLower: -600, tickUpper: 600 };
+
+    it('is zero when the price did not move', () => {
+      const il = computeRerangeIl({ ...range, entryTick: 0, exitTick: 0 });
+      expect(il.il1).toBeCloseTo(0, 6);
+      expect(il.ilPercent).toBe(0);
+    });
+
+    it('is positive once the price left the range in either direction', () => {
+      const below = computeRerangeIl({ ...range, entryTick: 0, exitTick: -900 });
+      const above = computeRerangeIl({ ...range, entryTick: 0, exitTick: 900 });
+
+      expect(below.il1).toBeGreaterThan(0);
+      expect(above.il1).toBeGreaterThan(0);
+      expect(below.lpValue1).toBeLessThan(below.hodlValue1);
+      expect(above.ilPercent).toBeGreaterThan(0);
+      expect(above.ilPercent).toBeLessThan(10);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Out-of-Range Logic
+ *
+ * Pure rules for StopLossService: which action a user's out-of-range policy
+ * resolves to for a position, and what a re-range cost in impermanent loss.
+ */
+
+import { OutOfRangePolicy } from '../preferences/entities/user-preference.entity';
+import { PositionExitTrigger } from '../positions/entities/position.entity';
+import { getAmountsForLiquidity, tickToSqrtPrice } from '../positions/pnl.logic';
+
+export type OutOfRangeAction = 'liquidate' | 'rerange' | 'hold';
+
+export interface RerangeLimits {
+  cooldownSeconds: number;
+  maxPerDay: number;
+}
+
+export interface RerangeHistory {
+  lastRerangedAt: Date | null;
+  lastRerangeDate: string | null;
+  rerangeCountToday: number;
+}
+
+export interface OutOfRangeDecision {
+  action: OutOfRangeAction;
+  reason: string;
+}
+
+/**
+ * Which side of its range a position left: below the lower tick is the
+ * range stop-loss, at or above the upper tick the range take-profit.
+ * Null while the tick is inside [lowerTick, upperTick).
+ */
+export function rangeExitTrigger(currentTick: number, lowerTick: number, upperTick: number): PositionExitTrigger | null {
+  if (currentTick < lowerTick) return PositionExitTrigger.RANGE_STOP_LOSS;
+  if (currentTick >= upperTick) return PositionExitTrigger.RANGE_TAKE_PROFIT;
+  return null;
+}
+
+/** 'YYYY-MM-DD' in UTC, the day re-range counters are kept per */
+export function utcDay(now: Date): string {
+  return now.toISOString().split('T')[0];
+}
+
+/** Re-ranges done today; the stored counter is stale once the day changed */
+export function rerangesToday(history: RerangeHistory, now: Date): number {
+  return history.lastRerangeDate === utcDay(now) ? history.rerangeCountToday : 0;
+}
+
+/**
+ * Resolve the policy for one out-of-range position:
+ * - a re-range still in its cooldown waits for it to pass (the position is held)
+ * - once the daily cap is reached the position falls back to liquidation, so a
+ *   trending market cannot keep paying gas and IL for re-ranges
+ */
+export function resolveOutOfRangeAction(
+  policy: OutOfRangePolicy,
+  history: RerangeHistory,
+  limits: RerangeLimits,
+  now: Date,
+): OutOfRangeDecision {
+  if (policy === OutOfRangePolicy.HOLD) {
+    return { action: 'hold', reason: 'Policy is hold' };
+  }
+  if (policy !== OutOfRangePolicy.RERANGE) {
+    return { action: 'liquidate', reason: 'Policy is liquidate' };
+  }
+
+  const count = rerangesToday(history, now);
+  if (count >= limits.maxPerDay) {
+    return { action: 'liquidate', reason: `Re-range limit reached (${count}/${limits.maxPerDay} today)` };
+  }
+
+  if (history.lastRerangedAt) {
+    const readyAt = history.lastRerangedAt.getTime() + limits.cooldownSeconds * 1000;
+    if (now.getTime() < readyAt) {
+      return { action: 'hold', reason: `Re-range cooldown until ${new Date(readyAt).toISOString()}` };
+    }
+  }
+
+  return { action: 'rerange', reason: `Re-range ${count + 1}/${limits.maxPerDay} today` };
+}
+
+export interface RerangeIlInput {
+  /** Liquidity of the closed position */
+  liquidity: bigint | string;
+  tickLower: number;
+  tickUpper: number;
+  /** Pool tick when the closed position was opened */
+  entryTick: number;
+  /** Pool tick it was closed at */
+  exitTick: number;
+}
+
+export interface RerangeIl {
+  /** Value of the entry amounts, in token1 smallest units at the exit price */
+  hodlValue1: number;
+  /** Value of the withdrawn principal (fees excluded), same units */
+  lpValue1: number;
+  /** hodlValue1 - lpValue1 */
+  il1: number;
+  ilPercent: number;
+}
+
+/**
+ * Impermanent loss a re-range crystallises: the closed position's principal
+ * against holding the amounts it started with, both valued in token1 at the
+ * exit tick.
+ */
+export function computeRerangeIl(input: RerangeIlInput): RerangeIl {
+  const entry = getAmountsForLiquidity(input.liquidity, tickToSqrtPrice(input.entryTick), input.tickLower, input.tickUpper);
+  const exit = getAmountsForLiquidity(input.liquidity, tickToSqrtPrice(input.exitTick), input.tickLower, input.tickUpper);
+  const price = Math.pow(1.0001, input.exitTick); // token0 in token1, smallest units
+
+  const hodlValue1 = entry.amount0 * price + entry.amount1;
+  const lpValue1 = exit.amount0 * price + exit.amount1;
+  const il1 = hodlValue1 - lpValue1;
+
+  return {
+    hodlValue1,
+    lpValue1,
+    il1,
+    ilPercent: hodlValue1 > 0 ? Math.round((il1 / hodlValue1) * 1_000_000) / 10_000 : 0,
+  };
+}
@@ -5,13 +5,20 @@ import { ConfigModule } from '@nestjs/config';
 import { StopLossService } from './stop-loss.service';
 import { StopLossWorkerService } from './stop-loss-worker.service';
 import { Position } from '../positions/entities/position.entity';
+import { ActivityLog } from '../activity-logs/entities/activity-log.entity';
+import { PreferencesModule } from '../preferences/preferences.module';
+import { PositionsModule } from '../positions/positions.module';
 import { BlockchainModule } from '../blockchain/blockchain.module';
+import { AlertsModule } from '../alerts/alerts.module';
 
 @Module({
   imports: [
-    TypeOrmModule.forFeature([Position]),
+    TypeOrmModule.forFeature([Position, ActivityLog]),
     ScheduleModule.forRoot(),
     BlockchainModule,
+    AlertsModule,
+    PreferencesModule,
+    PositionsModule,
     ConfigModule,
   ],
   providers: [StopLossService, StopLossWorkerService],
@@ -2,6 +2,10 @@ import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
 import { Cron, CronExpression } from '@nestjs/schedule';
 import { MoonbeamService, LiquidateParams } from '../blockchain/services/moonbeam.service';
 import { XcmBuilderService } from '../blockchain/services/xcm-builder.service';
+import { LiquidationQuoteService } from '../blockchain/services/liquidation-quote.service';
+import { BlockchainError, BlockchainErrorCode } from '../blockchain/types';
+import { AlertsService } from '../alerts/alerts.service';
+import { AlertSeverity } from '../alerts/types/alert.types';
 import { ConfigService } from '@nestjs/config';
 
 @Injectable()
@@ -13,6 +17,8 @@ export class StopLossWorkerService implements OnModuleInit {
   constructor(
     private readonly moonbeamService: MoonbeamService,
     private readonly xcmBuilderService: XcmBuilderService,
+    private readonly liquidationQuote: LiquidationQuoteService,
+    private readonly alertsService: AlertsService,
     private readonly configService: ConfigService,
   ) {
     this.enabled = this.configService.get<boolean>('ENABLE_STOP_LOSS_SIMPLE_WORKER', false);
@@ -49,14 +55,16 @@ export class StopLossWorkerService implements OnModuleInit {
               `Position ${position.tokenId} (AssetHub: ${position.assetHubPositionId}) is OUT OF RANGE. Triggering liquidation...`,
             );
 
-            // minAmountOut 0 = let the contract's defaultSlippageBps handle it
+            const minimums = await this.liquidationQuote.getLiquidationMinimums(position.tokenId, position.token0, {
+              position,
+            });
             const liquidateParams: LiquidateParams = {
               positionId: position.tokenId,
               baseAsset: position.token0,
               beneficiary: position.owner,
-              minAmountOut0: 0n,
-              minAmountOut1: 0n,
-              limitSqrtPrice: 0n,
+              minAmountOut0: minimums.minAmountOut0,
+              minAmountOut1: minimums.minAmountOut1,
+              limitSqrtPrice: minimums.limitSqrtPrice,
               assetHubPositionId: position.assetHubPositionId,
             };
 
@@ -68,6 +76,15 @@ export class StopLossWorkerService implements OnModuleInit {
             `Failed to process position ${position.tokenId}: ${err.message}`,
             err.stack,
           );
+          if (err instanceof BlockchainError && err.code === BlockchainErrorCode.PRICE_DEVIATION) {
+            await this.alertsService.send({
+              key: `liquidation_price_deviation:${position.assetHubPositionId}`,
+              severity: AlertSeverity.CRITICAL,
+              title: 'Stop-loss liquidation refused: pool price deviates from oracle',
+              message: err.message,
+              context: err.details,
+            });
+          }
         }
       }
     } catch (error) {
@@ -0,0 +1,283 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { StopLossService } from './stop-loss.service';
+import { Position, PositionExitTrigger, PositionStatus } from '../positions/entities/position.entity';
+import { ActivityLog, ActivityStatus, ActivityType } from '../activity-logs/entities/activity-log.entity';
+import { OutOfRangePolicy } from '../preferences/entities/user-preference.entity';
+import { PreferencesService } from '../preferences/preferences.service';
+import { PositionsService } from '../positions/positions.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { TokenMathService } from '../blockchain/services/token-math.service';
+import { LiquidationQuoteService } from '../blockchain/services/liquidation-quote.service';
+import { BlockchainError, BlockchainErrorCode } from '../blockchain/types';
+import { AssetHubService } from '../blockchain/services/asset-hub.service';
+import { XcmBuilderService } from '../blockchain/services/xcm-builder.service';
+import { EventPersistenceService } from '../blockchain/services/event-persistence.service';
+import { AlertsService } from '../alerts/alerts.service';
+
+describe('StopLossService out-of-range policy', () => {
+  let service: StopLossService;
+  let positionRepository: { find: jest.Mock; update: jest.Mock };
+  let activityLogRepository: { create: jest.Mock; save: jest.Mock };
+  let moonbeam: Record<string, jest.Mock>;
+  let positionsService: { calculatePnL: jest.Mock };
+  let liquidationQuote: { getLiquidationMinimums: jest.Mock };
+  let eventPersistence: { recordEntryValue: jest.Mock };
+  let alerts: { send: jest.Mock };
+  let prefs: Record<string, unknown>;
+
+  const position = (overrides: Partial<Position> = {}): Position => ({
+    id: 'pos-1',
+    userId: 'user-1',
+    poolId: 'pool-1',
+    assetHubPositionId: '0xah',
+    moonbeamPositionId: '7',
+    baseAsset: '0xbase',
+    status: PositionStatus.ACTIVE,
+    retryCount: 0,
+    rerangeCount: 0,
+    lastRerangedAt: null,
+    lastRerangeDate: null,
+    rerangeCountToday: 0,
+    user: { walletAddress: '0xowner' },
+    ...overrides,
+  }) as Position;
+
+  beforeEach(async () => {
+    positionRepository = { find: jest.fn(), update: jest.fn(async () => ({ affected: 1 })) };
+    activityLogRepository = { create: jest.fn(d => d), save: jest.fn() };
+    moonbeam = {
+      // Tick 900 above a [-600, 600] range
+      isPositionOutOfRange: jest.fn(async () => ({ outOfRange: true, currentPrice: 900n })),
+      getPosition: jest.fn(async () => ({ liquidity: 1_000_000n, bottomTick: -600, topTick: 600, entryPrice: 0n })),
+      rerangePosition: jest.fn(async () => ({
+        oldTokenId: 3,
+        newTokenId: 4,
+        bottomTick: 0,
+        topTick: 1800,
+        liquidity: 990_000n,
+        amount0: 0n,
+        amount1: 1_000n,
+        transactionHash: '0xrerange',
+        gasUsed: 300_000n,
+        gasCostWei: 30_000_000_000_000n,
+      })),
+      liquidateSwapAndReturn: jest.fn(),
+    };
+    positionsService = { calculatePnL: jest.fn() };
+    liquidationQuote = {
+      getLiquidationMinimums: jest.fn(async () => ({
+        minAmountOut0: 980n,
+        minAmountOut1: 0n,
+        limitSqrtPrice: 0n,
+        slippageBps: 100,
+        poolPrice: 1,
+        oraclePrice: 1,
+        deviationBps: 0,
+      })),
+    };
+    eventPersistence = { recordEntryValue: jest.fn(async () => undefined) };
+    alerts = { send: jest.fn() };
+    prefs = { outOfRangePolicy: OutOfRangePolicy.RERANGE, rerangeCooldownSeconds: 3600, maxRerangesPerDay: 3 };
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        StopLossService,
+        { provide: getRepositoryToken(Position), useValue: positionRepository },
+        { provide: getRepositoryToken(ActivityLog), useValue: activityLogRepository },
+        { provide: PreferencesService, useValue: { getEffectivePreferences: jest.fn(async () => prefs) } },
+        { provide: PositionsService, useValue: positionsService },
+        { provide: MoonbeamService, useValue: moonbeam },
+        { provide: TokenMathService, useValue: { getTokenDecimals: jest.fn(async () => 18) } },
+        { provide: LiquidationQuoteService, useValue: liquidationQuote },
+        { provide: AssetHubService, useValue: {} },
+        { provide: XcmBuilderService, useValue: {} },
+        { provide: EventPersistenceService, useValue: eventPersistence },
+        { provide: AlertsService, useValue: alerts },
+        { provide: ConfigService, useValue: { get: (_key: string, fallback?: unknown) => fallback } },
+      ],
+    }).compile();
+
+    service = module.get(StopLossService);
+  });
+
+  it('re-ranges instead of liquidating and records the new range, gas and IL', async () => {
+    positionRepository.find.mockResolvedValue([position()]);
+
+    await service.monitorPositions();
+
+    expect(moonbeam.rerangePosition).toHaveBeenCalledWith(7, 100);
+    expect(moonbeam.liquidateSwapAndReturn).not.toHaveBeenCalled();
+    expect(positionRepository.update).toHaveBeenCalledWith(
+      { id: 'pos-1' },
+      expect.objectContaining({
+        status: PositionStatus.ACTIVE,
+        lowerTick: 0,
+        upperTick: 1800,
+        liquidity: '990000',
+        rerangeCount: 1,
+        rerangeCountToday: 1,
+      }),
+    );
+    expect(activityLogRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+      type: ActivityType.RERANGE,
+      status: ActivityStatus.CONFIRMED,
+      txHash: '0xrerange',
+      details: expect.objectContaining({
+        gasCostWei: '30000000000000',
+        il: expect.objectContaining({ percent: expect.any(Number) }),
+      }),
+    }));
+  });
+
+  it('holds a position still in its re-range cooldown', async () => {
+    positionRepository.find.mockResolvedValue([position({ lastRerangedAt: new Date(), lastRerangeDate: new Date().toISOString().split('T')[0], rerangeCountToday: 1 })]);
+
+    await service.monitorPositions();
+
+    expect(moonbeam.rerangePosition).not.toHaveBeenCalled();
+    expect(moonbeam.liquidateSwapAndReturn).not.toHaveBeenCalled();
+    expect(positionRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('liquidates with quoted minimums when the policy is liquidate', async () => {
+    prefs.outOfRangePolicy = OutOfRangePolicy.LIQUIDATE;
+    positionRepository.find.mockResolvedValue([position()]);
+
+    await service.monitorPositions();
+
+    expect(moonbeam.rerangePosition).not.toHaveBeenCalled();
+    expect(liquidationQuote.getLiquidationMinimums).toHaveBeenCalledWith(7, '0xbase', { slippageBps: 100 });
+    expect(moonbeam.liquidateSwapAndReturn).toHaveBeenCalledWith(
+      expect.objectContaining({ positionId: 7, minAmountOut0: 980n, minAmountOut1: 0n }),
+    );
+  });
+
+  it('refuses to liquidate into a pool price far off the oracle and escalates', async () => {
+    prefs.outOfRangePolicy = OutOfRangePolicy.LIQUIDATE;
+    liquidationQuote.getLiquidationMinimums.mockRejectedValue(
+      new BlockchainError(BlockchainErrorCode.PRICE_DEVIATION, 'Pool price deviates 900 bps', { deviationBps: 900 }),
+    );
+    positionRepository.find.mockResolvedValue([position()]);
+
+    await service.monitorPositions();
+
+    expect(moonbeam.liquidateSwapAndReturn).not.toHaveBeenCalled();
+    expect(positionRepository.update).toHaveBeenLastCalledWith(
+      { id: 'pos-1' },
+      expect.objectContaining({ status: PositionStatus.ACTIVE, retryCount: 1 }),
+    );
+    expect(alerts.send).toHaveBeenCalledWith(expect.objectContaining({
+      key: 'liquidation_price_deviation:pos-1',
+      context: { deviationBps: 900 },
+    }));
+  });
+
+  it('puts a position whose re-range failed back to ACTIVE for a retry', async () => {
+    moonbeam.rerangePosition.mockRejectedValue(new Error('execution reverted'));
+    positionRepository.find.mockResolvedValue([position()]);
+
+    await service.monitorPositions();
+
+    expect(positionRepository.update).toHaveBeenLastCalledWith(
+      { id: 'pos-1' },
+      expect.objectContaining({ status: PositionStatus.ACTIVE, retryCount: 1 }),
+    );
+    expect(activityLogRepository.save).toHaveBeenCalledWith(expect.objectContaining({ status: ActivityStatus.FAILED }));
+  });
+
+  it('records which side of the range the liquidated position left, with real prices', async () => {
+    prefs.outOfRangePolicy = OutOfRangePolicy.LIQUIDATE;
+    moonbeam.isPositionOutOfRange.mockResolvedValue({ outOfRange: true, currentPrice: (1n << 256n) - 900n }); // tick -900
+    positionRepository.find.mockResolvedValue([position({ pool: { token0Address: '0xt0', token1Address: '0xt1' } as any })]);
+
+    await service.monitorPositions();
+
+    expect(positionRepository.update).toHaveBeenCalledWith(
+      { id: 'pos-1', status: PositionStatus.ACTIVE },
+      expect.objectContaining({ exitTrigger: PositionExitTrigger.RANGE_STOP_LOSS, exitReason: 'Pool tick -900 below range [-600, 600]' }),
+    );
+    const log = activityLogRepository.save.mock.calls[0][0];
+    expect(log).toMatchObject({ type: ActivityType.LIQUIDATION, status: ActivityStatus.CONFIRMED });
+    expect(Number(log.details.currentPrice)).toBeCloseTo(Math.pow(1.0001, -900), 6);
+    expect(Number(log.details.lowerBoundPrice)).toBeCloseTo(Math.pow(1.0001, -600), 6);
+    expect(Number(log.details.upperBoundPrice)).toBeCloseTo(Math.pow(1.0001, 600), 6);
+  });
+
+  describe('value triggers', () => {
+    const priced = (currentValueUsd: number, feesEarnedUsd = 0) => ({ currentValueUsd, feesEarnedUsd, tokens: [{}, {}] });
+
+    it('liquidates an in-range position whose value fell through its stop-loss', async () => {
+      moonbeam.isPositionOutOfRange.mockResolvedValue({ outOfRange: false, currentPrice: 0n });
+      positionsService.calculatePnL.mockResolvedValue(priced(910, 5));
+      positionRepository.find.mockResolvedValue([position({ stopLossPercent: '8.00', entryValueUsd: '1000.00' })]);
+
+      await service.monitorPositions();
+
+      expect(moonbeam.liquidateSwapAndReturn).toHaveBeenCalledWith(expect.objectContaining({ positionId: 7 }));
+      expect(positionRepository.update).toHaveBeenCalledWith(
+        { id: 'pos-1', status: PositionStatus.ACTIVE },
+        expect.objectContaining({ exitTrigger: PositionExitTrigger.STOP_LOSS }),
+      );
+      expect(activityLogRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        type: ActivityType.LIQUIDATION,
+        details: expect.objectContaining({ trigger: PositionExitTrigger.STOP_LOSS, valueUsd: 915, changePercent: -8.5 }),
+      }));
+    });
+
+    it('raises the trailing high-water mark without firing', async () => {
+      moonbeam.isPositionOutOfRange.mockResolvedValue({ outOfRange: false, currentPrice: 0n });
+      positionsService.calculatePnL.mockResolvedValue(priced(1200));
+      positionRepository.find.mockResolvedValue([
+        position({ trailingStopPercent: '5.00', highWaterMarkUsd: '1100.00', entryValueUsd: '1000.00' }),
+      ]);
+
+      await service.monitorPositions();
+
+      expect(positionRepository.update).toHaveBeenCalledWith({ id: 'pos-1' }, { highWaterMarkUsd: '1200.00' });
+      expect(moonbeam.liquidateSwapAndReturn).not.toHaveBeenCalled();
+    });
+
+    it('keeps value triggers disarmed while the entry value cannot be recorded', async () => {
+      moonbeam.isPositionOutOfRange.mockResolvedValue({ outOfRange: false, currentPrice: 0n });
+      positionsService.calculatePnL.mockResolvedValue(priced(500));
+      positionRepository.find.mockResolvedValue([position({ stopLossPercent: '8.00', trailingStopPercent: '5.00' })]);
+      eventPersistence.recordEntryValue.mockRejectedValueOnce(new Error('oracle down'));
+
+      await service.monitorPositions();
+
+      expect(eventPersistence.recordEntryValue).toHaveBeenCalledWith(expect.objectContaining({ id: 'pos-1' }));
+      expect(positionsService.calculatePnL).not.toHaveBeenCalled();
+      expect(positionRepository.update).not.toHaveBeenCalled();
+      expect(moonbeam.liquidateSwapAndReturn).not.toHaveBeenCalled();
+    });
+
+    it('retries the entry value of a position executed without one and arms its triggers', async () => {
+      moonbeam.isPositionOutOfRange.mockResolvedValue({ outOfRange: false, currentPrice: 0n });
+      positionsService.calculatePnL.mockResolvedValue(priced(900));
+      positionRepository.find.mockResolvedValue([position({ stopLossPercent: '8.00', moonbeamTxHash: '0xexec' })]);
+      eventPersistence.recordEntryValue.mockImplementation(async (p: Position) => {
+        p.entryValueUsd = '1000.00';
+      });
+
+      await service.monitorPositions();
+
+      expect(moonbeam.liquidateSwapAndReturn).toHaveBeenCalled();
+      expect(activityLogRepository.save).toHaveBeenCalledWith(expect.objectContaining({
+        details: expect.objectContaining({ trigger: PositionExitTrigger.STOP_LOSS, entryValueUsd: 1000 }),
+      }));
+    });
+
+    it('leaves a position it cannot price to the range check', async () => {
+      moonbeam.isPositionOutOfRange.mockResolvedValue({ outOfRange: false, currentPrice: 0n });
+      positionsService.calculatePnL.mockResolvedValue({ currentValueUsd: 500, feesEarnedUsd: 0, tokens: null });
+      positionRepository.find.mockResolvedValue([position({ stopLossPercent: '8.00', entryValueUsd: '1000.00' })]);
+
+      await service.monitorPositions();
+
+      expect(moonbeam.isPositionOutOfRange).toHaveBeenCalled();
+      expect(moonbeam.liquidateSwapAndReturn).not.toHaveBeenCalled();
+    });
+  });
+});
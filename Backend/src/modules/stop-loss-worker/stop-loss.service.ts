@@ -11,6 +11,14 @@
  * - Failed liquidation: Alert for manual intervention
  * - Take-profit: Upper bound of LP range
  * - Coordination: DB lock (mark as LIQUIDATING)
+ *
+ * What happens to an out-of-range position follows the owner's outOfRangePolicy:
+ * liquidate (default), re-range on Moonbeam (with a cooldown and a daily cap)
+ * or hold.
+ *
+ * Independently of the range, a position can carry value triggers (stop-loss,
+ * take-profit, trailing stop on its USD value); those always liquidate. Every
+ * liquidation records the trigger that fired and why.
  */
 
 import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
@@ -18,16 +26,37 @@ import { InjectRepository } from '@nestjs/typeorm';
 import { Repository, In } from 'typeorm';
 import { ConfigService } from '@nestjs/config';
 import { Interval } from '@nestjs/schedule';
-import { Position, PositionStatus } from '../positions/entities/position.entity';
-import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { Position, PositionExitTrigger, PositionStatus } from '../positions/entities/position.entity';
+import { ActivityLog, ActivityStatus, ActivityType } from '../activity-logs/entities/activity-log.entity';
+import { PreferencesService } from '../preferences/preferences.service';
+import { PositionsService } from '../positions/positions.service';
+import { decodeEntryTick, tickToPrice } from '../positions/pnl.logic';
+import { MoonbeamService, MoonbeamPosition } from '../blockchain/services/moonbeam.service';
+import { TokenMathService } from '../blockchain/services/token-math.service';
+import { LiquidationMinimums, LiquidationQuoteService } from '../blockchain/services/liquidation-quote.service';
+import { BlockchainError, BlockchainErrorCode } from '../blockchain/types';
 import { AssetHubService } from '../blockchain/services/asset-hub.service';
 import { XcmBuilderService } from '../blockchain/services/xcm-builder.service';
+import { EventPersistenceService } from '../blockchain/services/event-persistence.service';
+import { AlertsService } from '../alerts/alerts.service';
+import { AlertSeverity } from '../alerts/types/alert.types';
 import {
+  ExitTrigger,
   PositionCheckResult,
   LiquidationResult,
+  RerangeOutcome,
   StopLossConfig,
   MonitoredPositionStatus
 } from './types/stop-loss.types';
+import {
+  OutOfRangeDecision,
+  computeRerangeIl,
+  rangeExitTrigger,
+  rerangesToday,
+  resolveOutOfRangeAction,
+  utcDay,
+} from './out-of-range.logic';
+import { evaluateValueTriggers, valueTriggerConfig } from './value-trigger.logic';
 
 /** Cached pool state for batch tick lookups */
 interface PoolStateCache {
@@ -47,10 +76,18 @@ export class StopLossService implements OnModuleInit {
   constructor(
     @InjectRepository(Position)
     private positionRepository: Repository<Position>,
+    @InjectRepository(ActivityLog)
+    private activityLogRepository: Repository<ActivityLog>,
+    private preferencesService: PreferencesService,
+    private positionsService: PositionsService,
     private moonbeamService: MoonbeamService,
+    private tokenMath: TokenMathService,
+    private liquidationQuote: LiquidationQuoteService,
     private assetHubService: AssetHubService,
     private xcmBuilderService: XcmBuilderService,
+    private eventPersistence: EventPersistenceService,
     private configService: ConfigService,
+    private alertsService: AlertsService,
   ) {
     this.enabled = this.configService.get<boolean>('ENABLE_STOP_LOSS_WORKER', true);
     this.config = {
@@ -59,6 +96,7 @@ export class StopLossService implements OnModuleInit {
       slippageBps: this.configService.get<number>('LIQUIDATION_SLIPPAGE_BPS', 100),
       maxRetries: this.configService.get<number>('STOP_LOSS_MAX_RETRIES', 3),
       alertOnFailure: this.configService.get<boolean>('STOP_LOSS_ALERT_ON_FAILURE', true),
+      rerangeSlippageBps: this.configService.get<number>('RERANGE_SLIPPAGE_BPS', 100),
     };
   }
 
@@ -132,6 +170,11 @@ export class StopLossService implements OnModuleInit {
           }
         }
 
+        // Value triggers do not depend on the range, so they run before the in-range shortcut
+        if (valueTriggerConfig(position) && await this.checkValueTriggers(position)) {
+          continue;
+        }
+
         // Try local tick comparison first using cached pool state
         if (position.lowerTick != null && position.upperTick != null && position.pool?.poolAddress) {
           const cachedState = this.poolStateCache.get(position.pool.poolAddress);
@@ -182,11 +225,132 @@ export class StopLossService implements OnModuleInit {
    * Check a single position for stop-loss/take-profit triggers
    */
   private async checkPosition(position: Position): Promise<PositionCheckResult> {
-    const result: PositionCheckResult = {
+    const result = this.newCheckResult(position);
+
+    // Skip if no Moonbeam position ID (not yet executed)
+    if (!position.moonbeamPositionId) {
+      this.logger.debug(`Position ${position.id} has no Moonbeam position ID, skipping`);
+      return result;
+    }
+
+    try {
+      // Call Moonbeam to check if position is out of range (currentPrice is the encoded pool tick)
+      const rangeCheck = await this.moonbeamService.isPositionOutOfRange(
+        parseInt(position.moonbeamPositionId)
+      );
+      const currentTick = decodeEntryTick(rangeCheck.currentPrice);
+      result.isOutOfRange = rangeCheck.outOfRange;
+
+      // On-chain ticks are authoritative once the position is out of range
+      const moonbeamPos = rangeCheck.outOfRange
+        ? await this.moonbeamService.getPosition(parseInt(position.moonbeamPositionId))
+        : null;
+      const lowerTick = moonbeamPos?.bottomTick ?? position.lowerTick;
+      const upperTick = moonbeamPos?.topTick ?? position.upperTick;
+      await this.fillPrices(result, position, currentTick, lowerTick, upperTick);
+
+      if (rangeCheck.outOfRange) {
+        // The side of the range the tick left decides it:
+        // above = take-profit, below (or range unknown) = stop-loss
+        const trigger = (lowerTick != null && upperTick != null && rangeExitTrigger(currentTick, lowerTick, upperTick))
+          || PositionExitTrigger.RANGE_STOP_LOSS;
+
+        result.status = MonitoredPositionStatus.OUT_OF_RANGE;
+        result.trigger = trigger;
+        result.isAtUpperBound = trigger === PositionExitTrigger.RANGE_TAKE_PROFIT;
+        result.isAtLowerBound = !result.isAtUpperBound;
+        this.logger.log(
+          `Position ${position.id} hit ${result.isAtUpperBound ? 'TAKE-PROFIT (upper bound)' : 'STOP-LOSS (lower bound)'}`,
+        );
+
+        await this.handleOutOfRange(position, result, moonbeamPos, { lowerTick, upperTick });
+      }
+    } catch (error) {
+      this.logger.error(`Error checking range for position ${position.id}:`, error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Evaluate a position's value triggers. Value is the LP principal plus
+   * uncollected fees in USD, priced like GET /positions/:id/pnl. The entry value
+   * is recorded when the position executes; a position still without one
+   * (executed before it was recorded, or the execution-time reads failed) is
+   * retried here, and no trigger is armed until that succeeds.
+   * The high-water mark is kept while a trailing stop is set.
+   * Returns true when a trigger fired and the position went to liquidation.
+   */
+  private async checkValueTriggers(position: Position): Promise<boolean> {
+    if (!position.moonbeamPositionId) {
+      return false;
+    }
+    if (position.entryValueUsd == null) {
+      try {
+        await this.eventPersistence.recordEntryValue(position);
+      } catch (error) {
+        this.logger.warn(`Could not record entry value of position ${position.id}: ${error.message}`);
+      }
+      if (position.entryValueUsd == null) {
+        this.logger.warn(`No entry value recorded for position ${position.id}, value triggers disarmed`);
+        return false;
+      }
+    }
+
+    const pnl = await this.positionsService.calculatePnL(position);
+    if (!pnl.tokens) {
+      // calculatePnL falls back to the deposit value when it cannot price the LP
+      this.logger.debug(`Cannot price position ${position.id}, skipping value triggers`);
+      return false;
+    }
+
+    const valueUsd = pnl.currentValueUsd + pnl.feesEarnedUsd;
+    const entryValueUsd = Number(position.entryValueUsd);
+    const previousHigh = position.highWaterMarkUsd != null ? Number(position.highWaterMarkUsd) : null;
+    const result = evaluateValueTriggers(valueTriggerConfig(position)!, {
+      valueUsd,
+      entryValueUsd,
+      highWaterMarkUsd: previousHigh,
+    });
+
+    if (position.trailingStopPercent != null && (previousHigh === null || result.highWaterMarkUsd > previousHigh)) {
+      const highWaterMarkUsd = result.highWaterMarkUsd.toFixed(2);
+      await this.positionRepository.update({ id: position.id }, { highWaterMarkUsd });
+      position.highWaterMarkUsd = highWaterMarkUsd;
+    }
+
+    if (!result.trigger) {
+      return false;
+    }
+
+    this.logger.log(`Position ${position.id} hit ${result.trigger.toUpperCase()}: ${result.reason}`);
+
+    const checkResult = this.newCheckResult(position);
+    const poolState = position.pool?.poolAddress ? this.poolStateCache.get(position.pool.poolAddress) : undefined;
+    await this.fillPrices(checkResult, position, poolState?.currentTick ?? null, position.lowerTick, position.upperTick);
+    checkResult.trigger = result.trigger;
+
+    await this.triggerLiquidation(position, checkResult, {
+      trigger: result.trigger,
+      reason: result.reason!,
+      details: {
+        valueUsd: round2(valueUsd),
+        entryValueUsd: round2(entryValueUsd),
+        highWaterMarkUsd: round2(result.highWaterMarkUsd),
+        changePercent: result.changePercent,
+        drawdownPercent: result.drawdownPercent,
+      },
+    });
+    return true;
+  }
+
+  private newCheckResult(position: Position): PositionCheckResult {
+    return {
       positionId: position.id,
       poolId: position.poolId,
       userId: position.userId,
       status: MonitoredPositionStatus.ACTIVE,
+      currentTick: null,
       currentPrice: '0',
       lowerBoundPrice: '0',
       upperBoundPrice: '0',
@@ -195,68 +359,232 @@ export class StopLossService implements OnModuleInit {
       isAtLowerBound: false,
       checkedAt: new Date(),
     };
+  }
 
-    // Skip if no Moonbeam position ID (not yet executed)
-    if (!position.moonbeamPositionId) {
-      this.logger.debug(`Position ${position.id} has no Moonbeam position ID, skipping`);
-      return result;
+  /**
+   * Fill the check result's prices from ticks, using the pool tokens' decimals.
+   * Prices stay '0' when the pool or its decimals are unknown.
+   */
+  private async fillPrices(
+    result: PositionCheckResult,
+    position: Position,
+    currentTick: number | null,
+    lowerTick: number | null,
+    upperTick: number | null,
+  ): Promise<void> {
+    result.currentTick = currentTick;
+    const pool = position.pool;
+    if (!pool?.token0Address || !pool?.token1Address) {
+      return;
     }
 
     try {
-      // Call Moonbeam to check if position is out of range
-      const rangeCheck = await this.moonbeamService.isPositionOutOfRange(
-        parseInt(position.moonbeamPositionId)
-      );
+      const [decimals0, decimals1] = await Promise.all([
+        this.tokenMath.getTokenDecimals(pool.token0Address),
+        this.tokenMath.getTokenDecimals(pool.token1Address),
+      ]);
+      const price = (tick: number | null) => (tick == null ? '0' : formatPrice(tickToPrice(tick, decimals0, decimals1)));
+
+      result.currentPrice = price(currentTick);
+      result.lowerBoundPrice = price(lowerTick);
+      result.upperBoundPrice = price(upperTick);
+    } catch (error) {
+      this.logger.debug(`Could not price ticks for position ${position.id}: ${error.message}`);
+    }
+  }
 
-      result.currentPrice = rangeCheck.currentPrice.toString();
-      result.isOutOfRange = rangeCheck.outOfRange;
+  /**
+   * Apply the owner's out-of-range policy to a position that left its range
+   */
+  private async handleOutOfRange(
+    position: Position,
+    checkResult: PositionCheckResult,
+    moonbeamPos: MoonbeamPosition | null,
+    range: { lowerTick: number | null; upperTick: number | null },
+  ): Promise<void> {
+    const now = new Date();
+    const prefs = await this.preferencesService.getEffectivePreferences(position.userId);
+    let decision = resolveOutOfRangeAction(
+      prefs.outOfRangePolicy,
+      position,
+      { cooldownSeconds: prefs.rerangeCooldownSeconds, maxPerDay: prefs.maxRerangesPerDay },
+      now,
+    );
+
+    // A re-range that keeps failing falls back to the default stop-loss
+    if (decision.action === 'rerange' && (position.retryCount || 0) >= this.config.maxRetries) {
+      decision = { action: 'liquidate', reason: `Re-range failed ${position.retryCount} times` };
+    }
+    if (decision.action === 'rerange' && !moonbeamPos) {
+      decision = { action: 'liquidate', reason: 'Moonbeam position not readable for re-range' };
+    }
 
-      // Determine if it's upper or lower bound
-      // Upper bound = take-profit, Lower bound = stop-loss
-      if (rangeCheck.outOfRange) {
-        // Get position details to determine direction
-        const moonbeamPos = await this.moonbeamService.getPosition(
-          parseInt(position.moonbeamPositionId)
-        );
+    switch (decision.action) {
+      case 'hold':
+        this.logger.debug(`Holding out-of-range position ${position.id}: ${decision.reason}`);
+        return;
+      case 'rerange':
+        await this.triggerRerange(position, checkResult, moonbeamPos!, decision, now);
+        return;
+      default: {
+        const side = checkResult.isAtUpperBound ? 'above' : 'below';
+        await this.triggerLiquidation(position, checkResult, {
+          trigger: checkResult.trigger ?? PositionExitTrigger.RANGE_STOP_LOSS,
+          reason: `Pool tick ${checkResult.currentTick} ${side} range [${range.lowerTick}, ${range.upperTick}]`,
+          details: {
+            policy: decision.reason,
+            currentPrice: checkResult.currentPrice,
+            lowerBoundPrice: checkResult.lowerBoundPrice,
+            upperBoundPrice: checkResult.upperBoundPrice,
+          },
+        });
+      }
+    }
+  }
 
-        if (moonbeamPos) {
-          // Compare current price with entry to determine if upper or lower
-          const currentPriceBn = rangeCheck.currentPrice;
-          const entryPriceBn = moonbeamPos.entryPrice;
-
-          if (currentPriceBn > entryPriceBn) {
-            // Price went up - at upper bound (take-profit)
-            result.isAtUpperBound = true;
-            result.status = MonitoredPositionStatus.OUT_OF_RANGE;
-            this.logger.log(`Position ${position.id} hit TAKE-PROFIT (upper bound)`);
-          } else {
-            // Price went down - at lower bound (stop-loss)
-            result.isAtLowerBound = true;
-            result.status = MonitoredPositionStatus.OUT_OF_RANGE;
-            this.logger.log(`Position ${position.id} hit STOP-LOSS (lower bound)`);
-          }
-        }
+  /**
+   * Close an out-of-range position and re-mint it around the current tick on
+   * Moonbeam. The Moonbeam local position id, and so the Asset Hub position
+   * (whose remotePositionId it is), stays the same; only the range, liquidity
+   * and entry price of the Position record change.
+   * Uses the same DB lock as liquidation.
+   */
+  private async triggerRerange(
+    position: Position,
+    checkResult: PositionCheckResult,
+    moonbeamPos: MoonbeamPosition,
+    decision: OutOfRangeDecision,
+    now: Date,
+  ): Promise<RerangeOutcome> {
+    const lockResult = await this.positionRepository.update(
+      { id: position.id, status: PositionStatus.ACTIVE },
+      { status: PositionStatus.OUT_OF_RANGE },
+    );
+    if (lockResult.affected === 0) {
+      this.logger.warn(`Position ${position.id} already being processed, skipping`);
+      return { success: false, positionId: position.id, executedAt: now };
+    }
 
-        // Trigger liquidation
-        await this.triggerLiquidation(position, result);
-      }
+    const localId = parseInt(position.moonbeamPositionId!);
+    this.logger.log(`Re-ranging position ${position.id} (${decision.reason})`);
+
+    try {
+      const rerange = await this.moonbeamService.rerangePosition(localId, this.config.rerangeSlippageBps);
+      const il = computeRerangeIl({
+        liquidity: moonbeamPos.liquidity,
+        tickLower: moonbeamPos.bottomTick,
+        tickUpper: moonbeamPos.topTick,
+        entryTick: decodeEntryTick(moonbeamPos.entryPrice),
+        exitTick: checkResult.currentTick!,
+      });
+
+      // The contract restarts the entry price at the re-mint tick
+      const reminted = await this.moonbeamService.getPosition(localId).catch(() => null);
+
+      await this.positionRepository.update(
+        { id: position.id },
+        {
+          status: PositionStatus.ACTIVE,
+          lowerTick: rerange.bottomTick,
+          upperTick: rerange.topTick,
+          liquidity: rerange.liquidity.toString(),
+          ...(reminted ? { entryPrice: reminted.entryPrice.toString() } : {}),
+          moonbeamTxHash: rerange.transactionHash,
+          retryCount: 0,
+          lastFailedAt: null,
+          rerangeCount: (position.rerangeCount || 0) + 1,
+          lastRerangedAt: now,
+          lastRerangeDate: utcDay(now),
+          rerangeCountToday: rerangesToday(position, now) + 1,
+        },
+      );
+
+      await this.logActivity(position, ActivityType.RERANGE, ActivityStatus.CONFIRMED, rerange.transactionHash, {
+        action: 'rerange',
+        reason: decision.reason,
+        moonbeamPositionId: localId,
+        previousRange: { lowerTick: moonbeamPos.bottomTick, upperTick: moonbeamPos.topTick },
+        newRange: { lowerTick: rerange.bottomTick, upperTick: rerange.topTick },
+        oldTokenId: rerange.oldTokenId,
+        newTokenId: rerange.newTokenId,
+        liquidity: rerange.liquidity.toString(),
+        withdrawn: { amount0: rerange.amount0.toString(), amount1: rerange.amount1.toString() },
+        gasUsed: rerange.gasUsed.toString(),
+        gasCostWei: rerange.gasCostWei.toString(),
+        il: { token1: Math.round(il.il1).toString(), percent: il.ilPercent },
+      });
+
+      this.logger.log(
+        `Re-ranged position ${position.id} to [${rerange.bottomTick}, ${rerange.topTick}] (IL ${il.ilPercent}%)`,
+      );
+      return { success: true, positionId: position.id, transactionHash: rerange.transactionHash, executedAt: now };
     } catch (error) {
-      this.logger.error(`Error checking range for position ${position.id}:`, error);
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      this.logger.error(`Failed to re-range position ${position.id}: ${message}`);
+
+      // Back to ACTIVE so the next check retries (with backoff) or falls back to liquidation
+      const newRetryCount = (position.retryCount || 0) + 1;
+      await this.positionRepository.update(
+        { id: position.id },
+        { status: PositionStatus.ACTIVE, retryCount: newRetryCount, lastFailedAt: now },
+      );
+      await this.logActivity(position, ActivityType.RERANGE, ActivityStatus.FAILED, null, {
+        action: 'rerange',
+        reason: decision.reason,
+        error: message,
+      });
+
+      if (this.config.alertOnFailure) {
+        await this.alertsService.send({
+          key: `rerange_failed:${position.id}`,
+          severity: AlertSeverity.WARNING,
+          title: 'Re-range failed',
+          message: `Attempt ${newRetryCount}/${this.config.maxRetries} failed: ${message}`,
+          positionId: position.id,
+          userId: position.userId,
+        });
+      }
+      return { success: false, positionId: position.id, error: message, executedAt: now };
     }
+  }
 
-    return result;
+  private async logActivity(
+    position: Position,
+    type: ActivityType,
+    status: ActivityStatus,
+    txHash: string | null,
+    details: Record<string, unknown>,
+  ): Promise<void> {
+    try {
+      await this.activityLogRepository.save(this.activityLogRepository.create({
+        userId: position.userId,
+        type,
+        status,
+        txHash,
+        positionId: position.id,
+        details,
+      }));
+    } catch (error) {
+      this.logger.error(`Failed to log ${type} of position ${position.id}: ${error.message}`);
+    }
   }
 
   /**
-   * Trigger liquidation for a position that is out of range
-   * Uses DB lock to prevent double-liquidation
+   * Trigger liquidation for a position that is out of range or hit a value trigger.
+   * Uses DB lock to prevent double-liquidation; the trigger that fired is
+   * stored on the position with the lock and logged with the outcome.
    */
-  private async triggerLiquidation(position: Position, checkResult: PositionCheckResult): Promise<LiquidationResult> {
+  private async triggerLiquidation(
+    position: Position,
+    checkResult: PositionCheckResult,
+    exit?: ExitTrigger,
+  ): Promise<LiquidationResult> {
     const result: LiquidationResult = {
       success: false,
       positionId: position.id,
       executedAt: new Date(),
     };
+    let minimums: LiquidationMinimums | null = null;
 
     try {
       // Step 1: Acquire DB lock by setting status to OUT_OF_RANGE
@@ -266,7 +594,10 @@ export class StopLossService implements OnModuleInit {
           id: position.id, 
           status: PositionStatus.ACTIVE  // Only update if still ACTIVE
         },
-        { status: PositionStatus.OUT_OF_RANGE }
+        {
+          status: PositionStatus.OUT_OF_RANGE,
+          ...(exit ? { exitTrigger: exit.trigger, exitReason: exit.reason } : {}),
+        }
       );
 
       if (lockResult.affected === 0) {
@@ -279,17 +610,20 @@ export class StopLossService implements OnModuleInit {
       // Step 2: Beneficiary address for XCM return (contract handles EE-padding)
       const beneficiary = position.user?.walletAddress || '';
 
-      // Step 3: Calculate slippage-adjusted minimum amounts
-      // Use configurable slippage (default 100 bps = 1%) applied by the contract
-      // We pass 0 here to let the contract's defaultSlippageBps handle it,
-      // which is safer than pre-calculating without oracle prices
+      // Step 3: Minimum swap outputs from the quoted withdraw amounts, less LIQUIDATION_SLIPPAGE_BPS.
+      // Throws PRICE_DEVIATION when the pool price is too far from the oracle to exit safely
+      const localId = parseInt(position.moonbeamPositionId!);
+      minimums = await this.liquidationQuote.getLiquidationMinimums(localId, position.baseAsset, {
+        slippageBps: this.config.slippageBps,
+      });
+
       const liquidateParams = {
-        positionId: parseInt(position.moonbeamPositionId!),
+        positionId: localId,
         baseAsset: position.baseAsset,
         beneficiary,
-        minAmountOut0: 0n, // Contract applies defaultSlippageBps
-        minAmountOut1: 0n,
-        limitSqrtPrice: 0n,
+        minAmountOut0: minimums.minAmountOut0,
+        minAmountOut1: minimums.minAmountOut1,
+        limitSqrtPrice: minimums.limitSqrtPrice,
         assetHubPositionId: position.assetHubPositionId,
       };
 
@@ -306,10 +640,20 @@ export class StopLossService implements OnModuleInit {
 
       result.success = true;
       this.logger.log(`Successfully liquidated position ${position.id}`);
+      await this.logActivity(position, ActivityType.LIQUIDATION, ActivityStatus.CONFIRMED, null, {
+        ...this.exitDetails(exit),
+        ...minimumsDetails(minimums),
+      });
 
     } catch (error) {
       this.logger.error(`Failed to liquidate position ${position.id}:`, error);
       result.error = error instanceof Error ? error.message : 'Unknown error';
+      const priceDeviation = error instanceof BlockchainError && error.code === BlockchainErrorCode.PRICE_DEVIATION;
+      await this.logActivity(position, ActivityType.LIQUIDATION, ActivityStatus.FAILED, null, {
+        ...this.exitDetails(exit),
+        ...(priceDeviation ? { priceDeviation: error.details } : minimumsDetails(minimums)),
+        error: result.error,
+      });
 
       const newRetryCount = (position.retryCount || 0) + 1;
 
@@ -321,11 +665,35 @@ export class StopLossService implements OnModuleInit {
             status: PositionStatus.ACTIVE,
             retryCount: newRetryCount,
             lastFailedAt: new Date(),
+            exitTrigger: null,
+            exitReason: null,
           },
         );
         this.logger.warn(
           `Position ${position.id} liquidation failed (attempt ${newRetryCount}/${this.config.maxRetries}), will retry`,
         );
+
+        if (this.config.alertOnFailure && priceDeviation) {
+          // Refused rather than failed: escalate, a sandwich may be running against the exit
+          await this.alertsService.send({
+            key: `liquidation_price_deviation:${position.id}`,
+            severity: AlertSeverity.CRITICAL,
+            title: 'Stop-loss liquidation refused: pool price deviates from oracle',
+            message: `Attempt ${newRetryCount}/${this.config.maxRetries} refused: ${result.error}`,
+            positionId: position.id,
+            userId: position.userId,
+            context: (error as BlockchainError).details,
+          });
+        } else if (this.config.alertOnFailure) {
+          await this.alertsService.send({
+            key: `liquidation_retry:${position.id}`,
+            severity: AlertSeverity.WARNING,
+            title: 'Stop-loss liquidation failed, retrying',
+            message: `Attempt ${newRetryCount}/${this.config.maxRetries} failed: ${result.error}`,
+            positionId: position.id,
+            userId: position.userId,
+          });
+        }
       } else {
         // Retries exhausted: mark as FAILED and alert
         await this.positionRepository.update(
@@ -346,6 +714,15 @@ export class StopLossService implements OnModuleInit {
     return result;
   }
 
+  private exitDetails(exit?: ExitTrigger): Record<string, unknown> {
+    return {
+      action: 'stop_loss',
+      trigger: exit?.trigger ?? 'manual',
+      reason: exit?.reason ?? 'Manual liquidation',
+      ...exit?.details,
+    };
+  }
+
   /**
    * Get beneficiary address for XCM return to AssetHub.
    * The XCMProxy contract handles XCM routing internally via IPalletXcm.
@@ -360,14 +737,19 @@ export class StopLossService implements OnModuleInit {
    * Decision: Alert for manual intervention (no auto-retry)
    */
   private async sendAlert(position: Position, error: any): Promise<void> {
-    this.logger.error(`🚨 ALERT: Failed liquidation requires manual intervention`);
-    this.logger.error(`Position ID: ${position.id}`);
-    this.logger.error(`User: ${position.userId}`);
-    this.logger.error(`Pool: ${position.poolId}`);
-    this.logger.error(`Error: ${error?.message || error}`);
-
-    // TODO: Integrate with actual alerting system (Slack, PagerDuty, etc.)
-    // For now, just log prominently
+    await this.alertsService.send({
+      key: `liquidation_failed:${position.id}`,
+      severity: AlertSeverity.CRITICAL,
+      title: 'Failed liquidation requires manual intervention',
+      message: `Liquidation failed after ${this.config.maxRetries} attempts: ${error?.message || error}`,
+      positionId: position.id,
+      userId: position.userId,
+      context: {
+        pool: position.pool?.poolAddress ?? position.poolId,
+        moonbeamPositionId: position.moonbeamPositionId,
+        assetHubPositionId: position.assetHubPositionId,
+      },
+    });
   }
 
   /**
@@ -398,17 +780,10 @@ export class StopLossService implements OnModuleInit {
     }
 
     const checkResult: PositionCheckResult = {
-      positionId: position.id,
-      poolId: position.poolId,
-      userId: position.userId,
+      ...this.newCheckResult(position),
       status: MonitoredPositionStatus.OUT_OF_RANGE,
-      currentPrice: '0',
-      lowerBoundPrice: '0',
-      upperBoundPrice: '0',
       isOutOfRange: true,
-      isAtUpperBound: false,
       isAtLowerBound: true, // Assume stop-loss for manual
-      checkedAt: new Date(),
     };
 
     return this.triggerLiquidation(position, checkResult);
@@ -426,3 +801,25 @@ export class StopLossService implements OnModuleInit {
     });
   }
 }
+
+/** Liquidation minimums as activity log details */
+function minimumsDetails(minimums: LiquidationMinimums | null): Record<string, unknown> {
+  if (!minimums) return {};
+  return {
+    minAmountOut0: minimums.minAmountOut0.toString(),
+    minAmountOut1: minimums.minAmountOut1.toString(),
+    slippageBps: minimums.slippageBps,
+    poolPrice: minimums.poolPrice,
+    oraclePrice: minimums.oraclePrice,
+    deviationBps: minimums.deviationBps,
+  };
+}
+
+function round2(n: number): number {
+  return Math.round(n * 100) / 100;
+}
+
+/** Ten significant digits, without exponent noise for ordinary prices */
+function formatPrice(price: number): string {
+  return Number(price.toPrecision(10)).toString();
+}
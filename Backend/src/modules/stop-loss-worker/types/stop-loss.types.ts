@@ -2,6 +2,8 @@
  * Stop-Loss Service Types
  */
 
+import { PositionExitTrigger } from '../../positions/entities/position.entity';
+
 /**
  * Position status for stop-loss monitoring
  */
@@ -14,22 +16,34 @@ export enum MonitoredPositionStatus {
 }
 
 /**
- * Position monitor result
+ * Position monitor result.
+ * Prices are token0 in token1, human units ('0' when decimals are unknown).
  */
 export interface PositionCheckResult {
   positionId: string;
   poolId: string;
   userId: string;
   status: MonitoredPositionStatus;
+  currentTick: number | null;
   currentPrice: string;
   lowerBoundPrice: string;
   upperBoundPrice: string;
   isOutOfRange: boolean;
   isAtUpperBound: boolean;  // Take-profit trigger
   isAtLowerBound: boolean;  // Stop-loss trigger
+  trigger?: PositionExitTrigger;  // Set once a range or value trigger fired
   checkedAt: Date;
 }
 
+/**
+ * Trigger that fired for a position, recorded on it and in its activity log
+ */
+export interface ExitTrigger {
+  trigger: PositionExitTrigger;
+  reason: string;
+  details?: Record<string, unknown>;
+}
+
 /**
  * Liquidation execution result
  */
@@ -42,6 +56,17 @@ export interface LiquidationResult {
   executedAt: Date;
 }
 
+/**
+ * Re-range execution result
+ */
+export interface RerangeOutcome {
+  success: boolean;
+  positionId: string;
+  transactionHash?: string;
+  error?: string;
+  executedAt: Date;
+}
+
 /**
  * Stop-loss configuration
  */
@@ -51,4 +76,5 @@ export interface StopLossConfig {
   slippageBps: number;
   maxRetries: number;
   alertOnFailure: boolean;
+  rerangeSlippageBps: number;
 }
@@ -0,0 +1,57 @@
+import { PositionExitTrigger } from '../positions/entities/position.entity';
+import { evaluateValueTriggers, valueTriggerConfig } from './value-trigger.logic';
+
+describe('value-trigger.logic', () => {
+  const off = { stopLossPercent: null, takeProfitPercent: null, trailingStopPercent: null };
+
+  it('reads trigger thresholds from decimal columns and skips positions without any', () => {
+    expect(valueTriggerConfig({ stopLossPercent: null, takeProfitPercent: null, trailingStopPercent: null })).toBeNull();
+    expect(valueTriggerConfig({ stopLossPercent: '8.00', takeProfitPercent: null })).toEqual({ ...off, stopLossPercent: 8 });
+  });
+
+  it('fires the stop-loss once value is the configured percent below entry', () => {
+    const config = { ...off, stopLossPercent: 8 };
+
+    expect(evaluateValueTriggers(config, { valueUsd: 930, entryValueUsd: 1000, highWaterMarkUsd: null }).trigger).toBeNull();
+
+    const result = evaluateValueTriggers(config, { valueUsd: 920, entryValueUsd: 1000, highWaterMarkUsd: null });
+    expect(result.trigger).toBe(PositionExitTrigger.STOP_LOSS);
+    expect(result.changePercent).toBe(-8);
+    expect(result.reason).toContain('8% below entry $1000.00');
+  });
+
+  it('fires the take-profit once value is the configured percent above entry', () => {
+    const result = evaluateValueTriggers({ ...off, takeProfitPercent: 15 }, { valueUsd: 1150, entryValueUsd: 1000, highWaterMarkUsd: null });
+
+    expect(result.trigger).toBe(PositionExitTrigger.TAKE_PROFIT);
+    expect(result.changePercent).toBe(15);
+  });
+
+  it('ratchets the trailing stop with the high-water mark', () => {
+    const config = { ...off, trailingStopPercent: 5 };
+
+    const rising = evaluateValueTriggers(config, { valueUsd: 1200, entryValueUsd: 1000, highWaterMarkUsd: 1100 });
+    expect(rising.trigger).toBeNull();
+    expect(rising.highWaterMarkUsd).toBe(1200);
+
+    // Still above entry, but 5% off the high
+    const fell = evaluateValueTriggers(config, { valueUsd: 1140, entryValueUsd: 1000, highWaterMarkUsd: 1200 });
+    expect(fell.trigger).toBe(PositionExitTrigger.TRAILING_STOP);
+    expect(fell.drawdownPercent).toBe(5);
+  });
+
+  it('starts the high-water mark at the current value, not the entry', () => {
+    const result = evaluateValueTriggers({ ...off, trailingStopPercent: 5 }, { valueUsd: 900, entryValueUsd: 1000, highWaterMarkUsd: null });
+
+    expect(result.trigger).toBeNull();
+    expect(result.highWaterMarkUsd).toBe(900);
+  });
+
+  it('records a crash as a stop-loss even when the trailing stop also fired', () => {
+    const config = { stopLossPercent: 8, takeProfitPercent: 15, trailingStopPercent: 5 };
+
+    const result = evaluateValueTriggers(config, { valueUsd: 800, entryValueUsd: 1000, highWaterMarkUsd: 1100 });
+
+    expect(result.trigger).toBe(PositionExitTrigger.STOP_LOSS);
+  });
+});
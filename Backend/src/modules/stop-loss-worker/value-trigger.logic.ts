@@ -0,0 +1,98 @@
+/**
+ * Value Trigger Logic
+ *
+ * Pure rules for StopLossService's value-based exits, which are independent of
+ * the LP tick range: a stop-loss and a take-profit on the position's USD value
+ * against its entry value, and a trailing stop against the highest value seen.
+ */
+
+import { PositionExitTrigger } from '../positions/entities/position.entity';
+
+/** Trigger thresholds in percent; null leaves a trigger off */
+export interface ValueTriggerConfig {
+  stopLossPercent: number | null;
+  takeProfitPercent: number | null;
+  trailingStopPercent: number | null;
+}
+
+export interface ValueTriggerState {
+  /** Current value: LP principal plus uncollected fees */
+  valueUsd: number;
+  entryValueUsd: number;
+  /** null until the trailing stop has seen a value */
+  highWaterMarkUsd: number | null;
+}
+
+export interface ValueTriggerResult {
+  trigger: PositionExitTrigger | null;
+  reason: string | null;
+  /** Value change against entry, in percent */
+  changePercent: number;
+  /** Value drop from the high-water mark, in percent */
+  drawdownPercent: number;
+  /** High-water mark including the current value */
+  highWaterMarkUsd: number;
+}
+
+/**
+ * Read the triggers off a position's decimal columns. Returns null when none is
+ * set, so positions without value triggers skip pricing entirely.
+ */
+export function valueTriggerConfig(position: {
+  stopLossPercent?: string | null;
+  takeProfitPercent?: string | null;
+  trailingStopPercent?: string | null;
+}): ValueTriggerConfig | null {
+  const parse = (value?: string | null) => (value == null ? null : Number(value));
+  const config = {
+    stopLossPercent: parse(position.stopLossPercent),
+    takeProfitPercent: parse(position.takeProfitPercent),
+    trailingStopPercent: parse(position.trailingStopPercent),
+  };
+  const anySet = config.stopLossPercent !== null || config.takeProfitPercent !== null || config.trailingStopPercent !== null;
+  return anySet ? config : null;
+}
+
+/**
+ * Evaluate the triggers against the current value. The stop-loss wins over the
+ * trailing stop, which wins over the take-profit, so a crash is always
+ * recorded as a loss exit.
+ */
+export function evaluateValueTriggers(config: ValueTriggerConfig, state: ValueTriggerState): ValueTriggerResult {
+  const highWaterMarkUsd = Math.max(state.highWaterMarkUsd ?? state.valueUsd, state.valueUsd);
+  const changePercent = state.entryValueUsd > 0
+    ? round4(((state.valueUsd - state.entryValueUsd) / state.entryValueUsd) * 100)
+    : 0;
+  const drawdownPercent = highWaterMarkUsd > 0
+    ? round4(((highWaterMarkUsd - state.valueUsd) / highWaterMarkUsd) * 100)
+    : 0;
+
+  const fired = (trigger: PositionExitTrigger, reason: string): ValueTriggerResult =>
+    ({ trigger, reason, changePercent, drawdownPercent, highWaterMarkUsd });
+
+  const value = `$${state.valueUsd.toFixed(2)}`;
+  if (config.stopLossPercent !== null && changePercent <= -config.stopLossPercent) {
+    return fired(
+      PositionExitTrigger.STOP_LOSS,
+      `Value ${value} is ${-changePercent}% below entry $${state.entryValueUsd.toFixed(2)} (stop-loss ${config.stopLossPercent}%)`,
+    );
+  }
+  if (config.trailingStopPercent !== null && drawdownPercent >= config.trailingStopPercent) {
+    return fired(
+      PositionExitTrigger.TRAILING_STOP,
+      `Value ${value} is ${drawdownPercent}% below high of $${highWaterMarkUsd.toFixed(2)} (trailing stop ${config.trailingStopPercent}%)`,
+    );
+  }
+  if (config.takeProfitPercent !== null && changePercent >= config.takeProfitPercent) {
+    return fired(
+      PositionExitTrigger.TAKE_PROFIT,
+      `Value ${value} is ${changePercent}% above entry $${state.entryValueUsd.toFixed(2)} (take-profit ${config.takeProfitPercent}%)`,
+    );
+  }
+
+  return { trigger: null, reason: null, changePercent, drawdownPercent, highWaterMarkUsd };
+}
+
+function round4(n: number): number {
+  return Math.round(n * 10_000) / 10_000;
+}
@@ -0,0 +1,8 @@
+import { IsOptional, Matches } from 'class-validator';
+
+export class ApproveTrappedAssetDto {
+  /** Overrides the matched position's owner: 20-byte address, or 32-byte account on Asset Hub */
+  @IsOptional()
+  @Matches(/^0x([0-9a-fA-F]{40}|[0-9a-fA-F]{64})$/, { message: 'beneficiary must be a 20- or 32-byte hex account' })
+  beneficiary?: string;
+}
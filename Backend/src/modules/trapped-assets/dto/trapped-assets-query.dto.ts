@@ -0,0 +1,16 @@
+import { Type } from 'class-transformer';
+import { IsEnum, IsInt, IsOptional, Max, Min } from 'class-validator';
+import { TrappedAssetStatus } from '../entities/trapped-asset.entity';
+
+export class TrappedAssetsQueryDto {
+  @IsOptional()
+  @IsEnum(TrappedAssetStatus)
+  status?: TrappedAssetStatus;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(500)
+  limit?: number;
+}
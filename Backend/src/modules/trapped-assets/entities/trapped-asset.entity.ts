@@ -0,0 +1,112 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, Index } from 'typeorm';
+
+export enum TrappedAssetStatus {
+  DETECTED = 'detected', // Seen on chain, waiting for an operator
+  APPROVED = 'approved', // Claim XCM built and approved by an operator
+  CLAIM_SUBMITTED = 'claim_submitted', // Claim sent by the relayer, waiting for AssetsClaimed
+  CLAIMED = 'claimed', // AssetsClaimed seen for this trap (by us or anyone else)
+  DISMISSED = 'dismissed', // Not ours to claim, or recovered some other way
+}
+
+/** How a trap was linked to a position */
+export interface TrappedAssetMatch {
+  direction: 'investment' | 'return';
+  amountDiffBps: number | null; // Trapped amount vs. the position's, null when unknown
+  secondsApart: number; // Trap vs. dispatch (investment) or liquidation (return)
+}
+
+/** Claim built on approval; what an operator submits, or the relayer dispatches */
+export interface TrappedAssetClaim {
+  sendFrom: 'assetHub' | 'moonbeam'; // Chain whose PolkadotXcm.send delivers the claim
+  message: string; // SCALE VersionedXcm: ClaimAsset, BuyExecution, DepositAsset
+  sendCall: string; // Encoded PolkadotXcm.send(dest, message) on sendFrom
+  builtAt: string;
+}
+
+/**
+ * One PolkadotXcm.AssetsTrapped event on Asset Hub or Moonbeam, found by
+ * TrappedAssetsService. `hash` is the pallet's AssetTraps key: a claim must
+ * present the same assets from the same origin.
+ */
+@Entity('trapped_assets')
+@Index('IDX_trapped_assets_event', ['chain', 'blockNumber', 'eventIndex'], { unique: true })
+@Index('IDX_trapped_assets_chain_hash', ['chain', 'hash'])
+@Index('IDX_trapped_assets_status', ['status'])
+export class TrappedAsset {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ type: 'varchar', length: 16 })
+  chain: 'assetHub' | 'moonbeam';
+
+  @Column({ type: 'int' })
+  blockNumber: number;
+
+  @Column({ type: 'varchar', length: 66 })
+  blockHash: string;
+
+  @Column({ type: 'int' })
+  eventIndex: number; // Position in the block's System.Events
+
+  @Column({ type: 'varchar', length: 66 })
+  hash: string;
+
+  @Column({ type: 'jsonb' })
+  origin: Record<string, unknown>; // XCM location the assets were trapped under
+
+  @Column({ type: 'int', nullable: true })
+  originParachain: number | null; // Sibling parachain of the origin, if any
+
+  @Column({ type: 'jsonb' })
+  assets: Record<string, unknown>; // Versioned assets as emitted (amounts as strings)
+
+  @Column({ type: 'decimal', precision: 78, scale: 0, nullable: true })
+  amount: string | null; // DOT among the assets (planck)
+
+  @Column({ type: 'timestamp' })
+  trappedAt: Date; // Block timestamp
+
+  @Column({ type: 'uuid', nullable: true })
+  positionId: string | null;
+
+  @Column({ type: 'uuid', nullable: true })
+  userId: string | null;
+
+  @Column({ type: 'jsonb', nullable: true })
+  match: TrappedAssetMatch | null;
+
+  @Column({
+    type: 'enum',
+    enum: TrappedAssetStatus,
+    enumName: 'trapped_asset_status_enum',
+    default: TrappedAssetStatus.DETECTED,
+  })
+  status: TrappedAssetStatus;
+
+  @Column({ type: 'varchar', length: 66, nullable: true })
+  beneficiary: string | null; // Account the claim deposits to, on the trapping chain
+
+  @Column({ type: 'jsonb', nullable: true })
+  claim: TrappedAssetClaim | null;
+
+  @Column({ type: 'varchar', length: 42, nullable: true })
+  approvedBy: string | null; // Operator wallet
+
+  @Column({ type: 'timestamp', nullable: true })
+  approvedAt: Date | null;
+
+  @Column({ type: 'varchar', length: 66, nullable: true })
+  claimTxHash: string | null; // Relayer's xcmSend on Moonbeam
+
+  @Column({ type: 'text', nullable: true })
+  claimError: string | null; // Last refused or failed dispatch
+
+  @Column({ type: 'timestamp', nullable: true })
+  claimedAt: Date | null; // Block timestamp of AssetsClaimed
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
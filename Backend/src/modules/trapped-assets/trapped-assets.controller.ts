@@ -0,0 +1,86 @@
+/**
+ * Trapped Assets Controller
+ *
+ * Operator queue of assets trapped by failed XCM and their claim workflow,
+ * restricted to ADMIN_WALLET_ADDRESSES.
+ */
+
+import {
+  Body,
+  Controller,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Post,
+  Query,
+  UseGuards,
+} from '@nestjs/common';
+import { TrappedAssetsService } from './trapped-assets.service';
+import { TrappedAsset } from './entities/trapped-asset.entity';
+import { ApproveTrappedAssetDto } from './dto/approve-trapped-asset.dto';
+import { TrappedAssetsQueryDto } from './dto/trapped-assets-query.dto';
+import { JwtAuthGuard } from '../auth/jwt-auth.guard';
+import { AdminGuard } from '../../common/guards/admin.guard';
+import { CurrentUser } from '../../common/decorators/current-user.decorator';
+import { User } from '../users/entities/user.entity';
+
+@Controller('admin/trapped-assets')
+@UseGuards(JwtAuthGuard, AdminGuard)
+export class TrappedAssetsController {
+  constructor(private readonly trappedAssetsService: TrappedAssetsService) {}
+
+  /**
+   * Traps found on Asset Hub and Moonbeam, most recent first
+   * GET /admin/trapped-assets?status=&limit= — AUTH + ADMIN
+   */
+  @Get()
+  async list(@Query() query: TrappedAssetsQueryDto): Promise<TrappedAsset[]> {
+    return this.trappedAssetsService.list(query.status, query.limit);
+  }
+
+  /**
+   * Scan new finalized blocks now instead of waiting for the next poll
+   * POST /admin/trapped-assets/scan — AUTH + ADMIN
+   */
+  @Post('scan')
+  @HttpCode(HttpStatus.OK)
+  async scan(): Promise<Record<string, number> | null> {
+    return this.trappedAssetsService.scan();
+  }
+
+  /**
+   * Approve a trap and build its claim XCM
+   * POST /admin/trapped-assets/:id/approve — AUTH + ADMIN
+   */
+  @Post(':id/approve')
+  @HttpCode(HttpStatus.OK)
+  async approve(
+    @Param('id', new ParseUUIDPipe()) id: string,
+    @Body() dto: ApproveTrappedAssetDto,
+    @CurrentUser() currentUser: User,
+  ): Promise<TrappedAsset> {
+    return this.trappedAssetsService.approve(id, currentUser.walletAddress, dto.beneficiary);
+  }
+
+  /**
+   * Send an approved claim from the relayer (ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH)
+   * POST /admin/trapped-assets/:id/claim — AUTH + ADMIN
+   */
+  @Post(':id/claim')
+  @HttpCode(HttpStatus.OK)
+  async claim(@Param('id', new ParseUUIDPipe()) id: string, @CurrentUser() currentUser: User): Promise<TrappedAsset> {
+    return this.trappedAssetsService.dispatchClaim(id, currentUser.walletAddress);
+  }
+
+  /**
+   * Take a trap off the queue
+   * POST /admin/trapped-assets/:id/dismiss — AUTH + ADMIN
+   */
+  @Post(':id/dismiss')
+  @HttpCode(HttpStatus.OK)
+  async dismiss(@Param('id', new ParseUUIDPipe()) id: string, @CurrentUser() currentUser: User): Promise<TrappedAsset> {
+    return this.trappedAssetsService.dismiss(id, currentUser.walletAddress);
+  }
+}
@@ -0,0 +1,127 @@
+import {
+  dotAmount,
+  findTrapEvents,
+  fungibleAssets,
+  matchTrapToPosition,
+  originParachain,
+  toJsonSafe,
+  trapDirection,
+  TrapMatchCandidate,
+} from './trapped-assets.logic';
+
+describe('trapped-assets.logic', () => {
+  const DOT = { parents: 1, interior: { type: 'Here' } };
+  const fromMoonbeam = { parents: 1, interior: { type: 'X1', value: { type: 'Parachain', value: 2004 } } };
+  const fromAssetHub = { parents: 1, interior: { type: 'X1', value: [{ type: 'Parachain', value: 1000 }] } };
+  const binary = (hex: string) => ({ asHex: () => hex });
+  const record = (pallet: string, name: string, value?: unknown) => ({
+    phase: { type: 'ApplyExtrinsic', value: 1 },
+    event: { type: pallet, value: { type: name, value } },
+  });
+
+  it('finds AssetsTrapped and AssetsClaimed with JSON-safe values and their event index', () => {
+    const assets = { type: 'V5', value: [{ id: DOT, fun: { type: 'Fungible', value: 29_512_619_638n } }] };
+    const events = findTrapEvents([
+      record('Balances', 'Deposit'),
+      record('PolkadotXcm', 'AssetsTrapped', { hash: binary('0xABC'), origin: fromMoonbeam, assets }),
+      record('MessageQueue', 'Processed'),
+      record('PolkadotXcm', 'AssetsClaimed', { hash: binary('0xabc'), origin: fromMoonbeam, assets }),
+    ]);
+
+    expect(events).toEqual([
+      {
+        kind: 'trapped',
+        eventIndex: 1,
+        hash: '0xabc',
+        origin: fromMoonbeam,
+        assets: { type: 'V5', value: [{ id: DOT, fun: { type: 'Fungible', value: '29512619638' } }] },
+      },
+      expect.objectContaining({ kind: 'claimed', eventIndex: 3, hash: '0xabc' }),
+    ]);
+  });
+
+  it('converts bigints and binaries in nested values', () => {
+    expect(toJsonSafe({ a: [1n, binary('0x01')], b: undefined, c: 'x' })).toEqual({ a: ['1', '0x01'], b: undefined, c: 'x' });
+  });
+
+  it('reads the origin parachain and DOT amount', () => {
+    expect(originParachain(fromMoonbeam)).toBe(2004);
+    expect(originParachain(fromAssetHub)).toBe(1000);
+    expect(originParachain({ parents: 0, interior: { type: 'Here' } })).toBeNull();
+
+    const assets = {
+      type: 'V5',
+      value: [
+        { id: DOT, fun: { type: 'Fungible', value: '100' } },
+        { id: { parents: 0, interior: { type: 'X2', value: [] } }, fun: { type: 'Fungible', value: '7' } },
+        { id: DOT, fun: { type: 'Fungible', value: '50' } },
+      ],
+    };
+    expect(dotAmount(assets)).toBe(150n);
+    expect(fungibleAssets(assets).map(a => a.amount)).toEqual([100n, 7n, 50n]);
+    expect(dotAmount({ type: 'V5', value: [] })).toBeNull();
+  });
+
+  it('tells the investment leg from the return leg by chain and origin', () => {
+    const ids = { assetHubParaId: 1000, moonbeamParaId: 2004 };
+    expect(trapDirection({ chain: 'moonbeam', origin: fromAssetHub, ...ids })).toBe('investment');
+    expect(trapDirection({ chain: 'assetHub', origin: fromMoonbeam, ...ids })).toBe('return');
+    expect(trapDirection({ chain: 'assetHub', origin: { parents: 0, interior: { type: 'X1' } }, ...ids })).toBe('investment');
+    expect(trapDirection({ chain: 'moonbeam', origin: fromMoonbeam, ...ids })).toBeNull();
+  });
+
+  describe('matchTrapToPosition', () => {
+    const trappedAt = new Date('2026-03-10T12:00:00Z');
+    const minutes = (m: number) => new Date(trappedAt.getTime() + m * 60_000);
+    const candidate = (overrides: Partial<TrapMatchCandidate>): TrapMatchCandidate => ({
+      id: 'pos-1',
+      userId: 'user-1',
+      amount: '10000000000',
+      returnedAmount: null,
+      createdAt: minutes(-2),
+      liquidatedAt: null,
+      updatedAt: minutes(-2),
+      ...overrides,
+    });
+    const base = { trappedAt, windowMs: 60 * 60_000, amountToleranceBps: 1000 };
+
+    it('picks the investment closest in amount, never one smaller than the trap', () => {
+      const match = matchTrapToPosition({
+        ...base,
+        direction: 'investment',
+        amount: 9_700_000_000n,
+        candidates: [
+          candidate({ id: 'far', amount: '10500000000', createdAt: minutes(-1) }),
+          candidate({ id: 'close', amount: '10000000000', createdAt: minutes(-30) }),
+          candidate({ id: 'smaller', amount: '9000000000' }),
+          candidate({ id: 'stale', amount: '9800000000', createdAt: minutes(-61) }),
+        ],
+      });
+
+      expect(match).toEqual({ positionId: 'close', userId: 'user-1', direction: 'investment', amountDiffBps: 300, secondsApart: 1800 });
+    });
+
+    it('rejects investments outside the amount tolerance', () => {
+      expect(matchTrapToPosition({
+        ...base,
+        direction: 'investment',
+        amount: 5_000_000_000n,
+        candidates: [candidate({})],
+      })).toBeNull();
+    });
+
+    it('matches returns by liquidation time when the returned amount is unknown', () => {
+      const match = matchTrapToPosition({
+        ...base,
+        direction: 'return',
+        amount: 29_512_619_638n,
+        candidates: [
+          candidate({ id: 'earlier', liquidatedAt: minutes(-20) }),
+          candidate({ id: 'latest', liquidatedAt: null, updatedAt: minutes(-1) }),
+        ],
+      });
+
+      expect(match).toMatchObject({ positionId: 'latest', direction: 'return', amountDiffBps: null, secondsApart: 60 });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Trapped Assets Logic
+ *
+ * Pure decoding of PolkadotXcm.AssetsTrapped / AssetsClaimed events and the
+ * rules TrappedAssetsService uses to link a trap to the position whose XCM
+ * failed: which leg the trap belongs to (from chain and origin), then the
+ * position closest in amount and time.
+ */
+
+import type { PapiEventRecord, XcmFeeChain } from '../blockchain/papi/papi.types';
+import type { TrappedAssetMatch } from './entities/trapped-asset.entity';
+
+export interface AssetTrapEvent {
+  kind: 'trapped' | 'claimed';
+  eventIndex: number;
+  hash: string;
+  origin: Record<string, unknown>; // JSON-safe
+  assets: Record<string, unknown>; // JSON-safe
+}
+
+/** Position fields matching needs */
+export interface TrapMatchCandidate {
+  id: string;
+  userId: string;
+  amount: string;
+  returnedAmount: string | null;
+  createdAt: Date;
+  liquidatedAt: Date | null;
+  updatedAt: Date;
+}
+
+export interface TrapPositionMatch extends TrappedAssetMatch {
+  positionId: string;
+  userId: string;
+}
+
+const TRAP_EVENTS: Record<string, AssetTrapEvent['kind']> = {
+  AssetsTrapped: 'trapped',
+  AssetsClaimed: 'claimed',
+};
+
+/**
+ * AssetsTrapped / AssetsClaimed events of a block, in order, with values
+ * made JSON-safe for storage
+ */
+export function findTrapEvents(records: PapiEventRecord[]): AssetTrapEvent[] {
+  const found: AssetTrapEvent[] = [];
+  records.forEach((record, eventIndex) => {
+    const event = record?.event;
+    const kind = event?.type === 'PolkadotXcm' ? TRAP_EVENTS[event.value?.type ?? ''] : undefined;
+    if (!kind) return;
+
+    const data = (event.value?.value ?? {}) as { hash?: unknown; origin?: unknown; assets?: unknown };
+    found.push({
+      kind,
+      eventIndex,
+      hash: String(toJsonSafe(data.hash)).toLowerCase(),
+      origin: toJsonSafe(data.origin) as Record<string, unknown>,
+      assets: toJsonSafe(data.assets) as Record<string, unknown>,
+    });
+  });
+  return found;
+}
+
+/** bigints as decimal strings, PAPI binaries as hex, for jsonb columns */
+export function toJsonSafe(value: unknown): unknown {
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof (value as { asHex?: unknown }).asHex === 'function') {
+    return (value as { asHex(): string }).asHex();
+  }
+  if (Array.isArray(value)) return value.map(toJsonSafe);
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonSafe(v)]));
+}
+
+/** Sibling parachain an origin location starts with (parents 1, first junction Parachain) */
+export function originParachain(origin: unknown): number | null {
+  const loc = origin as { parents?: number; interior?: { type?: string; value?: unknown } };
+  if (loc?.parents !== 1 || !loc.interior || loc.interior.type === 'Here') return null;
+  const first = (Array.isArray(loc.interior.value) ? loc.interior.value[0] : loc.interior.value) as
+    { type?: string; value?: unknown } | undefined;
+  return first?.type === 'Parachain' ? Number(first.value) : null;
+}
+
+/** Fungible assets of stored versioned assets, with amounts back as bigint */
+export function fungibleAssets(assets: unknown): Array<{ id: unknown; amount: bigint }> {
+  const list = ((assets as { value?: unknown[] })?.value ?? []) as Array<{ id: unknown; fun?: { type?: string; value?: unknown } }>;
+  return list
+    .filter(a => a.fun?.type === 'Fungible')
+    .map(a => ({ id: a.id, amount: BigInt(String(a.fun.value)) }));
+}
+
+/** Number of assets in stored versioned assets */
+export function assetCount(assets: unknown): number {
+  return ((assets as { value?: unknown[] })?.value ?? []).length;
+}
+
+/** Total DOT (parents 1, Here) among the assets, null when there is none */
+export function dotAmount(assets: unknown): bigint | null {
+  const dot = fungibleAssets(assets).filter(a => {
+    const id = a.id as { parents?: number; interior?: { type?: string } };
+    return id?.parents === 1 && id.interior?.type === 'Here';
+  });
+  return dot.length === 0 ? null : dot.reduce((sum, a) => sum + a.amount, 0n);
+}
+
+/**
+ * Which leg of a position's round trip trapped the assets:
+ * - investment: on Moonbeam from Asset Hub (the forwarded deposit failed), or
+ *   on Asset Hub from a local origin (the vault's execute failed)
+ * - return: on Asset Hub from Moonbeam (the liquidation proceeds failed)
+ */
+export function trapDirection(params: {
+  chain: XcmFeeChain;
+  origin: unknown;
+  assetHubParaId: number;
+  moonbeamParaId: number;
+}): TrappedAssetMatch['direction'] | null {
+  const parachain = originParachain(params.origin);
+  if (params.chain === 'moonbeam') {
+    return parachain === params.assetHubParaId ? 'investment' : null;
+  }
+  if (parachain === params.moonbeamParaId) return 'return';
+  return (params.origin as { parents?: number })?.parents === 0 ? 'investment' : null;
+}
+
+/**
+ * Position whose XCM most likely trapped the assets: within the time window
+ * of its dispatch (investment) or liquidation (return), and for investments
+ * at most amountToleranceBps below the amount sent (fees are taken on the
+ * way, so a trap is never larger). Closest amount wins, then closest time.
+ */
+export function matchTrapToPosition(params: {
+  direction: TrappedAssetMatch['direction'];
+  amount: bigint | null;
+  trappedAt: Date;
+  candidates: TrapMatchCandidate[];
+  windowMs: number;
+  amountToleranceBps: number;
+}): TrapPositionMatch | null {
+  let best: TrapPositionMatch | null = null;
+
+  for (const candidate of params.candidates) {
+    const reference = params.direction === 'investment'
+      ? candidate.createdAt
+      : candidate.liquidatedAt ?? candidate.updatedAt;
+    const msApart = Math.abs(params.trappedAt.getTime() - reference.getTime());
+    if (msApart > params.windowMs) continue;
+
+    const expected = params.direction === 'investment' ? candidate.amount : candidate.returnedAmount;
+    const amountDiffBps = params.amount !== null && expected ? diffBps(params.amount, BigInt(expected)) : null;
+    if (params.direction === 'investment') {
+      if (amountDiffBps === null) continue;
+      if (params.amount > BigInt(expected) || amountDiffBps > params.amountToleranceBps) continue;
+    }
+
+    const match: TrapPositionMatch = {
+      positionId: candidate.id,
+      userId: candidate.userId,
+      direction: params.direction,
+      amountDiffBps,
+      secondsApart: Math.round(msApart / 1000),
+    };
+    if (!best || isCloser(match, best)) best = match;
+  }
+
+  return best;
+}
+
+function diffBps(actual: bigint, expected: bigint): number {
+  if (expected === 0n) return actual === 0n ? 0 : Number.MAX_SAFE_INTEGER;
+  const diff = actual > expected ? actual - expected : expected - actual;
+  return Number((diff * 10_000n) / expected);
+}
+
+function isCloser(a: TrappedAssetMatch, b: TrappedAssetMatch): boolean {
+  const aDiff = a.amountDiffBps ?? Number.MAX_SAFE_INTEGER;
+  const bDiff = b.amountDiffBps ?? Number.MAX_SAFE_INTEGER;
+  return aDiff !== bDiff ? aDiff < bDiff : a.secondsApart < b.secondsApart;
+}
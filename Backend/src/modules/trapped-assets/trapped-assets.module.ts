@@ -0,0 +1,26 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { ConfigModule } from '@nestjs/config';
+import { TrappedAssetsService } from './trapped-assets.service';
+import { TrappedAssetsController } from './trapped-assets.controller';
+import { TrappedAsset } from './entities/trapped-asset.entity';
+import { Position } from '../positions/entities/position.entity';
+import { User } from '../users/entities/user.entity';
+import { ChainCursor } from '../blockchain/entities/chain-cursor.entity';
+import { BlockchainModule } from '../blockchain/blockchain.module';
+import { PapiModule } from '../blockchain/papi/papi.module';
+import { AdminModule } from '../admin/admin.module';
+
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([TrappedAsset, Position, User, ChainCursor]),
+    BlockchainModule,
+    PapiModule,
+    AdminModule,
+    ConfigModule,
+  ],
+  controllers: [TrappedAssetsController],
+  providers: [TrappedAssetsService],
+  exports: [TrappedAssetsService],
+})
+export class TrappedAssetsModule { }
@@ -0,0 +1,340 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { FindOperator } from 'typeorm';
+import { TrappedAssetsService } from './trapped-assets.service';
+import { TrappedAsset, TrappedAssetStatus } from './entities/trapped-asset.entity';
+import { Position } from '../positions/entities/position.entity';
+import { User } from '../users/entities/user.entity';
+import { ChainCursor } from '../blockchain/entities/chain-cursor.entity';
+import { PapiClientService } from '../blockchain/papi/papi-client.service';
+import { XcmBuilderService } from '../blockchain/services/xcm-builder.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { notRunReport } from '../blockchain/services/xcm-dry-run.logic';
+import { AdminOperationsService } from '../admin/admin-operations.service';
+import { AdminAuditAction } from '../admin/entities/admin-audit-log.entity';
+
+describe('TrappedAssetsService', () => {
+  const trappedAt = new Date('2026-03-10T12:00:00Z');
+  const DOT = { parents: 1, interior: { type: 'Here' } };
+  const fromMoonbeam = { parents: 1, interior: { type: 'X1', value: { type: 'Parachain', value: 2004 } } };
+  const assets = { type: 'V5', value: [{ id: DOT, fun: { type: 'Fungible', value: 29_512_619_638n } }] };
+  const trapEvent = (name: string) => ({
+    phase: { type: 'Finalization' },
+    event: { type: 'PolkadotXcm', value: { type: name, value: { hash: { asHex: () => '0xfeed' }, origin: fromMoonbeam, assets } } },
+  });
+
+  let traps: TrappedAsset[];
+  let cursors: Map<string, ChainCursor>;
+  let trappedAssetRepository: Record<string, jest.Mock>;
+  let positionRepository: { find: jest.Mock };
+  let papi: Record<string, jest.Mock>;
+  let xcmBuilder: Record<string, jest.Mock>;
+  let moonbeam: Record<string, jest.Mock>;
+  let adminOperations: { recordAction: jest.Mock };
+  let config: Record<string, unknown>;
+
+  const build = async () => {
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        TrappedAssetsService,
+        { provide: getRepositoryToken(TrappedAsset), useValue: trappedAssetRepository },
+        { provide: getRepositoryToken(Position), useValue: positionRepository },
+        {
+          provide: getRepositoryToken(User),
+          useValue: { findOne: jest.fn(async () => ({ id: 'user-1', walletAddress: '0xAbCd000000000000000000000000000000000001' })) },
+        },
+        {
+          provide: getRepositoryToken(ChainCursor),
+          useValue: {
+            findOne: jest.fn(async ({ where }) => cursors.get(where.chain) ?? null),
+            save: jest.fn(async (c: ChainCursor) => { cursors.set(c.chain, c); return c; }),
+          },
+        },
+        { provide: PapiClientService, useValue: papi },
+        { provide: XcmBuilderService, useValue: xcmBuilder },
+        { provide: MoonbeamService, useValue: moonbeam },
+        { provide: AdminOperationsService, useValue: adminOperations },
+        { provide: ConfigService, useValue: { get: (key: string, fallback?: unknown) => config[key] ?? fallback } },
+      ],
+    }).compile();
+    return module.get(TrappedAssetsService);
+  };
+
+  const detected = (overrides: Partial<TrappedAsset> = {}) => ({
+    id: 'trap-1',
+    chain: 'assetHub',
+    hash: '0xfeed',
+    origin: fromMoonbeam,
+    assets: { type: 'V5', value: [{ id: DOT, fun: { type: 'Fungible', value: '29512619638' } }] },
+    amount: '29512619638',
+    trappedAt,
+    userId: 'user-1',
+    status: TrappedAssetStatus.DETECTED,
+    ...overrides,
+  }) as TrappedAsset;
+
+  beforeEach(() => {
+    traps = [];
+    cursors = new Map();
+    config = {};
+    trappedAssetRepository = {
+      find: jest.fn(async () => traps),
+      findOne: jest.fn(async ({ where }) => traps.find(t =>
+        Object.entries(where).every(([k, v]) => typeof v === 'object' && v !== null ? t[k] !== (v as any)._value : t[k] === v),
+      ) ?? null),
+      create: jest.fn(d => d),
+      save: jest.fn(async (t: TrappedAsset) => {
+        if (!traps.includes(t)) traps.push(Object.assign(t, { id: t.id ?? `trap-${traps.length + 1}` }));
+        return t;
+      }),
+      update: jest.fn(async (where: Partial<TrappedAsset>, changes: Partial<TrappedAsset>) => {
+        const matched = traps.filter(t => Object.entries(where).every(([k, v]) =>
+          v instanceof FindOperator ? (v.value as unknown[]).includes(t[k]) : t[k] === v,
+        ));
+        matched.forEach(t => Object.assign(t, changes));
+        return { affected: matched.length };
+      }),
+    };
+    positionRepository = {
+      find: jest.fn(async () => [{
+        id: 'pos-1',
+        userId: 'user-1',
+        amount: '30000000000',
+        returnedAmount: '29600000000',
+        createdAt: new Date('2026-03-01T00:00:00Z'),
+        liquidatedAt: new Date(trappedAt.getTime() - 90_000),
+        updatedAt: trappedAt,
+      }]),
+    };
+    papi = {
+      getFinalizedBlockNumber: jest.fn(async (chain: string) => (chain === 'assetHub' ? 12_488_298 : 5_000)),
+      getBlockEvents: jest.fn(async (chain: string, number: number) => ({
+        number,
+        hash: `0x${number}`,
+        timestamp: trappedAt,
+        events: chain === 'assetHub' && number === 12_488_297 ? [{ phase: {}, event: { type: 'System' } }, trapEvent('AssetsTrapped')] : [],
+      })),
+    };
+    xcmBuilder = {
+      buildClaimAssetsProgram: jest.fn(async () => ({ type: 'V5', value: [] })),
+      encodeVersionedXcm: jest.fn(async () => '0x0504'),
+      buildClaimSendCall: jest.fn(async () => '0x6700'),
+      dryRunClaimOnAssetHub: jest.fn(async () => ({ ...notRunReport('assetHub'), outcome: 'complete' })),
+    };
+    moonbeam = {
+      getRelayerAddress: jest.fn(() => '0x00000000000000000000000000000000000000bb'),
+      sendXcm: jest.fn(async () => '0xclaimtx'),
+    };
+    adminOperations = { recordAction: jest.fn() };
+  });
+
+  it('records traps from new finalized blocks, matched to the position whose return failed', async () => {
+    cursors.set('assetHub:asset-traps', { chain: 'assetHub:asset-traps', lastProcessedBlock: 12_488_295 } as ChainCursor);
+    cursors.set('moonbeam:asset-traps', { chain: 'moonbeam:asset-traps', lastProcessedBlock: 5_000 } as ChainCursor);
+    const service = await build();
+
+    await expect(service.scan()).resolves.toEqual({ assetHub: 3, moonbeam: 0 });
+
+    expect(traps).toHaveLength(1);
+    expect(traps[0]).toMatchObject({
+      chain: 'assetHub',
+      blockNumber: 12_488_297,
+      eventIndex: 1,
+      hash: '0xfeed',
+      originParachain: 2004,
+      amount: '29512619638',
+      positionId: 'pos-1',
+      userId: 'user-1',
+      match: { direction: 'return', amountDiffBps: 29, secondsApart: 90 },
+      trappedAt,
+    });
+    expect(cursors.get('assetHub:asset-traps').lastProcessedBlock).toBe(12_488_298);
+
+    // Re-scanning the same block does not duplicate the trap
+    cursors.get('assetHub:asset-traps').lastProcessedBlock = 12_488_296;
+    await service.scan();
+    expect(traps).toHaveLength(1);
+  });
+
+  it('starts a new cursor the lookback behind the head and marks traps claimed on AssetsClaimed', async () => {
+    config.TRAPPED_ASSETS_START_LOOKBACK_BLOCKS = 2;
+    traps = [detected({ status: TrappedAssetStatus.APPROVED })];
+    papi.getBlockEvents.mockImplementation(async (chain: string, number: number) => ({
+      number,
+      hash: `0x${number}`,
+      timestamp: trappedAt,
+      events: chain === 'assetHub' && number === 12_488_298 ? [trapEvent('AssetsClaimed')] : [],
+    }));
+    const service = await build();
+
+    await expect(service.scan()).resolves.toEqual({ assetHub: 2, moonbeam: 2 });
+
+    expect(traps[0].status).toBe(TrappedAssetStatus.CLAIMED);
+    expect(traps[0].claimedAt).toEqual(trappedAt);
+  });
+
+  it('approves a trap by building the claim to the position owner on Asset Hub', async () => {
+    traps = [detected()];
+    const service = await build();
+
+    const approved = await service.approve('trap-1', '0xADMIN', undefined, trappedAt);
+
+    expect(xcmBuilder.buildClaimAssetsProgram).toHaveBeenCalledWith({
+      assets: [{ id: DOT, amount: 29_512_619_638n }],
+      beneficiary: '0xabcd000000000000000000000000000000000001eeeeeeeeeeeeeeeeeeeeeeee',
+    });
+    expect(xcmBuilder.buildClaimSendCall).toHaveBeenCalledWith('assetHub', { type: 'V5', value: [] });
+    expect(approved).toMatchObject({
+      status: TrappedAssetStatus.APPROVED,
+      approvedBy: '0xadmin',
+      approvedAt: trappedAt,
+      claim: { sendFrom: 'moonbeam', message: '0x0504', sendCall: '0x6700', builtAt: trappedAt.toISOString() },
+    });
+    expect(adminOperations.recordAction).toHaveBeenCalledWith(expect.objectContaining({
+      subjectId: 'trap-1',
+      action: AdminAuditAction.APPROVED,
+      actor: '0xadmin',
+      params: expect.objectContaining({ beneficiary: '0xabcd000000000000000000000000000000000001eeeeeeeeeeeeeeeeeeeeeeee' }),
+    }));
+  });
+
+  it('requires a beneficiary for unmatched traps', async () => {
+    traps = [detected({ userId: null })];
+    const service = await build();
+
+    await expect(service.approve('trap-1', '0xadmin')).rejects.toThrow('a beneficiary is required');
+  });
+
+  describe('dispatchClaim', () => {
+    const approved = (overrides: Partial<TrappedAsset> = {}) => detected({
+      status: TrappedAssetStatus.APPROVED,
+      beneficiary: '0xabcd000000000000000000000000000000000001eeeeeeeeeeeeeeeeeeeeeeee',
+      approvedBy: '0xadmin',
+      ...overrides,
+      claim: { sendFrom: 'moonbeam', message: '0x0504', sendCall: '0x6700', builtAt: trappedAt.toISOString() },
+    });
+
+    it('is off unless explicitly enabled', async () => {
+      traps = [approved()];
+      const service = await build();
+
+      await expect(service.dispatchClaim('trap-1', '0xadmin')).rejects.toThrow('Claim dispatch is disabled');
+      expect(moonbeam.sendXcm).not.toHaveBeenCalled();
+    });
+
+    it('needs an approval first', async () => {
+      config.ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH = 'true';
+      traps = [detected()];
+      const service = await build();
+
+      await expect(service.dispatchClaim('trap-1', '0xadmin')).rejects.toThrow('must be approved first');
+    });
+
+    it('refuses when Asset Hub would not release the assets to the relayer', async () => {
+      config.ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH = 'true';
+      traps = [approved()];
+      xcmBuilder.dryRunClaimOnAssetHub.mockResolvedValue({
+        ...notRunReport('assetHub'),
+        outcome: 'incomplete',
+        error: 'UnknownClaim at instruction 1',
+      });
+      const service = await build();
+
+      await expect(service.dispatchClaim('trap-1', '0xadmin')).rejects.toThrow('Dry run refused claim: UnknownClaim at instruction 1');
+      expect(moonbeam.sendXcm).not.toHaveBeenCalled();
+      expect(traps[0].claimError).toBe('Dry run refused claim: UnknownClaim at instruction 1');
+    });
+
+    it('sends the approved claim from the relayer after a passing dry run', async () => {
+      config.ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH = 'true';
+      traps = [approved()];
+      const service = await build();
+
+      const result = await service.dispatchClaim('trap-1', '0xadmin');
+
+      expect(xcmBuilder.dryRunClaimOnAssetHub).toHaveBeenCalledWith('0x0504', '0x00000000000000000000000000000000000000bb');
+      expect(xcmBuilder.buildClaimAssetsProgram).not.toHaveBeenCalled();
+      expect(moonbeam.sendXcm).toHaveBeenCalledWith(1000, Uint8Array.from([0x05, 0x04]));
+      expect(result).toMatchObject({ status: TrappedAssetStatus.CLAIM_SUBMITTED, claimTxHash: '0xclaimtx', claimError: null });
+      expect(traps[0]).toMatchObject({ status: TrappedAssetStatus.CLAIM_SUBMITTED, claimTxHash: '0xclaimtx' });
+    });
+
+    it('sends a claim once when two dispatches race', async () => {
+      config.ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH = 'true';
+      traps = [approved()];
+      const service = await build();
+
+      const results = await Promise.allSettled([service.dispatchClaim('trap-1', '0xadmin'), service.dispatchClaim('trap-1', '0xadmin')]);
+
+      expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(r => r.status === 'rejected')).toMatchObject({ reason: expect.objectContaining({ message: expect.stringContaining('already being dispatched') }) });
+      expect(moonbeam.sendXcm).toHaveBeenCalledTimes(1);
+    });
+
+    it('puts the trap back to approved when the send fails', async () => {
+      config.ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH = 'true';
+      traps = [approved()];
+      moonbeam.sendXcm.mockRejectedValue(new Error('nonce too low'));
+      const service = await build();
+
+      await expect(service.dispatchClaim('trap-1', '0xadmin')).rejects.toThrow('nonce too low');
+      expect(traps[0]).toMatchObject({ status: TrappedAssetStatus.APPROVED, claimError: 'nonce too low' });
+      expect(adminOperations.recordAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: AdminAuditAction.FAILED,
+        detail: 'nonce too low',
+      }));
+    });
+
+    it('needs a second admin to send a claim to someone other than the position owner', async () => {
+      config.ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH = 'true';
+      traps = [approved({ beneficiary: '0x00000000000000000000000000000000000000000000000000000000000000cc' })];
+      const service = await build();
+
+      await expect(service.dispatchClaim('trap-1', '0xADMIN')).rejects.toThrow('must be dispatched by a second admin');
+      expect(moonbeam.sendXcm).not.toHaveBeenCalled();
+      expect(adminOperations.recordAction).toHaveBeenCalledWith(expect.objectContaining({
+        subjectId: 'trap-1',
+        action: AdminAuditAction.DENIED,
+        actor: '0xadmin',
+      }));
+
+      await expect(service.dispatchClaim('trap-1', '0xother')).resolves.toMatchObject({ claimTxHash: '0xclaimtx' });
+      expect(adminOperations.recordAction).toHaveBeenLastCalledWith(expect.objectContaining({
+        action: AdminAuditAction.EXECUTED,
+        actor: '0xother',
+        txHash: '0xclaimtx',
+      }));
+    });
+
+    it('needs a second admin for unmatched traps', async () => {
+      config.ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH = 'true';
+      traps = [approved({ userId: null })];
+      const service = await build();
+
+      await expect(service.dispatchClaim('trap-1', '0xadmin')).rejects.toThrow('second admin');
+    });
+  });
+
+  describe('dismiss', () => {
+    it('takes a trap off the queue and audits it', async () => {
+      traps = [detected()];
+      const service = await build();
+
+      await expect(service.dismiss('trap-1', '0xADMIN')).resolves.toMatchObject({ status: TrappedAssetStatus.DISMISSED });
+      expect(traps[0].status).toBe(TrappedAssetStatus.DISMISSED);
+      expect(adminOperations.recordAction).toHaveBeenCalledWith(expect.objectContaining({
+        action: AdminAuditAction.REJECTED,
+        actor: '0xadmin',
+      }));
+    });
+
+    it.each([TrappedAssetStatus.CLAIMED, TrappedAssetStatus.CLAIM_SUBMITTED])('refuses a %s trap', async status => {
+      traps = [detected({ status })];
+      const service = await build();
+
+      await expect(service.dismiss('trap-1', '0xadmin')).rejects.toThrow(/already/);
+      expect(traps[0].status).toBe(status);
+    });
+  });
+});
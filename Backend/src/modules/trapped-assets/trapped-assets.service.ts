@@ -0,0 +1,481 @@
+/**
+ * Trapped Assets Service
+ *
+ * Follows finalized blocks on Asset Hub and Moonbeam for
+ * PolkadotXcm.AssetsTrapped, the event a chain emits when an XCM fails with
+ * assets still in holding. Each trap is stored, matched to the position whose
+ * investment or return leg failed, and listed for operators at
+ * GET /admin/trapped-assets.
+ *
+ * Claim workflow: an operator approves a trap, which builds the ClaimAsset
+ * XCM and the PolkadotXcm.send call that delivers it. The call can be
+ * submitted by whoever holds the trap's origin; with
+ * ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH on, Asset Hub traps can also be sent by
+ * the Moonbeam relayer after a dry run. A claim to anyone but the matched
+ * position's owner is only sent by a second admin. A trap is marked claimed
+ * when its AssetsClaimed event is seen, whoever claimed it.
+ *
+ * Approvals, dispatches, refusals and dismissals are written to the admin
+ * audit log under the trap's id.
+ */
+
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  Injectable,
+  Logger,
+  NotFoundException,
+  OnModuleInit,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Between, In, IsNull, Not, Repository } from 'typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { ethers } from 'ethers';
+import { Position, PositionStatus } from '../positions/entities/position.entity';
+import { User } from '../users/entities/user.entity';
+import { ChainCursor } from '../blockchain/entities/chain-cursor.entity';
+import { PapiClientService } from '../blockchain/papi/papi-client.service';
+import type { PapiBlockEvents, XcmFeeChain } from '../blockchain/papi/papi.types';
+import { XcmBuilderService } from '../blockchain/services/xcm-builder.service';
+import { MoonbeamService } from '../blockchain/services/moonbeam.service';
+import { evmAddressToAccountId32 } from '../blockchain/services/xcm-dry-run.logic';
+import { AdminOperationsService } from '../admin/admin-operations.service';
+import { AdminAuditAction } from '../admin/entities/admin-audit-log.entity';
+import { TrappedAsset, TrappedAssetMatch, TrappedAssetStatus } from './entities/trapped-asset.entity';
+import {
+  AssetTrapEvent,
+  TrapPositionMatch,
+  assetCount,
+  dotAmount,
+  findTrapEvents,
+  fungibleAssets,
+  matchTrapToPosition,
+  originParachain,
+  trapDirection,
+} from './trapped-assets.logic';
+
+const CHAINS: XcmFeeChain[] = ['assetHub', 'moonbeam'];
+const MAX_ERROR_LENGTH = 1000;
+const DEFAULT_LIST_LIMIT = 100;
+const AUDIT_OPERATION_TYPE = 'trappedAsset.claim';
+
+@Injectable()
+export class TrappedAssetsService implements OnModuleInit {
+  private readonly logger = new Logger(TrappedAssetsService.name);
+  private readonly enabled: boolean;
+  private readonly dispatchEnabled: boolean;
+  private readonly matchWindowMs: number;
+  private readonly amountToleranceBps: number;
+  private readonly maxBlocksPerPoll: number;
+  private readonly lookbackBlocks: number;
+  private readonly assetHubParaId: number;
+  private readonly moonbeamParaId: number;
+  private isProcessing = false;
+
+  constructor(
+    @InjectRepository(TrappedAsset)
+    private trappedAssetRepository: Repository<TrappedAsset>,
+    @InjectRepository(Position)
+    private positionRepository: Repository<Position>,
+    @InjectRepository(User)
+    private userRepository: Repository<User>,
+    @InjectRepository(ChainCursor)
+    private cursorRepository: Repository<ChainCursor>,
+    private papiClient: PapiClientService,
+    private xcmBuilder: XcmBuilderService,
+    private moonbeamService: MoonbeamService,
+    private adminOperations: AdminOperationsService,
+    private configService: ConfigService,
+  ) {
+    this.enabled = this.configService.get<boolean>('ENABLE_TRAPPED_ASSETS_WATCHER', true);
+    // Sends funds-moving XCM from the relayer: only an explicit "true" turns it on
+    this.dispatchEnabled = String(this.configService.get('ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH', false)) === 'true';
+    this.matchWindowMs = Number(this.configService.get('TRAPPED_ASSETS_MATCH_WINDOW_MINUTES', 60)) * 60 * 1000;
+    this.amountToleranceBps = Number(this.configService.get('TRAPPED_ASSETS_AMOUNT_TOLERANCE_BPS', 1000));
+    this.maxBlocksPerPoll = Number(this.configService.get('TRAPPED_ASSETS_MAX_BLOCKS_PER_POLL', 100));
+    this.lookbackBlocks = Number(this.configService.get('TRAPPED_ASSETS_START_LOOKBACK_BLOCKS', 600));
+    this.assetHubParaId = Number(this.configService.get('ASSET_HUB_PARA_ID', 1000));
+    this.moonbeamParaId = Number(this.configService.get('MOONBEAM_PARA_ID', 2004));
+  }
+
+  async onModuleInit() {
+    this.logger.log(
+      `TrappedAssetsService initialized (enabled: ${this.enabled}, claim dispatch: ${this.dispatchEnabled}, ` +
+      `match window: ${this.matchWindowMs / 60000}min)`,
+    );
+  }
+
+  @Cron(CronExpression.EVERY_MINUTE)
+  async watch(): Promise<void> {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      await this.scan();
+    } catch (error) {
+      this.logger.error('Error scanning for trapped assets:', error);
+    }
+  }
+
+  /**
+   * Scan both chains from their cursor towards the finalized head, at most
+   * TRAPPED_ASSETS_MAX_BLOCKS_PER_POLL blocks each. Returns the blocks scanned
+   * per chain, or null when a scan is already running.
+   */
+  async scan(): Promise<Partial<Record<XcmFeeChain, number>> | null> {
+    if (this.isProcessing) {
+      this.logger.debug('Previous trapped-asset scan still running, skipping');
+      return null;
+    }
+
+    this.isProcessing = true;
+    try {
+      const scanned: Partial<Record<XcmFeeChain, number>> = {};
+      for (const chain of CHAINS) {
+        try {
+          scanned[chain] = await this.scanChain(chain);
+        } catch (error) {
+          this.logger.warn(`Trapped-asset scan of ${chain} failed: ${error?.message ?? error}`);
+        }
+      }
+      return scanned;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Most recent traps first, optionally in one status
+   */
+  async list(status?: TrappedAssetStatus, limit = DEFAULT_LIST_LIMIT): Promise<TrappedAsset[]> {
+    return this.trappedAssetRepository.find({
+      where: status ? { status } : {},
+      order: { trappedAt: 'DESC' },
+      take: limit,
+    });
+  }
+
+  /**
+   * Operator approval: build the claim for a detected trap and record who
+   * approved it. Approving again rebuilds the claim (e.g. for a new
+   * beneficiary).
+   *
+   * @param beneficiary Overrides the matched position's owner
+   */
+  async approve(id: string, operator: string, beneficiary?: string, now = new Date()): Promise<TrappedAsset> {
+    const trap = await this.getTrap(id);
+    if (trap.status !== TrappedAssetStatus.DETECTED && trap.status !== TrappedAssetStatus.APPROVED) {
+      throw new BadRequestException(`Trapped asset ${id} is ${trap.status}`);
+    }
+
+    const assets = fungibleAssets(trap.assets);
+    if (assets.length === 0 || assets.length !== assetCount(trap.assets)) {
+      throw new BadRequestException('Only fungible assets can be claimed through the backend');
+    }
+
+    const account = await this.resolveBeneficiary(trap, beneficiary);
+    const program = await this.xcmBuilder.buildClaimAssetsProgram({ assets, beneficiary: account });
+    trap.claim = {
+      sendFrom: trap.chain === 'assetHub' ? 'moonbeam' : 'assetHub',
+      message: await this.xcmBuilder.encodeVersionedXcm(program),
+      sendCall: await this.xcmBuilder.buildClaimSendCall(trap.chain, program),
+      builtAt: now.toISOString(),
+    };
+    trap.beneficiary = account;
+    trap.status = TrappedAssetStatus.APPROVED;
+    const actor = operator.toLowerCase();
+    trap.approvedBy = actor;
+    trap.approvedAt = now;
+    trap.claimError = null;
+
+    this.logger.log(`Trapped asset ${id} approved by ${trap.approvedBy}, claim to ${account}`);
+    const saved = await this.trappedAssetRepository.save(trap);
+    await this.audit(trap, AdminAuditAction.APPROVED, actor, {
+      detail: beneficiary ? 'Beneficiary set by the operator' : null,
+    });
+    return saved;
+  }
+
+  /**
+   * Send an approved Asset Hub claim from the Moonbeam relayer. The stored
+   * claim.message, the exact bytes sent, is dry-run on Asset Hub first with
+   * the relayer's origin; if Asset Hub would
+   * not release the assets to that origin (e.g. they were trapped under
+   * Parachain(2004) itself), dispatch is refused and claim.sendCall has to be
+   * submitted by the trap's origin instead.
+   *
+   * A claim to an account other than the matched position's owner (or to
+   * anyone, for an unmatched trap) needs a second admin: the approver cannot
+   * dispatch it.
+   */
+  async dispatchClaim(id: string, operator: string): Promise<TrappedAsset> {
+    if (!this.dispatchEnabled) {
+      throw new BadRequestException(
+        'Claim dispatch is disabled (ENABLE_TRAPPED_ASSET_CLAIM_DISPATCH); submit claim.sendCall from the trap origin',
+      );
+    }
+
+    const trap = await this.getTrap(id);
+    if (trap.status !== TrappedAssetStatus.APPROVED || !trap.claim) {
+      throw new BadRequestException(`Trapped asset ${id} must be approved first (status: ${trap.status})`);
+    }
+    if (trap.chain !== 'assetHub') {
+      throw new BadRequestException('Only Asset Hub traps can be claimed by the relayer; submit claim.sendCall from Asset Hub');
+    }
+    const relayer = this.moonbeamService.getRelayerAddress();
+    if (!relayer) {
+      throw new BadRequestException('Moonbeam relayer is not configured');
+    }
+
+    const actor = operator.toLowerCase();
+    if (actor === trap.approvedBy && !(await this.claimsToOwner(trap))) {
+      const detail = 'A claim to an account other than the position owner must be dispatched by a second admin';
+      await this.audit(trap, AdminAuditAction.DENIED, actor, { detail });
+      throw new ForbiddenException(detail);
+    }
+
+    const dryRun = await this.xcmBuilder.dryRunClaimOnAssetHub(trap.claim.message, relayer);
+    if (dryRun.outcome !== 'complete' || dryRun.trappedAssets) {
+      trap.claimError = `Dry run refused claim: ${dryRun.error ?? (dryRun.trappedAssets ? 'would trap assets' : dryRun.outcome)}`;
+      await this.trappedAssetRepository.update(
+        { id: trap.id, status: TrappedAssetStatus.APPROVED },
+        { claimError: trap.claimError },
+      );
+      await this.audit(trap, AdminAuditAction.FAILED, actor, { detail: trap.claimError });
+      throw new BadRequestException(trap.claimError);
+    }
+
+    // Claim the trap before sending so a concurrent dispatch cannot send it twice
+    const claimed = await this.trappedAssetRepository.update(
+      { id: trap.id, status: TrappedAssetStatus.APPROVED },
+      { status: TrappedAssetStatus.CLAIM_SUBMITTED, claimError: null },
+    );
+    if (!claimed.affected) {
+      throw new ConflictException(`Claim for trapped asset ${id} is already being dispatched`);
+    }
+    trap.status = TrappedAssetStatus.CLAIM_SUBMITTED;
+    trap.claimError = null;
+
+    try {
+      trap.claimTxHash = await this.moonbeamService.sendXcm(this.assetHubParaId, ethers.getBytes(trap.claim.message));
+    } catch (error) {
+      // Not sent; hand it back to the operator queue
+      trap.status = TrappedAssetStatus.APPROVED;
+      trap.claimError = String(error?.message ?? error).slice(0, MAX_ERROR_LENGTH);
+      await this.trappedAssetRepository.update(
+        { id: trap.id, status: TrappedAssetStatus.CLAIM_SUBMITTED },
+        { status: trap.status, claimError: trap.claimError },
+      );
+      await this.audit(trap, AdminAuditAction.FAILED, actor, { detail: trap.claimError });
+      throw error;
+    }
+    await this.trappedAssetRepository.update({ id: trap.id }, { claimTxHash: trap.claimTxHash });
+    await this.audit(trap, AdminAuditAction.EXECUTED, actor, { txHash: trap.claimTxHash });
+    this.logger.log(`Claim for trapped asset ${id} sent: ${trap.claimTxHash}`);
+    return trap;
+  }
+
+  /**
+   * Take a trap off the operator queue (not ours, or recovered some other way).
+   * A trap whose claim was sent or seen stays where it is.
+   */
+  async dismiss(id: string, operator: string): Promise<TrappedAsset> {
+    const trap = await this.getTrap(id);
+    if (trap.status === TrappedAssetStatus.CLAIMED) {
+      throw new BadRequestException(`Trapped asset ${id} is already claimed`);
+    }
+    if (trap.status === TrappedAssetStatus.CLAIM_SUBMITTED) {
+      throw new BadRequestException(`Claim for trapped asset ${id} was already sent`);
+    }
+
+    // Conditional, so a claim dispatched meanwhile is not dismissed under it
+    const dismissed = await this.trappedAssetRepository.update(
+      { id: trap.id, status: In([TrappedAssetStatus.DETECTED, TrappedAssetStatus.APPROVED, TrappedAssetStatus.DISMISSED]) },
+      { status: TrappedAssetStatus.DISMISSED },
+    );
+    if (!dismissed.affected) {
+      throw new ConflictException(`Trapped asset ${id} changed status, reload it`);
+    }
+    trap.status = TrappedAssetStatus.DISMISSED;
+
+    const actor = operator.toLowerCase();
+    await this.audit(trap, AdminAuditAction.REJECTED, actor);
+    this.logger.log(`Trapped asset ${id} dismissed by ${actor}`);
+    return trap;
+  }
+
+  private async getTrap(id: string): Promise<TrappedAsset> {
+    const trap = await this.trappedAssetRepository.findOne({ where: { id } });
+    if (!trap) {
+      throw new NotFoundException(`Trapped asset ${id} not found`);
+    }
+    return trap;
+  }
+
+  /**
+   * Scan finalized blocks after the chain's cursor. The cursor advances per
+   * block, so a failure retries only the block that failed.
+   */
+  private async scanChain(chain: XcmFeeChain): Promise<number> {
+    const head = await this.papiClient.getFinalizedBlockNumber(chain);
+    const key = `${chain}:asset-traps`;
+
+    let cursor = await this.cursorRepository.findOne({ where: { chain: key } });
+    if (!cursor) {
+      const start = Math.max(0, head - this.lookbackBlocks);
+      this.logger.log(`No ${key} cursor found, starting after block ${start}`);
+      cursor = await this.cursorRepository.save({ chain: key, lastProcessedBlock: start, lastProcessedBlockHash: null });
+    }
+
+    const last = Math.min(head, cursor.lastProcessedBlock + this.maxBlocksPerPoll);
+    let scanned = 0;
+    for (let blockNumber = cursor.lastProcessedBlock + 1; blockNumber <= last; blockNumber++) {
+      const block = await this.papiClient.getBlockEvents(chain, blockNumber);
+      for (const event of findTrapEvents(block.events)) {
+        if (event.kind === 'trapped') {
+          await this.recordTrap(chain, block, event);
+        } else {
+          await this.recordClaim(chain, block, event);
+        }
+      }
+      await this.cursorRepository.save({ chain: key, lastProcessedBlock: blockNumber, lastProcessedBlockHash: block.hash });
+      scanned++;
+    }
+    return scanned;
+  }
+
+  private async recordTrap(chain: XcmFeeChain, block: PapiBlockEvents, event: AssetTrapEvent): Promise<void> {
+    const existing = await this.trappedAssetRepository.findOne({
+      where: { chain, blockNumber: block.number, eventIndex: event.eventIndex },
+    });
+    if (existing) return;
+
+    const amount = dotAmount(event.assets);
+    const direction = trapDirection({
+      chain,
+      origin: event.origin,
+      assetHubParaId: this.assetHubParaId,
+      moonbeamParaId: this.moonbeamParaId,
+    });
+    const match = direction ? await this.matchPosition(direction, amount, block.timestamp) : null;
+
+    await this.trappedAssetRepository.save(this.trappedAssetRepository.create({
+      chain,
+      blockNumber: block.number,
+      blockHash: block.hash,
+      eventIndex: event.eventIndex,
+      hash: event.hash,
+      origin: event.origin,
+      originParachain: originParachain(event.origin),
+      assets: event.assets,
+      amount: amount?.toString() ?? null,
+      trappedAt: block.timestamp,
+      positionId: match?.positionId ?? null,
+      userId: match?.userId ?? null,
+      match: match ? { direction: match.direction, amountDiffBps: match.amountDiffBps, secondsApart: match.secondsApart } : null,
+    }));
+
+    this.logger.warn(
+      `Assets trapped on ${chain} at block ${block.number}: ${amount ?? '?'} planck DOT ` +
+      (match ? `(${match.direction} of position ${match.positionId})` : '(no matching position)'),
+    );
+  }
+
+  /** AssetsClaimed releases the oldest unclaimed trap with the same hash */
+  private async recordClaim(chain: XcmFeeChain, block: PapiBlockEvents, event: AssetTrapEvent): Promise<void> {
+    const trap = await this.trappedAssetRepository.findOne({
+      where: { chain, hash: event.hash, status: Not(TrappedAssetStatus.CLAIMED) },
+      order: { trappedAt: 'ASC' },
+    });
+    if (!trap) {
+      this.logger.debug(`AssetsClaimed on ${chain} at block ${block.number} for an untracked trap ${event.hash}`);
+      return;
+    }
+
+    trap.status = TrappedAssetStatus.CLAIMED;
+    trap.claimedAt = block.timestamp;
+    await this.trappedAssetRepository.save(trap);
+    this.logger.log(`Trapped asset ${trap.id} claimed on ${chain} at block ${block.number}`);
+  }
+
+  private async matchPosition(
+    direction: TrappedAssetMatch['direction'],
+    amount: bigint | null,
+    trappedAt: Date,
+  ): Promise<TrapPositionMatch | null> {
+    const window = Between(
+      new Date(trappedAt.getTime() - this.matchWindowMs),
+      new Date(trappedAt.getTime() + this.matchWindowMs),
+    );
+    const closing = In([PositionStatus.LIQUIDATION_PENDING, PositionStatus.LIQUIDATED]);
+    const candidates = await this.positionRepository.find({
+      where: direction === 'investment'
+        ? { createdAt: window }
+        : [{ status: closing, liquidatedAt: window }, { status: closing, liquidatedAt: IsNull(), updatedAt: window }],
+    });
+
+    return matchTrapToPosition({
+      direction,
+      amount,
+      trappedAt,
+      candidates,
+      windowMs: this.matchWindowMs,
+      amountToleranceBps: this.amountToleranceBps,
+    });
+  }
+
+  /**
+   * Account the claim deposits to: 20-byte address on Moonbeam; on Asset Hub
+   * an AccountId32, EE-padded from an EVM address
+   */
+  private async resolveBeneficiary(trap: TrappedAsset, requested?: string): Promise<string> {
+    const address = requested || (await this.ownerAddress(trap));
+    if (!address) {
+      throw new BadRequestException('Trap has no matched position; a beneficiary is required');
+    }
+    return this.beneficiaryAccount(trap, address);
+  }
+
+  /** Whether the approved claim pays the matched position's owner */
+  private async claimsToOwner(trap: TrappedAsset): Promise<boolean> {
+    const owner = await this.ownerAddress(trap);
+    return !!owner && this.beneficiaryAccount(trap, owner) === trap.beneficiary;
+  }
+
+  private async ownerAddress(trap: TrappedAsset): Promise<string | null> {
+    if (!trap.userId) return null;
+    const user = await this.userRepository.findOne({ where: { id: trap.userId } });
+    return user?.walletAddress ?? null;
+  }
+
+  private beneficiaryAccount(trap: TrappedAsset, address: string): string {
+    if (trap.chain === 'moonbeam') {
+      if (!ethers.isHexString(address, 20)) {
+        throw new BadRequestException('Moonbeam beneficiary must be a 20-byte address');
+      }
+      return address.toLowerCase();
+    }
+    if (ethers.isHexString(address, 20)) return evmAddressToAccountId32(address);
+    if (ethers.isHexString(address, 32)) return address.toLowerCase();
+    throw new BadRequestException('Asset Hub beneficiary must be a 20-byte EVM address or a 32-byte account');
+  }
+
+  private async audit(
+    trap: TrappedAsset,
+    action: AdminAuditAction,
+    actor: string,
+    entry: { txHash?: string | null; detail?: string | null } = {},
+  ): Promise<void> {
+    await this.adminOperations.recordAction({
+      subjectId: trap.id,
+      operationType: AUDIT_OPERATION_TYPE,
+      action,
+      actor,
+      params: { chain: trap.chain, amount: trap.amount, positionId: trap.positionId, beneficiary: trap.beneficiary },
+      ...entry,
+    });
+  }
+}
@@ -0,0 +1,20 @@
+import { ArrayUnique, IsArray, IsIn, IsOptional, IsString, IsUrl, MaxLength } from 'class-validator';
+import { POSITION_EVENT_TYPES, PositionEventType } from '../../positions/position-event-bus.service';
+
+export class CreateWebhookDto {
+  @IsUrl({ protocols: ['https', 'http'], require_protocol: true, require_tld: false })
+  @MaxLength(2048)
+  url: string;
+
+  /** Event types to deliver; omitted or empty = all. */
+  @IsOptional()
+  @IsArray()
+  @ArrayUnique()
+  @IsIn(POSITION_EVENT_TYPES, { each: true })
+  eventTypes?: PositionEventType[];
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(255)
+  description?: string;
+}
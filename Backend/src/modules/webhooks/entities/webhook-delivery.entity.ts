@@ -0,0 +1,73 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, Index } from 'typeorm';
+import { PositionEventType } from '../../positions/position-event-bus.service';
+
+export enum WebhookDeliveryStatus {
+  PENDING = 'pending', // Waiting for its first attempt or a retry
+  DELIVERED = 'delivered', // Endpoint answered 2xx
+  FAILED = 'failed', // Attempts exhausted, or the subscription was disabled
+}
+
+/**
+ * One event sent (or to be sent) to one subscription. Rows are the delivery
+ * log shown to the user and the retry queue worked by WebhooksService.
+ */
+@Entity('webhook_deliveries')
+@Index('IDX_webhook_deliveries_status_next_attempt', ['status', 'nextAttemptAt'])
+@Index('IDX_webhook_deliveries_subscription_created', ['subscriptionId', 'createdAt'])
+export class WebhookDelivery {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column('uuid')
+  subscriptionId: string;
+
+  @Column('uuid')
+  userId: string;
+
+  @Column('uuid')
+  eventId: string; // Same for every delivery (and replay) of one event, for de-duplication
+
+  @Column({ type: 'varchar', length: 32 })
+  eventType: PositionEventType;
+
+  @Column({ type: 'jsonb' })
+  payload: Record<string, unknown>; // JSON body posted, signed afresh on every attempt
+
+  @Column({
+    type: 'enum',
+    enum: WebhookDeliveryStatus,
+    enumName: 'webhook_delivery_status_enum',
+    default: WebhookDeliveryStatus.PENDING,
+  })
+  status: WebhookDeliveryStatus;
+
+  @Column({ type: 'int', default: 0 })
+  attempts: number;
+
+  @Column({ type: 'timestamp' })
+  nextAttemptAt: Date;
+
+  @Column({ type: 'timestamp', nullable: true })
+  lockedUntil: Date | null; // Lease of the worker currently posting it
+
+  @Column({ type: 'timestamp', nullable: true })
+  lastAttemptAt: Date | null;
+
+  @Column({ type: 'int', nullable: true })
+  responseStatus: number | null; // HTTP status of the last attempt
+
+  @Column({ type: 'text', nullable: true })
+  lastError: string | null;
+
+  @Column({ type: 'timestamp', nullable: true })
+  deliveredAt: Date | null;
+
+  @Column({ type: 'uuid', nullable: true })
+  replayOf: string | null; // Delivery this one replays
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
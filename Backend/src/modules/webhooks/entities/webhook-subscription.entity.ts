@@ -0,0 +1,49 @@
+import { Entity, Column, PrimaryGeneratedColumn, CreateDateColumn, UpdateDateColumn, Index } from 'typeorm';
+import { PositionEventType } from '../../positions/position-event-bus.service';
+
+/**
+ * A user's HTTPS endpoint that receives their position and balance events,
+ * signed with the subscription's secret.
+ */
+@Entity('webhook_subscriptions')
+@Index('IDX_webhook_subscriptions_user', ['userId'])
+export class WebhookSubscription {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column('uuid')
+  userId: string;
+
+  @Column({ type: 'varchar', length: 2048 })
+  url: string;
+
+  @Column({ type: 'varchar', length: 255, nullable: true })
+  description: string | null;
+
+  @Column({ type: 'jsonb', default: () => "'[]'" })
+  eventTypes: PositionEventType[]; // Empty = every event type
+
+  @Column({ type: 'varchar', length: 128, select: false })
+  secret: string; // HMAC-SHA256 key; only returned when the subscription is created
+
+  @Column({ type: 'boolean', default: true })
+  enabled: boolean;
+
+  @Column({ type: 'int', default: 0 })
+  consecutiveFailures: number; // Failed attempts since the last successful delivery
+
+  @Column({ type: 'timestamp', nullable: true })
+  disabledAt: Date | null; // Auto-disabled after WEBHOOK_DISABLE_AFTER_FAILURES
+
+  @Column({ type: 'text', nullable: true })
+  disabledReason: string | null;
+
+  @Column({ type: 'timestamp', nullable: true })
+  lastDeliveredAt: Date | null;
+
+  @CreateDateColumn()
+  createdAt: Date;
+
+  @UpdateDateColumn()
+  updatedAt: Date;
+}
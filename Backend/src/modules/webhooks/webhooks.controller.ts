@@ -0,0 +1,105 @@
+/**
+ * Webhooks Controller
+ *
+ * Per-user webhook subscriptions and their delivery log.
+ * Protected: every endpoint requires JWT + IDOR.
+ */
+
+import {
+  Body,
+  Controller,
+  Delete,
+  ForbiddenException,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Post,
+  Query,
+  UseGuards,
+} from '@nestjs/common';
+import { WebhooksService } from './webhooks.service';
+import { WebhookSubscription } from './entities/webhook-subscription.entity';
+import { WebhookDelivery } from './entities/webhook-delivery.entity';
+import { CreateWebhookDto } from './dto/create-webhook.dto';
+import { WebhookDeliveriesQueryDto } from './dto/webhook-deliveries-query.dto';
+import { JwtAuthGuard } from '../auth/jwt-auth.guard';
+import { CurrentUser } from '../../common/decorators/current-user.decorator';
+import { User } from '../users/entities/user.entity';
+
+@Controller('users')
+@UseGuards(JwtAuthGuard)
+export class WebhooksController {
+  constructor(private readonly webhooksService: WebhooksService) {}
+
+  /**
+   * Subscribe an endpoint; the response carries the signing secret, shown only once
+   * POST /users/:id/webhooks — AUTH + IDOR
+   */
+  @Post(':id/webhooks')
+  @HttpCode(HttpStatus.CREATED)
+  async create(
+    @Param('id') id: string,
+    @CurrentUser() currentUser: User,
+    @Body() dto: CreateWebhookDto,
+  ): Promise<WebhookSubscription> {
+    if (currentUser.id !== id) throw new ForbiddenException();
+    return this.webhooksService.create(id, dto);
+  }
+
+  /**
+   * List subscriptions (without secrets)
+   * GET /users/:id/webhooks — AUTH + IDOR
+   */
+  @Get(':id/webhooks')
+  async findAll(@Param('id') id: string, @CurrentUser() currentUser: User): Promise<WebhookSubscription[]> {
+    if (currentUser.id !== id) throw new ForbiddenException();
+    return this.webhooksService.findByUser(id);
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   * DELETE /users/:id/webhooks/:webhookId — AUTH + IDOR
+   */
+  @Delete(':id/webhooks/:webhookId')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  async remove(
+    @Param('id') id: string,
+    @Param('webhookId', new ParseUUIDPipe()) webhookId: string,
+    @CurrentUser() currentUser: User,
+  ): Promise<void> {
+    if (currentUser.id !== id) throw new ForbiddenException();
+    await this.webhooksService.remove(id, webhookId);
+  }
+
+  /**
+   * Delivery log, newest first
+   * GET /users/:id/webhooks/:webhookId/deliveries?status=failed&limit=50 — AUTH + IDOR
+   */
+  @Get(':id/webhooks/:webhookId/deliveries')
+  async findDeliveries(
+    @Param('id') id: string,
+    @Param('webhookId', new ParseUUIDPipe()) webhookId: string,
+    @Query() query: WebhookDeliveriesQueryDto,
+    @CurrentUser() currentUser: User,
+  ): Promise<WebhookDelivery[]> {
+    if (currentUser.id !== id) throw new ForbiddenException();
+    return this.webhooksService.findDeliveries(id, webhookId, query);
+  }
+
+  /**
+   * Send a past delivery's event again (re-enables a disabled subscription)
+   * POST /users/:id/webhooks/:webhookId/deliveries/:deliveryId/replay — AUTH + IDOR
+   */
+  @Post(':id/webhooks/:webhookId/deliveries/:deliveryId/replay')
+  async replay(
+    @Param('id') id: string,
+    @Param('webhookId', new ParseUUIDPipe()) webhookId: string,
+    @Param('deliveryId', new ParseUUIDPipe()) deliveryId: string,
+    @CurrentUser() currentUser: User,
+  ): Promise<WebhookDelivery> {
+    if (currentUser.id !== id) throw new ForbiddenException();
+    return this.webhooksService.replay(id, webhookId, deliveryId);
+  }
+}
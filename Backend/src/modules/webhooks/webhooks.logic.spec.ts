@@ -0,0 +1,72 @@
+import { createHmac } from 'crypto';
+import {
+  generateWebhookSecret,
+  isNonPublicAddress,
+  matchesEventFilter,
+  verifyWebhookSignature,
+  webhookRetryDelayMs,
+  webhookHost,
+  webhookSignatureHeader,
+} from './webhooks.logic';
+
+describe('webhooks.logic', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const body = '{"id":"evt-1","type":"EXECUTED"}';
+
+  it('signs the timestamp and raw body with HMAC-SHA256', () => {
+    const expected = createHmac('sha256', 'whsec_test').update(`${timestamp}.${body}`).digest('hex');
+
+    expect(webhookSignatureHeader('whsec_test', timestamp, body)).toBe(`t=${timestamp},v1=${expected}`);
+  });
+
+  it('verifies only an untampered, recent signature made with the same secret', () => {
+    const header = webhookSignatureHeader('whsec_test', timestamp, body);
+
+    expect(verifyWebhookSignature('whsec_test', header, body, now)).toBe(true);
+    expect(verifyWebhookSignature('whsec_other', header, body, now)).toBe(false);
+    expect(verifyWebhookSignature('whsec_test', header, body.replace('EXECUTED', 'FAILED'), now)).toBe(false);
+    expect(verifyWebhookSignature('whsec_test', header, body, new Date(now.getTime() + 301_000))).toBe(false);
+    expect(verifyWebhookSignature('whsec_test', 'v1=abc', body, now)).toBe(false);
+  });
+
+  it('treats an empty event filter as every event type', () => {
+    expect(matchesEventFilter([], 'LIQUIDATED')).toBe(true);
+    expect(matchesEventFilter(null, 'BALANCE_CHANGED')).toBe(true);
+    expect(matchesEventFilter(['EXECUTED', 'LIQUIDATED'], 'LIQUIDATED')).toBe(true);
+    expect(matchesEventFilter(['EXECUTED'], 'BALANCE_CHANGED')).toBe(false);
+  });
+
+  it('backs off exponentially up to an hour', () => {
+    expect(webhookRetryDelayMs(1)).toBe(30_000);
+    expect(webhookRetryDelayMs(2)).toBe(60_000);
+    expect(webhookRetryDelayMs(4)).toBe(240_000);
+    expect(webhookRetryDelayMs(20)).toBe(3_600_000);
+  });
+
+  it('generates distinct prefixed secrets', () => {
+    const secret = generateWebhookSecret();
+
+    expect(secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+    expect(generateWebhookSecret()).not.toBe(secret);
+  });
+
+  it('treats loopback, private, link-local and reserved addresses as non-public', () => {
+    for (const address of [
+      '127.0.0.1', '10.0.0.1', '172.31.255.255', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '224.0.0.1', '255.255.255.255', '::', '::1', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe',
+    ]) {
+      expect([address, isNonPublicAddress(address)]).toEqual([address, true]);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+      expect([address, isNonPublicAddress(address)]).toEqual([address, false]);
+    }
+    expect(isNonPublicAddress('bots.example')).toBe(true);
+  });
+
+  it('extracts the host of a webhook URL without IPv6 brackets', () => {
+    expect(webhookHost('https://bots.example:8443/hook')).toBe('bots.example');
+    expect(webhookHost('https://[::1]/hook')).toBe('::1');
+    expect(webhookHost('https://2130706433/hook')).toBe('127.0.0.1');
+  });
+});
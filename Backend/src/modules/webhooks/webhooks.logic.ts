@@ -0,0 +1,143 @@
+/**
+ * Webhooks Logic
+ *
+ * Pure rules for WebhooksService: payload signing, event filters, retry
+ * backoff and which endpoint addresses may be called.
+ *
+ * Every request carries `X-Webhook-Signature: t=<unix seconds>,v1=<hex>`, where
+ * the hex is HMAC-SHA256(secret, `${t}.${rawBody}`). Receivers recompute it
+ * over the raw body and reject stale timestamps to stop replays.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { LookupAddress } from 'dns';
+import { BlockList, LookupFunction, isIP } from 'net';
+import { PositionEventType } from '../positions/position-event-bus.service';
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const WEBHOOK_EVENT_HEADER = 'X-Webhook-Event';
+export const WEBHOOK_DELIVERY_HEADER = 'X-Webhook-Delivery';
+
+export const WEBHOOK_RETRY_BASE_MS = 30_000;
+export const WEBHOOK_RETRY_MAX_MS = 60 * 60_000;
+
+/** Receivers should reject signatures older than this. */
+export const WEBHOOK_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+export function generateWebhookSecret(): string {
+  return `whsec_${randomBytes(32).toString('hex')}`;
+}
+
+export function signWebhookPayload(secret: string, timestamp: number, body: string): string {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function webhookSignatureHeader(secret: string, timestamp: number, body: string): string {
+  return `t=${timestamp},v1=${signWebhookPayload(secret, timestamp, body)}`;
+}
+
+/**
+ * Receiver-side check of a signature header, in constant time. Used by the
+ * tests and documented for integrators.
+ */
+export function verifyWebhookSignature(
+  secret: string,
+  header: string,
+  body: string,
+  now = new Date(),
+  toleranceSeconds = WEBHOOK_SIGNATURE_TOLERANCE_SECONDS,
+): boolean {
+  const parts = new Map(
+    header.split(',').map(part => {
+      const [key, ...value] = part.trim().split('=');
+      return [key, value.join('=')] as [string, string];
+    }),
+  );
+  const timestamp = Number(parts.get('t'));
+  const signature = parts.get('v1');
+  if (!Number.isInteger(timestamp) || !signature) {
+    return false;
+  }
+  if (Math.abs(Math.floor(now.getTime() / 1000) - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/** An empty filter subscribes to every event type. */
+export function matchesEventFilter(eventTypes: PositionEventType[] | null | undefined, type: PositionEventType): boolean {
+  return !eventTypes?.length || eventTypes.includes(type);
+}
+
+/** Delay before retry number `attempts` (1-based), doubling up to WEBHOOK_RETRY_MAX_MS. */
+export function webhookRetryDelayMs(attempts: number): number {
+  return Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), WEBHOOK_RETRY_MAX_MS);
+}
+
+export function isSuccessfulResponse(status: number): boolean {
+  return status >= 200 && status < 300;
+}
+
+/**
+ * Addresses a webhook must never reach: this host, private networks, link-local
+ * (incl. the 169.254.169.254 cloud metadata endpoint) and other non-public
+ * ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ */
+const NON_PUBLIC_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+] as const) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+] as const) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/** True for an IP address a webhook may not be delivered to; anything that is not an IP counts as not public. */
+export function isNonPublicAddress(address: string): boolean {
+  const family = isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/** Host of a webhook URL as DNS or an IP literal expects it (IPv6 without brackets). */
+export function webhookHost(url: string): string {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * Socket lookup that answers with addresses already checked by the caller
+ * instead of resolving the host again, so DNS cannot be re-pointed between
+ * the check and the connection. TLS SNI and the Host header keep the name.
+ */
+export function pinnedLookup(addresses: LookupAddress[]): LookupFunction {
+  return (_hostname, options, callback) => {
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  };
+}
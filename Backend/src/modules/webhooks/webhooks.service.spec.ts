@@ -0,0 +1,266 @@
+import { Test, TestingModule } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { getDataSourceToken, getRepositoryToken } from '@nestjs/typeorm';
+import { BadRequestException } from '@nestjs/common';
+import { promises as dns } from 'dns';
+import axios from 'axios';
+import { WebhooksService } from './webhooks.service';
+import { WebhookSubscription } from './entities/webhook-subscription.entity';
+import { WebhookDelivery, WebhookDeliveryStatus } from './entities/webhook-delivery.entity';
+import { PositionEvent, PositionEventBusService } from '../positions/position-event-bus.service';
+import { PositionEventRecord } from '../positions/entities/position-event.entity';
+import { verifyWebhookSignature } from './webhooks.logic';
+
+describe('WebhooksService', () => {
+  let service: WebhooksService;
+  let eventBus: PositionEventBusService;
+  let subscriptions: WebhookSubscription[];
+  let subscriptionRepository: Record<string, jest.Mock>;
+  let deliveryRepository: Record<string, jest.Mock>;
+  let postMock: jest.SpyInstance;
+  let lookupMock: jest.SpyInstance;
+
+  const now = new Date('2026-03-10T12:00:00Z');
+  const responded = (status: number) => ({ status, data: { destroy: jest.fn() } });
+
+  const subscription = (overrides: Partial<WebhookSubscription> = {}): WebhookSubscription => ({
+    id: 'sub-1',
+    userId: 'user-1',
+    url: 'https://bots.example/hook',
+    description: null,
+    eventTypes: [],
+    secret: 'whsec_test',
+    enabled: true,
+    consecutiveFailures: 0,
+    disabledAt: null,
+    disabledReason: null,
+    lastDeliveredAt: null,
+    ...overrides,
+  }) as WebhookSubscription;
+
+  const delivery = (overrides: Partial<WebhookDelivery> = {}): WebhookDelivery => ({
+    id: 'del-1',
+    subscriptionId: 'sub-1',
+    userId: 'user-1',
+    eventId: 'evt-1',
+    eventType: 'EXECUTED',
+    payload: { id: 'evt-1', type: 'EXECUTED' },
+    status: WebhookDeliveryStatus.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    ...overrides,
+  }) as WebhookDelivery;
+
+  const event: PositionEvent = { type: 'EXECUTED', positionId: 'pos-1', status: 'ACTIVE', timestamp: now };
+
+  beforeEach(async () => {
+    subscriptions = [subscription()];
+    subscriptionRepository = {
+      find: jest.fn(async ({ where }) => subscriptions.filter(s => s.userId === where.userId && s.enabled)),
+      findOne: jest.fn(async ({ where }) => subscriptions.find(s => s.id === where.id) ?? null),
+      count: jest.fn(async () => subscriptions.length),
+      create: jest.fn(d => d),
+      save: jest.fn(async d => ({ id: 'sub-new', ...d })),
+      update: jest.fn(),
+      delete: jest.fn(),
+    };
+    let nextId = 0;
+    deliveryRepository = {
+      find: jest.fn(async () => []),
+      findOne: jest.fn(async () => delivery({ status: WebhookDeliveryStatus.FAILED, attempts: 8 })),
+      create: jest.fn(d => d),
+      save: jest.fn(async d => (Array.isArray(d) ? d.map(x => ({ id: `del-${++nextId}`, ...x })) : { id: 'del-replay', ...d })),
+      update: jest.fn(),
+      delete: jest.fn(),
+    };
+    postMock = jest.spyOn(axios, 'post').mockResolvedValue(responded(200));
+    lookupMock = jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }] as any);
+
+    const module: TestingModule = await Test.createTestingModule({
+      providers: [
+        WebhooksService,
+        PositionEventBusService,
+        { provide: getRepositoryToken(WebhookSubscription), useValue: subscriptionRepository },
+        { provide: getRepositoryToken(WebhookDelivery), useValue: deliveryRepository },
+        {
+          provide: getRepositoryToken(PositionEventRecord),
+          useValue: { create: jest.fn(d => d), save: jest.fn(async d => ({ id: '1', ...d })) },
+        },
+        { provide: getDataSourceToken(), useValue: { driver: {} } },
+        { provide: ConfigService, useValue: { get: (_key: string, fallback?: unknown) => fallback } },
+      ],
+    }).compile();
+
+    service = module.get(WebhooksService);
+    eventBus = module.get(PositionEventBusService);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts each event to the matching subscriptions with a verifiable signature', async () => {
+    subscriptions.push(subscription({ id: 'sub-2', eventTypes: ['LIQUIDATED'] }));
+
+    const [sent, ...others] = await service.dispatch('user-1', event, now);
+
+    expect(others).toHaveLength(0);
+    expect(sent).toMatchObject({ subscriptionId: 'sub-1', status: WebhookDeliveryStatus.DELIVERED, attempts: 1 });
+    const [url, body, config] = postMock.mock.calls[0];
+    expect(url).toBe('https://bots.example/hook');
+    expect(JSON.parse(body)).toMatchObject({
+      type: 'EXECUTED',
+      userId: 'user-1',
+      createdAt: now.toISOString(),
+      data: { positionId: 'pos-1', status: 'ACTIVE' },
+    });
+    expect(config.headers['X-Webhook-Event']).toBe('EXECUTED');
+    expect(verifyWebhookSignature('whsec_test', config.headers['X-Webhook-Signature'], body, now)).toBe(true);
+    expect(config).toMatchObject({ maxRedirects: 0, proxy: false });
+    expect(subscriptionRepository.update).toHaveBeenCalledWith({ id: 'sub-1' }, { consecutiveFailures: 0, lastDeliveredAt: now });
+  });
+
+  it('delivers events published on the position event bus', async () => {
+    service.onModuleInit();
+
+    eventBus.emit('user-1', event);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(postMock).toHaveBeenCalledTimes(1);
+    service.onModuleDestroy();
+  });
+
+  it('schedules a retry with backoff when the endpoint fails', async () => {
+    postMock.mockResolvedValue(responded(503));
+
+    const result = await service.attempt(delivery({ attempts: 2 }), now);
+
+    expect(result).toMatchObject({
+      status: WebhookDeliveryStatus.PENDING,
+      attempts: 3,
+      responseStatus: 503,
+      lastError: 'Endpoint responded with HTTP 503',
+      nextAttemptAt: new Date(now.getTime() + 120_000),
+    });
+    expect(subscriptionRepository.update).toHaveBeenCalledWith({ id: 'sub-1' }, { consecutiveFailures: 1 });
+  });
+
+  it('gives up on a delivery after the last attempt', async () => {
+    postMock.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await service.attempt(delivery({ attempts: 7 }), now);
+
+    expect(result).toMatchObject({ status: WebhookDeliveryStatus.FAILED, attempts: 8, lastError: 'connect ECONNREFUSED' });
+  });
+
+  it('disables a subscription after repeated failures and stops posting to it', async () => {
+    postMock.mockResolvedValue(responded(500));
+    subscriptions[0].consecutiveFailures = 14;
+
+    await service.attempt(delivery(), now);
+
+    expect(subscriptionRepository.update).toHaveBeenCalledWith({ id: 'sub-1' }, expect.objectContaining({
+      consecutiveFailures: 15,
+      enabled: false,
+      disabledAt: now,
+    }));
+
+    subscriptions[0].enabled = false;
+    postMock.mockClear();
+    const next = await service.attempt(delivery({ id: 'del-2' }), now);
+
+    expect(postMock).not.toHaveBeenCalled();
+    expect(next).toMatchObject({ status: WebhookDeliveryStatus.FAILED, lastError: 'Webhook is disabled' });
+  });
+
+  it('replays a delivery as a new one for the same event and re-enables the subscription', async () => {
+    subscriptions[0].enabled = false;
+    subscriptionRepository.update.mockImplementation(async (_where, changes) => Object.assign(subscriptions[0], changes));
+
+    const replay = await service.replay('user-1', 'sub-1', 'del-1', now);
+
+    expect(subscriptions[0]).toMatchObject({ enabled: true, consecutiveFailures: 0, disabledAt: null });
+    expect(replay).toMatchObject({
+      id: 'del-replay',
+      eventId: 'evt-1',
+      replayOf: 'del-1',
+      status: WebhookDeliveryStatus.DELIVERED,
+      attempts: 1,
+    });
+  });
+
+  it('only accepts https endpoints and returns the secret on creation', async () => {
+    await expect(service.create('user-1', { url: 'http://bots.example/hook' })).rejects.toThrow(BadRequestException);
+
+    const created = await service.create('user-1', { url: 'https://bots.example/other', eventTypes: ['FAILED'] });
+
+    expect(created).toMatchObject({ userId: 'user-1', eventTypes: ['FAILED'], enabled: true });
+    expect(created.secret).toMatch(/^whsec_/);
+  });
+
+  it.each([
+    'https://127.0.0.1/hook',
+    'https://localhost/hook',
+    'https://10.1.2.3/hook',
+    'https://172.16.0.1/hook',
+    'https://192.168.1.10/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://0.0.0.0/hook',
+    'https://[::1]/hook',
+    'https://[fd00::1]/hook',
+    'https://[fe80::1]/hook',
+    'https://[::ffff:127.0.0.1]/hook',
+  ])('rejects an endpoint on a non-public address: %s', async url => {
+    lookupMock.mockResolvedValue([{ address: '127.0.0.1', family: 4 }] as any);
+
+    await expect(service.create('user-1', { url })).rejects.toThrow(/non-public address/);
+    expect(subscriptionRepository.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects a host that resolves to a private address among public ones', async () => {
+    lookupMock.mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '192.168.1.10', family: 4 },
+    ] as any);
+
+    await expect(service.create('user-1', { url: 'https://intranet.example/hook' })).rejects.toThrow(
+      'Webhook host intranet.example resolves to non-public address 192.168.1.10',
+    );
+  });
+
+  it('rejects a host that does not resolve', async () => {
+    lookupMock.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+    await expect(service.create('user-1', { url: 'https://nowhere.example/hook' })).rejects.toThrow(BadRequestException);
+  });
+
+  it('checks the host again before each delivery, so a rebound DNS name is not called', async () => {
+    lookupMock.mockResolvedValue([{ address: '169.254.169.254', family: 4 }] as any);
+
+    const result = await service.attempt(delivery(), now);
+
+    expect(postMock).not.toHaveBeenCalled();
+    expect(lookupMock).toHaveBeenCalledWith('bots.example', { all: true, verbatim: true });
+    expect(result).toMatchObject({
+      status: WebhookDeliveryStatus.PENDING,
+      attempts: 1,
+      lastError: 'Webhook host bots.example resolves to non-public address 169.254.169.254',
+    });
+  });
+
+  it('connects to the checked address even when the host resolves elsewhere by the time it connects', async () => {
+    lookupMock
+      .mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }] as any)
+      .mockResolvedValue([{ address: '127.0.0.1', family: 4 }] as any);
+
+    const result = await service.attempt(delivery(), now);
+
+    expect(result.status).toBe(WebhookDeliveryStatus.DELIVERED);
+    const { lookup } = postMock.mock.calls[0][2].httpsAgent.options;
+    const connectTo = (options: { all?: boolean }) =>
+      new Promise(resolve => lookup('bots.example', options, (_err: Error | null, ...answer: unknown[]) => resolve(answer)));
+    expect(await connectTo({ all: true })).toEqual([[{ address: '93.184.216.34', family: 4 }]]);
+    expect(await connectTo({})).toEqual(['93.184.216.34', 4]);
+    expect(lookupMock).toHaveBeenCalledTimes(1);
+  });
+});
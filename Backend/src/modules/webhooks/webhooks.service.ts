@@ -0,0 +1,435 @@
+/**
+ * Webhooks Service
+ *
+ * Delivers everything published on PositionEventBusService (CREATED,
+ * EXECUTED, LIQUIDATED, FAILED, STATUS_CHANGE, BALANCE_CHANGED) to the
+ * owner's webhook subscriptions, as HMAC-SHA256 signed JSON POSTs.
+ *
+ * Each event becomes one webhook_deliveries row per matching subscription,
+ * attempted right away. Failed attempts are retried by a poller with
+ * exponential backoff until WEBHOOK_MAX_ATTEMPTS; a subscription that fails
+ * WEBHOOK_DISABLE_AFTER_FAILURES attempts in a row is disabled. Replaying a
+ * delivery posts the same event again and re-enables a disabled subscription.
+ *
+ * Endpoint hosts are resolved on creation and again before every post; a host
+ * resolving to a loopback, private or link-local address is refused, so a
+ * webhook cannot be pointed (or re-pointed through DNS) at internal services.
+ * The post connects to the addresses that were checked, not to a fresh
+ * resolution of the host.
+ */
+
+import { BadRequestException, Injectable, Logger, NotFoundException, OnModuleDestroy, OnModuleInit } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { In, Repository } from 'typeorm';
+import { randomUUID } from 'crypto';
+import { LookupAddress, promises as dns } from 'dns';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import axios from 'axios';
+import { isIP } from 'net';
+import { Subscription } from 'rxjs';
+import { WebhookSubscription } from './entities/webhook-subscription.entity';
+import { WebhookDelivery, WebhookDeliveryStatus } from './entities/webhook-delivery.entity';
+import { CreateWebhookDto } from './dto/create-webhook.dto';
+import { PositionEvent, PositionEventBusService } from '../positions/position-event-bus.service';
+import {
+  WEBHOOK_DELIVERY_HEADER,
+  WEBHOOK_EVENT_HEADER,
+  WEBHOOK_SIGNATURE_HEADER,
+  generateWebhookSecret,
+  isNonPublicAddress,
+  isSuccessfulResponse,
+  matchesEventFilter,
+  pinnedLookup,
+  webhookHost,
+  webhookRetryDelayMs,
+  webhookSignatureHeader,
+} from './webhooks.logic';
+
+const MAX_ERROR_LENGTH = 1000;
+const LIST_LIMIT = 100;
+
+export interface WebhookDeliveryFilter {
+  status?: WebhookDeliveryStatus;
+  limit?: number;
+}
+
+@Injectable()
+export class WebhooksService implements OnModuleInit, OnModuleDestroy {
+  private readonly logger = new Logger(WebhooksService.name);
+  private readonly enabled: boolean;
+  private isProcessing = false;
+  private eventSubscription?: Subscription;
+
+  constructor(
+    @InjectRepository(WebhookSubscription)
+    private subscriptionRepository: Repository<WebhookSubscription>,
+    @InjectRepository(WebhookDelivery)
+    private deliveryRepository: Repository<WebhookDelivery>,
+    private positionEventBus: PositionEventBusService,
+    private configService: ConfigService,
+  ) {
+    this.enabled = this.configService.get<boolean>('ENABLE_WEBHOOK_WORKER', true);
+  }
+
+  get maxAttempts(): number {
+    return Number(this.configService.get('WEBHOOK_MAX_ATTEMPTS', 8));
+  }
+
+  get disableAfterFailures(): number {
+    return Number(this.configService.get('WEBHOOK_DISABLE_AFTER_FAILURES', 15));
+  }
+
+  get timeoutMs(): number {
+    return Number(this.configService.get('WEBHOOK_TIMEOUT_MS', 10_000));
+  }
+
+  get batchSize(): number {
+    return Number(this.configService.get('WEBHOOK_BATCH_SIZE', 50));
+  }
+
+  get maxPerUser(): number {
+    return Number(this.configService.get('WEBHOOK_MAX_PER_USER', 10));
+  }
+
+  /** Local development only: lets webhooks reach loopback and private addresses. */
+  get allowPrivateHosts(): boolean {
+    return String(this.configService.get('WEBHOOK_ALLOW_PRIVATE_HOSTS', false)) === 'true';
+  }
+
+  /** An attempt not finished within this lease is picked up again by the poller. */
+  get leaseMs(): number {
+    return this.timeoutMs + 30_000;
+  }
+
+  onModuleInit() {
+    this.eventSubscription = this.positionEventBus
+      .subscribeAll()
+      .subscribe(({ userId, ...event }) => void this.dispatch(userId, event));
+    this.logger.log(
+      `WebhooksService initialized (retry worker: ${this.enabled}, max attempts: ${this.maxAttempts}, ` +
+      `disable after: ${this.disableAfterFailures})`,
+    );
+  }
+
+  onModuleDestroy() {
+    this.eventSubscription?.unsubscribe();
+  }
+
+  /** The returned subscription is the only response that includes its secret. */
+  async create(userId: string, dto: CreateWebhookDto): Promise<WebhookSubscription> {
+    if (!dto.url.startsWith('https://') && String(this.configService.get('WEBHOOK_ALLOW_HTTP', false)) !== 'true') {
+      throw new BadRequestException('Webhook URL must use https');
+    }
+    if ((await this.subscriptionRepository.count({ where: { userId } })) >= this.maxPerUser) {
+      throw new BadRequestException(`At most ${this.maxPerUser} webhooks per user`);
+    }
+    await this.resolvePublicEndpoint(dto.url);
+
+    const subscription = await this.subscriptionRepository.save(
+      this.subscriptionRepository.create({
+        userId,
+        url: dto.url,
+        description: dto.description ?? null,
+        eventTypes: dto.eventTypes ?? [],
+        secret: generateWebhookSecret(),
+        enabled: true,
+        consecutiveFailures: 0,
+      }),
+    );
+    this.logger.log(`Webhook ${subscription.id} created for user ${userId}`);
+    return subscription;
+  }
+
+  async findByUser(userId: string): Promise<WebhookSubscription[]> {
+    return this.subscriptionRepository.find({ where: { userId }, order: { createdAt: 'ASC' } });
+  }
+
+  /** Deletes the subscription together with its delivery log. */
+  async remove(userId: string, id: string): Promise<void> {
+    await this.findOwned(userId, id);
+    await this.deliveryRepository.delete({ subscriptionId: id });
+    await this.subscriptionRepository.delete({ id });
+    this.logger.log(`Webhook ${id} of user ${userId} deleted`);
+  }
+
+  async findDeliveries(userId: string, subscriptionId: string, filter: WebhookDeliveryFilter = {}): Promise<WebhookDelivery[]> {
+    await this.findOwned(userId, subscriptionId);
+    return this.deliveryRepository.find({
+      where: { subscriptionId, ...(filter.status ? { status: filter.status } : {}) },
+      order: { createdAt: 'DESC' },
+      take: Math.min(filter.limit ?? LIST_LIMIT, LIST_LIMIT),
+    });
+  }
+
+  /**
+   * Post a past delivery's event again, as a new delivery with the same
+   * eventId. A subscription disabled after repeated failures is re-enabled,
+   * so replaying is how an owner brings back an endpoint they fixed.
+   */
+  async replay(userId: string, subscriptionId: string, deliveryId: string, now = new Date()): Promise<WebhookDelivery> {
+    const subscription = await this.findOwned(userId, subscriptionId);
+    const original = await this.deliveryRepository.findOne({ where: { id: deliveryId, subscriptionId } });
+    if (!original) {
+      throw new NotFoundException(`Delivery ${deliveryId} not found`);
+    }
+
+    if (!subscription.enabled) {
+      await this.subscriptionRepository.update(
+        { id: subscriptionId },
+        { enabled: true, consecutiveFailures: 0, disabledAt: null, disabledReason: null },
+      );
+      this.logger.log(`Webhook ${subscriptionId} re-enabled by replay`);
+    }
+
+    const replay = await this.deliveryRepository.save(
+      this.deliveryRepository.create({
+        subscriptionId,
+        userId,
+        eventId: original.eventId,
+        eventType: original.eventType,
+        payload: original.payload,
+        status: WebhookDeliveryStatus.PENDING,
+        attempts: 0,
+        nextAttemptAt: now,
+        lockedUntil: new Date(now.getTime() + this.leaseMs),
+        replayOf: original.id,
+      }),
+    );
+    return this.attempt(replay, now);
+  }
+
+  /**
+   * Queue an event for every matching enabled subscription of the user and
+   * attempt each delivery once; failures are left to the retry poller.
+   */
+  async dispatch(userId: string, event: PositionEvent, now = new Date()): Promise<WebhookDelivery[]> {
+    try {
+      const subscriptions = (await this.subscriptionRepository.find({ where: { userId, enabled: true } }))
+        .filter(subscription => matchesEventFilter(subscription.eventTypes, event.type));
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      const eventId = randomUUID();
+      const payload = {
+        id: eventId,
+        type: event.type,
+        userId,
+        createdAt: new Date(event.timestamp).toISOString(),
+        data: event,
+      };
+      const deliveries = await this.deliveryRepository.save(
+        subscriptions.map(subscription =>
+          this.deliveryRepository.create({
+            subscriptionId: subscription.id,
+            userId,
+            eventId,
+            eventType: event.type,
+            payload: JSON.parse(JSON.stringify(payload)),
+            status: WebhookDeliveryStatus.PENDING,
+            attempts: 0,
+            nextAttemptAt: now,
+            lockedUntil: new Date(now.getTime() + this.leaseMs),
+          }),
+        ),
+      );
+
+      return await Promise.all(deliveries.map(delivery => this.attempt(delivery, now)));
+    } catch (error) {
+      this.logger.error(`Failed to dispatch ${event.type} webhooks for user ${userId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  @Cron(CronExpression.EVERY_10_SECONDS)
+  async retryDue(now = new Date()): Promise<number> {
+    if (!this.enabled || this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+    try {
+      const deliveries = await this.claimDueDeliveries(now);
+      for (const delivery of deliveries) {
+        await this.attempt(delivery, now);
+      }
+      return deliveries.length;
+    } catch (error) {
+      this.logger.error(`Webhook retry tick failed: ${error.message}`);
+      return 0;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Lease up to batchSize due deliveries. Rows locked by another replica's
+   * claim are skipped rather than waited on.
+   */
+  async claimDueDeliveries(now = new Date()): Promise<WebhookDelivery[]> {
+    return this.deliveryRepository.manager.transaction(async em => {
+      const due = await em
+        .getRepository(WebhookDelivery)
+        .createQueryBuilder('delivery')
+        .setLock('pessimistic_write')
+        .setOnLocked('skip_locked')
+        .where('delivery.status = :status', { status: WebhookDeliveryStatus.PENDING })
+        .andWhere('delivery.nextAttemptAt <= :now', { now })
+        .andWhere('(delivery.lockedUntil IS NULL OR delivery.lockedUntil < :now)', { now })
+        .orderBy('delivery.nextAttemptAt', 'ASC')
+        .limit(this.batchSize)
+        .getMany();
+
+      if (due.length > 0) {
+        await em.update(
+          WebhookDelivery,
+          { id: In(due.map(d => d.id)) },
+          { lockedUntil: new Date(now.getTime() + this.leaseMs) },
+        );
+      }
+      return due;
+    });
+  }
+
+  /**
+   * Post one delivery and record the outcome on it and its subscription.
+   * @returns the delivery as updated
+   */
+  async attempt(delivery: WebhookDelivery, now = new Date()): Promise<WebhookDelivery> {
+    const subscription = await this.subscriptionRepository.findOne({
+      where: { id: delivery.subscriptionId },
+      select: { id: true, userId: true, url: true, secret: true, enabled: true, consecutiveFailures: true },
+    });
+    if (!subscription?.enabled) {
+      return this.updateDelivery(delivery, {
+        status: WebhookDeliveryStatus.FAILED,
+        lockedUntil: null,
+        lastError: subscription ? 'Webhook is disabled' : 'Webhook was deleted',
+      });
+    }
+
+    const attempts = delivery.attempts + 1;
+    let responseStatus: number | null = null;
+    let error: string | null = null;
+    try {
+      responseStatus = await this.post(subscription, delivery, now);
+      if (!isSuccessfulResponse(responseStatus)) {
+        error = `Endpoint responded with HTTP ${responseStatus}`;
+      }
+    } catch (err) {
+      error = String(err?.message ?? err).slice(0, MAX_ERROR_LENGTH);
+    }
+
+    if (!error) {
+      await this.subscriptionRepository.update({ id: subscription.id }, { consecutiveFailures: 0, lastDeliveredAt: now });
+      return this.updateDelivery(delivery, {
+        status: WebhookDeliveryStatus.DELIVERED,
+        attempts,
+        lastAttemptAt: now,
+        lockedUntil: null,
+        responseStatus,
+        lastError: null,
+        deliveredAt: now,
+      });
+    }
+
+    this.logger.warn(`Webhook delivery ${delivery.id} attempt ${attempts} failed: ${error}`);
+    await this.recordFailure(subscription, error, now);
+
+    const exhausted = attempts >= this.maxAttempts;
+    return this.updateDelivery(delivery, {
+      status: exhausted ? WebhookDeliveryStatus.FAILED : WebhookDeliveryStatus.PENDING,
+      attempts,
+      lastAttemptAt: now,
+      lockedUntil: null,
+      nextAttemptAt: exhausted ? delivery.nextAttemptAt : new Date(now.getTime() + webhookRetryDelayMs(attempts)),
+      responseStatus,
+      lastError: error,
+    });
+  }
+
+  private async post(subscription: WebhookSubscription, delivery: WebhookDelivery, now: Date): Promise<number> {
+    const addresses = await this.resolvePublicEndpoint(subscription.url);
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const lookup = addresses ? pinnedLookup(addresses) : undefined;
+
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        [WEBHOOK_EVENT_HEADER]: delivery.eventType,
+        [WEBHOOK_DELIVERY_HEADER]: delivery.id,
+        [WEBHOOK_SIGNATURE_HEADER]: webhookSignatureHeader(subscription.secret, timestamp, body),
+      },
+      httpAgent: lookup && new HttpAgent({ lookup }),
+      httpsAgent: lookup && new HttpsAgent({ lookup }),
+      proxy: false,
+      maxRedirects: 0,
+      responseType: 'stream',
+      validateStatus: () => true,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    response.data.destroy();
+    return response.status;
+  }
+
+  /**
+   * Resolve the URL's host and refuse it unless every address it resolves to
+   * is public. Returns the checked addresses, or null when private hosts are
+   * allowed and the host is left to normal resolution.
+   */
+  private async resolvePublicEndpoint(url: string): Promise<LookupAddress[] | null> {
+    if (this.allowPrivateHosts) {
+      return null;
+    }
+
+    const host = webhookHost(url);
+    const addresses = isIP(host)
+      ? [{ address: host, family: isIP(host) }]
+      : await dns.lookup(host, { all: true, verbatim: true }).catch(() => [] as LookupAddress[]);
+    if (addresses.length === 0) {
+      throw new BadRequestException(`Webhook host ${host} could not be resolved`);
+    }
+    const blocked = addresses.find(({ address }) => isNonPublicAddress(address));
+    if (blocked) {
+      throw new BadRequestException(`Webhook host ${host} resolves to non-public address ${blocked.address}`);
+    }
+    return addresses;
+  }
+
+  /** Count a failed attempt against the subscription; disable it once the streak reaches the limit. */
+  private async recordFailure(subscription: WebhookSubscription, error: string, now: Date): Promise<void> {
+    const consecutiveFailures = subscription.consecutiveFailures + 1;
+    if (consecutiveFailures < this.disableAfterFailures) {
+      await this.subscriptionRepository.update({ id: subscription.id }, { consecutiveFailures });
+      return;
+    }
+
+    await this.subscriptionRepository.update(
+      { id: subscription.id },
+      {
+        consecutiveFailures,
+        enabled: false,
+        disabledAt: now,
+        disabledReason: `${consecutiveFailures} consecutive failed deliveries; last: ${error}`.slice(0, MAX_ERROR_LENGTH),
+      },
+    );
+    this.logger.warn(`Webhook ${subscription.id} of user ${subscription.userId} disabled after ${consecutiveFailures} failures`);
+  }
+
+  private async updateDelivery(delivery: WebhookDelivery, changes: Partial<WebhookDelivery>): Promise<WebhookDelivery> {
+    await this.deliveryRepository.update({ id: delivery.id }, changes);
+    return { ...delivery, ...changes };
+  }
+
+  private async findOwned(userId: string, id: string): Promise<WebhookSubscription> {
+    const subscription = await this.subscriptionRepository.findOne({ where: { id, userId } });
+    if (!subscription) {
+      throw new NotFoundException(`Webhook ${id} not found`);
+    }
+    return subscription;
+  }
+}
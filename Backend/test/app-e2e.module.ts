@@ -8,6 +8,7 @@ import { PoolsService } from '../src/modules/pools/pools.service';
 import { Pool } from '../src/modules/pools/entities/pool.entity';
 import { Dex } from '../src/modules/pools/entities/dex.entity';
 import { PoolScannerService } from '../src/modules/pools/pool-scanner.service';
+import { PoolHistoryService } from '../src/modules/pools/pool-history.service';
 
 import { PreferencesController } from '../src/modules/preferences/preferences.controller';
 import { PreferencesService } from '../src/modules/preferences/preferences.service';
@@ -18,6 +19,7 @@ import { Position } from '../src/modules/positions/entities/position.entity';
 
 import { InvestmentDecisionController } from '../src/modules/investment-decision/investment-decision.controller';
 import { InvestmentDecisionService } from '../src/modules/investment-decision/investment-decision.service';
+import { BacktestService } from '../src/modules/investment-decision/backtest.service';
 import { User } from '../src/modules/users/entities/user.entity';
 
 import { AssetHubService } from '../src/modules/blockchain/services/asset-hub.service';
@@ -138,8 +140,17 @@ const positionFixtures = [
         syncPools: jest.fn(async () => undefined),
       },
     },
+    {
+      provide: PoolHistoryService,
+      useValue: {
+        getHistory: jest.fn(),
+        getAverageApr: jest.fn(async () => new Map()),
+        findSnapshots: jest.fn(async () => []),
+      },
+    },
     PreferencesService,
     InvestmentDecisionService,
+    BacktestService,
 
     // --- Mock repositories ---
     {
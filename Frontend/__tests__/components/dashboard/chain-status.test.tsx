@@ -0,0 +1,44 @@
+import { render, screen } from '@testing-library/react'
+import { ChainStatus } from '@/components/dashboard/chain-status'
+import { useChainStatus } from '@/lib/hooks/use-chain-status'
+import { mockChainStatus } from '@/lib/mock/chain-status'
+import type { ChainStatusSnapshot } from '@/lib/types/chain-status'
+
+jest.mock('@/lib/hooks/use-chain-status', () => ({ useChainStatus: jest.fn() }))
+
+const mockUseChainStatus = useChainStatus as jest.Mock
+
+function withStatus(data: ChainStatusSnapshot | undefined) {
+  mockUseChainStatus.mockReturnValue({ data, checkedAt: data ? new Date(Date.now() - 5_000).toISOString() : null })
+}
+
+describe('ChainStatus', () => {
+  it('shows every chain as checking before the first snapshot', () => {
+    withStatus(undefined)
+    render(<ChainStatus />)
+    expect(screen.getAllByText('Checking')).toHaveLength(3)
+    expect(screen.getByText('Last sync: —')).toBeInTheDocument()
+  })
+
+  it('renders live chains with block height and latency', () => {
+    withStatus(mockChainStatus)
+    render(<ChainStatus />)
+    expect(screen.getAllByText('Live')).toHaveLength(3)
+    expect(screen.getByText('#1,204,512 · 142ms')).toBeInTheDocument()
+    expect(screen.getByText('Last sync: 5s ago')).toBeInTheDocument()
+  })
+
+  it('renders degraded and down states with their reason', () => {
+    withStatus({
+      ...mockChainStatus,
+      moonbeam: { ...mockChainStatus.moonbeam, status: 'degraded', reasons: ['Contract paused'], paused: true },
+      assetHub: { ...mockChainStatus.assetHub, status: 'down', reasons: ['RPC unreachable'], latestBlock: null },
+      xcm: { ...mockChainStatus.xcm, status: 'down', reasons: ['Asset Hub unreachable'] },
+    })
+    render(<ChainStatus />)
+    expect(screen.getByText('Degraded')).toBeInTheDocument()
+    expect(screen.getAllByText('Down')).toHaveLength(2)
+    expect(screen.getByText('Contract paused')).toBeInTheDocument()
+    expect(screen.getByText('RPC unreachable')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,59 @@
+import { apiGet } from '@/lib/api/client'
+import { useAuthStore } from '@/lib/store/auth-store'
+
+const mockFetch = jest.fn()
+global.fetch = mockFetch
+
+const jsonResponse = (status: number, body: unknown = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+})
+
+beforeEach(() => {
+  mockFetch.mockReset()
+  useAuthStore.getState().logout()
+})
+
+describe('API client auth', () => {
+  it('sends no Authorization header when signed out', async () => {
+    mockFetch.mockResolvedValueOnce(jsonResponse(200, { ok: true }))
+
+    await apiGet('/api/pools')
+
+    expect(mockFetch.mock.calls[0][1].headers).not.toHaveProperty('Authorization')
+  })
+
+  it('injects the bearer token when signed in', async () => {
+    useAuthStore.getState().login('access-1', 'refresh-1', 'user-1', '0xabc')
+    mockFetch.mockResolvedValueOnce(jsonResponse(200, { ok: true }))
+
+    await apiGet('/api/dashboard/user-1')
+
+    expect(mockFetch.mock.calls[0][1].headers).toMatchObject({ Authorization: 'Bearer access-1' })
+  })
+
+  it('rotates the refresh token on 401 and retries once', async () => {
+    useAuthStore.getState().login('expired', 'refresh-1', 'user-1', '0xabc')
+    mockFetch
+      .mockResolvedValueOnce(jsonResponse(401))
+      .mockResolvedValueOnce(jsonResponse(200, { access_token: 'access-2', refresh_token: 'refresh-2' }))
+      .mockResolvedValueOnce(jsonResponse(200, { id: 'user-1' }))
+
+    const result = await apiGet('/api/users/user-1')
+
+    expect(result).toEqual({ id: 'user-1' })
+    expect(mockFetch.mock.calls[1][0]).toContain('/api/auth/refresh')
+    expect(JSON.parse(mockFetch.mock.calls[1][1].body)).toEqual({ refresh_token: 'refresh-1' })
+    expect(mockFetch.mock.calls[2][1].headers).toMatchObject({ Authorization: 'Bearer access-2' })
+    expect(useAuthStore.getState()).toMatchObject({ jwt: 'access-2', refreshToken: 'refresh-2' })
+  })
+
+  it('signs out when the refresh token is rejected', async () => {
+    useAuthStore.getState().login('expired', 'revoked', 'user-1', '0xabc')
+    mockFetch.mockResolvedValueOnce(jsonResponse(401)).mockResolvedValueOnce(jsonResponse(401))
+
+    await expect(apiGet('/api/users/user-1')).rejects.toThrow('failed: 401')
+    expect(useAuthStore.getState().isAuthenticated).toBe(false)
+  })
+})
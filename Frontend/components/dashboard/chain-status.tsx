@@ -2,29 +2,92 @@
 
 import { useEffect, useState } from "react";
 import { motion } from "motion/react";
+import { useChainStatus } from "@/lib/hooks/use-chain-status";
+import type { ChainHealth, ChainNodeStatus, ChainStatusSnapshot } from "@/lib/types/chain-status";
 
 interface ChainInfo {
   name: string;
   color: string;
-  status: "live" | "degraded" | "down";
+  status: ChainHealth | "unknown";
+  detail: string | null;
+  reasons: string[];
+  testMode: boolean;
 }
 
-const CHAINS: ChainInfo[] = [
-  { name: "Asset Hub", color: "#E6007A", status: "live" },
-  { name: "Moonbeam", color: "#627EEA", status: "live" },
-  { name: "XCM Bridge", color: "#00E5A0", status: "live" },
-];
+const HEALTH_STYLES: Record<ChainInfo["status"], { label: string; color: string }> = {
+  live: { label: "Live", color: "#00C853" },
+  degraded: { label: "Degraded", color: "#F5A623" },
+  down: { label: "Down", color: "#E53935" },
+  unknown: { label: "Checking", color: "#9E9E9E" },
+};
+
+function secondsSince(iso: string, now: number): number {
+  return Math.max(0, Math.floor((now - new Date(iso).getTime()) / 1000));
+}
+
+function formatAge(seconds: number): string {
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+}
+
+function nodeDetail(node: ChainNodeStatus): string | null {
+  if (node.latestBlock === null) return null;
+  const latency = node.rpcLatencyMs !== null ? ` · ${node.rpcLatencyMs}ms` : "";
+  return `#${node.latestBlock.toLocaleString()}${latency}`;
+}
+
+function toChains(data: ChainStatusSnapshot | undefined, now: number): ChainInfo[] {
+  if (!data) {
+    return [
+      { name: "Asset Hub", color: "#E6007A", status: "unknown", detail: null, reasons: [], testMode: false },
+      { name: "Moonbeam", color: "#627EEA", status: "unknown", detail: null, reasons: [], testMode: false },
+      { name: "XCM Bridge", color: "#00E5A0", status: "unknown", detail: null, reasons: [], testMode: false },
+    ];
+  }
+
+  const lastMessage = data.xcm.lastMessage;
+  return [
+    {
+      name: "Asset Hub",
+      color: "#E6007A",
+      status: data.assetHub.status,
+      detail: nodeDetail(data.assetHub),
+      reasons: data.assetHub.reasons,
+      testMode: !!data.assetHub.testMode,
+    },
+    {
+      name: "Moonbeam",
+      color: "#627EEA",
+      status: data.moonbeam.status,
+      detail: nodeDetail(data.moonbeam),
+      reasons: data.moonbeam.reasons,
+      testMode: !!data.moonbeam.testMode,
+    },
+    {
+      name: "XCM Bridge",
+      color: "#00E5A0",
+      status: data.xcm.status,
+      detail: lastMessage ? `Last msg ${formatAge(secondsSince(lastMessage.seenAt, now))}` : null,
+      reasons: data.xcm.reasons,
+      testMode: false,
+    },
+  ];
+}
 
 export function ChainStatus() {
-  const [lastSync, setLastSync] = useState(0);
+  const { data, checkedAt } = useChainStatus();
+  const [now, setNow] = useState(() => Date.now());
 
   useEffect(() => {
     const interval = setInterval(() => {
-      setLastSync((s) => s + 1);
+      setNow(Date.now());
     }, 1000);
     return () => clearInterval(interval);
   }, []);
 
+  const chains = toChains(data, now);
+
   return (
     <motion.div
       initial={{ opacity: 0 }}
@@ -37,52 +100,72 @@ export function ChainStatus() {
       className="flex flex-wrap items-center justify-between gap-4 rounded-xl bg-white px-6 py-4 shadow-[var(--shadow-card)]"
     >
       <div className="flex flex-wrap items-center gap-6">
-        {CHAINS.map((chain) => (
-          <div key={chain.name} className="flex items-center gap-2.5">
+        {chains.map((chain) => {
+          const health = HEALTH_STYLES[chain.status];
+          return (
             <div
-              className="flex h-8 w-8 items-center justify-center rounded-lg"
-              style={{ backgroundColor: `${chain.color}15` }}
+              key={chain.name}
+              className="flex items-center gap-2.5"
+              title={chain.reasons.length > 0 ? chain.reasons.join("\n") : undefined}
             >
-              <span
-                className="inline-block h-3 w-3 rounded-full"
-                style={{ backgroundColor: chain.color }}
-              />
-            </div>
-            <div>
-              <div className="font-display text-[13px] font-semibold text-ld-ink">
-                {chain.name}
-              </div>
-              <div className="flex items-center gap-1.5">
+              <div
+                className="flex h-8 w-8 items-center justify-center rounded-lg"
+                style={{ backgroundColor: `${chain.color}15` }}
+              >
                 <span
-                  className="inline-block h-1.5 w-1.5 rounded-full"
-                  style={{
-                    backgroundColor:
-                      chain.status === "live"
-                        ? "#00C853"
-                        : chain.status === "degraded"
-                          ? "#F5A623"
-                          : "#E53935",
-                    boxShadow:
-                      chain.status === "live"
-                        ? "0 0 6px rgba(0,200,83,0.5)"
-                        : "none",
-                    animation:
-                      chain.status === "live"
-                        ? "pulse 3s ease-in-out infinite"
-                        : "none",
-                  }}
+                  className="inline-block h-3 w-3 rounded-full"
+                  style={{ backgroundColor: chain.color }}
                 />
-                <span className="text-[10px] font-medium uppercase tracking-wider text-[#00C853]">
-                  Live
-                </span>
+              </div>
+              <div>
+                <div className="flex items-center gap-1.5 font-display text-[13px] font-semibold text-ld-ink">
+                  {chain.name}
+                  {chain.testMode && (
+                    <span className="rounded bg-ld-light-2 px-1 text-[9px] font-medium uppercase tracking-wider text-ld-slate">
+                      Test mode
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center gap-1.5">
+                  <span
+                    className="inline-block h-1.5 w-1.5 rounded-full"
+                    style={{
+                      backgroundColor: health.color,
+                      boxShadow:
+                        chain.status === "live"
+                          ? "0 0 6px rgba(0,200,83,0.5)"
+                          : "none",
+                      animation:
+                        chain.status === "live"
+                          ? "pulse 3s ease-in-out infinite"
+                          : "none",
+                    }}
+                  />
+                  <span
+                    className="text-[10px] font-medium uppercase tracking-wider"
+                    style={{ color: health.color }}
+                  >
+                    {health.label}
+                  </span>
+                  {chain.detail && (
+                    <span className="font-mono text-[10px] text-ld-slate">
+                      {chain.detail}
+                    </span>
+                  )}
+                </div>
+                {chain.status !== "live" && chain.reasons.length > 0 && (
+                  <div className="text-[10px] text-ld-slate">
+                    {chain.reasons[0]}
+                  </div>
+                )}
               </div>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
 
       <span className="font-mono text-[11px] text-ld-slate">
-        Last sync: {lastSync}s ago
+        {checkedAt ? `Last sync: ${formatAge(secondsSince(checkedAt, now))}` : "Last sync: —"}
       </span>
     </motion.div>
   );
@@ -8,7 +8,7 @@ import { Sheet, SheetContent } from "@/components/ui/sheet";
 import { Button } from "@/components/ui/button";
 import { useAuthStore } from "@/lib/store/auth-store";
 import { useUIStore } from "@/lib/store/ui-store";
-import { loginWithEvm } from "@/lib/api/auth";
+import { signInWithEthereum, signOut } from "@/lib/api/auth";
 import { truncateHash } from "@/lib/utils/format";
 import { cn } from "@/lib/utils";
 
@@ -21,12 +21,12 @@ const NAV_LINKS = [
 
 export function MobileMenu() {
   const pathname = usePathname();
-  const { isAuthenticated, walletAddress, login, logout } = useAuthStore();
+  const { isAuthenticated, walletAddress } = useAuthStore();
   const { mobileMenuOpen, setMobileMenuOpen } = useUIStore();
   const [connecting, setConnecting] = useState(false);
 
   // Wagmi hooks
-  const { address, isConnected } = useAccount();
+  const { address, chainId, isConnected } = useAccount();
   const { connect, connectors } = useConnect();
   const { disconnect } = useDisconnect();
   const { signMessageAsync } = useSignMessage();
@@ -35,17 +35,14 @@ export function MobileMenu() {
   const handleSiweLogin = useCallback(
     async (walletAddr: string) => {
       try {
-        const message = `Sign in to LiquiDOT\nWallet: ${walletAddr}\nTimestamp: ${Date.now()}`;
-        const signature = await signMessageAsync({ message });
-        const result = await loginWithEvm(walletAddr, message, signature);
-        login(result.access_token, result.user.id, result.user.walletAddress);
+        await signInWithEthereum(walletAddr, chainId ?? 1, signMessageAsync);
       } catch {
         disconnect();
       } finally {
         setConnecting(false);
       }
     },
-    [signMessageAsync, login, disconnect]
+    [signMessageAsync, chainId, disconnect]
   );
 
   // When wallet connects, trigger SIWE flow
@@ -64,7 +61,7 @@ export function MobileMenu() {
 
   const handleDisconnect = () => {
     disconnect();
-    logout();
+    void signOut();
     setMobileMenuOpen(false);
   };
 
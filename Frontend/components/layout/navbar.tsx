@@ -15,7 +15,7 @@ import {
 } from "@/components/ui/dropdown-menu";
 import { useAuthStore } from "@/lib/store/auth-store";
 import { useUIStore } from "@/lib/store/ui-store";
-import { loginWithEvm } from "@/lib/api/auth";
+import { signInWithEthereum, signOut } from "@/lib/api/auth";
 import { truncateHash } from "@/lib/utils/format";
 import { cn } from "@/lib/utils";
 import { MobileMenu } from "./mobile-menu";
@@ -33,13 +33,13 @@ export function Navbar() {
   const [connecting, setConnecting] = useState(false);
 
   // Wagmi hooks
-  const { address, isConnected } = useAccount();
+  const { address, chainId, isConnected } = useAccount();
   const { connect, connectors } = useConnect();
   const { disconnect } = useDisconnect();
   const { signMessageAsync } = useSignMessage();
 
   // Auth store
-  const { isAuthenticated, walletAddress, login, logout } = useAuthStore();
+  const { isAuthenticated, walletAddress } = useAuthStore();
 
   useEffect(() => {
     setHydrated(true);
@@ -49,10 +49,7 @@ export function Navbar() {
   const handleSiweLogin = useCallback(
     async (walletAddr: string) => {
       try {
-        const message = `Sign in to LiquiDOT\nWallet: ${walletAddr}\nTimestamp: ${Date.now()}`;
-        const signature = await signMessageAsync({ message });
-        const result = await loginWithEvm(walletAddr, message, signature);
-        login(result.access_token, result.user.id, result.user.walletAddress);
+        await signInWithEthereum(walletAddr, chainId ?? 1, signMessageAsync);
       } catch {
         // User rejected signing or API failed — disconnect wallet
         disconnect();
@@ -60,7 +57,7 @@ export function Navbar() {
         setConnecting(false);
       }
     },
-    [signMessageAsync, login, disconnect]
+    [signMessageAsync, chainId, disconnect]
   );
 
   // When wallet connects, trigger SIWE flow
@@ -79,7 +76,7 @@ export function Navbar() {
 
   const handleDisconnect = () => {
     disconnect();
-    logout();
+    void signOut();
   };
 
   const visibleLinks = NAV_LINKS.filter(
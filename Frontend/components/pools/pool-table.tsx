@@ -114,7 +114,7 @@ export function PoolTable({ pools, sort, onSort, isFetching }: PoolTableProps) {
               <tr className="border-b border-black/6 bg-[rgba(230,0,122,0.012)]">
                 <SortHeader
                   label="Pool"
-                  sortKey="pool"
+                  sortKey="pair"
                   currentSort={sort}
                   onSort={onSort}
                   className="w-[24%]"
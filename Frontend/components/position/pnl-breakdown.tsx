@@ -81,6 +81,13 @@ export function PnlBreakdown({ pnl }: Props) {
           value={`+$${pnl.feesEarnedUsd.toFixed(2)}`}
           valueColor="text-[#00C853]"
         />
+        {(pnl.compoundedFeesUsd > 0 || pnl.realizedFeesUsd > 0) && (
+          <>
+            <DataRow label="· Compounded" value={`$${pnl.compoundedFeesUsd.toFixed(2)}`} />
+            <DataRow label="· Returned to Asset Hub" value={`$${pnl.realizedFeesUsd.toFixed(2)}`} />
+            <DataRow label="· Uncollected" value={`$${pnl.uncollectedFeesUsd.toFixed(2)}`} />
+          </>
+        )}
         <DataRow
           label="IL Loss (USD)"
           value={`-$${Math.abs(pnl.ilLossUsd).toFixed(2)}`}
@@ -13,15 +13,14 @@ import {
   DialogDescription,
   DialogFooter,
 } from "@/components/ui/dialog";
-import { useAuthStore } from "@/lib/store/auth-store";
+import { signOut } from "@/lib/api/auth";
 
 export function DangerZone() {
   const [open, setOpen] = useState(false);
-  const { logout } = useAuthStore();
   const router = useRouter();
 
   const handleDisconnect = () => {
-    logout();
+    void signOut();
     setOpen(false);
     router.push("/");
   };
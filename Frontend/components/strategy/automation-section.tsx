@@ -2,6 +2,7 @@
 
 import type { UseFormReturn } from "react-hook-form";
 import type { UserPreference } from "@/lib/types/preferences";
+import { FormField } from "./form-field";
 
 const INTERVAL_OPTIONS = [
   { label: "Every 1 hour", value: 3600 },
@@ -12,13 +13,25 @@ const INTERVAL_OPTIONS = [
   { label: "Every 24 hours", value: 86400 },
 ];
 
+const FEE_MODE_OPTIONS = [
+  { label: "Leave in position", value: "off" },
+  { label: "Compound into position", value: "compound" },
+  { label: "Return to Asset Hub", value: "return" },
+];
+
 interface Props {
   form: UseFormReturn<UserPreference>;
 }
 
 export function AutomationSection({ form }: Props) {
-  const { register, watch, setValue } = form;
+  const {
+    register,
+    watch,
+    setValue,
+    formState: { errors },
+  } = form;
   const autoInvest = watch("autoInvestEnabled");
+  const feeMode = watch("feeCompoundingMode");
 
   return (
     <div>
@@ -73,6 +86,34 @@ export function AutomationSection({ form }: Props) {
           </select>
         </div>
       </div>
+
+      {/* Fee compounding */}
+      <div className="mt-6 grid grid-cols-1 gap-4 sm:grid-cols-3">
+        <div>
+          <label className="mb-1.5 block text-[11px] uppercase tracking-[0.8px] text-ld-slate">
+            Accrued Fees
+          </label>
+          <select
+            {...register("feeCompoundingMode")}
+            className="h-[42px] w-full cursor-pointer rounded-lg border border-black/10 bg-white px-3 font-mono text-sm text-ld-ink outline-none transition-all duration-150 focus:border-ld-primary focus:shadow-[0_0_0_3px_rgba(13,107,88,0.1)]"
+          >
+            {FEE_MODE_OPTIONS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {feeMode !== "off" && (
+          <FormField
+            label="Min Fees to Harvest"
+            suffix="USD"
+            hint="Also waits until fees cover gas"
+            error={errors.minCompoundFeesUsd?.message}
+            registration={register("minCompoundFeesUsd", { valueAsNumber: true })}
+          />
+        )}
+      </div>
     </div>
   );
 }
@@ -4,6 +4,12 @@ import type { UseFormReturn } from "react-hook-form";
 import type { UserPreference } from "@/lib/types/preferences";
 import { FormField } from "./form-field";
 
+const POLICY_OPTIONS = [
+  { label: "Liquidate and return to Asset Hub", value: "liquidate" },
+  { label: "Re-range on Moonbeam", value: "rerange" },
+  { label: "Hold", value: "hold" },
+];
+
 interface Props {
   form: UseFormReturn<UserPreference>;
 }
@@ -13,6 +19,7 @@ export function RangesSection({ form }: Props) {
 
   const sl = watch("defaultLowerRangePercent");
   const tp = watch("defaultUpperRangePercent");
+  const policy = watch("outOfRangePolicy");
 
   // Entry marker position as percentage
   const absSl = Math.abs(sl || 5);
@@ -79,6 +86,42 @@ export function RangesSection({ form }: Props) {
           </span>
         </div>
       </div>
+
+      {/* Out-of-range handling */}
+      <div className="mt-6 grid grid-cols-1 gap-4 sm:grid-cols-3">
+        <div>
+          <label className="mb-1.5 block text-[11px] uppercase tracking-[0.8px] text-ld-slate">
+            When Out of Range
+          </label>
+          <select
+            {...register("outOfRangePolicy")}
+            className="h-[42px] w-full cursor-pointer rounded-lg border border-black/10 bg-white px-3 font-mono text-sm text-ld-ink outline-none transition-all duration-150 focus:border-ld-primary focus:shadow-[0_0_0_3px_rgba(13,107,88,0.1)]"
+          >
+            {POLICY_OPTIONS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {policy === "rerange" && (
+          <>
+            <FormField
+              label="Re-range Cooldown"
+              suffix="sec"
+              hint="Minimum time between re-ranges"
+              error={errors.rerangeCooldownSeconds?.message}
+              registration={register("rerangeCooldownSeconds", { valueAsNumber: true })}
+            />
+            <FormField
+              label="Max Re-ranges per Day"
+              hint="Liquidates once reached"
+              error={errors.maxRerangesPerDay?.message}
+              registration={register("maxRerangesPerDay", { valueAsNumber: true })}
+            />
+          </>
+        )}
+      </div>
     </div>
   );
 }
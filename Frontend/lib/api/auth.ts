@@ -1,13 +1,61 @@
-import { apiPost } from "./client";
+import { useAuthStore } from "@/lib/store/auth-store";
+import { apiGet, apiPost } from "./client";
+
+interface NonceResponse {
+  nonce: string;
+  issuedAt: string;
+  expiresAt: string;
+}
 
 interface LoginEvmResponse {
   access_token: string;
+  refresh_token: string;
+  expires_in: number;
   user: {
     id: string;
     walletAddress: string;
   };
 }
 
+interface StreamTokenResponse {
+  stream_token: string;
+  expires_in: number;
+}
+
+export function getNonce(): Promise<NonceResponse> {
+  return apiGet<NonceResponse>("/api/auth/nonce");
+}
+
+/**
+ * Build an EIP-4361 (Sign-In with Ethereum) message for the current site.
+ * The backend checks domain, URI, nonce and timestamps before accepting it.
+ */
+export function buildSiweMessage(params: {
+  address: string;
+  chainId: number;
+  nonce: string;
+  issuedAt?: Date;
+  expirationTime?: string;
+}): string {
+  const { host, origin } = window.location;
+  const lines = [
+    `${host} wants you to sign in with your Ethereum account:`,
+    params.address,
+    "",
+    "Sign in to LiquiDOT",
+    "",
+    `URI: ${origin}`,
+    "Version: 1",
+    `Chain ID: ${params.chainId}`,
+    `Nonce: ${params.nonce}`,
+    `Issued At: ${(params.issuedAt ?? new Date()).toISOString()}`,
+  ];
+  if (params.expirationTime) {
+    lines.push(`Expiration Time: ${params.expirationTime}`);
+  }
+  return lines.join("\n");
+}
+
 export function loginWithEvm(
   address: string,
   message: string,
@@ -19,3 +67,47 @@ export function loginWithEvm(
     signature,
   });
 }
+
+/**
+ * Short-lived token for opening an SSE stream, which EventSource can only
+ * send in the URL. Fetch a new one for every (re)connect.
+ */
+export async function getStreamToken(): Promise<string> {
+  const { stream_token } = await apiPost<StreamTokenResponse>("/api/auth/stream-token", {});
+  return stream_token;
+}
+
+/**
+ * Full SIWE flow: fetch a nonce, have the wallet sign the message, exchange
+ * the signature for tokens and store the session.
+ */
+export async function signInWithEthereum(
+  address: string,
+  chainId: number,
+  signMessage: (args: { message: string }) => Promise<string>
+): Promise<void> {
+  const { nonce, expiresAt } = await getNonce();
+  const message = buildSiweMessage({ address, chainId, nonce, expirationTime: expiresAt });
+  const signature = await signMessage({ message });
+  const result = await loginWithEvm(address, message, signature);
+  useAuthStore
+    .getState()
+    .login(result.access_token, result.refresh_token, result.user.id, result.user.walletAddress);
+}
+
+/**
+ * Revoke the session server-side, then clear it locally. Local state is
+ * cleared even if the backend is unreachable.
+ */
+export async function signOut(): Promise<void> {
+  const { refreshToken, logout } = useAuthStore.getState();
+  try {
+    if (refreshToken) {
+      await apiPost<void>("/api/auth/logout", { refresh_token: refreshToken });
+    }
+  } catch {
+    // Session expires on its own; nothing else to do
+  } finally {
+    logout();
+  }
+}
@@ -0,0 +1,15 @@
+import type { ChainStatusSnapshot } from "@/lib/types/chain-status";
+import { apiGet } from "./client";
+
+/*
+ * Endpoint: GET /api/blockchain/status (public)
+ * Live changes arrive on GET /api/blockchain/status/events, see use-chain-status.ts.
+ */
+
+export async function getChainStatus(): Promise<ChainStatusSnapshot> {
+  if (process.env.NEXT_PUBLIC_USE_MOCK === "true") {
+    const { mockChainStatus } = await import("@/lib/mock/chain-status");
+    return mockChainStatus;
+  }
+  return apiGet<ChainStatusSnapshot>("/api/blockchain/status");
+}
@@ -1,13 +1,57 @@
+import { useAuthStore } from "@/lib/store/auth-store";
+
 const BASE_URL = process.env.NEXT_PUBLIC_API_URL ?? "";
 
-/*
- * ┌──────────────────────────────────────────────────────┐
- * │  BACKEND MATE:                                       │
- * │  Auth headers (Bearer token / session cookie)        │
- * │  should be injected here once auth is integrated.    │
- * │  For now, all requests are unauthenticated.          │
- * └──────────────────────────────────────────────────────┘
- */
+/** A non-2xx response; `status` lets callers tell auth failures from outages. */
+export class ApiError extends Error {
+  constructor(
+    readonly status: number,
+    message: string
+  ) {
+    super(message);
+    this.name = "ApiError";
+  }
+}
+
+interface RefreshResponse {
+  access_token: string;
+  refresh_token: string;
+}
+
+// Single in-flight refresh shared by all requests that hit a 401 together;
+// refresh tokens rotate, so a second concurrent refresh would end the session.
+let refreshInFlight: Promise<string | null> | null = null;
+
+async function refreshAccessToken(): Promise<string | null> {
+  const { refreshToken, setTokens, logout } = useAuthStore.getState();
+  if (!refreshToken) return null;
+
+  try {
+    const res = await fetch(`${BASE_URL}/api/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+    });
+    if (!res.ok) {
+      logout();
+      return null;
+    }
+    const tokens = (await res.json()) as RefreshResponse;
+    setTokens(tokens.access_token, tokens.refresh_token);
+    return tokens.access_token;
+  } catch {
+    return null;
+  }
+}
+
+function refreshOnce(): Promise<string | null> {
+  if (!refreshInFlight) {
+    refreshInFlight = refreshAccessToken().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+}
 
 async function request<T>(
   method: string,
@@ -15,20 +59,38 @@ async function request<T>(
   body?: unknown
 ): Promise<T> {
   const url = `${BASE_URL}${path}`;
-  const headers: HeadersInit = {
-    "Content-Type": "application/json",
+
+  const send = (token: string | null) => {
+    const headers: Record<string, string> = {
+      "Content-Type": "application/json",
+    };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return fetch(url, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
   };
 
-  const res = await fetch(url, {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : undefined,
-  });
+  let res = await send(useAuthStore.getState().jwt);
+
+  // Access tokens are short-lived: on 401, rotate the refresh token and retry once
+  if (res.status === 401 && useAuthStore.getState().refreshToken) {
+    const token = await refreshOnce();
+    if (token) {
+      res = await send(token);
+    }
+  }
 
   if (!res.ok) {
-    throw new Error(`API ${method} ${path} failed: ${res.status}`);
+    throw new ApiError(res.status, `API ${method} ${path} failed: ${res.status}`);
   }
 
+  if (res.status === 204) {
+    return undefined as T;
+  }
   return res.json() as Promise<T>;
 }
 
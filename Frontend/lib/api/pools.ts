@@ -2,19 +2,18 @@ import type { PoolData, PoolsResponse } from "@/lib/types/pool";
 import { apiGet } from "./client";
 
 /*
- * ┌──────────────────────────────────────────────────────┐
- * │  BACKEND MATE:                                       │
- * │  Confirm query param names match your API:           │
- * │  GET /api/pools?limit=&offset=&sort=&order=          │
- * │       &minTvl=&minApr=&token=&chain=&dex=            │
- * │  GET /api/pools/top?limit=5                          │
- * │  GET /api/pools/search?token={symbol}                │
- * └──────────────────────────────────────────────────────┘
+ * GET /api/pools?limit=&offset=&cursor=&sort=&order=
+ *      &minTvl=&minApr=&token=&chain=&dex=
+ *   sort: apr | tvl | volume24h | fee | pair | chain
+ *   token: symbol substring or exact token address
+ * GET /api/pools/top?limit=5
+ * GET /api/pools/search?token={symbol}
  */
 
 export interface GetPoolsParams {
   limit?: number;
   offset?: number;
+  cursor?: string;
   sort?: string;
   order?: "asc" | "desc";
   minTvl?: number;
@@ -79,7 +78,7 @@ export async function getPools(
           aVal = a.fee;
           bVal = b.fee;
           break;
-        case "pool":
+        case "pair":
           return sortOrder === "asc"
             ? `${a.token0Symbol}/${a.token1Symbol}`.localeCompare(
                 `${b.token0Symbol}/${b.token1Symbol}`
@@ -109,6 +108,7 @@ export async function getPools(
   const searchParams = new URLSearchParams();
   if (params?.limit) searchParams.set("limit", String(params.limit));
   if (params?.offset) searchParams.set("offset", String(params.offset));
+  if (params?.cursor) searchParams.set("cursor", params.cursor);
   if (params?.sort) searchParams.set("sort", params.sort);
   if (params?.order) searchParams.set("order", params.order);
   if (params?.minTvl) searchParams.set("minTvl", String(params.minTvl));
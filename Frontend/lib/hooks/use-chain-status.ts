@@ -0,0 +1,54 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { getChainStatus } from "@/lib/api/chain-status";
+import type { ChainStatusSnapshot } from "@/lib/types/chain-status";
+
+/*
+ * Chain status for the dashboard widget. The snapshot is fetched once, then
+ * replaced by STATUS events from GET /api/blockchain/status/events whenever a
+ * chain changes state; HEARTBEAT events carry the backend's last poll time.
+ * The slow refetch covers the stream being down.
+ */
+
+const QUERY_KEY = ["chain-status"];
+const REFETCH_INTERVAL_MS = 60_000;
+
+export function useChainStatus() {
+  const queryClient = useQueryClient();
+  const isMock = process.env.NEXT_PUBLIC_USE_MOCK === "true";
+  const [polledAt, setPolledAt] = useState<string | null>(null);
+
+  const query = useQuery({
+    queryKey: QUERY_KEY,
+    queryFn: getChainStatus,
+    refetchInterval: REFETCH_INTERVAL_MS,
+  });
+
+  useEffect(() => {
+    if (isMock) return;
+
+    const baseUrl = process.env.NEXT_PUBLIC_API_URL ?? "";
+    const source = new EventSource(`${baseUrl}/api/blockchain/status/events`);
+
+    source.addEventListener("STATUS", ((e: MessageEvent) => {
+      const snapshot = JSON.parse(e.data) as ChainStatusSnapshot;
+      queryClient.setQueryData(QUERY_KEY, snapshot);
+      setPolledAt(snapshot.checkedAt);
+    }) as EventListener);
+    source.addEventListener("HEARTBEAT", ((e: MessageEvent) => {
+      const { checkedAt } = JSON.parse(e.data) as { checkedAt: string | null };
+      if (checkedAt) setPolledAt(checkedAt);
+    }) as EventListener);
+
+    return () => source.close();
+  }, [isMock, queryClient]);
+
+  const checkedAt = [polledAt, query.data?.checkedAt]
+    .filter((t): t is string => !!t)
+    .sort()
+    .pop() ?? null;
+
+  return { ...query, checkedAt };
+}
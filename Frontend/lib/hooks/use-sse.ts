@@ -1,21 +1,58 @@
 "use client";
 
 import { useEffect } from "react";
-import { useQueryClient } from "@tanstack/react-query";
+import { useQueryClient, type QueryKey } from "@tanstack/react-query";
+import { ApiError } from "@/lib/api/client";
+import { getStreamToken } from "@/lib/api/auth";
 
 /*
- * ┌──────────────────────────────────────────────────────┐
- * │  BACKEND MATE:                                       │
- * │  This hook will connect to the SSE endpoint at       │
- * │  GET /api/positions/user/{userId}/events             │
- * │  and invalidate dashboard queries on events like     │
- * │  CREATED, EXECUTED, LIQUIDATED, FAILED,              │
- * │  STATUS_CHANGE.                                      │
- * │                                                      │
- * │  For now it's a no-op in mock mode.                  │
- * └──────────────────────────────────────────────────────┘
+ * Connects to GET /api/positions/user/{userId}/events and invalidates the
+ * react-query caches each event type affects. EventSource cannot send the
+ * bearer token, so every connect first trades it for a short-lived ?token=
+ * stream token; if that is refused (signed out) we stop reconnecting.
+ * Events carry sequence ids: the browser resends the last one as
+ * Last-Event-ID when it reconnects on its own, and when we reconnect after an
+ * error we pass it as ?lastEventId= so the backend replays anything missed.
+ * The replay may repeat ids we already handled; those are skipped. RESYNC
+ * means too much was missed to replay.
  */
 
+type PositionEventType =
+  | "CREATED"
+  | "EXECUTED"
+  | "LIQUIDATED"
+  | "FAILED"
+  | "STATUS_CHANGE"
+  | "BALANCE_CHANGED"
+  | "RESYNC";
+
+// Event positionIds are on-chain ids, so position detail queries are invalidated as a group
+function keysFor(type: PositionEventType, userId: string): QueryKey[] {
+  switch (type) {
+    case "BALANCE_CHANGED":
+      return [["dashboard", userId]];
+    case "CREATED":
+      return [["dashboard", userId], ["activities", userId]];
+    default:
+      return [["dashboard", userId], ["activities", userId], ["position"]];
+  }
+}
+
+const EVENT_TYPES: PositionEventType[] = [
+  "CREATED",
+  "EXECUTED",
+  "LIQUIDATED",
+  "FAILED",
+  "STATUS_CHANGE",
+  "BALANCE_CHANGED",
+  "RESYNC",
+];
+
+const RECONNECT_BASE_MS = 1_000;
+const RECONNECT_MAX_MS = 30_000;
+// Handled event ids remembered for skipping replayed duplicates
+const SEEN_IDS_MAX = 500;
+
 export function usePositionSSE(userId: string | null) {
   const queryClient = useQueryClient();
   const isMock = process.env.NEXT_PUBLIC_USE_MOCK === "true";
@@ -24,21 +61,69 @@ export function usePositionSSE(userId: string | null) {
     if (!userId || isMock) return;
 
     const baseUrl = process.env.NEXT_PUBLIC_API_URL ?? "";
-    const eventSource = new EventSource(
-      `${baseUrl}/api/positions/user/${userId}/events`
-    );
+    let eventSource: EventSource | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+    let attempts = 0;
+    let lastEventId = "";
+    let closed = false;
+    const seenIds = new Set<string>();
 
-    eventSource.onmessage = () => {
-      queryClient.invalidateQueries({ queryKey: ["dashboard", userId] });
-      queryClient.invalidateQueries({ queryKey: ["activities", userId] });
+    const onEvent = (type: PositionEventType) => (e: MessageEvent) => {
+      if (e.lastEventId) {
+        if (seenIds.has(e.lastEventId)) return;
+        seenIds.add(e.lastEventId);
+        if (seenIds.size > SEEN_IDS_MAX) seenIds.delete(seenIds.values().next().value as string);
+        if (!lastEventId || BigInt(e.lastEventId) > BigInt(lastEventId)) lastEventId = e.lastEventId;
+      }
+      for (const queryKey of keysFor(type, userId)) {
+        queryClient.invalidateQueries({ queryKey });
+      }
     };
 
-    eventSource.onerror = () => {
-      eventSource.close();
+    const scheduleReconnect = () => {
+      const delay = Math.min(RECONNECT_BASE_MS * 2 ** attempts, RECONNECT_MAX_MS);
+      attempts += 1;
+      reconnectTimer = setTimeout(() => void connect(), delay * (0.5 + Math.random() / 2));
     };
 
+    const connect = async () => {
+      let token: string;
+      try {
+        token = await getStreamToken();
+      } catch (error) {
+        // Signed out or session revoked: retrying cannot succeed
+        if (error instanceof ApiError && (error.status === 401 || error.status === 403)) return;
+        if (!closed) scheduleReconnect();
+        return;
+      }
+      if (closed) return;
+
+      const params = new URLSearchParams({ token });
+      if (lastEventId) params.set("lastEventId", lastEventId);
+      const source = new EventSource(`${baseUrl}/api/positions/user/${userId}/events?${params}`);
+      eventSource = source;
+
+      source.onopen = () => {
+        attempts = 0;
+      };
+      for (const type of EVENT_TYPES) {
+        source.addEventListener(type, onEvent(type) as EventListener);
+      }
+
+      // The browser retries some failures itself; take over once it gives up
+      // (also when its retry is refused because the stream token expired)
+      source.onerror = () => {
+        if (closed || source.readyState !== EventSource.CLOSED) return;
+        scheduleReconnect();
+      };
+    };
+
+    void connect();
+
     return () => {
-      eventSource.close();
+      closed = true;
+      clearTimeout(reconnectTimer);
+      eventSource?.close();
     };
   }, [userId, isMock, queryClient]);
 }
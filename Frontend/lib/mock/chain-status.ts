@@ -0,0 +1,56 @@
+import type { ChainStatusSnapshot } from "@/lib/types/chain-status";
+
+export const mockChainStatus: ChainStatusSnapshot = {
+  assetHub: {
+    chain: "assetHub",
+    status: "live",
+    reasons: [],
+    configured: true,
+    rpcLatencyMs: 142,
+    latestBlock: 1204512,
+    finalizedBlock: 1204508,
+    indexer: { lastProcessedBlock: 1204510, lagBlocks: 2, updatedAt: "2026-03-10T12:00:00.000Z" },
+    paused: false,
+    testMode: false,
+    error: null,
+  },
+  moonbeam: {
+    chain: "moonbeam",
+    status: "live",
+    reasons: [],
+    configured: true,
+    rpcLatencyMs: 218,
+    latestBlock: 8321044,
+    finalizedBlock: 8321040,
+    indexer: { lastProcessedBlock: 8321042, lagBlocks: 2, updatedAt: "2026-03-10T12:00:00.000Z" },
+    paused: false,
+    testMode: false,
+    error: null,
+  },
+  xcm: {
+    status: "live",
+    reasons: [],
+    lastSent: {
+      chain: "assetHub",
+      eventName: "XCMMessageSent",
+      blockNumber: 1204480,
+      txHash: "0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef",
+      seenAt: "2026-03-10T11:58:00.000Z",
+    },
+    lastReceived: {
+      chain: "moonbeam",
+      eventName: "AssetsReceived",
+      blockNumber: 8321010,
+      txHash: "0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890",
+      seenAt: "2026-03-10T11:58:30.000Z",
+    },
+    lastMessage: {
+      chain: "moonbeam",
+      eventName: "AssetsReceived",
+      blockNumber: 8321010,
+      txHash: "0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890",
+      seenAt: "2026-03-10T11:58:30.000Z",
+    },
+  },
+  checkedAt: "2026-03-10T12:00:00.000Z",
+};
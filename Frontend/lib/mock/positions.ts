@@ -37,6 +37,9 @@ export const mockPositionPnl: PositionPnL = {
   entryAmountUsd: 350.0,
   currentValueUsd: 375.0,
   feesEarnedUsd: 12.5,
+  uncollectedFeesUsd: 4.5,
+  compoundedFeesUsd: 8.0,
+  realizedFeesUsd: 0,
   ilLossUsd: -2.0,
   netPnLUsd: 25.0,
   netPnLPercent: 7.14,
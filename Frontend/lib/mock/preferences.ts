@@ -10,6 +10,9 @@ export const mockPreferences: UserPreference = {
   // Position Ranges
   defaultLowerRangePercent: -5,
   defaultUpperRangePercent: 15,
+  outOfRangePolicy: "liquidate",
+  rerangeCooldownSeconds: 3600,
+  maxRerangesPerDay: 3,
 
   // Pool Filters
   minTvlUsd: 1000000,
@@ -25,6 +28,8 @@ export const mockPreferences: UserPreference = {
   // Automation
   autoInvestEnabled: true,
   investmentCheckIntervalSeconds: 14400,
+  feeCompoundingMode: "off",
+  minCompoundFeesUsd: 5,
 
   // Advanced
   lambdaRiskAversion: 0.5,
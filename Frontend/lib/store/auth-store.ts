@@ -4,9 +4,11 @@ import { persist } from 'zustand/middleware';
 interface AuthState {
   isAuthenticated: boolean;
   jwt: string | null;
+  refreshToken: string | null;
   userId: string | null;
   walletAddress: string | null;
-  login: (jwt: string, userId: string, walletAddress: string) => void;
+  login: (jwt: string, refreshToken: string, userId: string, walletAddress: string) => void;
+  setTokens: (jwt: string, refreshToken: string) => void;
   logout: () => void;
 }
 
@@ -15,12 +17,14 @@ export const useAuthStore = create<AuthState>()(
     (set) => ({
       isAuthenticated: false,
       jwt: null,
+      refreshToken: null,
       userId: null,
       walletAddress: null,
-      login: (jwt, userId, walletAddress) =>
-        set({ isAuthenticated: true, jwt, userId, walletAddress }),
+      login: (jwt, refreshToken, userId, walletAddress) =>
+        set({ isAuthenticated: true, jwt, refreshToken, userId, walletAddress }),
+      setTokens: (jwt, refreshToken) => set({ jwt, refreshToken }),
       logout: () =>
-        set({ isAuthenticated: false, jwt: null, userId: null, walletAddress: null }),
+        set({ isAuthenticated: false, jwt: null, refreshToken: null, userId: null, walletAddress: null }),
     }),
     { name: 'liquidot-auth' }
   )
@@ -0,0 +1,42 @@
+export type ChainHealth = "live" | "degraded" | "down";
+
+export interface ChainNodeStatus {
+  chain: "assetHub" | "moonbeam";
+  status: ChainHealth;
+  reasons: string[];
+  configured: boolean;
+  rpcLatencyMs: number | null;
+  latestBlock: number | null;
+  finalizedBlock: number | null;
+  indexer: {
+    lastProcessedBlock: number;
+    lagBlocks: number | null;
+    updatedAt: string;
+  } | null;
+  paused: boolean | null;
+  testMode: boolean | null;
+  error: string | null;
+}
+
+export interface XcmMessageSeen {
+  chain: "assetHub" | "moonbeam";
+  eventName: string;
+  blockNumber: number;
+  txHash: string;
+  seenAt: string;
+}
+
+export interface XcmChannelStatus {
+  status: ChainHealth;
+  reasons: string[];
+  lastSent: XcmMessageSeen | null;
+  lastReceived: XcmMessageSeen | null;
+  lastMessage: XcmMessageSeen | null;
+}
+
+export interface ChainStatusSnapshot {
+  assetHub: ChainNodeStatus;
+  moonbeam: ChainNodeStatus;
+  xcm: XcmChannelStatus;
+  checkedAt: string;
+}
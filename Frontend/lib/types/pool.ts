@@ -9,6 +9,7 @@ export interface PoolData {
   fee: number;
   chain: "asset-hub" | "moonbeam";
   dex: "algebra" | "stellaswap";
+  dexName?: string | null;
 }
 
 export interface PoolsResponse {
@@ -16,4 +17,5 @@ export interface PoolsResponse {
   total: number;
   limit: number;
   offset: number;
+  nextCursor?: string | null;
 }
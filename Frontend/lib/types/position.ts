@@ -32,6 +32,10 @@ export interface PositionPnL {
   entryAmountUsd: number;
   currentValueUsd: number;
   feesEarnedUsd: number;
+  /** Parts of feesEarnedUsd: still in the LP, added back as liquidity, returned to Asset Hub */
+  uncollectedFeesUsd: number;
+  compoundedFeesUsd: number;
+  realizedFeesUsd: number;
   ilLossUsd: number;
   netPnLUsd: number;
   netPnLPercent: number;
@@ -1,5 +1,11 @@
 import { z } from "zod/v4";
 
+/** What the stop-loss worker does when a position leaves its range */
+export type OutOfRangePolicy = "liquidate" | "rerange" | "hold";
+
+/** What the fee compounding worker does with accrued fees of active positions */
+export type FeeCompoundingMode = "off" | "compound" | "return";
+
 export interface UserPreference {
   // Investment Strategy
   minApy: number;
@@ -10,6 +16,9 @@ export interface UserPreference {
   // Position Ranges
   defaultLowerRangePercent: number;
   defaultUpperRangePercent: number;
+  outOfRangePolicy: OutOfRangePolicy;
+  rerangeCooldownSeconds: number;
+  maxRerangesPerDay: number;
 
   // Pool Filters
   minTvlUsd: number;
@@ -25,6 +34,8 @@ export interface UserPreference {
   // Automation
   autoInvestEnabled: boolean;
   investmentCheckIntervalSeconds: number;
+  feeCompoundingMode: FeeCompoundingMode;
+  minCompoundFeesUsd: number;
 
   // Advanced
   lambdaRiskAversion: number;
@@ -39,6 +50,9 @@ export const strategySchema = z.object({
   minPositionSizeUsd: z.number().positive(),
   defaultLowerRangePercent: z.number().min(-50).max(0),
   defaultUpperRangePercent: z.number().min(0).max(100),
+  outOfRangePolicy: z.enum(["liquidate", "rerange", "hold"]),
+  rerangeCooldownSeconds: z.number().int().min(60),
+  maxRerangesPerDay: z.number().int().min(1).max(24),
   minTvlUsd: z.number().min(0),
   minPoolAgeDays: z.number().int().min(0),
   allowedTokens: z.array(z.string()).nullable(),
@@ -48,6 +62,8 @@ export const strategySchema = z.object({
   expectedGasUsd: z.number().positive(),
   autoInvestEnabled: z.boolean(),
   investmentCheckIntervalSeconds: z.number().int(),
+  feeCompoundingMode: z.enum(["off", "compound", "return"]),
+  minCompoundFeesUsd: z.number().min(0),
   lambdaRiskAversion: z.number().min(0).max(1),
   thetaMinBenefit: z.number().min(0),
   planningHorizonDays: z.number().int().min(1).max(90),
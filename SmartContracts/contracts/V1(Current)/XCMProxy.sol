@@ -89,6 +89,7 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
     error UnauthorizedCaller();
     error NotEmergencyAdmin();
     error DeadlineTooFar();
+    error PositionInRange();
 
     // State variables
     mapping(address => bool) public supportedTokens;
@@ -126,6 +127,9 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
     // M-1: Maximum deadline offset in seconds (default 5 minutes)
     uint256 public maxDeadlineOffset;
 
+    // Tokens an NFPM mint left unused, held here for the position until it is liquidated
+    mapping(uint256 => PositionLeftover) public positionLeftovers;
+
     // Test mode - allows direct contract calls without XCM for local testing
     bool public testMode;
     bool public testModeFrozen;
@@ -219,6 +223,43 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
     // M-6: Emitted when tick range collapses after spacing snap and is auto-widened
     event RangeAutoWidened(int24 requestedLower, int24 requestedUpper, int24 actualLower, int24 actualUpper);
 
+    // Emitted when an out-of-range position is closed and re-minted around the current tick
+    event PositionReranged(
+        uint256 indexed positionId,
+        bytes32 indexed assetHubPositionId,
+        uint256 oldTokenId,
+        uint256 newTokenId,
+        int24 bottomTick,
+        int24 topTick,
+        uint128 liquidity,
+        uint256 amount0,
+        uint256 amount1
+    );
+
+    // Emitted when an NFPM mint uses less than the desired amounts; the rest is held for the position
+    event LeftoverRecorded(uint256 indexed positionId, uint256 amount0, uint256 amount1);
+
+    // Emitted when collected fees are added back as liquidity to the same NFPM position
+    event FeesCompounded(
+        uint256 indexed positionId,
+        bytes32 indexed assetHubPositionId,
+        uint256 fees0,
+        uint256 fees1,
+        uint128 liquidityAdded,
+        uint256 amount0Added,
+        uint256 amount1Added
+    );
+
+    // Emitted when collected fees are swapped to the base asset and sent to the owner on Asset Hub
+    event FeesReturned(
+        uint256 indexed positionId,
+        bytes32 indexed assetHubPositionId,
+        address baseAsset,
+        uint256 fees0,
+        uint256 fees1,
+        uint256 amountReturned
+    );
+
     // Position lifecycle states
     enum PositionStatus {
         Active,      // LP position exists, can be liquidated
@@ -261,6 +302,11 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
         uint256 liquidatedAmount1;      // Token1 amount from liquidation (set in phase 1)
     }
 
+    struct PositionLeftover {
+        uint256 amount0;
+        uint256 amount1;
+    }
+
     constructor(address initialOwner) Ownable(initialOwner) {
         // Reasonable defaults; override via admin setters per deployment
         xcmPrecompile = 0x000000000000000000000000000000000000081A;
@@ -585,7 +631,7 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
         }
 
         // Step 5: Mint via helper (reduces stack depth)
-        (uint256 tokenId, uint128 liquidityCreated) = _mintNfpmPosition(
+        (uint256 tokenId, uint128 liquidityCreated, , ) = _mintNfpmPosition(
             token0, token1, amount0Desired, amount1Desired,
             sqrtPriceX96, bottomTick, topTick, slippageBps
         );
@@ -616,30 +662,17 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
         uint256 amount0Desired, uint256 amount1Desired,
         uint160 sqrtPriceX96, int24 bottomTick, int24 topTick,
         uint16 slippageBps
-    ) internal returns (uint256 tokenId, uint128 liquidityCreated) {
+    ) internal returns (uint256 tokenId, uint128 liquidityCreated, uint256 amount0Used, uint256 amount1Used) {
         if (nfpmContract == address(0)) revert NFPMNotSet();
 
         if (amount0Desired > 0) IERC20(token0).forceApprove(nfpmContract, amount0Desired);
         if (amount1Desired > 0) IERC20(token1).forceApprove(nfpmContract, amount1Desired);
 
-        uint256 amount0Min;
-        uint256 amount1Min;
-        {
-            uint160 sqrtLo = TickMath.getSqrtRatioAtTick(bottomTick);
-            uint160 sqrtHi = TickMath.getSqrtRatioAtTick(topTick);
-            uint128 liqPreview = LiquidityAmounts.getLiquidityForAmounts(
-                sqrtPriceX96, sqrtLo, sqrtHi, amount0Desired, amount1Desired
-            );
-            if (liqPreview == 0) revert ZeroLiquidityPreview();
-            (uint256 e0, uint256 e1) = LiquidityAmounts.getAmountsForLiquidity(
-                sqrtPriceX96, sqrtLo, sqrtHi, liqPreview
-            );
-            uint256 bps = slippageBps > 0 ? slippageBps : defaultSlippageBps;
-            amount0Min = e0 == 0 ? 0 : (e0 * (10_000 - bps)) / 10_000;
-            amount1Min = e1 == 0 ? 0 : (e1 * (10_000 - bps)) / 10_000;
-        }
+        (uint256 amount0Min, uint256 amount1Min) = _liquidityMins(
+            amount0Desired, amount1Desired, sqrtPriceX96, bottomTick, topTick, slippageBps
+        );
 
-        (tokenId, liquidityCreated, , ) = INonfungiblePositionManager(nfpmContract).mint(
+        (tokenId, liquidityCreated, amount0Used, amount1Used) = INonfungiblePositionManager(nfpmContract).mint(
             INonfungiblePositionManager.MintParams({
                 token0: token0, token1: token1, deployer: address(0),
                 tickLower: bottomTick, tickUpper: topTick,
@@ -653,6 +686,26 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
         if (amount1Desired > 0) IERC20(token1).forceApprove(nfpmContract, 0);
     }
 
+    /// @dev Slippage-adjusted minimum amounts for adding `amount0Desired`/`amount1Desired` to a tick range
+    function _liquidityMins(
+        uint256 amount0Desired, uint256 amount1Desired,
+        uint160 sqrtPriceX96, int24 bottomTick, int24 topTick,
+        uint16 slippageBps
+    ) internal view returns (uint256 amount0Min, uint256 amount1Min) {
+        uint160 sqrtLo = TickMath.getSqrtRatioAtTick(bottomTick);
+        uint160 sqrtHi = TickMath.getSqrtRatioAtTick(topTick);
+        uint128 liqPreview = LiquidityAmounts.getLiquidityForAmounts(
+            sqrtPriceX96, sqrtLo, sqrtHi, amount0Desired, amount1Desired
+        );
+        if (liqPreview == 0) revert ZeroLiquidityPreview();
+        (uint256 e0, uint256 e1) = LiquidityAmounts.getAmountsForLiquidity(
+            sqrtPriceX96, sqrtLo, sqrtHi, liqPreview
+        );
+        uint256 bps = slippageBps > 0 ? slippageBps : defaultSlippageBps;
+        amount0Min = e0 == 0 ? 0 : (e0 * (10_000 - bps)) / 10_000;
+        amount1Min = e1 == 0 ? 0 : (e1 * (10_000 - bps)) / 10_000;
+    }
+
     /**
      * @dev Cancel a pending position and return assets to Asset Hub
      * @notice Used when execution fails or position needs to be cancelled
@@ -839,12 +892,134 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
         return (true, amount0, amount1);
     }
 
+    /**
+     * @dev Re-range an out-of-range position on Moonbeam instead of liquidating it (OPERATOR-TRIGGERED)
+     * @notice Collects and closes the NFPM position, then re-mints the proceeds around the current
+     *         tick with the position's original range percentages. The local position id (the Asset Hub
+     *         remotePositionId) and its assetHubPositionId are kept, so Asset Hub needs no update.
+     * @param positionId The position to re-range (must be Active and out of range)
+     * @param slippageBps Slippage tolerance for the swaps and the mint (uses default if 0)
+     * @return liquidity Liquidity of the new NFPM position
+     */
+    function rerangePosition(
+        uint256 positionId,
+        uint16 slippageBps
+    ) external onlyOperator whenNotPaused nonReentrant returns (uint128 liquidity) {
+        Position storage position = positions[positionId];
+        if (position.status != PositionStatus.Active) revert PositionNotActive();
+
+        (, int24 currentTick, , , , ) = IAlgebraPool(position.pool).globalState();
+        bool belowRange = currentTick < position.bottomTick;
+        if (!belowRange && currentTick < position.topTick) revert PositionInRange();
+
+        uint256 oldTokenId = position.tokenId;
+        (uint256 amount0, uint256 amount1) = _withdrawLiquidity(position);
+
+        // Below the range the principal is all token0, above it all token1; fold collected fees of
+        // the other token into it, then split for the new range like executePendingInvestment does
+        address tokenToUse = belowRange ? position.token0 : position.token1;
+        uint256 total;
+        if (belowRange) {
+            total = amount0;
+            if (amount1 > 0) total += _swapWithSlippage(position.token1, position.token0, amount1, slippageBps);
+        } else {
+            total = amount1;
+            if (amount0 > 0) total += _swapWithSlippage(position.token0, position.token1, amount0, slippageBps);
+        }
+        if (total == 0) revert AmountZero();
+
+        liquidity = _remintPosition(positionId, tokenToUse, total, slippageBps);
+
+        emit PositionReranged(
+            positionId, position.assetHubPositionId, oldTokenId, position.tokenId,
+            position.bottomTick, position.topTick, liquidity, amount0, amount1
+        );
+    }
+
+    /// @dev Mint a new NFPM position for `positionId` from `amount` of `tokenToUse` and update its record.
+    ///      Whatever the mint leaves unused is recorded in positionLeftovers.
+    function _remintPosition(
+        uint256 positionId,
+        address tokenToUse,
+        uint256 amount,
+        uint16 slippageBps
+    ) internal returns (uint128 liquidity) {
+        Position storage position = positions[positionId];
+        (int24 bottomTick, int24 topTick) = calculateTickRange(
+            position.pool,
+            position.lowerRangePercent,
+            position.upperRangePercent
+        );
+        (uint160 sqrtPriceX96, int24 currentTick, , , , ) = IAlgebraPool(position.pool).globalState();
+
+        uint256 amount0Desired;
+        uint256 amount1Desired;
+        if (currentTick >= bottomTick && currentTick < topTick) {
+            (amount0Desired, amount1Desired) = _splitForDualSided(
+                tokenToUse, position.token0, position.token1, amount,
+                sqrtPriceX96, bottomTick, topTick, slippageBps
+            );
+        } else if (tokenToUse == position.token0) {
+            amount0Desired = amount;
+        } else {
+            amount1Desired = amount;
+        }
+
+        uint256 tokenId;
+        uint256 amount0Used;
+        uint256 amount1Used;
+        (tokenId, liquidity, amount0Used, amount1Used) = _mintNfpmPosition(
+            position.token0, position.token1, amount0Desired, amount1Desired,
+            sqrtPriceX96, bottomTick, topTick, slippageBps
+        );
+        _recordLeftover(positionId, amount0Desired - amount0Used, amount1Desired - amount1Used);
+
+        (, int24 entryTick, , , , ) = IAlgebraPool(position.pool).globalState();
+        position.tokenId = tokenId;
+        position.bottomTick = bottomTick;
+        position.topTick = topTick;
+        position.liquidity = liquidity;
+        position.entryPrice = uint256(int256(entryTick));
+    }
+
     // Internal liquidation logic shared by multiple flows
     // Sets position to Liquidated state and stores amounts for phase 2
     function _liquidatePosition(uint256 positionId) internal returns (uint256 amount0, uint256 amount1) {
         Position storage position = positions[positionId];
         if (position.status != PositionStatus.Active) revert PositionNotActive();
 
+        (amount0, amount1) = _withdrawLiquidity(position);
+
+        // Tokens earlier mints left unused go back to the owner with the principal
+        PositionLeftover memory leftover = positionLeftovers[positionId];
+        if (leftover.amount0 > 0 || leftover.amount1 > 0) {
+            delete positionLeftovers[positionId];
+            amount0 += leftover.amount0;
+            amount1 += leftover.amount1;
+        }
+
+        // Mark position as Liquidated (phase 1 complete, awaiting phase 2)
+        position.status = PositionStatus.Liquidated;
+        position.liquidity = 0;
+        position.liquidatedAmount0 = amount0;
+        position.liquidatedAmount1 = amount1;
+
+        emit PositionLiquidated(positionId, position.owner, amount0, amount1);
+
+        return (amount0, amount1);
+    }
+
+    /// @dev Add unused mint amounts to the position's leftover balance
+    function _recordLeftover(uint256 positionId, uint256 amount0, uint256 amount1) internal {
+        if (amount0 == 0 && amount1 == 0) return;
+        PositionLeftover storage leftover = positionLeftovers[positionId];
+        leftover.amount0 += amount0;
+        leftover.amount1 += amount1;
+        emit LeftoverRecorded(positionId, amount0, amount1);
+    }
+
+    /// @dev Remove all liquidity of an Active NFPM position, collect it with fees and burn the NFT
+    function _withdrawLiquidity(Position storage position) internal returns (uint256 amount0, uint256 amount1) {
         if (position.tokenId == 0) revert PositionNotActive();
         if (nfpmContract == address(0)) revert NFPMNotSet();
 
@@ -887,16 +1062,6 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
         );
 
         INonfungiblePositionManager(nfpmContract).burn(position.tokenId);
-
-        // Mark position as Liquidated (phase 1 complete, awaiting phase 2)
-        position.status = PositionStatus.Liquidated;
-        position.liquidity = 0;
-        position.liquidatedAmount0 = amount0;
-        position.liquidatedAmount1 = amount1;
-
-        emit PositionLiquidated(positionId, position.owner, amount0, amount1);
-
-        return (amount0, amount1);
     }
 
     /**
@@ -1131,6 +1296,107 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
     {
         Position storage position = positions[positionId];
         if (position.status != PositionStatus.Active) revert PositionNotActive();
+        (amount0, amount1) = _collectFees(position);
+    }
+
+    /**
+     * @dev Collect a position's fees and add them back as liquidity to the same NFPM position (OPERATOR-TRIGGERED)
+     * @notice Fees of the token the range cannot take right now are swapped into the other one first; in range the
+     *         total is then split for the current price like executePendingInvestment does. The NFPM token id and
+     *         the tick range stay the same; position.liquidity grows by the added liquidity. Whatever the NFPM
+     *         does not take is recorded in positionLeftovers and goes out with the next returnFees or liquidation.
+     * @param positionId The position to compound (must be Active)
+     * @param slippageBps Slippage tolerance for the swaps and the liquidity increase (uses default if 0)
+     * @return liquidityAdded Liquidity added to the NFPM position
+     */
+    function compoundFees(
+        uint256 positionId,
+        uint16 slippageBps
+    ) external onlyOperator whenNotPaused nonReentrant returns (uint128 liquidityAdded) {
+        Position storage position = positions[positionId];
+        if (position.status != PositionStatus.Active) revert PositionNotActive();
+
+        (uint256 fees0, uint256 fees1) = _collectFees(position);
+        if (fees0 == 0 && fees1 == 0) revert AmountZero();
+
+        // At or above the range only token1 can be added, otherwise fold everything into token0
+        (, int24 tickBefore, , , , ) = IAlgebraPool(position.pool).globalState();
+        bool aboveRange = tickBefore >= position.topTick;
+        address tokenToUse = aboveRange ? position.token1 : position.token0;
+        uint256 total;
+        if (aboveRange) {
+            total = fees1;
+            if (fees0 > 0) total += _swapWithSlippage(position.token0, position.token1, fees0, slippageBps);
+        } else {
+            total = fees0;
+            if (fees1 > 0) total += _swapWithSlippage(position.token1, position.token0, fees1, slippageBps);
+        }
+        if (total == 0) revert AmountZero();
+
+        (uint160 sqrtPriceX96, int24 currentTick, , , , ) = IAlgebraPool(position.pool).globalState();
+        uint256 amount0Desired;
+        uint256 amount1Desired;
+        if (currentTick >= position.bottomTick && currentTick < position.topTick) {
+            (amount0Desired, amount1Desired) = _splitForDualSided(
+                tokenToUse, position.token0, position.token1, total,
+                sqrtPriceX96, position.bottomTick, position.topTick, slippageBps
+            );
+        } else if (tokenToUse == position.token0) {
+            amount0Desired = total;
+        } else {
+            amount1Desired = total;
+        }
+
+        uint256 amount0Added;
+        uint256 amount1Added;
+        (liquidityAdded, amount0Added, amount1Added) = _increaseLiquidity(
+            position, amount0Desired, amount1Desired, sqrtPriceX96, slippageBps
+        );
+        position.liquidity += liquidityAdded;
+        _recordLeftover(positionId, amount0Desired - amount0Added, amount1Desired - amount1Added);
+
+        emit FeesCompounded(
+            positionId, position.assetHubPositionId, fees0, fees1, liquidityAdded, amount0Added, amount1Added
+        );
+    }
+
+    /**
+     * @dev Collect a position's fees, swap them into baseAsset and send them to the owner on Asset Hub
+     * @notice The position stays Active. Tokens held in positionLeftovers are paid out along with the fees.
+     *         The proceeds are deposited to the owner's Asset Hub account like liquidation proceeds; in testMode
+     *         the XCM transfer is skipped.
+     * @param positionId The position whose fees to return (must be Active)
+     * @param baseAsset Token to return the fees in (must be supported)
+     * @param minAmountOut0 Minimum baseAsset out of the token0 fees swap (ignored if token0 is baseAsset)
+     * @param minAmountOut1 Minimum baseAsset out of the token1 fees swap (ignored if token1 is baseAsset)
+     * @return totalBase Amount of baseAsset sent to Asset Hub
+     */
+    function returnFees(
+        uint256 positionId,
+        address baseAsset,
+        uint256 minAmountOut0,
+        uint256 minAmountOut1
+    ) external onlyOperator whenNotPaused nonReentrant returns (uint256 totalBase) {
+        Position storage position = positions[positionId];
+        if (position.status != PositionStatus.Active) revert PositionNotActive();
+        if (!supportedTokens[baseAsset]) revert BaseAssetNotSupported();
+
+        (uint256 fees0, uint256 fees1) = _collectFees(position);
+        PositionLeftover memory leftover = positionLeftovers[positionId];
+        delete positionLeftovers[positionId];
+        totalBase = _swapFeesToBase(position.token0, baseAsset, fees0 + leftover.amount0, minAmountOut0, positionId)
+            + _swapFeesToBase(position.token1, baseAsset, fees1 + leftover.amount1, minAmountOut1, positionId);
+        if (totalBase == 0) revert SwapZeroOutput();
+
+        if (!testMode) {
+            _xcmTransferToAssetHub(baseAsset, totalBase, position.owner);
+        }
+
+        emit FeesReturned(positionId, position.assetHubPositionId, baseAsset, fees0, fees1, totalBase);
+    }
+
+    /// @dev Collect all fees owed to an NFPM position into this contract
+    function _collectFees(Position storage position) internal returns (uint256 amount0, uint256 amount1) {
         if (position.tokenId == 0 || nfpmContract == address(0)) revert NFPMNotSet();
 
         (amount0, amount1) = INonfungiblePositionManager(nfpmContract).collect(
@@ -1143,6 +1409,54 @@ contract XCMProxy is Ownable, ReentrancyGuard, Pausable, ERC721Holder {
         );
     }
 
+    /// @dev Approve, compute slippage mins, add liquidity to the position's NFPM token, reset allowances
+    function _increaseLiquidity(
+        Position storage position,
+        uint256 amount0Desired,
+        uint256 amount1Desired,
+        uint160 sqrtPriceX96,
+        uint16 slippageBps
+    ) internal returns (uint128 liquidity, uint256 amount0, uint256 amount1) {
+        if (amount0Desired > 0) IERC20(position.token0).forceApprove(nfpmContract, amount0Desired);
+        if (amount1Desired > 0) IERC20(position.token1).forceApprove(nfpmContract, amount1Desired);
+
+        (uint256 amount0Min, uint256 amount1Min) = _liquidityMins(
+            amount0Desired, amount1Desired, sqrtPriceX96, position.bottomTick, position.topTick, slippageBps
+        );
+
+        (liquidity, amount0, amount1) = INonfungiblePositionManager(nfpmContract).increaseLiquidity(
+            INonfungiblePositionManager.IncreaseLiquidityParams({
+                tokenId: position.tokenId,
+                amount0Desired: amount0Desired,
+                amount1Desired: amount1Desired,
+                amount0Min: amount0Min,
+                amount1Min: amount1Min,
+                deadline: _deadline()
+            })
+        );
+
+        if (amount0Desired > 0) IERC20(position.token0).forceApprove(nfpmContract, 0);
+        if (amount1Desired > 0) IERC20(position.token1).forceApprove(nfpmContract, 0);
+    }
+
+    /// @dev Swap `amount` of fee `token` into `baseAsset` with a caller-supplied minimum (no-op for the base asset)
+    function _swapFeesToBase(
+        address token,
+        address baseAsset,
+        uint256 amount,
+        uint256 minAmountOut,
+        uint256 positionId
+    ) internal returns (uint256 amountOut) {
+        if (amount == 0) return 0;
+        if (token == baseAsset) return amount;
+        if (swapRouterContract == address(0)) revert SwapRouterNotSet();
+
+        IERC20(token).forceApprove(swapRouterContract, amount);
+        amountOut = _swapExactInputSingle(token, baseAsset, address(this), amount, minAmountOut, 0);
+        IERC20(token).forceApprove(swapRouterContract, 0);
+        emit ProceedsSwapped(token, baseAsset, amount, amountOut, positionId);
+    }
+
     // Algebra mint callback removed: NFPM-only path enforced
 
     // Internal swap function (no reentrancy guard)
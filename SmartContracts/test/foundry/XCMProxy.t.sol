@@ -391,4 +391,165 @@ contract XCMProxyTest is TestBase {
         uint256 counterAfterSecond = proxy.positionCounter();
         assertEq(counterAfterSecond, initialCounter + 2, "counter incremented by 2 total");
     }
+
+    // ============ Re-range Tests ============
+
+    /// @dev Active position with a +10%..+50% range, i.e. entirely above the current tick (0)
+    function _createOutOfRangePosition() internal returns (uint256 localId) {
+        bytes32 assetHubPositionId = keccak256(abi.encodePacked("rerange", block.timestamp));
+        uint256[] memory amounts = new uint256[](2);
+        amounts[0] = 1 ether;
+        amounts[1] = 0;
+        bytes memory investmentParams = abi.encode(
+            address(pool), address(tokenA), amounts, int24(100000), int24(500000), USER, uint16(100)
+        );
+
+        tokenA.mint(address(proxy), 1 ether);
+        proxy.receiveAssets(assetHubPositionId, address(tokenA), USER, 1 ether, investmentParams);
+        localId = proxy.executePendingInvestment(assetHubPositionId);
+    }
+
+    function testRerangePositionRemintsUnderSameLocalId() public {
+        uint256 localId = _createOutOfRangePosition();
+        (bytes32 ahIdBefore,,,,,,, uint256 tokenIdBefore,,,,,,,,) = proxy.positions(localId);
+
+        vm.mockCall(
+            address(nfpm),
+            abi.encodeWithSignature("collect((uint256,address,uint128,uint128))"),
+            abi.encode(uint256(1 ether), uint256(0))
+        );
+        uint128 liquidity = proxy.rerangePosition(localId, 100);
+
+        (bytes32 ahIdAfter,,,,,, uint128 storedLiquidity, uint256 tokenIdAfter,,,,,, XCMProxy.PositionStatus status,,) =
+            proxy.positions(localId);
+        assertTrue(ahIdAfter == ahIdBefore, "asset hub position id kept");
+        assertTrue(tokenIdAfter != tokenIdBefore, "new NFPM token minted");
+        assertEq(uint256(storedLiquidity), uint256(liquidity), "liquidity updated");
+        assertTrue(status == XCMProxy.PositionStatus.Active, "position stays active");
+        assertEq(proxy.positionCounter(), localId, "no new local position");
+    }
+
+    function testRerangePositionRecordsUnusedMintAmountsAndReturnsThemOnLiquidation() public {
+        uint256 localId = _createOutOfRangePosition();
+
+        vm.mockCall(
+            address(nfpm),
+            abi.encodeWithSignature("collect((uint256,address,uint128,uint128))"),
+            abi.encode(uint256(1 ether), uint256(0))
+        );
+        nfpm.setUsageBps(6_000);
+        proxy.rerangePosition(localId, 100);
+
+        (uint256 leftover0, uint256 leftover1) = proxy.positionLeftovers(localId);
+        assertEq(leftover0, 0.4 ether, "unused token0 recorded");
+        assertEq(leftover1, 0, "no token1 desired");
+
+        (uint256 amount0, ) = proxy.executeFullLiquidation(localId);
+        (,,,,,,,,,,,,,, uint256 liquidatedAmount0,) = proxy.positions(localId);
+        assertEq(amount0, 1 ether + 0.4 ether, "leftover joins the liquidation proceeds");
+        assertEq(liquidatedAmount0, amount0, "leftover returned to the owner in phase 2");
+        (leftover0, ) = proxy.positionLeftovers(localId);
+        assertEq(leftover0, 0, "leftover cleared");
+    }
+
+    function testRerangePositionRevertsWhenInRange() public {
+        uint256 localId = _createOutOfRangePosition();
+        (,,,, int24 bottomTick,,,,,,,,,,,) = proxy.positions(localId);
+        pool.setState(uint160(1 << 96), bottomTick);
+
+        vm.expectRevert(abi.encodeWithSelector(XCMProxy.PositionInRange.selector));
+        proxy.rerangePosition(localId, 100);
+    }
+
+    function testRerangePositionOnlyOperator() public {
+        uint256 localId = _createOutOfRangePosition();
+
+        vm.prank(USER);
+        vm.expectRevert(abi.encodeWithSelector(XCMProxy.NotOperator.selector));
+        proxy.rerangePosition(localId, 100);
+    }
+
+    // ============ Fee Compounding Tests ============
+
+    function _mockCollect(uint256 fees0, uint256 fees1) internal {
+        vm.mockCall(
+            address(nfpm),
+            abi.encodeWithSignature("collect((uint256,address,uint128,uint128))"),
+            abi.encode(fees0, fees1)
+        );
+    }
+
+    function testCompoundFeesAddsLiquidityToSameToken() public {
+        uint256 localId = _createOutOfRangePosition();
+        (,,,,,, uint128 liquidityBefore, uint256 tokenIdBefore,,,,,,,,) = proxy.positions(localId);
+
+        tokenA.mint(address(proxy), 0.1 ether);
+        _mockCollect(0.1 ether, 0);
+        uint128 added = proxy.compoundFees(localId, 100);
+
+        (,,,,,, uint128 liquidityAfter, uint256 tokenIdAfter,,,,,, XCMProxy.PositionStatus status,,) =
+            proxy.positions(localId);
+        assertTrue(added > 0, "liquidity added");
+        assertEq(uint256(liquidityAfter), uint256(liquidityBefore) + uint256(added), "liquidity grows");
+        assertEq(tokenIdAfter, tokenIdBefore, "same NFPM token");
+        assertEq(uint256(nfpm.liquidities(tokenIdAfter)), uint256(liquidityAfter), "NFPM liquidity matches");
+        assertTrue(status == XCMProxy.PositionStatus.Active, "position stays active");
+    }
+
+    function testCompoundFeesRecordsUnusedAmountsAndReturnsThemWithTheNextFees() public {
+        uint256 localId = _createOutOfRangePosition();
+
+        tokenA.mint(address(proxy), 0.1 ether);
+        _mockCollect(0.1 ether, 0);
+        nfpm.setUsageBps(7_500);
+        proxy.compoundFees(localId, 100);
+
+        (uint256 leftover0, uint256 leftover1) = proxy.positionLeftovers(localId);
+        assertEq(leftover0, 0.025 ether, "unused token0 recorded");
+        assertEq(leftover1, 0, "no token1 desired");
+
+        tokenA.mint(address(proxy), 0.01 ether);
+        _mockCollect(0.01 ether, 0);
+        uint256 returned = proxy.returnFees(localId, address(tokenA), 0, 0);
+
+        assertEq(returned, 0.035 ether, "leftover returned with the fees");
+        (leftover0, ) = proxy.positionLeftovers(localId);
+        assertEq(leftover0, 0, "leftover cleared");
+    }
+
+    function testCompoundFeesRevertsWithoutFees() public {
+        uint256 localId = _createOutOfRangePosition();
+
+        vm.expectRevert(abi.encodeWithSelector(XCMProxy.AmountZero.selector));
+        proxy.compoundFees(localId, 100);
+    }
+
+    function testCompoundFeesOnlyOperator() public {
+        uint256 localId = _createOutOfRangePosition();
+
+        vm.prank(USER);
+        vm.expectRevert(abi.encodeWithSelector(XCMProxy.NotOperator.selector));
+        proxy.compoundFees(localId, 100);
+    }
+
+    function testReturnFeesKeepsPositionActive() public {
+        uint256 localId = _createOutOfRangePosition();
+        (,,,,,, uint128 liquidityBefore,,,,,,,,,) = proxy.positions(localId);
+
+        tokenA.mint(address(proxy), 0.05 ether);
+        _mockCollect(0.05 ether, 0);
+        uint256 returned = proxy.returnFees(localId, address(tokenA), 0, 0);
+
+        (,,,,,, uint128 liquidityAfter,,,,,,, XCMProxy.PositionStatus status,,) = proxy.positions(localId);
+        assertEq(returned, 0.05 ether, "base-asset fees returned as-is");
+        assertEq(uint256(liquidityAfter), uint256(liquidityBefore), "liquidity untouched");
+        assertTrue(status == XCMProxy.PositionStatus.Active, "position stays active");
+    }
+
+    function testReturnFeesRevertsForUnsupportedBaseAsset() public {
+        uint256 localId = _createOutOfRangePosition();
+
+        vm.expectRevert(abi.encodeWithSelector(XCMProxy.BaseAssetNotSupported.selector));
+        proxy.returnFees(localId, address(0xdead), 0, 0);
+    }
 }
@@ -6,6 +6,12 @@ import "@cryptoalgebra/integral-periphery/contracts/interfaces/INonfungiblePosit
 contract MockNFPM {
     uint256 private _nextTokenId = 1;
     mapping(uint256 => uint128) public liquidities;
+    // Share of the desired amounts mint/increaseLiquidity report as used (basis points)
+    uint256 public usageBps = 10_000;
+
+    function setUsageBps(uint256 bps) external {
+        usageBps = bps;
+    }
 
     function mint(INonfungiblePositionManager.MintParams calldata params)
         external
@@ -16,8 +22,21 @@ contract MockNFPM {
         liquidity = uint128(params.amount0Desired + params.amount1Desired);
         liquidities[tokenId] = liquidity;
 
-        amount0 = params.amount0Desired;
-        amount1 = params.amount1Desired;
+        amount0 = (params.amount0Desired * usageBps) / 10_000;
+        amount1 = (params.amount1Desired * usageBps) / 10_000;
+    }
+
+    function increaseLiquidity(INonfungiblePositionManager.IncreaseLiquidityParams calldata params)
+        external
+        payable
+        returns (uint128 liquidity, uint256 amount0, uint256 amount1)
+    {
+        require(liquidities[params.tokenId] > 0, "unknown token");
+        liquidity = uint128(params.amount0Desired + params.amount1Desired);
+        liquidities[params.tokenId] += liquidity;
+
+        amount0 = (params.amount0Desired * usageBps) / 10_000;
+        amount1 = (params.amount1Desired * usageBps) / 10_000;
     }
 
     function decreaseLiquidity(INonfungiblePositionManager.DecreaseLiquidityParams calldata params)